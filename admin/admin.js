@@ -3,12 +3,49 @@
  * Product and Category Management
  */
 
-import { supabase, isSupabaseConfigured } from '../js/supabase.js';
+import { supabase, isSupabaseConfigured, getCustomerEmails } from '../js/supabase.js';
+import { deliverySlotService } from '../js/services/delivery-slots.js';
+import { courierService } from '../js/services/courier.js';
+import { returnService } from '../js/services/returns.js';
+import { recallService } from '../js/services/recalls.js';
+import { subscriptionService } from '../js/services/subscriptions.js';
+import { searchService } from '../js/services/search.js';
+import { parseSynonymList } from '../js/utils/search.js';
+import { ORIGIN_REGIONS } from '../js/utils/facets.js';
+import { MONTH_SHORT_NAMES, getCurrentMonth, normalizeSeasonMonths } from '../js/utils/seasonality.js';
+import { getRecallProgress } from '../js/utils/recalls.js';
+import { RECIPE_DIFFICULTIES, parseRecipeSteps, formatRecipeSteps } from '../js/utils/recipes.js';
+import { generatePromotionCodes, normalizeCodePrefix, summarizeBatch, buildBatchCsv } from '../js/utils/promo-codes.js';
+import { WEEKDAYS, isPriceScheduleLive, formatPriceSchedule, formatCountdown } from '../js/utils/flash-sales.js';
+import {
+    PROMOTION_TYPES,
+    formatPromotionLabel,
+    parsePromotionTiers,
+    formatPromotionTiers
+} from '../supabase/functions/_shared/promotions.js';
+import {
+    ALLERGENS,
+    NUTRIENTS,
+    parseIngredientLines,
+    formatIngredientLines,
+    getContainedAllergens,
+    normalizeAllergens,
+    normalizeNutrition
+} from '../js/utils/nutrition.js';
 
 // State
 let currentUser = null;
 let products = [];
 let categories = [];
+let deliverySlots = [];
+let returnRequests = [];
+let recalls = [];
+let recallCustomers = [];
+let subscriptions = [];
+let searchSynonyms = [];
+let recipes = [];
+let promotions = [];
+let priceSchedules = [];
 let deleteCallback = null;
 
 // DOM Elements
@@ -91,6 +128,60 @@ function setupEventListeners() {
     // Category Form
     document.getElementById('categoryForm').addEventListener('submit', handleCategorySubmit);
 
+    // Pickup scan
+    document.getElementById('scanPickupBtn').addEventListener('click', () => openPickupScanModal());
+    document.getElementById('pickupScanForm').addEventListener('submit', handlePickupScanSubmit);
+    document.getElementById('pickupCameraBtn').addEventListener('click', startPickupCameraScan);
+
+    // Returns
+    document.getElementById('returnStatusFilter').addEventListener('change', () => loadReturns());
+
+    // Recalls
+    document.getElementById('recallProduct').addEventListener('change', () => loadRecallLots());
+    document.getElementById('recallLot').addEventListener('change', () => loadRecallCustomers());
+    document.getElementById('startRecallBtn').addEventListener('click', () => handleStartRecall());
+
+    // Subscriptions
+    document.getElementById('subscriptionStatusFilter').addEventListener('change', () => loadSubscriptions());
+
+    // Delivery Slots
+    document.getElementById('addDeliverySlotBtn').addEventListener('click', () => openDeliverySlotModal());
+    document.getElementById('deliverySlotForm').addEventListener('submit', handleDeliverySlotSubmit);
+
+    // Search Synonyms
+    document.getElementById('addSearchSynonymBtn').addEventListener('click', () => openSearchSynonymModal());
+    document.getElementById('searchSynonymForm').addEventListener('submit', handleSearchSynonymSubmit);
+    document.getElementById('zeroResultDaysFilter').addEventListener('change', () => loadZeroResultSearches());
+
+    // Frequently bought together
+    document.getElementById('addPairingBtn').addEventListener('click', () => {
+        const select = document.getElementById('pairingProductSelect');
+        if (select.value) window.setProductPairing(select.value, 'pin');
+    });
+
+    // Promotions
+    document.getElementById('addPromotionBtn').addEventListener('click', () => openPromotionModal());
+    document.getElementById('promotionForm').addEventListener('submit', handlePromotionSubmit);
+    document.getElementById('promotionType').addEventListener('change', updatePromotionFormFields);
+    document.getElementById('promotionAppliesTo').addEventListener('change', () => populatePromotionTargets());
+    document.getElementById('promotionBatchForm').addEventListener('submit', handlePromotionBatchSubmit);
+
+    // Price schedules
+    document.getElementById('addPriceScheduleBtn').addEventListener('click', () => openPriceScheduleModal());
+    document.getElementById('priceScheduleForm').addEventListener('submit', handlePriceScheduleSubmit);
+    document.getElementById('priceScheduleAppliesTo').addEventListener('change', () => populatePriceScheduleTargets());
+    document.getElementById('priceScheduleDays').addEventListener('change', updatePriceScheduleHours);
+
+    // Recipes
+    document.getElementById('addRecipeBtn').addEventListener('click', () => openRecipeModal());
+    document.getElementById('recipeForm').addEventListener('submit', handleRecipeSubmit);
+    document.getElementById('addRecipeIngredientBtn').addEventListener('click', () => addRecipeIngredientRow());
+    document.getElementById('recipeTitle').addEventListener('input', (e) => {
+        if (!document.getElementById('recipeId').value) {
+            document.getElementById('recipeSlug').value = generateSlug(e.target.value);
+        }
+    });
+
     // Auto-generate slug
     document.getElementById('productName').addEventListener('input', (e) => {
         document.getElementById('productSlug').value = generateSlug(e.target.value);
@@ -284,6 +375,10 @@ function navigateToSection(section) {
         categories: 'Gestione Categorie',
         discounts: 'Gestione Sconti',
         orders: 'Gestione Ordini',
+        returns: 'Resi e Reclami',
+        subscriptions: 'Abbonamenti Cassette',
+        deliveries: 'Fasce di Consegna',
+        search: 'Ricerca e Sinonimi',
         giftcards: 'Gestione Gift Card',
         analytics: 'Analytics'
     };
@@ -310,6 +405,31 @@ function navigateToSection(section) {
     if (section === 'discounts') {
         initDiscountsSection();
     }
+
+    if (section === 'deliveries') {
+        loadDeliverySlots();
+    }
+
+    if (section === 'returns') {
+        loadReturns();
+    }
+
+    if (section === 'recalls') {
+        initRecallsSection();
+    }
+
+    if (section === 'subscriptions') {
+        loadSubscriptions();
+    }
+
+    if (section === 'search') {
+        loadSearchSynonyms();
+        loadZeroResultSearches();
+    }
+
+    if (section === 'recipes') {
+        loadRecipes();
+    }
 }
 
 // Dashboard
@@ -625,11 +745,256 @@ function renderProducts(productList) {
     }
 }
 
+function renderSeasonMonthPickers(seasonMonths = [], peakMonths = []) {
+    [['productSeasonMonths', seasonMonths], ['productPeakMonths', peakMonths]].forEach(([id, selected]) => {
+        const container = document.getElementById(id);
+        container.innerHTML = MONTH_SHORT_NAMES.map((name, i) => `
+            <label class="season-month">
+                <input type="checkbox" data-month="${i + 1}" ${selected.includes(i + 1) ? 'checked' : ''}>
+                ${name}
+            </label>
+        `).join('');
+        container.onchange = updateSeasonPickers;
+    });
+    updateSeasonPickers();
+}
+
+function getSelectedMonths(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(el => parseInt(el.dataset.month));
+}
+
+// Peak months must be in season; with months set, "Di Stagione" follows the calendar
+function updateSeasonPickers() {
+    const seasonMonths = getSelectedMonths('productSeasonMonths');
+
+    document.querySelectorAll('#productPeakMonths input').forEach(el => {
+        const allowed = seasonMonths.includes(parseInt(el.dataset.month));
+        if (!allowed) el.checked = false;
+        el.disabled = !allowed;
+        el.closest('.season-month').classList.toggle('disabled', !allowed);
+    });
+
+    const seasonalCheckbox = document.getElementById('productSeasonal');
+    seasonalCheckbox.disabled = seasonMonths.length > 0;
+    if (seasonMonths.length > 0) {
+        seasonalCheckbox.checked = seasonMonths.includes(getCurrentMonth());
+    }
+}
+
+function setProductCertifications(certifications) {
+    document.querySelectorAll('#productForm input[data-cert]').forEach(el => {
+        el.checked = certifications.includes(el.dataset.cert);
+    });
+}
+
+function renderFoodInformation(product = {}) {
+    document.getElementById('productIngredients').value = formatIngredientLines(product.ingredients);
+    document.getElementById('productShelfLifeDays').value = product.shelf_life_days || '';
+    document.getElementById('productDateMarking').value = product.date_marking || 'best_before';
+    document.getElementById('productStorage').value = product.storage_instructions || '';
+
+    const contains = product.allergens || [];
+    const traces = product.may_contain || [];
+    const allergenGrid = document.getElementById('productAllergens');
+    allergenGrid.innerHTML = Object.entries(ALLERGENS).map(([code, label]) => `
+        <label class="allergen-row">
+            <span>${label}</span>
+            <select data-allergen="${code}">
+                <option value="">—</option>
+                <option value="contains" ${contains.includes(code) ? 'selected' : ''}>Contiene</option>
+                <option value="traces" ${!contains.includes(code) && traces.includes(code) ? 'selected' : ''}>Tracce</option>
+            </select>
+        </label>
+    `).join('');
+
+    const nutrition = product.nutrition || {};
+    document.getElementById('productNutrition').innerHTML = NUTRIENTS.map(({ key, label, unit, sub }) => `
+        <label class="nutrition-field${sub ? ' sub' : ''}">
+            <span>${label} (${unit})</span>
+            <input type="number" data-nutrient="${key}" min="0" step="0.1" value="${nutrition[key] ?? ''}">
+        </label>
+    `).join('');
+
+    document.getElementById('productIngredients').oninput = updateAllergensFromIngredients;
+    updateAllergensFromIngredients();
+}
+
+// Allergens tagged on an ingredient cannot be downgraded to traces or removed
+function updateAllergensFromIngredients() {
+    const tagged = getContainedAllergens(parseIngredientLines(document.getElementById('productIngredients').value));
+    document.querySelectorAll('#productAllergens select[data-allergen]').forEach(el => {
+        const forced = tagged.includes(el.dataset.allergen);
+        if (forced) el.value = 'contains';
+        el.disabled = forced;
+    });
+}
+
+function getFoodInformationData() {
+    const ingredients = parseIngredientLines(document.getElementById('productIngredients').value);
+    const selects = Array.from(document.querySelectorAll('#productAllergens select[data-allergen]'));
+    const allergens = getContainedAllergens(
+        ingredients,
+        selects.filter(el => el.value === 'contains').map(el => el.dataset.allergen)
+    );
+    const values = {};
+    document.querySelectorAll('#productNutrition input[data-nutrient]').forEach(el => {
+        values[el.dataset.nutrient] = el.value;
+    });
+    const shelfLife = parseInt(document.getElementById('productShelfLifeDays').value);
+
+    return {
+        ingredients,
+        allergens,
+        may_contain: normalizeAllergens(selects.filter(el => el.value === 'traces').map(el => el.dataset.allergen))
+            .filter(code => !allergens.includes(code)),
+        nutrition: normalizeNutrition(values),
+        shelf_life_days: shelfLife > 0 ? shelfLife : null,
+        date_marking: document.getElementById('productDateMarking').value || 'best_before',
+        storage_instructions: document.getElementById('productStorage').value.trim() || null
+    };
+}
+
+// Frequently bought together: nightly co-purchase scores plus admin pins
+// and suppressions (product_pairings), saved as soon as they are clicked
+let productPairings = { productId: null, affinities: [], pairings: [] };
+
+async function loadProductPairings(productId) {
+    const panel = document.getElementById('productPairingsPanel');
+    const list = document.getElementById('productPairingsList');
+    productPairings = { productId, affinities: [], pairings: [] };
+
+    if (!productId) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+    list.innerHTML = '<p class="form-hint">Caricamento...</p>';
+
+    try {
+        const [affinitiesResult, pairingsResult] = await Promise.all([
+            supabase
+                .from('product_affinities')
+                .select('related_product_id, co_orders, score')
+                .eq('product_id', productId)
+                .order('score', { ascending: false }),
+            supabase
+                .from('product_pairings')
+                .select('related_product_id, action, position')
+                .eq('product_id', productId)
+                .order('position')
+        ]);
+
+        if (affinitiesResult.error) throw affinitiesResult.error;
+        if (pairingsResult.error) throw pairingsResult.error;
+        if (productPairings.productId !== productId) return;
+
+        productPairings.affinities = affinitiesResult.data || [];
+        productPairings.pairings = pairingsResult.data || [];
+        renderProductPairings();
+    } catch (err) {
+        console.error('Load product pairings error:', err);
+        list.innerHTML = '<p class="form-hint">Errore nel caricamento degli abbinamenti</p>';
+    }
+}
+
+function renderProductPairings() {
+    const { productId, affinities, pairings } = productPairings;
+    const list = document.getElementById('productPairingsList');
+    const productName = (id) => products.find(p => p.id === id)?.name || 'Prodotto eliminato';
+    const pairingOf = (id) => pairings.find(p => p.related_product_id === id);
+
+    const rows = [
+        ...pairings.filter(p => p.action === 'pin').map(p => ({ id: p.related_product_id })),
+        ...affinities.filter(a => pairingOf(a.related_product_id)?.action !== 'pin')
+            .map(a => ({ id: a.related_product_id, affinity: a })),
+        ...pairings.filter(p => p.action === 'suppress' && !affinities.some(a => a.related_product_id === p.related_product_id))
+            .map(p => ({ id: p.related_product_id }))
+    ];
+
+    list.innerHTML = rows.length ? rows.map(({ id, affinity }) => {
+        const action = pairingOf(id)?.action;
+        const detail = affinity
+            ? `${Math.round(affinity.score * 100)}% degli ordini · ${affinity.co_orders} ordini insieme`
+            : '';
+        const badge = action === 'pin'
+            ? '<span class="status-badge status-active">📌 Fissato</span>'
+            : action === 'suppress' ? '<span class="status-badge status-inactive">🚫 Escluso</span>' : '';
+        const buttons = action
+            ? `<button type="button" class="btn-add-size" onclick="resetProductPairing('${id}')">${action === 'pin' ? 'Rimuovi' : 'Ripristina'}</button>`
+            : `<button type="button" class="btn-add-size" onclick="setProductPairing('${id}', 'pin')">📌 Fissa</button>
+               <button type="button" class="btn-add-size" onclick="setProductPairing('${id}', 'suppress')">🚫 Escludi</button>`;
+
+        return `
+            <div class="pairing-row">
+                <div class="pairing-info">
+                    <strong>${productName(id)}</strong> ${badge}
+                    ${detail ? `<small>${detail}</small>` : ''}
+                </div>
+                <div class="pairing-actions">${buttons}</div>
+            </div>
+        `;
+    }).join('') : '<p class="form-hint">Nessun dato ancora: verranno proposti prodotti della stessa categoria.</p>';
+
+    const pinned = new Set(pairings.filter(p => p.action === 'pin').map(p => p.related_product_id));
+    document.getElementById('pairingProductSelect').innerHTML = '<option value="">Fissa un altro prodotto...</option>' +
+        products
+            .filter(p => p.id !== productId && !pinned.has(p.id))
+            .map(p => `<option value="${p.id}">${p.name}</option>`)
+            .join('');
+}
+
+window.setProductPairing = async function(relatedProductId, action) {
+    const { productId, pairings } = productPairings;
+    if (!productId || !relatedProductId) return;
+
+    const { error } = await supabase
+        .from('product_pairings')
+        .upsert({
+            product_id: productId,
+            related_product_id: relatedProductId,
+            action,
+            position: action === 'pin' ? pairings.filter(p => p.action === 'pin').length : 0,
+            created_by: currentUser?.id || null
+        }, { onConflict: 'product_id,related_product_id' });
+
+    if (error) {
+        console.error('Save product pairing error:', error);
+        showToast('Errore nel salvataggio dell\'abbinamento', 'error');
+        return;
+    }
+
+    showToast(action === 'pin' ? 'Prodotto fissato' : 'Abbinamento escluso');
+    loadProductPairings(productId);
+};
+
+window.resetProductPairing = async function(relatedProductId) {
+    const { productId } = productPairings;
+    const { error } = await supabase
+        .from('product_pairings')
+        .delete()
+        .eq('product_id', productId)
+        .eq('related_product_id', relatedProductId);
+
+    if (error) {
+        console.error('Delete product pairing error:', error);
+        showToast('Errore nel salvataggio dell\'abbinamento', 'error');
+        return;
+    }
+
+    showToast('Abbinamento ripristinato');
+    loadProductPairings(productId);
+};
+
 function openProductModal(product = null) {
     const modal = document.getElementById('productModal');
     const form = document.getElementById('productForm');
     const title = document.getElementById('modalTitle');
 
+    const regionList = document.getElementById('originRegionList');
+    if (!regionList.children.length) {
+        regionList.innerHTML = ORIGIN_REGIONS.map(r => `<option value="${r}"></option>`).join('');
+    }
+
     form.reset();
     document.getElementById('productError').textContent = '';
 
@@ -640,7 +1005,11 @@ function openProductModal(product = null) {
         document.getElementById('productSlug').value = product.slug;
         document.getElementById('productDescription').value = product.description || '';
         document.getElementById('productPrice').value = product.price;
-        document.getElementById('productSalePrice').value = product.sale_price || '';
+        // A scheduled price is applied on top: the field is the admin's own sale price
+        document.getElementById('productSalePrice').value = product.sale_schedule_id
+            ? (product.manual_sale_price || '')
+            : (product.sale_price || '');
+        renderScheduledPriceHint(product);
         document.getElementById('productGender').value = product.gender || '';
         document.getElementById('productPageType').value = product.page_type || '';
         document.getElementById('productCategory').value = product.category_id || '';
@@ -648,6 +1017,15 @@ function openProductModal(product = null) {
         document.getElementById('productFeatured').checked = product.is_featured;
         document.getElementById('productSeasonal').checked = product.is_seasonal || false;
         document.getElementById('productNew').checked = product.is_new || false;
+        document.getElementById('productSubscriptionBox').checked = product.is_subscription_box || false;
+        document.getElementById('productProducer').value = product.producer || '';
+        document.getElementById('productOriginFarm').value = product.origin_farm || '';
+        document.getElementById('productOriginRegion').value = product.origin_region || '';
+        setProductCertifications(product.certifications || []);
+        renderSeasonMonthPickers(product.season_months || [], product.peak_months || []);
+        document.getElementById('productHideOutOfSeason').checked = product.hide_out_of_season !== false;
+        renderFoodInformation(product);
+        loadProductPairings(product.id);
         document.getElementById('productImages').value = (product.images || []).join('\n');
         document.getElementById('productColors').value = (product.colors || []).join(', ');
         
@@ -668,7 +1046,17 @@ function openProductModal(product = null) {
         document.getElementById('productActive').checked = true;
         document.getElementById('productSeasonal').checked = false;
         document.getElementById('productNew').checked = false;
+        document.getElementById('productSubscriptionBox').checked = false;
+        document.getElementById('productProducer').value = '';
+        document.getElementById('productOriginFarm').value = '';
+        document.getElementById('productOriginRegion').value = '';
+        setProductCertifications([]);
+        renderSeasonMonthPickers();
+        document.getElementById('productHideOutOfSeason').checked = true;
+        renderFoodInformation();
+        loadProductPairings(null);
         document.getElementById('productPageType').value = '';
+        renderScheduledPriceHint(null);
         
         // Reset weight inventory to defaults
         resetWeightInventory();
@@ -748,7 +1136,7 @@ async function loadInventoryVariants(productId) {
     try {
         const { data, error } = await supabase
             .from('weight_inventory')
-            .select('weight_grams, quantity, net_weight_grams, gross_weight_grams, variant_name')
+            .select('weight_grams, quantity, net_weight_grams, gross_weight_grams, variant_name, lot_number, harvest_date')
             .eq('product_id', productId)
             .order('weight_grams');
         
@@ -756,7 +1144,7 @@ async function loadInventoryVariants(productId) {
         
         if (data && data.length > 0) {
             data.forEach(row => {
-                addInventoryVariantRow(row.weight_grams, row.quantity, row.net_weight_grams, row.gross_weight_grams, row.variant_name || '');
+                addInventoryVariantRow(row.weight_grams, row.quantity, row.net_weight_grams, row.gross_weight_grams, row.variant_name || '', row.lot_number || '', row.harvest_date || '');
             });
         } else {
             // No inventory - add default variant
@@ -788,7 +1176,7 @@ function resetInventoryVariants() {
     setTimeout(() => updateUnitMeasureLabels(), 50);
 }
 
-function addInventoryVariantRow(weightGrams, qty, netWeightGrams = null, grossWeightGrams = null, variantName = '') {
+function addInventoryVariantRow(weightGrams, qty, netWeightGrams = null, grossWeightGrams = null, variantName = '', lotNumber = '', harvestDate = '') {
     const grid = document.getElementById('inventoryVariantsGrid');
     const row = document.createElement('div');
     row.className = 'inventory-row';
@@ -821,6 +1209,10 @@ function addInventoryVariantRow(weightGrams, qty, netWeightGrams = null, grossWe
         <input type="number" class="gross-weight-input" min="0" step="${isPieces ? '1' : '0.01'}" value="${grossDisplay}" placeholder="-">
         <input type="number" class="stock-input ${qtyClass}" min="0" value="${qty}" onchange="checkStockLevel(this)" placeholder="0">
         <button type="button" class="btn-remove-row" onclick="removeInventoryRow(this)">×</button>
+        <div class="inventory-batch">
+            <input type="text" class="lot-number-input" value="${lotNumber || ''}" placeholder="Lotto (es. L2025-041)">
+            <input type="date" class="harvest-date-input" value="${harvestDate || ''}" title="Data di raccolta">
+        </div>
     `;
     grid.appendChild(row);
 }
@@ -996,6 +1388,8 @@ function getWeightInventoryData() {
         const qtyInput = row.querySelector('.stock-input');
         const netInput = row.querySelector('.net-weight-input');
         const grossInput = row.querySelector('.gross-weight-input');
+        const lotInput = row.querySelector('.lot-number-input');
+        const harvestInput = row.querySelector('.harvest-date-input');
         
         const variantName = variantNameInput?.value?.trim() || '';
         const displayValue = parseFloat(weightInput?.value) || 0;
@@ -1021,7 +1415,9 @@ function getWeightInventoryData() {
                 quantity: qty,
                 net_weight_grams: netGrams,
                 gross_weight_grams: grossGrams,
-                variant_name: variantName || null
+                variant_name: variantName || null,
+                lot_number: lotInput?.value?.trim() || null,
+                harvest_date: harvestInput?.value || null
             });
             totalQty += qty;
         }
@@ -1350,6 +1746,11 @@ async function handleProductSubmit(e) {
     const { weightInventory, totalQty } = getWeightInventoryData();
     
     const unitMeasure = document.getElementById('productUnitMeasure').value || 'kg';
+
+    const season = normalizeSeasonMonths(
+        getSelectedMonths('productSeasonMonths'),
+        getSelectedMonths('productPeakMonths')
+    );
     
     const productData = {
         name: document.getElementById('productName').value.trim(),
@@ -1365,6 +1766,15 @@ async function handleProductSubmit(e) {
         is_featured: document.getElementById('productFeatured').checked,
         is_seasonal: isSeasonal,
         is_new: document.getElementById('productNew').checked,
+        is_subscription_box: document.getElementById('productSubscriptionBox').checked,
+        producer: document.getElementById('productProducer').value.trim() || null,
+        origin_farm: document.getElementById('productOriginFarm').value.trim() || null,
+        origin_region: document.getElementById('productOriginRegion').value.trim() || null,
+        certifications: Array.from(document.querySelectorAll('#productForm input[data-cert]:checked')).map(el => el.dataset.cert),
+        season_months: season.season_months,
+        peak_months: season.peak_months,
+        hide_out_of_season: document.getElementById('productHideOutOfSeason').checked,
+        ...getFoodInformationData(),
         images: document.getElementById('productImages').value.split('\n').map(s => s.trim()).filter(Boolean),
         colors: document.getElementById('productColors').value.split(',').map(s => s.trim()).filter(Boolean),
         search_keywords: getKeywordsArray(),
@@ -1444,7 +1854,9 @@ async function saveWeightInventory(productId, weightInventory) {
                 quantity: item.quantity,
                 net_weight_grams: item.net_weight_grams || null,
                 gross_weight_grams: item.gross_weight_grams || null,
-                variant_name: item.variant_name || null
+                variant_name: item.variant_name || null,
+                lot_number: item.lot_number || null,
+                harvest_date: item.harvest_date || null
             }));
             
             const { error } = await supabase
@@ -1734,1545 +2146,3755 @@ async function deleteCategory(id) {
     }
 }
 
-// Mobile View Toggle
-function setupMobileViewToggle() {
-    const toggleBtn = document.getElementById('viewToggleBtn');
-    const productsSection = document.getElementById('productsSection');
-    
-    // Set card view as default on mobile
-    const isMobile = window.innerWidth <= 768;
-    if (isMobile && productsSection && toggleBtn) {
-        productsSection.classList.add('show-cards-mobile');
-        toggleBtn.classList.add('active');
-        toggleBtn.innerHTML = '📋 Vista Tabella';
+// Delivery Slots
+async function loadDeliverySlots() {
+    try {
+        // Keep yesterday's slots visible so late deliveries can still be checked
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const { data, error } = await supabase
+            .from('delivery_slots')
+            .select('*')
+            .gte('slot_date', since)
+            .order('slot_date')
+            .order('start_time');
+
+        if (error) throw error;
+        deliverySlots = data || [];
+        renderDeliverySlots(deliverySlots);
+    } catch (err) {
+        console.error('Load delivery slots error:', err);
+        showToast('Errore nel caricamento delle fasce', 'error');
     }
-    
-    toggleBtn?.addEventListener('click', () => {
-        productsSection?.classList.toggle('show-cards-mobile');
-        toggleBtn.classList.toggle('active');
-        
-        if (productsSection?.classList.contains('show-cards-mobile')) {
-            toggleBtn.innerHTML = '📋 Vista Tabella';
-        } else {
-            toggleBtn.innerHTML = '📱 Vista Card';
-        }
-    });
 }
 
-// Table Scroll Indicators
-function setupTableScrollIndicators() {
-    const tableContainers = document.querySelectorAll('.table-container');
-    
-    tableContainers.forEach(container => {
-        const checkScroll = () => {
-            const hasScroll = container.scrollWidth > container.clientWidth;
-            const isScrolledEnd = container.scrollLeft + container.clientWidth >= container.scrollWidth - 5;
-            
-            container.classList.toggle('has-scroll', hasScroll);
-            container.classList.toggle('scrolled-end', isScrolledEnd);
-        };
-        
-        container.addEventListener('scroll', checkScroll);
-        window.addEventListener('resize', checkScroll);
-        
-        // Initial check
-        setTimeout(checkScroll, 100);
-    });
-}
+function renderDeliverySlots(slotList) {
+    const tbody = document.getElementById('deliverySlotsTable');
 
-// Utilities
-function generateSlug(text) {
-    return text
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '');
+    if (slotList.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">Nessuna fascia programmata</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = slotList.map(slot => {
+        const full = slot.booked_count >= slot.capacity;
+        return `
+        <tr>
+            <td><strong>${deliverySlotService.formatDate(slot.slot_date)}</strong></td>
+            <td>${deliverySlotService.formatTimeRange(slot)}</td>
+            <td>${slot.label || '-'}</td>
+            <td><span class="status-badge ${full ? 'status-inactive' : 'status-active'}">${slot.booked_count} / ${slot.capacity}</span></td>
+            <td>${slot.cutoff_hours}h prima</td>
+            <td><span class="status-badge ${slot.is_active ? 'status-active' : 'status-inactive'}">${slot.is_active ? 'Attiva' : 'Inattiva'}</span></td>
+            <td class="action-btns">
+                <button class="btn-edit" onclick="editDeliverySlot('${slot.id}')">Modifica</button>
+                <button class="btn-delete" onclick="confirmDeleteDeliverySlot('${slot.id}')">Elimina</button>
+            </td>
+        </tr>
+    `}).join('');
 }
 
-function closeDeleteModal() {
-    document.getElementById('deleteModal').classList.remove('active');
-    deleteCallback = null;
+function openDeliverySlotModal(slot = null) {
+    const modal = document.getElementById('deliverySlotModal');
+    const form = document.getElementById('deliverySlotForm');
+    const title = document.getElementById('deliverySlotModalTitle');
+
+    form.reset();
+    document.getElementById('deliverySlotError').textContent = '';
+
+    if (slot) {
+        title.textContent = 'Modifica Fascia';
+        document.getElementById('deliverySlotId').value = slot.id;
+        document.getElementById('deliverySlotDate').value = slot.slot_date;
+        document.getElementById('deliverySlotStart').value = slot.start_time.slice(0, 5);
+        document.getElementById('deliverySlotEnd').value = slot.end_time.slice(0, 5);
+        document.getElementById('deliverySlotCapacity').value = slot.capacity;
+        document.getElementById('deliverySlotCutoff').value = slot.cutoff_hours;
+        document.getElementById('deliverySlotLabel').value = slot.label || '';
+        document.getElementById('deliverySlotActive').checked = slot.is_active;
+        // Repeating only makes sense when creating
+        document.getElementById('deliverySlotRepeat').closest('.form-group').style.display = 'none';
+    } else {
+        title.textContent = 'Nuova Fascia';
+        document.getElementById('deliverySlotId').value = '';
+        document.getElementById('deliverySlotActive').checked = true;
+        document.getElementById('deliverySlotRepeat').closest('.form-group').style.display = '';
+    }
+
+    modal.classList.add('active');
 }
 
-window.closeDeleteModal = closeDeleteModal;
+window.closeDeliverySlotModal = function() {
+    document.getElementById('deliverySlotModal').classList.remove('active');
+};
 
-function showToast(message, type = 'success') {
-    const toast = document.getElementById('toast');
-    toast.textContent = message;
-    toast.className = `toast ${type} show`;
-    
-    setTimeout(() => {
-        toast.classList.remove('show');
-    }, 3000);
+window.editDeliverySlot = function(id) {
+    const slot = deliverySlots.find(s => s.id === id);
+    if (slot) openDeliverySlotModal(slot);
+};
+
+window.confirmDeleteDeliverySlot = function(id) {
+    const slot = deliverySlots.find(s => s.id === id);
+    if (!slot) return;
+    const booked = slot.booked_count > 0
+        ? ` Ci sono ${slot.booked_count} ordini prenotati: resteranno senza fascia.`
+        : '';
+    document.getElementById('deleteMessage').textContent =
+        `Sei sicuro di voler eliminare la fascia di ${deliverySlotService.formatSlot(slot)}?${booked}`;
+    deleteCallback = () => deleteDeliverySlot(id);
+    document.getElementById('deleteModal').classList.add('active');
+};
+
+async function handleDeliverySlotSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('deliverySlotError');
+    errorEl.textContent = '';
+
+    const id = document.getElementById('deliverySlotId').value;
+    const slotData = {
+        slot_date: document.getElementById('deliverySlotDate').value,
+        start_time: document.getElementById('deliverySlotStart').value,
+        end_time: document.getElementById('deliverySlotEnd').value,
+        capacity: parseInt(document.getElementById('deliverySlotCapacity').value),
+        cutoff_hours: parseInt(document.getElementById('deliverySlotCutoff').value),
+        label: document.getElementById('deliverySlotLabel').value.trim() || null,
+        is_active: document.getElementById('deliverySlotActive').checked
+    };
+
+    if (slotData.end_time <= slotData.start_time) {
+        errorEl.textContent = 'L\'orario di fine deve essere successivo all\'inizio.';
+        return;
+    }
+
+    try {
+        let result;
+        if (id) {
+            result = await supabase.from('delivery_slots').update(slotData).eq('id', id);
+        } else {
+            // Same window on the following weeks, for recurring rounds
+            const repeatWeeks = parseInt(document.getElementById('deliverySlotRepeat').value) || 0;
+            const rows = [];
+            for (let week = 0; week <= repeatWeeks; week++) {
+                const date = new Date(`${slotData.slot_date}T12:00:00`);
+                date.setDate(date.getDate() + week * 7);
+                rows.push({ ...slotData, slot_date: date.toISOString().slice(0, 10) });
+            }
+            result = await supabase.from('delivery_slots').insert(rows);
+        }
+
+        if (result.error) {
+            errorEl.textContent = result.error.message;
+            return;
+        }
+
+        closeDeliverySlotModal();
+        await loadDeliverySlots();
+        showToast(id ? 'Fascia aggiornata!' : 'Fascia creata!', 'success');
+    } catch (err) {
+        console.error('Save delivery slot error:', err);
+        errorEl.textContent = 'Errore nel salvataggio';
+    }
 }
 
-// ============================================
-// GIFT CARD ADMIN - SEARCH & MANAGEMENT
-// ============================================
+async function deleteDeliverySlot(id) {
+    try {
+        const { error } = await supabase.from('delivery_slots').delete().eq('id', id);
+        if (error) throw error;
 
-// Initialize Gift Card Admin UI
-function initGiftCardUI() {
-    // Search button
-    document.getElementById('gcSearchBtn')?.addEventListener('click', searchGiftCards);
-    
-    // Search on Enter
-    document.getElementById('gcSearchInput')?.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') searchGiftCards();
-    });
-    
-    // Status filter change
-    document.getElementById('gcStatusFilter')?.addEventListener('change', searchGiftCards);
+        await loadDeliverySlots();
+        showToast('Fascia eliminata!', 'success');
+    } catch (err) {
+        console.error('Delete delivery slot error:', err);
+        showToast('Errore nell\'eliminazione', 'error');
+    }
 }
 
-// Load gift card stats
-async function loadGiftCardStats() {
+// Search Synonyms
+async function loadSearchSynonyms() {
     try {
         const { data, error } = await supabase
-            .from('gift_cards')
-            .select('amount, is_redeemed, is_active, remaining_balance, expires_at');
+            .from('search_synonyms')
+            .select('*')
+            .order('term');
 
         if (error) throw error;
-
-        const now = new Date();
-        const stats = {
-            total: data.length,
-            totalValue: data.reduce((sum, gc) => sum + parseFloat(gc.amount || 0), 0),
-            redeemed: data.filter(gc => gc.is_redeemed).length,
-            active: data.filter(gc => !gc.is_redeemed && gc.is_active && (!gc.expires_at || new Date(gc.expires_at) > now)).length
-        };
-
-        document.getElementById('gcStatTotal').textContent = stats.total;
-        document.getElementById('gcStatValue').textContent = `€${stats.totalValue.toFixed(0)}`;
-        document.getElementById('gcStatRedeemed').textContent = stats.redeemed;
-        document.getElementById('gcStatActive').textContent = stats.active;
+        searchSynonyms = data || [];
+        renderSearchSynonyms(searchSynonyms);
     } catch (err) {
-        console.error('Error loading gift card stats:', err);
+        console.error('Load search synonyms error:', err);
+        showToast('Errore nel caricamento dei sinonimi', 'error');
     }
 }
 
-// Search gift cards
-async function searchGiftCards() {
-    const query = document.getElementById('gcSearchInput')?.value.trim() || '';
-    const status = document.getElementById('gcStatusFilter')?.value || '';
-    const resultsGrid = document.getElementById('gcResultsGrid');
-    const resultsCount = document.getElementById('gcResultsCount');
-
-    resultsGrid.innerHTML = '<p class="gc-no-results">Ricerca in corso...</p>';
+function renderSearchSynonyms(synonymList) {
+    const tbody = document.getElementById('searchSynonymsTable');
 
-    try {
-        let queryBuilder = supabase
-            .from('gift_cards')
-            .select('*');
+    if (synonymList.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="loading">Nessun sinonimo configurato</td></tr>';
+        return;
+    }
 
-        // Search by name or code
-        if (query) {
-            queryBuilder = queryBuilder.or(
-                `recipient_name.ilike.%${query}%,` +
-                `sender_name.ilike.%${query}%,` +
-                `purchaser_first_name.ilike.%${query}%,` +
-                `purchaser_last_name.ilike.%${query}%,` +
-                `code.ilike.%${query}%`
-            );
-        }
+    tbody.innerHTML = synonymList.map(row => `
+        <tr>
+            <td><strong>${row.term}</strong></td>
+            <td>${row.synonyms?.length ? row.synonyms.join(', ') : '-'}</td>
+            <td>${row.redirect_url ? `${row.redirect_emoji || ''} ${row.redirect_title || row.redirect_url}` : '-'}</td>
+            <td><span class="status-badge ${row.is_active ? 'status-active' : 'status-inactive'}">${row.is_active ? 'Attivo' : 'Inattivo'}</span></td>
+            <td class="action-btns">
+                <button class="btn-edit" onclick="editSearchSynonym('${row.id}')">Modifica</button>
+                <button class="btn-delete" onclick="confirmDeleteSearchSynonym('${row.id}')">Elimina</button>
+            </td>
+        </tr>
+    `).join('');
+}
 
-        // Filter by status
-        const now = new Date().toISOString();
-        if (status === 'redeemed') {
-            queryBuilder = queryBuilder.eq('is_redeemed', true);
-        } else if (status === 'active') {
-            queryBuilder = queryBuilder.eq('is_redeemed', false).eq('is_active', true);
-        } else if (status === 'expired') {
-            queryBuilder = queryBuilder.lt('expires_at', now);
-        }
+// Searches that found nothing: candidates for a new product or synonym
+async function loadZeroResultSearches() {
+    const tbody = document.getElementById('zeroResultSearchesTable');
+    const days = parseInt(document.getElementById('zeroResultDaysFilter').value);
 
-        const { data, error } = await queryBuilder
-            .order('created_at', { ascending: false })
-            .limit(50);
+    const { searches, error } = await searchService.getZeroResultSearches(days);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
 
-        if (error) throw error;
+    if (searches.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="loading">Tutte le ricerche hanno trovato qualcosa 🎉</td></tr>';
+        return;
+    }
 
-        resultsCount.textContent = `(${data?.length || 0})`;
+    tbody.innerHTML = searches.map(row => `
+        <tr>
+            <td><strong>${row.query}</strong></td>
+            <td>${row.shoppers}</td>
+            <td>${row.searches}</td>
+            <td>${new Date(row.last_searched_at).toLocaleDateString('it-IT')}</td>
+            <td class="action-btns">
+                <button class="btn-edit" onclick="addSynonymForSearch('${row.query}')">+ Sinonimo</button>
+                <button class="btn-edit" onclick="addProductForSearch('${row.query}')">+ Prodotto</button>
+            </td>
+        </tr>
+    `).join('');
+}
 
-        if (!data || data.length === 0) {
-            resultsGrid.innerHTML = '<p class="gc-no-results">Nessuna gift card trovata</p>';
-            return;
-        }
+window.addSynonymForSearch = function(query) {
+    openSearchSynonymModal();
+    document.getElementById('searchSynonymTerm').value = query;
+    document.getElementById('searchSynonymList').focus();
+};
 
-        resultsGrid.innerHTML = data.map(gc => {
-            const isExpired = gc.expires_at && new Date(gc.expires_at) < new Date();
-            const statusClass = gc.is_redeemed ? 'redeemed' : isExpired ? 'expired' : 'active';
-            const statusText = gc.is_redeemed ? 'Riscattata' : isExpired ? 'Scaduta' : 'Attiva';
-            const style = gc.template || gc.style || 'elegant';
+window.addProductForSearch = function(query) {
+    openProductModal();
+    document.getElementById('productName').value = query.charAt(0).toUpperCase() + query.slice(1);
+    document.getElementById('productSlug').value = generateSlug(query);
+};
 
-            return `
-                <div class="gc-result-item" onclick="showGcDetail('${gc.id}')">
-                    <div class="gc-result-preview ${style}">
-                        <div class="gc-logo">Mimmo Fratelli</div>
-                        <div class="gc-amount">€${gc.amount}</div>
-                        <div class="gc-code">${gc.code}</div>
-                    </div>
-                    <div class="gc-result-info">
-                        <div class="gc-result-row">
-                            <span class="gc-result-label">Destinatario</span>
-                            <span class="gc-result-value">${gc.recipient_name}</span>
-                        </div>
-                        <div class="gc-result-row">
-                            <span class="gc-result-label">Da</span>
-                            <span class="gc-result-value">${gc.sender_name}</span>
-                        </div>
-                        <div class="gc-result-row">
-                            <span class="gc-result-label">Stato</span>
-                            <span class="gc-status ${statusClass}">${statusText}</span>
-                        </div>
-                        <div class="gc-result-row">
-                            <span class="gc-result-label">Credito Rimanente</span>
-                            <span class="gc-result-value">€${gc.remaining_balance || gc.amount}</span>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
-    } catch (err) {
-        console.error('Search gift cards error:', err);
-        resultsGrid.innerHTML = '<p class="gc-no-results">Errore nella ricerca</p>';
+function openSearchSynonymModal(row = null) {
+    const modal = document.getElementById('searchSynonymModal');
+    const form = document.getElementById('searchSynonymForm');
+    const title = document.getElementById('searchSynonymModalTitle');
+
+    form.reset();
+    document.getElementById('searchSynonymError').textContent = '';
+
+    if (row) {
+        title.textContent = 'Modifica Sinonimo';
+        document.getElementById('searchSynonymId').value = row.id;
+        document.getElementById('searchSynonymTerm').value = row.term;
+        document.getElementById('searchSynonymList').value = (row.synonyms || []).join(', ');
+        document.getElementById('searchSynonymUrl').value = row.redirect_url || '';
+        document.getElementById('searchSynonymTitle').value = row.redirect_title || '';
+        document.getElementById('searchSynonymDescription').value = row.redirect_description || '';
+        document.getElementById('searchSynonymEmoji').value = row.redirect_emoji || '';
+        document.getElementById('searchSynonymActive').checked = row.is_active;
+    } else {
+        title.textContent = 'Nuovo Sinonimo';
+        document.getElementById('searchSynonymId').value = '';
+        document.getElementById('searchSynonymActive').checked = true;
     }
+
+    modal.classList.add('active');
 }
 
-// Show gift card detail
-async function showGcDetail(gcId) {
-    const modal = document.getElementById('gcDetailModal');
-    const body = document.getElementById('gcDetailBody');
+window.closeSearchSynonymModal = function() {
+    document.getElementById('searchSynonymModal').classList.remove('active');
+};
+
+window.editSearchSynonym = function(id) {
+    const row = searchSynonyms.find(s => s.id === id);
+    if (row) openSearchSynonymModal(row);
+};
+
+window.confirmDeleteSearchSynonym = function(id) {
+    const row = searchSynonyms.find(s => s.id === id);
+    if (!row) return;
+    document.getElementById('deleteMessage').textContent =
+        `Sei sicuro di voler eliminare "${row.term}" dai sinonimi di ricerca?`;
+    deleteCallback = () => deleteSearchSynonym(id);
+    document.getElementById('deleteModal').classList.add('active');
+};
+
+async function handleSearchSynonymSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('searchSynonymError');
+    errorEl.textContent = '';
+
+    const id = document.getElementById('searchSynonymId').value;
+    const synonymData = {
+        term: document.getElementById('searchSynonymTerm').value.trim().toLowerCase(),
+        synonyms: parseSynonymList(document.getElementById('searchSynonymList').value),
+        redirect_url: document.getElementById('searchSynonymUrl').value.trim() || null,
+        redirect_title: document.getElementById('searchSynonymTitle').value.trim() || null,
+        redirect_description: document.getElementById('searchSynonymDescription').value.trim() || null,
+        redirect_emoji: document.getElementById('searchSynonymEmoji').value.trim() || null,
+        is_active: document.getElementById('searchSynonymActive').checked
+    };
+
+    if (!synonymData.synonyms.length && !synonymData.redirect_url) {
+        errorEl.textContent = 'Inserisci almeno un sinonimo o una pagina di destinazione.';
+        return;
+    }
 
     try {
-        const { data: gc, error } = await supabase
-            .from('gift_cards')
-            .select('*')
-            .eq('id', gcId)
-            .single();
+        const result = id
+            ? await supabase.from('search_synonyms').update(synonymData).eq('id', id)
+            : await supabase.from('search_synonyms').insert(synonymData);
 
-        if (error) throw error;
+        if (result.error) {
+            errorEl.textContent = result.error.code === '23505'
+                ? 'Questo termine è già presente.'
+                : result.error.message;
+            return;
+        }
 
-        const isExpired = gc.expires_at && new Date(gc.expires_at) < new Date();
-        const statusClass = gc.is_redeemed ? 'redeemed' : isExpired ? 'expired' : 'active';
-        const statusText = gc.is_redeemed ? 'Riscattata' : isExpired ? 'Scaduta' : 'Attiva';
-        const style = gc.template || gc.style || 'elegant';
-        const usedAmount = parseFloat(gc.amount) - parseFloat(gc.remaining_balance || gc.amount);
-        
-        // Generate QR code URL
-        const redeemUrl = `${window.location.origin}/redeem.html?token=${gc.qr_code_token}`;
-        const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${encodeURIComponent(redeemUrl)}`;
+        closeSearchSynonymModal();
+        await loadSearchSynonyms();
+        showToast(id ? 'Sinonimo aggiornato!' : 'Sinonimo creato!', 'success');
+    } catch (err) {
+        console.error('Save search synonym error:', err);
+        errorEl.textContent = 'Errore nel salvataggio';
+    }
+}
 
-        body.innerHTML = `
-            <div class="gc-detail-header">
-                <div class="gc-detail-preview ${style}">
-                    <div class="gc-pattern"></div>
-                    <div class="gc-header">
-                        <div class="gc-logo">Mimmo Fratelli</div>
-                        <div class="gc-badge">GIFT CARD</div>
-                    </div>
-                    <div class="gc-amount" style="${style === 'elegant' ? 'color:#e6c347' : style === 'minimal' ? 'color:#a83f39' : ''}">€${gc.amount}</div>
-                    <div class="gc-recipient">
-                        <span class="gc-label">Per</span>
-                        <span class="gc-name">${gc.recipient_name}</span>
-                    </div>
-                    ${gc.message ? `<div class="gc-message">${gc.message}</div>` : ''}
-                    <div class="gc-footer">
-                        <div class="gc-from">
-                            <span class="gc-label">Da</span>
-                            <span>${gc.sender_name}</span>
-                        </div>
-                        <div class="gc-code">${gc.code}</div>
-                    </div>
-                </div>
-                
-                ${gc.qr_code_token ? `
-                <div class="gc-detail-qr">
-                    <img src="${qrUrl}" alt="QR Code">
-                    <p>QR Code per riscatto</p>
-                </div>
-                ` : ''}
-            </div>
-            
-            <div class="gc-detail-info">
-                <div class="gc-detail-grid">
-                    <div class="gc-detail-field">
-                        <label>Codice</label>
-                        <span style="font-family:monospace">${gc.code}</span>
-                    </div>
-                    <div class="gc-detail-field">
-                        <label>Stato</label>
-                        <span class="gc-status ${statusClass}">${statusText}</span>
-                    </div>
-                    <div class="gc-detail-field">
-                        <label>Destinatario</label>
-                        <span>${gc.recipient_name}</span>
-                    </div>
-                    <div class="gc-detail-field">
-                        <label>Email</label>
-                        <span>${gc.recipient_email}</span>
-                    </div>
-                    <div class="gc-detail-field">
-                        <label>Mittente</label>
-                        <span>${gc.sender_name}</span>
-                    </div>
-                    <div class="gc-detail-field">
-                        <label>Data Creazione</label>
-                        <span>${new Date(gc.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long', year: 'numeric' })}</span>
-                    </div>
-                    ${gc.expires_at ? `
-                    <div class="gc-detail-field">
-                        <label>Scadenza</label>
-                        <span>${new Date(gc.expires_at).toLocaleDateString('it-IT')}</span>
-                    </div>
-                    ` : ''}
-                    ${gc.is_redeemed ? `
-                    <div class="gc-detail-field">
-                        <label>Riscattata il</label>
-                        <span>${new Date(gc.redeemed_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
-                    </div>
-                    ` : ''}
-                    ${gc.message ? `
-                    <div class="gc-detail-field full">
-                        <label>Messaggio</label>
-                        <span>"${gc.message}"</span>
-                    </div>
-                    ` : ''}
-                </div>
-                
-                <div class="gc-credit-info">
-                    <h4>💰 Riepilogo Credito</h4>
-                    <div class="gc-credit-values">
-                        <div class="gc-credit-item">
-                            <span class="value">€${gc.amount}</span>
-                            <span class="label">Valore Iniziale</span>
-                        </div>
-                        <div class="gc-credit-item">
-                            <span class="value">€${usedAmount.toFixed(2)}</span>
-                            <span class="label">Utilizzato</span>
-                        </div>
-                        <div class="gc-credit-item">
-                            <span class="value">€${gc.remaining_balance || gc.amount}</span>
-                            <span class="label">Rimanente</span>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+async function deleteSearchSynonym(id) {
+    try {
+        const { error } = await supabase.from('search_synonyms').delete().eq('id', id);
+        if (error) throw error;
 
-        modal.style.display = 'flex';
+        await loadSearchSynonyms();
+        showToast('Sinonimo eliminato!', 'success');
     } catch (err) {
-        console.error('Error loading gift card detail:', err);
-        showToast('Errore nel caricamento dei dettagli', 'error');
+        console.error('Delete search synonym error:', err);
+        showToast('Errore nell\'eliminazione', 'error');
     }
 }
 
-// Close gift card detail modal
-window.closeGcDetail = function() {
-    document.getElementById('gcDetailModal').style.display = 'none';
-};
+// Recipes
+async function loadRecipes() {
+    try {
+        const { data, error } = await supabase
+            .from('recipes')
+            .select('*, recipe_ingredients(*)')
+            .order('created_at', { ascending: false });
 
-// Load gift cards when navigating to section
-async function loadGiftCards() {
-    await loadGiftCardStats();
-    // Don't auto-search, let user search manually
+        if (error) throw error;
+        recipes = data || [];
+        renderRecipes();
+    } catch (err) {
+        console.error('Load recipes error:', err);
+        showToast('Errore nel caricamento delle ricette', 'error');
+    }
 }
 
-// Initialize gift card UI when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(initGiftCardUI, 100);
-});
+function renderRecipes() {
+    const tbody = document.getElementById('recipesTable');
 
-// ============================================
-// ANALYTICS - REAL-TIME USER TRACKING
-// ============================================
+    if (recipes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="loading">Nessuna ricetta</td></tr>';
+        return;
+    }
 
-let analyticsPollingInterval = null;
+    tbody.innerHTML = recipes.map(recipe => {
+        const ingredients = recipe.recipe_ingredients || [];
+        const linked = ingredients.filter(i => i.product_id).length;
+        return `
+            <tr>
+                <td><strong>${escapeHtml(recipe.title)}</strong><br><small>${escapeHtml(recipe.slug)}</small></td>
+                <td>${ingredients.length}</td>
+                <td>${linked}</td>
+                <td><span class="status-badge ${recipe.is_published ? 'status-active' : 'status-inactive'}">${recipe.is_published ? 'Pubblicata' : 'Bozza'}</span></td>
+                <td class="action-btns">
+                    <a class="btn-edit" href="../recipe.html?slug=${encodeURIComponent(recipe.slug)}" target="_blank">Vedi</a>
+                    <button class="btn-edit" onclick="editRecipe('${recipe.id}')">Modifica</button>
+                    <button class="btn-delete" onclick="confirmDeleteRecipe('${recipe.id}')">Elimina</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
 
-// Load analytics data
-async function loadAnalyticsData() {
-    try {
-        // Total registered users - use profiles table directly (no RPC needed)
-        const { count: usersCount } = await supabase
-            .from('profiles')
-            .select('*', { count: 'exact', head: true });
-        document.getElementById('analyticsUsers').textContent = usersCount || 0;
+function addRecipeIngredientRow(ingredient = {}) {
+    const productOptions = [...products]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => `<option value="${p.id}" ${p.id === ingredient.product_id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+        .join('');
 
-        // Active users count
-        await updateActiveUsersCount();
+    const row = document.createElement('div');
+    row.className = 'recipe-ingredient-row';
+    row.innerHTML = `
+        <input type="text" class="ingredient-name" placeholder="Ingrediente" value="${escapeHtml(ingredient.name || '')}">
+        <input type="text" class="ingredient-amount" placeholder="Dose (es. 400 g)" value="${escapeHtml(ingredient.amount || '')}">
+        <select class="ingredient-product">
+            <option value="">Nessun prodotto</option>
+            ${productOptions}
+        </select>
+        <input type="number" class="ingredient-grams" min="1" step="1" placeholder="Grammi" value="${ingredient.weight_grams || ''}">
+        <input type="number" class="ingredient-quantity" min="1" max="10" step="1" title="Confezioni" value="${ingredient.quantity || 1}">
+        <label class="ingredient-optional" title="Facoltativo">
+            <input type="checkbox" ${ingredient.is_optional ? 'checked' : ''}> Facoltativo
+        </label>
+        <button type="button" class="btn-remove-size" title="Rimuovi">×</button>
+    `;
+    row.querySelector('.btn-remove-size').onclick = () => row.remove();
+
+    // Prefill the name from the product
+    row.querySelector('.ingredient-product').onchange = (e) => {
+        const nameInput = row.querySelector('.ingredient-name');
+        const product = products.find(p => p.id === e.target.value);
+        if (product && !nameInput.value.trim()) nameInput.value = product.name;
+        row.querySelector('.ingredient-grams').disabled = product?.unit_measure === 'pz';
+    };
+    row.querySelector('.ingredient-grams').disabled =
+        products.find(p => p.id === ingredient.product_id)?.unit_measure === 'pz';
 
-        // Total orders
-        const { count: ordersCount } = await supabase
-            .from('orders')
-            .select('*', { count: 'exact', head: true });
-        document.getElementById('analyticsOrders').textContent = ordersCount || 0;
+    document.getElementById('recipeIngredientRows').appendChild(row);
+}
 
-        // Total revenue - calculate from orders table directly
-        const { data: orders, error: ordersError } = await supabase
-            .from('orders')
-            .select('total, status');
-        const revenue = !ordersError && orders
-            ? orders.filter(o => o.status !== 'cancelled' && o.status !== 'refunded')
-                    .reduce((sum, o) => sum + parseFloat(o.total || 0), 0)
-            : 0;
-        document.getElementById('analyticsRevenue').textContent = `€${revenue.toFixed(0)}`;
+function getRecipeIngredientsData() {
+    return Array.from(document.querySelectorAll('#recipeIngredientRows .recipe-ingredient-row'))
+        .map((row, position) => {
+            const productId = row.querySelector('.ingredient-product').value || null;
+            const grams = parseInt(row.querySelector('.ingredient-grams').value);
+            const quantity = parseInt(row.querySelector('.ingredient-quantity').value);
+            const isPieceBased = products.find(p => p.id === productId)?.unit_measure === 'pz';
+            return {
+                position,
+                name: row.querySelector('.ingredient-name').value.trim(),
+                amount: row.querySelector('.ingredient-amount').value.trim() || null,
+                product_id: productId,
+                weight_grams: productId && !isPieceBased && grams > 0 ? grams : null,
+                quantity: quantity > 0 ? Math.min(10, quantity) : 1,
+                is_optional: row.querySelector('.ingredient-optional input').checked
+            };
+        })
+        .filter(ingredient => ingredient.name);
+}
 
-        // New users stats
-        await loadNewUsersStats();
+function openRecipeModal(recipe = null) {
+    const form = document.getElementById('recipeForm');
+    form.reset();
+    document.getElementById('recipeError').textContent = '';
+    document.getElementById('recipeDifficulty').innerHTML = Object.entries(RECIPE_DIFFICULTIES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    document.getElementById('recipeIngredientRows').innerHTML = '';
+
+    if (recipe) {
+        document.getElementById('recipeModalTitle').textContent = 'Modifica Ricetta';
+        document.getElementById('recipeId').value = recipe.id;
+        document.getElementById('recipeTitle').value = recipe.title;
+        document.getElementById('recipeSlug').value = recipe.slug;
+        document.getElementById('recipeSummary').value = recipe.summary || '';
+        document.getElementById('recipeServings').value = recipe.servings || '';
+        document.getElementById('recipePrepMinutes').value = recipe.prep_minutes ?? '';
+        document.getElementById('recipeCookMinutes').value = recipe.cook_minutes ?? '';
+        document.getElementById('recipeDifficulty').value = recipe.difficulty || 'facile';
+        document.getElementById('recipeImages').value = (recipe.images || []).join('\n');
+        document.getElementById('recipeSteps').value = formatRecipeSteps(recipe.steps);
+        document.getElementById('recipePublished').checked = recipe.is_published;
+        [...(recipe.recipe_ingredients || [])]
+            .sort((a, b) => a.position - b.position)
+            .forEach(ingredient => addRecipeIngredientRow(ingredient));
+    } else {
+        document.getElementById('recipeModalTitle').textContent = 'Nuova Ricetta';
+        document.getElementById('recipeId').value = '';
+        addRecipeIngredientRow();
+    }
 
-        // Orders today
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const { count: ordersToday } = await supabase
-            .from('orders')
-            .select('*', { count: 'exact', head: true })
-            .gte('created_at', today.toISOString());
-        document.getElementById('ordersToday').textContent = ordersToday || 0;
+    document.getElementById('recipeModal').classList.add('active');
+}
 
-    } catch (err) {
-        console.error('Analytics error:', err);
+window.closeRecipeModal = function() {
+    document.getElementById('recipeModal').classList.remove('active');
+};
+
+window.editRecipe = function(id) {
+    const recipe = recipes.find(r => r.id === id);
+    if (recipe) openRecipeModal(recipe);
+};
+
+window.confirmDeleteRecipe = function(id) {
+    const recipe = recipes.find(r => r.id === id);
+    if (!recipe) return;
+    document.getElementById('deleteMessage').textContent = `Sei sicuro di voler eliminare la ricetta "${recipe.title}"?`;
+    deleteCallback = () => deleteRecipe(id);
+    document.getElementById('deleteModal').classList.add('active');
+};
+
+async function handleRecipeSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('recipeError');
+    errorEl.textContent = '';
+
+    const id = document.getElementById('recipeId').value;
+    const toInt = (elId) => {
+        const value = parseInt(document.getElementById(elId).value);
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    const recipeData = {
+        title: document.getElementById('recipeTitle').value.trim(),
+        slug: document.getElementById('recipeSlug').value.trim(),
+        summary: document.getElementById('recipeSummary').value.trim() || null,
+        servings: toInt('recipeServings') || null,
+        prep_minutes: toInt('recipePrepMinutes'),
+        cook_minutes: toInt('recipeCookMinutes'),
+        difficulty: document.getElementById('recipeDifficulty').value,
+        images: document.getElementById('recipeImages').value.split('\n').map(s => s.trim()).filter(Boolean),
+        steps: parseRecipeSteps(document.getElementById('recipeSteps').value),
+        is_published: document.getElementById('recipePublished').checked
+    };
+    const ingredients = getRecipeIngredientsData();
+
+    if (recipeData.is_published && (!ingredients.length || !recipeData.steps.length)) {
+        errorEl.textContent = 'Per pubblicare servono almeno un ingrediente e un passaggio.';
+        return;
     }
-}
 
-// Load new users statistics - uses profiles table directly (no RPC needed)
-async function loadNewUsersStats() {
     try {
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const weekStart = new Date(now);
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        const result = id
+            ? await supabase.from('recipes').update(recipeData).eq('id', id).select('id').single()
+            : await supabase.from('recipes').insert(recipeData).select('id').single();
 
-        const [todayResult, weekResult, monthResult] = await Promise.all([
-            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', todayStart.toISOString()),
-            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', weekStart.toISOString()),
-            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', monthStart.toISOString())
-        ]);
+        if (result.error) {
+            errorEl.textContent = result.error.code === '23505'
+                ? 'Esiste già una ricetta con questo slug.'
+                : result.error.message;
+            return;
+        }
 
-        document.getElementById('newUsersToday').textContent = todayResult.count || 0;
-        document.getElementById('newUsersWeek').textContent = weekResult.count || 0;
-        document.getElementById('newUsersMonth').textContent = monthResult.count || 0;
+        // Ingredient lines are replaced as a whole
+        const recipeId = result.data.id;
+        const { error: deleteError } = await supabase.from('recipe_ingredients').delete().eq('recipe_id', recipeId);
+        if (deleteError) throw deleteError;
+
+        if (ingredients.length) {
+            const { error: insertError } = await supabase
+                .from('recipe_ingredients')
+                .insert(ingredients.map(ingredient => ({ ...ingredient, recipe_id: recipeId })));
+            if (insertError) throw insertError;
+        }
+
+        closeRecipeModal();
+        await loadRecipes();
+        showToast(id ? 'Ricetta aggiornata!' : 'Ricetta creata!', 'success');
     } catch (err) {
-        console.error('New users stats error:', err);
-        document.getElementById('newUsersToday').textContent = '0';
-        document.getElementById('newUsersWeek').textContent = '0';
-        document.getElementById('newUsersMonth').textContent = '0';
+        console.error('Save recipe error:', err);
+        errorEl.textContent = 'Errore nel salvataggio';
     }
 }
 
-// Update active users count - uses user_presence table directly (no RPC needed)
-async function updateActiveUsersCount() {
+async function deleteRecipe(id) {
     try {
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
-        const { count, error } = await supabase
-            .from('user_presence')
-            .select('session_id', { count: 'exact', head: true })
-            .gte('last_seen', fiveMinutesAgo);
-        
-        // If table doesn't exist, show 0
-        const activeCount = error ? 0 : (count || 0);
-        document.getElementById('analyticsActiveUsers').textContent = activeCount;
-        
-        // Update active users list
-        await updateActiveUsersList();
+        const { error } = await supabase.from('recipes').delete().eq('id', id);
+        if (error) throw error;
+
+        await loadRecipes();
+        showToast('Ricetta eliminata!', 'success');
     } catch (err) {
-        console.error('Active users count error:', err);
-        document.getElementById('analyticsActiveUsers').textContent = '0';
+        console.error('Delete recipe error:', err);
+        showToast('Errore nell\'eliminazione', 'error');
     }
 }
 
-// Update active users list - uses user_presence table directly (no RPC needed)
-async function updateActiveUsersList() {
-    const listEl = document.getElementById('activeUsersList');
+// Mobile View Toggle
+function setupMobileViewToggle() {
+    const toggleBtn = document.getElementById('viewToggleBtn');
+    const productsSection = document.getElementById('productsSection');
     
-    try {
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
-        const { data: activeUsers, error } = await supabase
-            .from('user_presence')
-            .select('*')
-            .gte('last_seen', fiveMinutesAgo)
-            .order('last_seen', { ascending: false })
-            .limit(20);
-
-        // If table doesn't exist or no users, show empty message
-        if (error || !activeUsers || activeUsers.length === 0) {
-            listEl.innerHTML = '<p class="no-active-users">Nessun utente attivo al momento</p>';
-            return;
+    // Set card view as default on mobile
+    const isMobile = window.innerWidth <= 768;
+    if (isMobile && productsSection && toggleBtn) {
+        productsSection.classList.add('show-cards-mobile');
+        toggleBtn.classList.add('active');
+        toggleBtn.innerHTML = '📋 Vista Tabella';
+    }
+    
+    toggleBtn?.addEventListener('click', () => {
+        productsSection?.classList.toggle('show-cards-mobile');
+        toggleBtn.classList.toggle('active');
+        
+        if (productsSection?.classList.contains('show-cards-mobile')) {
+            toggleBtn.innerHTML = '📋 Vista Tabella';
+        } else {
+            toggleBtn.innerHTML = '📱 Vista Card';
         }
+    });
+}
 
-        listEl.innerHTML = activeUsers.map(user => {
-            const lastSeen = new Date(user.last_seen);
-            const timeAgo = getTimeAgo(lastSeen);
-            const userType = user.is_authenticated ? '👤 Registrato' : '👻 Ospite';
-            const page = user.page_url ? user.page_url.split('/').pop() || 'Home' : 'Sconosciuta';
+// Table Scroll Indicators
+function setupTableScrollIndicators() {
+    const tableContainers = document.querySelectorAll('.table-container');
+    
+    tableContainers.forEach(container => {
+        const checkScroll = () => {
+            const hasScroll = container.scrollWidth > container.clientWidth;
+            const isScrolledEnd = container.scrollLeft + container.clientWidth >= container.scrollWidth - 5;
             
-            return `
-                <div class="active-user-item">
-                    <div class="active-user-status ${user.is_authenticated ? 'authenticated' : 'guest'}"></div>
-                    <div class="active-user-info">
-                        <span class="active-user-type">${userType}</span>
-                        <span class="active-user-page">📄 ${page}</span>
-                    </div>
-                    <span class="active-user-time">${timeAgo}</span>
-                </div>
-            `;
-        }).join('');
-    } catch (err) {
-        listEl.innerHTML = '<p class="no-active-users">Nessun utente attivo al momento</p>';
-    }
+            container.classList.toggle('has-scroll', hasScroll);
+            container.classList.toggle('scrolled-end', isScrolledEnd);
+        };
+        
+        container.addEventListener('scroll', checkScroll);
+        window.addEventListener('resize', checkScroll);
+        
+        // Initial check
+        setTimeout(checkScroll, 100);
+    });
 }
 
-// Helper: get time ago string
-function getTimeAgo(date) {
-    const seconds = Math.floor((new Date() - date) / 1000);
-    if (seconds < 60) return 'Adesso';
-    if (seconds < 120) return '1 min fa';
-    if (seconds < 300) return `${Math.floor(seconds / 60)} min fa`;
-    return 'Più di 5 min fa';
+// Utilities
+function generateSlug(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
 }
 
-// Start polling for active users
-function startActiveUsersPolling() {
-    // Update immediately
-    updateActiveUsersCount();
-    
-    // Then poll every 30 seconds
-    if (analyticsPollingInterval) clearInterval(analyticsPollingInterval);
-    analyticsPollingInterval = setInterval(() => {
-        updateActiveUsersCount();
-    }, 30000);
+function closeDeleteModal() {
+    document.getElementById('deleteModal').classList.remove('active');
+    deleteCallback = null;
 }
 
-// Stop polling
-function stopActiveUsersPolling() {
-    if (analyticsPollingInterval) {
-        clearInterval(analyticsPollingInterval);
-        analyticsPollingInterval = null;
-    }
-}
+window.closeDeleteModal = closeDeleteModal;
 
+function showToast(message, type = 'success') {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+    
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
 
 // ============================================
-// DISCOUNTS SECTION - BULK DISCOUNT MANAGEMENT
+// GIFT CARD ADMIN - SEARCH & MANAGEMENT
 // ============================================
 
-let discountMode = 'all';
-let selectedGenders = [];
-let selectedCategories = [];
-let selectedProductIds = [];
-
-// Initialize discounts section
-function initDiscountsSection() {
-    populateCategoryChips();
-    populateProductSelection();
-    loadDiscountedProducts();
-    updateDiscountPreview();
-}
-
-// Set discount mode
-window.setDiscountMode = function(mode) {
-    discountMode = mode;
+// Initialize Gift Card Admin UI
+function initGiftCardUI() {
+    // Search button
+    document.getElementById('gcSearchBtn')?.addEventListener('click', searchGiftCards);
     
-    // Update button states
-    document.querySelectorAll('.discount-mode-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.mode === mode);
+    // Search on Enter
+    document.getElementById('gcSearchInput')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') searchGiftCards();
     });
     
-    // Show/hide selection step
-    const selectionStep = document.getElementById('discountSelectionStep');
-    const genderSelection = document.getElementById('genderSelection');
-    const categorySelection = document.getElementById('categorySelection');
-    const productSelection = document.getElementById('productSelection');
-    
-    // Hide all
-    genderSelection.style.display = 'none';
-    categorySelection.style.display = 'none';
-    productSelection.style.display = 'none';
-    
-    if (mode === 'all') {
-        selectionStep.style.display = 'none';
-    } else {
-        selectionStep.style.display = 'block';
-        if (mode === 'gender') {
-            genderSelection.style.display = 'block';
-        } else if (mode === 'category') {
-            categorySelection.style.display = 'block';
-        } else if (mode === 'products') {
-            productSelection.style.display = 'block';
-        }
-    }
-    
-    // Reset selections
-    selectedGenders = [];
-    selectedCategories = [];
-    selectedProductIds = [];
-    
-    // Uncheck all checkboxes
-    document.querySelectorAll('#genderSelection input, #categorySelection input, #productSelection input').forEach(cb => {
-        cb.checked = false;
-    });
-    document.querySelectorAll('.product-select-item').forEach(item => {
-        item.classList.remove('selected');
-    });
-    
-    updateDiscountPreview();
-};
-
-// Populate category chips
-function populateCategoryChips() {
-    const container = document.getElementById('categoryChips');
-    if (!container || !categories.length) return;
-    
-    container.innerHTML = categories.map(cat => `
-        <label class="selection-chip">
-            <input type="checkbox" value="${cat.id}" onchange="updateDiscountSelection()">
-            <span>📁 ${cat.name}</span>
-        </label>
-    `).join('');
+    // Status filter change
+    document.getElementById('gcStatusFilter')?.addEventListener('change', searchGiftCards);
 }
 
-// Populate product selection grid - optimized for large catalogs
-let productSelectionPage = 0;
-const PRODUCTS_PER_PAGE = 50;
+// Load gift card stats
+async function loadGiftCardStats() {
+    try {
+        const { data, error } = await supabase
+            .from('gift_cards')
+            .select('amount, is_redeemed, is_active, remaining_balance, expires_at');
 
-function populateProductSelection() {
-    const grid = document.getElementById('productSelectionGrid');
-    if (!grid || !products.length) return;
-    
-    productSelectionPage = 0;
-    renderProductSelectionPage();
-    
-    // Add load more button if needed
-    if (products.length > PRODUCTS_PER_PAGE) {
-        const existingLoadMore = document.getElementById('loadMoreProducts');
-        if (existingLoadMore) existingLoadMore.remove();
-        
-        const loadMoreBtn = document.createElement('button');
-        loadMoreBtn.id = 'loadMoreProducts';
-        loadMoreBtn.className = 'btn-secondary btn-load-more';
-        loadMoreBtn.innerHTML = `📦 Carica altri (${Math.min(PRODUCTS_PER_PAGE, products.length - PRODUCTS_PER_PAGE)} di ${products.length - PRODUCTS_PER_PAGE} rimanenti)`;
-        loadMoreBtn.onclick = loadMoreProducts;
-        grid.parentElement.appendChild(loadMoreBtn);
+        if (error) throw error;
+
+        const now = new Date();
+        const stats = {
+            total: data.length,
+            totalValue: data.reduce((sum, gc) => sum + parseFloat(gc.amount || 0), 0),
+            redeemed: data.filter(gc => gc.is_redeemed).length,
+            active: data.filter(gc => !gc.is_redeemed && gc.is_active && (!gc.expires_at || new Date(gc.expires_at) > now)).length
+        };
+
+        document.getElementById('gcStatTotal').textContent = stats.total;
+        document.getElementById('gcStatValue').textContent = `€${stats.totalValue.toFixed(0)}`;
+        document.getElementById('gcStatRedeemed').textContent = stats.redeemed;
+        document.getElementById('gcStatActive').textContent = stats.active;
+    } catch (err) {
+        console.error('Error loading gift card stats:', err);
     }
 }
 
-function renderProductSelectionPage() {
-    const grid = document.getElementById('productSelectionGrid');
-    const start = 0;
-    const end = (productSelectionPage + 1) * PRODUCTS_PER_PAGE;
-    const visibleProducts = products.slice(start, end);
-    
-    grid.innerHTML = visibleProducts.map(p => `
-        <label class="product-select-item" data-name="${p.name.toLowerCase()}" data-id="${p.id}">
-            <input type="checkbox" value="${p.id}" ${selectedProductIds.includes(p.id) ? 'checked' : ''} onchange="toggleProductSelection(this, '${p.id}')">
-            <img src="${getImagePath(p.images?.[0])}" alt="${p.name}" class="product-select-thumb" loading="lazy" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23f5f5f5%22 width=%22100%22 height=%22100%22/></svg>'">
-            <div class="product-select-info">
-                <div class="product-select-name">${p.name}</div>
-                <div class="product-select-price">
-                    ${p.sale_price ? `<span class="original">€${p.price}</span><span class="sale">€${p.sale_price}</span>` : `€${p.price}`}
-                </div>
-            </div>
-        </label>
-    `).join('');
-    
-    // Update selected state
-    document.querySelectorAll('.product-select-item').forEach(item => {
-        if (selectedProductIds.includes(item.dataset.id)) {
-            item.classList.add('selected');
+// Search gift cards
+async function searchGiftCards() {
+    const query = document.getElementById('gcSearchInput')?.value.trim() || '';
+    const status = document.getElementById('gcStatusFilter')?.value || '';
+    const resultsGrid = document.getElementById('gcResultsGrid');
+    const resultsCount = document.getElementById('gcResultsCount');
+
+    resultsGrid.innerHTML = '<p class="gc-no-results">Ricerca in corso...</p>';
+
+    try {
+        let queryBuilder = supabase
+            .from('gift_cards')
+            .select('*');
+
+        // Search by name or code
+        if (query) {
+            queryBuilder = queryBuilder.or(
+                `recipient_name.ilike.%${query}%,` +
+                `sender_name.ilike.%${query}%,` +
+                `purchaser_first_name.ilike.%${query}%,` +
+                `purchaser_last_name.ilike.%${query}%,` +
+                `code.ilike.%${query}%`
+            );
         }
-    });
-}
 
-window.loadMoreProducts = function() {
-    productSelectionPage++;
-    renderProductSelectionPage();
-    
-    const remaining = products.length - ((productSelectionPage + 1) * PRODUCTS_PER_PAGE);
-    const loadMoreBtn = document.getElementById('loadMoreProducts');
-    
-    if (remaining <= 0) {
-        loadMoreBtn?.remove();
-    } else {
-        loadMoreBtn.innerHTML = `📦 Carica altri (${Math.min(PRODUCTS_PER_PAGE, remaining)} di ${remaining} rimanenti)`;
-    }
-};
+        // Filter by status
+        const now = new Date().toISOString();
+        if (status === 'redeemed') {
+            queryBuilder = queryBuilder.eq('is_redeemed', true);
+        } else if (status === 'active') {
+            queryBuilder = queryBuilder.eq('is_redeemed', false).eq('is_active', true);
+        } else if (status === 'expired') {
+            queryBuilder = queryBuilder.lt('expires_at', now);
+        }
 
-// Toggle product selection
-window.toggleProductSelection = function(checkbox, productId) {
-    const item = checkbox.closest('.product-select-item');
-    if (checkbox.checked) {
-        selectedProductIds.push(productId);
-        item.classList.add('selected');
-    } else {
-        selectedProductIds = selectedProductIds.filter(id => id !== productId);
-        item.classList.remove('selected');
-    }
-    updateDiscountPreview();
-};
+        const { data, error } = await queryBuilder
+            .order('created_at', { ascending: false })
+            .limit(50);
 
-// Update discount selection (for gender/category)
-window.updateDiscountSelection = function() {
-    if (discountMode === 'gender') {
-        selectedGenders = Array.from(document.querySelectorAll('#genderSelection input:checked')).map(cb => cb.value);
-    } else if (discountMode === 'category') {
-        selectedCategories = Array.from(document.querySelectorAll('#categorySelection input:checked')).map(cb => cb.value);
-    }
-    updateDiscountPreview();
-};
+        if (error) throw error;
 
-// Filter products in selection
-window.filterDiscountProducts = function() {
-    const query = document.getElementById('discountProductSearch').value.toLowerCase();
-    document.querySelectorAll('.product-select-item').forEach(item => {
-        const name = item.dataset.name;
-        item.style.display = name.includes(query) ? 'flex' : 'none';
-    });
-};
+        resultsCount.textContent = `(${data?.length || 0})`;
 
-// Select all visible products
-window.selectAllDiscountProducts = function() {
-    document.querySelectorAll('.product-select-item').forEach(item => {
-        if (item.style.display !== 'none') {
-            const checkbox = item.querySelector('input');
-            if (!checkbox.checked) {
-                checkbox.checked = true;
-                selectedProductIds.push(item.dataset.id);
-                item.classList.add('selected');
-            }
+        if (!data || data.length === 0) {
+            resultsGrid.innerHTML = '<p class="gc-no-results">Nessuna gift card trovata</p>';
+            return;
         }
-    });
-    updateDiscountPreview();
-};
 
-// Deselect all products
-window.deselectAllDiscountProducts = function() {
-    document.querySelectorAll('.product-select-item').forEach(item => {
-        const checkbox = item.querySelector('input');
-        checkbox.checked = false;
-        item.classList.remove('selected');
-    });
-    selectedProductIds = [];
-    updateDiscountPreview();
-};
+        resultsGrid.innerHTML = data.map(gc => {
+            const isExpired = gc.expires_at && new Date(gc.expires_at) < new Date();
+            const statusClass = gc.is_redeemed ? 'redeemed' : isExpired ? 'expired' : 'active';
+            const statusText = gc.is_redeemed ? 'Riscattata' : isExpired ? 'Scaduta' : 'Attiva';
+            const style = gc.template || gc.style || 'elegant';
 
-// Update discount preview
-window.updateDiscountPreview = function() {
-    const discountType = document.getElementById('discountType').value;
-    const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
-    const suffix = document.getElementById('discountSuffix');
-    const previewText = document.getElementById('previewText');
-    const previewStats = document.getElementById('previewStats');
-    const previewCount = document.getElementById('previewCount');
-    const previewDiscount = document.getElementById('previewDiscount');
-    
-    // Update suffix
-    suffix.textContent = discountType === 'percentage' ? '%' : '€';
-    
-    // Get affected products count
-    const affectedProducts = getAffectedProducts();
-    const count = affectedProducts.length;
-    
-    if (count === 0) {
-        previewText.textContent = 'Seleziona i prodotti e imposta lo sconto';
-        previewStats.style.display = 'none';
-        return;
-    }
-    
-    // Update preview
-    let modeText = '';
+            return `
+                <div class="gc-result-item" onclick="showGcDetail('${gc.id}')">
+                    <div class="gc-result-preview ${style}">
+                        <div class="gc-logo">Mimmo Fratelli</div>
+                        <div class="gc-amount">€${gc.amount}</div>
+                        <div class="gc-code">${gc.code}</div>
+                    </div>
+                    <div class="gc-result-info">
+                        <div class="gc-result-row">
+                            <span class="gc-result-label">Destinatario</span>
+                            <span class="gc-result-value">${gc.recipient_name}</span>
+                        </div>
+                        <div class="gc-result-row">
+                            <span class="gc-result-label">Da</span>
+                            <span class="gc-result-value">${gc.sender_name}</span>
+                        </div>
+                        <div class="gc-result-row">
+                            <span class="gc-result-label">Stato</span>
+                            <span class="gc-status ${statusClass}">${statusText}</span>
+                        </div>
+                        <div class="gc-result-row">
+                            <span class="gc-result-label">Credito Rimanente</span>
+                            <span class="gc-result-value">€${gc.remaining_balance || gc.amount}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error('Search gift cards error:', err);
+        resultsGrid.innerHTML = '<p class="gc-no-results">Errore nella ricerca</p>';
+    }
+}
+
+// Show gift card detail
+async function showGcDetail(gcId) {
+    const modal = document.getElementById('gcDetailModal');
+    const body = document.getElementById('gcDetailBody');
+
+    try {
+        const { data: gc, error } = await supabase
+            .from('gift_cards')
+            .select('*')
+            .eq('id', gcId)
+            .single();
+
+        if (error) throw error;
+
+        const isExpired = gc.expires_at && new Date(gc.expires_at) < new Date();
+        const statusClass = gc.is_redeemed ? 'redeemed' : isExpired ? 'expired' : 'active';
+        const statusText = gc.is_redeemed ? 'Riscattata' : isExpired ? 'Scaduta' : 'Attiva';
+        const style = gc.template || gc.style || 'elegant';
+        const usedAmount = parseFloat(gc.amount) - parseFloat(gc.remaining_balance || gc.amount);
+        
+        // Generate QR code URL
+        const redeemUrl = `${window.location.origin}/redeem.html?token=${gc.qr_code_token}`;
+        const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${encodeURIComponent(redeemUrl)}`;
+
+        body.innerHTML = `
+            <div class="gc-detail-header">
+                <div class="gc-detail-preview ${style}">
+                    <div class="gc-pattern"></div>
+                    <div class="gc-header">
+                        <div class="gc-logo">Mimmo Fratelli</div>
+                        <div class="gc-badge">GIFT CARD</div>
+                    </div>
+                    <div class="gc-amount" style="${style === 'elegant' ? 'color:#e6c347' : style === 'minimal' ? 'color:#a83f39' : ''}">€${gc.amount}</div>
+                    <div class="gc-recipient">
+                        <span class="gc-label">Per</span>
+                        <span class="gc-name">${gc.recipient_name}</span>
+                    </div>
+                    ${gc.message ? `<div class="gc-message">${gc.message}</div>` : ''}
+                    <div class="gc-footer">
+                        <div class="gc-from">
+                            <span class="gc-label">Da</span>
+                            <span>${gc.sender_name}</span>
+                        </div>
+                        <div class="gc-code">${gc.code}</div>
+                    </div>
+                </div>
+                
+                ${gc.qr_code_token ? `
+                <div class="gc-detail-qr">
+                    <img src="${qrUrl}" alt="QR Code">
+                    <p>QR Code per riscatto</p>
+                </div>
+                ` : ''}
+            </div>
+            
+            <div class="gc-detail-info">
+                <div class="gc-detail-grid">
+                    <div class="gc-detail-field">
+                        <label>Codice</label>
+                        <span style="font-family:monospace">${gc.code}</span>
+                    </div>
+                    <div class="gc-detail-field">
+                        <label>Stato</label>
+                        <span class="gc-status ${statusClass}">${statusText}</span>
+                    </div>
+                    <div class="gc-detail-field">
+                        <label>Destinatario</label>
+                        <span>${gc.recipient_name}</span>
+                    </div>
+                    <div class="gc-detail-field">
+                        <label>Email</label>
+                        <span>${gc.recipient_email}</span>
+                    </div>
+                    <div class="gc-detail-field">
+                        <label>Mittente</label>
+                        <span>${gc.sender_name}</span>
+                    </div>
+                    <div class="gc-detail-field">
+                        <label>Data Creazione</label>
+                        <span>${new Date(gc.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long', year: 'numeric' })}</span>
+                    </div>
+                    ${gc.expires_at ? `
+                    <div class="gc-detail-field">
+                        <label>Scadenza</label>
+                        <span>${new Date(gc.expires_at).toLocaleDateString('it-IT')}</span>
+                    </div>
+                    ` : ''}
+                    ${gc.is_redeemed ? `
+                    <div class="gc-detail-field">
+                        <label>Riscattata il</label>
+                        <span>${new Date(gc.redeemed_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                    </div>
+                    ` : ''}
+                    ${gc.message ? `
+                    <div class="gc-detail-field full">
+                        <label>Messaggio</label>
+                        <span>"${gc.message}"</span>
+                    </div>
+                    ` : ''}
+                </div>
+                
+                <div class="gc-credit-info">
+                    <h4>💰 Riepilogo Credito</h4>
+                    <div class="gc-credit-values">
+                        <div class="gc-credit-item">
+                            <span class="value">€${gc.amount}</span>
+                            <span class="label">Valore Iniziale</span>
+                        </div>
+                        <div class="gc-credit-item">
+                            <span class="value">€${usedAmount.toFixed(2)}</span>
+                            <span class="label">Utilizzato</span>
+                        </div>
+                        <div class="gc-credit-item">
+                            <span class="value">€${gc.remaining_balance || gc.amount}</span>
+                            <span class="label">Rimanente</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.style.display = 'flex';
+    } catch (err) {
+        console.error('Error loading gift card detail:', err);
+        showToast('Errore nel caricamento dei dettagli', 'error');
+    }
+}
+
+// Close gift card detail modal
+window.closeGcDetail = function() {
+    document.getElementById('gcDetailModal').style.display = 'none';
+};
+
+// Load gift cards when navigating to section
+async function loadGiftCards() {
+    await loadGiftCardStats();
+    // Don't auto-search, let user search manually
+}
+
+// Initialize gift card UI when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    setTimeout(initGiftCardUI, 100);
+});
+
+// ============================================
+// ANALYTICS - REAL-TIME USER TRACKING
+// ============================================
+
+let analyticsPollingInterval = null;
+
+// Load analytics data
+async function loadAnalyticsData() {
+    try {
+        // Total registered users - use profiles table directly (no RPC needed)
+        const { count: usersCount } = await supabase
+            .from('profiles')
+            .select('*', { count: 'exact', head: true });
+        document.getElementById('analyticsUsers').textContent = usersCount || 0;
+
+        // Active users count
+        await updateActiveUsersCount();
+
+        // Total orders
+        const { count: ordersCount } = await supabase
+            .from('orders')
+            .select('*', { count: 'exact', head: true });
+        document.getElementById('analyticsOrders').textContent = ordersCount || 0;
+
+        // Total revenue - calculate from orders table directly
+        const { data: orders, error: ordersError } = await supabase
+            .from('orders')
+            .select('total, status');
+        const revenue = !ordersError && orders
+            ? orders.filter(o => o.status !== 'cancelled' && o.status !== 'refunded')
+                    .reduce((sum, o) => sum + parseFloat(o.total || 0), 0)
+            : 0;
+        document.getElementById('analyticsRevenue').textContent = `€${revenue.toFixed(0)}`;
+
+        // New users stats
+        await loadNewUsersStats();
+
+        // Orders today
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const { count: ordersToday } = await supabase
+            .from('orders')
+            .select('*', { count: 'exact', head: true })
+            .gte('created_at', today.toISOString());
+        document.getElementById('ordersToday').textContent = ordersToday || 0;
+
+    } catch (err) {
+        console.error('Analytics error:', err);
+    }
+}
+
+// Load new users statistics - uses profiles table directly (no RPC needed)
+async function loadNewUsersStats() {
+    try {
+        const now = new Date();
+        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const weekStart = new Date(now);
+        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        const [todayResult, weekResult, monthResult] = await Promise.all([
+            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', todayStart.toISOString()),
+            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', weekStart.toISOString()),
+            supabase.from('profiles').select('*', { count: 'exact', head: true }).gte('created_at', monthStart.toISOString())
+        ]);
+
+        document.getElementById('newUsersToday').textContent = todayResult.count || 0;
+        document.getElementById('newUsersWeek').textContent = weekResult.count || 0;
+        document.getElementById('newUsersMonth').textContent = monthResult.count || 0;
+    } catch (err) {
+        console.error('New users stats error:', err);
+        document.getElementById('newUsersToday').textContent = '0';
+        document.getElementById('newUsersWeek').textContent = '0';
+        document.getElementById('newUsersMonth').textContent = '0';
+    }
+}
+
+// Update active users count - uses user_presence table directly (no RPC needed)
+async function updateActiveUsersCount() {
+    try {
+        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+        const { count, error } = await supabase
+            .from('user_presence')
+            .select('session_id', { count: 'exact', head: true })
+            .gte('last_seen', fiveMinutesAgo);
+        
+        // If table doesn't exist, show 0
+        const activeCount = error ? 0 : (count || 0);
+        document.getElementById('analyticsActiveUsers').textContent = activeCount;
+        
+        // Update active users list
+        await updateActiveUsersList();
+    } catch (err) {
+        console.error('Active users count error:', err);
+        document.getElementById('analyticsActiveUsers').textContent = '0';
+    }
+}
+
+// Update active users list - uses user_presence table directly (no RPC needed)
+async function updateActiveUsersList() {
+    const listEl = document.getElementById('activeUsersList');
+    
+    try {
+        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+        const { data: activeUsers, error } = await supabase
+            .from('user_presence')
+            .select('*')
+            .gte('last_seen', fiveMinutesAgo)
+            .order('last_seen', { ascending: false })
+            .limit(20);
+
+        // If table doesn't exist or no users, show empty message
+        if (error || !activeUsers || activeUsers.length === 0) {
+            listEl.innerHTML = '<p class="no-active-users">Nessun utente attivo al momento</p>';
+            return;
+        }
+
+        listEl.innerHTML = activeUsers.map(user => {
+            const lastSeen = new Date(user.last_seen);
+            const timeAgo = getTimeAgo(lastSeen);
+            const userType = user.is_authenticated ? '👤 Registrato' : '👻 Ospite';
+            const page = user.page_url ? user.page_url.split('/').pop() || 'Home' : 'Sconosciuta';
+            
+            return `
+                <div class="active-user-item">
+                    <div class="active-user-status ${user.is_authenticated ? 'authenticated' : 'guest'}"></div>
+                    <div class="active-user-info">
+                        <span class="active-user-type">${userType}</span>
+                        <span class="active-user-page">📄 ${page}</span>
+                    </div>
+                    <span class="active-user-time">${timeAgo}</span>
+                </div>
+            `;
+        }).join('');
+    } catch (err) {
+        listEl.innerHTML = '<p class="no-active-users">Nessun utente attivo al momento</p>';
+    }
+}
+
+// Helper: get time ago string
+function getTimeAgo(date) {
+    const seconds = Math.floor((new Date() - date) / 1000);
+    if (seconds < 60) return 'Adesso';
+    if (seconds < 120) return '1 min fa';
+    if (seconds < 300) return `${Math.floor(seconds / 60)} min fa`;
+    return 'Più di 5 min fa';
+}
+
+// Start polling for active users
+function startActiveUsersPolling() {
+    // Update immediately
+    updateActiveUsersCount();
+    
+    // Then poll every 30 seconds
+    if (analyticsPollingInterval) clearInterval(analyticsPollingInterval);
+    analyticsPollingInterval = setInterval(() => {
+        updateActiveUsersCount();
+    }, 30000);
+}
+
+// Stop polling
+function stopActiveUsersPolling() {
+    if (analyticsPollingInterval) {
+        clearInterval(analyticsPollingInterval);
+        analyticsPollingInterval = null;
+    }
+}
+
+
+// ============================================
+// DISCOUNTS SECTION - BULK DISCOUNT MANAGEMENT
+// ============================================
+
+let discountMode = 'all';
+let selectedGenders = [];
+let selectedCategories = [];
+let selectedProductIds = [];
+
+// Initialize discounts section
+function initDiscountsSection() {
+    populateCategoryChips();
+    populateProductSelection();
+    loadDiscountedProducts();
+    updateDiscountPreview();
+    loadPromotions();
+    loadPriceSchedules();
+}
+
+// Set discount mode
+window.setDiscountMode = function(mode) {
+    discountMode = mode;
+    
+    // Update button states
+    document.querySelectorAll('.discount-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    
+    // Show/hide selection step
+    const selectionStep = document.getElementById('discountSelectionStep');
+    const genderSelection = document.getElementById('genderSelection');
+    const categorySelection = document.getElementById('categorySelection');
+    const productSelection = document.getElementById('productSelection');
+    
+    // Hide all
+    genderSelection.style.display = 'none';
+    categorySelection.style.display = 'none';
+    productSelection.style.display = 'none';
+    
+    if (mode === 'all') {
+        selectionStep.style.display = 'none';
+    } else {
+        selectionStep.style.display = 'block';
+        if (mode === 'gender') {
+            genderSelection.style.display = 'block';
+        } else if (mode === 'category') {
+            categorySelection.style.display = 'block';
+        } else if (mode === 'products') {
+            productSelection.style.display = 'block';
+        }
+    }
+    
+    // Reset selections
+    selectedGenders = [];
+    selectedCategories = [];
+    selectedProductIds = [];
+    
+    // Uncheck all checkboxes
+    document.querySelectorAll('#genderSelection input, #categorySelection input, #productSelection input').forEach(cb => {
+        cb.checked = false;
+    });
+    document.querySelectorAll('.product-select-item').forEach(item => {
+        item.classList.remove('selected');
+    });
+    
+    updateDiscountPreview();
+};
+
+// Populate category chips
+function populateCategoryChips() {
+    const container = document.getElementById('categoryChips');
+    if (!container || !categories.length) return;
+    
+    container.innerHTML = categories.map(cat => `
+        <label class="selection-chip">
+            <input type="checkbox" value="${cat.id}" onchange="updateDiscountSelection()">
+            <span>📁 ${cat.name}</span>
+        </label>
+    `).join('');
+}
+
+// Populate product selection grid - optimized for large catalogs
+let productSelectionPage = 0;
+const PRODUCTS_PER_PAGE = 50;
+
+function populateProductSelection() {
+    const grid = document.getElementById('productSelectionGrid');
+    if (!grid || !products.length) return;
+    
+    productSelectionPage = 0;
+    renderProductSelectionPage();
+    
+    // Add load more button if needed
+    if (products.length > PRODUCTS_PER_PAGE) {
+        const existingLoadMore = document.getElementById('loadMoreProducts');
+        if (existingLoadMore) existingLoadMore.remove();
+        
+        const loadMoreBtn = document.createElement('button');
+        loadMoreBtn.id = 'loadMoreProducts';
+        loadMoreBtn.className = 'btn-secondary btn-load-more';
+        loadMoreBtn.innerHTML = `📦 Carica altri (${Math.min(PRODUCTS_PER_PAGE, products.length - PRODUCTS_PER_PAGE)} di ${products.length - PRODUCTS_PER_PAGE} rimanenti)`;
+        loadMoreBtn.onclick = loadMoreProducts;
+        grid.parentElement.appendChild(loadMoreBtn);
+    }
+}
+
+function renderProductSelectionPage() {
+    const grid = document.getElementById('productSelectionGrid');
+    const start = 0;
+    const end = (productSelectionPage + 1) * PRODUCTS_PER_PAGE;
+    const visibleProducts = products.slice(start, end);
+    
+    grid.innerHTML = visibleProducts.map(p => `
+        <label class="product-select-item" data-name="${p.name.toLowerCase()}" data-id="${p.id}">
+            <input type="checkbox" value="${p.id}" ${selectedProductIds.includes(p.id) ? 'checked' : ''} onchange="toggleProductSelection(this, '${p.id}')">
+            <img src="${getImagePath(p.images?.[0])}" alt="${p.name}" class="product-select-thumb" loading="lazy" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23f5f5f5%22 width=%22100%22 height=%22100%22/></svg>'">
+            <div class="product-select-info">
+                <div class="product-select-name">${p.name}</div>
+                <div class="product-select-price">
+                    ${p.sale_price ? `<span class="original">€${p.price}</span><span class="sale">€${p.sale_price}</span>` : `€${p.price}`}
+                </div>
+            </div>
+        </label>
+    `).join('');
+    
+    // Update selected state
+    document.querySelectorAll('.product-select-item').forEach(item => {
+        if (selectedProductIds.includes(item.dataset.id)) {
+            item.classList.add('selected');
+        }
+    });
+}
+
+window.loadMoreProducts = function() {
+    productSelectionPage++;
+    renderProductSelectionPage();
+    
+    const remaining = products.length - ((productSelectionPage + 1) * PRODUCTS_PER_PAGE);
+    const loadMoreBtn = document.getElementById('loadMoreProducts');
+    
+    if (remaining <= 0) {
+        loadMoreBtn?.remove();
+    } else {
+        loadMoreBtn.innerHTML = `📦 Carica altri (${Math.min(PRODUCTS_PER_PAGE, remaining)} di ${remaining} rimanenti)`;
+    }
+};
+
+// Toggle product selection
+window.toggleProductSelection = function(checkbox, productId) {
+    const item = checkbox.closest('.product-select-item');
+    if (checkbox.checked) {
+        selectedProductIds.push(productId);
+        item.classList.add('selected');
+    } else {
+        selectedProductIds = selectedProductIds.filter(id => id !== productId);
+        item.classList.remove('selected');
+    }
+    updateDiscountPreview();
+};
+
+// Update discount selection (for gender/category)
+window.updateDiscountSelection = function() {
+    if (discountMode === 'gender') {
+        selectedGenders = Array.from(document.querySelectorAll('#genderSelection input:checked')).map(cb => cb.value);
+    } else if (discountMode === 'category') {
+        selectedCategories = Array.from(document.querySelectorAll('#categorySelection input:checked')).map(cb => cb.value);
+    }
+    updateDiscountPreview();
+};
+
+// Filter products in selection
+window.filterDiscountProducts = function() {
+    const query = document.getElementById('discountProductSearch').value.toLowerCase();
+    document.querySelectorAll('.product-select-item').forEach(item => {
+        const name = item.dataset.name;
+        item.style.display = name.includes(query) ? 'flex' : 'none';
+    });
+};
+
+// Select all visible products
+window.selectAllDiscountProducts = function() {
+    document.querySelectorAll('.product-select-item').forEach(item => {
+        if (item.style.display !== 'none') {
+            const checkbox = item.querySelector('input');
+            if (!checkbox.checked) {
+                checkbox.checked = true;
+                selectedProductIds.push(item.dataset.id);
+                item.classList.add('selected');
+            }
+        }
+    });
+    updateDiscountPreview();
+};
+
+// Deselect all products
+window.deselectAllDiscountProducts = function() {
+    document.querySelectorAll('.product-select-item').forEach(item => {
+        const checkbox = item.querySelector('input');
+        checkbox.checked = false;
+        item.classList.remove('selected');
+    });
+    selectedProductIds = [];
+    updateDiscountPreview();
+};
+
+// Update discount preview
+window.updateDiscountPreview = function() {
+    const discountType = document.getElementById('discountType').value;
+    const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
+    const suffix = document.getElementById('discountSuffix');
+    const previewText = document.getElementById('previewText');
+    const previewStats = document.getElementById('previewStats');
+    const previewCount = document.getElementById('previewCount');
+    const previewDiscount = document.getElementById('previewDiscount');
+    
+    // Update suffix
+    suffix.textContent = discountType === 'percentage' ? '%' : '€';
+    
+    // Get affected products count
+    const affectedProducts = getAffectedProducts();
+    const count = affectedProducts.length;
+    
+    if (count === 0) {
+        previewText.textContent = 'Seleziona i prodotti e imposta lo sconto';
+        previewStats.style.display = 'none';
+        return;
+    }
+    
+    // Update preview
+    let modeText = '';
     if (discountMode === 'all') modeText = 'tutti i prodotti';
     else if (discountMode === 'gender') modeText = `prodotti ${selectedGenders.map(g => g === 'woman' ? 'Donna' : g === 'man' ? 'Uomo' : 'Unisex').join(', ')}`;
     else if (discountMode === 'category') modeText = `categorie selezionate`;
     else if (discountMode === 'products') modeText = `prodotti selezionati`;
     
-    previewText.textContent = `Sconto su ${modeText}`;
-    previewStats.style.display = 'flex';
-    previewCount.textContent = `${count} prodott${count === 1 ? 'o' : 'i'}`;
-    previewDiscount.textContent = discountType === 'percentage' ? `-${discountValue}%` : `-€${discountValue.toFixed(2)}`;
-};
+    previewText.textContent = `Sconto su ${modeText}`;
+    previewStats.style.display = 'flex';
+    previewCount.textContent = `${count} prodott${count === 1 ? 'o' : 'i'}`;
+    previewDiscount.textContent = discountType === 'percentage' ? `-${discountValue}%` : `-€${discountValue.toFixed(2)}`;
+};
+
+// Get affected products based on current selection
+function getAffectedProducts() {
+    if (discountMode === 'all') {
+        return products;
+    } else if (discountMode === 'gender') {
+        return products.filter(p => selectedGenders.includes(p.gender));
+    } else if (discountMode === 'category') {
+        return products.filter(p => selectedCategories.includes(p.category_id));
+    } else if (discountMode === 'products') {
+        return products.filter(p => selectedProductIds.includes(p.id));
+    }
+    return [];
+}
+
+// Apply discount - optimized for bulk operations (hundreds of products)
+window.applyDiscount = async function() {
+    const discountType = document.getElementById('discountType').value;
+    const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
+    
+    if (discountValue <= 0) {
+        showToast('Inserisci un valore di sconto valido', 'error');
+        return;
+    }
+    
+    const affectedProducts = getAffectedProducts();
+    
+    if (affectedProducts.length === 0) {
+        showToast('Nessun prodotto selezionato', 'error');
+        return;
+    }
+    
+    const btn = document.getElementById('applyDiscountBtn');
+    btn.disabled = true;
+    btn.textContent = `⏳ Applicando a ${affectedProducts.length} prodotti...`;
+    
+    try {
+        // Prepare batch updates - group by calculated sale price for efficiency
+        const updates = [];
+        
+        for (const product of affectedProducts) {
+            let newSalePrice;
+            
+            if (discountType === 'percentage') {
+                newSalePrice = product.price * (1 - discountValue / 100);
+            } else {
+                newSalePrice = Math.max(0, product.price - discountValue);
+            }
+            
+            // Round to 2 decimals
+            newSalePrice = Math.round(newSalePrice * 100) / 100;
+            
+            // Don't apply if sale price would be >= original price
+            if (newSalePrice >= product.price) continue;
+            
+            updates.push({ id: product.id, sale_price: newSalePrice });
+        }
+        
+        if (updates.length === 0) {
+            showToast('Nessun prodotto da scontare (sconto troppo basso)', 'error');
+            btn.disabled = false;
+            btn.textContent = '✅ Applica Sconto';
+            return;
+        }
+        
+        // Process in batches of 50 for optimal performance
+        const BATCH_SIZE = 50;
+        let successCount = 0;
+        let processedCount = 0;
+        
+        for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+            const batch = updates.slice(i, i + BATCH_SIZE);
+            
+            // Use Promise.all for parallel updates within batch
+            const results = await Promise.all(
+                batch.map(update => 
+                    supabase
+                        .from('products')
+                        .update({ sale_price: update.sale_price })
+                        .eq('id', update.id)
+                )
+            );
+            
+            successCount += results.filter(r => !r.error).length;
+            processedCount += batch.length;
+            
+            // Update progress
+            const progress = Math.round((processedCount / updates.length) * 100);
+            btn.textContent = `⏳ ${progress}% (${processedCount}/${updates.length})`;
+        }
+        
+        showToast(`Sconto applicato a ${successCount} prodotti!`, 'success');
+        
+        // Reload data
+        await loadProducts();
+        loadDiscountedProducts();
+        populateProductSelection();
+        resetDiscountForm();
+        
+    } catch (err) {
+        console.error('Apply discount error:', err);
+        showToast('Errore nell\'applicazione dello sconto', 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = '✅ Applica Sconto';
+    }
+};
+
+// Reset discount form
+window.resetDiscountForm = function() {
+    setDiscountMode('all');
+    document.getElementById('discountType').value = 'percentage';
+    document.getElementById('discountValue').value = '10';
+    document.getElementById('discountProductSearch').value = '';
+    filterDiscountProducts();
+    updateDiscountPreview();
+};
+
+// Load discounted products
+async function loadDiscountedProducts() {
+    const grid = document.getElementById('discountedProductsGrid');
+    if (!grid) return;
+    
+    const discountedProducts = products.filter(p => p.sale_price && p.sale_price < p.price);
+    
+    if (discountedProducts.length === 0) {
+        grid.innerHTML = '<p class="no-discounts">Nessun prodotto scontato al momento</p>';
+        return;
+    }
+    
+    grid.innerHTML = discountedProducts.map(p => {
+        const discountPercent = Math.round((1 - p.sale_price / p.price) * 100);
+        return `
+            <div class="discounted-product-card">
+                <span class="discount-badge">-${discountPercent}%</span>
+                <div class="product-info">
+                    <img src="${getImagePath(p.images?.[0])}" alt="${p.name}" class="product-thumb" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23f5f5f5%22 width=%22100%22 height=%22100%22/></svg>'">
+                    <div class="product-details">
+                        <div class="product-name">${p.name}</div>
+                        <div class="product-prices">
+                            <span class="original-price">€${p.price}</span>
+                            <span class="sale-price">€${p.sale_price}</span>
+                        </div>
+                    </div>
+                </div>
+                <button class="btn-remove-discount" onclick="removeDiscount('${p.id}')">🗑️ Rimuovi Sconto</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Remove discount from single product
+window.removeDiscount = async function(productId) {
+    try {
+        const { error } = await supabase
+            .from('products')
+            .update({ sale_price: null })
+            .eq('id', productId);
+        
+        if (error) throw error;
+        
+        showToast('Sconto rimosso!', 'success');
+        await loadProducts();
+        loadDiscountedProducts();
+        populateProductSelection();
+    } catch (err) {
+        console.error('Remove discount error:', err);
+        showToast('Errore nella rimozione dello sconto', 'error');
+    }
+};
+
+// Remove all discounts - optimized for bulk operations
+window.removeAllDiscounts = async function() {
+    const discountedProducts = products.filter(p => p.sale_price && p.sale_price < p.price);
+    
+    if (discountedProducts.length === 0) {
+        showToast('Nessun prodotto scontato', 'error');
+        return;
+    }
+    
+    if (!confirm(`Sei sicuro di voler rimuovere gli sconti da ${discountedProducts.length} prodotti?`)) {
+        return;
+    }
+    
+    try {
+        // Use batch processing for efficiency
+        const BATCH_SIZE = 50;
+        const productIds = discountedProducts.map(p => p.id);
+        
+        for (let i = 0; i < productIds.length; i += BATCH_SIZE) {
+            const batchIds = productIds.slice(i, i + BATCH_SIZE);
+            
+            // Use Promise.all for parallel updates
+            await Promise.all(
+                batchIds.map(id => 
+                    supabase
+                        .from('products')
+                        .update({ sale_price: null })
+                        .eq('id', id)
+                )
+            );
+        }
+        
+        showToast(`Sconti rimossi da ${discountedProducts.length} prodotti!`, 'success');
+        await loadProducts();
+        loadDiscountedProducts();
+        populateProductSelection();
+    } catch (err) {
+        console.error('Remove all discounts error:', err);
+        showToast('Errore nella rimozione degli sconti', 'error');
+    }
+};
+
+// Promotions (codes and automatic cart offers, evaluated by _shared/promotions.js)
+async function loadPromotions() {
+    try {
+        const { data, error } = await supabase
+            .from('promotions')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        promotions = data || [];
+        renderPromotions();
+    } catch (err) {
+        console.error('Load promotions error:', err);
+        showToast('Errore nel caricamento delle promozioni', 'error');
+    }
+}
+
+function renderPromotions() {
+    const tbody = document.getElementById('promotionsTable');
+
+    if (promotions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">Nessuna promozione</td></tr>';
+        return;
+    }
+
+    const now = new Date();
+    tbody.innerHTML = promotions.map(promo => {
+        const expired = new Date(promo.ends_at) < now;
+        const active = promo.is_active && !expired;
+        return `
+            <tr>
+                <td><strong>${escapeHtml(promo.name)}</strong><br><small>${promo.code ? escapeHtml(promo.code) : promo.auto_apply ? 'Automatica' : 'Solo codici batch'}</small></td>
+                <td>${escapeHtml(formatPromotionLabel(promo))}<br><small>${PROMOTION_TYPES[promo.discount_type] || promo.discount_type}${promo.stackable ? ' · cumulabile' : ''}</small></td>
+                <td>${new Date(promo.starts_at).toLocaleDateString('it-IT')} – ${new Date(promo.ends_at).toLocaleDateString('it-IT')}</td>
+                <td>${promo.usage_count || 0}${promo.usage_limit ? ` / ${promo.usage_limit}` : ''}${promo.per_customer_limit ? `<br><small>max ${promo.per_customer_limit} per cliente</small>` : ''}</td>
+                <td><span class="status-badge ${active ? 'status-active' : 'status-inactive'}">${active ? 'Attiva' : expired ? 'Scaduta' : 'Disattivata'}</span></td>
+                <td class="action-btns">
+                    <button class="btn-edit" onclick="editPromotion('${promo.id}')">Modifica</button>
+                    <button class="btn-edit" onclick="openPromotionCodes('${promo.id}')">Codici</button>
+                    <button class="btn-delete" onclick="confirmDeletePromotion('${promo.id}')">Elimina</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Show only the fields of the selected offer type
+function updatePromotionFormFields() {
+    const type = document.getElementById('promotionType').value;
+    document.querySelectorAll('#promotionForm .promotion-rule').forEach(el => {
+        el.style.display = el.dataset.types.split(' ').includes(type) ? '' : 'none';
+    });
+    document.getElementById('promotionValueLabel').textContent = type === 'fixed' ? 'Sconto (€) *' : 'Sconto (%) *';
+
+    // A bundle is always a set of products
+    const appliesTo = document.getElementById('promotionAppliesTo');
+    appliesTo.disabled = type === 'bundle';
+    if (type === 'bundle' && appliesTo.value !== 'product') {
+        appliesTo.value = 'product';
+        populatePromotionTargets();
+    }
+}
+
+function populatePromotionTargets(selectedIds = []) {
+    const appliesTo = document.getElementById('promotionAppliesTo').value;
+    const group = document.getElementById('promotionTargetsGroup');
+    const select = document.getElementById('promotionTargets');
+
+    group.style.display = appliesTo === 'all' ? 'none' : '';
+    const options = appliesTo === 'category' ? categories : appliesTo === 'product' ? products : [];
+    select.innerHTML = [...options]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(o => `<option value="${o.id}" ${selectedIds.includes(o.id) ? 'selected' : ''}>${escapeHtml(o.name)}</option>`)
+        .join('');
+}
+
+// datetime-local wants local time without a timezone
+function toDateTimeLocal(value) {
+    const date = new Date(value);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+function openPromotionModal(promo = null) {
+    const form = document.getElementById('promotionForm');
+    form.reset();
+    document.getElementById('promotionError').textContent = '';
+    document.getElementById('promotionType').innerHTML = Object.entries(PROMOTION_TYPES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+    const rules = promo?.rules || {};
+    if (promo) {
+        document.getElementById('promotionModalTitle').textContent = 'Modifica Promozione';
+        document.getElementById('promotionId').value = promo.id;
+        document.getElementById('promotionName').value = promo.name;
+        document.getElementById('promotionCode').value = promo.code || '';
+        document.getElementById('promotionType').value = promo.discount_type;
+        document.getElementById('promotionValue').value = promo.discount_value || '';
+        document.getElementById('promotionBuyQuantity').value = rules.buy_quantity || '';
+        document.getElementById('promotionFreeQuantity').value = rules.free_quantity || '';
+        document.getElementById('promotionTiers').value = formatPromotionTiers(rules.tiers);
+        document.getElementById('promotionBundlePrice').value = rules.price || '';
+        document.getElementById('promotionBuyGrams').value = rules.buy_grams || '';
+        document.getElementById('promotionFreeGrams').value = rules.free_grams || '';
+        document.getElementById('promotionAppliesTo').value = promo.applies_to || 'all';
+        document.getElementById('promotionMinPurchase').value = promo.min_purchase || '';
+        document.getElementById('promotionMaxDiscount').value = promo.max_discount || '';
+        document.getElementById('promotionUsageLimit').value = promo.usage_limit || '';
+        document.getElementById('promotionPerCustomerLimit').value = promo.per_customer_limit || '';
+        document.getElementById('promotionStartsAt').value = toDateTimeLocal(promo.starts_at);
+        document.getElementById('promotionEndsAt').value = toDateTimeLocal(promo.ends_at);
+        document.getElementById('promotionAutoApply').checked = promo.auto_apply;
+        document.getElementById('promotionStackable').checked = promo.stackable;
+        document.getElementById('promotionActive').checked = promo.is_active;
+    } else {
+        document.getElementById('promotionModalTitle').textContent = 'Nuova Promozione';
+        document.getElementById('promotionId').value = '';
+        document.getElementById('promotionStartsAt').value = toDateTimeLocal(new Date());
+        document.getElementById('promotionActive').checked = true;
+    }
+
+    populatePromotionTargets(promo?.applies_to_ids || []);
+    updatePromotionFormFields();
+    document.getElementById('promotionModal').classList.add('active');
+}
+
+window.closePromotionModal = function() {
+    document.getElementById('promotionModal').classList.remove('active');
+};
+
+window.editPromotion = function(id) {
+    const promo = promotions.find(p => p.id === id);
+    if (promo) openPromotionModal(promo);
+};
+
+window.confirmDeletePromotion = function(id) {
+    const promo = promotions.find(p => p.id === id);
+    if (!promo) return;
+    document.getElementById('deleteMessage').textContent = `Sei sicuro di voler eliminare la promozione "${promo.name}"?`;
+    deleteCallback = () => deletePromotion(id);
+    document.getElementById('deleteModal').classList.add('active');
+};
+
+// Rules JSON for the selected type, or an error message
+function getPromotionRulesData(type) {
+    const number = (elId) => parseFloat(document.getElementById(elId).value);
+    switch (type) {
+        case 'buy_x_get_y': {
+            const buy = parseInt(document.getElementById('promotionBuyQuantity').value);
+            const free = parseInt(document.getElementById('promotionFreeQuantity').value);
+            return buy > 0 && free > 0
+                ? { rules: { buy_quantity: buy, free_quantity: free } }
+                : { error: 'Indica i pezzi da acquistare e quelli in omaggio.' };
+        }
+        case 'tiered': {
+            const tiers = parsePromotionTiers(document.getElementById('promotionTiers').value);
+            return tiers.length
+                ? { rules: { tiers } }
+                : { error: 'Indica almeno una soglia, es. "40:10".' };
+        }
+        case 'bundle':
+            return number('promotionBundlePrice') > 0
+                ? { rules: { price: number('promotionBundlePrice') } }
+                : { error: 'Indica il prezzo del bundle.' };
+        case 'weight_bonus': {
+            const buyGrams = parseInt(document.getElementById('promotionBuyGrams').value);
+            const freeGrams = parseInt(document.getElementById('promotionFreeGrams').value);
+            return buyGrams > 0 && freeGrams > 0
+                ? { rules: { buy_grams: buyGrams, free_grams: freeGrams } }
+                : { error: 'Indica i grammi da acquistare e quelli in omaggio.' };
+        }
+        default:
+            return { rules: {} };
+    }
+}
+
+async function handlePromotionSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('promotionError');
+    errorEl.textContent = '';
+
+    const id = document.getElementById('promotionId').value;
+    const type = document.getElementById('promotionType').value;
+    const appliesTo = document.getElementById('promotionAppliesTo').value;
+    const targetIds = Array.from(document.getElementById('promotionTargets').selectedOptions).map(o => o.value);
+    const optionalNumber = (elId) => {
+        const value = parseFloat(document.getElementById(elId).value);
+        return value > 0 ? value : null;
+    };
+
+    const { rules, error: rulesError } = getPromotionRulesData(type);
+    if (rulesError) {
+        errorEl.textContent = rulesError;
+        return;
+    }
+
+    const promoData = {
+        name: document.getElementById('promotionName').value.trim(),
+        code: document.getElementById('promotionCode').value.trim().toUpperCase() || null,
+        discount_type: type,
+        discount_value: ['percentage', 'fixed'].includes(type) ? parseFloat(document.getElementById('promotionValue').value) || 0 : 0,
+        rules,
+        applies_to: appliesTo,
+        applies_to_ids: appliesTo === 'all' ? null : targetIds,
+        min_purchase: optionalNumber('promotionMinPurchase') || 0,
+        max_discount: optionalNumber('promotionMaxDiscount'),
+        usage_limit: optionalNumber('promotionUsageLimit'),
+        per_customer_limit: optionalNumber('promotionPerCustomerLimit'),
+        starts_at: new Date(document.getElementById('promotionStartsAt').value).toISOString(),
+        ends_at: new Date(document.getElementById('promotionEndsAt').value).toISOString(),
+        auto_apply: document.getElementById('promotionAutoApply').checked,
+        stackable: document.getElementById('promotionStackable').checked,
+        is_active: document.getElementById('promotionActive').checked
+    };
+
+    if (['percentage', 'fixed'].includes(type) && promoData.discount_value <= 0) {
+        errorEl.textContent = 'Indica il valore dello sconto.';
+        return;
+    }
+    if (type === 'percentage' && promoData.discount_value > 100) {
+        errorEl.textContent = 'La percentuale non può superare il 100%.';
+        return;
+    }
+    if (appliesTo !== 'all' && !targetIds.length) {
+        errorEl.textContent = 'Seleziona almeno un elemento a cui applicare la promozione.';
+        return;
+    }
+    if (type === 'bundle' && targetIds.length < 2) {
+        errorEl.textContent = 'Un bundle deve contenere almeno due prodotti.';
+        return;
+    }
+    if (promoData.ends_at <= promoData.starts_at) {
+        errorEl.textContent = 'La data di fine deve essere successiva all\'inizio.';
+        return;
+    }
+    try {
+        const result = id
+            ? await supabase.from('promotions').update(promoData).eq('id', id)
+            : await supabase.from('promotions').insert(promoData);
+
+        if (result.error) {
+            errorEl.textContent = result.error.code === '23505'
+                ? 'Esiste già una promozione con questo codice.'
+                : result.error.message;
+            return;
+        }
+
+        closePromotionModal();
+        await loadPromotions();
+        showToast(id ? 'Promozione aggiornata!' : 'Promozione creata!', 'success');
+    } catch (err) {
+        console.error('Save promotion error:', err);
+        errorEl.textContent = 'Errore nel salvataggio';
+    }
+}
+
+// Code batches: unique codes for one promotion, with their redemption report
+let promotionBatches = [];
+
+// PostgREST returns at most 1000 rows per request
+async function fetchAllRows(buildQuery) {
+    const PAGE_SIZE = 1000;
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+function loadBatchCodes(batchId) {
+    return fetchAllRows(() => supabase
+        .from('promotion_codes')
+        .select('id, code, max_uses, usage_count')
+        .eq('batch_id', batchId)
+        .order('code'));
+}
+
+function loadBatchRedemptions(batchId) {
+    return fetchAllRows(() => supabase
+        .from('promotion_redemptions')
+        .select('code_id, user_id, created_at, promotion_codes!inner(batch_id), orders(order_number, shipping_address)')
+        .eq('promotion_codes.batch_id', batchId)
+        .order('created_at'));
+}
+
+window.openPromotionCodes = async function(id) {
+    const promo = promotions.find(p => p.id === id);
+    if (!promo) return;
+
+    document.getElementById('promotionBatchForm').reset();
+    document.getElementById('promotionBatchError').textContent = '';
+    document.getElementById('promotionBatchPromotionId').value = id;
+    document.getElementById('promotionCodesModalTitle').textContent = `Codici · ${promo.name}`;
+    document.getElementById('promotionCodesModal').classList.add('active');
+    await loadPromotionBatches(id);
+};
+
+window.closePromotionCodesModal = function() {
+    document.getElementById('promotionCodesModal').classList.remove('active');
+};
+
+async function loadPromotionBatches(promotionId) {
+    const tbody = document.getElementById('promotionBatchesTable');
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">Caricamento...</td></tr>';
+
+    try {
+        const { data, error } = await supabase
+            .from('promotion_code_batches')
+            .select('*')
+            .eq('promotion_id', promotionId)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        promotionBatches = await Promise.all((data || []).map(async batch => {
+            const [codes, redemptions] = await Promise.all([loadBatchCodes(batch.id), loadBatchRedemptions(batch.id)]);
+            return { ...batch, report: summarizeBatch(codes, redemptions) };
+        }));
+        renderPromotionBatches();
+    } catch (err) {
+        console.error('Load promotion batches error:', err);
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">Errore nel caricamento dei batch</td></tr>';
+    }
+}
+
+function renderPromotionBatches() {
+    const tbody = document.getElementById('promotionBatchesTable');
+
+    if (promotionBatches.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">Nessun batch generato</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = promotionBatches.map(batch => {
+        const { report } = batch;
+        return `
+            <tr>
+                <td><strong>${escapeHtml(batch.name)}</strong><br><small>${batch.prefix ? `${escapeHtml(batch.prefix)}-… · ` : ''}${batch.uses_per_code} ${batch.uses_per_code === 1 ? 'utilizzo' : 'utilizzi'} per codice</small></td>
+                <td>${report.used} / ${report.total} (${report.percent}%)<br><small>${report.exhausted} esauriti</small></td>
+                <td>${report.redemptions}</td>
+                <td>${report.customers}</td>
+                <td>${report.lastRedeemedAt ? new Date(report.lastRedeemedAt).toLocaleDateString('it-IT') : '-'}</td>
+                <td><span class="status-badge ${batch.is_active ? 'status-active' : 'status-inactive'}">${batch.is_active ? 'Attivo' : 'Disattivato'}</span></td>
+                <td class="action-btns">
+                    <button class="btn-edit" onclick="exportPromotionBatch('${batch.id}')">CSV</button>
+                    <button class="btn-edit" onclick="togglePromotionBatch('${batch.id}')">${batch.is_active ? 'Disattiva' : 'Attiva'}</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function handlePromotionBatchSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('promotionBatchError');
+    const submitBtn = document.getElementById('generatePromotionBatchBtn');
+    errorEl.textContent = '';
+
+    const promotionId = document.getElementById('promotionBatchPromotionId').value;
+    const quantity = parseInt(document.getElementById('promotionBatchQuantity').value);
+    const usesPerCode = parseInt(document.getElementById('promotionBatchUses').value);
+    const prefix = normalizeCodePrefix(document.getElementById('promotionBatchPrefix').value);
+
+    if (!(quantity > 0 && quantity <= 5000) || !(usesPerCode > 0)) {
+        errorEl.textContent = 'Da 1 a 5000 codici, con almeno un utilizzo ciascuno.';
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        const { data: batch, error } = await supabase
+            .from('promotion_code_batches')
+            .insert({
+                promotion_id: promotionId,
+                name: document.getElementById('promotionBatchName').value.trim(),
+                prefix: prefix || null,
+                uses_per_code: usesPerCode
+            })
+            .select('id')
+            .single();
+        if (error) throw error;
+
+        const random = () => crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32;
+        const codes = generatePromotionCodes(quantity, { prefix, random });
+        const BATCH_SIZE = 500;
+        for (let i = 0; i < codes.length; i += BATCH_SIZE) {
+            const { error: codesError } = await supabase
+                .from('promotion_codes')
+                .insert(codes.slice(i, i + BATCH_SIZE).map(code => ({
+                    batch_id: batch.id,
+                    promotion_id: promotionId,
+                    code,
+                    max_uses: usesPerCode
+                })));
+            if (codesError) {
+                // A code already taken by another batch: drop the partial batch
+                await supabase.from('promotion_code_batches').delete().eq('id', batch.id);
+                throw codesError;
+            }
+        }
+
+        document.getElementById('promotionBatchForm').reset();
+        await loadPromotionBatches(promotionId);
+        showToast(`${codes.length} codici generati!`, 'success');
+    } catch (err) {
+        console.error('Generate promotion codes error:', err);
+        errorEl.textContent = err.code === '23505'
+            ? 'Alcuni codici esistono già: riprova.'
+            : 'Errore nella generazione dei codici';
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+window.exportPromotionBatch = async function(id) {
+    const batch = promotionBatches.find(b => b.id === id);
+    if (!batch) return;
+
+    try {
+        const [codes, redemptions] = await Promise.all([loadBatchCodes(id), loadBatchRedemptions(id)]);
+        const emails = await getCustomerEmails(redemptions.map(r => r.user_id));
+        const csv = buildBatchCsv(batch, codes, redemptions, emails);
+        // BOM so Excel reads the accents
+        const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `codici-${generateSlug(batch.name)}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        console.error('Export promotion batch error:', err);
+        showToast('Errore nell\'esportazione dei codici', 'error');
+    }
+};
+
+window.togglePromotionBatch = async function(id) {
+    const batch = promotionBatches.find(b => b.id === id);
+    if (!batch) return;
+
+    const { error } = await supabase
+        .from('promotion_code_batches')
+        .update({ is_active: !batch.is_active })
+        .eq('id', id);
+    if (error) {
+        console.error('Toggle promotion batch error:', error);
+        showToast('Errore nell\'aggiornamento del batch', 'error');
+        return;
+    }
+    batch.is_active = !batch.is_active;
+    renderPromotionBatches();
+    showToast(batch.is_active ? 'Batch attivato' : 'Batch disattivato: i suoi codici non sono più validi', 'success');
+};
+
+async function deletePromotion(id) {
+    try {
+        const { error } = await supabase.from('promotions').delete().eq('id', id);
+        if (error) throw error;
+
+        await loadPromotions();
+        showToast('Promozione eliminata!', 'success');
+    } catch (err) {
+        console.error('Delete promotion error:', err);
+        showToast('Errore nell\'eliminazione', 'error');
+    }
+}
+
+// Price schedules (scheduled sale prices and flash sales, migration 040)
+async function loadPriceSchedules() {
+    try {
+        const { data, error } = await supabase
+            .from('price_schedules')
+            .select('*')
+            .order('starts_at', { ascending: false });
+
+        if (error) throw error;
+        priceSchedules = data || [];
+        renderPriceSchedules();
+    } catch (err) {
+        console.error('Load price schedules error:', err);
+        showToast('Errore nel caricamento dei prezzi programmati', 'error');
+    }
+}
+
+function getPriceScheduleTargetsLabel(schedule) {
+    const ids = schedule.target_ids || [];
+    switch (schedule.applies_to) {
+        case 'all':
+            return 'Tutti i prodotti';
+        case 'gender':
+            return ids.map(g => getProductTypeLabel(g)).join(', ');
+        case 'category':
+            return ids.map(id => categories.find(c => c.id === id)?.name || '-').join(', ');
+        default:
+            return ids.length === 1
+                ? products.find(p => p.id === ids[0])?.name || '1 prodotto'
+                : `${ids.length} prodotti`;
+    }
+}
+
+function renderPriceSchedules() {
+    const tbody = document.getElementById('priceSchedulesTable');
+
+    if (priceSchedules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="loading">Nessun prezzo programmato</td></tr>';
+        return;
+    }
+
+    const now = new Date();
+    tbody.innerHTML = priceSchedules.map(schedule => {
+        const ended = schedule.ends_at && new Date(schedule.ends_at) <= now;
+        const live = isPriceScheduleLive(schedule, now);
+        const status = !schedule.is_active ? 'Disattivato' : ended ? 'Terminato' : live ? 'In corso' : 'Programmato';
+        return `
+            <tr>
+                <td><strong>${escapeHtml(schedule.name)}</strong></td>
+                <td>${escapeHtml(formatPriceSchedule(schedule))}</td>
+                <td>${escapeHtml(getPriceScheduleTargetsLabel(schedule))}</td>
+                <td><span class="status-badge ${live ? 'status-active' : 'status-inactive'}">${status}</span></td>
+                <td class="action-btns">
+                    <button class="btn-edit" onclick="editPriceSchedule('${schedule.id}')">Modifica</button>
+                    <button class="btn-delete" onclick="confirmDeletePriceSchedule('${schedule.id}')">Elimina</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Product modal: tell the admin a scheduled price is currently on top of theirs
+function renderScheduledPriceHint(product) {
+    const hint = document.getElementById('productScheduledPriceHint');
+    if (!product?.sale_schedule_id) {
+        hint.style.display = 'none';
+        return;
+    }
+
+    const schedule = priceSchedules.find(s => s.id === product.sale_schedule_id);
+    const remaining = product.sale_ends_at ? new Date(product.sale_ends_at) - Date.now() : 0;
+    hint.textContent = `Ora €${Number(product.sale_price).toFixed(2)} per il prezzo programmato${schedule ? ` "${schedule.name}"` : ''}${remaining > 0 ? `, ancora ${formatCountdown(remaining)}` : ''}.`;
+    hint.style.display = '';
+}
+
+function populatePriceScheduleTargets(selectedIds = []) {
+    const appliesTo = document.getElementById('priceScheduleAppliesTo').value;
+    const group = document.getElementById('priceScheduleTargetsGroup');
+    const select = document.getElementById('priceScheduleTargets');
+
+    group.style.display = appliesTo === 'all' ? 'none' : '';
+    const options = appliesTo === 'gender'
+        ? ['frutta', 'verdura', 'conserve', 'secchi-estratti', 'altro'].map(g => ({ id: g, name: getProductTypeLabel(g, true) }))
+        : [...(appliesTo === 'category' ? categories : appliesTo === 'product' ? products : [])]
+            .sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = options
+        .map(o => `<option value="${o.id}" ${selectedIds.includes(o.id) ? 'selected' : ''}>${escapeHtml(o.name)}</option>`)
+        .join('');
+}
+
+// Daily hours only matter for a recurring flash sale
+function updatePriceScheduleHours() {
+    const recurring = document.querySelectorAll('#priceScheduleDays input:checked').length > 0;
+    document.getElementById('priceScheduleHoursRow').style.display = recurring ? '' : 'none';
+}
+
+function openPriceScheduleModal(schedule = null) {
+    const form = document.getElementById('priceScheduleForm');
+    form.reset();
+    document.getElementById('priceScheduleError').textContent = '';
+
+    const days = schedule?.recurrence_days || [];
+    document.getElementById('priceScheduleDays').innerHTML = Object.entries(WEEKDAYS)
+        .map(([day, label]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${day}" ${days.includes(Number(day)) ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+
+    if (schedule) {
+        document.getElementById('priceScheduleModalTitle').textContent = 'Modifica Prezzo Programmato';
+        document.getElementById('priceScheduleId').value = schedule.id;
+        document.getElementById('priceScheduleName').value = schedule.name;
+        document.getElementById('priceScheduleAppliesTo').value = schedule.applies_to;
+        document.getElementById('priceScheduleDiscount').value = schedule.discount_percent || '';
+        document.getElementById('priceScheduleSalePrice').value = schedule.sale_price || '';
+        document.getElementById('priceScheduleStartsAt').value = toDateTimeLocal(schedule.starts_at);
+        document.getElementById('priceScheduleEndsAt').value = schedule.ends_at ? toDateTimeLocal(schedule.ends_at) : '';
+        document.getElementById('priceScheduleDailyStart').value = String(schedule.daily_start || '').slice(0, 5);
+        document.getElementById('priceScheduleDailyEnd').value = String(schedule.daily_end || '').slice(0, 5);
+        document.getElementById('priceScheduleActive').checked = schedule.is_active;
+    } else {
+        document.getElementById('priceScheduleModalTitle').textContent = 'Nuovo Prezzo Programmato';
+        document.getElementById('priceScheduleId').value = '';
+        document.getElementById('priceScheduleStartsAt').value = toDateTimeLocal(new Date());
+        document.getElementById('priceScheduleActive').checked = true;
+    }
+
+    populatePriceScheduleTargets(schedule?.target_ids || []);
+    updatePriceScheduleHours();
+    document.getElementById('priceScheduleModal').classList.add('active');
+}
+
+window.closePriceScheduleModal = function() {
+    document.getElementById('priceScheduleModal').classList.remove('active');
+};
+
+window.editPriceSchedule = function(id) {
+    const schedule = priceSchedules.find(s => s.id === id);
+    if (schedule) openPriceScheduleModal(schedule);
+};
+
+window.confirmDeletePriceSchedule = function(id) {
+    const schedule = priceSchedules.find(s => s.id === id);
+    if (!schedule) return;
+    document.getElementById('deleteMessage').textContent = `Sei sicuro di voler eliminare il prezzo programmato "${schedule.name}"?`;
+    deleteCallback = () => deletePriceSchedule(id);
+    document.getElementById('deleteModal').classList.add('active');
+};
+
+async function handlePriceScheduleSubmit(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('priceScheduleError');
+    errorEl.textContent = '';
+
+    const id = document.getElementById('priceScheduleId').value;
+    const appliesTo = document.getElementById('priceScheduleAppliesTo').value;
+    const targetIds = Array.from(document.getElementById('priceScheduleTargets').selectedOptions).map(o => o.value);
+    const days = Array.from(document.querySelectorAll('#priceScheduleDays input:checked')).map(el => Number(el.value));
+    const discount = parseFloat(document.getElementById('priceScheduleDiscount').value) || null;
+    const salePrice = parseFloat(document.getElementById('priceScheduleSalePrice').value) || null;
+    const endsAt = document.getElementById('priceScheduleEndsAt').value;
+
+    const scheduleData = {
+        name: document.getElementById('priceScheduleName').value.trim(),
+        applies_to: appliesTo,
+        target_ids: appliesTo === 'all' ? [] : targetIds,
+        discount_percent: discount,
+        sale_price: salePrice,
+        starts_at: new Date(document.getElementById('priceScheduleStartsAt').value).toISOString(),
+        ends_at: endsAt ? new Date(endsAt).toISOString() : null,
+        recurrence_days: days,
+        daily_start: days.length ? document.getElementById('priceScheduleDailyStart').value || null : null,
+        daily_end: days.length ? document.getElementById('priceScheduleDailyEnd').value || null : null,
+        is_active: document.getElementById('priceScheduleActive').checked
+    };
+
+    if (appliesTo !== 'all' && !targetIds.length) {
+        errorEl.textContent = 'Seleziona almeno un elemento a cui applicare il prezzo.';
+        return;
+    }
+    if (!discount === !salePrice) {
+        errorEl.textContent = 'Indica uno sconto in percentuale oppure un prezzo fisso.';
+        return;
+    }
+    if (discount && (discount <= 0 || discount >= 100)) {
+        errorEl.textContent = 'Lo sconto deve essere tra 1% e 99%.';
+        return;
+    }
+    if (salePrice && appliesTo !== 'product') {
+        errorEl.textContent = 'Il prezzo fisso si può usare solo per singoli prodotti.';
+        return;
+    }
+    if (salePrice && products.some(p => targetIds.includes(p.id) && salePrice >= p.price)) {
+        errorEl.textContent = 'Il prezzo fisso deve essere inferiore al prezzo di listino dei prodotti scelti.';
+        return;
+    }
+    if (scheduleData.ends_at && scheduleData.ends_at <= scheduleData.starts_at) {
+        errorEl.textContent = 'La data di fine deve essere successiva all\'inizio.';
+        return;
+    }
+    if (days.length && !(scheduleData.daily_start && scheduleData.daily_end && scheduleData.daily_end > scheduleData.daily_start)) {
+        errorEl.textContent = 'Indica l\'orario della promozione: l\'ora di fine deve seguire quella di inizio.';
+        return;
+    }
+
+    try {
+        const result = id
+            ? await supabase.from('price_schedules').update(scheduleData).eq('id', id)
+            : await supabase.from('price_schedules').insert(scheduleData);
+
+        if (result.error) {
+            errorEl.textContent = result.error.message;
+            return;
+        }
+
+        closePriceScheduleModal();
+        await loadPriceSchedules();
+        showToast(id
+            ? 'Prezzo programmato aggiornato! I prezzi cambiano entro un minuto.'
+            : 'Prezzo programmato creato! I prezzi cambiano entro un minuto.', 'success');
+    } catch (err) {
+        console.error('Save price schedule error:', err);
+        errorEl.textContent = 'Errore nel salvataggio';
+    }
+}
+
+async function deletePriceSchedule(id) {
+    try {
+        const { error } = await supabase.from('price_schedules').delete().eq('id', id);
+        if (error) throw error;
+
+        await loadPriceSchedules();
+        showToast('Prezzo programmato eliminato!', 'success');
+    } catch (err) {
+        console.error('Delete price schedule error:', err);
+        showToast('Errore nell\'eliminazione', 'error');
+    }
+}
+
+// Make showGcDetail available globally
+window.showGcDetail = showGcDetail;
+
+// ==================== ORDERS MANAGEMENT ====================
+
+// ==================== ORDERS MANAGEMENT - ADVANCED ====================
+
+let orders = [];
+let filteredOrders = [];
+let orderSortField = 'created_at';
+let orderSortDir = 'desc';
+
+async function loadOrders() {
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .select(`
+                *,
+                order_items (
+                    id,
+                    product_name,
+                    product_price,
+                    quantity,
+                    size,
+                    color,
+                    weight_grams,
+                    actual_weight_grams,
+                    adjusted_price,
+                    lot_number
+                ),
+                order_adjustments (
+                    amount,
+                    difference,
+                    method,
+                    created_at
+                ),
+                delivery_slot:delivery_slots (
+                    id,
+                    slot_date,
+                    start_time,
+                    end_time,
+                    label
+                )
+            `)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        orders = data || [];
+        filteredOrders = [...orders];
+        populateOrderSlotFilter();
+        applyOrderFilters();
+        setupOrdersEventListeners();
+    } catch (err) {
+        console.error('Load orders error:', err);
+        showToast('Errore nel caricamento ordini', 'error');
+    }
+}
+
+// Slot filter options come from the slots actually booked by the loaded orders
+function populateOrderSlotFilter() {
+    const select = document.getElementById('orderSlotFilter');
+    if (!select) return;
+
+    const current = select.value;
+    const slots = new Map();
+    orders.forEach(order => {
+        if (order.delivery_slot) slots.set(order.delivery_slot.id, order.delivery_slot);
+    });
+    const sorted = [...slots.values()].sort((a, b) =>
+        `${a.slot_date} ${a.start_time}`.localeCompare(`${b.slot_date} ${b.start_time}`));
+
+    select.innerHTML = `
+        <option value="">Tutte</option>
+        <option value="none">Senza fascia</option>
+        ${sorted.map(slot => `<option value="${slot.id}">${deliverySlotService.formatSlot(slot)}${slot.label ? ` · ${slot.label}` : ''}</option>`).join('')}
+    `;
+    if (current && (current === 'none' || slots.has(current))) select.value = current;
+}
+
+function setupOrdersEventListeners() {
+    // Search input
+    const searchInput = document.getElementById('orderSearch');
+    const clearBtn = document.getElementById('clearSearchBtn');
+    
+    searchInput?.addEventListener('input', (e) => {
+        clearBtn.style.display = e.target.value ? 'flex' : 'none';
+        applyOrderFilters();
+    });
+    
+    clearBtn?.addEventListener('click', () => {
+        searchInput.value = '';
+        clearBtn.style.display = 'none';
+        applyOrderFilters();
+    });
+    
+    // Filters
+    document.getElementById('orderStatusFilter')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderDateFilter')?.addEventListener('change', (e) => {
+        const customRange = document.getElementById('customDateRange');
+        if (e.target.value === 'custom') {
+            customRange.classList.add('show');
+        } else {
+            customRange.classList.remove('show');
+        }
+        applyOrderFilters();
+    });
+    document.getElementById('orderDateFrom')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderDateTo')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderAmountFilter')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderPaymentFilter')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderFulfillmentFilter')?.addEventListener('change', applyOrderFilters);
+    document.getElementById('orderSlotFilter')?.addEventListener('change', applyOrderFilters);
+    
+    // Reset filters
+    document.getElementById('resetFiltersBtn')?.addEventListener('click', resetOrderFilters);
+    
+    // Sortable headers
+    document.querySelectorAll('.orders-table th.sortable').forEach(th => {
+        th.addEventListener('click', () => {
+            const field = th.dataset.sort;
+            if (orderSortField === field) {
+                orderSortDir = orderSortDir === 'asc' ? 'desc' : 'asc';
+            } else {
+                orderSortField = field;
+                orderSortDir = 'desc';
+            }
+            document.querySelectorAll('.orders-table th.sortable').forEach(h => h.classList.remove('asc', 'desc'));
+            th.classList.add(orderSortDir);
+            applyOrderFilters();
+        });
+    });
+}
+
+function applyOrderFilters() {
+    const searchQuery = (document.getElementById('orderSearch')?.value || '').toLowerCase().trim();
+    const statusFilter = document.getElementById('orderStatusFilter')?.value || '';
+    const dateFilter = document.getElementById('orderDateFilter')?.value || '';
+    const amountFilter = document.getElementById('orderAmountFilter')?.value || '';
+    const paymentFilter = document.getElementById('orderPaymentFilter')?.value || '';
+    const fulfillmentFilter = document.getElementById('orderFulfillmentFilter')?.value || '';
+    const slotFilter = document.getElementById('orderSlotFilter')?.value || '';
+    const dateFrom = document.getElementById('orderDateFrom')?.value || '';
+    const dateTo = document.getElementById('orderDateTo')?.value || '';
+    
+    filteredOrders = orders.filter(order => {
+        // Text search - search in ALL fields
+        if (searchQuery) {
+            const searchableText = buildSearchableText(order).toLowerCase();
+            if (!searchableText.includes(searchQuery)) return false;
+        }
+        
+        // Status filter
+        if (statusFilter && order.status !== statusFilter) return false;
+        
+        // Date filter
+        if (dateFilter) {
+            const orderDate = new Date(order.created_at);
+            const now = new Date();
+            
+            if (dateFilter === 'today') {
+                if (orderDate.toDateString() !== now.toDateString()) return false;
+            } else if (dateFilter === 'week') {
+                const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+                if (orderDate < weekAgo) return false;
+            } else if (dateFilter === 'month') {
+                const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+                if (orderDate < monthAgo) return false;
+            } else if (dateFilter === 'custom') {
+                if (dateFrom && orderDate < new Date(dateFrom)) return false;
+                if (dateTo && orderDate > new Date(dateTo + 'T23:59:59')) return false;
+            }
+        }
+        
+        // Amount filter
+        if (amountFilter) {
+            const total = parseFloat(order.total);
+            if (amountFilter === '0-25' && (total < 0 || total > 25)) return false;
+            if (amountFilter === '25-50' && (total < 25 || total > 50)) return false;
+            if (amountFilter === '50-100' && (total < 50 || total > 100)) return false;
+            if (amountFilter === '100+' && total < 100) return false;
+        }
+        
+        // Payment filter
+        if (paymentFilter && order.payment_provider !== paymentFilter) return false;
+        
+        // Fulfilment filter (orders before click-and-collect are deliveries)
+        if (fulfillmentFilter && (order.fulfillment_method || 'delivery') !== fulfillmentFilter) return false;
+        
+        // Delivery slot filter
+        if (slotFilter === 'none' && order.delivery_slot_id) return false;
+        if (slotFilter && slotFilter !== 'none' && order.delivery_slot_id !== slotFilter) return false;
+        
+        return true;
+    });
+    
+    // Sort
+    filteredOrders.sort((a, b) => {
+        let valA, valB;
+        
+        if (orderSortField === 'customer') {
+            valA = `${a.shipping_address?.firstName || ''} ${a.shipping_address?.lastName || ''}`.toLowerCase();
+            valB = `${b.shipping_address?.firstName || ''} ${b.shipping_address?.lastName || ''}`.toLowerCase();
+        } else if (orderSortField === 'total') {
+            valA = parseFloat(a.total);
+            valB = parseFloat(b.total);
+        } else if (orderSortField === 'created_at') {
+            valA = new Date(a.created_at).getTime();
+            valB = new Date(b.created_at).getTime();
+        } else {
+            valA = a[orderSortField] || '';
+            valB = b[orderSortField] || '';
+        }
+        
+        if (orderSortDir === 'asc') {
+            return valA > valB ? 1 : -1;
+        } else {
+            return valA < valB ? 1 : -1;
+        }
+    });
+    
+    renderOrders(filteredOrders, searchQuery);
+    updateOrdersStats(filteredOrders);
+}
+
+function buildSearchableText(order) {
+    const addr = order.shipping_address || {};
+    const items = order.order_items || [];
+    
+    const parts = [
+        order.order_number,
+        addr.firstName,
+        addr.lastName,
+        addr.address,
+        addr.city,
+        addr.province,
+        addr.postalCode,
+        addr.phone,
+        order.payment_provider,
+        order.payment_id,
+        order.status,
+        order.tracking_number,
+        order.courier,
+        order.notes,
+        order.gift_card_code,
+        order.pickup_code,
+        ...items.map(i => i.product_name),
+        ...items.map(i => i.size),
+        ...items.map(i => i.color)
+    ];
+    
+    return parts.filter(Boolean).join(' ');
+}
+
+function highlightMatch(text, query) {
+    if (!query || !text) return text;
+    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    return text.replace(regex, '<span class="search-match">$1</span>');
+}
+
+function resetOrderFilters() {
+    document.getElementById('orderSearch').value = '';
+    document.getElementById('orderStatusFilter').value = '';
+    document.getElementById('orderDateFilter').value = '';
+    document.getElementById('orderAmountFilter').value = '';
+    document.getElementById('orderPaymentFilter').value = '';
+    document.getElementById('orderFulfillmentFilter').value = '';
+    document.getElementById('orderSlotFilter').value = '';
+    document.getElementById('orderDateFrom').value = '';
+    document.getElementById('orderDateTo').value = '';
+    document.getElementById('customDateRange').classList.remove('show');
+    document.getElementById('clearSearchBtn').style.display = 'none';
+    applyOrderFilters();
+}
+
+function updateOrdersStats(orderList) {
+    const count = orderList.length;
+    const total = orderList.reduce((sum, o) => sum + parseFloat(o.total), 0);
+    
+    document.getElementById('ordersCount').textContent = `${count} ordine${count !== 1 ? 'i' : ''}`;
+    document.getElementById('ordersTotalAmount').textContent = `Totale: €${total.toFixed(2)}`;
+}
+
+function renderOrders(orderList, searchQuery = '') {
+    const tbody = document.getElementById('ordersTable');
+    const mobileCards = document.getElementById('mobileOrderCards');
+    
+    if (!orderList || orderList.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">Nessun ordine trovato</td></tr>';
+        if (mobileCards) mobileCards.innerHTML = '<p style="text-align:center;padding:2rem;color:#888;">Nessun ordine trovato</p>';
+        return;
+    }
 
-// Get affected products based on current selection
-function getAffectedProducts() {
-    if (discountMode === 'all') {
-        return products;
-    } else if (discountMode === 'gender') {
-        return products.filter(p => selectedGenders.includes(p.gender));
-    } else if (discountMode === 'category') {
-        return products.filter(p => selectedCategories.includes(p.category_id));
-    } else if (discountMode === 'products') {
-        return products.filter(p => selectedProductIds.includes(p.id));
+    const statusColors = {
+        'pending': 'status-pending',
+        'confirmed': 'status-confirmed',
+        'processing': 'status-processing',
+        'ready_for_pickup': 'status-pickup',
+        'shipped': 'status-shipped',
+        'delivered': 'status-active',
+        'cancelled': 'status-inactive',
+        'refunded': 'status-inactive'
+    };
+
+    // Desktop table
+    tbody.innerHTML = orderList.map(order => {
+        const date = new Date(order.created_at).toLocaleDateString('it-IT', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        const addr = order.shipping_address || {};
+        const isGiftCard = addr.type === 'digital';
+        let customerName = `${addr.firstName || ''} ${addr.lastName || ''}`.trim();
+        
+        // Per le gift card, estrai il nome dalle note o mostra "Gift Card"
+        if (isGiftCard && !customerName) {
+            // Le note contengono "Gift Card per NomeDestinatario (email)"
+            const noteMatch = order.notes?.match(/Gift Card per ([^(]+)/);
+            customerName = noteMatch ? `🎁 ${noteMatch[1].trim()}` : '🎁 Gift Card';
+        }
+        customerName = customerName || 'N/D';
+        
+        const productNames = (order.order_items || []).map(i => i.product_name).join(', ');
+        
+        const displayOrderNum = highlightMatch(order.order_number, searchQuery);
+        const displayCustomer = highlightMatch(customerName, searchQuery);
+        const displayCity = highlightMatch(addr.city || '', searchQuery);
+        
+        return `
+        <tr class="${searchQuery && buildSearchableText(order).toLowerCase().includes(searchQuery) ? 'order-row-highlight' : ''}">
+            <td>
+                <strong>#${displayOrderNum}</strong>
+                <br><small style="color:#999" title="${productNames}">${order.order_items?.length || 0} prodotti</small>
+            </td>
+            <td>
+                <strong>${displayCustomer}</strong>
+                <br>${order.fulfillment_method === 'pickup' ? '<span class="fulfillment-badge">🏪 Ritiro</span>' : `<small style="color:#999">${displayCity}</small>`}
+                ${addr.phone ? `<br><small style="color:#aaa">📞 ${highlightMatch(addr.phone, searchQuery)}</small>` : ''}
+            </td>
+            <td>
+                ${date}
+                ${order.delivery_slot ? `<br><small style="color:#999">🚚 ${deliverySlotService.formatSlot(order.delivery_slot)}</small>` : ''}
+            </td>
+            <td><strong>€${parseFloat(order.total).toFixed(2)}</strong></td>
+            <td>
+                <select class="order-status-select ${statusColors[order.status] || ''}" 
+                        onchange="updateOrderStatus('${order.id}', this.value)">
+                    <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>⏳ In attesa</option>
+                    <option value="confirmed" ${order.status === 'confirmed' ? 'selected' : ''}>✅ Confermato</option>
+                    <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>🔄 In lavorazione</option>
+                    ${order.fulfillment_method === 'pickup' ? `<option value="ready_for_pickup" ${order.status === 'ready_for_pickup' ? 'selected' : ''}>🏪 Pronto per il ritiro</option>` : ''}
+                    <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>🚚 Spedito</option>
+                    <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>📦 Consegnato</option>
+                    <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>❌ Annullato</option>
+                    <option value="refunded" ${order.status === 'refunded' ? 'selected' : ''}>💸 Rimborsato</option>
+                </select>
+            </td>
+            <td class="actions-cell">
+                <button class="btn-edit" onclick="viewOrderDetails('${order.id}')">👁️ Dettagli</button>
+            </td>
+        </tr>
+    `}).join('');
+    
+    // Mobile cards
+    if (mobileCards) {
+        mobileCards.innerHTML = orderList.map(order => {
+            const date = new Date(order.created_at).toLocaleDateString('it-IT', {
+                day: '2-digit',
+                month: '2-digit',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            
+            const addr = order.shipping_address || {};
+            const isGiftCard = addr.type === 'digital';
+            let customerName = `${addr.firstName || ''} ${addr.lastName || ''}`.trim();
+            
+            // Per le gift card, estrai il nome dalle note
+            if (isGiftCard && !customerName) {
+                const noteMatch = order.notes?.match(/Gift Card per ([^(]+)/);
+                customerName = noteMatch ? `🎁 ${noteMatch[1].trim()}` : '🎁 Gift Card';
+            }
+            customerName = customerName || 'N/D';
+            
+            const productNames = (order.order_items || []).slice(0, 2).map(i => i.product_name).join(', ');
+            const moreItems = (order.order_items?.length || 0) > 2 ? ` +${order.order_items.length - 2}` : '';
+            
+            return `
+            <div class="mobile-order-card">
+                <div class="mobile-order-header">
+                    <div>
+                        <div class="mobile-order-number">#${order.order_number}</div>
+                        <div class="mobile-order-date">${date}</div>
+                    </div>
+                    <span class="order-status ${statusColors[order.status] || ''}" style="font-size:0.75rem;padding:0.25rem 0.5rem;">
+                        ${order.status === 'pending' ? '⏳' : order.status === 'confirmed' ? '✅' : order.status === 'processing' ? '🔄' : order.status === 'ready_for_pickup' ? '🏪' : order.status === 'shipped' ? '🚚' : order.status === 'delivered' ? '📦' : order.status === 'cancelled' ? '❌' : '💸'}
+                    </span>
+                </div>
+                
+                <div class="mobile-order-customer">
+                    <span class="mobile-customer-name">${customerName}</span>
+                    <span class="mobile-customer-city">${order.fulfillment_method === 'pickup' ? '🏪 Ritiro in negozio' : `📍 ${addr.city || 'N/D'}`}</span>
+                    ${addr.phone ? `<span class="mobile-customer-phone">📞 ${addr.phone}</span>` : ''}
+                </div>
+                
+                <div class="mobile-order-items">
+                    🛒 ${productNames}${moreItems} (${order.order_items?.length || 0} prodotti)
+                </div>
+                ${order.delivery_slot ? `
+                <div class="mobile-order-items">
+                    🚚 ${deliverySlotService.formatSlot(order.delivery_slot)}
+                </div>
+                ` : ''}
+                
+                <div class="mobile-order-footer">
+                    <span class="mobile-order-total">€${parseFloat(order.total).toFixed(2)}</span>
+                    <div class="mobile-order-status">
+                        <select class="order-status-select" onchange="updateOrderStatus('${order.id}', this.value)">
+                            <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>⏳ In attesa</option>
+                            <option value="confirmed" ${order.status === 'confirmed' ? 'selected' : ''}>✅ Confermato</option>
+                            <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>🔄 In lavorazione</option>
+                            ${order.fulfillment_method === 'pickup' ? `<option value="ready_for_pickup" ${order.status === 'ready_for_pickup' ? 'selected' : ''}>🏪 Pronto per il ritiro</option>` : ''}
+                            <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>🚚 Spedito</option>
+                            <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>📦 Consegnato</option>
+                            <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>❌ Annullato</option>
+                            <option value="refunded" ${order.status === 'refunded' ? 'selected' : ''}>💸 Rimborsato</option>
+                        </select>
+                    </div>
+                </div>
+                
+                <div class="mobile-order-actions">
+                    <button class="btn-details" onclick="viewOrderDetails('${order.id}')">👁️ Vedi dettagli</button>
+                </div>
+            </div>
+            `;
+        }).join('');
     }
-    return [];
 }
 
-// Apply discount - optimized for bulk operations (hundreds of products)
-window.applyDiscount = async function() {
-    const discountType = document.getElementById('discountType').value;
-    const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
+window.updateOrderStatus = async function(orderId, newStatus) {
+    try {
+        const { error } = await supabase
+            .from('orders')
+            .update({ status: newStatus, updated_at: new Date().toISOString() })
+            .eq('id', orderId);
+
+        if (error) throw error;
+        
+        // Update local data
+        const order = orders.find(o => o.id === orderId);
+        if (order) order.status = newStatus;
+        
+        // Tell the customer their order can be collected (code + QR in the email)
+        if (newStatus === 'ready_for_pickup') {
+            supabase.functions.invoke('send-order-email', { body: { orderId, status: newStatus } })
+                .catch(err => console.error('Pickup email error:', err));
+        }
+        
+        showToast('Stato ordine aggiornato!', 'success');
+        applyOrderFilters();
+    } catch (err) {
+        console.error('Update order status error:', err);
+        showToast('Errore nell\'aggiornamento', 'error');
+    }
+};
+
+window.viewOrderDetails = function(orderId) {
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return;
     
-    if (discountValue <= 0) {
-        showToast('Inserisci un valore di sconto valido', 'error');
-        return;
+    // Save modal state for session persistence
+    saveModalState('order', orderId);
+    
+    const addr = order.shipping_address || {};
+    const items = order.order_items || [];
+    const isGiftCard = addr.type === 'digital';
+    
+    let detailsHtml;
+    
+    if (isGiftCard) {
+        // Gift Card order - mostra info specifiche
+        const noteMatch = order.notes?.match(/Gift Card per ([^(]+)\(([^)]+)\)/);
+        const recipientName = noteMatch ? noteMatch[1].trim() : 'N/D';
+        const recipientEmail = noteMatch ? noteMatch[2].trim() : 'N/D';
+        
+        detailsHtml = `
+            <div style="max-width:550px;">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:1.5rem;">
+                    <h3 style="margin:0;">🎁 Gift Card #${order.order_number}</h3>
+                    <span style="background:${order.payment_status === 'completed' ? '#e8f5e9' : '#fff3e0'};padding:0.3rem 0.8rem;border-radius:20px;font-size:0.85rem;">
+                        ${order.payment_status === 'completed' ? '✅ Pagato' : '⏳ ' + order.payment_status}
+                    </span>
+                </div>
+                
+                <div style="background:linear-gradient(135deg, #4a7c59 0%, #6b9b7a 100%);padding:1.5rem;border-radius:12px;margin-bottom:1rem;color:white;text-align:center;">
+                    <div style="font-size:0.85rem;opacity:0.9;margin-bottom:0.5rem;">Importo Gift Card</div>
+                    <div style="font-size:2.5rem;font-weight:700;">€${parseFloat(order.total).toFixed(2)}</div>
+                </div>
+                
+                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">🎯 Destinatario</h4>
+                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
+                        <span style="color:#666;">Nome:</span>
+                        <strong>${recipientName}</strong>
+                    </div>
+                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;">
+                        <span style="color:#666;">Email:</span>
+                        <span>${recipientEmail}</span>
+                    </div>
+                </div>
+                
+                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">📋 Dettagli ordine</h4>
+                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
+                        <span style="color:#666;">Tipo:</span>
+                        <span>🎁 Gift Card Digitale</span>
+                    </div>
+                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
+                        <span style="color:#666;">Consegna:</span>
+                        <span>📧 Via Email</span>
+                    </div>
+                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;">
+                        <span style="color:#666;">Data:</span>
+                        <span>${new Date(order.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                    </div>
+                </div>
+                
+                <div style="background:#e3f2fd;padding:0.75rem 1rem;border-radius:8px;font-size:0.9rem;">
+                    <strong>💳 Pagamento:</strong> ${order.payment_provider?.toUpperCase() || 'N/D'}<br>
+                    <small style="color:#666;">ID: ${order.payment_id || 'N/D'}</small>
+                </div>
+                
+                <div style="background:#e8f5e9;padding:0.75rem 1rem;border-radius:8px;margin-top:0.5rem;font-size:0.85rem;text-align:center;">
+                    💡 Per i dettagli completi della Gift Card, vai alla sezione <strong>Gestione Gift Card</strong>
+                </div>
+            </div>
+        `;
+    } else {
+        // Ordine normale - mostra info prodotti
+        const itemsHtml = items.map(item => `
+            <div style="display:flex;justify-content:space-between;padding:0.5rem 0;border-bottom:1px solid #eee;">
+                <div>
+                    <strong>${item.product_name}</strong>
+                    <br><small style="color:#888">Taglia: ${item.size || 'N/D'} | Colore: ${item.color || 'N/D'} | Qtà: ${item.quantity}</small>
+                    ${item.actual_weight_grams !== null && item.actual_weight_grams !== undefined ? `<br><small style="color:#888">⚖️ Pesato ${item.actual_weight_grams} g su ${item.weight_grams * item.quantity} g</small>` : ''}
+                    ${item.lot_number ? `<br><small style="color:#888">🏷️ Lotto: ${item.lot_number}</small>` : ''}
+                </div>
+                <span style="font-weight:600;">€${parseFloat(item.adjusted_price ?? item.product_price * item.quantity).toFixed(2)}</span>
+            </div>
+        `).join('');
+        
+        detailsHtml = `
+            <div style="max-width:550px;">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:1.5rem;">
+                    <h3 style="margin:0;">Ordine #${order.order_number}</h3>
+                    <span style="background:${order.payment_status === 'completed' ? '#e8f5e9' : '#fff3e0'};padding:0.3rem 0.8rem;border-radius:20px;font-size:0.85rem;">
+                        ${order.payment_status === 'completed' ? '✅ Pagato' : '⏳ ' + order.payment_status}
+                    </span>
+                </div>
+                
+                ${order.fulfillment_method === 'pickup' ? `
+                <div style="background:#ede7f6;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">🏪 Ritiro in negozio</h4>
+                    <p style="margin:0;line-height:1.7;">
+                        <strong>${addr.firstName || ''} ${addr.lastName || ''}</strong><br>
+                        📞 <a href="tel:${addr.phone}" style="color:inherit;">${addr.phone || 'N/D'}</a><br>
+                        Codice: <code>${order.pickup_code || 'N/D'}</code>
+                        ${order.picked_up_at ? `<br>✅ Ritirato il ${new Date(order.picked_up_at).toLocaleString('it-IT')}` : ''}
+                    </p>
+                </div>
+                ` : `
+                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">📍 Indirizzo di spedizione</h4>
+                    <p style="margin:0;line-height:1.7;">
+                        <strong>${addr.firstName || ''} ${addr.lastName || ''}</strong><br>
+                        ${addr.address || ''}<br>
+                        ${addr.postalCode || ''} ${addr.city || ''} (${addr.province || ''})<br>
+                        📞 <a href="tel:${addr.phone}" style="color:inherit;">${addr.phone || 'N/D'}</a>
+                    </p>
+                    ${order.delivery_slot ? `
+                    <p style="margin:0.5rem 0 0 0;">
+                        🚚 <strong>Consegna:</strong> ${deliverySlotService.formatSlot(order.delivery_slot)}${order.delivery_slot.label ? ` (${order.delivery_slot.label})` : ''}
+                    </p>
+                    ` : ''}
+                </div>
+                `}
+                
+                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">🛒 Prodotti ordinati</h4>
+                    ${itemsHtml || '<p style="color:#888;margin:0;">Nessun prodotto</p>'}
+                </div>
+                
+                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
+                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">💰 Riepilogo pagamento</h4>
+                    <div style="display:flex;justify-content:space-between;padding:0.3rem 0;"><span>Subtotale:</span><span>€${parseFloat(order.subtotal).toFixed(2)}</span></div>
+                    <div style="display:flex;justify-content:space-between;padding:0.3rem 0;"><span>Spedizione:</span><span>€${parseFloat(order.shipping_cost).toFixed(2)}</span></div>
+                    ${parseFloat(order.discount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#e74c3c;"><span>Sconto:</span><span>-€${parseFloat(order.discount).toFixed(2)}</span></div>` : ''}
+                    ${parseFloat(order.gift_card_amount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#9c27b0;"><span>Gift Card:</span><span>-€${parseFloat(order.gift_card_amount).toFixed(2)}</span></div>` : ''}
+                    <div style="display:flex;justify-content:space-between;font-weight:bold;margin-top:0.5rem;padding-top:0.5rem;border-top:2px solid #dee2e6;font-size:1.1rem;"><span>Totale:</span><span>€${parseFloat(order.total).toFixed(2)}</span></div>
+                    ${parseFloat(order.refunded_amount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#2e7d32;"><span>Rimborsato:</span><span>-€${parseFloat(order.refunded_amount).toFixed(2)}</span></div>` : ''}
+                    ${parseFloat(order.credited_amount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#2e7d32;"><span>Accreditato:</span><span>-€${parseFloat(order.credited_amount).toFixed(2)}</span></div>` : ''}
+                </div>
+                
+                ${renderWeightAdjustmentPanel(order)}
+                
+                <div style="background:#e3f2fd;padding:0.75rem 1rem;border-radius:8px;font-size:0.9rem;">
+                    <strong>💳 Pagamento:</strong> ${order.payment_provider?.toUpperCase() || 'N/D'}<br>
+                    <small style="color:#666;">ID: ${order.payment_id || 'N/D'}</small>
+                </div>
+                
+                ${order.fulfillment_method === 'pickup' ? '' : renderShipmentPanel(order)}
+            </div>
+        `;
     }
     
-    const affectedProducts = getAffectedProducts();
+    // Remove any existing modal
+    document.querySelector('.order-detail-modal')?.remove();
     
-    if (affectedProducts.length === 0) {
-        showToast('Nessun prodotto selezionato', 'error');
-        return;
+    const modal = document.createElement('div');
+    modal.className = 'order-detail-modal';
+    modal.onclick = (e) => {
+        if (e.target === modal) modal.remove();
+    };
+    modal.innerHTML = `
+        <div class="order-detail-box">
+            <button class="order-detail-close" onclick="this.closest('.order-detail-modal').remove()">×</button>
+            ${detailsHtml}
+        </div>
+    `;
+    document.body.appendChild(modal);
+    populateCourierSelect();
+    if (document.getElementById('weightAdjustmentPreview')) {
+        updateWeightAdjustmentPreview(orderId);
     }
     
-    const btn = document.getElementById('applyDiscountBtn');
-    btn.disabled = true;
-    btn.textContent = `⏳ Applicando a ${affectedProducts.length} prodotti...`;
+    // Prevent body scroll when modal is open
+    document.body.style.overflow = 'hidden';
+    modal.querySelector('.order-detail-close').onclick = () => {
+        modal.remove();
+        document.body.style.overflow = '';
+        clearModalState();
+    };
     
-    try {
-        // Prepare batch updates - group by calculated sale price for efficiency
-        const updates = [];
-        
-        for (const product of affectedProducts) {
-            let newSalePrice;
-            
-            if (discountType === 'percentage') {
-                newSalePrice = product.price * (1 - discountValue / 100);
-            } else {
-                newSalePrice = Math.max(0, product.price - discountValue);
-            }
-            
-            // Round to 2 decimals
-            newSalePrice = Math.round(newSalePrice * 100) / 100;
-            
-            // Don't apply if sale price would be >= original price
-            if (newSalePrice >= product.price) continue;
-            
-            updates.push({ id: product.id, sale_price: newSalePrice });
-        }
-        
-        if (updates.length === 0) {
-            showToast('Nessun prodotto da scontare (sconto troppo basso)', 'error');
-            btn.disabled = false;
-            btn.textContent = '✅ Applica Sconto';
-            return;
+    // Also clear state when clicking outside
+    modal.onclick = (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            document.body.style.overflow = '';
+            clearModalState();
         }
-        
-        // Process in batches of 50 for optimal performance
-        const BATCH_SIZE = 50;
-        let successCount = 0;
-        let processedCount = 0;
-        
-        for (let i = 0; i < updates.length; i += BATCH_SIZE) {
-            const batch = updates.slice(i, i + BATCH_SIZE);
-            
-            // Use Promise.all for parallel updates within batch
-            const results = await Promise.all(
-                batch.map(update => 
-                    supabase
-                        .from('products')
-                        .update({ sale_price: update.sale_price })
-                        .eq('id', update.id)
-                )
-            );
-            
-            successCount += results.filter(r => !r.error).length;
-            processedCount += batch.length;
-            
-            // Update progress
-            const progress = Math.round((processedCount / updates.length) * 100);
-            btn.textContent = `⏳ ${progress}% (${processedCount}/${updates.length})`;
+    };
+    modal.onclick = (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            document.body.style.overflow = '';
         }
-        
-        showToast(`Sconto applicato a ${successCount} prodotti!`, 'success');
-        
-        // Reload data
-        await loadProducts();
-        loadDiscountedProducts();
-        populateProductSelection();
-        resetDiscountForm();
-        
-    } catch (err) {
-        console.error('Apply discount error:', err);
-        showToast('Errore nell\'applicazione dello sconto', 'error');
-    } finally {
-        btn.disabled = false;
-        btn.textContent = '✅ Applica Sconto';
-    }
+    };
 };
 
-// Reset discount form
-window.resetDiscountForm = function() {
-    setDiscountMode('all');
-    document.getElementById('discountType').value = 'percentage';
-    document.getElementById('discountValue').value = '10';
-    document.getElementById('discountProductSearch').value = '';
-    filterDiscountProducts();
-    updateDiscountPreview();
+// ==================== WEIGHT ADJUSTMENTS ====================
+
+const ADJUSTABLE_ORDER_STATUSES = ['confirmed', 'processing', 'ready_for_pickup', 'shipped', 'delivered'];
+
+function getOrderAdjustment(order) {
+    // One adjustment per order: embedded as an object, not a list
+    return Array.isArray(order.order_adjustments) ? order.order_adjustments[0] : order.order_adjustments;
+}
+
+function renderWeightAdjustmentPanel(order) {
+    const weighedItems = (order.order_items || []).filter(item => item.weight_grams);
+    if (weighedItems.length === 0) return '';
+
+    const adjustment = getOrderAdjustment(order);
+    if (adjustment) {
+        const methodLabel = { stripe: 'rimborsati sulla carta', credit: 'accreditati sul saldo', none: 'nessuna differenza' };
+        return `
+            <div class="adjustment-panel">
+                <strong>⚖️ Pesi registrati</strong> il ${new Date(adjustment.created_at).toLocaleDateString('it-IT')}<br>
+                <small>${adjustment.amount > 0 ? `€${parseFloat(adjustment.amount).toFixed(2)} ${methodLabel[adjustment.method]}` : methodLabel.none}</small>
+            </div>
+        `;
+    }
+
+    if (!ADJUSTABLE_ORDER_STATUSES.includes(order.status)) return '';
+
+    return `
+        <div class="adjustment-panel">
+            <strong>⚖️ Peso effettivo</strong>
+            <small>Grammi pesati per l'intera riga</small>
+            ${weighedItems.map(item => `
+            <div class="adjustment-line">
+                <span>${item.product_name} <small>(${item.quantity} × ${item.weight_grams} g)</small></span>
+                <input type="number" class="adjustment-weight" data-item-id="${item.id}" min="0" step="1"
+                    value="${item.weight_grams * item.quantity}" oninput="updateWeightAdjustmentPreview('${order.id}')">
+            </div>
+            `).join('')}
+            <div class="adjustment-preview" id="weightAdjustmentPreview"></div>
+            <div class="shipment-actions">
+                <select id="weightAdjustmentMethod">
+                    <option value="stripe">💳 Rimborso sulla carta</option>
+                    <option value="credit">🎁 Credito sul saldo</option>
+                </select>
+                <button type="button" class="btn btn-primary" onclick="submitWeightAdjustment('${order.id}')">Conferma pesi</button>
+            </div>
+        </div>
+    `;
+}
+
+function readAdjustmentWeights() {
+    const weights = {};
+    document.querySelectorAll('.adjustment-weight').forEach(input => {
+        if (input.value !== '') weights[input.dataset.itemId] = parseInt(input.value);
+    });
+    return weights;
+}
+
+window.updateWeightAdjustmentPreview = function(orderId) {
+    const order = orders.find(o => o.id === orderId);
+    const previewEl = document.getElementById('weightAdjustmentPreview');
+    if (!order || !previewEl) return;
+
+    const { difference, amount } = returnService.previewWeightAdjustment(order, readAdjustmentWeights());
+    previewEl.textContent = difference > 0
+        ? `Differenza €${difference.toFixed(2)}: da restituire €${amount.toFixed(2)}`
+        : difference < 0
+            ? `Peso superiore all'ordinato (+€${Math.abs(difference).toFixed(2)}): nessun addebito al cliente`
+            : 'Nessuna differenza';
 };
 
-// Load discounted products
-async function loadDiscountedProducts() {
-    const grid = document.getElementById('discountedProductsGrid');
-    if (!grid) return;
-    
-    const discountedProducts = products.filter(p => p.sale_price && p.sale_price < p.price);
-    
-    if (discountedProducts.length === 0) {
-        grid.innerHTML = '<p class="no-discounts">Nessun prodotto scontato al momento</p>';
+window.submitWeightAdjustment = async function(orderId) {
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return;
+
+    const weights = readAdjustmentWeights();
+    if (Object.values(weights).some(grams => !Number.isInteger(grams) || grams < 0)) {
+        showToast('Inserisci un peso valido in grammi', 'error');
         return;
     }
-    
-    grid.innerHTML = discountedProducts.map(p => {
-        const discountPercent = Math.round((1 - p.sale_price / p.price) * 100);
+
+    const method = document.getElementById('weightAdjustmentMethod').value;
+    const { amount } = returnService.previewWeightAdjustment(order, weights);
+    if (amount > 0 && !confirm(`Restituire €${amount.toFixed(2)} al cliente (${method === 'credit' ? 'credito' : 'carta'})?`)) return;
+
+    const result = await returnService.adjustOrderWeights(orderId, weights, method);
+    if (result.error) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast(
+        result.amount > 0
+            ? `Pesi registrati: €${result.amount.toFixed(2)} restituiti${result.emailSent ? ', ricevuta inviata' : ''}`
+            : 'Pesi registrati',
+        'success'
+    );
+    await loadOrders();
+    viewOrderDetails(orderId);
+};
+
+// ==================== COURIER SHIPMENTS ====================
+
+let availableCouriers = null;
+
+function renderShipmentPanel(order) {
+    if (!order.shipment_id) {
+        const tracking = order.tracking_number ? `
+            <strong>🚚 Tracking:</strong> ${order.tracking_number}<br>
+            ${order.courier ? `<small>Corriere: ${order.courier}</small>` : ''}
+        ` : '';
         return `
-            <div class="discounted-product-card">
-                <span class="discount-badge">-${discountPercent}%</span>
-                <div class="product-info">
-                    <img src="${getImagePath(p.images?.[0])}" alt="${p.name}" class="product-thumb" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23f5f5f5%22 width=%22100%22 height=%22100%22/></svg>'">
-                    <div class="product-details">
-                        <div class="product-name">${p.name}</div>
-                        <div class="product-prices">
-                            <span class="original-price">€${p.price}</span>
-                            <span class="sale-price">€${p.sale_price}</span>
-                        </div>
-                    </div>
+            <div class="shipment-panel">
+                ${tracking}
+                <div class="shipment-actions">
+                    <select id="shipmentCourier">
+                        <option value="">Caricamento corrieri...</option>
+                    </select>
+                    <button type="button" class="btn btn-primary" onclick="createShipment('${order.id}')">📦 Crea spedizione</button>
                 </div>
-                <button class="btn-remove-discount" onclick="removeDiscount('${p.id}')">🗑️ Rimuovi Sconto</button>
             </div>
         `;
-    }).join('');
-}
-
-// Remove discount from single product
-window.removeDiscount = async function(productId) {
-    try {
-        const { error } = await supabase
-            .from('products')
-            .update({ sale_price: null })
-            .eq('id', productId);
-        
-        if (error) throw error;
-        
-        showToast('Sconto rimosso!', 'success');
-        await loadProducts();
-        loadDiscountedProducts();
-        populateProductSelection();
-    } catch (err) {
-        console.error('Remove discount error:', err);
-        showToast('Errore nella rimozione dello sconto', 'error');
     }
-};
 
-// Remove all discounts - optimized for bulk operations
-window.removeAllDiscounts = async function() {
-    const discountedProducts = products.filter(p => p.sale_price && p.sale_price < p.price);
-    
-    if (discountedProducts.length === 0) {
-        showToast('Nessun prodotto scontato', 'error');
+    return `
+        <div class="shipment-panel">
+            <strong>🚚 Tracking:</strong> ${order.tracking_number || 'N/D'}<br>
+            <small>Corriere: ${order.courier || 'N/D'}</small>
+            ${order.courier_pickup_id ? `<br><small>Ritiro prenotato il ${new Date(order.courier_pickup_date).toLocaleDateString('it-IT')} (${order.courier_pickup_id})</small>` : ''}
+            <div class="shipment-actions">
+                <button type="button" class="btn btn-secondary" onclick="downloadShipmentLabel('${order.id}')">🖨️ Etichetta</button>
+                ${order.courier_pickup_id ? '' : `
+                <input type="date" id="courierPickupDate" value="${new Date().toISOString().slice(0, 10)}">
+                <button type="button" class="btn btn-secondary" onclick="bookCourierPickup('${order.id}')">🚛 Prenota ritiro</button>
+                `}
+                <button type="button" class="btn btn-danger" onclick="cancelShipment('${order.id}')">Annulla spedizione</button>
+            </div>
+        </div>
+    `;
+}
+
+async function populateCourierSelect() {
+    const select = document.getElementById('shipmentCourier');
+    if (!select) return;
+
+    if (!availableCouriers) {
+        const { couriers, error } = await courierService.getCouriers();
+        if (error) {
+            select.innerHTML = '<option value="">Corrieri non disponibili</option>';
+            return;
+        }
+        availableCouriers = couriers;
+    }
+
+    select.innerHTML = availableCouriers.length
+        ? availableCouriers.map(c => `<option value="${c.id}">${c.name}</option>`).join('')
+        : '<option value="">Nessun corriere configurato</option>';
+}
+
+function refreshOrderDetails(orderId) {
+    applyOrderFilters();
+    viewOrderDetails(orderId);
+}
+
+window.createShipment = async function(orderId) {
+    const courier = document.getElementById('shipmentCourier')?.value;
+    if (!courier) {
+        showToast('Seleziona un corriere', 'error');
         return;
     }
-    
-    if (!confirm(`Sei sicuro di voler rimuovere gli sconti da ${discountedProducts.length} prodotti?`)) {
+
+    const { shipmentId, trackingNumber, labelUrl, error } = await courierService.createShipment(orderId, courier);
+    if (error) {
+        showToast(error, 'error');
         return;
     }
-    
-    try {
-        // Use batch processing for efficiency
-        const BATCH_SIZE = 50;
-        const productIds = discountedProducts.map(p => p.id);
-        
-        for (let i = 0; i < productIds.length; i += BATCH_SIZE) {
-            const batchIds = productIds.slice(i, i + BATCH_SIZE);
-            
-            // Use Promise.all for parallel updates
-            await Promise.all(
-                batchIds.map(id => 
-                    supabase
-                        .from('products')
-                        .update({ sale_price: null })
-                        .eq('id', id)
-                )
-            );
-        }
-        
-        showToast(`Sconti rimossi da ${discountedProducts.length} prodotti!`, 'success');
-        await loadProducts();
-        loadDiscountedProducts();
-        populateProductSelection();
-    } catch (err) {
-        console.error('Remove all discounts error:', err);
-        showToast('Errore nella rimozione degli sconti', 'error');
+
+    const order = orders.find(o => o.id === orderId);
+    if (order) {
+        Object.assign(order, { status: 'shipped', tracking_number: trackingNumber, courier, shipment_id: shipmentId });
     }
+    showToast(`Spedizione creata: ${trackingNumber}`, 'success');
+    if (labelUrl) window.open(labelUrl, '_blank');
+    refreshOrderDetails(orderId);
 };
 
-// Make showGcDetail available globally
-window.showGcDetail = showGcDetail;
+window.downloadShipmentLabel = async function(orderId) {
+    const { labelUrl, error } = await courierService.getLabelUrl(orderId);
+    if (error || !labelUrl) {
+        showToast(error || 'Etichetta non disponibile', 'error');
+        return;
+    }
+    window.open(labelUrl, '_blank');
+};
 
-// ==================== ORDERS MANAGEMENT ====================
+window.bookCourierPickup = async function(orderId) {
+    const date = document.getElementById('courierPickupDate')?.value;
+    if (!date) {
+        showToast('Scegli la data del ritiro', 'error');
+        return;
+    }
 
-// ==================== ORDERS MANAGEMENT - ADVANCED ====================
+    const { pickupId, error } = await courierService.bookPickup(orderId, { date });
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
 
-let orders = [];
-let filteredOrders = [];
-let orderSortField = 'created_at';
-let orderSortDir = 'desc';
+    const order = orders.find(o => o.id === orderId);
+    if (order) Object.assign(order, { courier_pickup_id: pickupId, courier_pickup_date: date });
+    showToast('Ritiro prenotato!', 'success');
+    refreshOrderDetails(orderId);
+};
 
-async function loadOrders() {
-    try {
-        const { data, error } = await supabase
-            .from('orders')
-            .select(`
-                *,
-                order_items (
-                    id,
-                    product_name,
-                    product_price,
-                    quantity,
-                    size,
-                    color
-                )
-            `)
-            .order('created_at', { ascending: false });
+window.cancelShipment = async function(orderId) {
+    if (!confirm('Annullare la spedizione presso il corriere?')) return;
 
-        if (error) throw error;
-        orders = data || [];
-        filteredOrders = [...orders];
-        applyOrderFilters();
-        setupOrdersEventListeners();
-    } catch (err) {
-        console.error('Load orders error:', err);
-        showToast('Errore nel caricamento ordini', 'error');
+    const { error } = await courierService.cancelShipment(orderId);
+    if (error) {
+        showToast(error, 'error');
+        return;
     }
-}
 
-function setupOrdersEventListeners() {
-    // Search input
-    const searchInput = document.getElementById('orderSearch');
-    const clearBtn = document.getElementById('clearSearchBtn');
-    
-    searchInput?.addEventListener('input', (e) => {
-        clearBtn.style.display = e.target.value ? 'flex' : 'none';
-        applyOrderFilters();
-    });
-    
-    clearBtn?.addEventListener('click', () => {
-        searchInput.value = '';
-        clearBtn.style.display = 'none';
-        applyOrderFilters();
-    });
-    
-    // Filters
-    document.getElementById('orderStatusFilter')?.addEventListener('change', applyOrderFilters);
-    document.getElementById('orderDateFilter')?.addEventListener('change', (e) => {
-        const customRange = document.getElementById('customDateRange');
-        if (e.target.value === 'custom') {
-            customRange.classList.add('show');
-        } else {
-            customRange.classList.remove('show');
-        }
-        applyOrderFilters();
-    });
-    document.getElementById('orderDateFrom')?.addEventListener('change', applyOrderFilters);
-    document.getElementById('orderDateTo')?.addEventListener('change', applyOrderFilters);
-    document.getElementById('orderAmountFilter')?.addEventListener('change', applyOrderFilters);
-    document.getElementById('orderPaymentFilter')?.addEventListener('change', applyOrderFilters);
-    
-    // Reset filters
-    document.getElementById('resetFiltersBtn')?.addEventListener('click', resetOrderFilters);
-    
-    // Sortable headers
-    document.querySelectorAll('.orders-table th.sortable').forEach(th => {
-        th.addEventListener('click', () => {
-            const field = th.dataset.sort;
-            if (orderSortField === field) {
-                orderSortDir = orderSortDir === 'asc' ? 'desc' : 'asc';
-            } else {
-                orderSortField = field;
-                orderSortDir = 'desc';
-            }
-            document.querySelectorAll('.orders-table th.sortable').forEach(h => h.classList.remove('asc', 'desc'));
-            th.classList.add(orderSortDir);
-            applyOrderFilters();
+    const order = orders.find(o => o.id === orderId);
+    if (order) {
+        Object.assign(order, {
+            status: 'processing',
+            tracking_number: null,
+            courier: null,
+            shipment_id: null,
+            label_path: null,
+            courier_pickup_id: null,
+            courier_pickup_date: null
         });
-    });
-}
+    }
+    showToast('Spedizione annullata', 'success');
+    refreshOrderDetails(orderId);
+};
 
-function applyOrderFilters() {
-    const searchQuery = (document.getElementById('orderSearch')?.value || '').toLowerCase().trim();
-    const statusFilter = document.getElementById('orderStatusFilter')?.value || '';
-    const dateFilter = document.getElementById('orderDateFilter')?.value || '';
-    const amountFilter = document.getElementById('orderAmountFilter')?.value || '';
-    const paymentFilter = document.getElementById('orderPaymentFilter')?.value || '';
-    const dateFrom = document.getElementById('orderDateFrom')?.value || '';
-    const dateTo = document.getElementById('orderDateTo')?.value || '';
-    
-    filteredOrders = orders.filter(order => {
-        // Text search - search in ALL fields
-        if (searchQuery) {
-            const searchableText = buildSearchableText(order).toLowerCase();
-            if (!searchableText.includes(searchQuery)) return false;
-        }
-        
-        // Status filter
-        if (statusFilter && order.status !== statusFilter) return false;
-        
-        // Date filter
-        if (dateFilter) {
-            const orderDate = new Date(order.created_at);
-            const now = new Date();
-            
-            if (dateFilter === 'today') {
-                if (orderDate.toDateString() !== now.toDateString()) return false;
-            } else if (dateFilter === 'week') {
-                const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                if (orderDate < weekAgo) return false;
-            } else if (dateFilter === 'month') {
-                const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-                if (orderDate < monthAgo) return false;
-            } else if (dateFilter === 'custom') {
-                if (dateFrom && orderDate < new Date(dateFrom)) return false;
-                if (dateTo && orderDate > new Date(dateTo + 'T23:59:59')) return false;
-            }
-        }
-        
-        // Amount filter
-        if (amountFilter) {
-            const total = parseFloat(order.total);
-            if (amountFilter === '0-25' && (total < 0 || total > 25)) return false;
-            if (amountFilter === '25-50' && (total < 25 || total > 50)) return false;
-            if (amountFilter === '50-100' && (total < 50 || total > 100)) return false;
-            if (amountFilter === '100+' && total < 100) return false;
-        }
-        
-        // Payment filter
-        if (paymentFilter && order.payment_provider !== paymentFilter) return false;
-        
-        return true;
-    });
-    
-    // Sort
-    filteredOrders.sort((a, b) => {
-        let valA, valB;
-        
-        if (orderSortField === 'customer') {
-            valA = `${a.shipping_address?.firstName || ''} ${a.shipping_address?.lastName || ''}`.toLowerCase();
-            valB = `${b.shipping_address?.firstName || ''} ${b.shipping_address?.lastName || ''}`.toLowerCase();
-        } else if (orderSortField === 'total') {
-            valA = parseFloat(a.total);
-            valB = parseFloat(b.total);
-        } else if (orderSortField === 'created_at') {
-            valA = new Date(a.created_at).getTime();
-            valB = new Date(b.created_at).getTime();
-        } else {
-            valA = a[orderSortField] || '';
-            valB = b[orderSortField] || '';
-        }
-        
-        if (orderSortDir === 'asc') {
-            return valA > valB ? 1 : -1;
-        } else {
-            return valA < valB ? 1 : -1;
-        }
-    });
-    
-    renderOrders(filteredOrders, searchQuery);
-    updateOrdersStats(filteredOrders);
-}
+// ==================== PICKUP SCAN ====================
 
-function buildSearchableText(order) {
-    const addr = order.shipping_address || {};
-    const items = order.order_items || [];
-    
-    const parts = [
-        order.order_number,
-        addr.firstName,
-        addr.lastName,
-        addr.address,
-        addr.city,
-        addr.province,
-        addr.postalCode,
-        addr.phone,
-        order.payment_provider,
-        order.payment_id,
-        order.status,
-        order.tracking_number,
-        order.courier,
-        order.notes,
-        order.gift_card_code,
-        ...items.map(i => i.product_name),
-        ...items.map(i => i.size),
-        ...items.map(i => i.color)
-    ];
-    
-    return parts.filter(Boolean).join(' ');
+let pickupScanStream = null;
+let pickupScanOrder = null;
+
+function openPickupScanModal() {
+    document.getElementById('pickupScanForm').reset();
+    document.getElementById('pickupScanResult').innerHTML = '';
+    document.getElementById('pickupScanError').textContent = '';
+    pickupScanOrder = null;
+
+    // Camera scanning needs the BarcodeDetector API; handheld scanners just type into the input
+    document.getElementById('pickupCameraBtn').style.display = 'BarcodeDetector' in window ? '' : 'none';
+
+    document.getElementById('pickupScanModal').classList.add('active');
+    document.getElementById('pickupCodeInput').focus();
 }
 
-function highlightMatch(text, query) {
-    if (!query || !text) return text;
-    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    return text.replace(regex, '<span class="search-match">$1</span>');
+window.closePickupScanModal = function() {
+    stopPickupCameraScan();
+    document.getElementById('pickupScanModal').classList.remove('active');
+};
+
+async function startPickupCameraScan() {
+    const video = document.getElementById('pickupScanVideo');
+    try {
+        pickupScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = pickupScanStream;
+        video.style.display = 'block';
+        await video.play();
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const scanFrame = async () => {
+            if (!pickupScanStream) return;
+            const codes = await detector.detect(video).catch(() => []);
+            if (codes.length > 0) {
+                document.getElementById('pickupCodeInput').value = codes[0].rawValue;
+                stopPickupCameraScan();
+                lookupPickupCode(codes[0].rawValue);
+                return;
+            }
+            requestAnimationFrame(scanFrame);
+        };
+        scanFrame();
+    } catch (err) {
+        console.error('Pickup camera error:', err);
+        stopPickupCameraScan();
+        document.getElementById('pickupScanError').textContent = 'Impossibile accedere alla fotocamera';
+    }
 }
 
-function resetOrderFilters() {
-    document.getElementById('orderSearch').value = '';
-    document.getElementById('orderStatusFilter').value = '';
-    document.getElementById('orderDateFilter').value = '';
-    document.getElementById('orderAmountFilter').value = '';
-    document.getElementById('orderPaymentFilter').value = '';
-    document.getElementById('orderDateFrom').value = '';
-    document.getElementById('orderDateTo').value = '';
-    document.getElementById('customDateRange').classList.remove('show');
-    document.getElementById('clearSearchBtn').style.display = 'none';
-    applyOrderFilters();
+function stopPickupCameraScan() {
+    pickupScanStream?.getTracks().forEach(track => track.stop());
+    pickupScanStream = null;
+    const video = document.getElementById('pickupScanVideo');
+    if (video) video.style.display = 'none';
 }
 
-function updateOrdersStats(orderList) {
-    const count = orderList.length;
-    const total = orderList.reduce((sum, o) => sum + parseFloat(o.total), 0);
-    
-    document.getElementById('ordersCount').textContent = `${count} ordine${count !== 1 ? 'i' : ''}`;
-    document.getElementById('ordersTotalAmount').textContent = `Totale: €${total.toFixed(2)}`;
+async function handlePickupScanSubmit(e) {
+    e.preventDefault();
+    await lookupPickupCode(document.getElementById('pickupCodeInput').value);
 }
 
-function renderOrders(orderList, searchQuery = '') {
-    const tbody = document.getElementById('ordersTable');
-    const mobileCards = document.getElementById('mobileOrderCards');
-    
-    if (!orderList || orderList.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="loading">Nessun ordine trovato</td></tr>';
-        if (mobileCards) mobileCards.innerHTML = '<p style="text-align:center;padding:2rem;color:#888;">Nessun ordine trovato</p>';
-        return;
+async function lookupPickupCode(rawCode) {
+    const resultEl = document.getElementById('pickupScanResult');
+    const errorEl = document.getElementById('pickupScanError');
+    resultEl.innerHTML = '';
+    errorEl.textContent = '';
+    pickupScanOrder = null;
+
+    const code = rawCode.trim().toUpperCase();
+    if (!code) return;
+
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('*, order_items (product_name, quantity, size)')
+            .eq('pickup_code', code)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!order) {
+            errorEl.textContent = 'Nessun ordine con questo codice';
+            return;
+        }
+
+        const addr = order.shipping_address || {};
+        const blocked = order.picked_up_at
+            ? `Già ritirato il ${new Date(order.picked_up_at).toLocaleString('it-IT')}`
+            : ['cancelled', 'refunded'].includes(order.status)
+                ? 'Ordine annullato o rimborsato: non consegnare'
+                : order.payment_status !== 'completed'
+                    ? 'Pagamento non completato'
+                    : null;
+
+        resultEl.innerHTML = `
+            <div class="pickup-scan-result ${blocked ? 'warning' : ''}">
+                <strong>#${order.order_number}</strong> · ${addr.firstName || ''} ${addr.lastName || ''}<br>
+                <small>${(order.order_items || []).map(i => `${i.quantity}× ${i.product_name}${i.size ? ` (${i.size})` : ''}`).join(', ')}</small><br>
+                Stato: ${getOrderStatusLabel(order.status)}
+                ${blocked ? `<br><strong>⚠️ ${blocked}</strong>` : `
+                <div class="modal-footer" style="padding:0.75rem 0 0 0;">
+                    <button type="button" class="btn-primary" onclick="confirmPickup()">✅ Conferma ritiro</button>
+                </div>`}
+            </div>
+        `;
+        if (!blocked) pickupScanOrder = order;
+    } catch (err) {
+        console.error('Pickup lookup error:', err);
+        errorEl.textContent = 'Errore nella ricerca dell\'ordine';
     }
+}
 
-    const statusColors = {
-        'pending': 'status-pending',
-        'confirmed': 'status-confirmed',
-        'processing': 'status-processing',
-        'shipped': 'status-shipped',
-        'delivered': 'status-active',
-        'cancelled': 'status-inactive',
-        'refunded': 'status-inactive'
+window.confirmPickup = async function() {
+    if (!pickupScanOrder) return;
+
+    try {
+        const { error } = await supabase
+            .from('orders')
+            .update({
+                status: 'delivered',
+                picked_up_at: new Date().toISOString(),
+                picked_up_by: currentUser?.id || null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', pickupScanOrder.id)
+            .is('picked_up_at', null);
+
+        if (error) throw error;
+
+        showToast(`Ordine #${pickupScanOrder.order_number} ritirato!`, 'success');
+        closePickupScanModal();
+        await loadOrders();
+    } catch (err) {
+        console.error('Confirm pickup error:', err);
+        document.getElementById('pickupScanError').textContent = 'Errore nella conferma del ritiro';
+    }
+};
+
+function getOrderStatusLabel(status) {
+    const labels = {
+        pending: '⏳ In attesa',
+        confirmed: '✅ Confermato',
+        processing: '🔄 In lavorazione',
+        ready_for_pickup: '🏪 Pronto per il ritiro',
+        shipped: '🚚 Spedito',
+        delivered: '📦 Consegnato',
+        cancelled: '❌ Annullato',
+        refunded: '💸 Rimborsato'
     };
+    return labels[status] || status;
+}
 
-    // Desktop table
-    tbody.innerHTML = orderList.map(order => {
-        const date = new Date(order.created_at).toLocaleDateString('it-IT', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-        
-        const addr = order.shipping_address || {};
-        const isGiftCard = addr.type === 'digital';
-        let customerName = `${addr.firstName || ''} ${addr.lastName || ''}`.trim();
-        
-        // Per le gift card, estrai il nome dalle note o mostra "Gift Card"
-        if (isGiftCard && !customerName) {
-            // Le note contengono "Gift Card per NomeDestinatario (email)"
-            const noteMatch = order.notes?.match(/Gift Card per ([^(]+)/);
-            customerName = noteMatch ? `🎁 ${noteMatch[1].trim()}` : '🎁 Gift Card';
-        }
-        customerName = customerName || 'N/D';
-        
-        const productNames = (order.order_items || []).map(i => i.product_name).join(', ');
-        
-        const displayOrderNum = highlightMatch(order.order_number, searchQuery);
-        const displayCustomer = highlightMatch(customerName, searchQuery);
-        const displayCity = highlightMatch(addr.city || '', searchQuery);
-        
+// ==================== RETURNS ====================
+
+let reviewedReturn = null;
+
+async function loadReturns() {
+    const status = document.getElementById('returnStatusFilter').value;
+    const { returns, error } = await returnService.getReturns(status || undefined);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    returnRequests = returns;
+    renderReturns(returnRequests);
+}
+
+function getReturnStatusBadge(status) {
+    const classes = { pending: 'status-pending', approved: 'status-active', rejected: 'status-inactive' };
+    return `<span class="status-badge ${classes[status] || ''}">${returnService.getStatusLabel(status)}</span>`;
+}
+
+function renderReturns(list) {
+    const tbody = document.getElementById('returnsTable');
+
+    if (list.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="loading">Nessuna richiesta</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = list.map(request => {
+        const addr = request.orders?.shipping_address || {};
+        const amount = request.status === 'pending'
+            ? returnService.previewRefund(request).amount
+            : request.refund_amount;
         return `
-        <tr class="${searchQuery && buildSearchableText(order).toLowerCase().includes(searchQuery) ? 'order-row-highlight' : ''}">
-            <td>
-                <strong>#${displayOrderNum}</strong>
-                <br><small style="color:#999" title="${productNames}">${order.order_items?.length || 0} prodotti</small>
-            </td>
-            <td>
-                <strong>${displayCustomer}</strong>
-                <br><small style="color:#999">${displayCity}</small>
-                ${addr.phone ? `<br><small style="color:#aaa">📞 ${highlightMatch(addr.phone, searchQuery)}</small>` : ''}
-            </td>
-            <td>${date}</td>
-            <td><strong>€${parseFloat(order.total).toFixed(2)}</strong></td>
-            <td>
-                <select class="order-status-select ${statusColors[order.status] || ''}" 
-                        onchange="updateOrderStatus('${order.id}', this.value)">
-                    <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>⏳ In attesa</option>
-                    <option value="confirmed" ${order.status === 'confirmed' ? 'selected' : ''}>✅ Confermato</option>
-                    <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>🔄 In lavorazione</option>
-                    <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>🚚 Spedito</option>
-                    <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>📦 Consegnato</option>
-                    <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>❌ Annullato</option>
-                    <option value="refunded" ${order.status === 'refunded' ? 'selected' : ''}>💸 Rimborsato</option>
-                </select>
-            </td>
-            <td class="actions-cell">
-                <button class="btn-edit" onclick="viewOrderDetails('${order.id}')">👁️ Dettagli</button>
+        <tr>
+            <td>${new Date(request.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}</td>
+            <td><strong>#${request.orders?.order_number || '-'}</strong></td>
+            <td>${addr.firstName || ''} ${addr.lastName || ''}<br><small>${escapeHtml(request.customer_email)}</small></td>
+            <td>${returnService.reasons[request.reason] || request.reason}${request.photo_paths?.length ? ` 📷 ${request.photo_paths.length}` : ''}</td>
+            <td>${(request.return_request_items || []).map(line => `${line.quantity}× ${line.order_items?.product_name || ''}`).join('<br>')}</td>
+            <td>€${parseFloat(amount || 0).toFixed(2)}</td>
+            <td>${getReturnStatusBadge(request.status)}</td>
+            <td class="action-btns">
+                <button class="btn-edit" onclick="openReturnReview('${request.id}')">${request.status === 'pending' ? 'Gestisci' : 'Dettagli'}</button>
             </td>
         </tr>
     `}).join('');
-    
-    // Mobile cards
-    if (mobileCards) {
-        mobileCards.innerHTML = orderList.map(order => {
-            const date = new Date(order.created_at).toLocaleDateString('it-IT', {
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            
-            const addr = order.shipping_address || {};
-            const isGiftCard = addr.type === 'digital';
-            let customerName = `${addr.firstName || ''} ${addr.lastName || ''}`.trim();
-            
-            // Per le gift card, estrai il nome dalle note
-            if (isGiftCard && !customerName) {
-                const noteMatch = order.notes?.match(/Gift Card per ([^(]+)/);
-                customerName = noteMatch ? `🎁 ${noteMatch[1].trim()}` : '🎁 Gift Card';
-            }
-            customerName = customerName || 'N/D';
-            
-            const productNames = (order.order_items || []).slice(0, 2).map(i => i.product_name).join(', ');
-            const moreItems = (order.order_items?.length || 0) > 2 ? ` +${order.order_items.length - 2}` : '';
-            
-            return `
-            <div class="mobile-order-card">
-                <div class="mobile-order-header">
-                    <div>
-                        <div class="mobile-order-number">#${order.order_number}</div>
-                        <div class="mobile-order-date">${date}</div>
-                    </div>
-                    <span class="order-status ${statusColors[order.status] || ''}" style="font-size:0.75rem;padding:0.25rem 0.5rem;">
-                        ${order.status === 'pending' ? '⏳' : order.status === 'confirmed' ? '✅' : order.status === 'processing' ? '🔄' : order.status === 'shipped' ? '🚚' : order.status === 'delivered' ? '📦' : order.status === 'cancelled' ? '❌' : '💸'}
-                    </span>
-                </div>
-                
-                <div class="mobile-order-customer">
-                    <span class="mobile-customer-name">${customerName}</span>
-                    <span class="mobile-customer-city">📍 ${addr.city || 'N/D'}</span>
-                    ${addr.phone ? `<span class="mobile-customer-phone">📞 ${addr.phone}</span>` : ''}
-                </div>
-                
-                <div class="mobile-order-items">
-                    🛒 ${productNames}${moreItems} (${order.order_items?.length || 0} prodotti)
-                </div>
-                
-                <div class="mobile-order-footer">
-                    <span class="mobile-order-total">€${parseFloat(order.total).toFixed(2)}</span>
-                    <div class="mobile-order-status">
-                        <select class="order-status-select" onchange="updateOrderStatus('${order.id}', this.value)">
-                            <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>⏳ In attesa</option>
-                            <option value="confirmed" ${order.status === 'confirmed' ? 'selected' : ''}>✅ Confermato</option>
-                            <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>🔄 In lavorazione</option>
-                            <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>🚚 Spedito</option>
-                            <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>📦 Consegnato</option>
-                            <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>❌ Annullato</option>
-                            <option value="refunded" ${order.status === 'refunded' ? 'selected' : ''}>💸 Rimborsato</option>
-                        </select>
-                    </div>
-                </div>
-                
-                <div class="mobile-order-actions">
-                    <button class="btn-details" onclick="viewOrderDetails('${order.id}')">👁️ Vedi dettagli</button>
-                </div>
-            </div>
-            `;
-        }).join('');
+}
+
+window.openReturnReview = async function(id) {
+    const request = returnRequests.find(r => r.id === id);
+    if (!request) return;
+    reviewedReturn = request;
+
+    const pending = request.status === 'pending';
+    const order = request.orders || {};
+    const preview = returnService.previewRefund(request);
+
+    document.getElementById('returnReviewTitle').textContent = `Reso ordine #${order.order_number || ''}`;
+    document.getElementById('returnReviewError').textContent = '';
+    document.getElementById('returnReviewNotes').value = request.admin_notes || '';
+    document.getElementById('returnReviewNotes').disabled = !pending;
+    document.getElementById('returnReviewActions').style.display = pending ? '' : 'none';
+
+    const body = document.getElementById('returnReviewBody');
+    body.innerHTML = `
+        <div style="margin-bottom: 1rem;">
+            <strong>Motivo:</strong> ${returnService.reasons[request.reason] || request.reason}<br>
+            ${request.description ? `<strong>Descrizione:</strong> ${request.description}<br>` : ''}
+            <strong>Stato:</strong> ${getReturnStatusBadge(request.status)}
+        </div>
+        <table class="data-table" style="margin-bottom: 1rem;">
+            <thead><tr><th>Prodotto</th><th>Qtà reso / ordinata</th><th>Valore</th></tr></thead>
+            <tbody>
+                ${(request.return_request_items || []).map(line => `
+                <tr>
+                    <td>${line.order_items?.product_name || '-'}</td>
+                    <td>${line.quantity} / ${line.order_items?.quantity ?? '-'}</td>
+                    <td>€${parseFloat(line.amount).toFixed(2)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="return-photos" id="returnReviewPhotos">${request.photo_paths?.length ? 'Caricamento foto...' : '<small>Nessuna foto allegata</small>'}</div>
+        <div style="margin-top: 1rem;">
+            ${pending ? `
+            <strong>💸 Rimborso previsto:</strong> €${preview.amount.toFixed(2)}
+            ${preview.amount < preview.itemsTotal ? `<small>(su €${preview.itemsTotal.toFixed(2)} di prodotti, al netto di sconti e gift card)</small>` : ''}<br>
+            <small>Ordine pagato €${parseFloat(order.total || 0).toFixed(2)} via ${order.payment_provider?.toUpperCase() || 'N/D'}${parseFloat(order.refunded_amount) > 0 ? `, già rimborsati €${parseFloat(order.refunded_amount).toFixed(2)}` : ''}${parseFloat(order.credited_amount) > 0 ? `, già accreditati €${parseFloat(order.credited_amount).toFixed(2)}` : ''}</small>
+            ` : request.status === 'approved' ? `
+            <strong>💸 Rimborsato:</strong> €${parseFloat(request.refund_amount || 0).toFixed(2)}
+            ${request.referral_revoked ? '<br><small>Bonus referral revocato</small>' : ''}
+            ` : ''}
+        </div>
+    `;
+
+    document.getElementById('returnReviewModal').classList.add('active');
+
+    if (request.photo_paths?.length) {
+        const urls = await returnService.getPhotoUrls(request.photo_paths);
+        const photosEl = document.getElementById('returnReviewPhotos');
+        if (photosEl && reviewedReturn?.id === id) {
+            photosEl.innerHTML = urls.map(url => `<a href="${url}" target="_blank"><img src="${url}" alt="Foto reso"></a>`).join('')
+                || '<small>Foto non disponibili</small>';
+        }
+    }
+};
+
+window.closeReturnReviewModal = function() {
+    document.getElementById('returnReviewModal').classList.remove('active');
+    reviewedReturn = null;
+};
+
+window.approveReturnRequest = async function() {
+    if (!reviewedReturn) return;
+
+    const amount = returnService.previewRefund(reviewedReturn).amount;
+    if (!confirm(`Approvare il reso e rimborsare €${amount.toFixed(2)} al cliente?`)) return;
+
+    const btn = document.getElementById('approveReturnBtn');
+    btn.disabled = true;
+
+    const result = await returnService.approveReturn(
+        reviewedReturn.id,
+        document.getElementById('returnReviewNotes').value
+    );
+    btn.disabled = false;
+
+    if (result.error) {
+        document.getElementById('returnReviewError').textContent = result.error;
+        return;
+    }
+
+    showToast(
+        `Reso approvato: rimborsati €${result.refundAmount.toFixed(2)}${result.fullRefund ? ' (ordine rimborsato)' : ''}${result.referralRevoked ? ', bonus referral revocato' : ''}`,
+        'success'
+    );
+    closeReturnReviewModal();
+    await loadReturns();
+};
+
+window.rejectReturnRequest = async function() {
+    if (!reviewedReturn) return;
+
+    const notes = document.getElementById('returnReviewNotes').value;
+    if (!notes.trim()) {
+        document.getElementById('returnReviewError').textContent = 'Spiega al cliente perché la richiesta non è accettata';
+        return;
+    }
+
+    const { error } = await returnService.rejectReturn(reviewedReturn.id, notes);
+    if (error) {
+        document.getElementById('returnReviewError').textContent = error;
+        return;
+    }
+
+    showToast('Richiesta rifiutata', 'success');
+    closeReturnReviewModal();
+    await loadReturns();
+};
+
+// ==================== RECALLS ====================
+
+function initRecallsSection() {
+    const select = document.getElementById('recallProduct');
+    select.innerHTML = '<option value="">Scegli un prodotto</option>' +
+        [...products].sort((a, b) => a.name.localeCompare(b.name))
+            .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+    resetRecallLots();
+    loadRecalls();
+}
+
+function resetRecallLots(placeholder = 'Scegli prima il prodotto') {
+    const lotSelect = document.getElementById('recallLot');
+    lotSelect.innerHTML = `<option value="">${placeholder}</option>`;
+    lotSelect.disabled = true;
+    recallCustomers = [];
+    document.getElementById('recallAffected').style.display = 'none';
+}
+
+async function loadRecallLots() {
+    const productId = document.getElementById('recallProduct').value;
+    if (!productId) {
+        resetRecallLots();
+        return;
+    }
+
+    const { lots, error } = await recallService.getLots(productId);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    if (lots.length === 0) {
+        resetRecallLots('Nessun lotto registrato');
+        return;
+    }
+
+    resetRecallLots();
+    const lotSelect = document.getElementById('recallLot');
+    lotSelect.innerHTML = '<option value="">Scegli il lotto</option>' +
+        lots.map(lot => `<option value="${escapeHtml(lot)}">${escapeHtml(lot)}</option>`).join('');
+    lotSelect.disabled = false;
+}
+
+async function loadRecallCustomers() {
+    const productId = document.getElementById('recallProduct').value;
+    const lotNumber = document.getElementById('recallLot').value;
+    const panel = document.getElementById('recallAffected');
+    if (!productId || !lotNumber) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const { customers, error } = await recallService.getAffectedCustomers(productId, lotNumber);
+    if (error) {
+        showToast(error, 'error');
+        return;
     }
+    recallCustomers = customers;
+
+    const orderCount = customers.reduce((sum, c) => sum + c.orders.length, 0);
+    document.getElementById('recallSummary').textContent = customers.length
+        ? `Lotto ${lotNumber}: ${orderCount} ordini di ${customers.length} clienti`
+        : `Lotto ${lotNumber}: nessun ordine. Il richiamo ritira solo lo stock in magazzino.`;
+    document.getElementById('recallAffectedTable').innerHTML = customers.map(customer => `
+        <tr>
+            <td>${escapeHtml(customer.name || '-')}<br><small>${escapeHtml(customer.city)}</small></td>
+            <td>${escapeHtml(customer.email || '-')}<br><small>${escapeHtml(customer.phone)}</small></td>
+            <td>${customer.orders.map(o => `#${o.order_number}`).join('<br>')}</td>
+            <td>${customer.total_quantity}</td>
+        </tr>
+    `).join('');
+    document.getElementById('recallError').textContent = '';
+    panel.style.display = 'block';
 }
 
-window.updateOrderStatus = async function(orderId, newStatus) {
-    try {
-        const { error } = await supabase
-            .from('orders')
-            .update({ status: newStatus, updated_at: new Date().toISOString() })
-            .eq('id', orderId);
+async function handleStartRecall() {
+    const product = products.find(p => p.id === document.getElementById('recallProduct').value);
+    const lotNumber = document.getElementById('recallLot').value;
+    const errorEl = document.getElementById('recallError');
+    const orderCount = recallCustomers.reduce((sum, c) => sum + c.orders.length, 0);
 
-        if (error) throw error;
-        
-        // Update local data
-        const order = orders.find(o => o.id === orderId);
-        if (order) order.status = newStatus;
-        
-        showToast('Stato ordine aggiornato!', 'success');
-        applyOrderFilters();
-    } catch (err) {
-        console.error('Update order status error:', err);
-        showToast('Errore nell\'aggiornamento', 'error');
+    if (!document.getElementById('recallReason').value.trim()) {
+        errorEl.textContent = 'Indica il motivo del richiamo';
+        return;
+    }
+    if (!confirm(`Richiamare il lotto ${lotNumber}? Lo stock del lotto viene azzerato e ${recallCustomers.length} clienti verranno avvisati.`)) return;
+
+    const btn = document.getElementById('startRecallBtn');
+    btn.disabled = true;
+    const { recall, error } = await recallService.startRecall({
+        product,
+        lotNumber,
+        reason: document.getElementById('recallReason').value,
+        instructions: document.getElementById('recallInstructions').value,
+        affectedOrders: orderCount
+    });
+
+    if (error) {
+        errorEl.textContent = error;
+        btn.disabled = false;
+        return;
+    }
+
+    await notifyRecallCustomers(recall, recallCustomers);
+    btn.disabled = false;
+    document.getElementById('recallReason').value = '';
+    document.getElementById('recallInstructions').value = '';
+    resetRecallLots();
+    document.getElementById('recallProduct').value = '';
+    await loadRecalls();
+}
+
+async function notifyRecallCustomers(recall, customers) {
+    let notified = 0;
+    let failed = 0;
+    for (const customer of customers) {
+        const result = await recallService.notifyCustomer(recall, customer);
+        notified += result.notified;
+        failed += result.failed;
+    }
+    showToast(
+        failed ? `${notified} ordini avvisati, ${failed} non raggiunti` : `${notified} ordini avvisati`,
+        failed ? 'error' : 'success'
+    );
+}
+
+async function loadRecalls() {
+    const { recalls: list, error } = await recallService.getRecalls();
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    recalls = list;
+    renderRecalls(recalls);
+}
+
+function renderRecalls(list) {
+    const tbody = document.getElementById('recallsTable');
+
+    if (list.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">Nessun richiamo</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = list.map(recall => {
+        const progress = getRecallProgress(recall);
+        const pending = progress.notified < progress.total;
+        return `
+        <tr>
+            <td>${new Date(recall.started_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'short', year: 'numeric' })}</td>
+            <td>${escapeHtml(recall.product_name || '-')}</td>
+            <td><strong>${escapeHtml(recall.lot_number)}</strong></td>
+            <td>${escapeHtml(recall.reason)}</td>
+            <td>
+                <div class="recall-progress"><div class="recall-progress-bar" style="width:${progress.percent}%"></div></div>
+                <small>${progress.notified}/${progress.total}${progress.failed ? ` · ${progress.failed} non raggiunti` : ''}</small>
+            </td>
+            <td>${recall.closed_at
+                ? '<span class="status-badge status-inactive">Chiuso</span>'
+                : '<span class="status-badge status-pending">In corso</span>'}
+                ${recall.exported_at ? '<br><small>Esportato</small>' : ''}
+            </td>
+            <td class="action-btns">
+                <button class="btn-edit" onclick="exportRecall('${recall.id}')">Esporta CSV</button>
+                ${!recall.closed_at && pending ? `<button class="btn-edit" onclick="resumeRecall('${recall.id}')">Riprova avvisi</button>` : ''}
+                ${!recall.closed_at ? `<button class="btn-delete" onclick="closeRecall('${recall.id}')">Chiudi</button>` : ''}
+            </td>
+        </tr>
+    `}).join('');
+}
+
+// Notify the customers with orders not reached yet
+window.resumeRecall = async function(id) {
+    const recall = recalls.find(r => r.id === id);
+    if (!recall) return;
+
+    const { customers, error } = await recallService.getAffectedCustomers(recall.product_id, recall.lot_number);
+    if (error) {
+        showToast(error, 'error');
+        return;
     }
+
+    const pending = customers
+        .map(customer => ({ ...customer, orders: customer.orders.filter(o => !recall.notifiedOrders.has(o.order_id)) }))
+        .filter(customer => customer.orders.length > 0);
+    await notifyRecallCustomers(recall, pending);
+    await loadRecalls();
 };
 
-window.viewOrderDetails = function(orderId) {
-    const order = orders.find(o => o.id === orderId);
-    if (!order) return;
-    
-    // Save modal state for session persistence
-    saveModalState('order', orderId);
-    
-    const addr = order.shipping_address || {};
-    const items = order.order_items || [];
-    const isGiftCard = addr.type === 'digital';
-    
-    let detailsHtml;
-    
-    if (isGiftCard) {
-        // Gift Card order - mostra info specifiche
-        const noteMatch = order.notes?.match(/Gift Card per ([^(]+)\(([^)]+)\)/);
-        const recipientName = noteMatch ? noteMatch[1].trim() : 'N/D';
-        const recipientEmail = noteMatch ? noteMatch[2].trim() : 'N/D';
-        
-        detailsHtml = `
-            <div style="max-width:550px;">
-                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:1.5rem;">
-                    <h3 style="margin:0;">🎁 Gift Card #${order.order_number}</h3>
-                    <span style="background:${order.payment_status === 'completed' ? '#e8f5e9' : '#fff3e0'};padding:0.3rem 0.8rem;border-radius:20px;font-size:0.85rem;">
-                        ${order.payment_status === 'completed' ? '✅ Pagato' : '⏳ ' + order.payment_status}
-                    </span>
-                </div>
-                
-                <div style="background:linear-gradient(135deg, #4a7c59 0%, #6b9b7a 100%);padding:1.5rem;border-radius:12px;margin-bottom:1rem;color:white;text-align:center;">
-                    <div style="font-size:0.85rem;opacity:0.9;margin-bottom:0.5rem;">Importo Gift Card</div>
-                    <div style="font-size:2.5rem;font-weight:700;">€${parseFloat(order.total).toFixed(2)}</div>
-                </div>
-                
-                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
-                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">🎯 Destinatario</h4>
-                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
-                        <span style="color:#666;">Nome:</span>
-                        <strong>${recipientName}</strong>
-                    </div>
-                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;">
-                        <span style="color:#666;">Email:</span>
-                        <span>${recipientEmail}</span>
-                    </div>
-                </div>
-                
-                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
-                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">📋 Dettagli ordine</h4>
-                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
-                        <span style="color:#666;">Tipo:</span>
-                        <span>🎁 Gift Card Digitale</span>
-                    </div>
-                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;border-bottom:1px solid #eee;">
-                        <span style="color:#666;">Consegna:</span>
-                        <span>📧 Via Email</span>
-                    </div>
-                    <div style="display:flex;justify-content:space-between;padding:0.4rem 0;">
-                        <span style="color:#666;">Data:</span>
-                        <span>${new Date(order.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
-                    </div>
-                </div>
-                
-                <div style="background:#e3f2fd;padding:0.75rem 1rem;border-radius:8px;font-size:0.9rem;">
-                    <strong>💳 Pagamento:</strong> ${order.payment_provider?.toUpperCase() || 'N/D'}<br>
-                    <small style="color:#666;">ID: ${order.payment_id || 'N/D'}</small>
-                </div>
-                
-                <div style="background:#e8f5e9;padding:0.75rem 1rem;border-radius:8px;margin-top:0.5rem;font-size:0.85rem;text-align:center;">
-                    💡 Per i dettagli completi della Gift Card, vai alla sezione <strong>Gestione Gift Card</strong>
-                </div>
-            </div>
-        `;
+window.exportRecall = async function(id) {
+    const recall = recalls.find(r => r.id === id);
+    if (!recall) return;
+
+    const { customers, error } = await recallService.getAffectedCustomers(recall.product_id, recall.lot_number);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    const csv = await recallService.exportCustomers(recall, customers);
+    // BOM so Excel reads the accents
+    const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `richiamo-${recall.lot_number}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    await loadRecalls();
+};
+
+window.closeRecall = async function(id) {
+    const recall = recalls.find(r => r.id === id);
+    if (!recall || !confirm(`Chiudere il richiamo del lotto ${recall.lot_number}?`)) return;
+
+    const { error } = await recallService.closeRecall(recall);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    showToast('Richiamo chiuso', 'success');
+    await loadRecalls();
+};
+
+// ==================== SUBSCRIPTIONS ====================
+
+async function loadSubscriptions() {
+    const status = document.getElementById('subscriptionStatusFilter').value;
+    const { subscriptions: list, error } = await subscriptionService.getSubscriptions(status || undefined);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    subscriptions = list;
+    renderSubscriptions(subscriptions);
+
+    // Purchasing forecast always counts every active subscription
+    if (status === 'active') {
+        renderSubscriptionForecast(subscriptions);
     } else {
-        // Ordine normale - mostra info prodotti
-        const itemsHtml = items.map(item => `
-            <div style="display:flex;justify-content:space-between;padding:0.5rem 0;border-bottom:1px solid #eee;">
-                <div>
-                    <strong>${item.product_name}</strong>
-                    <br><small style="color:#888">Taglia: ${item.size || 'N/D'} | Colore: ${item.color || 'N/D'} | Qtà: ${item.quantity}</small>
-                </div>
-                <span style="font-weight:600;">€${(item.product_price * item.quantity).toFixed(2)}</span>
-            </div>
-        `).join('');
-        
-        detailsHtml = `
-            <div style="max-width:550px;">
-                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:1.5rem;">
-                    <h3 style="margin:0;">Ordine #${order.order_number}</h3>
-                    <span style="background:${order.payment_status === 'completed' ? '#e8f5e9' : '#fff3e0'};padding:0.3rem 0.8rem;border-radius:20px;font-size:0.85rem;">
-                        ${order.payment_status === 'completed' ? '✅ Pagato' : '⏳ ' + order.payment_status}
-                    </span>
-                </div>
-                
-                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
-                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">📍 Indirizzo di spedizione</h4>
-                    <p style="margin:0;line-height:1.7;">
-                        <strong>${addr.firstName || ''} ${addr.lastName || ''}</strong><br>
-                        ${addr.address || ''}<br>
-                        ${addr.postalCode || ''} ${addr.city || ''} (${addr.province || ''})<br>
-                        📞 <a href="tel:${addr.phone}" style="color:inherit;">${addr.phone || 'N/D'}</a>
-                    </p>
-                </div>
-                
-                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
-                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">🛒 Prodotti ordinati</h4>
-                    ${itemsHtml || '<p style="color:#888;margin:0;">Nessun prodotto</p>'}
-                </div>
-                
-                <div style="background:#f8f9fa;padding:1rem;border-radius:10px;margin-bottom:1rem;">
-                    <h4 style="margin:0 0 0.75rem 0;font-size:0.9rem;color:#666;">💰 Riepilogo pagamento</h4>
-                    <div style="display:flex;justify-content:space-between;padding:0.3rem 0;"><span>Subtotale:</span><span>€${parseFloat(order.subtotal).toFixed(2)}</span></div>
-                    <div style="display:flex;justify-content:space-between;padding:0.3rem 0;"><span>Spedizione:</span><span>€${parseFloat(order.shipping_cost).toFixed(2)}</span></div>
-                    ${parseFloat(order.discount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#e74c3c;"><span>Sconto:</span><span>-€${parseFloat(order.discount).toFixed(2)}</span></div>` : ''}
-                    ${parseFloat(order.gift_card_amount) > 0 ? `<div style="display:flex;justify-content:space-between;padding:0.3rem 0;color:#9c27b0;"><span>Gift Card:</span><span>-€${parseFloat(order.gift_card_amount).toFixed(2)}</span></div>` : ''}
-                    <div style="display:flex;justify-content:space-between;font-weight:bold;margin-top:0.5rem;padding-top:0.5rem;border-top:2px solid #dee2e6;font-size:1.1rem;"><span>Totale:</span><span>€${parseFloat(order.total).toFixed(2)}</span></div>
-                </div>
-                
-                <div style="background:#e3f2fd;padding:0.75rem 1rem;border-radius:8px;font-size:0.9rem;">
-                    <strong>💳 Pagamento:</strong> ${order.payment_provider?.toUpperCase() || 'N/D'}<br>
-                    <small style="color:#666;">ID: ${order.payment_id || 'N/D'}</small>
-                </div>
-                
-                ${order.tracking_number ? `
-                <div style="background:#fff3e0;padding:0.75rem 1rem;border-radius:8px;margin-top:0.5rem;font-size:0.9rem;">
-                    <strong>🚚 Tracking:</strong> ${order.tracking_number}<br>
-                    ${order.courier ? `<small>Corriere: ${order.courier}</small>` : ''}
-                </div>
-                ` : ''}
-            </div>
-        `;
+        const { subscriptions: active } = await subscriptionService.getSubscriptions('active');
+        renderSubscriptionForecast(active);
     }
-    
-    // Remove any existing modal
-    document.querySelector('.order-detail-modal')?.remove();
-    
-    const modal = document.createElement('div');
-    modal.className = 'order-detail-modal';
-    modal.onclick = (e) => {
-        if (e.target === modal) modal.remove();
-    };
-    modal.innerHTML = `
-        <div class="order-detail-box">
-            <button class="order-detail-close" onclick="this.closest('.order-detail-modal').remove()">×</button>
-            ${detailsHtml}
+}
+
+function getSubscriptionStatusBadge(status) {
+    const classes = { active: 'status-active', paused: 'status-pending', past_due: 'status-inactive', cancelled: 'status-inactive' };
+    return `<span class="status-badge ${classes[status] || ''}">${subscriptionService.getStatusLabel(status)}</span>`;
+}
+
+function renderSubscriptionForecast(active) {
+    const weeks = subscriptionService.getUpcomingBoxCounts(active, 4);
+    document.getElementById('subscriptionForecast').innerHTML = weeks.map(week => `
+        <div class="forecast-week">
+            <div class="forecast-week-title">Settimana del ${new Date(`${week.weekStart}T00:00:00`).toLocaleDateString('it-IT', { day: 'numeric', month: 'short' })}</div>
+            <div class="forecast-week-total">${week.total} <small>cassette</small></div>
+            ${Object.values(week.boxes).map(box => `<div class="forecast-box">${box.count}× ${box.name}</div>`).join('')}
         </div>
-    `;
-    document.body.appendChild(modal);
-    
-    // Prevent body scroll when modal is open
-    document.body.style.overflow = 'hidden';
-    modal.querySelector('.order-detail-close').onclick = () => {
-        modal.remove();
-        document.body.style.overflow = '';
-        clearModalState();
-    };
-    
-    // Also clear state when clicking outside
-    modal.onclick = (e) => {
-        if (e.target === modal) {
-            modal.remove();
-            document.body.style.overflow = '';
-            clearModalState();
-        }
-    };
-    modal.onclick = (e) => {
-        if (e.target === modal) {
-            modal.remove();
-            document.body.style.overflow = '';
-        }
-    };
-};
+    `).join('');
+}
+
+function renderSubscriptions(list) {
+    const tbody = document.getElementById('subscriptionsTable');
+
+    if (list.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">Nessun abbonamento</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = list.map(sub => {
+        const addr = sub.shipping_address || {};
+        const name = `${sub.profiles?.first_name || addr.firstName || ''} ${sub.profiles?.last_name || addr.lastName || ''}`.trim();
+        const skipped = sub.skip_until && new Date(sub.skip_until) > new Date();
+        const next = sub.status === 'active' && sub.next_billing_at
+            ? `${new Date(sub.next_billing_at).toLocaleDateString('it-IT', { weekday: 'short', day: '2-digit', month: 'short' })}${sub.cancel_at_period_end ? ' <small>(ultima)</small>' : skipped ? ' <small>(saltata)</small>' : ''}`
+            : '-';
+        return `
+        <tr>
+            <td>${name || '-'}<br><small>${addr.city || ''}</small></td>
+            <td>${sub.products?.name || '-'}</td>
+            <td>${subscriptionService.getFrequencyLabel(sub.frequency)}</td>
+            <td>€${parseFloat(sub.price).toFixed(2)}</td>
+            <td>${next}</td>
+            <td>${getSubscriptionStatusBadge(sub.status)}</td>
+        </tr>
+    `}).join('');
+}
 
 // Update navigateToSection to load orders
 const originalNavigateToSection = navigateToSection;
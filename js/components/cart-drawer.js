@@ -6,6 +6,8 @@
 import { cartService } from '../services/cart.js';
 import { promotionService } from '../services/promotions.js';
 import { referralService } from '../services/referral.js';
+import { productService } from '../services/products.js';
+import { buildCartItem } from '../utils/cart-items.js';
 import { getCurrentUser } from '../supabase.js';
 
 class CartDrawer {
@@ -14,12 +16,16 @@ class CartDrawer {
     this.isOpen = false;
     this.appliedPromo = null;
     this.discount = 0;
+    this.promotionResult = null;
+    this.suggestions = [];
+    this.suggestionsKey = '';
   }
 
   init() {
     this._createDrawer();
     this._attachEventListeners();
     this.updateCart();
+    this._restoreFromLink();
 
     // Listen for cart changes
     cartService.onChange(() => this.updateCart());
@@ -47,10 +53,126 @@ class CartDrawer {
     const total = await cartService.getTotal();
     const count = await cartService.getCount();
 
+    await this._updateDiscount(items);
     this._renderItems(items);
     this._updateTotal(total);
     this._updateBadges(count);
     this._updateReferralBanner(total);
+    this._updateSuggestions(items);
+    this._updateShareSection();
+  }
+
+  // Cart link opened from another device (cartService.createRestoreLink)
+  async _restoreFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const restoreToken = params.get('carrello');
+    if (!restoreToken) return;
+
+    // Reloading the page must not add the cart twice
+    params.delete('carrello');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    const { count, error, sameCart } = await cartService.restoreFromLink(restoreToken);
+    const notice = document.getElementById('cartRestoreNotice');
+    notice.className = `cart-restore-notice ${error ? 'error' : 'success'}`;
+    notice.textContent = error
+      || (sameCart ? 'Questo è già il tuo carrello.'
+        : count > 0 ? `Carrello recuperato: ${count} ${count === 1 ? 'prodotto aggiunto' : 'prodotti aggiunti'}.`
+          : 'I prodotti di questo carrello non sono più disponibili.');
+    notice.style.display = 'block';
+    this.show();
+  }
+
+  // Guests only: signed-in customers find their cart on every device
+  async _updateShareSection() {
+    const section = document.getElementById('cartShareSection');
+    if (!section) return;
+    const user = await getCurrentUser();
+    section.style.display = user ? 'none' : 'block';
+  }
+
+  async shareCart() {
+    const button = document.getElementById('cartShareBtn');
+    const messageEl = document.getElementById('cartShareMessage');
+    button.disabled = true;
+
+    const { url, expiresAt, error } = await cartService.createRestoreLink();
+    button.disabled = false;
+    if (error) {
+      this.showPromoMessage(messageEl, error, 'error');
+      return;
+    }
+
+    const expires = new Date(expiresAt).toLocaleDateString('it-IT', { day: 'numeric', month: 'long' });
+    document.getElementById('cartShareLink').value = url;
+    document.getElementById('cartShareEmail').href =
+      `mailto:?subject=${encodeURIComponent('Il mio carrello Mimmo Fratelli')}&body=${encodeURIComponent(`Apri il link per ritrovare il carrello: ${url}`)}`;
+    document.getElementById('cartShareResult').style.display = 'flex';
+    this.showPromoMessage(messageEl, `Apri il link sull'altro dispositivo entro il ${expires}.`, 'success');
+  }
+
+  async copyShareLink() {
+    const input = document.getElementById('cartShareLink');
+    const messageEl = document.getElementById('cartShareMessage');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      this.showPromoMessage(messageEl, 'Link copiato!', 'success');
+    } catch {
+      input.select();
+    }
+  }
+
+  // Frequently bought together with what is already in the cart
+  async _updateSuggestions(items) {
+    const container = document.getElementById('cartSuggestions');
+    if (!container) return;
+
+    const productIds = [...new Set(items.map(item => item.productId))].sort();
+    const key = productIds.join(',');
+    if (!productIds.length) {
+      container.innerHTML = '';
+      this.suggestionsKey = '';
+      return;
+    }
+    if (key === this.suggestionsKey) return;
+    this.suggestionsKey = key;
+
+    const { products } = await productService.getFrequentlyBoughtTogether(productIds, 3);
+    // The cart changed while loading
+    if (this.suggestionsKey !== key) return;
+
+    this.suggestions = products;
+    if (!products.length) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <h3 class="cart-suggestions-title">Spesso acquistati insieme</h3>
+      ${products.map(product => {
+        const item = buildCartItem(product, { weightGrams: product.default_weight_grams });
+        return `
+          <div class="cart-suggestion" data-product-id="${product.id}">
+            <img src="${item.image || 'data:image/svg+xml,...'}" alt="${product.name}" loading="lazy">
+            <div class="cart-suggestion-info">
+              <span class="cart-suggestion-name">${product.name}</span>
+              <span class="cart-suggestion-price">${item.size} · € ${item.price.toFixed(2)}</span>
+            </div>
+            <button class="cart-suggestion-add" data-action="add-suggestion">+ Aggiungi</button>
+          </div>
+        `;
+      }).join('')}
+    `;
+
+    container.querySelectorAll('[data-action="add-suggestion"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const product = this.suggestions.find(p => p.id === btn.closest('.cart-suggestion').dataset.productId);
+        if (!product) return;
+        btn.disabled = true;
+        await cartService.addItem(buildCartItem(product, { weightGrams: product.default_weight_grams }));
+      });
+    });
   }
 
   async _updateReferralBanner(subtotal) {
@@ -107,6 +229,7 @@ class CartDrawer {
           </div>
           
           <div class="cart-drawer-body" id="cartDrawerBody">
+            <div class="cart-restore-notice" id="cartRestoreNotice" style="display:none;"></div>
             <div class="cart-empty" id="cartEmpty">
               <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
                 <circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/>
@@ -116,6 +239,7 @@ class CartDrawer {
               <a href="collection.html" class="cart-empty-btn">Scopri la Collezione</a>
             </div>
             <div class="cart-items" id="cartItems"></div>
+            <div class="cart-suggestions" id="cartSuggestions"></div>
           </div>
           
           <div class="cart-drawer-footer" id="cartFooter" style="display:none;">
@@ -133,17 +257,28 @@ class CartDrawer {
                 <span id="cartTotal">€ 0.00</span>
               </div>
               <div class="cart-discount-row" id="cartDiscountRow" style="display: none;">
-                <span>Sconto</span>
+                <span id="cartDiscountLabel">Sconto</span>
                 <span id="cartDiscount">-€ 0.00</span>
               </div>
             </div>
-            <p class="cart-shipping-note">Spedizione calcolata al checkout</p>
+            <p class="cart-shipping-note" id="cartShippingNote">Spedizione calcolata al checkout</p>
             <button class="cart-checkout-btn" id="checkoutBtn">
               Procedi al Checkout
             </button>
             <button class="cart-continue-btn" id="continueShoppingBtn">
               Continua lo Shopping
             </button>
+            <div class="cart-share-section" id="cartShareSection" style="display:none;">
+              <button class="cart-share-btn" id="cartShareBtn">
+                📱 Continua su un altro dispositivo
+              </button>
+              <div class="cart-share-result" id="cartShareResult" style="display:none;">
+                <input type="text" id="cartShareLink" class="cart-promo-input" readonly aria-label="Link del carrello">
+                <button id="cartShareCopy" class="cart-promo-btn">Copia</button>
+                <a id="cartShareEmail" class="cart-promo-btn" href="#">Email</a>
+              </div>
+              <div id="cartShareMessage" class="cart-promo-message" style="display: none;"></div>
+            </div>
             <button class="cart-clear-btn" id="clearCartBtn">
               🗑️ Svuota Carrello
             </button>
@@ -178,6 +313,9 @@ class CartDrawer {
     document.getElementById('continueShoppingBtn')?.addEventListener('click', () => this.hide());
     
     document.getElementById('clearCartBtn')?.addEventListener('click', () => this.clearCart());
+
+    document.getElementById('cartShareBtn')?.addEventListener('click', () => this.shareCart());
+    document.getElementById('cartShareCopy')?.addEventListener('click', () => this.copyShareLink());
     
     document.getElementById('cartApplyPromo')?.addEventListener('click', () => this.applyPromoCode());
     
@@ -226,13 +364,7 @@ class CartDrawer {
       const { valid, error: firstOrderError, promotion } = await promotionService.isFirstOrderCodeValid(user.id, code);
       
       if (valid && promotion) {
-        this.appliedPromo = promotion;
-        await this.updateCartWithDiscount();
-        const discountText = promotion.discount_type === 'percentage' 
-          ? `${promotion.discount_value}%` 
-          : `€${promotion.discount_value.toFixed(2)}`;
-        this.showPromoMessage(messageEl, `✓ Sconto ${discountText} applicato!`, 'success');
-        codeInput.disabled = true;
+        await this._applyCodePromotion(promotion, codeInput, messageEl);
         return;
       }
       
@@ -249,23 +381,34 @@ class CartDrawer {
       return;
     }
 
+    await this._applyCodePromotion(promotion, codeInput, messageEl);
+  }
+
+  // Keep the code only if the promotion rules apply it to this cart
+  async _applyCodePromotion(promotion, codeInput, messageEl) {
     this.appliedPromo = promotion;
-    await this.updateCartWithDiscount();
-    const discountText = promotion.discount_type === 'percentage' 
-      ? `${promotion.discount_value}%` 
-      : `€${promotion.discount_value.toFixed(2)}`;
-    this.showPromoMessage(messageEl, `✓ Sconto ${discountText} applicato!`, 'success');
+    await this.updateCart();
+
+    const codeResult = this.promotionResult?.codeResult;
+    if (!codeResult?.applied) {
+      this.appliedPromo = null;
+      await this.updateCart();
+      this.showPromoMessage(messageEl, codeResult?.message || 'Codice non applicabile', 'error');
+      return;
+    }
+
+    this.showPromoMessage(messageEl, `✓ ${codeResult.message}`, 'success');
     codeInput.disabled = true;
   }
 
-  async updateCartWithDiscount() {
-    const items = await cartService.getAllItems();
-    if (this.appliedPromo) {
-      this.discount = promotionService.calculateDiscount(items, this.appliedPromo);
-    } else {
-      this.discount = 0;
-    }
-    await this.updateCart();
+  // Code plus automatic promotions, recomputed on every cart change
+  async _updateDiscount(items) {
+    const needsUser = this.appliedPromo?.user_id || this.appliedPromo?.is_first_order_code ||
+      this.appliedPromo?.per_customer_limit;
+    const userId = needsUser ? (await getCurrentUser())?.id || null : null;
+
+    this.promotionResult = await promotionService.evaluateCart(items, this.appliedPromo, { userId });
+    this.discount = this.promotionResult.discount;
   }
 
   showPromoMessage(element, message, type) {
@@ -290,8 +433,14 @@ class CartDrawer {
     emptyState.style.display = 'none';
     footer.style.display = 'block';
 
+    // Deal notes ("3x2: 1 in omaggio") on the first line of each product
+    const notedProducts = new Set();
     container.innerHTML = items.map(item => {
       const weightGrams = item.weight_grams || null;
+      const notes = notedProducts.has(item.productId)
+        ? []
+        : (this.promotionResult?.notes || []).filter(note => note.productId === item.productId);
+      notedProducts.add(item.productId);
       const weightAttr = weightGrams ? `data-weight="${weightGrams}"` : '';
       
       // Show unit price for weight-based items
@@ -309,6 +458,7 @@ class CartDrawer {
             <h4 class="cart-item-name">${item.name}</h4>
             <p class="cart-item-variant">${item.size} / ${item.color}</p>
             <p class="cart-item-price">${priceDisplay}</p>
+            ${notes.map(note => `<p class="cart-item-promo">🏷️ ${note.message}</p>`).join('')}
             <div class="cart-item-quantity">
               <button class="qty-btn minus" data-action="decrease">−</button>
               <span class="qty-value">${item.quantity}</span>
@@ -363,12 +513,23 @@ class CartDrawer {
     
     if (discountRow && discountEl) {
       if (this.discount > 0) {
+        const labels = (this.promotionResult?.applied || [])
+          .filter(result => result.discountCents > 0)
+          .map(result => result.label);
         discountRow.style.display = 'flex';
         discountEl.textContent = `-€ ${this.discount.toFixed(2)}`;
+        document.getElementById('cartDiscountLabel').textContent = labels.length ? `Sconto (${labels.join(' · ')})` : 'Sconto';
       } else {
         discountRow.style.display = 'none';
       }
     }
+
+    const shippingNote = document.getElementById('cartShippingNote');
+    if (shippingNote) {
+      shippingNote.textContent = this.promotionResult?.freeShipping
+        ? '🚚 Spedizione gratuita con la promozione'
+        : 'Spedizione calcolata al checkout';
+    }
   }
 
   _updateBadges(count) {
@@ -497,6 +658,11 @@ class CartDrawer {
           color: #888;
           margin: 0 0 0.5rem;
         }
+        .cart-item-promo {
+          font-size: 0.75rem;
+          color: #16a34a;
+          margin: 0 0 0.5rem;
+        }
         .cart-item-price {
           font-size: 0.9rem;
           font-weight: 500;
@@ -546,6 +712,53 @@ class CartDrawer {
         .cart-item-remove:hover {
           color: var(--accent-color, #a89990);
         }
+        .cart-suggestions-title {
+          font-size: 0.75rem;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: #888;
+          font-weight: 500;
+          margin: 1.5rem 0 0.5rem;
+        }
+        .cart-suggestion {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.5rem 0;
+        }
+        .cart-suggestion img {
+          width: 48px;
+          height: 48px;
+          object-fit: cover;
+          background: #f5f5f5;
+          flex-shrink: 0;
+        }
+        .cart-suggestion-info {
+          flex: 1;
+          min-width: 0;
+          display: flex;
+          flex-direction: column;
+        }
+        .cart-suggestion-name {
+          font-size: 0.85rem;
+          font-weight: 500;
+        }
+        .cart-suggestion-price {
+          font-size: 0.75rem;
+          color: #888;
+        }
+        .cart-suggestion-add {
+          background: none;
+          border: 1px solid #ddd;
+          padding: 0.35rem 0.6rem;
+          font-size: 0.75rem;
+          cursor: pointer;
+          white-space: nowrap;
+          transition: all 0.2s;
+        }
+        .cart-suggestion-add:hover {
+          border-color: var(--text-color);
+        }
         .cart-drawer-footer {
           padding: 1.5rem;
           border-top: 1px solid #eee;
@@ -668,6 +881,55 @@ class CartDrawer {
           background: #fff5f5;
           color: #c82333;
         }
+        /* Cart link for another device */
+        .cart-share-section {
+          margin-top: 0.75rem;
+        }
+        .cart-share-btn {
+          width: 100%;
+          padding: 0.6rem;
+          background: transparent;
+          border: 1px dashed #ccc;
+          border-radius: 6px;
+          font-size: 0.8rem;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+        .cart-share-btn:hover {
+          border-color: var(--text-color);
+        }
+        .cart-share-btn:disabled {
+          opacity: 0.6;
+          cursor: wait;
+        }
+        .cart-share-result {
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+        }
+        .cart-share-result .cart-promo-input {
+          min-width: 0;
+          font-size: 0.75rem;
+          text-transform: none;
+        }
+        .cart-share-result a.cart-promo-btn {
+          display: flex;
+          align-items: center;
+          text-decoration: none;
+        }
+        .cart-restore-notice {
+          padding: 0.75rem;
+          margin-bottom: 1rem;
+          border-radius: 8px;
+          font-size: 0.85rem;
+        }
+        .cart-restore-notice.success {
+          background: #d4edda;
+          color: #155724;
+        }
+        .cart-restore-notice.error {
+          background: #f8d7da;
+          color: #721c24;
+        }
         /* Referral Bonus Banner */
         .referral-bonus-banner {
           padding: 0.75rem;
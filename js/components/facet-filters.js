@@ -0,0 +1,125 @@
+/**
+ * Facet Filters Component
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Checkbox facets for the collection page (availability, seasonality,
+ * quality labels, origin, weight formats, allergens to avoid), each with
+ * its live count
+ */
+
+import {
+  PRODUCT_CERTIFICATIONS,
+  toggleFacetValue,
+  formatWeightLabel
+} from '../utils/facets.js';
+import { ALLERGEN_FREE_LABELS } from '../utils/nutrition.js';
+
+class FacetFilters {
+  constructor() {
+    this.container = null;
+    this.onChange = null;
+    this.filters = null;
+  }
+
+  /**
+   * @param {HTMLElement} container
+   * @param {Function} onChange - Called with the changed facet filters
+   */
+  init(container, onChange) {
+    this.container = container;
+    this.onChange = onChange;
+
+    this.container?.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-facet]');
+      if (!input || !this.filters) return;
+
+      const { facet, value } = input.dataset;
+      if (facet === 'seasonal' || facet === 'in_stock') {
+        this.onChange({ [facet]: input.checked });
+      } else {
+        const parsed = facet === 'weights' ? parseInt(value) : value;
+        this.onChange({ [facet]: toggleFacetValue(this.filters[facet], parsed) });
+      }
+    });
+  }
+
+  /**
+   * @param {Object|null} facets - get_product_facets result
+   * @param {Object} filters - Current filters
+   */
+  render(facets, filters) {
+    if (!this.container) return;
+    this.filters = filters;
+
+    if (!facets) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const groups = [
+      this._renderGroup('Disponibilità', [
+        this._renderOption('in_stock', '1', 'Solo disponibili', facets.in_stock, filters.in_stock)
+      ]),
+      this._renderGroup('Stagionalità', [
+        this._renderOption('seasonal', '1', '🍅 Di stagione', facets.seasonal, filters.seasonal)
+      ]),
+      this._renderGroup('Certificazioni', this._mergeSelected(facets.certifications, filters.certifications)
+        .map(({ value, count }) => this._renderOption('certifications', value, PRODUCT_CERTIFICATIONS[value] || value, count, filters.certifications.includes(value)))),
+      this._renderGroup('Provenienza', this._mergeSelected(facets.regions, filters.regions)
+        .map(({ value, count }) => this._renderOption('regions', value, value, count, filters.regions.includes(value)))),
+      this._renderGroup('Formato', this._mergeSelected(facets.weights, filters.weights)
+        .map(({ value, count }) => this._renderOption('weights', value, formatWeightLabel(value), count, filters.weights.includes(value)))),
+      // Only allergens found in the results; the count is what would remain without them
+      this._renderGroup('Allergeni', this._mergeSelected(facets.allergens, filters.exclude_allergens)
+        .filter(({ value }) => ALLERGEN_FREE_LABELS[value])
+        .map(({ value, count }) => {
+          const checked = filters.exclude_allergens.includes(value);
+          return this._renderOption('exclude_allergens', value, ALLERGEN_FREE_LABELS[value], checked ? facets.total : facets.total - count, checked);
+        }))
+    ];
+
+    this.container.innerHTML = groups.join('');
+  }
+
+  /**
+   * Keep selected values visible even when nothing matches them anymore
+   * @private
+   */
+  _mergeSelected(options = [], selected = []) {
+    const merged = [...options];
+    selected.forEach(value => {
+      if (!merged.some(o => o.value === value)) merged.push({ value, count: 0 });
+    });
+    return merged;
+  }
+
+  /**
+   * @private
+   */
+  _renderGroup(title, options) {
+    if (!options.length) return '';
+    return `
+      <fieldset class="facet-group">
+        <legend>${title}</legend>
+        ${options.join('')}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * @private
+   */
+  _renderOption(facet, value, label, count, checked) {
+    const disabled = !checked && !count;
+    return `
+      <label class="facet-option ${disabled ? 'disabled' : ''}">
+        <input type="checkbox" data-facet="${facet}" data-value="${value}" ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+        <span>${label}</span>
+        <span class="facet-count">${count || 0}</span>
+      </label>
+    `;
+  }
+}
+
+export const facetFilters = new FacetFilters();
+export default facetFilters;
@@ -3,7 +3,9 @@
  * Live search with product suggestions and preview
  */
 
-import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { isSupabaseConfigured } from '../supabase.js';
+import { productService } from '../services/products.js';
+import { searchService } from '../services/search.js';
 
 class GlobalSearch {
     constructor() {
@@ -11,9 +13,12 @@ class GlobalSearch {
         this.searchInput = null;
         this.resultsContainer = null;
         this.debounceTimer = null;
+        this.logTimer = null;
+        this.pendingLog = null;
         this.isOpen = false;
         this.selectedIndex = -1;
         this.results = [];
+        this.suggestions = [];
     }
 
     /**
@@ -162,6 +167,11 @@ class GlobalSearch {
 
         // Suggestion chips
         this.resultsContainer?.addEventListener('click', (e) => {
+            if (e.target.closest('.suggestion-clear')) {
+                searchService.clearRecentSearches().then(() => this.loadSearchHistory());
+                return;
+            }
+
             const chip = e.target.closest('.suggestion-chip');
             if (chip) {
                 const query = chip.dataset.query;
@@ -189,6 +199,9 @@ class GlobalSearch {
         this.isOpen = true;
         this.searchOverlay.classList.add('active');
         document.body.classList.add('search-open');
+        if (!this.searchInput.value.trim()) {
+            this.showEmptyState();
+        }
         setTimeout(() => this.searchInput?.focus(), 100);
     }
 
@@ -196,6 +209,7 @@ class GlobalSearch {
      * Close search overlay
      */
     close() {
+        this.flushSearchLog();
         this.isOpen = false;
         this.searchOverlay.classList.remove('active');
         document.body.classList.remove('search-open');
@@ -223,6 +237,9 @@ class GlobalSearch {
         const query = e.target.value.trim();
         
         clearTimeout(this.debounceTimer);
+        // Only the query the shopper stops on is logged, not every keystroke
+        clearTimeout(this.logTimer);
+        this.pendingLog = null;
         
         if (query.length < 2) {
             this.showEmptyState();
@@ -276,7 +293,7 @@ class GlobalSearch {
     }
 
     /**
-     * Search products
+     * Search products (same engine as the collection pages)
      */
     async search(query) {
         if (!isSupabaseConfigured()) {
@@ -285,106 +302,69 @@ class GlobalSearch {
         }
 
         try {
-            const lowerQuery = query.toLowerCase();
-            
-            // Check if searching for a category/section - redirect to collection page
-            const categoryRedirects = {
-                'frutta': 'collection.html?gender=frutta',
-                'frutta fresca': 'collection.html?gender=frutta&category=frutta-fresca',
-                'agrumi': 'collection.html?gender=frutta&category=agrumi',
-                'arance': 'collection.html?gender=frutta&category=agrumi',
-                'limoni': 'collection.html?gender=frutta&category=agrumi',
-                'verdura': 'collection.html?gender=verdura',
-                'verdura fresca': 'collection.html?gender=verdura&category=verdura-fresca',
-                'conserve': 'collection.html?gender=conserve',
-                'formaggi': 'collection.html?gender=conserve&category=formaggi',
-                'salumi': 'collection.html?gender=conserve&category=salumi',
-                'olive': 'collection.html?gender=conserve&category=olive-sottoli',
-                'sottoli': 'collection.html?gender=conserve&category=olive-sottoli',
-                'secchi': 'collection.html?gender=secchi-estratti',
-                'estratti': 'collection.html?gender=secchi-estratti',
-                'insalate pronte': 'collection.html?gender=secchi-estratti&category=insalate-pronte',
-                'piatti pronti': 'collection.html?gender=secchi-estratti&category=piatti-pronti',
-                'contorni': 'collection.html?gender=secchi-estratti&category=contorni'
-            };
-            
-            // Check for exact category match
-            if (categoryRedirects[lowerQuery]) {
-                this.showCategoryResult(query, categoryRedirects[lowerQuery]);
+            // Category shortcuts are managed from the admin panel
+            const redirect = await productService.getSearchRedirect(query);
+            if (redirect) {
+                this.showCategoryResult(redirect);
+                // A shortcut counts as a hit
+                this.scheduleSearchLog(query, 1);
                 return;
             }
-            
-            // Use the RPC function for enhanced search
-            const { data, error } = await supabase.rpc('search_products', {
-                search_query: query
-            });
 
-            if (error) {
-                // Fallback to basic search if RPC fails - include gender and category search
-                const { data: fallbackData, error: fallbackError } = await supabase
-                    .from('products')
-                    .select('*, categories(name, slug)')
-                    .eq('is_active', true)
-                    .or(`name.ilike.%${query}%,description.ilike.%${query}%,gender.ilike.%${query}%`)
-                    .limit(10);
-
-                if (fallbackError) throw fallbackError;
-                this.results = fallbackData || [];
-            } else {
-                // Fetch category info for RPC results
-                const productIds = data?.map(p => p.id) || [];
-                if (productIds.length > 0) {
-                    const { data: productsWithCategories } = await supabase
-                        .from('products')
-                        .select('*, categories(name, slug)')
-                        .in('id', productIds);
-                    
-                    // Maintain search order
-                    this.results = productIds.map(id => 
-                        productsWithCategories?.find(p => p.id === id)
-                    ).filter(Boolean);
-                } else {
-                    this.results = [];
-                }
-            }
+            const [{ products, error }, suggestions] = await Promise.all([
+                productService.searchProducts(query, { limit: 10 }),
+                searchService.getSuggestions(query)
+            ]);
+            if (error) throw new Error(error);
 
+            // A slower response for an earlier keystroke
+            if (this.searchInput.value.trim() !== query) return;
+
+            this.results = products;
+            this.suggestions = suggestions.filter(s => s.suggestion.toLowerCase() !== query.toLowerCase());
             this.selectedIndex = -1;
             this.renderResults(query);
+            this.scheduleSearchLog(query, products.length);
         } catch (err) {
             console.error('Search error:', err);
             this.showError('Errore nella ricerca');
         }
     }
     
+    /**
+     * Log the search once the shopper stops typing
+     */
+    scheduleSearchLog(query, resultCount) {
+        clearTimeout(this.logTimer);
+        this.pendingLog = { query, resultCount };
+        this.logTimer = setTimeout(() => this.flushSearchLog(), 1500);
+    }
+
+    /**
+     * Log the pending search now (leaving the overlay)
+     */
+    flushSearchLog() {
+        clearTimeout(this.logTimer);
+        if (!this.pendingLog) return;
+        const { query, resultCount } = this.pendingLog;
+        this.pendingLog = null;
+        searchService.logSearch(query, resultCount);
+    }
+
     /**
      * Show category result with link to collection page
+     * @param {Object} redirect - search_synonyms row with redirect_url
      */
-    showCategoryResult(query, url) {
-        const categoryNames = {
-            'frutta': { name: 'Frutta', emoji: '🍎', desc: 'Frutta fresca di stagione' },
-            'verdura': { name: 'Verdura', emoji: '🥬', desc: 'Verdura fresca selezionata' },
-            'conserve': { name: 'Conserve e Preparati', emoji: '🫙', desc: 'Sott\'oli, marmellate e salse' },
-            'secchi': { name: 'Prodotti Secchi e Estratti', emoji: '🫒', desc: 'Oli, succhi e frutta secca' },
-            'estratti': { name: 'Prodotti Secchi e Estratti', emoji: '🫒', desc: 'Oli, succhi e frutta secca' },
-            'frutta secca': { name: 'Frutta Secca', emoji: '🥜', desc: 'Noci, mandorle e nocciole' },
-            'frutta disidratata': { name: 'Frutta Disidratata', emoji: '🍇', desc: 'Frutta essiccata naturale' },
-            'biologico': { name: 'Prodotti Biologici', emoji: '🌱', desc: 'Certificati biologici' },
-            'bio': { name: 'Prodotti Biologici', emoji: '🌱', desc: 'Certificati biologici' },
-            'stagione': { name: 'Prodotti di Stagione', emoji: '🍅', desc: 'Freschi e al miglior prezzo' },
-            'di stagione': { name: 'Prodotti di Stagione', emoji: '🍅', desc: 'Freschi e al miglior prezzo' },
-            'olio': { name: 'Oli', emoji: '🫒', desc: 'Oli extravergine e aromatizzati' },
-            'oli': { name: 'Oli', emoji: '🫒', desc: 'Oli extravergine e aromatizzati' },
-            'succhi': { name: 'Succhi e Spremute', emoji: '🧃', desc: 'Succhi di frutta freschi' },
-            'marmellate': { name: 'Marmellate e Confetture', emoji: '🍯', desc: 'Artigianali e genuine' },
-            'sottoli': { name: 'Sott\'oli', emoji: '🫙', desc: 'Conserve sott\'olio' },
-            'sottaceti': { name: 'Sott\'aceti', emoji: '🥒', desc: 'Conserve sott\'aceto' }
+    showCategoryResult(redirect) {
+        const cat = {
+            name: redirect.redirect_title || redirect.term,
+            emoji: redirect.redirect_emoji || '📦',
+            desc: redirect.redirect_description || 'Esplora la categoria'
         };
         
-        const cat = categoryNames[query.toLowerCase()] || { name: query, emoji: '📦', desc: 'Esplora la categoria' };
-        
         this.resultsContainer.innerHTML = `
             <div class="search-category-result">
-                <div class="category-result-card" onclick="window.location.href='${url}'">
+                <div class="category-result-card">
                     <div class="category-result-icon">${cat.emoji}</div>
                     <div class="category-result-info">
                         <h4>${cat.name}</h4>
@@ -399,6 +379,10 @@ class GlobalSearch {
                 <p class="category-result-hint">Clicca per esplorare tutti i prodotti</p>
             </div>
         `;
+        this.resultsContainer.querySelector('.category-result-card').addEventListener('click', () => {
+            this.flushSearchLog();
+            window.location.href = redirect.redirect_url;
+        });
     }
 
     /**
@@ -411,6 +395,7 @@ class GlobalSearch {
         }
 
         const html = `
+            ${this.renderAutocomplete(query)}
             <div class="search-results-header">
                 <span class="results-count">${this.results.length} risultat${this.results.length === 1 ? 'o' : 'i'}</span>
             </div>
@@ -431,6 +416,20 @@ class GlobalSearch {
         });
     }
 
+    /**
+     * Render query suggestions completing the typed text
+     */
+    renderAutocomplete(query) {
+        if (!this.suggestions.length) return '';
+        return `
+            <div class="search-autocomplete">
+                ${this.suggestions.map(({ suggestion }) => `
+                    <button class="suggestion-chip" data-query="${this.escapeHtml(suggestion)}">${this.highlightMatch(this.escapeHtml(suggestion), this.escapeHtml(query))}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Render a single product item
      */
@@ -479,6 +478,15 @@ class GlobalSearch {
         return text.replace(regex, '<mark>$1</mark>');
     }
 
+    /**
+     * Escape text typed by shoppers before rendering it
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Escape regex special characters
      */
@@ -515,6 +523,7 @@ class GlobalSearch {
      * Navigate to product page
      */
     navigateToProduct(product) {
+        this.flushSearchLog();
         this.close();
         window.location.href = `product.html?slug=${product.slug}`;
     }
@@ -541,8 +550,44 @@ class GlobalSearch {
                     <button class="suggestion-chip" data-query="stagione">🍅 Di Stagione</button>
                     <button class="suggestion-chip" data-query="olio">🫒 Oli</button>
                 </div>
+                <div class="search-history"></div>
             </div>
         `;
+        this.loadSearchHistory();
+    }
+
+    /**
+     * Fill the empty state with recent and trending searches
+     */
+    async loadSearchHistory() {
+        const [recent, trending] = await Promise.all([
+            searchService.getRecentSearches(),
+            searchService.getTrendingSearches()
+        ]);
+
+        // The shopper may have started typing meanwhile
+        const container = this.resultsContainer.querySelector('.search-history');
+        if (!container) return;
+
+        const chips = (queries) => queries.map(query =>
+            `<button class="suggestion-chip" data-query="${this.escapeHtml(query)}">${this.escapeHtml(query)}</button>`
+        ).join('');
+
+        container.innerHTML = `
+            ${recent.length ? `
+                <div class="search-suggestions" style="margin-top: 0.75rem;">
+                    <span class="suggestion-label">🕘 Ricerche recenti:</span>
+                    ${chips(recent)}
+                    <button class="suggestion-clear">Cancella</button>
+                </div>
+            ` : ''}
+            ${trending.length ? `
+                <div class="search-suggestions" style="margin-top: 0.75rem;">
+                    <span class="suggestion-label">🔥 Di tendenza:</span>
+                    ${chips(trending)}
+                </div>
+            ` : ''}
+        `;
     }
 
     /**
@@ -564,8 +609,9 @@ class GlobalSearch {
         this.resultsContainer.innerHTML = `
             <div class="search-no-results">
                 <div class="no-results-icon">😕</div>
-                <p>Nessun risultato per "<strong>${query}</strong>"</p>
+                <p>Nessun risultato per "<strong>${this.escapeHtml(query)}</strong>"</p>
                 <span class="no-results-hint">Prova con termini diversi o controlla l'ortografia</span>
+                ${this.renderAutocomplete(query)}
             </div>
         `;
     }
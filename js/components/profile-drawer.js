@@ -119,6 +119,20 @@ class ProfileDrawer {
                 </svg>
               </span>
             </a>
+            <a href="#" class="profile-menu-item" id="profileSubscriptions">
+              <span class="menu-icon">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                  <polyline points="23 4 23 10 17 10"/>
+                  <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                </svg>
+              </span>
+              <span class="menu-text">I miei abbonamenti</span>
+              <span class="menu-arrow">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <polyline points="9 18 15 12 9 6"/>
+                </svg>
+              </span>
+            </a>
             <a href="wishlist.html" class="profile-menu-item" id="profileWishlist">
               <span class="menu-icon">
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -249,6 +263,12 @@ class ProfileDrawer {
       this._showMyGiftCards();
     });
 
+    // Box subscriptions
+    document.getElementById('profileSubscriptions').addEventListener('click', (e) => {
+      e.preventDefault();
+      this._showMySubscriptions();
+    });
+
     // Orders link - close drawer before navigating
     document.getElementById('profileOrders').addEventListener('click', () => {
       this.hide();
@@ -959,6 +979,95 @@ class ProfileDrawer {
     });
   }
 
+  /**
+   * Show user's box subscriptions with pause / skip / cancel controls
+   * @private
+   */
+  async _showMySubscriptions() {
+    const { subscriptionService } = await import('../services/subscriptions.js');
+    const { subscriptions, error } = await subscriptionService.getMySubscriptions();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'my-gc-overlay';
+    this.drawer.querySelector('.profile-drawer-content').appendChild(overlay);
+
+    const formatDate = (value) => new Date(value).toLocaleDateString('it-IT', { weekday: 'short', day: 'numeric', month: 'long' });
+
+    const render = (list, message = '') => {
+      let content = '<h3 style="margin-bottom: 1rem;">I miei abbonamenti</h3>';
+
+      if (message) {
+        content += `<p class="my-sub-message">${message}</p>`;
+      }
+
+      if (list.length === 0) {
+        content += '<p style="color: #888; text-align: center; padding: 2rem;">Non hai abbonamenti attivi. Scegli una cassetta e ricevila ogni settimana.</p>';
+      } else {
+        content += '<div class="my-giftcards-list">';
+        list.forEach(sub => {
+          const skipped = sub.skip_until && new Date(sub.skip_until) > new Date();
+          let next = '';
+          if (sub.status === 'active' && sub.cancel_at_period_end) {
+            next = `Termina il ${formatDate(sub.next_billing_at)}`;
+          } else if (sub.status === 'active' && sub.next_billing_at) {
+            next = `Prossima cassetta: ${formatDate(sub.next_billing_at)}${skipped ? ' (saltata)' : ''}`;
+          }
+
+          const actions = [];
+          if (sub.status === 'active' && !sub.cancel_at_period_end) {
+            actions.push(`<button class="my-sub-btn" data-action="skip" data-id="${sub.id}">Salta la prossima</button>`);
+            actions.push(`<button class="my-sub-btn" data-action="pause" data-id="${sub.id}">Metti in pausa</button>`);
+          }
+          if (sub.status === 'paused' || sub.cancel_at_period_end) {
+            actions.push(`<button class="my-sub-btn" data-action="resume" data-id="${sub.id}">Riattiva</button>`);
+          }
+          if (sub.status !== 'cancelled' && !sub.cancel_at_period_end) {
+            actions.push(`<button class="my-sub-btn danger" data-action="cancel" data-id="${sub.id}">Annulla</button>`);
+          }
+
+          content += `
+            <div class="my-sub-item">
+              <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;">
+                <strong>${sub.products?.name || 'Cassetta'}</strong>
+                <span class="my-sub-status ${sub.status}">${subscriptionService.getStatusLabel(sub.status)}</span>
+              </div>
+              <div class="my-sub-details">${subscriptionService.getFrequencyLabel(sub.frequency)} · €${parseFloat(sub.price).toFixed(2)}</div>
+              ${next ? `<div class="my-sub-details">${next}</div>` : ''}
+              ${sub.status === 'past_due' ? '<div class="my-sub-details">Aggiorna il metodo di pagamento: ti abbiamo inviato un\'email da Stripe.</div>' : ''}
+              ${actions.length ? `<div class="my-sub-actions">${actions.join('')}</div>` : ''}
+            </div>
+          `;
+        });
+        content += '</div>';
+      }
+
+      content += '<button class="gc-back-btn">← Indietro</button>';
+      overlay.innerHTML = `<div class="my-gc-content">${content}</div>`;
+
+      overlay.querySelector('.gc-back-btn').addEventListener('click', () => {
+        overlay.remove();
+      });
+
+      overlay.querySelectorAll('.my-sub-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const { action, id } = btn.dataset;
+          if (action === 'cancel' && !confirm('Annullare l\'abbonamento? Riceverai comunque le cassette già pagate.')) return;
+
+          overlay.querySelectorAll('.my-sub-btn').forEach(b => { b.disabled = true; });
+          const methods = { skip: 'skipNext', pause: 'pause', resume: 'resume', cancel: 'cancel' };
+          const { subscription, error: updateError } = await subscriptionService[methods[action]](id);
+
+          const updated = subscription
+            ? list.map(sub => (sub.id === id ? { ...sub, ...subscription } : sub))
+            : list;
+          render(updated, updateError || '');
+        });
+      });
+    };
+
+    render(subscriptions, error || '');
+  }
+
   /**
    * Add gift card to Google Wallet
    * @private
@@ -1417,6 +1526,85 @@ class ProfileDrawer {
           color: #5a6b5a;
         }
 
+        .my-sub-item {
+          background: #f5f8f2;
+          padding: 1rem;
+          border-radius: 8px;
+          display: flex;
+          flex-direction: column;
+          gap: 0.35rem;
+        }
+
+        .my-sub-details {
+          font-size: 0.85rem;
+          color: #5a6b5a;
+        }
+
+        .my-sub-status {
+          font-size: 0.7rem;
+          text-transform: uppercase;
+          padding: 0.2rem 0.5rem;
+          border-radius: 10px;
+          background: #d1fae5;
+          color: #065f46;
+          white-space: nowrap;
+        }
+
+        .my-sub-status.paused {
+          background: #fff3cd;
+          color: #856404;
+        }
+
+        .my-sub-status.past_due,
+        .my-sub-status.cancelled {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .my-sub-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+        }
+
+        .my-sub-btn {
+          padding: 0.4rem 0.75rem;
+          border: 1px solid #3d7c47;
+          border-radius: 6px;
+          background: #fff;
+          color: #3d7c47;
+          font-size: 0.75rem;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .my-sub-btn:hover:not(:disabled) {
+          background: #3d7c47;
+          color: #fff;
+        }
+
+        .my-sub-btn.danger {
+          border-color: #991b1b;
+          color: #991b1b;
+        }
+
+        .my-sub-btn.danger:hover:not(:disabled) {
+          background: #991b1b;
+          color: #fff;
+        }
+
+        .my-sub-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .my-sub-message {
+          font-size: 0.85rem;
+          color: #991b1b;
+          margin-bottom: 0.75rem;
+        }
+
         .gc-back-btn {
           margin-top: 1.5rem;
           padding: 0.75rem 1.5rem;
@@ -6,6 +6,10 @@
  */
 
 import { cartService } from '../services/cart.js';
+import { productService } from '../services/products.js';
+import { pickBatch, renderTraceability } from '../utils/traceability.js';
+import { renderFoodLabel } from '../utils/nutrition.js';
+import { renderSaleCountdown } from '../utils/flash-sales.js';
 
 class QuickViewModal {
   constructor() {
@@ -38,6 +42,8 @@ class QuickViewModal {
             <h2 class="quick-view-title"></h2>
             <p class="quick-view-price"></p>
             <p class="quick-view-description"></p>
+            <div class="quick-view-traceability"></div>
+            <div class="quick-view-food-label"></div>
             
             <div class="quick-view-options">
               <div class="quick-view-sizes">
@@ -97,6 +103,19 @@ class QuickViewModal {
     this.render();
     this.modal.classList.add('active');
     document.body.style.overflow = 'hidden';
+    this.loadTraceability(product);
+  }
+
+  async loadTraceability(product) {
+    const container = this.modal.querySelector('.quick-view-traceability');
+    container.innerHTML = renderTraceability(product);
+
+    if (!product.id) return;
+    const { batches } = await productService.getProductBatches(product.id);
+
+    // Another product may have been opened meanwhile
+    if (this.currentProduct !== product) return;
+    container.innerHTML = renderTraceability(product, pickBatch(batches));
   }
 
   close() {
@@ -110,8 +129,12 @@ class QuickViewModal {
     this.modal.querySelector('.quick-view-image').src = p.images?.[0] || 'Images/placeholder.jpg';
     this.modal.querySelector('.quick-view-image').alt = p.name;
     this.modal.querySelector('.quick-view-title').textContent = p.name;
-    this.modal.querySelector('.quick-view-price').textContent = `€${p.price?.toFixed(2)}`;
+    const hasDiscount = p.sale_price && p.sale_price < p.price;
+    this.modal.querySelector('.quick-view-price').innerHTML = hasDiscount
+      ? `<span class="original-price">€${p.price.toFixed(2)}</span> €${Number(p.sale_price).toFixed(2)} ${renderSaleCountdown(p)}`
+      : `€${p.price?.toFixed(2)}`;
     this.modal.querySelector('.quick-view-description').textContent = p.description || '';
+    this.modal.querySelector('.quick-view-food-label').innerHTML = renderFoodLabel(p);
     this.modal.querySelector('.quick-view-link').href = `product.html?id=${p.id}`;
     this.modal.querySelector('.qty-input').value = 1;
     
@@ -195,7 +218,7 @@ class QuickViewModal {
     const item = {
       productId: this.currentProduct.id,
       name: this.currentProduct.name,
-      price: this.currentProduct.price,
+      price: this.currentProduct.sale_price || this.currentProduct.price,
       image: this.currentProduct.images?.[0] || '',
       size: this.selectedSize,
       color: this.selectedColor,
@@ -11,6 +11,8 @@ import { giftCardService } from '../services/giftcard.js';
 import { wishlistService } from '../services/wishlist.js';
 import { referralService } from '../services/referral.js';
 import { capAutofillService } from '../services/cap-autofill.js';
+import { deliverySlotService } from '../services/delivery-slots.js';
+import { shippingService } from '../services/shipping.js';
 import { notificationCenter } from '../components/notification-center.js';
 
 // Initialize notification center
@@ -20,11 +22,16 @@ class CheckoutPage {
   constructor() {
     this.cartItems = [];
     this.appliedPromo = null;
+    this.promotionResult = null;
     this.appliedGiftCard = null;
     this.giftCardBalance = 0;
     this.userCredit = 0;
     this.useCreditEnabled = true;
     this.creditToApply = 0;
+    this.fulfillment = 'delivery';
+    this.shippingQuote = null;
+    this.deliverySlots = [];
+    this.selectedSlotId = null;
     this.autocompleteDropdown = null;
     this.init();
   }
@@ -52,14 +59,15 @@ class CheckoutPage {
     document.getElementById('checkoutContent').style.display = 'block';
     document.getElementById('emptyCart').style.display = 'none';
 
+    await Promise.all([this.loadUserCredit(), shippingService.loadRules(), this.evaluatePromotions()]);
     this.renderCartItems();
-    await this.loadUserCredit();
     this.updateTotals();
     this.bindEvents();
     this.prefillShippingAddress();
     this.checkFirstOrderCode();
     this.checkSavedPromoCode();
     this.initCapAutofill();
+    this.loadDeliverySlots();
   }
 
   async loadUserCredit() {
@@ -182,14 +190,79 @@ class CheckoutPage {
     }
   }
 
+  /**
+   * Load bookable delivery windows and render the slot picker
+   */
+  async loadDeliverySlots() {
+    const { slots, error } = await deliverySlotService.getAvailableSlots();
+    this.deliverySlots = slots;
+
+    // Keep the previous choice only if it is still bookable
+    const stillAvailable = slots.some(slot => slot.id === this.selectedSlotId && slot.remaining > 0);
+    if (!stillAvailable) {
+      this.selectedSlotId = null;
+    }
+
+    this.renderDeliverySlots(error);
+  }
+
+  renderDeliverySlots(error = null) {
+    const container = document.getElementById('deliverySlots');
+    if (!container) return;
+
+    if (error || this.deliverySlots.length === 0) {
+      container.innerHTML = `<p class="delivery-slots-empty">${error || 'Nessuna fascia di consegna disponibile nei prossimi giorni.'}</p>`;
+      return;
+    }
+
+    container.innerHTML = deliverySlotService.groupByDate(this.deliverySlots).map(day => `
+      <div class="delivery-slot-day">
+        <h4>${deliverySlotService.formatDate(day.date)}</h4>
+        <div class="delivery-slot-options">
+          ${day.slots.map(slot => {
+            const full = slot.remaining <= 0;
+            return `
+              <label class="delivery-slot-option${full ? ' full' : ''}">
+                <input type="radio" name="deliverySlot" value="${slot.id}"
+                  ${full ? 'disabled' : ''} ${slot.id === this.selectedSlotId ? 'checked' : ''}>
+                <span class="delivery-slot-time">${deliverySlotService.formatTimeRange(slot)}</span>
+                <span class="delivery-slot-remaining">${full ? 'Completa' : slot.remaining <= 3 ? `Ultimi ${slot.remaining} posti` : 'Disponibile'}</span>
+              </label>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('input[name="deliverySlot"]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.selectedSlotId = e.target.value;
+        this.showDeliverySlotError(null);
+      });
+    });
+  }
+
+  showDeliverySlotError(message) {
+    const errorEl = document.getElementById('deliverySlotError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+
   renderCartItems() {
     const container = document.getElementById('cartItems');
+    // Deal notes ("3x2: 1 in omaggio") on the first line of each product
+    const notedProducts = new Set();
     container.innerHTML = this.cartItems.map(item => {
       // Show weight info for weight-based products
       let variantInfo = `Peso: ${item.size}`;
       if (item.unitPrice && item.weight_grams) {
         variantInfo += ` (€${item.unitPrice.toFixed(2)}/Kg)`;
       }
+      const notes = notedProducts.has(item.productId)
+        ? []
+        : (this.promotionResult?.notes || []).filter(note => note.productId === item.productId);
+      notedProducts.add(item.productId);
       
       return `
         <div class="checkout-item">
@@ -198,6 +271,7 @@ class CheckoutPage {
             <h4>${item.name}</h4>
             <p>${variantInfo}</p>
             <p>Quantità: ${item.quantity}</p>
+            ${notes.map(note => `<p class="checkout-item-promo">🏷️ ${note.message}</p>`).join('')}
           </div>
           <div class="checkout-item-price">€${(item.price * item.quantity).toFixed(2)}</div>
         </div>
@@ -205,12 +279,37 @@ class CheckoutPage {
     }).join('');
   }
 
+  /**
+   * Entered code plus automatic promotions, with the same rules engine
+   * create-checkout-session uses
+   */
+  async evaluatePromotions() {
+    // Always known here: automatic promotions can have a per-customer limit too
+    const user = await getCurrentUser();
+    this.promotionResult = await promotionService.evaluateCart(this.cartItems, this.appliedPromo, {
+      userId: user?.id || null
+    });
+    return this.promotionResult;
+  }
+
   updateTotals() {
-    const discount = this.appliedPromo ? promotionService.calculateDiscount(this.cartItems, this.appliedPromo) : 0;
+    const discount = this.promotionResult?.discount || 0;
     
     // Calculate base total first (without credit)
     const subtotal = this.cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const shipping = subtotal >= 50 ? 0 : 5.90;
+    const isPickup = this.fulfillment === 'pickup';
+    this.shippingQuote = shippingService.quote({
+      subtotal,
+      items: this.cartItems,
+      address: {
+        postalCode: document.getElementById('postalCode')?.value.trim(),
+        province: document.getElementById('province')?.value.trim()
+      },
+      fulfillment: this.fulfillment
+    });
+    // Free shipping promotions only apply where we deliver
+    const freeShipping = Boolean(this.promotionResult?.freeShipping) && this.shippingQuote.available;
+    const shipping = freeShipping ? 0 : this.shippingQuote.cost;
     let totalBeforeCredit = subtotal - discount + shipping;
     
     // Calculate credit to apply
@@ -222,15 +321,23 @@ class CheckoutPage {
     const finalTotal = Math.max(0, totalBeforeCredit - this.creditToApply);
 
     document.getElementById('subtotal').textContent = `€${subtotal.toFixed(2)}`;
-    document.getElementById('shipping').textContent = shipping === 0 ? 'Gratuita' : `€${shipping.toFixed(2)}`;
+    document.getElementById('shipping').textContent = isPickup
+      ? 'Ritiro in negozio'
+      : !this.shippingQuote.available ? 'Non disponibile'
+      : shipping === 0 ? 'Gratuita' : `€${shipping.toFixed(2)}`;
+    this.renderShippingQuote();
     document.getElementById('total').textContent = `€${finalTotal.toFixed(2)}`;
 
     // Discount row
     const discountRow = document.querySelector('.discount-row');
     if (discountRow) {
       if (discount > 0) {
+        const labels = (this.promotionResult?.applied || [])
+          .filter(result => result.discountCents > 0)
+          .map(result => result.label);
         discountRow.style.display = 'flex';
         document.getElementById('discount').textContent = `-€${discount.toFixed(2)}`;
+        document.getElementById('discountLabel').textContent = labels.length ? `Sconto (${labels.join(' · ')})` : 'Sconto';
       } else {
         discountRow.style.display = 'none';
       }
@@ -262,6 +369,28 @@ class CheckoutPage {
     this.updateReferralBanner(subtotal);
   }
 
+  /**
+   * Show the zone's free-shipping threshold on the delivery option
+   * and the out-of-area message under the address
+   */
+  renderShippingQuote() {
+    const quote = this.shippingQuote;
+    const hint = document.getElementById('deliveryOptionHint');
+    if (hint && quote?.zone) {
+      hint.textContent = quote.freeThreshold !== null
+        ? `Gratuita sopra i €${quote.freeThreshold}`
+        : `Spedizione ${quote.zone.name}`;
+    }
+
+    const errorEl = document.getElementById('shippingAreaError');
+    if (errorEl) {
+      // Missing CAP is already flagged by the form validation
+      const showError = quote && !quote.available && quote.reason !== 'missing_address';
+      errorEl.textContent = showError ? quote.message : '';
+      errorEl.style.display = showError ? 'block' : 'none';
+    }
+  }
+
   async updateReferralBanner(subtotal) {
     const bannerContainer = document.getElementById('checkoutReferralBanner');
     if (!bannerContainer) return;
@@ -306,6 +435,32 @@ class CheckoutPage {
     document.getElementById('applyGiftCard')?.addEventListener('click', () => this.applyGiftCardCode());
     document.getElementById('payStripe')?.addEventListener('click', () => this.processPayment('stripe'));
     document.getElementById('payPayPal')?.addEventListener('click', () => this.processPayment('paypal'));
+    document.querySelectorAll('input[name="fulfillment"]').forEach(input => {
+      input.addEventListener('change', (e) => this.setFulfillment(e.target.value));
+    });
+    // The fee depends on the delivery zone
+    ['postalCode', 'province'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.updateTotals());
+    });
+  }
+
+  /**
+   * Switch between home delivery and in-store pickup.
+   * Pickup only needs name and phone, has no shipping fee and no delivery slot.
+   */
+  setFulfillment(method) {
+    this.fulfillment = method === 'pickup' ? 'pickup' : 'delivery';
+    const isPickup = this.fulfillment === 'pickup';
+
+    document.querySelector('.shipping-form .delivery-only')?.style.setProperty('display', isPickup ? 'none' : '');
+    document.querySelector('.checkout-delivery-slot')?.style.setProperty('display', isPickup ? 'none' : '');
+    const pickupInfo = document.getElementById('pickupInfo');
+    if (pickupInfo) pickupInfo.style.display = isPickup ? 'block' : 'none';
+    const title = document.getElementById('shippingTitle');
+    if (title) title.textContent = isPickup ? 'Dati per il Ritiro' : 'Indirizzo di Consegna';
+
+    this.showDeliverySlotError(null);
+    this.updateTotals();
   }
 
   /**
@@ -355,6 +510,7 @@ class CheckoutPage {
           }
         }
       }
+      this.updateTotals();
     });
     
     // City input - autofill CAP when city loses focus
@@ -368,6 +524,7 @@ class CheckoutPage {
             if (provinceInput && !provinceInput.value) {
               provinceInput.value = capData.province;
             }
+            this.updateTotals();
           }
         }
       }, 250);
@@ -444,6 +601,7 @@ class CheckoutPage {
           provinceInput.value = item.dataset.province;
         }
         this._hideAutocomplete();
+        this.updateTotals();
       });
     });
     
@@ -476,13 +634,7 @@ class CheckoutPage {
       const { valid, error: firstOrderError, promotion } = await promotionService.isFirstOrderCodeValid(user.id, code);
       
       if (valid && promotion) {
-        this.appliedPromo = promotion;
-        this.updateTotals();
-        const discount = promotion.discount_type === 'percentage' 
-          ? `${promotion.discount_value}%` 
-          : `€${promotion.discount_value.toFixed(2)}`;
-        this.showPromoMessage(messageEl, `✓ Sconto ${discount} applicato!`, 'success');
-        codeInput.disabled = true;
+        await this.useCodePromotion(promotion, codeInput, messageEl);
         return;
       }
       
@@ -499,12 +651,26 @@ class CheckoutPage {
       return;
     }
 
+    await this.useCodePromotion(promotion, codeInput, messageEl);
+  }
+
+  // Keep the code only if the promotion rules apply it to this cart
+  async useCodePromotion(promotion, codeInput, messageEl) {
     this.appliedPromo = promotion;
+    const { codeResult } = await this.evaluatePromotions();
+
+    if (!codeResult?.applied) {
+      this.appliedPromo = null;
+      await this.evaluatePromotions();
+      this.renderCartItems();
+      this.updateTotals();
+      this.showPromoMessage(messageEl, codeResult?.message || 'Codice non applicabile', 'error');
+      return;
+    }
+
+    this.renderCartItems();
     this.updateTotals();
-    const discount = promotion.discount_type === 'percentage' 
-      ? `${promotion.discount_value}%` 
-      : `€${promotion.discount_value.toFixed(2)}`;
-    this.showPromoMessage(messageEl, `✓ Sconto ${discount} applicato!`, 'success');
+    this.showPromoMessage(messageEl, `✓ ${codeResult.message}`, 'success');
     codeInput.disabled = true;
   }
 
@@ -564,7 +730,9 @@ class CheckoutPage {
 
   validateShippingForm() {
     const form = document.getElementById('shippingForm');
-    const inputs = form.querySelectorAll('input[required]');
+    // Address fields are hidden (and not needed) for in-store pickup
+    const inputs = [...form.querySelectorAll('input[required]')]
+      .filter(input => this.fulfillment !== 'pickup' || !input.closest('.delivery-only'));
     let valid = true;
 
     inputs.forEach(input => {
@@ -580,27 +748,58 @@ class CheckoutPage {
   }
 
   getShippingAddress() {
+    if (this.fulfillment === 'pickup') {
+      return {
+        firstName: document.getElementById('firstName').value.trim(),
+        lastName: document.getElementById('lastName').value.trim(),
+        phone: document.getElementById('phone').value.trim(),
+        country: 'IT'
+      };
+    }
+
     return {
       firstName: document.getElementById('firstName').value.trim(),
       lastName: document.getElementById('lastName').value.trim(),
       address: document.getElementById('address').value.trim(),
       city: document.getElementById('city').value.trim(),
       postalCode: document.getElementById('postalCode').value.trim(),
-      province: document.getElementById('province').value.trim(),
+      province: shippingService.resolveProvince({
+        postalCode: document.getElementById('postalCode').value.trim(),
+        province: document.getElementById('province').value.trim()
+      }),
       phone: document.getElementById('phone').value.trim(),
       country: 'IT'
     };
   }
 
   async processPayment(provider) {
+    const isPickup = this.fulfillment === 'pickup';
+
     if (!this.validateShippingForm()) {
-      alert('Compila tutti i campi dell\'indirizzo di spedizione');
+      alert(isPickup
+        ? 'Inserisci nome, cognome e telefono per il ritiro'
+        : 'Compila tutti i campi dell\'indirizzo di spedizione');
+      return;
+    }
+
+    this.updateTotals();
+    if (!isPickup && !this.shippingQuote?.available) {
+      this.showShippingUnavailable(this.shippingQuote?.message);
+      return;
+    }
+
+    // Slots are required only once the shop has bookable windows configured
+    if (!isPickup && this.deliverySlots.length > 0 && !this.selectedSlotId) {
+      this.showDeliverySlotError('Scegli una fascia di consegna');
+      document.querySelector('.checkout-delivery-slot')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
       return;
     }
 
     const options = {
       promotionCode: this.appliedPromo?.code,
       shippingAddress: this.getShippingAddress(),
+      fulfillmentMethod: this.fulfillment,
+      deliverySlotId: isPickup ? null : this.selectedSlotId,
       creditToUse: this.creditToApply > 0 ? this.creditToApply : 0
     };
 
@@ -618,10 +817,95 @@ class CheckoutPage {
         break;
     }
 
+    if (result?.code === 'cart/stale') {
+      await this.showCartIssues(result.issues);
+      return;
+    }
+
+    if (result?.code === 'shipping/unavailable') {
+      this.showShippingUnavailable(result.error);
+      return;
+    }
+
+    // The code expired or ran out of uses since it was applied
+    if (result?.code === 'promotion/not-applicable') {
+      const codeInput = document.getElementById('promoCode');
+      this.appliedPromo = null;
+      codeInput.disabled = false;
+      await this.evaluatePromotions();
+      this.renderCartItems();
+      this.updateTotals();
+      this.showPromoMessage(document.getElementById('promoMessage'), result.error, 'error');
+      document.querySelector('.checkout-promo')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
+    if (result?.code === 'delivery/slot-unavailable') {
+      await this.loadDeliverySlots();
+      this.showDeliverySlotError(result.error);
+      document.querySelector('.checkout-delivery-slot')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
     if (result?.error) {
       alert(result.error);
     }
   }
+
+  /**
+   * Explain why the address can't be delivered to (out of area, too heavy)
+   */
+  showShippingUnavailable(message) {
+    const errorEl = document.getElementById('shippingAreaError');
+    if (!errorEl) {
+      alert(message);
+      return;
+    }
+    errorEl.textContent = message;
+    errorEl.style.display = 'block';
+    errorEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Show items rejected by the server (price changed, out of stock...)
+   * and reload the cart so totals reflect current prices
+   */
+  async showCartIssues(issues = []) {
+    const container = document.getElementById('cartIssues');
+    const reasonLabels = {
+      product_unavailable: () => 'non è più disponibile',
+      variant_unavailable: () => 'non è disponibile nel peso selezionato',
+      insufficient_stock: (issue) => `è disponibile solo in ${issue.available} pz`,
+      invalid_quantity: () => 'ha una quantità non valida',
+      invalid_weight: () => 'ha un peso non valido',
+      price_changed: (issue) => `ha cambiato prezzo: €${issue.clientPrice.toFixed(2)} → €${issue.serverPrice.toFixed(2)}`
+    };
+
+    this.cartItems = await cartService.getAllItems();
+    await this.evaluatePromotions();
+    this.renderCartItems();
+    this.updateTotals();
+
+    if (!container) {
+      alert('Il carrello non è aggiornato: verifica prezzi e disponibilità');
+      return;
+    }
+
+    container.innerHTML = `
+      <strong>Il tuo carrello è stato aggiornato</strong>
+      <ul></ul>
+      <span>Controlla il riepilogo e riprova il pagamento.</span>
+    `;
+    // Product names come from the cart: text only
+    const list = container.querySelector('ul');
+    issues.forEach(issue => {
+      const li = document.createElement('li');
+      li.textContent = `${issue.name} ${(reasonLabels[issue.reason] || (() => 'non è valido'))(issue)}`;
+      list.appendChild(li);
+    });
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
 }
 
 // Auth modal helper
@@ -9,8 +9,14 @@
 import { productService } from '../services/products.js';
 import { wishlistService } from '../services/wishlist.js';
 import { isSupabaseConfigured } from '../supabase.js';
+import { facetFilters } from '../components/facet-filters.js';
+import { readFiltersFromParams, writeFiltersToParams, getEmptyFacetFilters } from '../utils/facets.js';
+import { saveScrollPosition, takeScrollPosition } from '../utils/scroll-restore.js';
+import { renderSaleCountdown } from '../utils/flash-sales.js';
 import '../services/presence.js'; // Track user presence for analytics
 
+const PAGE_SIZE = 24;
+
 /**
  * Collection Page Controller
  */
@@ -25,21 +31,39 @@ class CollectionPage {
       price_max: null,
       min_discount: null,
       is_promotion: null,
-      sort_by: 'newest'
+      sort_by: 'newest',
+      ...getEmptyFacetFilters()
     };
     this.currentView = 'grid';
     this.isLoading = false;
     this.categorySlugFromUrl = null;
+    // Infinite scroll
+    this.nextCursor = null;
+    this.isLoadingMore = false;
+    this.listVersion = 0;
+    this.scrollObserver = null;
+    this.pendingScroll = null;
   }
 
   /**
    * Initialize the collection page
    */
   async init() {
-    // Get gender and category from URL params
-    const params = new URLSearchParams(window.location.search);
-    this.filters.gender = params.get('gender') || null;
-    this.categorySlugFromUrl = params.get('category') || null;
+    // Filters from URL params (shared filtered views)
+    const { category, ...urlFilters } = readFiltersFromParams(new URLSearchParams(window.location.search));
+    Object.assign(this.filters, urlFilters);
+    this.categorySlugFromUrl = category;
+
+    // Back from a product page: reload as many products as were shown
+    this.pendingScroll = takeScrollPosition();
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    this._setupInfiniteScroll();
+
+    facetFilters.init(document.getElementById('facetFilters'), (change) => {
+      Object.assign(this.filters, change);
+      this._syncUrl();
+      this.loadProducts();
+    });
     
     // Update page title
     this._updatePageTitle();
@@ -52,6 +76,11 @@ class CollectionPage {
     
     // Load categories for filter (will also apply category filter from URL)
     await this._loadCategories();
+
+    if (this.pendingScroll) {
+      window.scrollTo(0, this.pendingScroll.scrollY);
+      this.pendingScroll = null;
+    }
   }
 
   /**
@@ -61,12 +90,17 @@ class CollectionPage {
     if (this.isLoading) return;
     
     this.isLoading = true;
+    this.listVersion++;
+    this.nextCursor = null;
     this._showLoading();
 
     try {
       if (isSupabaseConfigured()) {
-        // Fetch from Supabase
-        const { products, error } = await productService.getProducts(this.filters);
+        // Fetch the first page from Supabase, with the facet counts for the same filters
+        const [{ products, nextCursor, error }, { facets }] = await Promise.all([
+          productService.getProducts(this._getPageFilters()),
+          productService.getFacetCounts(this.filters)
+        ]);
         
         if (error) {
           console.error('Error loading products:', error);
@@ -75,6 +109,8 @@ class CollectionPage {
         }
         
         this.products = products;
+        this.nextCursor = nextCursor;
+        facetFilters.render(facets, this.filters);
       } else {
         // Use fallback mock data for development
         this.products = this._getMockProducts();
@@ -90,22 +126,51 @@ class CollectionPage {
     }
   }
 
+  /**
+   * Load the next page when the end of the grid comes into view
+   */
+  async loadMoreProducts() {
+    if (!this.nextCursor || this.isLoadingMore || this.isLoading) return;
+
+    this.isLoadingMore = true;
+    const version = this.listVersion;
+    const grid = document.getElementById('productGrid');
+    grid?.insertAdjacentHTML('beforeend', this._renderSkeletons(4));
+
+    try {
+      const { products, nextCursor, error } = await productService.getProducts({
+        ...this.filters,
+        limit: PAGE_SIZE,
+        cursor: this.nextCursor
+      });
+
+      // Filters changed while this page was loading
+      if (version !== this.listVersion) return;
+
+      grid?.querySelectorAll('.skeleton').forEach(el => el.remove());
+      if (error) {
+        console.error('Error loading more products:', error);
+        return;
+      }
+
+      this.products = this.products.concat(products);
+      this.nextCursor = nextCursor;
+      this._appendProducts(products);
+    } finally {
+      this.isLoadingMore = false;
+    }
+    this._watchSentinel();
+  }
+
   /**
    * Apply filter and reload products
    */
   async applyFilter(filterName, value) {
     this.filters[filterName] = value;
-    
-    // Client-side only filters - just re-render without reloading from server
-    // BUT: if value is null/empty (reset to "All"), always reload from server
-    const clientSideFilters = ['min_discount', 'sort_by'];
-    const isResetToAll = value === null || value === '' || value === undefined;
-    
-    if (clientSideFilters.includes(filterName) && this.products.length > 0 && !isResetToAll) {
-      this._renderProducts();
-    } else {
-      await this.loadProducts();
-    }
+    this._syncUrl();
+
+    // Only the first page is loaded: sorting and filtering always go through the server
+    await this.loadProducts();
   }
 
   /**
@@ -121,10 +186,12 @@ class CollectionPage {
       price_max: null,
       min_discount: null,
       is_promotion: null,
-      sort_by: 'newest'
+      sort_by: 'newest',
+      ...getEmptyFacetFilters()
     };
     
     this._resetFilterUI();
+    this._syncUrl();
     await this.loadProducts();
   }
 
@@ -145,6 +212,49 @@ class CollectionPage {
   // Private Methods
   // ============================================
 
+  /**
+   * Keep the filtered view shareable
+   */
+  _syncUrl() {
+    const category = this.availableCategories?.find(c => c.id === this.filters.category_id);
+    const query = writeFiltersToParams({
+      ...this.filters,
+      category: category?.slug || null
+    }).toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * First page filters. The discount filters are applied client-side,
+   * so they need every product instead of a page
+   */
+  _getPageFilters() {
+    if (this.filters.min_discount || this.filters.sort_by === 'discount_desc') {
+      return { ...this.filters };
+    }
+    return { ...this.filters, limit: Math.max(PAGE_SIZE, this.pendingScroll?.loadedCount || 0) };
+  }
+
+  _setupInfiniteScroll() {
+    const sentinel = document.getElementById('gridSentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) return;
+
+    this.scrollObserver = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) this.loadMoreProducts();
+    }, { rootMargin: '600px 0px' });
+    this.scrollObserver.observe(sentinel);
+  }
+
+  /**
+   * Observing again re-checks a sentinel that is still in view
+   */
+  _watchSentinel() {
+    const sentinel = document.getElementById('gridSentinel');
+    if (!this.scrollObserver || !sentinel) return;
+    this.scrollObserver.unobserve(sentinel);
+    this.scrollObserver.observe(sentinel);
+  }
+
   _updatePageTitle() {
     const titleEl = document.getElementById('pageTitle');
     if (titleEl) {
@@ -336,6 +446,19 @@ class CollectionPage {
 
     // Update favorites count
     this._updateFavoritesCount();
+    this._watchSentinel();
+  }
+
+  /**
+   * Add a page of products at the end of the grid
+   */
+  _appendProducts(products) {
+    const grid = document.getElementById('productGrid');
+    if (!grid) return;
+
+    products.forEach((product, index) => {
+      grid.appendChild(this._createProductCard(product, index));
+    });
   }
 
   /**
@@ -404,6 +527,7 @@ class CollectionPage {
           </div>
         ` : ''}
         ${hasDiscount ? `<span class="sale-badge">-${Math.round((1 - product.sale_price / product.price) * 100)}%</span>` : ''}
+        ${renderSaleCountdown(product)}
       </div>
       <div class="card-info">
         <div class="card-header">
@@ -481,6 +605,7 @@ class CollectionPage {
   }
 
   goToProduct(productId) {
+    saveScrollPosition(this.products.length);
     const type = this.filters.gender || 'frutta';
     window.location.href = `product.html?id=${productId}&gender=${type}`;
   }
@@ -540,10 +665,22 @@ class CollectionPage {
   _showLoading() {
     const grid = document.getElementById('productGrid');
     if (grid) {
-      grid.innerHTML = '<div class="loading-spinner">Caricamento...</div>';
+      grid.innerHTML = this._renderSkeletons(8);
     }
   }
 
+  _renderSkeletons(count) {
+    return Array.from({ length: count }, () => `
+      <div class="product-card-small skeleton" aria-hidden="true">
+        <div class="card-image-small"></div>
+        <div class="card-info-small">
+          <span class="skeleton-line"></span>
+          <span class="skeleton-line short"></span>
+        </div>
+      </div>
+    `).join('');
+  }
+
   _hideLoading() {
     // Loading is hidden when products are rendered
   }
@@ -1,104 +1,652 @@
 /**
  * Orders Page
- * Avenue M. E-commerce Platform
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Order history, order details (with pickup code and shipment timeline),
+ * reorder, Stripe receipts and return requests
  */
 
-import { isAuthenticated } from '../supabase.js';
+import { supabase, getCurrentUser } from '../supabase.js';
+import { authService } from '../services/auth.js';
+import { authModal } from '../components/auth-modal.js';
+import { cartService } from '../services/cart.js';
+import { cartDrawer } from '../components/cart-drawer.js';
+import { profileDrawer } from '../components/profile-drawer.js';
+import { wishlistService } from '../services/wishlist.js';
 import { orderService } from '../services/orders.js';
+import { returnService } from '../services/returns.js';
+import { notificationCenter } from '../components/notification-center.js';
+import { globalSearch } from '../components/global-search.js';
+import { showSuccessNotification } from '../utils/errors.js';
 
-class OrdersPage {
-  constructor() {
-    this.init();
-  }
+// Initialize notification center
+notificationCenter.init();
 
-  async init() {
-    const authenticated = await isAuthenticated();
-    
-    document.getElementById('loadingOrders').style.display = 'none';
+// Initialize global search
+globalSearch.init();
 
-    if (!authenticated) {
-      document.getElementById('loginRequired').style.display = 'block';
-      document.getElementById('ordersContent').style.display = 'none';
-      return;
-    }
+// --- STABLE VIEWPORT HEIGHT FOR MOBILE ---
+function setVH() {
+    const vh = window.innerHeight * 0.01;
+    document.documentElement.style.setProperty('--vh', `${vh}px`);
+}
+setVH();
+window.addEventListener('orientationchange', () => setTimeout(setVH, 100));
 
-    document.getElementById('loginRequired').style.display = 'none';
-    document.getElementById('ordersContent').style.display = 'block';
+let menuScrollY = 0;
+window.toggleMenu = function() {
+    const menuOverlay = document.getElementById('menuOverlay');
+    const menuBtn = document.querySelector('.menu-btn');
+    const isOpen = menuOverlay.classList.contains('active');
+    const isMobile = window.innerWidth <= 768;
+    
+    if (!isOpen) {
+        if (isMobile) {
+            menuScrollY = window.scrollY;
+            document.body.style.top = `-${menuScrollY}px`;
+        }
+    } else {
+        if (isMobile) {
+            document.body.style.top = '';
+            window.scrollTo(0, menuScrollY);
+        }
+    }
+    
+    menuOverlay.classList.toggle('active', !isOpen);
+    document.body.classList.toggle('menu-open', !isOpen);
+    menuBtn.textContent = isOpen ? 'Menu' : 'Close';
+    menuBtn.style.color = isOpen ? '' : 'white';
+    if (isOpen) {
+        document.querySelectorAll('.menu-category').forEach(cat => cat.classList.remove('open'));
+    }
+};
 
-    await this.loadOrders();
-  }
+// Menu category toggle (Mobile)
+document.querySelectorAll('.menu-category-title').forEach(title => {
+    title.addEventListener('click', (e) => {
+        if (window.innerWidth <= 768) {
+            e.preventDefault();
+            const category = title.closest('.menu-category');
+            document.querySelectorAll('.menu-category').forEach(cat => {
+                if (cat !== category) cat.classList.remove('open');
+            });
+            category.classList.toggle('open');
+        }
+    });
+});
 
-  async loadOrders() {
-    const { orders, error } = await orderService.getOrderHistory();
+async function updateCartBadge() {
+    const count = await cartService.getCount();
+    const badge = document.getElementById('cartBadge');
+    if (badge) {
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'flex' : 'none';
+    }
+}
 
-    if (error) {
-      document.getElementById('ordersList').innerHTML = `<p class="error">${error}</p>`;
-      return;
+async function updateWishlistBadge() {
+    const { items } = await wishlistService.getAllFavorites();
+    const badge = document.getElementById('wishlistBadge');
+    if (badge) {
+        const count = items ? items.length : 0;
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'flex' : 'none';
     }
+}
 
-    if (orders.length === 0) {
-      document.getElementById('noOrders').style.display = 'block';
-      return;
+// Load user orders
+async function loadUserOrders() {
+    const loadingEl = document.getElementById('ordersLoading');
+    const emptyEl = document.getElementById('ordersEmpty');
+    const needLoginEl = document.getElementById('ordersNeedLogin');
+    const contentEl = document.getElementById('ordersContent');
+    
+    const user = await getCurrentUser();
+    
+    if (!user) {
+        loadingEl.style.display = 'none';
+        needLoginEl.style.display = 'block';
+        return;
+    }
+    
+    try {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select(`
+                *,
+                order_items (
+                    id,
+                    product_id,
+                    product_name,
+                    product_price,
+                    product_image,
+                    quantity,
+                    size,
+                    color,
+                    weight_grams,
+                    actual_weight_grams,
+                    adjusted_price,
+                    lot_number
+                )
+            `)
+            .eq('user_id', user.id)
+            .order('created_at', { ascending: false });
+        
+        loadingEl.style.display = 'none';
+        
+        if (error) throw error;
+        
+        if (!orders || orders.length === 0) {
+            emptyEl.style.display = 'block';
+            return;
+        }
+        
+        contentEl.style.display = 'block';
+        renderOrders(orders);
+        
+    } catch (err) {
+        console.error('Error loading orders:', err);
+        loadingEl.innerHTML = '<p style="color:#e74c3c;">Errore nel caricamento ordini</p>';
     }
+}
 
-    this.renderOrders(orders);
-  }
+function renderOrders(orders) {
+    const contentEl = document.getElementById('ordersContent');
+    
+    const statusConfig = {
+        'pending': { label: 'In attesa', class: 'pending', icon: '⏳' },
+        'confirmed': { label: 'Confermato', class: 'confirmed', icon: '✅' },
+        'processing': { label: 'In lavorazione', class: 'processing', icon: '🔄' },
+        'ready_for_pickup': { label: 'Pronto per il ritiro', class: 'ready_for_pickup', icon: '🏪' },
+        'shipped': { label: 'Spedito', class: 'shipped', icon: '🚚' },
+        'delivered': { label: 'Consegnato', class: 'delivered', icon: '📦' },
+        'cancelled': { label: 'Annullato', class: 'cancelled', icon: '❌' },
+        'refunded': { label: 'Rimborsato', class: 'refunded', icon: '💸' }
+    };
+    
+    contentEl.innerHTML = orders.map(order => {
+        const date = new Date(order.created_at).toLocaleDateString('it-IT', {
+            day: '2-digit',
+            month: 'long',
+            year: 'numeric'
+        });
+        
+        const status = statusConfig[order.status] || statusConfig['pending'];
+        const itemCount = order.order_items?.length || 0;
+        const itemsPreview = (order.order_items || []).slice(0, 2).map(i => i.product_name).join(', ');
+        const moreItems = itemCount > 2 ? ` +${itemCount - 2} altri` : '';
+        
+        return `
+        <div class="order-card" data-order-id="${order.id}">
+            <div class="order-header">
+                <div class="order-info">
+                    <span class="order-number">#${order.order_number}</span>
+                    <span class="order-date">${date}</span>
+                </div>
+                <span class="order-status ${status.class}">${status.icon} ${status.label}</span>
+            </div>
+            
+            <div class="order-items-preview">
+                <span class="items-text">${itemsPreview}${moreItems}</span>
+                <span class="items-count">${itemCount} prodott${itemCount === 1 ? 'o' : 'i'}</span>
+            </div>
+            
+            <div class="order-footer">
+                <span class="order-total">€${parseFloat(order.total).toFixed(2)}</span>
+                <div class="order-actions">
+                    <button class="btn-reorder" onclick="reorderItems('${order.id}')" title="Aggiungi al carrello">
+                        🔄 Riordina
+                    </button>
+                    <button class="btn-view-order" onclick="viewOrderDetail('${order.id}')">
+                        Dettagli →
+                    </button>
+                </div>
+            </div>
+        </div>
+        `;
+    }).join('');
+    
+    // Store orders for detail view
+    window._userOrders = orders;
+}
 
-  renderOrders(orders) {
-    const container = document.getElementById('ordersList');
-    container.innerHTML = orders.map(order => this.renderOrder(order)).join('');
-  }
+// Reorder - add all items from an order to cart
+window.reorderItems = async function(orderId) {
+    const order = window._userOrders?.find(o => o.id === orderId);
+    if (!order || !order.order_items?.length) return;
+    
+    let addedCount = 0;
+    
+    for (const item of order.order_items) {
+        try {
+            const cartItem = {
+                productId: item.product_id || item.id,
+                name: item.product_name,
+                price: item.product_price,
+                image: item.product_image || '',
+                size: item.size || '',
+                color: item.color || 'Fresco',
+                quantity: item.quantity,
+                weight_grams: item.weight_grams || null
+            };
+            await cartService.addItem(cartItem);
+            addedCount++;
+        } catch (err) {
+            console.warn('Could not add item:', item.product_name, err);
+        }
+    }
+    
+    if (addedCount > 0) {
+        cartDrawer.show();
+    }
+};
 
-  renderOrder(order) {
-    const statusLabel = orderService.getStatusLabel(order.status);
-    const statusClass = `status-${order.status}`;
+window.viewOrderDetail = function(orderId) {
+    const order = window._userOrders?.find(o => o.id === orderId);
+    if (!order) return;
+    
+    const modal = document.getElementById('orderDetailModal');
+    const body = document.getElementById('orderDetailBody');
+    
+    const statusConfig = {
+        'pending': { label: 'In attesa', class: 'pending', icon: '⏳' },
+        'confirmed': { label: 'Confermato', class: 'confirmed', icon: '✅' },
+        'processing': { label: 'In lavorazione', class: 'processing', icon: '🔄' },
+        'ready_for_pickup': { label: 'Pronto per il ritiro', class: 'ready_for_pickup', icon: '🏪' },
+        'shipped': { label: 'Spedito', class: 'shipped', icon: '🚚' },
+        'delivered': { label: 'Consegnato', class: 'delivered', icon: '📦' },
+        'cancelled': { label: 'Annullato', class: 'cancelled', icon: '❌' },
+        'refunded': { label: 'Rimborsato', class: 'refunded', icon: '💸' }
+    };
+    
+    const status = statusConfig[order.status] || statusConfig['pending'];
+    const addr = order.shipping_address || {};
+    const items = order.order_items || [];
+    const trackingUrl = order.tracking_url || orderService.getTrackingUrl(order.courier, order.tracking_number);
+    
     const date = new Date(order.created_at).toLocaleDateString('it-IT', {
-      day: 'numeric',
-      month: 'long',
-      year: 'numeric'
+        day: '2-digit',
+        month: 'long',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
     });
-
-    const trackingHtml = order.tracking_number && order.courier
-      ? `<a href="${orderService.getTrackingUrl(order.courier, order.tracking_number)}" target="_blank" class="tracking-link">Traccia Spedizione</a>`
-      : '';
-
-    const itemsHtml = order.order_items?.map(item => `
-      <div class="order-item">
-        <img src="${item.products?.images?.[0] || 'Images/placeholder.jpg'}" alt="${item.products?.name}" class="order-item-img">
-        <div class="order-item-details">
-          <span class="order-item-name">${item.products?.name || 'Prodotto'}</span>
-          <span class="order-item-variant">Taglia: ${item.size} | Colore: ${item.color}</span>
-          <span class="order-item-qty">Quantità: ${item.quantity}</span>
+    
+    body.innerHTML = `
+        <div class="order-detail-header">
+            <h2>Ordine #${order.order_number}</h2>
+            <span class="order-status ${status.class}">${status.icon} ${status.label}</span>
+        </div>
+        
+        <p class="order-detail-date">📅 ${date}</p>
+        
+        ${order.tracking_number ? `
+        <div class="order-tracking">
+            <strong>🚚 Tracking:</strong> ${order.tracking_number}
+            ${trackingUrl ? `<a href="${trackingUrl}" target="_blank" class="tracking-link">Traccia spedizione →</a>` : ''}
+            <div id="shipmentTimeline" class="shipment-timeline"></div>
+        </div>
+        ` : ''}
+        
+        ${orderService.isPickup(order) ? `
+        <div class="order-detail-section order-pickup">
+            <h3>🏪 Ritiro in negozio</h3>
+            ${order.picked_up_at ? `
+            <p>Ritirato il ${new Date(order.picked_up_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long', hour: '2-digit', minute: '2-digit' })}</p>
+            ` : `
+            <p>${order.status === 'ready_for_pickup' ? 'Il tuo ordine è pronto: mostra questo codice alla cassa.' : 'Ti avviseremo quando il tuo ordine sarà pronto. Mostra questo codice alla cassa.'}</p>
+            <div class="pickup-code">${order.pickup_code || ''}</div>
+            ${order.pickup_code ? `<img class="pickup-qr" src="${orderService.getPickupQRCodeUrl(order.pickup_code)}" alt="QR codice di ritiro" width="180" height="180">` : ''}
+            `}
+        </div>
+        ` : `
+        <div class="order-detail-section">
+            <h3>📍 Indirizzo di consegna</h3>
+            <p>
+                ${addr.firstName || ''} ${addr.lastName || ''}<br>
+                ${addr.address || ''}<br>
+                ${addr.postalCode || ''} ${addr.city || ''} (${addr.province || ''})<br>
+                📞 ${addr.phone || 'N/D'}
+            </p>
+        </div>
+        `}
+        
+        <div class="order-detail-section">
+            <h3>🛒 Prodotti ordinati</h3>
+            <div class="order-items-list">
+                ${items.map(item => `
+                    <div class="order-item-row">
+                        <div class="item-info">
+                            <span class="item-name">${item.product_name}</span>
+                            <span class="item-details">Taglia: ${item.size || 'N/D'} • Qtà: ${item.quantity}</span>
+                            ${item.actual_weight_grams !== null && item.actual_weight_grams !== undefined ? `<span class="item-details">⚖️ Peso effettivo: ${item.actual_weight_grams} g</span>` : ''}
+                            ${item.lot_number ? `<span class="item-details">Lotto: ${item.lot_number}</span>` : ''}
+                        </div>
+                        <span class="item-price">€${parseFloat(item.adjusted_price ?? item.product_price * item.quantity).toFixed(2)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+        
+        <div class="order-detail-section order-summary">
+            <div class="summary-row"><span>Subtotale</span><span>€${parseFloat(order.subtotal).toFixed(2)}</span></div>
+            <div class="summary-row"><span>Spedizione</span><span>€${parseFloat(order.shipping_cost).toFixed(2)}</span></div>
+            ${parseFloat(order.discount) > 0 ? `<div class="summary-row discount"><span>Sconto</span><span>-€${parseFloat(order.discount).toFixed(2)}</span></div>` : ''}
+            ${parseFloat(order.gift_card_amount) > 0 ? `<div class="summary-row giftcard"><span>Gift Card</span><span>-€${parseFloat(order.gift_card_amount).toFixed(2)}</span></div>` : ''}
+            <div class="summary-row total"><span>Totale</span><span>€${parseFloat(order.total).toFixed(2)}</span></div>
+            ${parseFloat(order.refunded_amount) > 0 ? `<div class="summary-row refund"><span>Rimborsato</span><span>-€${parseFloat(order.refunded_amount).toFixed(2)}</span></div>` : ''}
         </div>
-        <span class="order-item-price">€${(item.unit_price * item.quantity).toFixed(2)}</span>
-      </div>
-    `).join('') || '';
-
-    return `
-      <div class="order-card">
-        <div class="order-header">
-          <div class="order-info">
-            <span class="order-number">Ordine #${order.id.slice(0, 8)}</span>
-            <span class="order-date">${date}</span>
-          </div>
-          <span class="order-status ${statusClass}">${statusLabel}</span>
+        
+        <div class="order-payment-info">
+            ✅ Pagamento completato via ${order.payment_provider?.toUpperCase() || 'N/D'}
+            ${parseFloat(order.gift_card_amount) > 0 && parseFloat(order.total) === 0 ? '<br><small>💳 Pagato interamente con Gift Card</small>' : ''}
         </div>
-        <div class="order-items">${itemsHtml}</div>
-        <div class="order-footer">
-          <div class="order-total">
-            <span>Totale:</span>
-            <span class="total-amount">€${order.total_amount?.toFixed(2)}</span>
-          </div>
-          ${trackingHtml}
+        
+        <div id="orderReturns" class="order-returns"></div>
+        
+        ${order.payment_provider === 'stripe' && order.payment_status === 'completed' && order.payment_id ? `
+        <div class="order-receipt-section">
+            <button class="btn-download-receipt" onclick="downloadReceipt('${order.id}')" id="receiptBtn-${order.id}">
+                🧾 Scarica Ricevuta
+            </button>
+        </div>
+        ` : (order.payment_status === 'completed' && !order.payment_id ? `
+        <div class="order-receipt-section">
+            <small style="color: var(--text-muted);">📝 Ricevuta non disponibile per ordini pagati con Gift Card</small>
+        </div>
+        ` : '')}
+    `;
+    
+    modal.classList.add('active');
+
+    if (order.tracking_number) {
+        loadShipmentTimeline(order.id);
+    }
+    loadOrderReturns(order);
+};
+
+// Shipment timeline from courier tracking events
+async function loadShipmentTimeline(orderId) {
+    const container = document.getElementById('shipmentTimeline');
+    if (!container) return;
+
+    const { events, error } = await orderService.getShipmentEvents(orderId);
+    if (error || events.length === 0) return;
+
+    const { steps, issue } = orderService.buildShipmentTimeline(events);
+    const formatDate = (iso) => new Date(iso).toLocaleString('it-IT', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    container.innerHTML = `
+        <ol class="timeline-steps">
+            ${steps.map(step => `
+            <li class="timeline-step ${step.done ? 'done' : ''} ${step.current ? 'current' : ''}">
+                <span class="timeline-icon">${step.icon}</span>
+                <div class="timeline-text">
+                    <strong>${step.label}</strong>
+                    ${step.occurredAt ? `<small>${formatDate(step.occurredAt)}${step.location ? ` • ${step.location}` : ''}</small>` : ''}
+                </div>
+            </li>
+            `).join('')}
+        </ol>
+        ${issue ? `<p class="timeline-issue">⚠️ ${issue.description} (${formatDate(issue.occurred_at)})</p>` : ''}
+    `;
+}
+
+// Return requests: status of past requests and the form to report a problem
+let openOrderReturns = [];
+
+async function loadOrderReturns(order) {
+    const container = document.getElementById('orderReturns');
+    if (!container) return;
+
+    await returnService.loadPolicy();
+    const { returns, error } = await returnService.getOrderReturns(order.id);
+    if (error) return;
+    openOrderReturns = returns;
+
+    const canReport = returnService.isEligible(order)
+        && !returns.some(r => r.status === 'pending')
+        && Object.values(returnService.getReturnableQuantities(order, returns)).some(qty => qty > 0);
+
+    if (returns.length === 0 && !canReport) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="order-detail-section">
+            <h3>↩️ Resi e reclami</h3>
+            ${returns.map(request => `
+            <div class="return-request-row">
+                <div class="item-info">
+                    <span class="item-name">${returnService.reasons[request.reason] || request.reason}</span>
+                    <span class="item-details">${new Date(request.created_at).toLocaleDateString('it-IT', { day: '2-digit', month: 'long' })} • ${request.return_request_items?.length || 0} prodott${request.return_request_items?.length === 1 ? 'o' : 'i'}</span>
+                    ${request.admin_notes && request.status !== 'pending' ? `<span class="item-details">${request.admin_notes}</span>` : ''}
+                </div>
+                <span class="return-status ${request.status}">
+                    ${returnService.getStatusLabel(request.status)}${request.status === 'approved' && request.refund_amount > 0 ? ` • €${parseFloat(request.refund_amount).toFixed(2)}` : ''}
+                </span>
+            </div>
+            `).join('')}
+            ${canReport ? `
+            <button class="btn-report-problem" onclick="openReturnForm('${order.id}')">⚠️ Segnala un problema</button>
+            <div id="returnFormContainer"></div>
+            ` : ''}
         </div>
-      </div>
     `;
-  }
 }
 
-window.openAuthModal = function() {
-  const event = new CustomEvent('openAuthModal');
-  document.dispatchEvent(event);
+window.openReturnForm = function(orderId) {
+    const order = window._userOrders?.find(o => o.id === orderId);
+    const formContainer = document.getElementById('returnFormContainer');
+    if (!order || !formContainer) return;
+
+    const returnable = returnService.getReturnableQuantities(order, openOrderReturns);
+    const items = (order.order_items || []).filter(item => returnable[item.id] > 0);
+    const maxPhotos = returnService.policy?.max_photos || 4;
+
+    document.querySelector('.btn-report-problem')?.remove();
+
+    formContainer.innerHTML = `
+        <form class="return-form" id="returnForm">
+            <p class="return-form-hint">Seleziona i prodotti con un problema:</p>
+            ${items.map(item => `
+            <label class="return-line">
+                <input type="checkbox" name="returnItem" value="${item.id}">
+                <span class="item-name">${item.product_name}</span>
+                <input type="number" class="return-qty" data-item-id="${item.id}" min="1" max="${returnable[item.id]}" value="${returnable[item.id]}" ${returnable[item.id] === 1 ? 'disabled' : ''}>
+            </label>
+            `).join('')}
+
+            <label for="returnReason">Motivo</label>
+            <select id="returnReason" required>
+                ${Object.entries(returnService.reasons).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+
+            <label for="returnDescription">Descrizione</label>
+            <textarea id="returnDescription" rows="3" maxlength="1000" placeholder="Raccontaci cosa è successo"></textarea>
+
+            <label for="returnPhotos">Foto (max ${maxPhotos})</label>
+            <input type="file" id="returnPhotos" accept="image/*" multiple>
+
+            <p class="return-form-error" id="returnFormError"></p>
+            <button type="submit" class="btn-submit-return" id="returnSubmitBtn">Invia segnalazione</button>
+        </form>
+    `;
+
+    document.getElementById('returnForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitReturnRequest(order);
+    });
 };
 
-new OrdersPage();
+async function submitReturnRequest(order) {
+    const errorEl = document.getElementById('returnFormError');
+    const submitBtn = document.getElementById('returnSubmitBtn');
+    errorEl.textContent = '';
+
+    const items = [...document.querySelectorAll('input[name="returnItem"]:checked')].map(checkbox => ({
+        orderItemId: checkbox.value,
+        quantity: parseInt(document.querySelector(`.return-qty[data-item-id="${checkbox.value}"]`).value) || 1
+    }));
+    if (items.length === 0) {
+        errorEl.textContent = 'Seleziona almeno un prodotto';
+        return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = '⏳ Invio in corso...';
+
+    const { error } = await returnService.createReturn({
+        orderId: order.id,
+        reason: document.getElementById('returnReason').value,
+        description: document.getElementById('returnDescription').value.trim(),
+        items,
+        photos: [...(document.getElementById('returnPhotos').files || [])]
+    });
+
+    if (error) {
+        errorEl.textContent = error;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Invia segnalazione';
+        return;
+    }
+
+    await loadOrderReturns(order);
+}
+
+// Download receipt from Stripe
+window.downloadReceipt = async function(orderId) {
+    const btn = document.getElementById(`receiptBtn-${orderId}`);
+    if (btn) {
+        btn.disabled = true;
+        btn.innerHTML = '⏳ Caricamento...';
+    }
+    
+    try {
+        const response = await supabase.functions.invoke('get-stripe-receipt', {
+            body: { orderId }
+        });
+        
+        const { data, error } = response;
+        
+        if (error) {
+            // Try to get error context from the response
+            let errorMessage = 'Errore nel recupero della ricevuta';
+            
+            // Check if there's context in the error (contains response body)
+            if (error.context?.body) {
+                try {
+                    const errorBody = JSON.parse(error.context.body);
+                    if (errorBody.error) {
+                        errorMessage = errorBody.error;
+                    }
+                } catch (e) {
+                    // Parsing failed, use default message
+                }
+            } else if (error.message) {
+                errorMessage = error.message;
+            }
+            throw new Error(errorMessage);
+        }
+        
+        if (data?.error) {
+            throw new Error(data.error);
+        }
+        
+        if (data?.receiptUrl) {
+            // Open receipt in new tab
+            window.open(data.receiptUrl, '_blank');
+            if (btn) {
+                btn.innerHTML = '🧾 Scarica Ricevuta';
+                btn.disabled = false;
+            }
+        } else {
+            throw new Error('Ricevuta non disponibile per questo ordine');
+        }
+    } catch (err) {
+        console.error('Error downloading receipt:', err);
+        const message = err.message || 'Impossibile scaricare la ricevuta. Riprova più tardi.';
+        alert(message);
+        if (btn) {
+            btn.innerHTML = '🧾 Scarica Ricevuta';
+            btn.disabled = false;
+        }
+    }
+};
+
+// Close modal
+document.getElementById('closeOrderDetail')?.addEventListener('click', () => {
+    document.getElementById('orderDetailModal').classList.remove('active');
+});
+
+document.getElementById('orderDetailModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'orderDetailModal') {
+        document.getElementById('orderDetailModal').classList.remove('active');
+    }
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await authService.init();
+    authModal.init();
+    cartDrawer.init();
+    profileDrawer.init();
+
+    // Navbar scroll effect
+    const nav = document.getElementById('mainNav');
+    window.addEventListener('scroll', () => {
+        if (window.scrollY > 50) {
+            nav.classList.add('scrolled');
+        } else {
+            nav.classList.remove('scrolled');
+        }
+    });
+
+    // Auth button
+    document.getElementById('authBtn').addEventListener('click', async () => {
+        const isAuth = await authService.isAuthenticated();
+        if (isAuth) {
+            profileDrawer.show();
+        } else {
+            authModal.show('login');
+        }
+    });
+    
+    // Login to see orders button
+    document.getElementById('loginToSeeOrders')?.addEventListener('click', () => {
+        authModal.show('login');
+    });
+
+    // Wishlist button
+    document.getElementById('wishlistBtn').addEventListener('click', () => {
+        window.location.href = 'wishlist.html';
+    });
+
+    // Cart button
+    document.getElementById('cartBtn').addEventListener('click', () => {
+        cartDrawer.show();
+    });
+
+    updateCartBadge();
+    updateWishlistBadge();
+    cartService.onChange(() => updateCartBadge());
+    
+    // Back from the subscription checkout: the first box order arrives with the webhook
+    if (new URLSearchParams(window.location.search).get('subscription') === 'success') {
+        showSuccessNotification('Abbonamento attivato! Trovi la tua prima cassetta tra gli ordini a breve.');
+        history.replaceState(null, '', window.location.pathname);
+    }
+
+    // Load orders
+    loadUserOrders();
+    
+    // Reload orders after login
+    authService.onAuthStateChange((event, session) => {
+        if (session?.user) loadUserOrders();
+    });
+});
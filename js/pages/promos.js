@@ -11,6 +11,7 @@ import { authModal } from '../components/auth-modal.js';
 import { profileDrawer } from '../components/profile-drawer.js';
 import { cartService } from '../services/cart.js';
 import { cartDrawer } from '../components/cart-drawer.js';
+import { renderSaleCountdown } from '../utils/flash-sales.js';
 
 class PromosPage {
   constructor() {
@@ -281,6 +282,7 @@ class PromosPage {
           <img src="${img}" alt="${product.name}" loading="lazy" 
                onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><rect fill=%22%23f5f5f5%22 width=%22100%22 height=%22100%22/></svg>'">
           <span class="sale-badge">-${discountPercent}%</span>
+          ${renderSaleCountdown(product)}
         </a>
         <button class="card-favorite-small wishlist-btn ${isFav ? 'active' : ''}" data-product-id="${product.id}" title="Aggiungi ai preferiti">
           ${isFav ? '♥' : '♡'}
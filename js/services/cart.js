@@ -2,16 +2,23 @@
  * Cart Service
  * Avenue M. E-commerce Platform
  * 
- * Hybrid cart system: localStorage for guests, Supabase for authenticated users
+ * Hybrid cart system: localStorage for guests, Supabase for authenticated users.
+ * Guest carts are also copied to guest_carts (migration 041) under an
+ * anonymous token, for the restore link and the merge on login.
  */
 
 import { supabase, isSupabaseConfigured, getCurrentUser } from '../supabase.js';
+import { mergeCartItems, toCartPayload, cartItemFromRow } from '../utils/cart-items.js';
 
 const LOCAL_STORAGE_KEY = 'avenue_cart';
+const GUEST_TOKEN_KEY = 'avenue_cart_token';
+const GUEST_LINK_KEY = 'avenue_cart_link';
+const GUEST_SYNC_DELAY = 500;
 
 class CartService {
   constructor() {
     this.listeners = [];
+    this.guestSyncTimer = null;
   }
 
   // ============================================
@@ -29,6 +36,7 @@ class CartService {
 
   _saveLocalCart(cart) {
     localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(cart));
+    this._scheduleGuestSync();
     this._notifyListeners();
   }
 
@@ -95,6 +103,7 @@ class CartService {
 
   clearLocalCart() {
     localStorage.removeItem(LOCAL_STORAGE_KEY);
+    this._scheduleGuestSync();
     this._notifyListeners();
   }
 
@@ -106,6 +115,114 @@ class CartService {
     return this.getLocalCart().reduce((sum, item) => sum + (item.price * item.quantity), 0);
   }
 
+  // ============================================
+  // Guest Server Cart (guest_carts)
+  // ============================================
+
+  _getGuestToken(create = false) {
+    let token = localStorage.getItem(GUEST_TOKEN_KEY);
+    if (!token && create) {
+      token = crypto.randomUUID();
+      localStorage.setItem(GUEST_TOKEN_KEY, token);
+    }
+    return token;
+  }
+
+  // Quick quantity clicks end up in a single save
+  _scheduleGuestSync() {
+    clearTimeout(this.guestSyncTimer);
+    this.guestSyncTimer = setTimeout(() => this.syncGuestCart(), GUEST_SYNC_DELAY);
+  }
+
+  async syncGuestCart() {
+    clearTimeout(this.guestSyncTimer);
+    const cart = this.getLocalCart();
+    // Nothing to keep for a guest who never had a cart
+    const token = this._getGuestToken(cart.length > 0);
+    if (!token || !isSupabaseConfigured()) return { success: false };
+
+    try {
+      const { error } = await supabase.rpc('save_guest_cart', {
+        p_token: token,
+        p_items: toCartPayload(cart)
+      });
+      if (error) throw error;
+      return { success: true };
+    } catch (err) {
+      console.error('Sync guest cart error:', err);
+      return { success: false };
+    }
+  }
+
+  /**
+   * Magic link that restores this guest cart on another device
+   * @returns {Promise<{url: string|null, expiresAt: string|null, error: string|null}>}
+   */
+  async createRestoreLink() {
+    if (!isSupabaseConfigured()) {
+      return { url: null, expiresAt: null, error: 'Sistema non configurato' };
+    }
+
+    const { success } = await this.syncGuestCart();
+    if (!success) {
+      return { url: null, expiresAt: null, error: 'Errore nel salvataggio del carrello' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('create_guest_cart_link', {
+        p_token: this._getGuestToken()
+      });
+      if (error || !data) throw error || new Error('Guest cart not found');
+
+      localStorage.setItem(GUEST_LINK_KEY, data.restore_token);
+      const url = new URL('collection.html', window.location.href);
+      url.searchParams.set('carrello', data.restore_token);
+      return { url: url.toString(), expiresAt: data.expires_at, error: null };
+    } catch (err) {
+      console.error('Create restore link error:', err);
+      return { url: null, expiresAt: null, error: 'Errore nella creazione del link' };
+    }
+  }
+
+  /**
+   * Add the cart of a restore link to this cart (guest or account),
+   * with the mergeCartItems rules
+   * @param {string} restoreToken
+   * @returns {Promise<{count: number, error: string|null, sameCart?: boolean}>}
+   */
+  async restoreFromLink(restoreToken) {
+    if (!isSupabaseConfigured()) {
+      return { count: 0, error: 'Sistema non configurato' };
+    }
+    // The link of this very cart: adding it again would double the quantities
+    if (restoreToken === localStorage.getItem(GUEST_LINK_KEY)) {
+      return { count: 0, error: null, sameCart: true };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('restore_guest_cart', { p_restore_token: restoreToken });
+      if (error) throw error;
+      if (!data) {
+        return { count: 0, error: 'Il link del carrello è scaduto o non è valido' };
+      }
+
+      const items = data.map(cartItemFromRow);
+      const user = await getCurrentUser();
+      if (user) {
+        const { error: mergeError } = await supabase.rpc('merge_guest_cart', { p_items: toCartPayload(items) });
+        if (mergeError) throw mergeError;
+        this._notifyListeners();
+      } else {
+        this._saveLocalCart(mergeCartItems(this.getLocalCart(), items));
+      }
+
+      return { count: items.length, error: null };
+    } catch (err) {
+      console.error('Restore cart error:', err);
+      return { count: 0, error: 'Errore nel recupero del carrello' };
+    }
+  }
+
   // ============================================
   // Authenticated Operations (Supabase)
   // ============================================
@@ -142,29 +259,32 @@ class CartService {
       const size = item.size || '';
       const color = item.color || 'Fresco';
       
-      // The DB constraint is on (user_id, product_id, size, color) - NOT weight_grams
-      // So we must check by these 4 fields first
-      const { data: existing, error: selectError } = await supabase
-        .from('cart_items')
-        .select('id, quantity, weight_grams')
-        .eq('user_id', userId)
-        .eq('product_id', item.productId)
-        .eq('size', size)
-        .eq('color', color)
-        .maybeSingle();
+      // Another weight is another line (cart_items_unique_item, migration 015)
+      const findExisting = () => {
+        const query = supabase
+          .from('cart_items')
+          .select('id, quantity')
+          .eq('user_id', userId)
+          .eq('product_id', item.productId)
+          .eq('size', size)
+          .eq('color', color);
+        return (weightGrams === null ? query.is('weight_grams', null) : query.eq('weight_grams', weightGrams))
+          .maybeSingle();
+      };
+
+      const { data: existing, error: selectError } = await findExisting();
       
       if (selectError) {
         console.error('Select cart item error:', selectError);
       }
       
       if (existing) {
-        // Item exists - update quantity and weight (replace with new weight if different)
+        // Item exists - update quantity
         const newQty = Math.min(10, existing.quantity + (item.quantity || 1));
         const { error } = await supabase
           .from('cart_items')
           .update({ 
             quantity: newQty, 
-            weight_grams: weightGrams, // Update weight to latest
             updated_at: new Date().toISOString() 
           })
           .eq('id', existing.id);
@@ -192,20 +312,13 @@ class CartService {
           // If conflict (409), try to update instead (race condition)
           if (error.code === '23505') {
             console.log('Duplicate detected, attempting update...');
-            const { data: retryExisting } = await supabase
-              .from('cart_items')
-              .select('id, quantity')
-              .eq('user_id', userId)
-              .eq('product_id', item.productId)
-              .eq('size', size)
-              .eq('color', color)
-              .maybeSingle();
+            const { data: retryExisting } = await findExisting();
               
             if (retryExisting) {
               const newQty = Math.min(10, retryExisting.quantity + (item.quantity || 1));
               await supabase
                 .from('cart_items')
-                .update({ quantity: newQty, weight_grams: weightGrams, updated_at: new Date().toISOString() })
+                .update({ quantity: newQty, updated_at: new Date().toISOString() })
                 .eq('id', retryExisting.id);
               this._notifyListeners();
               return { success: true, error: null };
@@ -340,24 +453,7 @@ class CartService {
     const user = await getCurrentUser();
     if (user) {
       const { items } = await this.getCart(user.id);
-      return items.map(item => {
-        // Calculate price based on weight if applicable
-        const basePrice = item.products?.sale_price || item.products?.price || 0;
-        const weightGrams = item.weight_grams;
-        const price = weightGrams ? (basePrice * weightGrams) / 1000 : basePrice;
-        
-        return {
-          productId: item.product_id,
-          name: item.products?.name || 'Prodotto',
-          price: price,
-          unitPrice: basePrice,
-          image: item.products?.images?.[0] || '',
-          size: item.size,
-          color: item.color,
-          quantity: item.quantity,
-          weight_grams: weightGrams
-        };
-      });
+      return items.map(cartItemFromRow);
     } else {
       return this.getLocalCart();
     }
@@ -381,15 +477,33 @@ class CartService {
     this.clearLocalCart();
   }
 
+  /**
+   * Move the guest cart of this browser into the account cart in one call
+   * (merge_guest_cart merges into the signed-in user). On error the guest
+   * cart is kept for the next login.
+   * @param {string} userId - The user just signed in
+   * @returns {Promise<{merged: number, error: string|null}>}
+   */
   async mergeCartsOnLogin(userId) {
     const localItems = this.getLocalCart();
-    if (localItems.length === 0) return;
+    const token = this._getGuestToken();
+    if (!userId || (localItems.length === 0 && !token)) return { merged: 0, error: null };
+
+    try {
+      const { data, error } = await supabase.rpc('merge_guest_cart', {
+        p_items: toCartPayload(localItems),
+        p_token: token
+      });
+      if (error) throw error;
 
-    for (const item of localItems) {
-      await this.addToCart(userId, item);
+      localStorage.removeItem(GUEST_TOKEN_KEY);
+      localStorage.removeItem(GUEST_LINK_KEY);
+      this.clearLocalCart();
+      return { merged: data?.merged || 0, error: null };
+    } catch (err) {
+      console.error('Merge cart error:', err);
+      return { merged: 0, error: 'Errore nell\'unione del carrello' };
     }
-    this.clearLocalCart();
-    this._notifyListeners();
   }
 
   // ============================================
@@ -0,0 +1,110 @@
+/**
+ * Courier Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Admin-side wrapper around the submit-to-courier Edge Function:
+ * shipment creation, PDF labels, pickup booking and cancellation
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { orderService } from './orders.js';
+import { getErrorMessage } from '../utils/errors.js';
+
+class CourierService {
+  /**
+   * Couriers with credentials configured on the server
+   * @returns {Promise<{couriers: Array<{id: string, name: string}>, error: string|null}>}
+   */
+  async getCouriers() {
+    const { data, error } = await this._invoke({ action: 'couriers' });
+    return { couriers: data?.couriers || [], error };
+  }
+
+  /**
+   * Create the shipment with the courier, then mark the order as shipped
+   * with its tracking number
+   * @returns {Promise<{shipmentId?: string, trackingNumber?: string, labelUrl?: string, error: string|null}>}
+   */
+  async createShipment(orderId, courier) {
+    const { data, error } = await this._invoke({ action: 'create', orderId, courier });
+    if (error) return { error };
+
+    const { error: updateError } = await orderService.updateOrderStatus(orderId, 'shipped', {
+      trackingNumber: data.trackingNumber,
+      courier: data.courier
+    });
+    if (updateError) {
+      return { error: `Spedizione creata (${data.trackingNumber}) ma ordine non aggiornato: ${updateError}` };
+    }
+
+    return {
+      shipmentId: data.shipmentId,
+      trackingNumber: data.trackingNumber,
+      labelUrl: data.labelUrl,
+      error: null
+    };
+  }
+
+  /**
+   * Short-lived URL of the PDF label
+   */
+  async getLabelUrl(orderId) {
+    const { data, error } = await this._invoke({ action: 'label', orderId });
+    return { labelUrl: data?.labelUrl || null, error };
+  }
+
+  /**
+   * Ask the courier to collect the parcel at the shop
+   * @param {string} orderId
+   * @param {{date: string, readyFrom?: string, readyUntil?: string}} pickup
+   */
+  async bookPickup(orderId, pickup) {
+    const { data, error } = await this._invoke({ action: 'pickup', orderId, pickup });
+    if (error) return { error };
+    return { pickupId: data.pickupId, date: data.date, error: null };
+  }
+
+  /**
+   * Cancel the shipment and move the order back to processing
+   */
+  async cancelShipment(orderId) {
+    const { error } = await this._invoke({ action: 'cancel', orderId });
+    if (error) return { error };
+
+    const { error: updateError } = await orderService.updateOrderStatus(orderId, 'processing', {
+      trackingNumber: null,
+      courier: null
+    });
+    return { success: !updateError, error: updateError || null };
+  }
+
+  /**
+   * Call submit-to-courier, reading the error body of non-2xx responses
+   * @private
+   */
+  async _invoke(body) {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('submit-to-courier', { body });
+      if (error) {
+        let details = null;
+        try {
+          details = await error.context?.json?.();
+        } catch {
+          // Body is not JSON
+        }
+        return { data: null, error: details?.error || getErrorMessage(details?.code) };
+      }
+      return { data, error: null };
+    } catch (err) {
+      console.error('Courier function error:', err);
+      return { data: null, error: getErrorMessage('courier/unavailable') };
+    }
+  }
+}
+
+export const courierService = new CourierService();
+export default courierService;
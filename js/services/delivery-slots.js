@@ -0,0 +1,86 @@
+/**
+ * Delivery Slots Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Loads bookable delivery windows and formats them for the checkout picker
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js';
+
+const DEFAULT_DAYS_AHEAD = 7;
+
+class DeliverySlotService {
+  /**
+   * Get bookable slots (active, before cut-off) for the next days
+   * @param {number} days - How many days ahead to show
+   * @returns {Promise<{slots: Array, error: string|null}>}
+   */
+  async getAvailableSlots(days = DEFAULT_DAYS_AHEAD) {
+    if (!isSupabaseConfigured()) {
+      return { slots: [], error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('get_available_delivery_slots', { p_days: days });
+
+      if (error) {
+        console.error('Delivery slots query error:', error);
+        return { slots: [], error: 'Errore nel caricamento delle fasce di consegna' };
+      }
+
+      return { slots: data || [], error: null };
+    } catch (err) {
+      console.error('Get delivery slots error:', err);
+      return { slots: [], error: 'Errore nel caricamento delle fasce di consegna' };
+    }
+  }
+
+  /**
+   * Group slots by date, keeping chronological order
+   * @param {Array} slots - Slots from getAvailableSlots
+   * @returns {Array<{date: string, slots: Array}>}
+   */
+  groupByDate(slots) {
+    const groups = new Map();
+    for (const slot of slots) {
+      if (!groups.has(slot.slot_date)) {
+        groups.set(slot.slot_date, []);
+      }
+      groups.get(slot.slot_date).push(slot);
+    }
+    return [...groups.entries()].map(([date, daySlots]) => ({ date, slots: daySlots }));
+  }
+
+  /**
+   * Format a slot date as "lunedì 12 maggio"
+   * @param {string} date - ISO date (YYYY-MM-DD)
+   */
+  formatDate(date) {
+    return new Date(`${date}T12:00:00`).toLocaleDateString('it-IT', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long'
+    });
+  }
+
+  /**
+   * Format a slot window as "9:00 - 12:00"
+   * @param {Object} slot - Slot with start_time/end_time (HH:MM:SS)
+   */
+  formatTimeRange(slot) {
+    const trim = (time) => (time || '').slice(0, 5).replace(/^0/, '');
+    return `${trim(slot.start_time)} - ${trim(slot.end_time)}`;
+  }
+
+  /**
+   * Full human-readable slot label, used in order summaries and admin
+   * @param {Object} slot - Slot with slot_date/start_time/end_time
+   */
+  formatSlot(slot) {
+    if (!slot) return '';
+    return `${this.formatDate(slot.slot_date)}, ${this.formatTimeRange(slot)}`;
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
+export default deliverySlotService;
@@ -185,6 +185,7 @@ class OrderService {
     const labels = {
       pending: 'In attesa',
       processing: 'In elaborazione',
+      ready_for_pickup: 'Pronto per il ritiro',
       shipped: 'Spedito',
       delivered: 'Consegnato',
       cancelled: 'Annullato',
@@ -193,6 +194,82 @@ class OrderService {
     return labels[status] || status;
   }
 
+  /**
+   * Whether the order is collected at the shop instead of delivered
+   */
+  isPickup(order) {
+    return order?.fulfillment_method === 'pickup';
+  }
+
+  /**
+   * QR code image for the pickup code, scanned by staff at the counter
+   */
+  getPickupQRCodeUrl(pickupCode, size = 180) {
+    return `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(pickupCode)}&format=png&margin=10`;
+  }
+
+  /**
+   * Courier tracking events for one of the user's orders, oldest first
+   */
+  async getShipmentEvents(orderId) {
+    if (!isSupabaseConfigured()) {
+      return { events: [], error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('shipment_events')
+        .select('status, description, location, occurred_at')
+        .eq('order_id', orderId)
+        .order('occurred_at', { ascending: true });
+
+      if (error) {
+        return { events: [], error: 'Errore nel caricamento del tracking' };
+      }
+
+      return { events: data || [], error: null };
+    } catch (err) {
+      console.error('Get shipment events error:', err);
+      return { events: [], error: 'Errore nel caricamento del tracking' };
+    }
+  }
+
+  /**
+   * Timeline steps (picked up → in transit → out for delivery → delivered)
+   * from the courier events. A step is done when it or a later step happened;
+   * exceptions (failed delivery, returns) are reported separately.
+   */
+  buildShipmentTimeline(events = []) {
+    const steps = [
+      { status: 'picked_up', label: 'Ritirato dal corriere', icon: '📦' },
+      { status: 'in_transit', label: 'In transito', icon: '🚚' },
+      { status: 'out_for_delivery', label: 'In consegna', icon: '🛵' },
+      { status: 'delivered', label: 'Consegnato', icon: '🏠' }
+    ];
+
+    const reachedIndex = events.reduce((max, event) => {
+      const index = steps.findIndex(step => step.status === event.status);
+      return Math.max(max, index);
+    }, -1);
+
+    const timeline = steps.map((step, index) => {
+      const stepEvents = events.filter(event => event.status === step.status);
+      const last = stepEvents[stepEvents.length - 1] || null;
+      return {
+        ...step,
+        done: index <= reachedIndex,
+        current: index === reachedIndex,
+        occurredAt: last?.occurred_at || null,
+        location: last?.location || null
+      };
+    });
+
+    const lastEvent = events[events.length - 1] || null;
+    const issue = lastEvent && ['exception', 'returned'].includes(lastEvent.status) ? lastEvent : null;
+
+    return { steps: timeline, lastEvent, issue };
+  }
+
   /**
    * Get tracking URL for courier
    */
@@ -91,13 +91,20 @@ class PaymentService {
           customerEmail: user.email,
           promotionCode: options.promotionCode,
           shippingAddress: options.shippingAddress,
+          fulfillmentMethod: options.fulfillmentMethod || 'delivery',
+          deliverySlotId: options.deliverySlotId || null,
           userCredit: options.creditToUse || 0
         }
       });
 
       if (error) {
         console.error('Stripe session error:', error);
-        return { error: error.message || 'Errore nella creazione della sessione di pagamento' };
+        const details = await this._readFunctionError(error);
+        return {
+          error: details?.error || error.message || 'Errore nella creazione della sessione di pagamento',
+          code: details?.code || null,
+          issues: details?.issues || []
+        };
       }
 
       if (!data) {
@@ -111,14 +118,30 @@ class PaymentService {
     }
   }
 
+  /**
+   * Read the JSON body of a non-2xx Edge Function response
+   * @private
+   * @returns {Promise<Object|null>} Parsed body ({ error, code, issues }) or null
+   */
+  async _readFunctionError(error) {
+    try {
+      if (error?.context && typeof error.context.json === 'function') {
+        return await error.context.json();
+      }
+    } catch {
+      // Body is not JSON
+    }
+    return null;
+  }
+
   /**
    * Redirect to Stripe Checkout
    */
   async redirectToStripeCheckout(cartItems, options = {}) {
     try {
-      const { sessionId, url, error } = await this.createStripeSession(cartItems, options);
+      const { sessionId, url, error, code, issues } = await this.createStripeSession(cartItems, options);
       
-      if (error) return { error };
+      if (error) return { error, code, issues };
 
       if (url) {
         window.location.href = url;
@@ -7,6 +7,9 @@
  */
 
 import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { normalizeSearchText, findSearchRedirect } from '../utils/search.js';
+import { getSortKeys, encodeCursor, decodeCursor, buildKeysetFilter } from '../utils/pagination.js';
+import { orderByRanking } from '../utils/recommendations.js';
 
 /**
  * Product Service Class
@@ -28,21 +31,34 @@ class ProductService {
    * @param {number} filters.price_max - Maximum price
    * @param {boolean} filters.is_promotion - Only promotional items
    * @param {boolean} filters.is_featured - Only featured items
-   * @param {string} filters.sort_by - Sort option ('price_asc', 'price_desc', 'newest', 'popular')
-   * @param {number} filters.limit - Number of results
-   * @param {number} filters.offset - Pagination offset
-   * @returns {Promise<{products: Array, count: number, error: string|null}>}
+   * @param {string[]} filters.regions - Origin regions (any of)
+   * @param {string[]} filters.certifications - bio/igp/dop labels (any of)
+   * @param {number[]} filters.weights - Weight formats in grams available (any of)
+   * @param {boolean} filters.in_season - Only products in season this month
+   * @param {boolean} filters.seasonal - Same as in_season (collection facet)
+   * @param {boolean} filters.in_stock - Only products that can be bought now
+   * @param {string[]} filters.exclude_allergens - Hide products containing, or possibly
+   *   containing, any of these allergens (e.g. ['latte'])
+   * @param {string} filters.sort_by - Sort option ('price_asc', 'price_desc', 'newest', 'popular', 'in_season')
+   * @param {number} filters.limit - Page size
+   * @param {string} filters.cursor - nextCursor of the previous page
+   * @returns {Promise<{products: Array, count: number, nextCursor: string|null, error: string|null}>}
+   *   count is only computed for the first page (no cursor)
    */
   async getProducts(filters = {}) {
     if (!isSupabaseConfigured()) {
-      return { products: [], count: 0, error: 'Sistema non configurato' };
+      return { products: [], count: 0, nextCursor: null, error: 'Sistema non configurato' };
     }
 
     try {
       // Load all products (including inactive ones to show as "unavailable")
+      // The weight facet needs the available formats joined in
+      const select = filters.weights?.length
+        ? '*, categories(name, slug), weight_inventory!inner(weight_grams, quantity)'
+        : '*, categories(name, slug)';
       let query = supabase
         .from('products')
-        .select('*, categories(name, slug)', { count: 'exact' });
+        .select(select, filters.cursor ? {} : { count: 'exact' });
 
       // Apply filters (Requirements 7.1, 7.2, 7.3)
       if (filters.category_id) {
@@ -71,45 +87,115 @@ class ProductService {
         query = query.eq('is_featured', true);
       }
 
-      // Apply sorting
-      switch (filters.sort_by) {
-        case 'price_asc':
-          query = query.order('price', { ascending: true });
-          break;
-        case 'price_desc':
-          query = query.order('price', { ascending: false });
-          break;
-        case 'newest':
-          query = query.order('created_at', { ascending: false });
-          break;
-        case 'popular':
-          query = query.order('is_featured', { ascending: false })
-                       .order('created_at', { ascending: false });
-          break;
-        default:
-          query = query.order('created_at', { ascending: false });
-      }
-
-      // Apply pagination
-      if (filters.limit) {
-        query = query.limit(filters.limit);
+      // Facets (counts from getFacetCounts)
+      if (filters.regions?.length) {
+        query = query.in('origin_region', filters.regions);
+      }
+
+      if (filters.certifications?.length) {
+        query = query.overlaps('certifications', filters.certifications);
+      }
+
+      if (filters.weights?.length) {
+        query = query
+          .in('weight_inventory.weight_grams', filters.weights)
+          .gt('weight_inventory.quantity', 0);
+      }
+
+      // season_rank follows the calendar (see migration 032)
+      if (filters.in_season || filters.seasonal) {
+        query = query.gt('season_rank', 0);
+      }
+
+      if (filters.in_stock) {
+        query = query.eq('is_active', true).gt('inventory', 0);
       }
 
-      if (filters.offset) {
-        query = query.range(filters.offset, filters.offset + (filters.limit || 20) - 1);
+      // Traces count too: someone avoiding lactose skips "may contain milk"
+      if (filters.exclude_allergens?.length) {
+        const allergens = `{${filters.exclude_allergens.join(',')}}`;
+        query = query
+          .not('allergens', 'ov', allergens)
+          .not('may_contain', 'ov', allergens);
+      }
+
+      // Apply sorting, always ending on id so pages never overlap
+      const sortKeys = getSortKeys(filters.sort_by);
+      sortKeys.forEach(({ column, ascending }) => {
+        query = query.order(column, { ascending });
+      });
+
+      // Keyset pagination: continue after the last product of the previous page
+      if (filters.cursor) {
+        const values = decodeCursor(filters.cursor, sortKeys);
+        if (values) {
+          query = query.or(buildKeysetFilter(sortKeys, values));
+        }
+      }
+
+      if (filters.limit) {
+        query = query.limit(filters.limit);
       }
 
       const { data, error, count } = await query;
 
       if (error) {
         console.error('Error fetching products:', error);
-        return { products: [], count: 0, error: 'Errore nel caricamento dei prodotti' };
+        return { products: [], count: 0, nextCursor: null, error: 'Errore nel caricamento dei prodotti' };
       }
 
-      return { products: data || [], count: count || 0, error: null };
+      const products = data || [];
+      const nextCursor = filters.limit && products.length === filters.limit
+        ? encodeCursor(products[products.length - 1], sortKeys)
+        : null;
+
+      return { products, count: count || 0, nextCursor, error: null };
     } catch (err) {
       console.error('Products fetch error:', err);
-      return { products: [], count: 0, error: 'Errore nel caricamento dei prodotti' };
+      return { products: [], count: 0, nextCursor: null, error: 'Errore nel caricamento dei prodotti' };
+    }
+  }
+
+  /**
+   * Facet counts for the collection page, in one round trip
+   * 
+   * @param {Object} filters - Same filters as getProducts
+   * @returns {Promise<{facets: Object|null, error: string|null}>}
+   *   facets: { total, regions: [{value, count}], certifications: [...],
+   *             weights: [...], allergens: [...], seasonal, in_stock }
+   *   allergens counts the products containing each allergen
+   */
+  async getFacetCounts(filters = {}) {
+    if (!isSupabaseConfigured()) {
+      return { facets: null, error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('get_product_facets', {
+        p_filters: {
+          gender: filters.gender || null,
+          category_id: filters.category_id || null,
+          price_min: filters.price_min ?? null,
+          price_max: filters.price_max ?? null,
+          is_promotion: !!filters.is_promotion,
+          regions: filters.regions || [],
+          certifications: filters.certifications || [],
+          weights: filters.weights || [],
+          seasonal: !!filters.seasonal,
+          in_stock: !!filters.in_stock,
+          exclude_allergens: filters.exclude_allergens || []
+        }
+      });
+
+      if (error) {
+        console.error('Facet counts error:', error);
+        return { facets: null, error: 'Errore nel caricamento dei filtri' };
+      }
+
+      return { facets: data, error: null };
+    } catch (err) {
+      console.error('Facet counts error:', err);
+      return { facets: null, error: 'Errore nel caricamento dei filtri' };
     }
   }
 
@@ -242,10 +328,13 @@ class ProductService {
   }
 
   /**
-   * Search products by query (enhanced with keywords)
+   * Search products: Italian stemming, accent folding, synonyms and typo
+   * tolerance all happen in the search_products RPC, which ranks by
+   * relevance, stock and recent sales. Backs both the collection pages
+   * and the global search overlay.
    * 
    * @param {string} query - Search query
-   * @param {Object} options - Additional options
+   * @param {Object} options - { gender, limit }
    * @returns {Promise<{products: Array, error: string|null}>}
    */
   async searchProducts(query, options = {}) {
@@ -253,65 +342,42 @@ class ProductService {
       return { products: [], error: 'Sistema non configurato' };
     }
 
-    if (!query || query.trim().length < 2) {
+    if (!query || normalizeSearchText(query).length < 2) {
       return { products: [], error: null };
     }
 
     try {
-      // Try using the RPC function for enhanced search with keywords
-      const { data: rpcData, error: rpcError } = await supabase.rpc('search_products', {
-        search_query: query.trim()
+      const { data: ranked, error: rpcError } = await supabase.rpc('search_products', {
+        search_query: query.trim(),
+        p_gender: options.gender || null,
+        p_limit: options.limit || 20
       });
 
-      if (!rpcError && rpcData) {
-        // Fetch category info for RPC results
-        const productIds = rpcData.map(p => p.id);
-        if (productIds.length > 0) {
-          let dbQuery = supabase
-            .from('products')
-            .select('*, categories(name, slug)')
-            .in('id', productIds);
-
-          // Type filter (frutta/verdura/altro)
-          if (options.gender) {
-            dbQuery = dbQuery.eq('gender', options.gender);
-          }
-
-          const { data: productsWithCategories } = await dbQuery;
-          
-          // Maintain search order from RPC
-          const orderedProducts = productIds
-            .map(id => productsWithCategories?.find(p => p.id === id))
-            .filter(Boolean)
-            .slice(0, options.limit || 20);
-
-          return { products: orderedProducts, error: null };
-        }
+      if (rpcError) {
+        console.error('Search RPC error:', rpcError);
+        return { products: [], error: 'Errore nella ricerca' };
+      }
+
+      const productIds = (ranked || []).map(row => row.id);
+      if (productIds.length === 0) {
         return { products: [], error: null };
       }
 
-      // Fallback to basic search if RPC fails
-      const searchTerm = `%${query.trim()}%`;
-      
-      let dbQuery = supabase
+      const { data, error } = await supabase
         .from('products')
         .select('*, categories(name, slug)')
-        .eq('is_active', true)
-        .or(`name.ilike.${searchTerm},description.ilike.${searchTerm}`)
-        .limit(options.limit || 20);
-
-      // Type filter (frutta/verdura/altro)
-      if (options.gender) {
-        dbQuery = dbQuery.eq('gender', options.gender);
-      }
-
-      const { data, error } = await dbQuery;
+        .in('id', productIds);
 
       if (error) {
         return { products: [], error: 'Errore nella ricerca' };
       }
 
-      return { products: data || [], error: null };
+      // Keep the RPC ranking
+      const products = productIds
+        .map(id => data?.find(p => p.id === id))
+        .filter(Boolean);
+
+      return { products, error: null };
     } catch (err) {
       console.error('Search error:', err);
       return { products: [], error: 'Errore nella ricerca' };
@@ -319,13 +385,116 @@ class ProductService {
   }
 
   /**
-   * Get related products
+   * Active search synonyms and category shortcuts (admin-editable)
+   * 
+   * @returns {Promise<{synonyms: Array, error: string|null}>}
+   */
+  async getSearchSynonyms() {
+    if (!isSupabaseConfigured()) {
+      return { synonyms: [], error: 'Sistema non configurato' };
+    }
+
+    const cacheKey = 'search_synonyms';
+    const cached = this._getFromCache(cacheKey);
+    if (cached) {
+      return { synonyms: cached, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('search_synonyms')
+        .select('*')
+        .eq('is_active', true);
+
+      if (error) {
+        return { synonyms: [], error: 'Errore nel caricamento dei sinonimi' };
+      }
+
+      this._setCache(cacheKey, data || []);
+      return { synonyms: data || [], error: null };
+    } catch (err) {
+      console.error('Search synonyms fetch error:', err);
+      return { synonyms: [], error: 'Errore nel caricamento dei sinonimi' };
+    }
+  }
+
+  /**
+   * Category shortcut for a query ("agrumi" -> collection page), if any
+   * 
+   * @param {string} query - Search query
+   * @returns {Promise<Object|null>} search_synonyms row with redirect_url
+   */
+  async getSearchRedirect(query) {
+    const { synonyms } = await this.getSearchSynonyms();
+    return findSearchRedirect(query, synonyms);
+  }
+
+  /**
+   * Get related products: frequently bought together, falling back to
+   * the same category for products without purchase history
    * 
    * @param {string} productId - Current product ID
    * @param {number} limit - Number of related products
    * @returns {Promise<{products: Array, error: string|null}>}
    */
   async getRelatedProducts(productId, limit = 4) {
+    const { products, error } = await this.getFrequentlyBoughtTogether([productId], limit);
+    if (!error) {
+      return { products, error: null };
+    }
+    return this._getCategoryProducts(productId, limit);
+  }
+
+  /**
+   * Frequently bought together with one product (product page) or with
+   * the whole cart. Ranked by the get_frequently_bought_together RPC:
+   * admin pins, co-purchase score, then same category. Each product
+   * carries recommendation_source and default_weight_grams.
+   * 
+   * @param {string[]} productIds
+   * @param {number} limit
+   * @returns {Promise<{products: Array, error: string|null}>}
+   */
+  async getFrequentlyBoughtTogether(productIds, limit = 4) {
+    if (!isSupabaseConfigured()) {
+      return { products: [], error: 'Sistema non configurato' };
+    }
+    if (!productIds?.length) {
+      return { products: [], error: null };
+    }
+
+    try {
+      const { data: ranked, error: rpcError } = await supabase.rpc('get_frequently_bought_together', {
+        p_product_ids: productIds,
+        p_limit: limit
+      });
+
+      if (rpcError) {
+        console.error('Frequently bought together RPC error:', rpcError);
+        return { products: [], error: 'Errore nel caricamento' };
+      }
+      if (!ranked?.length) {
+        return { products: [], error: null };
+      }
+
+      const { data, error } = await supabase
+        .from('products')
+        .select('*, categories(name, slug)')
+        .in('id', ranked.map(row => row.id));
+
+      if (error) {
+        return { products: [], error: 'Errore nel caricamento' };
+      }
+
+      return { products: orderByRanking(ranked, data), error: null };
+    } catch (err) {
+      console.error('Frequently bought together error:', err);
+      return { products: [], error: 'Errore nel caricamento' };
+    }
+  }
+
+  // Previous related-products logic, if the recommendations RPC fails
+  async _getCategoryProducts(productId, limit) {
     if (!isSupabaseConfigured()) {
       return { products: [], error: 'Sistema non configurato' };
     }
@@ -392,6 +561,68 @@ class ProductService {
     }
   }
 
+  /**
+   * Products with season months, for the seasonal calendar page.
+   * Includes the ones currently hidden for being out of season.
+   *
+   * @returns {Promise<{products: Array, error: string|null}>}
+   */
+  async getSeasonalCalendar() {
+    if (!isSupabaseConfigured()) {
+      return { products: [], error: 'Sistema non configurato' };
+    }
+
+    const cached = this._getFromCache('seasonal_calendar');
+    if (cached) {
+      return { products: cached, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('get_seasonal_calendar');
+
+      if (error) {
+        console.error('Error fetching seasonal calendar:', error);
+        return { products: [], error: 'Errore nel caricamento del calendario' };
+      }
+
+      this._setCache('seasonal_calendar', data || []);
+      return { products: data || [], error: null };
+    } catch (err) {
+      console.error('Seasonal calendar fetch error:', err);
+      return { products: [], error: 'Errore nel caricamento del calendario' };
+    }
+  }
+
+  /**
+   * Stock batches of a product with lot number and harvest date,
+   * for the traceability block
+   *
+   * @param {string} productId - Product UUID
+   * @returns {Promise<{batches: Array, error: string|null}>}
+   */
+  async getProductBatches(productId) {
+    if (!isSupabaseConfigured()) {
+      return { batches: [], error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('weight_inventory')
+        .select('weight_grams, quantity, lot_number, harvest_date')
+        .eq('product_id', productId)
+        .order('weight_grams');
+
+      if (error) {
+        return { batches: [], error: 'Errore nel caricamento dei lotti' };
+      }
+
+      return { batches: data || [], error: null };
+    } catch (err) {
+      console.error('Product batches fetch error:', err);
+      return { batches: [], error: 'Errore nel caricamento dei lotti' };
+    }
+  }
+
   /**
    * Get price range for filters
    * 
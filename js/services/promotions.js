@@ -2,12 +2,29 @@
  * Promotions Service
  * Avenue M. E-commerce Platform
  * 
- * Handles promotional campaigns and discount calculations
+ * Handles promotional campaigns and discount calculations.
+ * Eligibility and amounts come from _shared/promotions.js, the same rules
+ * create-checkout-session applies.
  */
 
 import { supabase, isSupabaseConfigured } from '../supabase.js';
+import {
+  evaluatePromotion,
+  evaluatePromotions,
+  formatPromotionLabel,
+  loadAutoPromotions,
+  loadCustomerRedemptions,
+  loadPromotionByCode,
+  loadPromotionCategories
+} from '../../supabase/functions/_shared/promotions.js';
 
 class PromotionService {
+  constructor() {
+    // Automatic promotions are re-evaluated on every cart change
+    this.autoPromotionsCache = null;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+  }
+
   /**
    * Get all active promotions
    */
@@ -52,18 +69,8 @@ class PromotionService {
     }
 
     try {
-      const now = new Date().toISOString();
-      
-      const { data, error } = await supabase
-        .from('promotions')
-        .select('*')
-        .eq('code', code.toUpperCase().trim())
-        .eq('is_active', true)
-        .lte('starts_at', now)
-        .gte('ends_at', now)
-        .single();
-
-      if (error || !data) {
+      const data = await loadPromotionByCode(supabase, code);
+      if (!data) {
         return { promotion: null, error: 'Codice promozionale non valido o scaduto' };
       }
 
@@ -71,6 +78,9 @@ class PromotionService {
       if (data.usage_limit && data.usage_count >= data.usage_limit) {
         return { promotion: null, error: 'Codice promozionale esaurito' };
       }
+      if (data.promotion_code_id && data.code_usage_count >= (data.code_max_uses || 1)) {
+        return { promotion: null, error: 'Codice già utilizzato' };
+      }
 
       return { promotion: data, error: null };
     } catch (err) {
@@ -80,41 +90,27 @@ class PromotionService {
   }
 
   /**
-   * Apply promotion to cart items
+   * Apply promotion to cart items, on its own
+   * @param {Array} cartItems
+   * @param {Object} promotion
+   * @param {Object} [context] - See evaluatePromotion in _shared/promotions.js
+   * @returns {{items: Array, discount: number, promotion?: Object, error?: string, checks?: Array}}
    */
-  applyPromotion(cartItems, promotion) {
+  applyPromotion(cartItems, promotion, context = {}) {
     if (!promotion || !cartItems?.length) {
       return { items: cartItems, discount: 0 };
     }
 
-    let discount = 0;
-    const applicableItems = this._getApplicableItems(cartItems, promotion);
-    const applicableTotal = applicableItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-    if (promotion.discount_type === 'percentage') {
-      discount = (applicableTotal * promotion.discount_value) / 100;
-    } else if (promotion.discount_type === 'fixed') {
-      discount = Math.min(promotion.discount_value, applicableTotal);
-    }
-
-    // Apply minimum purchase requirement
-    if (promotion.min_purchase && applicableTotal < promotion.min_purchase) {
-      return { 
-        items: cartItems, 
-        discount: 0, 
-        error: `Acquisto minimo di €${promotion.min_purchase.toFixed(2)} richiesto` 
-      };
+    const result = evaluatePromotion(promotion, cartItems, context);
+    if (!result.applied) {
+      return { items: cartItems, discount: 0, error: result.message, checks: result.checks };
     }
 
-    // Apply maximum discount cap
-    if (promotion.max_discount && discount > promotion.max_discount) {
-      discount = promotion.max_discount;
-    }
-
-    return { 
-      items: cartItems, 
-      discount: Math.round(discount * 100) / 100,
-      promotion 
+    return {
+      items: cartItems,
+      discount: result.discount,
+      promotion,
+      checks: result.checks
     };
   }
 
@@ -127,60 +123,59 @@ class PromotionService {
   }
 
   /**
-   * Get items applicable to promotion
+   * Discount for the cart as create-checkout-session will compute it: the
+   * entered code plus automatic promotions, with stacking, caps and usage
+   * limits, and an explanation for each promotion
+   * @param {Array} cartItems
+   * @param {Object|null} codePromotion - From getPromotionByCode / isFirstOrderCodeValid
+   * @param {Object} [options]
+   * @param {string|null} [options.userId]
+   * @returns {Promise<{discount: number, discountCents: number, applied: Array, results: Array, codeResult: Object|null}>}
    */
-  _getApplicableItems(cartItems, promotion) {
-    if (!promotion.applicable_categories?.length && !promotion.applicable_products?.length) {
-      return cartItems; // Applies to all items
-    }
-
-    return cartItems.filter(item => {
-      if (promotion.applicable_products?.includes(item.productId)) {
-        return true;
-      }
-      if (promotion.applicable_categories?.includes(item.categoryId)) {
-        return true;
-      }
-      return false;
+  async evaluateCart(cartItems, codePromotion = null, { userId = null } = {}) {
+    const items = cartItems || [];
+    const autoPromotions = items.length ? await this._getAutoPromotions() : [];
+    const promotions = [
+      ...(codePromotion ? [codePromotion] : []),
+      ...autoPromotions.filter(p => p.id !== codePromotion?.id)
+    ];
+
+    const [categoryByProduct, hasCompletedOrder, redemptionsByPromotion] = await Promise.all([
+      isSupabaseConfigured() ? loadPromotionCategories(supabase, promotions, items) : {},
+      codePromotion?.is_first_order_code && userId ? this.hasCompletedOrder(userId) : undefined,
+      isSupabaseConfigured() ? loadCustomerRedemptions(supabase, promotions, userId) : undefined
+    ]);
+
+    const result = evaluatePromotions(promotions, items, {
+      userId,
+      hasCompletedOrder,
+      redemptionsByPromotion,
+      categoryByProduct
     });
+    return { ...result, codeResult: codePromotion ? result.results[0] : null };
   }
 
-  /**
-   * Auto-apply best promotion to cart
-   */
-  async autoApplyBestPromotion(cartItems) {
-    const { promotions } = await this.getActivePromotions();
-    
-    if (!promotions.length) {
-      return { items: cartItems, discount: 0, promotion: null };
-    }
-
-    // Find promotion with highest discount
-    let bestResult = { items: cartItems, discount: 0, promotion: null };
+  async _getAutoPromotions() {
+    if (!isSupabaseConfigured()) return [];
 
-    for (const promo of promotions) {
-      if (promo.auto_apply) {
-        const result = this.applyPromotion(cartItems, promo);
-        if (result.discount > bestResult.discount) {
-          bestResult = result;
-        }
-      }
+    const cached = this.autoPromotionsCache;
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data;
     }
 
-    return bestResult;
+    const data = await loadAutoPromotions(supabase);
+    this.autoPromotionsCache = { data, timestamp: Date.now() };
+    return data;
   }
 
   /**
-   * Increment promotion usage count
+   * Auto-apply best promotion to cart
    */
-  async incrementUsage(promotionId) {
-    if (!isSupabaseConfigured()) return;
+  async autoApplyBestPromotion(cartItems) {
+    const { applied, discount } = await this.evaluateCart(cartItems);
+    const best = [...applied].sort((a, b) => b.discountCents - a.discountCents)[0];
 
-    try {
-      await supabase.rpc('increment_promotion_usage', { promo_id: promotionId });
-    } catch (err) {
-      console.error('Increment promotion usage error:', err);
-    }
+    return { items: cartItems, discount, promotion: best || null };
   }
 
   /**
@@ -188,11 +183,7 @@ class PromotionService {
    */
   formatDiscount(promotion) {
     if (!promotion) return '';
-    
-    if (promotion.discount_type === 'percentage') {
-      return `-${promotion.discount_value}%`;
-    }
-    return `-€${promotion.discount_value.toFixed(2)}`;
+    return formatPromotionLabel(promotion);
   }
 
   // ============================================
@@ -0,0 +1,228 @@
+/**
+ * Recall Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Admin recalls by lot number: finds the order lines and customers that
+ * received a lot, withdraws its stock, notifies customers by push
+ * (send-push-notification) and email (send-order-email, recall template).
+ * Every step is written to audit_log, which is also where progress is read from.
+ */
+
+import { supabase, isSupabaseConfigured, getCustomerEmails } from '../supabase.js';
+import { getErrorMessage } from '../utils/errors.js';
+import { auditLogger } from '../utils/audit.js';
+import {
+  RECALL_ACTIONS,
+  groupAffectedCustomers,
+  buildRecallHistory,
+  buildRecallCsv
+} from '../utils/recalls.js';
+
+class RecallService {
+  /**
+   * Lot numbers of a product: in stock now or already sold
+   * @param {string} productId
+   * @returns {Promise<{lots: string[], error: string|null}>}
+   */
+  async getLots(productId) {
+    if (!isSupabaseConfigured()) {
+      return { lots: [], error: 'Sistema non configurato' };
+    }
+
+    const [stock, sold] = await Promise.all([
+      supabase.from('weight_inventory').select('lot_number').eq('product_id', productId).not('lot_number', 'is', null),
+      supabase.from('order_items').select('lot_number').eq('product_id', productId).not('lot_number', 'is', null)
+    ]);
+
+    if (stock.error || sold.error) {
+      console.error('Load lots error:', stock.error || sold.error);
+      return { lots: [], error: getErrorMessage('unknown') };
+    }
+
+    const lots = new Set([...(stock.data || []), ...(sold.data || [])].map(row => row.lot_number));
+    return { lots: [...lots].sort().reverse(), error: null };
+  }
+
+  /**
+   * Customers and orders that received the lot. Cancelled orders never left.
+   * @param {string} productId
+   * @param {string} lotNumber
+   * @returns {Promise<{customers: Array, lines: Array, error: string|null}>}
+   */
+  async getAffectedCustomers(productId, lotNumber) {
+    if (!isSupabaseConfigured()) {
+      return { customers: [], lines: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('order_items')
+      .select(`
+        id, order_id, product_name, quantity, weight_grams, lot_number,
+        orders!inner(id, order_number, created_at, status, user_id, shipping_address)
+      `)
+      .eq('product_id', productId)
+      .eq('lot_number', lotNumber)
+      .neq('orders.status', 'cancelled');
+
+    if (error) {
+      console.error('Load recall orders error:', error);
+      return { customers: [], lines: [], error: getErrorMessage('unknown') };
+    }
+
+    const emails = await getCustomerEmails((data || []).map(line => line.orders.user_id));
+    return { customers: groupAffectedCustomers(data || [], emails), lines: data || [], error: null };
+  }
+
+  /**
+   * Recalls with progress, newest first
+   * @returns {Promise<{recalls: Array, error: string|null}>}
+   */
+  async getRecalls() {
+    if (!isSupabaseConfigured()) {
+      return { recalls: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('audit_log')
+      .select('action, details, created_at')
+      .in('action', Object.values(RECALL_ACTIONS))
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Load recalls error:', error);
+      return { recalls: [], error: getErrorMessage('unknown') };
+    }
+
+    return { recalls: buildRecallHistory(data || []), error: null };
+  }
+
+  /**
+   * Open a recall: stock of the lot is withdrawn from sale and the recall
+   * is recorded with the number of orders to notify
+   * @param {Object} params
+   * @param {Object} params.product - id, name
+   * @param {string} params.lotNumber
+   * @param {string} params.reason - shown to customers
+   * @param {string} [params.instructions] - what customers should do
+   * @param {number} params.affectedOrders
+   * @returns {Promise<{recall: Object|null, error: string|null}>}
+   */
+  async startRecall({ product, lotNumber, reason, instructions = '', affectedOrders = 0 }) {
+    if (!product?.id || !lotNumber) {
+      return { recall: null, error: getErrorMessage('recall/missing-lot') };
+    }
+    if (!reason?.trim()) {
+      return { recall: null, error: getErrorMessage('recall/missing-reason') };
+    }
+
+    const { error: stockError } = await supabase
+      .from('weight_inventory')
+      .update({ quantity: 0 })
+      .eq('product_id', product.id)
+      .eq('lot_number', lotNumber);
+
+    if (stockError) {
+      console.error('Withdraw recalled stock error:', stockError);
+      return { recall: null, error: getErrorMessage('unknown') };
+    }
+
+    const recall = {
+      recall_id: crypto.randomUUID(),
+      product_id: product.id,
+      product_name: product.name,
+      lot_number: lotNumber,
+      reason: reason.trim(),
+      instructions: instructions.trim(),
+      affected_orders: affectedOrders
+    };
+
+    const { success } = await auditLogger.log(RECALL_ACTIONS.started, recall);
+    if (!success) {
+      return { recall: null, error: getErrorMessage('unknown') };
+    }
+
+    return { recall: { ...recall, id: recall.recall_id }, error: null };
+  }
+
+  /**
+   * Tell one customer about the recall, for each of their affected orders.
+   * Guests without an account only get the email.
+   * @param {Object} recall - from startRecall or getRecalls
+   * @param {Object} customer - from getAffectedCustomers
+   * @returns {Promise<{notified: number, failed: number}>}
+   */
+  async notifyCustomer(recall, customer) {
+    let notified = 0;
+    let failed = 0;
+
+    // One push per customer, whatever the number of orders
+    let push = false;
+    if (customer.user_id) {
+      const { data, error } = await supabase.functions.invoke('send-push-notification', {
+        body: {
+          product_id: recall.product_id,
+          notification_type: 'product_recall',
+          user_ids: [customer.user_id],
+          custom_title: `⚠️ Richiamo: ${recall.product_name}`,
+          custom_body: `Lotto ${recall.lot_number}: ${recall.reason}`
+        }
+      });
+      push = !error && data?.sent > 0;
+    }
+
+    for (const order of customer.orders) {
+      const { data, error } = await supabase.functions.invoke('send-order-email', {
+        body: {
+          orderId: order.order_id,
+          status: 'recall',
+          recall: {
+            productId: recall.product_id,
+            productName: recall.product_name,
+            lotNumber: recall.lot_number,
+            reason: recall.reason,
+            instructions: recall.instructions
+          }
+        }
+      });
+      const email = !error && data?.success === true;
+
+      await auditLogger.log(RECALL_ACTIONS.notified, {
+        recall_id: recall.id,
+        order_id: order.order_id,
+        push,
+        email
+      });
+
+      if (email || push) notified++;
+      else failed++;
+    }
+
+    return { notified, failed };
+  }
+
+  /**
+   * Customer list for the authorities as CSV; the export is logged
+   * @param {Object} recall
+   * @param {Array} customers
+   * @returns {Promise<string>}
+   */
+  async exportCustomers(recall, customers) {
+    await auditLogger.log(RECALL_ACTIONS.exported, {
+      recall_id: recall.id,
+      customers: customers.length
+    });
+    return buildRecallCsv(recall, customers);
+  }
+
+  /**
+   * Mark the recall as handled
+   * @param {Object} recall
+   */
+  async closeRecall(recall) {
+    const { success } = await auditLogger.log(RECALL_ACTIONS.closed, { recall_id: recall.id });
+    return { error: success ? null : getErrorMessage('unknown') };
+  }
+}
+
+export const recallService = new RecallService();
+export default recallService;
@@ -0,0 +1,185 @@
+/**
+ * Recipe Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Published recipes, the recipes that use a product, and "add all
+ * ingredients to the cart" through cartService.addItem.
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { cartService } from './cart.js';
+import { planRecipeCart } from '../utils/recipes.js';
+
+const RECIPE_CARD_FIELDS = 'id, slug, title, summary, images, servings, prep_minutes, cook_minutes, difficulty';
+
+class RecipeService {
+  /**
+   * Published recipes, newest first
+   * @param {number} [limit]
+   * @returns {Promise<{recipes: Array, error: string|null}>}
+   */
+  async getRecipes(limit = 48) {
+    if (!isSupabaseConfigured()) {
+      return { recipes: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('recipes')
+      .select(RECIPE_CARD_FIELDS)
+      .eq('is_published', true)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Load recipes error:', error);
+      return { recipes: [], error: 'Errore nel caricamento delle ricette' };
+    }
+
+    return { recipes: data || [], error: null };
+  }
+
+  /**
+   * One recipe with its ingredient lines, their products and the stock
+   * of those products
+   * @param {string} slug
+   * @returns {Promise<{recipe: Object|null, inventory: Object, error: string|null}>}
+   */
+  async getRecipeBySlug(slug) {
+    if (!isSupabaseConfigured()) {
+      return { recipe: null, inventory: {}, error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('recipes')
+      .select('*, recipe_ingredients(*, products(id, name, slug, gender, price, sale_price, images, unit_measure, is_active))')
+      .eq('slug', slug)
+      .eq('is_published', true)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Load recipe error:', error);
+      return { recipe: null, inventory: {}, error: 'Errore nel caricamento della ricetta' };
+    }
+    if (!data) {
+      return { recipe: null, inventory: {}, error: 'Ricetta non trovata' };
+    }
+
+    const recipe = {
+      ...data,
+      recipe_ingredients: (data.recipe_ingredients || []).sort((a, b) => a.position - b.position)
+    };
+
+    return { recipe, inventory: await this._getInventory(recipe.recipe_ingredients), error: null };
+  }
+
+  async _getInventory(ingredients) {
+    const productIds = [...new Set(ingredients.map(i => i.product_id).filter(Boolean))];
+    if (!productIds.length) return {};
+
+    const { data, error } = await supabase
+      .from('weight_inventory')
+      .select('product_id, weight_grams, quantity')
+      .in('product_id', productIds);
+
+    if (error) {
+      console.error('Load recipe inventory error:', error);
+      return {};
+    }
+
+    return (data || []).reduce((map, row) => {
+      (map[row.product_id] = map[row.product_id] || []).push(row);
+      return map;
+    }, {});
+  }
+
+  /**
+   * Published recipes that use a product
+   * @param {string} productId
+   * @param {number} [limit]
+   * @returns {Promise<{recipes: Array, error: string|null}>}
+   */
+  async getRecipesForProduct(productId, limit = 4) {
+    if (!isSupabaseConfigured()) {
+      return { recipes: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('recipes')
+      .select(`${RECIPE_CARD_FIELDS}, recipe_ingredients!inner(product_id)`)
+      .eq('is_published', true)
+      .eq('recipe_ingredients.product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Load product recipes error:', error);
+      return { recipes: [], error: 'Errore nel caricamento delle ricette' };
+    }
+
+    return { recipes: (data || []).map(({ recipe_ingredients, ...recipe }) => recipe), error: null };
+  }
+
+  /**
+   * Number of published recipes using each product, for product lists
+   * @param {string[]} productIds
+   * @returns {Promise<{counts: Object, error: string|null}>} product_id -> count
+   */
+  async getRecipeCounts(productIds) {
+    if (!isSupabaseConfigured()) {
+      return { counts: {}, error: 'Sistema non configurato' };
+    }
+    if (!productIds?.length) {
+      return { counts: {}, error: null };
+    }
+
+    // RLS only returns lines of published recipes
+    const { data, error } = await supabase
+      .from('recipe_ingredients')
+      .select('product_id, recipe_id')
+      .in('product_id', productIds);
+
+    if (error) {
+      console.error('Load recipe counts error:', error);
+      return { counts: {}, error: 'Errore nel caricamento delle ricette' };
+    }
+
+    const recipesByProduct = {};
+    (data || []).forEach(row => {
+      (recipesByProduct[row.product_id] = recipesByProduct[row.product_id] || new Set()).add(row.recipe_id);
+    });
+
+    const counts = {};
+    Object.entries(recipesByProduct).forEach(([productId, recipes]) => {
+      counts[productId] = recipes.size;
+    });
+    return { counts, error: null };
+  }
+
+  /**
+   * Add every available ingredient of the recipe to the cart
+   * @param {Object} recipe - from getRecipeBySlug
+   * @param {Object} inventory - from getRecipeBySlug
+   * @param {Object} [options]
+   * @param {boolean} [options.includeOptional=true]
+   * @returns {Promise<{added: number, skipped: Array, error: string|null}>}
+   */
+  async addIngredientsToCart(recipe, inventory, { includeOptional = true } = {}) {
+    const { items, skipped } = planRecipeCart(recipe.recipe_ingredients, inventory, { includeOptional });
+
+    let added = 0;
+    let error = null;
+    for (const item of items) {
+      const result = await cartService.addItem(item);
+      if (result?.success) {
+        added++;
+      } else {
+        error = result?.error || 'Errore nell\'aggiunta al carrello';
+      }
+    }
+
+    return { added, skipped, error };
+  }
+}
+
+export const recipeService = new RecipeService();
+export default recipeService;
@@ -0,0 +1,302 @@
+/**
+ * Returns Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Customer return / complaint requests on delivered orders (with photos),
+ * their admin review through the process-return Edge Function and
+ * weight adjustments of weighed lines through adjust-order
+ */
+
+import { supabase, isSupabaseConfigured, getCustomerEmails } from '../supabase.js';
+import { getErrorMessage } from '../utils/errors.js';
+import {
+  DEFAULT_RETURN_POLICY,
+  RETURN_REASONS,
+  loadReturnPolicy,
+  isReturnEligible,
+  getReturnableQuantities,
+  calculateReturnRefund,
+  calculateWeightAdjustment,
+  getReturnStatusLabel
+} from '../../supabase/functions/_shared/returns.js';
+
+const PHOTOS_BUCKET = 'return-photos';
+const PHOTO_URL_TTL_SECONDS = 600;
+
+class ReturnService {
+  constructor() {
+    this.policy = null;
+    this.reasons = RETURN_REASONS;
+  }
+
+  /**
+   * Load the return policy once per page
+   * @returns {Promise<Object>} Return policy
+   */
+  async loadPolicy() {
+    if (this.policy) return this.policy;
+
+    this.policy = isSupabaseConfigured()
+      ? await loadReturnPolicy(supabase)
+      : DEFAULT_RETURN_POLICY;
+    return this.policy;
+  }
+
+  /**
+   * Whether the customer can still report a problem on the order
+   */
+  isEligible(order) {
+    return isReturnEligible(order, this.policy || DEFAULT_RETURN_POLICY);
+  }
+
+  getStatusLabel(status) {
+    return getReturnStatusLabel(status);
+  }
+
+  /**
+   * Return requests of an order, newest first
+   * @returns {Promise<{returns: Array, error: string|null}>}
+   */
+  async getOrderReturns(orderId) {
+    if (!isSupabaseConfigured()) {
+      return { returns: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('return_requests')
+      .select('*, return_request_items(order_item_id, quantity, amount)')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Load return requests error:', error);
+      return { returns: [], error: getErrorMessage('unknown') };
+    }
+
+    const emails = await getCustomerEmails((data || []).map(request => request.user_id));
+    const returns = (data || []).map(request => ({
+      ...request,
+      customer_email: emails.get(request.user_id) || request.orders?.shipping_address?.email || ''
+    }));
+    return { returns, error: null };
+  }
+
+  /**
+   * Units of each order line that can still be reported
+   * @returns {Object<string, number>} order_item_id -> quantity
+   */
+  getReturnableQuantities(order, returns) {
+    return getReturnableQuantities(order.order_items || [], returns);
+  }
+
+  /**
+   * Upload the customer's photos into their folder of the private bucket
+   * @param {string} userId
+   * @param {File[]} files
+   * @returns {Promise<{paths: string[], error: string|null}>}
+   */
+  async uploadPhotos(userId, files = []) {
+    const paths = [];
+
+    for (const [index, file] of files.entries()) {
+      const ext = (file.name.split('.').pop() || 'jpg').toLowerCase();
+      const path = `${userId}/${Date.now()}-${index}.${ext}`;
+
+      const { error } = await supabase.storage
+        .from(PHOTOS_BUCKET)
+        .upload(path, file, { contentType: file.type, upsert: false });
+
+      if (error) {
+        console.error('Return photo upload error:', error);
+        if (paths.length) {
+          await supabase.storage.from(PHOTOS_BUCKET).remove(paths);
+        }
+        return { paths: [], error: getErrorMessage('returns/upload-failed') };
+      }
+      paths.push(path);
+    }
+
+    return { paths, error: null };
+  }
+
+  /**
+   * Open a return request
+   * @param {Object} params - { orderId, reason, description, items: [{orderItemId, quantity}], photos: File[] }
+   * @returns {Promise<{returnId?: string, error: string|null}>}
+   */
+  async createReturn({ orderId, reason, description, items, photos = [] }) {
+    if (!isSupabaseConfigured()) {
+      return { error: 'Sistema non configurato' };
+    }
+
+    const policy = await this.loadPolicy();
+    if (photos.length > policy.max_photos) {
+      return { error: getErrorMessage('returns/too-many-photos') };
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { error: getErrorMessage('auth/session-expired') };
+    }
+
+    const { paths, error: uploadError } = await this.uploadPhotos(user.id, photos);
+    if (uploadError) return { error: uploadError };
+
+    const { data, error } = await supabase.rpc('create_return_request', {
+      p_order_id: orderId,
+      p_reason: reason,
+      p_description: description || '',
+      p_items: items.map(item => ({ order_item_id: item.orderItemId, quantity: item.quantity })),
+      p_photo_paths: paths
+    });
+
+    if (error || !data?.success) {
+      if (paths.length) {
+        await supabase.storage.from(PHOTOS_BUCKET).remove(paths);
+      }
+      if (error) console.error('Create return request error:', error);
+      return { error: getErrorMessage(data?.reason ? `returns/${data.reason.replace(/_/g, '-')}` : 'unknown') };
+    }
+
+    return { returnId: data.return_id, error: null };
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * Return requests with order details and the customer email (customer_email)
+   * @param {string} [status] - pending | approved | rejected
+   */
+  async getReturns(status) {
+    let query = supabase
+      .from('return_requests')
+      .select(`
+        *,
+        return_request_items(order_item_id, quantity, amount, order_items(product_name, product_price, quantity)),
+        orders(order_number, subtotal, shipping_cost, total, refunded_amount, credited_amount, payment_provider, shipping_address)
+      `)
+      .order('created_at', { ascending: status === 'pending' });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Load returns error:', error);
+      return { returns: [], error: getErrorMessage('unknown') };
+    }
+
+    const emails = await getCustomerEmails((data || []).map(request => request.user_id));
+    const returns = (data || []).map(request => ({
+      ...request,
+      customer_email: emails.get(request.user_id) || request.orders?.shipping_address?.email || ''
+    }));
+    return { returns, error: null };
+  }
+
+  /**
+   * Short-lived URLs of the request photos
+   * @param {string[]} paths
+   * @returns {Promise<string[]>}
+   */
+  async getPhotoUrls(paths = []) {
+    if (!paths.length) return [];
+
+    const { data, error } = await supabase.storage
+      .from(PHOTOS_BUCKET)
+      .createSignedUrls(paths, PHOTO_URL_TTL_SECONDS);
+
+    if (error) {
+      console.error('Return photo URLs error:', error);
+      return [];
+    }
+    return (data || []).map(item => item.signedUrl).filter(Boolean);
+  }
+
+  /**
+   * Refund preview for a pending request, same calculation as process-return
+   * (before any other request on the order is approved)
+   */
+  previewRefund(request) {
+    const lines = (request.return_request_items || []).map(line => ({
+      product_price: line.order_items?.product_price ?? line.amount / line.quantity,
+      quantity: line.quantity
+    }));
+    return calculateReturnRefund(request.orders || {}, lines);
+  }
+
+  /**
+   * Approve: refunds the lines through Stripe
+   * @returns {Promise<{refundAmount?: number, fullRefund?: boolean, referralRevoked?: boolean, error: string|null}>}
+   */
+  async approveReturn(returnId, notes = '') {
+    const { data, error } = await this._invoke('process-return', { action: 'approve', returnId, notes });
+    if (error) return { error };
+    return {
+      refundAmount: data.refundAmount,
+      fullRefund: data.fullRefund,
+      referralRevoked: data.referralRevoked,
+      error: null
+    };
+  }
+
+  async rejectReturn(returnId, notes = '') {
+    const { error } = await this._invoke('process-return', { action: 'reject', returnId, notes });
+    return { success: !error, error };
+  }
+
+  /**
+   * Preview of the weight adjustment, same calculation as adjust-order
+   * @param {Object} order - Order with order_items
+   * @param {Object<string, number>} weights - order_item_id -> packed grams
+   */
+  previewWeightAdjustment(order, weights) {
+    const lines = (order.order_items || [])
+      .filter(item => item.weight_grams && weights[item.id] !== undefined)
+      .map(item => ({ ...item, actual_weight_grams: weights[item.id] }));
+    return calculateWeightAdjustment(order, lines);
+  }
+
+  /**
+   * Record packed weights and give the difference back
+   * @param {string} orderId
+   * @param {Object<string, number>} weights - order_item_id -> packed grams
+   * @param {'stripe'|'credit'} method
+   * @returns {Promise<{amount?: number, method?: string, emailSent?: boolean, error: string|null}>}
+   */
+  async adjustOrderWeights(orderId, weights, method, notes = '') {
+    const lines = Object.entries(weights).map(([orderItemId, actualWeightGrams]) => ({ orderItemId, actualWeightGrams }));
+    const { data, error } = await this._invoke('adjust-order', { orderId, lines, method, notes });
+    if (error) return { error };
+    return { amount: data.amount, method: data.method, emailSent: data.emailSent, error: null };
+  }
+
+  /**
+   * Call an admin Edge Function, reading the error body of non-2xx responses
+   * @private
+   */
+  async _invoke(functionName, body) {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke(functionName, { body });
+      if (error) {
+        let details = null;
+        try {
+          details = await error.context?.json?.();
+        } catch {
+          // Body is not JSON
+        }
+        return { data: null, error: details?.error || getErrorMessage(details?.code) };
+      }
+      return { data, error: null };
+    } catch (err) {
+      console.error(`${functionName} function error:`, err);
+      return { data: null, error: getErrorMessage('unknown') };
+    }
+  }
+}
+
+export const returnService = new ReturnService();
+export default returnService;
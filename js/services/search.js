@@ -0,0 +1,159 @@
+/**
+ * Search Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Autocomplete, recent and trending searches for the search overlay.
+ * Searches are logged to search_queries (log_search_query RPC); recent
+ * searches come from there for logged-in users and from localStorage
+ * for guests.
+ */
+
+import { supabase, isSupabaseConfigured, getSession } from '../supabase.js';
+import { uniqueRecentSearches, addRecentSearch } from '../utils/search.js';
+
+const RECENT_STORAGE_KEY = 'mimmo_recent_searches';
+const RECENT_LIMIT = 8;
+
+class SearchService {
+  /**
+   * Record a search and remember it as recent
+   * @param {string} query
+   * @param {number} resultCount - Products found: only searches that found
+   *   something become recent (the server counts them again for the log)
+   */
+  async logSearch(query, resultCount) {
+    if (!query?.trim()) return;
+
+    if (resultCount > 0) {
+      this._saveLocalRecent(addRecentSearch(this._getLocalRecent(), query, RECENT_LIMIT));
+    }
+
+    if (!isSupabaseConfigured()) return;
+
+    try {
+      await supabase.rpc('log_search_query', {
+        p_query: query,
+        p_session_id: sessionStorage.getItem('avenue_session_id')
+      });
+    } catch (err) {
+      // Logging must never break the search
+      console.warn('Search log error:', err);
+    }
+  }
+
+  /**
+   * Queries completing what has been typed so far
+   * @param {string} prefix
+   * @returns {Promise<Array<{suggestion: string, source: string}>>}
+   */
+  async getSuggestions(prefix) {
+    if (!isSupabaseConfigured()) return [];
+
+    const { data, error } = await supabase.rpc('get_search_suggestions', {
+      p_prefix: prefix,
+      p_limit: 6
+    });
+
+    if (error) {
+      console.error('Search suggestions error:', error);
+      return [];
+    }
+    return data || [];
+  }
+
+  /**
+   * Recent searches of this shopper, newest first
+   * @returns {Promise<string[]>}
+   */
+  async getRecentSearches() {
+    const session = isSupabaseConfigured() ? await getSession() : null;
+    if (!session) {
+      return this._getLocalRecent();
+    }
+
+    const { data, error } = await supabase
+      .from('search_queries')
+      .select('query')
+      .eq('user_id', session.user.id)
+      .gt('result_count', 0)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) {
+      console.error('Recent searches error:', error);
+      return this._getLocalRecent();
+    }
+    return uniqueRecentSearches(data.map(row => row.query), RECENT_LIMIT);
+  }
+
+  /**
+   * Forget this shopper's searches
+   */
+  async clearRecentSearches() {
+    localStorage.removeItem(RECENT_STORAGE_KEY);
+
+    const session = isSupabaseConfigured() ? await getSession() : null;
+    if (session) {
+      await supabase.from('search_queries').delete().eq('user_id', session.user.id);
+    }
+  }
+
+  /**
+   * Most searched queries of the last week
+   * @returns {Promise<string[]>}
+   */
+  async getTrendingSearches() {
+    if (!isSupabaseConfigured()) return [];
+
+    const { data, error } = await supabase.rpc('get_trending_searches', {
+      p_days: 7,
+      p_limit: 8
+    });
+
+    if (error) {
+      console.error('Trending searches error:', error);
+      return [];
+    }
+    return (data || []).map(row => row.query);
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * Searches that found no products, most shoppers first
+   * @param {number} days
+   * @returns {Promise<{searches: Array, error: string|null}>}
+   */
+  async getZeroResultSearches(days = 30) {
+    const { data, error } = await supabase.rpc('get_zero_result_searches', {
+      p_days: days
+    });
+
+    if (error) {
+      console.error('Zero-result searches error:', error);
+      return { searches: [], error: 'Errore nel caricamento delle ricerche' };
+    }
+    return { searches: data || [], error: null };
+  }
+
+  /**
+   * @private
+   */
+  _getLocalRecent() {
+    try {
+      return JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveLocalRecent(recent) {
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recent));
+  }
+}
+
+export const searchService = new SearchService();
+export default searchService;
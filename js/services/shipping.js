@@ -0,0 +1,67 @@
+/**
+ * Shipping Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Quotes shipping at checkout with the same rules and calculator
+ * used by create-checkout-session (supabase/functions/_shared/shipping.js)
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { capAutofillService } from './cap-autofill.js';
+import {
+  DEFAULT_SHIPPING_RULES,
+  loadShippingRules,
+  calculateShipping,
+  getShippingUnavailableMessage
+} from '../../supabase/functions/_shared/shipping.js';
+
+class ShippingService {
+  constructor() {
+    this.rules = null;
+  }
+
+  /**
+   * Load shipping rules once per page
+   * @returns {Promise<Object>} Shipping rules
+   */
+  async loadRules() {
+    if (this.rules) return this.rules;
+
+    this.rules = isSupabaseConfigured()
+      ? await loadShippingRules(supabase)
+      : DEFAULT_SHIPPING_RULES;
+    return this.rules;
+  }
+
+  /**
+   * Province for the zone lookup: taken from the CAP database when the CAP
+   * is known, so a mistyped province doesn't change the fee
+   * @param {{postalCode?: string, province?: string}} address
+   */
+  resolveProvince(address = {}) {
+    const cityData = address.postalCode ? capAutofillService.getCityByCap(address.postalCode) : null;
+    return cityData?.province || address.province || '';
+  }
+
+  /**
+   * Quote shipping for the cart
+   * @param {Object} params - { subtotal, items, address, fulfillment }
+   * @returns {Object} Result of calculateShipping, plus a message when unavailable
+   */
+  quote({ subtotal, items, address = {}, fulfillment }) {
+    const quote = calculateShipping(this.rules || DEFAULT_SHIPPING_RULES, {
+      subtotal,
+      items,
+      address: { postalCode: address.postalCode, province: this.resolveProvince(address) },
+      fulfillment
+    });
+
+    return {
+      ...quote,
+      message: quote.available ? null : getShippingUnavailableMessage(quote.reason)
+    };
+  }
+}
+
+export const shippingService = new ShippingService();
+export default shippingService;
@@ -0,0 +1,166 @@
+/**
+ * Subscriptions Service
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Recurring produce box ("cassetta") subscriptions billed through Stripe.
+ * Changes go through the manage-subscription Edge Function; the rows are
+ * read directly (RLS: own subscriptions, admins all).
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js';
+import { getErrorMessage } from '../utils/errors.js';
+import {
+  SUBSCRIPTION_FREQUENCIES,
+  getUpcomingBoxCounts,
+  getSubscriptionStatusLabel
+} from '../../supabase/functions/_shared/subscriptions.js';
+
+class SubscriptionService {
+  constructor() {
+    this.frequencies = SUBSCRIPTION_FREQUENCIES;
+  }
+
+  getStatusLabel(status) {
+    return getSubscriptionStatusLabel(status);
+  }
+
+  getFrequencyLabel(frequency) {
+    return SUBSCRIPTION_FREQUENCIES[frequency]?.label || frequency;
+  }
+
+  /**
+   * Start a subscription: redirects to Stripe Checkout
+   * @param {string} productId - Box product
+   * @param {string} frequency - weekly | biweekly
+   * @returns {Promise<{error: string|null}>}
+   */
+  async subscribe(productId, frequency) {
+    const { data: { session } } = isSupabaseConfigured()
+      ? await supabase.auth.getSession()
+      : { data: { session: null } };
+    if (!session) {
+      return { error: getErrorMessage('auth/session-expired') };
+    }
+
+    const baseUrl = window.location.origin + window.location.pathname.replace(/[^/]*$/, '');
+    const { data, error } = await this._invoke({
+      action: 'subscribe',
+      productId,
+      frequency,
+      successUrl: `${baseUrl}orders.html?subscription=success`,
+      cancelUrl: window.location.href
+    });
+    if (error) return { error };
+
+    window.location.href = data.url;
+    return { error: null };
+  }
+
+  /**
+   * Subscriptions of the logged-in customer, newest first
+   * @returns {Promise<{subscriptions: Array, error: string|null}>}
+   */
+  async getMySubscriptions() {
+    if (!isSupabaseConfigured()) {
+      return { subscriptions: [], error: 'Sistema non configurato' };
+    }
+
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .select('*, products(name, images)')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Load subscriptions error:', error);
+      return { subscriptions: [], error: getErrorMessage('unknown') };
+    }
+    return { subscriptions: data || [], error: null };
+  }
+
+  pause(subscriptionId) {
+    return this._update('pause', subscriptionId);
+  }
+
+  resume(subscriptionId) {
+    return this._update('resume', subscriptionId);
+  }
+
+  skipNext(subscriptionId) {
+    return this._update('skip', subscriptionId);
+  }
+
+  cancel(subscriptionId) {
+    return this._update('cancel', subscriptionId);
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * All subscriptions with box and customer details
+   * @param {string} [status] - active | paused | past_due | cancelled
+   */
+  async getSubscriptions(status) {
+    let query = supabase
+      .from('subscriptions')
+      .select('*, products(name), profiles(first_name, last_name)')
+      .order('next_billing_at', { ascending: true });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Load subscriptions error:', error);
+      return { subscriptions: [], error: getErrorMessage('unknown') };
+    }
+    return { subscriptions: data || [], error: null };
+  }
+
+  /**
+   * Boxes billed in each of the next weeks, for purchasing
+   * @param {Array} subscriptions
+   * @param {number} weeks
+   */
+  getUpcomingBoxCounts(subscriptions, weeks = 4) {
+    return getUpcomingBoxCounts(subscriptions, { weeks });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{subscription?: Object, error: string|null}>}
+   */
+  async _update(action, subscriptionId) {
+    const { data, error } = await this._invoke({ action, subscriptionId });
+    if (error) return { error };
+    return { subscription: data.subscription, error: null };
+  }
+
+  /**
+   * Call manage-subscription, reading the error body of non-2xx responses
+   * @private
+   */
+  async _invoke(body) {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: 'Sistema non configurato' };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('manage-subscription', { body });
+      if (error) {
+        let details = null;
+        try {
+          details = await error.context?.json?.();
+        } catch {
+          // Body is not JSON
+        }
+        return { data: null, error: details?.code ? getErrorMessage(details.code) : details?.error || getErrorMessage('unknown') };
+      }
+      return { data, error: null };
+    } catch (err) {
+      console.error('manage-subscription function error:', err);
+      return { data: null, error: getErrorMessage('unknown') };
+    }
+  }
+}
+
+export const subscriptionService = new SubscriptionService();
+export default subscriptionService;
@@ -100,4 +100,21 @@ export async function isAdmin() {
   return !error && data !== null;
 }
 
+/**
+ * Account emails of customers, for admin views (profiles has no email)
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, string>>} User id -> email, empty on error
+ */
+export async function getCustomerEmails(userIds = []) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (!supabase || ids.length === 0) return new Map();
+
+  const { data, error } = await supabase.rpc('get_customer_emails', { p_user_ids: ids });
+  if (error) {
+    console.error('Load customer emails error:', error);
+    return new Map();
+  }
+  return new Map((data || []).map(row => [row.user_id, row.email]));
+}
+
 export default supabase;
@@ -24,7 +24,8 @@ const SENSITIVE_ACTIONS = [
   'product_deleted',
   'promotion_created',
   'promotion_updated',
-  'user_role_changed'
+  'user_role_changed',
+  'recall_started'
 ];
 
 class AuditLogger {
@@ -0,0 +1,144 @@
+/**
+ * Cart Item Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Cart items built from a product the same way the product page builds
+ * them, for code that adds products without going through that page
+ * (recipes, frequently bought together), and the line merge rules shared
+ * by the guest cart and merge_guest_cart.
+ */
+
+export const MAX_CART_QUANTITY = 10;
+
+/**
+ * Variant label as shown by the product page weight selector, so that
+ * cart lines added from elsewhere match the ones added there
+ * @param {number} weightGrams
+ * @param {string} unitMeasure
+ * @returns {string}
+ */
+export function formatVariantLabel(weightGrams, unitMeasure) {
+  const [major, minor] = unitMeasure === 'l' || unitMeasure === 'ml' ? ['L', 'ml'] : ['Kg', 'g'];
+  return weightGrams >= 1000
+    ? `${(weightGrams / 1000).toFixed(weightGrams % 1000 === 0 ? 0 : 2)} ${major}`
+    : `${weightGrams} ${minor}`;
+}
+
+/**
+ * Item for cartService.addItem. Piece products ignore the weight;
+ * weight products default to 1 kg like the product page.
+ * @param {Object} product
+ * @param {Object} [options]
+ * @param {number|null} [options.weightGrams]
+ * @param {number} [options.quantity=1]
+ * @returns {Object}
+ */
+export function buildCartItem(product, { weightGrams = null, quantity = 1 } = {}) {
+  const unitPrice = product.sale_price || product.price;
+  const qty = Math.min(MAX_CART_QUANTITY, Math.max(1, quantity));
+
+  if ((product.unit_measure || 'kg') === 'pz') {
+    return {
+      productId: product.id,
+      name: product.name,
+      price: unitPrice,
+      image: product.images?.[0] || '',
+      size: `${qty} pz`,
+      color: 'Fresco',
+      quantity: qty,
+      weight_grams: null
+    };
+  }
+
+  const grams = weightGrams || 1000;
+  return {
+    productId: product.id,
+    name: product.name,
+    price: (unitPrice * grams) / 1000,
+    unitPrice,
+    image: product.images?.[0] || '',
+    size: formatVariantLabel(grams, product.unit_measure),
+    color: 'Fresco',
+    quantity: qty,
+    weight_grams: grams
+  };
+}
+
+/**
+ * Identity of a cart line: another weight of the same product is another line
+ * @param {Object} item - productId, size, color, weight_grams
+ * @returns {string}
+ */
+export function cartItemKey(item) {
+  return [item.productId, item.size, item.color, item.weight_grams || ''].join('|');
+}
+
+/**
+ * Add incoming lines to a cart, with the rules of merge_guest_cart
+ * (migration 041): the same line adds up its quantities up to
+ * MAX_CART_QUANTITY, a new line or weight is appended.
+ * @param {Array} cart - Lines kept first, with their data
+ * @param {Array} incoming
+ * @returns {Array} New array; the inputs are not modified
+ */
+export function mergeCartItems(cart = [], incoming = []) {
+  const merged = new Map();
+  [...cart, ...incoming].forEach(item => {
+    const key = cartItemKey(item);
+    const quantity = Math.max(1, item.quantity || 1);
+    const existing = merged.get(key);
+    merged.set(key, existing
+      ? { ...existing, quantity: Math.min(MAX_CART_QUANTITY, existing.quantity + quantity) }
+      : { ...item, quantity: Math.min(MAX_CART_QUANTITY, quantity) });
+  });
+  return [...merged.values()];
+}
+
+/**
+ * Lines as sent to save_guest_cart and merge_guest_cart: prices are
+ * never sent, the server reads them from the products
+ * @param {Array} cart
+ * @returns {Array}
+ */
+export function toCartPayload(cart = []) {
+  return cart.map(item => ({
+    product_id: item.productId,
+    size: item.size,
+    color: item.color,
+    quantity: item.quantity,
+    weight_grams: item.weight_grams || null
+  }));
+}
+
+/**
+ * Cart line from a cart_items row with products joined (or a
+ * restore_guest_cart item, same shape)
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function cartItemFromRow(row) {
+  const unitPrice = row.products?.sale_price || row.products?.price || 0;
+  const weightGrams = row.weight_grams || null;
+
+  return {
+    productId: row.product_id,
+    name: row.products?.name || 'Prodotto',
+    price: weightGrams ? (unitPrice * weightGrams) / 1000 : unitPrice,
+    unitPrice,
+    image: row.products?.images?.[0] || '',
+    size: row.size,
+    color: row.color,
+    quantity: row.quantity,
+    weight_grams: weightGrams
+  };
+}
+
+export default {
+  MAX_CART_QUANTITY,
+  formatVariantLabel,
+  buildCartItem,
+  cartItemKey,
+  mergeCartItems,
+  toCartPayload,
+  cartItemFromRow
+};
@@ -0,0 +1,30 @@
+/**
+ * CSV Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * CSV exports of the admin (promotion code batches, recall customer
+ * lists). Semicolons so they open directly in Excel with Italian settings.
+ */
+
+/**
+ * One cell, quoted only when it holds a separator, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Array>} rows - header first
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(';')).join('\r\n');
+}
+
+export default {
+  csvCell,
+  toCsv
+};
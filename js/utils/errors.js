@@ -33,11 +33,55 @@ const errorMessages = {
   'cart/item-not-found': 'Prodotto non trovato nel carrello',
   'cart/out-of-stock': 'Prodotto non disponibile',
   'cart/max-quantity': 'Quantità massima raggiunta',
+  'cart/stale': 'Il carrello non è aggiornato: verifica prezzi e disponibilità',
+  'delivery/slot-unavailable': 'La fascia di consegna scelta non è più disponibile',
+  'shipping/unavailable': 'Non è possibile spedire a questo indirizzo',
   
   // Order errors
   'order/payment-failed': 'Pagamento non riuscito. Riprova',
   'order/not-found': 'Ordine non trovato',
   
+  // Courier errors
+  'courier/not-configured': 'Corriere non configurato',
+  'courier/unsupported': 'Operazione non disponibile per questo corriere',
+  'courier/rejected': 'Il corriere ha rifiutato la richiesta: verifica l\'indirizzo',
+  'courier/unavailable': 'Il corriere non risponde. Riprova tra poco',
+  'courier/no-shipment': 'Nessuna spedizione per questo ordine',
+
+  // Return errors
+  'returns/not-delivered': 'Puoi segnalare un problema solo per ordini consegnati',
+  'returns/outside-return-window': 'Il tempo per segnalare un problema su questo ordine è scaduto',
+  'returns/already-pending': 'C\'è già una segnalazione in revisione per questo ordine',
+  'returns/no-items': 'Seleziona almeno un prodotto',
+  'returns/too-many-photos': 'Hai allegato troppe foto',
+  'returns/invalid-photo': 'Foto non valida',
+  'returns/invalid-item': 'Prodotto non presente nell\'ordine',
+  'returns/quantity-exceeded': 'Quantità superiore a quella ancora rimborsabile',
+  'returns/invalid-reason': 'Motivo non valido',
+  'returns/upload-failed': 'Caricamento delle foto non riuscito. Riprova',
+  'returns/not-found': 'Richiesta di reso non trovata',
+  'returns/already-reviewed': 'Richiesta già gestita',
+  'returns/not-refundable': 'Pagamento non rimborsabile automaticamente',
+  'returns/refund-failed': 'Rimborso Stripe non riuscito. Riprova',
+
+  // Order adjustment errors
+  'adjustment/not-adjustable': 'Ordine non modificabile',
+  'adjustment/already-adjusted': 'Pesi già registrati per questo ordine',
+  'adjustment/invalid-weight': 'Inserisci un peso valido in grammi',
+  'adjustment/credit-failed': 'Accredito non riuscito. Riprova',
+
+  // Subscription errors
+  'subscription/invalid-frequency': 'Scegli ogni quanto ricevere la cassetta',
+  'subscription/not-a-box': 'Questa cassetta non è disponibile in abbonamento',
+  'subscription/not-found': 'Abbonamento non trovato',
+  'subscription/cancelled': 'L\'abbonamento è già stato annullato',
+  'subscription/not-active': 'Puoi saltare una consegna solo con l\'abbonamento attivo',
+  'subscription/update-failed': 'Modifica dell\'abbonamento non riuscita. Riprova',
+
+  // Recall errors
+  'recall/missing-lot': 'Scegli il prodotto e il lotto da richiamare',
+  'recall/missing-reason': 'Indica il motivo del richiamo',
+
   // Generic errors
   'unknown': 'Si è verificato un errore. Riprova più tardi'
 };
@@ -0,0 +1,148 @@
+/**
+ * Facet Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Collection page filters <-> URL query string, so a filtered view can be
+ * shared as a link. Counts come from the get_product_facets RPC.
+ */
+
+import { ALLERGENS } from './nutrition.js';
+
+export const PRODUCT_CERTIFICATIONS = {
+  bio: 'Biologico',
+  igp: 'IGP',
+  dop: 'DOP'
+};
+
+export const ORIGIN_REGIONS = [
+  'Abruzzo', 'Basilicata', 'Calabria', 'Campania', 'Emilia-Romagna',
+  'Friuli-Venezia Giulia', 'Lazio', 'Liguria', 'Lombardia', 'Marche',
+  'Molise', 'Piemonte', 'Puglia', 'Sardegna', 'Sicilia', 'Toscana',
+  'Trentino-Alto Adige', 'Umbria', "Valle d'Aosta", 'Veneto', 'Estero'
+];
+
+const SORT_OPTIONS = ['newest', 'price_asc', 'price_desc', 'discount_desc', 'popular', 'in_season'];
+
+/**
+ * Facet filters with nothing selected
+ * @returns {Object}
+ */
+export function getEmptyFacetFilters() {
+  return {
+    regions: [],
+    certifications: [],
+    weights: [],
+    seasonal: false,
+    in_stock: false,
+    exclude_allergens: []
+  };
+}
+
+function readList(params, key) {
+  const value = params.get(key);
+  return value ? [...new Set(value.split(',').map(v => v.trim()).filter(Boolean))] : [];
+}
+
+function readNumber(params, key) {
+  const value = parseFloat(params.get(key));
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Filters described by a collection URL
+ * @param {URLSearchParams} params
+ * @returns {Object} getProducts filters, plus `category` as a slug
+ */
+export function readFiltersFromParams(params) {
+  const sort = params.get('sort');
+  const minDiscount = parseInt(params.get('discount'));
+
+  return {
+    gender: params.get('gender') || null,
+    category: params.get('category') || null,
+    price_min: readNumber(params, 'price_min'),
+    price_max: readNumber(params, 'price_max'),
+    min_discount: minDiscount > 0 ? minDiscount : null,
+    is_promotion: params.get('promo') === '1' ? true : null,
+    sort_by: SORT_OPTIONS.includes(sort) ? sort : 'newest',
+    regions: readList(params, 'region'),
+    certifications: readList(params, 'label').filter(c => PRODUCT_CERTIFICATIONS[c]),
+    weights: readList(params, 'weight').map(Number).filter(w => Number.isInteger(w) && w > 0),
+    // "true" kept for the old ?seasonal=true links
+    seasonal: params.get('seasonal') === '1' || params.get('seasonal') === 'true',
+    in_stock: params.get('in_stock') === '1',
+    exclude_allergens: readList(params, 'senza').filter(a => ALLERGENS[a])
+  };
+}
+
+/**
+ * Query string for the given filters, leaving defaults out
+ * @param {Object} filters - As returned by readFiltersFromParams
+ * @returns {URLSearchParams}
+ */
+export function writeFiltersToParams(filters) {
+  const params = new URLSearchParams();
+
+  if (filters.gender) params.set('gender', filters.gender);
+  if (filters.category) params.set('category', filters.category);
+  if (filters.price_min !== null && filters.price_min !== undefined) params.set('price_min', filters.price_min);
+  if (filters.price_max !== null && filters.price_max !== undefined) params.set('price_max', filters.price_max);
+  if (filters.min_discount) params.set('discount', filters.min_discount);
+  if (filters.is_promotion) params.set('promo', '1');
+  if (filters.sort_by && filters.sort_by !== 'newest') params.set('sort', filters.sort_by);
+  if (filters.regions?.length) params.set('region', filters.regions.join(','));
+  if (filters.certifications?.length) params.set('label', filters.certifications.join(','));
+  if (filters.weights?.length) params.set('weight', filters.weights.join(','));
+  if (filters.seasonal) params.set('seasonal', '1');
+  if (filters.in_stock) params.set('in_stock', '1');
+  if (filters.exclude_allergens?.length) params.set('senza', filters.exclude_allergens.join(','));
+
+  return params;
+}
+
+/**
+ * Number of facet values currently selected (for the mobile badge)
+ * @param {Object} filters
+ * @returns {number}
+ */
+export function countActiveFacets(filters) {
+  return (filters.regions?.length || 0) +
+    (filters.certifications?.length || 0) +
+    (filters.weights?.length || 0) +
+    (filters.exclude_allergens?.length || 0) +
+    (filters.seasonal ? 1 : 0) +
+    (filters.in_stock ? 1 : 0);
+}
+
+/**
+ * Add or remove a value from a multi-select facet
+ * @param {Array} values
+ * @param {*} value
+ * @returns {Array}
+ */
+export function toggleFacetValue(values, value) {
+  return values.includes(value)
+    ? values.filter(v => v !== value)
+    : [...values, value];
+}
+
+/**
+ * "500 g", "1 kg", "1,5 kg"
+ * @param {number} grams
+ * @returns {string}
+ */
+export function formatWeightLabel(grams) {
+  if (grams < 1000) return `${grams} g`;
+  return `${(grams / 1000).toLocaleString('it-IT', { maximumFractionDigits: 2 })} kg`;
+}
+
+export default {
+  PRODUCT_CERTIFICATIONS,
+  ORIGIN_REGIONS,
+  getEmptyFacetFilters,
+  readFiltersFromParams,
+  writeFiltersToParams,
+  countActiveFacets,
+  toggleFacetValue,
+  formatWeightLabel
+};
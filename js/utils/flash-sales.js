@@ -0,0 +1,178 @@
+/**
+ * Flash Sale Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Countdown badges for scheduled sale prices and the schedule labels of the
+ * admin. Prices are switched by apply_price_schedules() (migration 040):
+ * products.sale_ends_at is the end of the live window. Schedules are in
+ * shop time, like the SQL functions.
+ */
+
+export const SHOP_TIME_ZONE = 'Europe/Rome';
+
+// ISO weekdays, as price_schedules.recurrence_days
+export const WEEKDAYS = {
+  1: 'Lun',
+  2: 'Mar',
+  3: 'Mer',
+  4: 'Gio',
+  5: 'Ven',
+  6: 'Sab',
+  7: 'Dom'
+};
+
+const ISO_DAY_BY_NAME = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+const shopTimeFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: SHOP_TIME_ZONE,
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Weekday and time of day in shop time
+ * @param {Date} date
+ * @returns {{isoDay: number, time: string}} time as "HH:MM"
+ */
+export function getShopTime(date) {
+  const parts = Object.fromEntries(shopTimeFormat.formatToParts(date).map(p => [p.type, p.value]));
+  return { isoDay: ISO_DAY_BY_NAME[parts.weekday], time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Same rule as best_price_schedule(): inside the period and, for flash
+ * sales, on one of the days between daily_start and daily_end
+ * @param {Object} schedule - price_schedules row
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+export function isPriceScheduleLive(schedule, at = new Date()) {
+  if (!schedule?.is_active) return false;
+  if (at < new Date(schedule.starts_at)) return false;
+  if (schedule.ends_at && at >= new Date(schedule.ends_at)) return false;
+
+  const days = schedule.recurrence_days || [];
+  if (days.length === 0) return true;
+
+  const { isoDay, time } = getShopTime(at);
+  const start = String(schedule.daily_start || '').slice(0, 5);
+  const end = String(schedule.daily_end || '').slice(0, 5);
+  return days.includes(isoDay) && time >= start && time < end;
+}
+
+/**
+ * Admin label, e.g. "-20% · Ven 18:00–20:00" or "€2.50 · dal 01/10 al 05/10"
+ * @param {Object} schedule
+ * @returns {string}
+ */
+export function formatPriceSchedule(schedule) {
+  const price = schedule.sale_price
+    ? `€${Number(schedule.sale_price).toFixed(2)}`
+    : `-${Number(schedule.discount_percent)}%`;
+  const date = (value) => new Date(value).toLocaleDateString('it-IT', {
+    timeZone: SHOP_TIME_ZONE, day: '2-digit', month: '2-digit'
+  });
+  const period = schedule.ends_at
+    ? `dal ${date(schedule.starts_at)} al ${date(schedule.ends_at)}`
+    : `dal ${date(schedule.starts_at)}`;
+
+  const days = [...(schedule.recurrence_days || [])].sort((a, b) => a - b);
+  if (days.length === 0) return `${price} · ${period}`;
+
+  const hours = `${String(schedule.daily_start).slice(0, 5)}–${String(schedule.daily_end).slice(0, 5)}`;
+  const dayNames = days.length === 7 ? 'Ogni giorno' : days.map(d => WEEKDAYS[d]).join(', ');
+  return `${price} · ${dayNames} ${hours} · ${period}`;
+}
+
+/**
+ * Remaining time as shown on the badge: "2g 5h", "1h 05m", "4m 09s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  if (days > 0) return `${days}g ${hours}h`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  return `${minutes}m ${pad(seconds)}s`;
+}
+
+/**
+ * Countdown of a product on a scheduled sale, null otherwise
+ * @param {Object} product - price, sale_price, sale_ends_at
+ * @param {Date} [now]
+ * @returns {{endsAt: Date, remainingMs: number, label: string}|null}
+ */
+export function getSaleCountdown(product, now = new Date()) {
+  if (!product?.sale_ends_at || !(product.sale_price && product.sale_price < product.price)) return null;
+
+  const endsAt = new Date(product.sale_ends_at);
+  const remainingMs = endsAt - now;
+  if (!(remainingMs > 0)) return null;
+
+  return { endsAt, remainingMs, label: formatCountdown(remainingMs) };
+}
+
+/**
+ * Countdown badge for product cards, the quick view and the promos page.
+ * Kept up to date by startSaleCountdowns().
+ * @param {Object} product
+ * @returns {string}
+ */
+export function renderSaleCountdown(product) {
+  const countdown = getSaleCountdown(product);
+  if (!countdown) return '';
+
+  startSaleCountdowns();
+  return `<span class="sale-countdown" data-sale-ends-at="${countdown.endsAt.toISOString()}" title="L'offerta termina il ${countdown.endsAt.toLocaleString('it-IT', { timeZone: SHOP_TIME_ZONE, dateStyle: 'short', timeStyle: 'short' })}">⏱ ${countdown.label}</span>`;
+}
+
+let countdownTimer = null;
+
+/**
+ * Tick every countdown badge on the page once a second; stops when none is left
+ */
+export function startSaleCountdowns() {
+  if (countdownTimer || typeof document === 'undefined') return;
+
+  countdownTimer = setInterval(() => {
+    const badges = document.querySelectorAll('.sale-countdown[data-sale-ends-at]');
+    if (badges.length === 0) {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+      return;
+    }
+
+    const now = Date.now();
+    badges.forEach(badge => {
+      const remainingMs = new Date(badge.dataset.saleEndsAt) - now;
+      if (remainingMs > 0) {
+        badge.textContent = `⏱ ${formatCountdown(remainingMs)}`;
+      } else {
+        // The price goes back at the next apply-price-schedules run
+        badge.textContent = 'Offerta terminata';
+        badge.classList.add('expired');
+        badge.removeAttribute('data-sale-ends-at');
+      }
+    });
+  }, 1000);
+}
+
+export default {
+  SHOP_TIME_ZONE,
+  WEEKDAYS,
+  getShopTime,
+  isPriceScheduleLive,
+  formatPriceSchedule,
+  formatCountdown,
+  getSaleCountdown,
+  renderSaleCountdown,
+  startSaleCountdowns
+};
@@ -0,0 +1,263 @@
+/**
+ * Nutrition and Allergen Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Food information required by EU Regulation 1169/2011 for conserve,
+ * cheeses, cured meats and prepared dishes: ingredients in descending
+ * order with allergens emphasised, the 14 allergens of Annex II, the
+ * nutrition declaration per 100 g and the date marking.
+ */
+
+// Annex II, in the order of the regulation
+export const ALLERGENS = {
+  glutine: 'Cereali contenenti glutine',
+  crostacei: 'Crostacei',
+  uova: 'Uova',
+  pesce: 'Pesce',
+  arachidi: 'Arachidi',
+  soia: 'Soia',
+  latte: 'Latte (incluso lattosio)',
+  frutta_a_guscio: 'Frutta a guscio',
+  sedano: 'Sedano',
+  senape: 'Senape',
+  sesamo: 'Semi di sesamo',
+  solfiti: 'Anidride solforosa e solfiti',
+  lupini: 'Lupini',
+  molluschi: 'Molluschi'
+};
+
+// Short labels for the "Senza ..." filter
+export const ALLERGEN_FREE_LABELS = {
+  glutine: 'Senza glutine',
+  crostacei: 'Senza crostacei',
+  uova: 'Senza uova',
+  pesce: 'Senza pesce',
+  arachidi: 'Senza arachidi',
+  soia: 'Senza soia',
+  latte: 'Senza lattosio',
+  frutta_a_guscio: 'Senza frutta a guscio',
+  sedano: 'Senza sedano',
+  senape: 'Senza senape',
+  sesamo: 'Senza sesamo',
+  solfiti: 'Senza solfiti',
+  lupini: 'Senza lupini',
+  molluschi: 'Senza molluschi'
+};
+
+// Nutrition declaration rows, in the mandatory order (Annex XV)
+export const NUTRIENTS = [
+  { key: 'energy_kj', label: 'Energia', unit: 'kJ' },
+  { key: 'energy_kcal', label: 'Energia', unit: 'kcal' },
+  { key: 'fat', label: 'Grassi', unit: 'g' },
+  { key: 'saturates', label: 'di cui acidi grassi saturi', unit: 'g', sub: true },
+  { key: 'carbohydrate', label: 'Carboidrati', unit: 'g' },
+  { key: 'sugars', label: 'di cui zuccheri', unit: 'g', sub: true },
+  { key: 'fibre', label: 'Fibre', unit: 'g' },
+  { key: 'protein', label: 'Proteine', unit: 'g' },
+  { key: 'salt', label: 'Sale', unit: 'g' }
+];
+
+export const DATE_MARKINGS = {
+  use_by: 'Da consumarsi entro',
+  best_before: 'Da consumarsi preferibilmente entro'
+};
+
+const KJ_PER_KCAL = 4.184;
+
+/**
+ * Known allergen codes, deduplicated, in regulation order
+ * @param {string[]} codes
+ * @returns {string[]}
+ */
+export function normalizeAllergens(codes) {
+  const set = new Set(codes || []);
+  return Object.keys(ALLERGENS).filter(code => set.has(code));
+}
+
+function findAllergen(text) {
+  const needle = text.trim().toLowerCase();
+  return Object.keys(ALLERGENS).find(code =>
+    code === needle.replace(/\s+/g, '_') || ALLERGENS[code].toLowerCase() === needle
+  ) || null;
+}
+
+/**
+ * Ingredients from the admin textarea, one per line:
+ * "Ricotta di pecora 60% [latte]" -> { name, percent: 60, allergen: 'latte' }
+ * @param {string} text
+ * @returns {Array<{name: string, percent: number|null, allergen: string|null}>}
+ */
+export function parseIngredientLines(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => {
+      let rest = line.trim();
+      let allergen = null;
+      let percent = null;
+
+      const tag = rest.match(/\[([^\]]+)\]\s*$/);
+      if (tag) {
+        allergen = findAllergen(tag[1]);
+        rest = rest.slice(0, tag.index).trim();
+      }
+
+      const pct = rest.match(/(\d+(?:[.,]\d+)?)\s*%$/);
+      if (pct) {
+        percent = parseFloat(pct[1].replace(',', '.'));
+        rest = rest.slice(0, pct.index).trim();
+      }
+
+      return { name: rest, percent, allergen };
+    })
+    .filter(ingredient => ingredient.name);
+}
+
+/**
+ * Inverse of parseIngredientLines, to fill the admin textarea
+ * @param {Array} ingredients
+ * @returns {string}
+ */
+export function formatIngredientLines(ingredients) {
+  return (ingredients || []).map(ingredient => [
+    ingredient.name,
+    ingredient.percent !== null && ingredient.percent !== undefined ? `${String(ingredient.percent).replace('.', ',')}%` : '',
+    ingredient.allergen ? `[${ingredient.allergen}]` : ''
+  ].filter(Boolean).join(' ')).join('\n');
+}
+
+/**
+ * Allergens the product contains: those tagged on ingredients plus the
+ * ones declared by hand
+ * @param {Array} ingredients
+ * @param {string[]} declared
+ * @returns {string[]}
+ */
+export function getContainedAllergens(ingredients, declared = []) {
+  return normalizeAllergens([
+    ...(ingredients || []).map(ingredient => ingredient.allergen).filter(Boolean),
+    ...declared
+  ]);
+}
+
+/**
+ * Nutrition values per 100 g: non-negative numbers, energy in kJ filled
+ * from kcal (and back) when only one is given. Empty -> null.
+ * @param {Object} values
+ * @returns {Object|null}
+ */
+export function normalizeNutrition(values) {
+  const result = {};
+  NUTRIENTS.forEach(({ key }) => {
+    const value = parseFloat(String(values?.[key] ?? '').replace(',', '.'));
+    if (Number.isFinite(value) && value >= 0) {
+      result[key] = Math.round(value * 10) / 10;
+    }
+  });
+
+  if (result.energy_kcal !== undefined && result.energy_kj === undefined) {
+    result.energy_kj = Math.round(result.energy_kcal * KJ_PER_KCAL);
+  } else if (result.energy_kj !== undefined && result.energy_kcal === undefined) {
+    result.energy_kcal = Math.round(result.energy_kj / KJ_PER_KCAL);
+  }
+
+  return Object.keys(result).length ? result : null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('it-IT', { maximumFractionDigits: 1 });
+}
+
+/**
+ * Whether the product has any food information to show
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export function hasFoodInformation(product) {
+  return Boolean(
+    product?.ingredients?.length || product?.allergens?.length || product?.may_contain?.length ||
+    (product?.nutrition && Object.keys(product.nutrition).length) ||
+    product?.shelf_life_days || product?.storage_instructions
+  );
+}
+
+/**
+ * Label block: ingredients with allergens in bold, allergen statements,
+ * nutrition table per 100 g and date marking. '' when there is nothing to show.
+ * @param {Object} product
+ * @returns {string}
+ */
+export function renderFoodLabel(product) {
+  if (!hasFoodInformation(product)) return '';
+
+  const parts = [];
+
+  if (product.ingredients?.length) {
+    const list = product.ingredients.map(ingredient => {
+      const name = escapeHtml(ingredient.name);
+      const percent = ingredient.percent !== null && ingredient.percent !== undefined ? ` ${formatNumber(ingredient.percent)}%` : '';
+      return ingredient.allergen ? `<strong>${name}</strong>${percent}` : `${name}${percent}`;
+    }).join(', ');
+    parts.push(`<p class="food-label-ingredients"><span class="food-label-heading">Ingredienti:</span> ${list}.</p>`);
+  }
+
+  const contains = normalizeAllergens(product.allergens);
+  const traces = normalizeAllergens(product.may_contain).filter(code => !contains.includes(code));
+  if (contains.length) {
+    parts.push(`<p class="food-label-allergens"><span class="food-label-heading">Allergeni:</span> contiene ${contains.map(code => `<strong>${ALLERGENS[code].toLowerCase()}</strong>`).join(', ')}.</p>`);
+  }
+  if (traces.length) {
+    parts.push(`<p class="food-label-allergens">Può contenere tracce di ${traces.map(code => ALLERGENS[code].toLowerCase()).join(', ')}.</p>`);
+  }
+
+  const nutrition = product.nutrition || {};
+  if (Object.keys(nutrition).length) {
+    const energy = nutrition.energy_kj !== undefined || nutrition.energy_kcal !== undefined
+      ? `<tr><td>Energia</td><td>${[
+        nutrition.energy_kj !== undefined ? `${formatNumber(nutrition.energy_kj)} kJ` : '',
+        nutrition.energy_kcal !== undefined ? `${formatNumber(nutrition.energy_kcal)} kcal` : ''
+      ].filter(Boolean).join(' / ')}</td></tr>`
+      : '';
+    const rows = NUTRIENTS
+      .filter(({ key }) => !key.startsWith('energy') && nutrition[key] !== undefined)
+      .map(({ key, label, unit, sub }) => `<tr${sub ? ' class="sub"' : ''}><td>${label}</td><td>${formatNumber(nutrition[key])} ${unit}</td></tr>`)
+      .join('');
+    parts.push(`
+      <table class="food-label-nutrition">
+        <thead><tr><th>Valori nutrizionali medi</th><th>per 100 g</th></tr></thead>
+        <tbody>${energy}${rows}</tbody>
+      </table>
+    `);
+  }
+
+  if (product.shelf_life_days) {
+    const marking = DATE_MARKINGS[product.date_marking] || DATE_MARKINGS.best_before;
+    parts.push(`<p class="food-label-shelf-life"><span class="food-label-heading">${marking}:</span> ${product.shelf_life_days} giorni dal confezionamento.</p>`);
+  }
+  if (product.storage_instructions) {
+    parts.push(`<p class="food-label-storage"><span class="food-label-heading">Conservazione:</span> ${escapeHtml(product.storage_instructions)}</p>`);
+  }
+
+  return `<div class="food-label">${parts.join('')}</div>`;
+}
+
+export default {
+  ALLERGENS,
+  ALLERGEN_FREE_LABELS,
+  NUTRIENTS,
+  DATE_MARKINGS,
+  normalizeAllergens,
+  parseIngredientLines,
+  formatIngredientLines,
+  getContainedAllergens,
+  normalizeNutrition,
+  hasFoodInformation,
+  renderFoodLabel
+};
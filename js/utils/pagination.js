@@ -0,0 +1,94 @@
+/**
+ * Pagination Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Keyset (cursor) pagination for the catalog: every sort ends on the
+ * product id, so each page starts right after the last row of the
+ * previous one, even while products are being added
+ */
+
+const SORT_KEYS = {
+  newest: [
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  price_asc: [
+    { column: 'price', ascending: true },
+    { column: 'id', ascending: true }
+  ],
+  price_desc: [
+    { column: 'price', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  popular: [
+    { column: 'is_featured', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  // Peak of the season first, then in season
+  in_season: [
+    { column: 'season_rank', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ]
+};
+
+/**
+ * Order columns for a getProducts sort option, id last
+ * @param {string} sortBy
+ * @returns {Array<{column: string, ascending: boolean}>}
+ */
+export function getSortKeys(sortBy) {
+  return SORT_KEYS[sortBy] || SORT_KEYS.newest;
+}
+
+/**
+ * Opaque cursor pointing after the given product
+ * @param {Object} product - Last product of the page
+ * @param {Array} sortKeys
+ * @returns {string}
+ */
+export function encodeCursor(product, sortKeys) {
+  return btoa(JSON.stringify(sortKeys.map(key => product[key.column])));
+}
+
+/**
+ * Sort values stored in a cursor
+ * @param {string} cursor
+ * @param {Array} sortKeys
+ * @returns {Array|null} Null when the cursor is malformed or for another sort
+ */
+export function decodeCursor(cursor, sortKeys) {
+  try {
+    const values = JSON.parse(atob(cursor));
+    return Array.isArray(values) && values.length === sortKeys.length ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+function quoteValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * PostgREST `or` filter keeping only rows after the cursor values:
+ * (a > x) OR (a = x AND b > y) OR ..., with < for descending columns
+ * @param {Array} sortKeys
+ * @param {Array} values
+ * @returns {string}
+ */
+export function buildKeysetFilter(sortKeys, values) {
+  return sortKeys.map((key, i) => {
+    const conditions = sortKeys.slice(0, i).map((prev, j) => `${prev.column}.eq.${quoteValue(values[j])}`);
+    conditions.push(`${key.column}.${key.ascending ? 'gt' : 'lt'}.${quoteValue(values[i])}`);
+    return conditions.length > 1 ? `and(${conditions.join(',')})` : conditions[0];
+  }).join(',');
+}
+
+export default {
+  getSortKeys,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+};
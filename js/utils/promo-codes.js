@@ -0,0 +1,117 @@
+/**
+ * Promotion Code Batch Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Unique codes for a promotion_code_batches row (migration 039), the batch
+ * redemption report and its CSV export. Codes avoid look-alike characters
+ * (0/O, 1/I) since they are often typed from a printed flyer.
+ */
+
+import { normalizePromotionCode } from '../../supabase/functions/_shared/promotions.js';
+import { toCsv } from './csv.js';
+
+export const PROMO_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const PROMO_CODE_LENGTH = 8;
+export const MAX_BATCH_SIZE = 5000;
+
+/**
+ * Prefix as stored in the codes: upper case letters and digits only
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function normalizeCodePrefix(prefix) {
+  return normalizePromotionCode(prefix || '').replace(/[^A-Z0-9]/g, '').slice(0, 12);
+}
+
+/**
+ * Generate unique codes, e.g. "ESTATE-7KQ2M9XP"
+ * @param {number} count - Capped at MAX_BATCH_SIZE
+ * @param {Object} [options]
+ * @param {string} [options.prefix]
+ * @param {number} [options.length] - Random characters per code
+ * @param {Function} [options.random] - Returns [0, 1); crypto-backed in the admin
+ * @param {Iterable<string>} [options.existing] - Codes that must not be generated again
+ * @returns {string[]}
+ */
+export function generatePromotionCodes(count, { prefix = '', length = PROMO_CODE_LENGTH, random = Math.random, existing = [] } = {}) {
+  const target = Math.max(0, Math.min(MAX_BATCH_SIZE, Math.floor(count) || 0));
+  const head = normalizeCodePrefix(prefix);
+  const taken = new Set(existing);
+  const codes = [];
+
+  // 31^8 combinations: collisions are rare, the attempt cap only guards a broken random
+  for (let attempts = 0; codes.length < target && attempts < target * 20; attempts++) {
+    let body = '';
+    for (let i = 0; i < length; i++) {
+      body += PROMO_CODE_ALPHABET[Math.floor(random() * PROMO_CODE_ALPHABET.length)];
+    }
+    const code = head ? `${head}-${body}` : body;
+    if (taken.has(code)) continue;
+    taken.add(code);
+    codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * Redemption report of a batch
+ * @param {Array} codes - promotion_codes rows (usage_count, max_uses)
+ * @param {Array} redemptions - promotion_redemptions rows of the batch codes
+ * @returns {{total: number, used: number, exhausted: number, redemptions: number,
+ *   customers: number, percent: number, lastRedeemedAt: string|null}}
+ */
+export function summarizeBatch(codes = [], redemptions = []) {
+  const used = codes.filter(c => c.usage_count > 0).length;
+  const lastRedeemedAt = redemptions.reduce(
+    (last, r) => (!last || r.created_at > last ? r.created_at : last), null);
+
+  return {
+    total: codes.length,
+    used,
+    exhausted: codes.filter(c => c.usage_count >= c.max_uses).length,
+    redemptions: redemptions.length,
+    customers: new Set(redemptions.map(r => r.user_id).filter(Boolean)).size,
+    percent: codes.length ? Math.round((used / codes.length) * 100) : 0,
+    lastRedeemedAt
+  };
+}
+
+/**
+ * One row per code with its redemptions, to hand out or reconcile the batch
+ * @param {Object} batch - name
+ * @param {Array} codes - promotion_codes rows
+ * @param {Array} redemptions - with orders(order_number, shipping_address) joined
+ * @param {Map<string, string>} [emails] - Account emails by user id (getCustomerEmails)
+ * @returns {string}
+ */
+export function buildBatchCsv(batch, codes = [], redemptions = [], emails = new Map()) {
+  const byCode = new Map();
+  redemptions.forEach(r => byCode.set(r.code_id, [...(byCode.get(r.code_id) || []), r]));
+
+  const header = ['Codice', 'Batch', 'Utilizzi', 'Massimo', 'Stato', 'Riscattato il', 'Cliente', 'Ordini'];
+  const rows = codes.map(code => {
+    const uses = (byCode.get(code.id) || []).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    return [
+      code.code,
+      batch.name,
+      code.usage_count,
+      code.max_uses,
+      code.usage_count >= code.max_uses ? 'Esaurito' : code.usage_count > 0 ? 'In uso' : 'Disponibile',
+      uses.map(r => String(r.created_at).slice(0, 10)).join(', '),
+      [...new Set(uses.map(r => emails.get(r.user_id) || r.orders?.shipping_address?.email).filter(Boolean))].join(', '),
+      uses.map(r => r.orders?.order_number).filter(Boolean).join(', ')
+    ];
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+export default {
+  PROMO_CODE_ALPHABET,
+  PROMO_CODE_LENGTH,
+  MAX_BATCH_SIZE,
+  normalizeCodePrefix,
+  generatePromotionCodes,
+  summarizeBatch,
+  buildBatchCsv
+};
@@ -0,0 +1,172 @@
+/**
+ * Recall Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Customers affected by a lot recall, recall progress rebuilt from the
+ * audit_log entries and the customer list export for the authorities.
+ * Order lines carry the lot they were sold from (migration 033).
+ */
+
+import { toCsv } from './csv.js';
+
+export const RECALL_ACTIONS = {
+  started: 'recall_started',
+  notified: 'recall_notified',
+  exported: 'recall_exported',
+  closed: 'recall_closed'
+};
+
+/**
+ * One entry per customer, with the orders that received the lot.
+ * Registered customers are grouped by account, guests by order.
+ * @param {Array} lines - order_items rows with their `orders` joined in
+ * @param {Map<string, string>} [emails] - Account emails by user id (getCustomerEmails)
+ * @returns {Array<Object>} sorted by most recent order first
+ */
+export function groupAffectedCustomers(lines, emails = new Map()) {
+  const customers = new Map();
+
+  (lines || []).forEach(line => {
+    const order = line.orders;
+    if (!order) return;
+
+    const key = order.user_id || `order:${order.id}`;
+    const addr = order.shipping_address || {};
+    if (!customers.has(key)) {
+      customers.set(key, {
+        key,
+        user_id: order.user_id || null,
+        name: `${addr.firstName || ''} ${addr.lastName || ''}`.trim(),
+        email: emails.get(order.user_id) || addr.email || '',
+        phone: addr.phone || '',
+        address: addr.address || '',
+        city: addr.city || '',
+        orders: [],
+        total_quantity: 0
+      });
+    }
+
+    const customer = customers.get(key);
+    let entry = customer.orders.find(o => o.order_id === order.id);
+    if (!entry) {
+      entry = {
+        order_id: order.id,
+        order_number: order.order_number,
+        created_at: order.created_at,
+        quantity: 0
+      };
+      customer.orders.push(entry);
+    }
+    entry.quantity += line.quantity || 0;
+    customer.total_quantity += line.quantity || 0;
+  });
+
+  const latest = customer => customer.orders.reduce((max, o) => (o.created_at > max ? o.created_at : max), '');
+  return [...customers.values()]
+    .map(customer => ({
+      ...customer,
+      orders: customer.orders.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+    }))
+    .sort((a, b) => latest(b).localeCompare(latest(a)));
+}
+
+/**
+ * Recalls with their progress, from audit_log entries of the recall actions
+ * @param {Array} entries - audit_log rows, any order
+ * @returns {Array<Object>} newest recall first
+ */
+export function buildRecallHistory(entries) {
+  const recalls = new Map();
+  const sorted = [...(entries || [])].sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+
+  sorted.forEach(entry => {
+    const details = entry.details || {};
+    const id = details.recall_id;
+    if (!id) return;
+
+    if (entry.action === RECALL_ACTIONS.started) {
+      recalls.set(id, {
+        ...details,
+        id,
+        started_at: entry.created_at,
+        notifiedOrders: new Set(),
+        failedOrders: new Set(),
+        exported_at: null,
+        closed_at: null
+      });
+      return;
+    }
+
+    const recall = recalls.get(id);
+    if (!recall) return;
+
+    if (entry.action === RECALL_ACTIONS.notified) {
+      if (details.email || details.push) {
+        recall.notifiedOrders.add(details.order_id);
+        recall.failedOrders.delete(details.order_id);
+      } else if (!recall.notifiedOrders.has(details.order_id)) {
+        recall.failedOrders.add(details.order_id);
+      }
+    } else if (entry.action === RECALL_ACTIONS.exported) {
+      recall.exported_at = entry.created_at;
+    } else if (entry.action === RECALL_ACTIONS.closed) {
+      recall.closed_at = entry.created_at;
+    }
+  });
+
+  return [...recalls.values()].reverse();
+}
+
+/**
+ * Share of affected orders already notified
+ * @param {Object} recall - from buildRecallHistory
+ * @returns {{notified: number, failed: number, total: number, percent: number}}
+ */
+export function getRecallProgress(recall) {
+  const total = recall.affected_orders || 0;
+  const notified = recall.notifiedOrders.size;
+  return {
+    notified,
+    failed: recall.failedOrders.size,
+    total,
+    percent: total > 0 ? Math.min(100, Math.round((notified / total) * 100)) : 100
+  };
+}
+
+/**
+ * Customer list for the authorities, one row per order
+ * @param {Object} recall - product_name, lot_number
+ * @param {Array} customers - from groupAffectedCustomers
+ * @returns {string}
+ */
+export function buildRecallCsv(recall, customers) {
+  const header = ['Prodotto', 'Lotto', 'Ordine', 'Data ordine', 'Quantità', 'Cliente', 'Email', 'Telefono', 'Indirizzo', 'Città'];
+  const rows = [];
+
+  (customers || []).forEach(customer => {
+    customer.orders.forEach(order => {
+      rows.push([
+        recall.product_name,
+        recall.lot_number,
+        order.order_number,
+        order.created_at ? String(order.created_at).slice(0, 10) : '',
+        order.quantity,
+        customer.name,
+        customer.email,
+        customer.phone,
+        customer.address,
+        customer.city
+      ]);
+    });
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+export default {
+  RECALL_ACTIONS,
+  groupAffectedCustomers,
+  buildRecallHistory,
+  getRecallProgress,
+  buildRecallCsv
+};
@@ -0,0 +1,172 @@
+/**
+ * Recipe Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Recipe steps as edited in the admin, and the plan for "add all
+ * ingredients to the cart": which lines become cart items, with the same
+ * weight variant checks as the product page, and which are left out.
+ */
+
+import { MAX_CART_QUANTITY, buildCartItem } from './cart-items.js';
+
+export const RECIPE_DIFFICULTIES = {
+  facile: 'Facile',
+  media: 'Media',
+  difficile: 'Difficile'
+};
+
+// Why an ingredient line was not added to the cart
+export const SKIP_REASONS = {
+  not_sold: 'Non in vendita',
+  inactive: 'Non disponibile',
+  unavailable: 'Esaurito'
+};
+
+/**
+ * Steps from the admin textarea, one per line, with an optional photo
+ * after a pipe: "Scolate la pasta al dente | https://.../foto.jpg"
+ * @param {string} text
+ * @returns {Array<{text: string, image: string|null}>}
+ */
+export function parseRecipeSteps(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => {
+      const [stepText, image] = line.split('|').map(part => part.trim());
+      return { text: stepText, image: image || null };
+    })
+    .filter(step => step.text);
+}
+
+/**
+ * Inverse of parseRecipeSteps, to fill the admin textarea
+ * @param {Array} steps
+ * @returns {string}
+ */
+export function formatRecipeSteps(steps) {
+  return (steps || []).map(step => (step.image ? `${step.text} | ${step.image}` : step.text)).join('\n');
+}
+
+/**
+ * Total time label, e.g. "1 h 15 min"
+ * @param {Object} recipe - prep_minutes, cook_minutes
+ * @returns {string}
+ */
+export function formatRecipeTime(recipe) {
+  const minutes = (recipe?.prep_minutes || 0) + (recipe?.cook_minutes || 0);
+  if (!minutes) return '';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Weight variant to buy for an ingredient. Mirrors the product page: the
+ * exact variant if in stock, a custom weight when other variants are in
+ * stock, anything when the product has no inventory rows.
+ * @param {Array} inventory - weight_inventory rows of the product
+ * @param {number} weightGrams
+ * @param {number} quantity
+ * @returns {boolean}
+ */
+export function isVariantAvailable(inventory, weightGrams, quantity = 1) {
+  if (!inventory?.length) return true;
+
+  const exact = inventory.find(row => row.weight_grams === weightGrams);
+  if (exact) return exact.quantity >= quantity;
+
+  return inventory.reduce((sum, row) => sum + (row.quantity || 0), 0) > 0;
+}
+
+/**
+ * Cart items for a recipe, built like the product page builds them.
+ * Lines mapping to the same product and weight are merged.
+ * @param {Array} ingredients - recipe_ingredients rows with `products` joined in
+ * @param {Object} inventoryByProduct - product_id -> weight_inventory rows
+ * @param {Object} [options]
+ * @param {boolean} [options.includeOptional=true]
+ * @returns {{items: Array, skipped: Array<{ingredient: Object, reason: string}>}}
+ */
+export function planRecipeCart(ingredients, inventoryByProduct = {}, { includeOptional = true } = {}) {
+  const items = [];
+  const skipped = [];
+
+  (ingredients || []).forEach(ingredient => {
+    if (ingredient.is_optional && !includeOptional) return;
+
+    const product = ingredient.products;
+    if (!ingredient.product_id || !product) {
+      skipped.push({ ingredient, reason: 'not_sold' });
+      return;
+    }
+    if (product.is_active === false) {
+      skipped.push({ ingredient, reason: 'inactive' });
+      return;
+    }
+
+    const isPieceBased = (product.unit_measure || 'kg') === 'pz';
+    const weightGrams = isPieceBased ? null : (ingredient.weight_grams || 1000);
+    const existing = items.find(item => item.productId === product.id && item.weight_grams === weightGrams);
+    const quantity = Math.min(MAX_CART_QUANTITY, (existing?.quantity || 0) + (ingredient.quantity || 1));
+    const inventory = inventoryByProduct[product.id] || [];
+
+    const available = isPieceBased
+      ? !inventory.length || inventory.reduce((sum, row) => sum + (row.quantity || 0), 0) >= quantity
+      : isVariantAvailable(inventory, weightGrams, quantity);
+    if (!available) {
+      skipped.push({ ingredient, reason: 'unavailable' });
+      return;
+    }
+
+    if (existing) {
+      items[items.indexOf(existing)] = buildCartItem(product, { weightGrams, quantity });
+      return;
+    }
+
+    items.push(buildCartItem(product, { weightGrams, quantity }));
+  });
+
+  return { items, skipped };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Recipe cards linking to recipe.html, for the recipes page and the
+ * "recipes with this product" block
+ * @param {Array} recipes
+ * @returns {string}
+ */
+export function renderRecipeCards(recipes) {
+  return (recipes || []).map(recipe => {
+    const meta = [formatRecipeTime(recipe), RECIPE_DIFFICULTIES[recipe.difficulty]].filter(Boolean).join(' · ');
+    return `
+      <a href="recipe.html?slug=${encodeURIComponent(recipe.slug)}" class="recipe-card">
+        <img src="${escapeHtml(recipe.images?.[0] || 'Images/placeholder.jpg')}" alt="${escapeHtml(recipe.title)}" loading="lazy">
+        <div class="recipe-card-info">
+          <h3>${escapeHtml(recipe.title)}</h3>
+          ${meta ? `<span class="recipe-card-meta">${meta}</span>` : ''}
+          ${recipe.summary ? `<p>${escapeHtml(recipe.summary)}</p>` : ''}
+        </div>
+      </a>
+    `;
+  }).join('');
+}
+
+export default {
+  RECIPE_DIFFICULTIES,
+  SKIP_REASONS,
+  parseRecipeSteps,
+  formatRecipeSteps,
+  formatRecipeTime,
+  isVariantAvailable,
+  planRecipeCart,
+  renderRecipeCards
+};
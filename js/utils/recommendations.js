@@ -0,0 +1,62 @@
+/**
+ * Recommendation Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * "Frequently bought together": puts products back in the order ranked by
+ * get_frequently_bought_together (migration 036) and builds the bundle
+ * offered on the product page.
+ */
+
+import { buildCartItem } from './cart-items.js';
+
+export const RECOMMENDATION_SOURCES = {
+  pinned: 'Scelto da noi',
+  affinity: 'Spesso acquistati insieme',
+  category: 'Della stessa categoria'
+};
+
+/**
+ * Products in ranking order, with why they were suggested and the weight
+ * to add. Ids missing from `products` (e.g. hidden meanwhile) are dropped.
+ * @param {Array<{id: string, source: string, default_weight_grams: number|null}>} ranked
+ * @param {Array} products
+ * @returns {Array}
+ */
+export function orderByRanking(ranked, products) {
+  const byId = new Map((products || []).map(product => [product.id, product]));
+  return (ranked || [])
+    .filter(row => byId.has(row.id))
+    .map(row => ({
+      ...byId.get(row.id),
+      recommendation_source: row.source,
+      default_weight_grams: row.default_weight_grams ?? null
+    }));
+}
+
+/**
+ * Cart items and total for the bundle: the product with its chosen
+ * weight plus the selected companions at their default weight
+ * @param {Object} product
+ * @param {number|null} weightGrams - weight chosen on the product page
+ * @param {Array} companions - from orderByRanking
+ * @param {string[]} selectedIds
+ * @returns {{items: Array, total: number}}
+ */
+export function buildBundle(product, weightGrams, companions, selectedIds) {
+  const selected = new Set(selectedIds || []);
+  const items = [
+    buildCartItem(product, { weightGrams }),
+    ...(companions || [])
+      .filter(companion => selected.has(companion.id))
+      .map(companion => buildCartItem(companion, { weightGrams: companion.default_weight_grams }))
+  ];
+
+  const total = Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+  return { items, total };
+}
+
+export default {
+  RECOMMENDATION_SOURCES,
+  orderByRanking,
+  buildBundle
+};
@@ -0,0 +1,52 @@
+/**
+ * Scroll Restore Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Remembers how far down an infinite-scroll list the shopper was before
+ * opening a product, so going back reloads as many products as were
+ * shown and scrolls to the same spot
+ */
+
+const STORAGE_KEY = 'mimmo_list_scroll';
+
+/**
+ * Save the current list position before leaving the page
+ * @param {number} loadedCount - Products currently shown
+ */
+export function saveScrollPosition(loadedCount) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+      url: window.location.pathname + window.location.search,
+      loadedCount,
+      scrollY: window.scrollY
+    }));
+  } catch {
+    // Private mode: just don't restore
+  }
+}
+
+/**
+ * Saved position for this page when it is reached with the back button.
+ * The entry is removed once read.
+ * @returns {{loadedCount: number, scrollY: number}|null}
+ */
+export function takeScrollPosition() {
+  let saved = null;
+  try {
+    saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+
+  const navigation = performance.getEntriesByType?.('navigation')[0];
+  if (!saved || navigation?.type !== 'back_forward') return null;
+  if (saved.url !== window.location.pathname + window.location.search) return null;
+
+  return { loadedCount: saved.loadedCount, scrollY: saved.scrollY };
+}
+
+export default {
+  saveScrollPosition,
+  takeScrollPosition
+};
@@ -0,0 +1,93 @@
+/**
+ * Search Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Client side of the product search: the matching and ranking happen in the
+ * search_products RPC, these helpers only normalize queries the same way
+ * (search_normalize in migration 028) and resolve the synonym shortcuts.
+ */
+
+/**
+ * Lowercase, strip accents and punctuation, collapse spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Synonym row that sends the query straight to a collection page
+ * @param {string} query
+ * @param {Array} synonyms - search_synonyms rows
+ * @returns {Object|null}
+ */
+export function findSearchRedirect(query, synonyms = []) {
+  const normalized = normalizeSearchText(query);
+  if (!normalized) return null;
+
+  return synonyms.find(row =>
+    row.redirect_url && row.is_active !== false && normalizeSearchText(row.term) === normalized
+  ) || null;
+}
+
+/**
+ * Parse the comma separated synonyms typed in the admin form
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function parseSynonymList(value) {
+  const seen = new Set();
+  return String(value ?? '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => {
+      const key = normalizeSearchText(item);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Most recent distinct searches, newest first
+ * @param {string[]} queries - Newest first, may repeat
+ * @param {number} limit
+ * @returns {string[]}
+ */
+export function uniqueRecentSearches(queries, limit = 8) {
+  const seen = new Set();
+  const recent = [];
+  for (const query of queries) {
+    const key = normalizeSearchText(query);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    recent.push(String(query).trim());
+    if (recent.length >= limit) break;
+  }
+  return recent;
+}
+
+/**
+ * Put a search at the top of the recent list
+ * @param {string[]} recent - Newest first
+ * @param {string} query
+ * @param {number} limit
+ * @returns {string[]}
+ */
+export function addRecentSearch(recent, query, limit = 8) {
+  return uniqueRecentSearches([query, ...recent], limit);
+}
+
+export default {
+  normalizeSearchText,
+  findSearchRedirect,
+  parseSynonymList,
+  uniqueRecentSearches,
+  addRecentSearch
+};
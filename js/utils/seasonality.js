@@ -0,0 +1,93 @@
+/**
+ * Seasonality Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Season and peak months of a product (1 = January). Mirrors
+ * product_season_rank in the database: 2 = peak now, 1 = in season now,
+ * 0 = out of season. Products without months are only "in season" when
+ * flagged is_seasonal by hand.
+ */
+
+export const MONTH_NAMES = [
+  'Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+  'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+export const MONTH_SHORT_NAMES = MONTH_NAMES.map(name => name.slice(0, 3));
+
+/**
+ * Current month, 1-12
+ * @param {Date} [date]
+ * @returns {number}
+ */
+export function getCurrentMonth(date = new Date()) {
+  return date.getMonth() + 1;
+}
+
+/**
+ * @param {Object} product - With season_months, peak_months, is_seasonal
+ * @param {number} month - 1-12
+ * @returns {number} 2 peak, 1 in season, 0 out of season
+ */
+export function getSeasonRank(product, month) {
+  const seasonMonths = product.season_months || [];
+  if (seasonMonths.length === 0) return product.is_seasonal ? 1 : 0;
+  if ((product.peak_months || []).includes(month)) return 2;
+  return seasonMonths.includes(month) ? 1 : 0;
+}
+
+/**
+ * Sorted, distinct, valid months; peak months are kept within the season
+ * @param {number[]} seasonMonths
+ * @param {number[]} peakMonths
+ * @returns {{season_months: number[], peak_months: number[]}}
+ */
+export function normalizeSeasonMonths(seasonMonths = [], peakMonths = []) {
+  const clean = (months) => [...new Set(months.map(Number))]
+    .filter(m => Number.isInteger(m) && m >= 1 && m <= 12)
+    .sort((a, b) => a - b);
+
+  const season = clean(seasonMonths);
+  return {
+    season_months: season,
+    peak_months: clean(peakMonths).filter(m => season.includes(m))
+  };
+}
+
+/**
+ * Readable season, e.g. "Giu – Set" or "Nov – Feb, Mag".
+ * Runs of consecutive months wrap around the new year.
+ * @param {number[]} months
+ * @returns {string}
+ */
+export function formatSeasonRange(months = []) {
+  const { season_months: sorted } = normalizeSeasonMonths(months);
+  if (sorted.length === 0) return '';
+  if (sorted.length === 12) return 'Tutto l\'anno';
+
+  const runs = [];
+  sorted.forEach(month => {
+    const last = runs[runs.length - 1];
+    if (last && last[last.length - 1] === month - 1) last.push(month);
+    else runs.push([month]);
+  });
+
+  // December -> January continues the same run
+  if (runs.length > 1 && runs[0][0] === 1 && runs[runs.length - 1].slice(-1)[0] === 12) {
+    runs[0] = [...runs.pop(), ...runs[0]];
+  }
+
+  return runs.map(run => run.length === 1
+    ? MONTH_SHORT_NAMES[run[0] - 1]
+    : `${MONTH_SHORT_NAMES[run[0] - 1]} – ${MONTH_SHORT_NAMES[run[run.length - 1] - 1]}`
+  ).join(', ');
+}
+
+export default {
+  MONTH_NAMES,
+  MONTH_SHORT_NAMES,
+  getCurrentMonth,
+  getSeasonRank,
+  normalizeSeasonMonths,
+  formatSeasonRange
+};
@@ -0,0 +1,95 @@
+/**
+ * Traceability Utilities
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Origin and batch details shown on the product page, in the quick view
+ * and on orders. The lot comes from the weight_inventory batch.
+ */
+
+import { PRODUCT_CERTIFICATIONS } from './facets.js';
+
+/**
+ * Batch a customer would receive for the chosen weight. Piece products and
+ * custom weights only have one when the product has a single lot, as in the
+ * order trigger.
+ * @param {Array} inventory - weight_inventory rows
+ * @param {number|null} weightGrams
+ * @returns {Object|null}
+ */
+export function pickBatch(inventory, weightGrams = null) {
+  const batches = (inventory || []).filter(row => row.lot_number);
+
+  const exact = batches.find(row => row.weight_grams === weightGrams);
+  if (exact) return exact;
+
+  const lots = new Set(batches.map(row => row.lot_number));
+  if (lots.size !== 1) return null;
+
+  return [...batches].sort((a, b) => (b.harvest_date || '').localeCompare(a.harvest_date || ''))[0];
+}
+
+/**
+ * Harvest date as shown to customers (e.g. "12 ottobre 2025")
+ * @param {string} date - ISO date
+ * @returns {string}
+ */
+export function formatHarvestDate(date) {
+  if (!date) return '';
+  const parsed = new Date(`${String(date).slice(0, 10)}T12:00:00`);
+  if (isNaN(parsed)) return '';
+  return parsed.toLocaleDateString('it-IT', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Label/value rows for the traceability block; empty fields are left out
+ * @param {Object} product
+ * @param {Object|null} batch - from pickBatch
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getTraceabilityRows(product, batch = null) {
+  const origin = [product?.origin_farm, product?.origin_region].filter(Boolean).join(', ');
+  const certifications = (product?.certifications || [])
+    .map(cert => PRODUCT_CERTIFICATIONS[cert])
+    .filter(Boolean)
+    .join(' · ');
+
+  return [
+    { label: 'Produttore', value: product?.producer || '' },
+    { label: 'Provenienza', value: origin },
+    { label: 'Certificazioni', value: certifications },
+    { label: 'Raccolta', value: formatHarvestDate(batch?.harvest_date) },
+    { label: 'Lotto', value: batch?.lot_number || '' }
+  ].filter(row => row.value);
+}
+
+/**
+ * Traceability block markup, or '' when there is nothing to show
+ * @param {Object} product
+ * @param {Object|null} batch
+ * @returns {string}
+ */
+export function renderTraceability(product, batch = null) {
+  const rows = getTraceabilityRows(product, batch);
+  if (rows.length === 0) return '';
+
+  return `
+    <dl class="traceability-list">
+      ${rows.map(row => `<div class="traceability-row"><dt>${row.label}</dt><dd>${escapeHtml(row.value)}</dd></div>`).join('')}
+    </dl>
+  `;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  pickBatch,
+  formatHarvestDate,
+  getTraceabilityRows,
+  renderTraceability
+};
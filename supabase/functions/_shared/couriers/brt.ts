@@ -0,0 +1,144 @@
+/**
+ * BRT Courier Adapter
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * BRT REST shipments API. The PDF label is only returned when the shipment
+ * is created, so submit-to-courier stores it right away.
+ */
+
+import { courierFetch, base64ToBytes } from "./http.ts";
+import { romeTimestamp, statusFromDescription } from "./tracking.ts";
+import {
+  CourierAdapter,
+  CourierError,
+  PickupRequest,
+  PickupResult,
+  ShipmentRequest,
+  ShipmentResult,
+  TrackedShipment,
+  TrackingEvent,
+} from "./types.ts";
+
+const apiUrl = () => Deno.env.get("BRT_API_URL") || "https://api.brt.it/rest/v1";
+const account = () => ({
+  userID: Deno.env.get("BRT_USER_ID") || "",
+  password: Deno.env.get("BRT_PASSWORD") || "",
+});
+const senderCustomerCode = () => Deno.env.get("BRT_CUSTOMER_CODE") || "";
+const departureDepot = () => Deno.env.get("BRT_DEPARTURE_DEPOT") || "";
+
+// BRT identifies a shipment by a numeric sender reference chosen by us
+function numericReference(): number {
+  return Number(`${Date.now()}`.slice(-12));
+}
+
+function checkExecution(courierResponse: { executionMessage?: { code: number; message?: string } } | undefined) {
+  const execution = courierResponse?.executionMessage;
+  if (!execution || execution.code < 0) {
+    throw new CourierError(`BRT: ${execution?.message || "risposta non valida"}`, "rejected");
+  }
+}
+
+export const brtAdapter: CourierAdapter = {
+  id: "brt",
+  name: "BRT",
+
+  isConfigured() {
+    const { userID, password } = account();
+    return Boolean(userID && password && senderCustomerCode());
+  },
+
+  async createShipment(request: ShipmentRequest): Promise<ShipmentResult> {
+    const reference = numericReference();
+    const totalWeight = request.parcels.reduce((sum, p) => sum + p.weightKg, 0);
+
+    const response = await courierFetch("BRT", `${apiUrl()}/shipments/shipment`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        account: account(),
+        createData: {
+          departureDepot: departureDepot(),
+          senderCustomerCode: senderCustomerCode(),
+          deliveryFreightTypeCode: "DAP",
+          consigneeCompanyName: request.recipient.name,
+          consigneeAddress: request.recipient.address,
+          consigneeZIPCode: request.recipient.postalCode,
+          consigneeCity: request.recipient.city,
+          consigneeProvinceAbbreviation: request.recipient.province,
+          consigneeCountryAbbreviationISOAlpha2: request.recipient.country,
+          consigneeTelephone: request.recipient.phone || "",
+          consigneeEMail: request.recipient.email || "",
+          numberOfParcels: request.parcels.length,
+          weightKG: Math.max(1, Math.ceil(totalWeight)),
+          numericSenderReference: reference,
+          alphanumericSenderReference: request.orderNumber,
+          notes: request.notes || "",
+        },
+        isLabelRequired: 1,
+        labelParameters: { outputType: "PDF" },
+      }),
+    });
+
+    const { createResponse } = await response.json();
+    checkExecution(createResponse);
+
+    const label = createResponse.labels?.label?.[0];
+    return {
+      shipmentId: String(reference),
+      trackingNumber: label?.trackingByParcelID || String(createResponse.parcelNumberFrom),
+      label: label?.stream ? base64ToBytes(label.stream) : null,
+    };
+  },
+
+  getLabel(): Promise<Uint8Array> {
+    return Promise.reject(new CourierError("BRT restituisce l'etichetta solo alla creazione della spedizione", "unsupported"));
+  },
+
+  bookPickup(_request: PickupRequest): Promise<PickupResult> {
+    // Pickups are booked on the BRT customer portal, not through the shipments API
+    return Promise.reject(new CourierError("Prenota il ritiro BRT dal portale clienti", "unsupported"));
+  },
+
+  async cancelShipment(shipmentId: string): Promise<void> {
+    const response = await courierFetch("BRT", `${apiUrl()}/shipments/delete`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        account: account(),
+        deleteData: {
+          senderCustomerCode: senderCustomerCode(),
+          numericSenderReference: Number(shipmentId),
+        },
+      }),
+    });
+
+    const { deleteResponse } = await response.json();
+    checkExecution(deleteResponse);
+  },
+
+  async getTrackingEvents(shipment: TrackedShipment): Promise<TrackingEvent[]> {
+    const { userID, password } = account();
+    const response = await courierFetch(
+      "BRT",
+      `${apiUrl()}/tracking/parcelID/${encodeURIComponent(shipment.trackingNumber)}`,
+      { method: "GET", headers: { userID, password } },
+    );
+
+    const { ttParcelIdResponse } = await response.json();
+    const events: { evento?: { data: string; ora: string; descrizione: string; filiale?: string } }[] =
+      ttParcelIdResponse?.lista_eventi || [];
+
+    return events
+      .map((entry) => entry.evento)
+      .filter((event) => event?.data && event.descrizione)
+      .map((event) => ({
+        trackingNumber: shipment.trackingNumber,
+        status: statusFromDescription(event!.descrizione),
+        description: event!.descrizione,
+        location: event!.filiale || null,
+        occurredAt: romeTimestamp(event!.data, event!.ora),
+        raw: event,
+      }));
+  },
+};
@@ -0,0 +1,187 @@
+/**
+ * DHL Express Courier Adapter
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * MyDHL API (REST). Labels can be fetched again after creation;
+ * shipments that are never handed over are voided by DHL, so
+ * cancellation has nothing to call.
+ */
+
+import { basicAuth, base64ToBytes, courierFetch } from "./http.ts";
+import {
+  CourierAdapter,
+  CourierError,
+  PickupRequest,
+  PickupResult,
+  ShipmentParty,
+  ShipmentEventStatus,
+  ShipmentRequest,
+  ShipmentResult,
+  TrackedShipment,
+  TrackingEvent,
+} from "./types.ts";
+
+const apiUrl = () => Deno.env.get("DHL_API_URL") || "https://express.api.dhl.com/mydhlapi";
+const accountNumber = () => Deno.env.get("DHL_ACCOUNT_NUMBER") || "";
+const productCode = () => Deno.env.get("DHL_PRODUCT_CODE") || "N"; // N = domestic express
+
+function headers(): HeadersInit {
+  return {
+    "Content-Type": "application/json",
+    "Authorization": basicAuth(Deno.env.get("DHL_API_KEY") || "", Deno.env.get("DHL_API_SECRET") || ""),
+  };
+}
+
+// MyDHL wants local time with an explicit offset, e.g. 2026-05-12T10:00:00 GMT+02:00
+function romeDateTime(date: string, time: string): string {
+  const offset = new Intl.DateTimeFormat("en-US", { timeZone: "Europe/Rome", timeZoneName: "shortOffset" })
+    .formatToParts(new Date(`${date}T12:00:00Z`))
+    .find((part) => part.type === "timeZoneName")?.value || "GMT+1";
+  const [, sign = "+", hours = "1"] = offset.match(/GMT([+-])(\d+)/) || [];
+  return `${date}T${time}:00 GMT${sign}${hours.padStart(2, "0")}:00`;
+}
+
+// MyDHL checkpoint codes (anything else is a transit scan)
+const EVENT_STATUS: Record<string, ShipmentEventStatus> = {
+  PU: "picked_up",
+  WC: "out_for_delivery",
+  OK: "delivered",
+  RT: "returned",
+  CA: "exception",
+  NH: "exception",
+  BA: "exception",
+};
+
+function toDhlParty(party: ShipmentParty) {
+  return {
+    postalAddress: {
+      postalCode: party.postalCode,
+      cityName: party.city,
+      countryCode: party.country,
+      provinceCode: party.province,
+      addressLine1: party.address,
+    },
+    contactInformation: {
+      fullName: party.name,
+      companyName: party.name,
+      phone: party.phone || "",
+      email: party.email || undefined,
+    },
+  };
+}
+
+export const dhlAdapter: CourierAdapter = {
+  id: "dhl",
+  name: "DHL Express",
+
+  isConfigured() {
+    return Boolean(Deno.env.get("DHL_API_KEY") && Deno.env.get("DHL_API_SECRET") && accountNumber());
+  },
+
+  async createShipment(request: ShipmentRequest): Promise<ShipmentResult> {
+    const today = new Date().toLocaleDateString("en-CA", { timeZone: "Europe/Rome" });
+
+    const response = await courierFetch("DHL", `${apiUrl()}/shipments`, {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify({
+        plannedShippingDateAndTime: romeDateTime(today, "18:00"),
+        pickup: { isRequested: false },
+        productCode: productCode(),
+        accounts: [{ typeCode: "shipper", number: accountNumber() }],
+        customerReferences: [{ typeCode: "CU", value: request.orderNumber }],
+        customerDetails: {
+          shipperDetails: toDhlParty(request.sender),
+          receiverDetails: toDhlParty(request.recipient),
+        },
+        content: {
+          packages: request.parcels.map((parcel) => ({
+            weight: parcel.weightKg,
+            dimensions: { length: parcel.lengthCm, width: parcel.widthCm, height: parcel.heightCm },
+          })),
+          isCustomsDeclarable: false,
+          description: `Ordine ${request.orderNumber}`,
+          unitOfMeasurement: "metric",
+        },
+        outputImageProperties: {
+          imageOptions: [{ typeCode: "label", isRequested: true }],
+        },
+      }),
+    });
+
+    const result = await response.json();
+    const label = result.documents?.find((doc: { typeCode: string }) => doc.typeCode === "label");
+    return {
+      shipmentId: result.shipmentTrackingNumber,
+      trackingNumber: result.shipmentTrackingNumber,
+      label: label?.content ? base64ToBytes(label.content) : null,
+    };
+  },
+
+  async getLabel(shipmentId: string): Promise<Uint8Array> {
+    const response = await courierFetch(
+      "DHL",
+      `${apiUrl()}/shipments/${encodeURIComponent(shipmentId)}/get-image?typeCode=label`,
+      { method: "GET", headers: headers() },
+    );
+    const result = await response.json();
+    const content = result.documents?.[0]?.content;
+    if (!content) {
+      throw new CourierError("DHL: etichetta non disponibile", "rejected");
+    }
+    return base64ToBytes(content);
+  },
+
+  async bookPickup(request: PickupRequest): Promise<PickupResult> {
+    const response = await courierFetch("DHL", `${apiUrl()}/pickups`, {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify({
+        plannedPickupDateAndTime: romeDateTime(request.date, request.readyFrom),
+        closeTime: request.readyUntil,
+        location: "reception",
+        accounts: [{ typeCode: "shipper", number: accountNumber() }],
+        customerDetails: { shipperDetails: toDhlParty(request.address) },
+        shipmentDetails: request.shipmentIds.map(() => ({
+          productCode: productCode(),
+          isCustomsDeclarable: false,
+          unitOfMeasurement: "metric",
+          packages: [{ weight: 1, dimensions: { length: 40, width: 30, height: 20 } }],
+        })),
+      }),
+    });
+
+    const result = await response.json();
+    const pickupId = result.dispatchConfirmationNumbers?.[0];
+    if (!pickupId) {
+      throw new CourierError("DHL: ritiro non confermato", "rejected");
+    }
+    return { pickupId, date: request.date };
+  },
+
+  cancelShipment(): Promise<void> {
+    // Waybills never handed to DHL are voided automatically
+    return Promise.resolve();
+  },
+
+  async getTrackingEvents(shipment: TrackedShipment): Promise<TrackingEvent[]> {
+    const response = await courierFetch(
+      "DHL",
+      `${apiUrl()}/shipments/${encodeURIComponent(shipment.trackingNumber)}/tracking?trackingView=shipment-details-only`,
+      { method: "GET", headers: headers() },
+    );
+
+    const result = await response.json();
+    const events: { date: string; time: string; GMTOffset?: string; typeCode: string; description: string; serviceArea?: { description: string }[] }[] =
+      result.shipments?.[0]?.events || [];
+
+    return events.map((event) => ({
+      trackingNumber: shipment.trackingNumber,
+      status: EVENT_STATUS[event.typeCode] || "in_transit",
+      description: event.description,
+      location: event.serviceArea?.[0]?.description || null,
+      occurredAt: new Date(`${event.date}T${event.time}${event.GMTOffset || "+01:00"}`).toISOString(),
+      raw: event,
+    }));
+  },
+};
@@ -0,0 +1,151 @@
+/**
+ * GLS Italy Courier Adapter
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * GLS Italy label service (XML over HTTP POST). The PDF label comes back
+ * with AddParcel; parcels are confirmed to GLS with the daily close
+ * on the GLS portal.
+ */
+
+import { base64ToBytes, courierFetch } from "./http.ts";
+import { romeTimestamp, statusFromDescription } from "./tracking.ts";
+import {
+  CourierAdapter,
+  CourierError,
+  PickupRequest,
+  PickupResult,
+  ShipmentRequest,
+  ShipmentResult,
+  TrackedShipment,
+  TrackingEvent,
+} from "./types.ts";
+
+const apiUrl = () => Deno.env.get("GLS_API_URL") || "https://labelservice.gls-italy.com/ilswebservice.asmx";
+const trackingUrl = () => Deno.env.get("GLS_TRACKING_URL") || "https://infoweb.gls-italy.com/XML/get_xml_track.php";
+const credentials = () => ({
+  sede: Deno.env.get("GLS_SEDE") || "",
+  cliente: Deno.env.get("GLS_CUSTOMER_CODE") || "",
+  password: Deno.env.get("GLS_PASSWORD") || "",
+  contratto: Deno.env.get("GLS_CONTRACT_CODE") || "",
+});
+
+function escapeXml(value: string | number): string {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function readTag(xml: string, tag: string): string | null {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+async function postForm(method: string, fields: Record<string, string>): Promise<string> {
+  const response = await courierFetch("GLS", `${apiUrl()}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(fields).toString(),
+  });
+  const xml = await response.text();
+  const error = readTag(xml, "DescrizioneErrore") || readTag(xml, "Errore");
+  if (error) {
+    throw new CourierError(`GLS: ${error}`, "rejected");
+  }
+  return xml;
+}
+
+export const glsAdapter: CourierAdapter = {
+  id: "gls",
+  name: "GLS",
+
+  isConfigured() {
+    const { sede, cliente, password, contratto } = credentials();
+    return Boolean(sede && cliente && password && contratto);
+  },
+
+  async createShipment(request: ShipmentRequest): Promise<ShipmentResult> {
+    const { sede, cliente, password, contratto } = credentials();
+    const weight = request.parcels.reduce((sum, p) => sum + p.weightKg, 0);
+    const recipient = request.recipient;
+
+    // GLS wants decimal weights with a comma
+    const parcelXml = `
+      <Info>
+        <SedeGls>${escapeXml(sede)}</SedeGls>
+        <CodiceClienteGls>${escapeXml(cliente)}</CodiceClienteGls>
+        <PasswordClienteGls>${escapeXml(password)}</PasswordClienteGls>
+        <Parcel>
+          <CodiceContrattoGls>${escapeXml(contratto)}</CodiceContrattoGls>
+          <RagioneSociale>${escapeXml(recipient.name)}</RagioneSociale>
+          <Indirizzo>${escapeXml(recipient.address)}</Indirizzo>
+          <Localita>${escapeXml(recipient.city)}</Localita>
+          <Zipcode>${escapeXml(recipient.postalCode)}</Zipcode>
+          <Provincia>${escapeXml(recipient.province)}</Provincia>
+          <Bda>${escapeXml(request.orderNumber)}</Bda>
+          <Colli>${request.parcels.length}</Colli>
+          <PesoReale>${weight.toFixed(1).replace(".", ",")}</PesoReale>
+          <TipoPorto>F</TipoPorto>
+          <Email>${escapeXml(recipient.email || "")}</Email>
+          <Cellulare1>${escapeXml(recipient.phone || "")}</Cellulare1>
+          <NoteSpedizione>${escapeXml(request.notes || "")}</NoteSpedizione>
+          <GeneraPdf>4</GeneraPdf>
+        </Parcel>
+      </Info>`;
+
+    const xml = await postForm("AddParcel", { XMLInfoParcel: parcelXml });
+    const shipmentNumber = readTag(xml, "NumeroSpedizione");
+    if (!shipmentNumber) {
+      throw new CourierError("GLS: numero di spedizione mancante", "rejected");
+    }
+
+    const pdf = readTag(xml, "PdfLabel");
+    return {
+      shipmentId: shipmentNumber,
+      trackingNumber: shipmentNumber,
+      label: pdf ? base64ToBytes(pdf) : null,
+    };
+  },
+
+  getLabel(): Promise<Uint8Array> {
+    return Promise.reject(new CourierError("GLS restituisce l'etichetta solo alla creazione della spedizione", "unsupported"));
+  },
+
+  bookPickup(_request: PickupRequest): Promise<PickupResult> {
+    // GLS collects from the sede's daily round; extra pickups go through the local branch
+    return Promise.reject(new CourierError("Prenota il ritiro GLS con la sede di riferimento", "unsupported"));
+  },
+
+  async cancelShipment(shipmentId: string): Promise<void> {
+    const { sede, cliente, password } = credentials();
+    await postForm("DeleteSped", {
+      SedeGls: sede,
+      CodiceClienteGls: cliente,
+      PasswordClienteGls: password,
+      NumSpedizione: shipmentId,
+    });
+  },
+
+  async getTrackingEvents(shipment: TrackedShipment): Promise<TrackingEvent[]> {
+    const { sede, cliente } = credentials();
+    const params = new URLSearchParams({ locpartenza: sede, numsped: shipment.trackingNumber, CodCli: cliente });
+    const response = await courierFetch("GLS", `${trackingUrl()}?${params}`, { method: "GET" });
+    const xml = await response.text();
+
+    // <TRACKING><Data>15/05/26</Data><Ora>10:30</Ora><Luogo>MILANO</Luogo><Stato>CONSEGNATA</Stato></TRACKING>
+    const blocks = xml.match(/<TRACKING>[\s\S]*?<\/TRACKING>/g) || [];
+    return blocks.map((block) => {
+      const description = readTag(block, "Stato") || "";
+      const date = (readTag(block, "Data") || "").replace(/^(\d{2})\/(\d{2})\/(\d{2})$/, "$1/$2/20$3");
+      return {
+        trackingNumber: shipment.trackingNumber,
+        status: statusFromDescription(description),
+        description,
+        location: readTag(block, "Luogo"),
+        occurredAt: romeTimestamp(date, readTag(block, "Ora") || "00:00"),
+        raw: block,
+      };
+    }).filter((event) => event.description);
+  },
+};
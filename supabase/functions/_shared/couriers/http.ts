@@ -0,0 +1,44 @@
+/**
+ * HTTP helpers shared by courier adapters
+ * Mimmo Fratelli E-commerce Platform
+ */
+
+import { CourierError } from "./types.ts";
+
+/**
+ * Call a courier API, turning network failures and non-2xx responses into CourierError
+ * (4xx = the courier rejected the data, 5xx/network = courier unavailable)
+ */
+export async function courierFetch(courier: string, url: string, init: RequestInit): Promise<Response> {
+  let response: Response;
+  try {
+    response = await fetch(url, init);
+  } catch (err) {
+    throw new CourierError(`${courier}: ${(err as Error).message}`, "unavailable");
+  }
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    console.error(`${courier} API error ${response.status}:`, body.slice(0, 500));
+    throw new CourierError(
+      `${courier} API error: ${response.status}`,
+      response.status >= 500 ? "unavailable" : "rejected",
+      response.status,
+    );
+  }
+
+  return response;
+}
+
+export function base64ToBytes(base64: string): Uint8Array {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function basicAuth(user: string, password: string): string {
+  return `Basic ${btoa(`${user}:${password}`)}`;
+}
@@ -0,0 +1,34 @@
+/**
+ * Courier Adapter Registry
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * To add a courier, implement CourierAdapter and register it here.
+ */
+
+import { brtAdapter } from "./brt.ts";
+import { dhlAdapter } from "./dhl.ts";
+import { glsAdapter } from "./gls.ts";
+import { mockAdapter } from "./mock.ts";
+import type { CourierAdapter } from "./types.ts";
+
+export * from "./types.ts";
+
+const adapters: Record<string, CourierAdapter> = {
+  brt: brtAdapter,
+  dhl: dhlAdapter,
+  gls: glsAdapter,
+  mock: mockAdapter,
+};
+
+export function getCourierAdapter(courier: string): CourierAdapter | null {
+  return adapters[courier?.toLowerCase()] || null;
+}
+
+/**
+ * Couriers with credentials in the environment, for the admin picker
+ */
+export function listConfiguredCouriers(): { id: string; name: string }[] {
+  return Object.values(adapters)
+    .filter((adapter) => adapter.isConfigured())
+    .map(({ id, name }) => ({ id, name }));
+}
@@ -0,0 +1,159 @@
+/**
+ * Mock Courier Adapter
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * For local development and testing: never calls a real API, returns
+ * fake tracking numbers, a printable 10x15 PDF label and a shipment that
+ * moves one step forward every 15 minutes (delivered after an hour).
+ * Its webhook accepts events in the normalized TrackingEvent shape.
+ * Enabled with COURIER_MOCK_ENABLED=true.
+ */
+
+import {
+  CourierAdapter,
+  PickupRequest,
+  PickupResult,
+  ShipmentEventStatus,
+  ShipmentRequest,
+  ShipmentResult,
+  TrackedShipment,
+  TrackingEvent,
+} from "./types.ts";
+
+const STEP_MINUTES = 15;
+const MOCK_STEPS: [ShipmentEventStatus, string][] = [
+  ["picked_up", "Spedizione ritirata dal corriere"],
+  ["in_transit", "In transito verso la filiale di destinazione"],
+  ["out_for_delivery", "In consegna"],
+  ["delivered", "Consegnata"],
+];
+
+function randomDigits(length: number): string {
+  return Array.from(crypto.getRandomValues(new Uint8Array(length)), (n) => n % 10).join("");
+}
+
+// PDF strings only support plain ASCII with the standard fonts
+function pdfText(value: string): string {
+  return value
+    .normalize("NFD")
+    .replace(/[^\x20-\x7E]/g, "")
+    .replace(/([\\()])/g, "\\$1");
+}
+
+/**
+ * Single-page 10x15 cm PDF with one line of text per entry
+ */
+function buildLabelPdf(lines: string[]): Uint8Array {
+  const content = [
+    "BT",
+    "/F1 12 Tf",
+    "20 390 Td",
+    "16 TL",
+    ...lines.map((line) => `(${pdfText(line)}) '`),
+    "ET",
+  ].join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 283 425] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets: number[] = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
+
+export const mockAdapter: CourierAdapter = {
+  id: "mock",
+  name: "Corriere di test",
+
+  isConfigured() {
+    return Deno.env.get("COURIER_MOCK_ENABLED") === "true";
+  },
+
+  createShipment(request: ShipmentRequest): Promise<ShipmentResult> {
+    const trackingNumber = `MK${randomDigits(10)}`;
+    const recipient = request.recipient;
+    const weight = request.parcels.reduce((sum, p) => sum + p.weightKg, 0);
+
+    return Promise.resolve({
+      shipmentId: `MOCK-${trackingNumber}`,
+      trackingNumber,
+      label: buildLabelPdf([
+        "CORRIERE DI TEST - NON SPEDIRE",
+        "",
+        `Tracking: ${trackingNumber}`,
+        `Ordine: ${request.orderNumber}`,
+        "",
+        "Destinatario:",
+        recipient.name,
+        recipient.address,
+        `${recipient.postalCode} ${recipient.city} (${recipient.province})`,
+        recipient.phone || "",
+        "",
+        `Colli: ${request.parcels.length}  Peso: ${weight.toFixed(1)} kg`,
+        "",
+        `Mittente: ${request.sender.name}`,
+        `${request.sender.address}, ${request.sender.postalCode} ${request.sender.city}`,
+      ]),
+    });
+  },
+
+  getLabel(shipmentId: string): Promise<Uint8Array> {
+    return Promise.resolve(buildLabelPdf([
+      "CORRIERE DI TEST - NON SPEDIRE",
+      "",
+      `Tracking: ${shipmentId.replace(/^MOCK-/, "")}`,
+    ]));
+  },
+
+  bookPickup(request: PickupRequest): Promise<PickupResult> {
+    return Promise.resolve({ pickupId: `MOCKPU${randomDigits(8)}`, date: request.date });
+  },
+
+  cancelShipment(): Promise<void> {
+    return Promise.resolve();
+  },
+
+  getTrackingEvents(shipment: TrackedShipment): Promise<TrackingEvent[]> {
+    const shippedAt = new Date(shipment.shippedAt).getTime();
+    const events = MOCK_STEPS
+      .map(([status, description], i) => ({
+        trackingNumber: shipment.trackingNumber,
+        status,
+        description,
+        location: "Bresso (MI)",
+        occurredAt: new Date(shippedAt + (i + 1) * STEP_MINUTES * 60_000).toISOString(),
+      }))
+      .filter((event) => new Date(event.occurredAt).getTime() <= Date.now());
+    return Promise.resolve(events);
+  },
+
+  parseWebhook(payload: unknown): TrackingEvent[] {
+    const body = payload as { events?: Partial<TrackingEvent>[] } & Partial<TrackingEvent>;
+    const events = Array.isArray(body?.events) ? body.events : [body];
+    return events
+      .filter((event) => event?.trackingNumber && event.status)
+      .map((event) => ({
+        trackingNumber: event.trackingNumber!,
+        status: event.status!,
+        description: event.description || event.status!,
+        location: event.location || null,
+        occurredAt: event.occurredAt || new Date().toISOString(),
+        raw: event,
+      }));
+  },
+};
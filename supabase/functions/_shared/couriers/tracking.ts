@@ -0,0 +1,44 @@
+/**
+ * Tracking status helpers shared by courier adapters
+ * Mimmo Fratelli E-commerce Platform
+ */
+
+import type { ShipmentEventStatus } from "./types.ts";
+
+// Checked in order: the first match wins ("IN CONSEGNA" before "CONSEGNATA").
+// RESO as a whole word: "PRESO IN CARICO" is not a return
+const DESCRIPTION_PATTERNS: [RegExp, ShipmentEventStatus][] = [
+  [/\bRESO\b|RESTITUIT|RIENTRO AL MITTENTE/i, "returned"],
+  [/IN CONSEGNA|AFFIDATA AL CORRIERE PER LA CONSEGNA|OUT FOR DELIVERY/i, "out_for_delivery"],
+  [/CONSEGNAT|DELIVERED/i, "delivered"],
+  [/GIACENZA|MANCATA CONSEGNA|DESTINATARIO ASSENTE|ANOMALIA|EXCEPTION/i, "exception"],
+  [/RITIRAT|PRES[AO] IN CARICO|PICKED UP/i, "picked_up"],
+];
+
+/**
+ * Map a free-text Italian courier status to a timeline step
+ * (for APIs without structured status codes)
+ */
+export function statusFromDescription(description: string): ShipmentEventStatus {
+  const match = DESCRIPTION_PATTERNS.find(([pattern]) => pattern.test(description));
+  return match ? match[1] : "in_transit";
+}
+
+/**
+ * Combine a courier date (DD.MM.YYYY, DD/MM/YYYY or YYYY-MM-DD) and time (HH:MM)
+ * expressed in Italian local time into an ISO timestamp
+ */
+export function romeTimestamp(date: string, time = "00:00"): string {
+  const [, d, m, y] = date.match(/^(\d{2})[./](\d{2})[./](\d{4})$/) || [];
+  const isoDate = y ? `${y}-${m}-${d}` : date.slice(0, 10);
+  const hhmm = time.replace(".", ":").slice(0, 5).padStart(5, "0");
+
+  // Offset of Europe/Rome on that day (+01:00 or +02:00)
+  const probe = new Date(`${isoDate}T12:00:00Z`);
+  const offsetName = new Intl.DateTimeFormat("en-US", { timeZone: "Europe/Rome", timeZoneName: "shortOffset" })
+    .formatToParts(probe)
+    .find((part) => part.type === "timeZoneName")?.value || "GMT+1";
+  const hours = Number(offsetName.replace("GMT", "")) || 1;
+
+  return new Date(`${isoDate}T${hhmm}:00+0${hours}:00`).toISOString();
+}
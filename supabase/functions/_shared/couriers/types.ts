@@ -0,0 +1,111 @@
+/**
+ * Courier Adapter Interface
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Every courier integration implements the same four operations,
+ * so submit-to-courier never needs to know which API it is talking to.
+ */
+
+export interface ShipmentParty {
+  name: string;
+  address: string;
+  city: string;
+  postalCode: string;
+  province: string;
+  country: string;
+  phone?: string;
+  email?: string;
+}
+
+export interface Parcel {
+  weightKg: number;
+  lengthCm: number;
+  widthCm: number;
+  heightCm: number;
+}
+
+export interface ShipmentRequest {
+  reference: string;     // Order ID, echoed back by the courier
+  orderNumber: string;   // Printed on the label
+  sender: ShipmentParty;
+  recipient: ShipmentParty;
+  parcels: Parcel[];
+  notes?: string;
+}
+
+export interface ShipmentResult {
+  shipmentId: string;       // Courier-side ID used for labels and cancellation
+  trackingNumber: string;
+  label?: Uint8Array | null; // Some couriers return the PDF label with the shipment
+}
+
+export interface PickupRequest {
+  shipmentIds: string[];
+  date: string;        // YYYY-MM-DD
+  readyFrom: string;   // HH:MM
+  readyUntil: string;  // HH:MM
+  address: ShipmentParty;
+  parcelCount: number;
+}
+
+export interface PickupResult {
+  pickupId: string;
+  date: string;
+}
+
+export type ShipmentEventStatus =
+  | "label_created"
+  | "picked_up"
+  | "in_transit"
+  | "out_for_delivery"
+  | "delivered"
+  | "exception"
+  | "returned";
+
+export interface TrackingEvent {
+  trackingNumber: string;
+  status: ShipmentEventStatus;
+  description: string;
+  location?: string | null;
+  occurredAt: string; // ISO timestamp
+  raw?: unknown;
+}
+
+export interface TrackedShipment {
+  shipmentId: string;
+  trackingNumber: string;
+  shippedAt: string; // ISO timestamp of shipment creation
+}
+
+export interface CourierAdapter {
+  readonly id: string;
+  readonly name: string;
+  /** Whether credentials are present in the environment */
+  isConfigured(): boolean;
+  createShipment(request: ShipmentRequest): Promise<ShipmentResult>;
+  /** PDF label for an existing shipment */
+  getLabel(shipmentId: string): Promise<Uint8Array>;
+  bookPickup(request: PickupRequest): Promise<PickupResult>;
+  cancelShipment(shipmentId: string): Promise<void>;
+  /** Full event history, used by the tracking poller */
+  getTrackingEvents(shipment: TrackedShipment): Promise<TrackingEvent[]>;
+  /** Events pushed by the courier, for couriers that support webhooks */
+  parseWebhook?(payload: unknown): TrackingEvent[];
+}
+
+export type CourierErrorCode =
+  | "not_configured"
+  | "unsupported"
+  | "rejected"
+  | "unavailable";
+
+export class CourierError extends Error {
+  constructor(
+    message: string,
+    public readonly code: CourierErrorCode,
+    public readonly status?: number,
+  ) {
+    super(message);
+    this.name = "CourierError";
+  }
+}
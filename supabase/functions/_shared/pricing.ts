@@ -0,0 +1,253 @@
+/**
+ * Server-side Cart Pricing
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Reloads products and weight variants from the database and recomputes
+ * unit and line prices, so totals never depend on prices sent by the browser.
+ */
+
+// Prices sent by the browser may differ by rounding (float math on weights)
+const PRICE_TOLERANCE_CENTS = 1;
+const MAX_QUANTITY = 10;
+// Custom weights the product page selector offers (0-10 kg + 100-900 g)
+const MIN_WEIGHT_GRAMS = 100;
+const MAX_WEIGHT_GRAMS = 10900;
+
+export interface PricingCartItem {
+  productId: string;
+  name?: string;
+  price: number;
+  unitPrice?: number;
+  quantity: number;
+  size?: string;
+  color?: string;
+  image?: string;
+  weight_grams?: number | null;
+}
+
+export interface PricedLine {
+  productId: string;
+  name: string;
+  image: string;
+  size: string;
+  color: string;
+  quantity: number;
+  weight_grams: number | null;
+  unit_measure: string;
+  unitPriceCents: number; // Price per kg/l or per piece
+  priceCents: number;     // Price of one cart unit (weighted if applicable)
+  lineTotalCents: number;
+}
+
+export type PricingIssueReason =
+  | "product_unavailable"
+  | "variant_unavailable"
+  | "insufficient_stock"
+  | "invalid_quantity"
+  | "invalid_weight"
+  | "price_changed";
+
+export interface PricingIssue {
+  productId: string;
+  name: string;
+  weight_grams: number | null;
+  reason: PricingIssueReason;
+  clientPrice?: number;
+  serverPrice?: number;
+  available?: number;
+}
+
+export interface PricingResult {
+  lines: PricedLine[];
+  issues: PricingIssue[];
+  subtotalCents: number;
+}
+
+/**
+ * Effective unit price for a product (same rule as the storefront: sale price wins when set).
+ * effective_sale_price (migration 040) includes price schedules the
+ * apply-price-schedules job has not written to sale_price yet.
+ */
+export function getEffectiveUnitPrice(
+  product: { price: number; sale_price?: number | null; effective_sale_price?: number | null },
+): number {
+  const salePrice = "effective_sale_price" in product ? product.effective_sale_price : product.sale_price;
+  return Number(salePrice) || Number(product.price) || 0;
+}
+
+/**
+ * Price of one cart unit: weighted products are priced per kg/l
+ */
+export function computeItemPriceCents(unitPrice: number, weightGrams: number | null): number {
+  if (weightGrams) {
+    return Math.round((unitPrice * weightGrams) / 10);
+  }
+  return Math.round(unitPrice * 100);
+}
+
+/**
+ * Reload every cart product and weight variant and recompute prices.
+ * Lines with issues are still returned in `issues` so the caller can reject
+ * the whole cart with a single structured error.
+ */
+export async function priceCart(supabase: any, items: PricingCartItem[]): Promise<PricingResult> {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+
+  const [productsResult, inventoryResult] = await Promise.all([
+    supabase
+      .from("products")
+      .select("id, name, price, sale_price, effective_sale_price, images, is_active, unit_measure")
+      .in("id", productIds),
+    supabase
+      .from("weight_inventory")
+      .select("product_id, weight_grams, quantity")
+      .in("product_id", productIds),
+  ]);
+
+  if (productsResult.error) {
+    throw new Error(`Impossibile caricare i prodotti: ${productsResult.error.message}`);
+  }
+
+  const products = new Map<string, any>((productsResult.data || []).map((p: any) => [p.id, p]));
+  const inventoryByProduct = new Map<string, { weight_grams: number; quantity: number }[]>();
+  for (const row of inventoryResult.data || []) {
+    const rows = inventoryByProduct.get(row.product_id) || [];
+    rows.push(row);
+    inventoryByProduct.set(row.product_id, rows);
+  }
+
+  const lines: PricedLine[] = [];
+  const issues: PricingIssue[] = [];
+
+  for (const item of items) {
+    const weightGrams = item.weight_grams || null;
+    const product = products.get(item.productId);
+    const issueBase = { productId: item.productId, name: product?.name || item.name || "Prodotto", weight_grams: weightGrams };
+
+    if (!product || product.is_active === false) {
+      issues.push({ ...issueBase, reason: "product_unavailable" });
+      continue;
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_QUANTITY) {
+      issues.push({ ...issueBase, reason: "invalid_quantity" });
+      continue;
+    }
+
+    // The weight sets the price: piece products have none, weighted ones
+    // take a variant or a custom weight the product page could have sent
+    const inventory = inventoryByProduct.get(item.productId) || [];
+    const variant = weightGrams ? inventory.find((row) => row.weight_grams === weightGrams) : undefined;
+    if (weightGrams && (
+      product.unit_measure === "pz" ||
+      !Number.isInteger(weightGrams) ||
+      (!variant && (weightGrams < MIN_WEIGHT_GRAMS || weightGrams > MAX_WEIGHT_GRAMS))
+    )) {
+      issues.push({ ...issueBase, reason: "invalid_weight" });
+      continue;
+    }
+
+    // Same rules as the product page: exact variants are stock-checked,
+    // custom weights are allowed while the product has any stock left
+    if (weightGrams && inventory.length > 0) {
+      const totalAvailable = inventory.reduce((sum, row) => sum + row.quantity, 0);
+      if (variant && variant.quantity < item.quantity) {
+        issues.push({ ...issueBase, reason: "insufficient_stock", available: variant.quantity });
+        continue;
+      }
+      if (!variant && totalAvailable <= 0) {
+        issues.push({ ...issueBase, reason: "variant_unavailable", available: 0 });
+        continue;
+      }
+    }
+
+    const unitPrice = getEffectiveUnitPrice(product);
+    const priceCents = computeItemPriceCents(unitPrice, weightGrams);
+    const clientPriceCents = Math.round((Number(item.price) || 0) * 100);
+
+    if (Math.abs(clientPriceCents - priceCents) > PRICE_TOLERANCE_CENTS) {
+      issues.push({
+        ...issueBase,
+        reason: "price_changed",
+        clientPrice: clientPriceCents / 100,
+        serverPrice: priceCents / 100,
+      });
+      continue;
+    }
+
+    lines.push({
+      productId: product.id,
+      name: product.name,
+      image: product.images?.[0] || item.image || "",
+      size: item.size || "",
+      color: item.color || "",
+      quantity: item.quantity,
+      weight_grams: weightGrams,
+      unit_measure: product.unit_measure || "kg",
+      unitPriceCents: Math.round(unitPrice * 100),
+      priceCents,
+      lineTotalCents: priceCents * item.quantity,
+    });
+  }
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+  return { lines, issues, subtotalCents };
+}
+
+export interface CheckoutDiscountInput {
+  subtotalCents: number;
+  shippingCents: number;
+  promotionCents: number;
+  giftCardBalanceCents: number;
+  requestedCreditCents: number;
+  availableCreditCents: number;
+}
+
+export interface CheckoutDiscounts {
+  giftCardCents: number;
+  creditCents: number;
+  creditForProductsCents: number;
+  creditForShippingCents: number;
+  shippingCents: number;  // Shipping left after the credit
+  couponCents: number;    // Stripe coupon: promotions, gift card and credit on products
+  totalCents: number;
+}
+
+/**
+ * Split gift card and customer credit over the order: the gift card only
+ * covers products, the credit covers products first and then shipping
+ * (a Stripe coupon cannot discount the shipping rate, so that part lowers
+ * the rate itself).
+ */
+export function applyCheckoutDiscounts(input: CheckoutDiscountInput): CheckoutDiscounts {
+  const { subtotalCents, promotionCents } = input;
+  let shippingCents = input.shippingCents;
+
+  const giftCardCents = input.giftCardBalanceCents > 0
+    ? Math.max(0, Math.min(input.giftCardBalanceCents, subtotalCents - promotionCents))
+    : 0;
+
+  let creditCents = 0;
+  let creditForProductsCents = 0;
+  let creditForShippingCents = 0;
+  if (input.requestedCreditCents > 0) {
+    const orderTotalCents = subtotalCents + shippingCents - promotionCents - giftCardCents;
+    creditCents = Math.max(0, Math.min(input.requestedCreditCents, input.availableCreditCents, orderTotalCents));
+
+    const remainingSubtotalCents = subtotalCents - promotionCents - giftCardCents;
+    creditForProductsCents = Math.max(0, Math.min(creditCents, remainingSubtotalCents));
+    creditForShippingCents = creditCents - creditForProductsCents;
+    shippingCents = Math.max(0, shippingCents - creditForShippingCents);
+  }
+
+  const couponCents = promotionCents + giftCardCents + creditForProductsCents;
+  return {
+    giftCardCents,
+    creditCents,
+    creditForProductsCents,
+    creditForShippingCents,
+    shippingCents,
+    couponCents,
+    totalCents: Math.max(0, subtotalCents + shippingCents - couponCents),
+  };
+}
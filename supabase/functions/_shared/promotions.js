@@ -0,0 +1,631 @@
+/**
+ * Promotion Rules Engine
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Shared by the cart and checkout pages (browser) and create-checkout-session
+ * (Deno), so the discount shown to the customer is the discount charged by
+ * Stripe.
+ *
+ * Every rule produces a check { rule, passed, message }, so the customer
+ * (and support) can see why a code was or wasn't applied. Amounts are
+ * computed in cents.
+ *
+ * Promotion columns used (migrations 003, 011, 037, 038, 039):
+ *   discount_type, discount_value, rules, min_purchase, max_discount,
+ *   usage_limit, usage_count, per_customer_limit, applies_to ('all' |
+ *   'category' | 'product'), applies_to_ids, starts_at, ends_at, is_active,
+ *   user_id, is_first_order_code, stackable, auto_apply
+ * Promotions entered with a batch code also carry promotion_code_id,
+ * code_max_uses and code_usage_count (lookup_promotion_code).
+ *
+ * discount_type and its rules (JSONB):
+ *   percentage     discount_value = percent off the eligible lines
+ *   fixed          discount_value = euro off the eligible lines
+ *   buy_x_get_y    { "buy_quantity": 2, "free_quantity": 1 }  ("3x2", per product,
+ *                  the cheapest units are free)
+ *   tiered         { "tiers": [{ "min_amount": 40, "percent": 10 },
+ *                              { "min_amount": 70, "percent": 15 }] }
+ *   bundle         { "price": 9.90 }  one unit of each applies_to_ids product
+ *                  for a fixed price
+ *   weight_bonus   { "buy_grams": 2000, "free_grams": 500 }  per weighted product
+ *   free_shipping  no rules: shipping is free, the products are not discounted
+ */
+
+export const PROMOTION_TYPES = {
+  percentage: 'Percentuale',
+  fixed: 'Importo fisso',
+  buy_x_get_y: 'Prendi X paghi Y',
+  tiered: 'Sconto a scaglioni',
+  bundle: 'Bundle a prezzo fisso',
+  weight_bonus: 'Peso in omaggio',
+  free_shipping: 'Spedizione gratuita'
+};
+
+export const PROMOTION_RULES = {
+  active: 'active',
+  started: 'started',
+  notExpired: 'not_expired',
+  usageLimit: 'usage_limit',
+  codeUsage: 'code_usage',
+  customerLimit: 'customer_limit',
+  owner: 'owner',
+  firstOrder: 'first_order',
+  eligibleItems: 'eligible_items',
+  minPurchase: 'min_purchase',
+  threshold: 'threshold',
+  maxDiscount: 'max_discount',
+  discount: 'discount',
+  stacking: 'stacking'
+};
+
+const formatEuro = (cents) => `€${(cents / 100).toFixed(2)}`;
+const toCents = (euro) => Math.round((Number(euro) || 0) * 100);
+const formatGrams = (grams) => (grams >= 1000 ? `${grams / 1000} kg` : `${grams} g`);
+
+/**
+ * Short label for badges, the cart discount row and the Stripe coupon,
+ * e.g. "-10%", "3x2", "2 kg + 500 g in omaggio"
+ * @param {Object} promotion
+ * @returns {string}
+ */
+export function formatPromotionLabel(promotion) {
+  const rules = promotion?.rules || {};
+  const value = Number(promotion?.discount_value) || 0;
+
+  switch (promotion?.discount_type) {
+    case 'percentage':
+      return `-${value}%`;
+    case 'fixed':
+      return `-€${value.toFixed(2)}`;
+    case 'buy_x_get_y': {
+      const buy = Number(rules.buy_quantity) || 0;
+      const free = Number(rules.free_quantity) || 0;
+      return `${buy + free}x${buy}`;
+    }
+    case 'tiered':
+      return getTiers(promotion).map(t => `-${t.percent}% da €${t.min_amount}`).join(' · ');
+    case 'bundle':
+      return `Bundle a €${(Number(rules.price) || 0).toFixed(2)}`;
+    case 'weight_bonus':
+      return `${formatGrams(Number(rules.buy_grams) || 0)} + ${formatGrams(Number(rules.free_grams) || 0)} in omaggio`;
+    case 'free_shipping':
+      return 'Spedizione gratuita';
+    default:
+      return promotion?.name || 'Promozione';
+  }
+}
+
+function getTiers(promotion) {
+  return (promotion?.rules?.tiers || [])
+    .map(t => ({ min_amount: Number(t.min_amount) || 0, percent: Number(t.percent) || 0 }))
+    .filter(t => t.percent > 0)
+    .sort((a, b) => a.min_amount - b.min_amount);
+}
+
+/**
+ * Parse tiers typed in the admin, one "min_amount:percent" per line
+ * @param {string} text - e.g. "40:10\n80:15"
+ * @returns {Array<{min_amount: number, percent: number}>} sorted by min_amount
+ */
+export function parsePromotionTiers(text = '') {
+  return getTiers({
+    rules: {
+      tiers: text.split('\n')
+        .map(line => line.split(':').map(part => parseFloat(part.replace(',', '.'))))
+        .filter(([minAmount, percent]) => Number.isFinite(minAmount) && Number.isFinite(percent))
+        .map(([minAmount, percent]) => ({ min_amount: minAmount, percent: Math.min(100, percent) }))
+    }
+  });
+}
+
+/**
+ * @param {Array} tiers
+ * @returns {string} the admin textarea format of parsePromotionTiers
+ */
+export function formatPromotionTiers(tiers = []) {
+  return getTiers({ rules: { tiers } }).map(t => `${t.min_amount}:${t.percent}`).join('\n');
+}
+
+/**
+ * Normalise a code as typed by the customer
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizePromotionCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Which cart lines a promotion covers. Promotions built before the
+ * applies_to columns were read (applicable_products/_categories) are
+ * still understood.
+ * @param {Object} promotion
+ * @returns {{type: 'all'|'category'|'product', ids: string[]}}
+ */
+export function getPromotionScope(promotion) {
+  const ids = promotion?.applies_to_ids || [];
+  if (promotion?.applies_to === 'product' || promotion?.applies_to === 'category') {
+    return { type: promotion.applies_to, ids };
+  }
+  if (promotion?.applicable_products?.length) {
+    return { type: 'product', ids: promotion.applicable_products };
+  }
+  if (promotion?.applicable_categories?.length) {
+    return { type: 'category', ids: promotion.applicable_categories };
+  }
+  return { type: 'all', ids: [] };
+}
+
+/**
+ * Cart lines covered by the promotion
+ * @param {Object} promotion
+ * @param {Array} items - { productId, categoryId?, price, quantity }
+ * @param {Object} [categoryByProduct] - productId -> category_id, for lines without categoryId
+ * @returns {Array}
+ */
+export function getEligibleItems(promotion, items = [], categoryByProduct = {}) {
+  const scope = getPromotionScope(promotion);
+  if (scope.type === 'all') return items;
+
+  return items.filter(item => {
+    if (scope.type === 'product') return scope.ids.includes(item.productId);
+    const categoryId = item.categoryId ?? categoryByProduct[item.productId];
+    return Boolean(categoryId) && scope.ids.includes(categoryId);
+  });
+}
+
+/**
+ * Price of one cart unit in cents. Weighted cart items are priced like
+ * computeItemPriceCents in _shared/pricing.ts, so the browser and the
+ * server lines (which carry priceCents) give the same amount.
+ * @param {Object} item - { priceCents?, unitPrice?, weight_grams?, price }
+ * @returns {number} Not rounded for plain euro prices
+ */
+export function getItemPriceCents(item) {
+  if (item.priceCents !== undefined) return Number(item.priceCents) || 0;
+  if (item.unitPrice && item.weight_grams) {
+    return Math.round((Number(item.unitPrice) * Number(item.weight_grams)) / 10);
+  }
+  return (Number(item.price) || 0) * 100;
+}
+
+// Price per kg/l in cents of a weighted line
+function getItemUnitPriceCents(item) {
+  if (item.unitPriceCents !== undefined) return Number(item.unitPriceCents) || 0;
+  if (item.unitPrice) return Math.round(Number(item.unitPrice) * 100);
+  return item.weight_grams ? Math.round((getItemPriceCents(item) * 1000) / item.weight_grams) : 0;
+}
+
+// Eligible lines grouped by product: one entry per cart unit, cheapest first
+function getUnitsByProduct(items) {
+  const byProduct = new Map();
+  items.forEach(item => {
+    const units = byProduct.get(item.productId) || [];
+    for (let i = 0; i < (Number(item.quantity) || 0); i++) units.push(getItemPriceCents(item));
+    byProduct.set(item.productId, units);
+  });
+  byProduct.forEach(units => units.sort((a, b) => a - b));
+  return byProduct;
+}
+
+/**
+ * Discount of the promotion type on the eligible lines, before caps
+ * @returns {{discountCents: number, checks: Array, notes: Array<{productId: string, message: string}>}}
+ */
+function calculateTypeDiscount(promotion, eligible, eligibleSubtotalCents) {
+  const rules = promotion.rules || {};
+  const checks = [];
+  const notes = [];
+  const check = (passed, message) => checks.push({ rule: PROMOTION_RULES.threshold, passed, message });
+
+  switch (promotion.discount_type) {
+    case 'percentage':
+      return {
+        discountCents: Math.round((eligibleSubtotalCents * (Number(promotion.discount_value) || 0)) / 100),
+        checks,
+        notes
+      };
+
+    case 'fixed':
+      return { discountCents: toCents(promotion.discount_value), checks, notes };
+
+    case 'buy_x_get_y': {
+      const buy = Number(rules.buy_quantity) || 0;
+      const free = Number(rules.free_quantity) || 0;
+      const setSize = buy + free;
+      let discountCents = 0;
+      if (buy > 0 && free > 0) {
+        getUnitsByProduct(eligible).forEach((units, productId) => {
+          const freeUnits = Math.floor(units.length / setSize) * free;
+          if (!freeUnits) return;
+          discountCents += units.slice(0, freeUnits).reduce((sum, cents) => sum + cents, 0);
+          notes.push({ productId, message: `${setSize}x${buy}: ${freeUnits} in omaggio` });
+        });
+      }
+      check(notes.length > 0, notes.length
+        ? `${setSize}x${buy} su ${notes.length} prodott${notes.length === 1 ? 'o' : 'i'}`
+        : `Aggiungi ${setSize} pezzi dello stesso prodotto per il ${setSize}x${buy}`);
+      return { discountCents, checks, notes };
+    }
+
+    case 'tiered': {
+      const tiers = getTiers(promotion);
+      const reached = tiers.filter(t => eligibleSubtotalCents >= toCents(t.min_amount)).pop();
+      const next = tiers.find(t => eligibleSubtotalCents < toCents(t.min_amount));
+      const hint = next
+        ? ` (da €${next.min_amount.toFixed(2)}: -${next.percent}%)`
+        : '';
+      check(Boolean(reached), reached
+        ? `Scaglione da €${reached.min_amount.toFixed(2)}: -${reached.percent}%${hint}`
+        : next ? `Spendi almeno €${next.min_amount.toFixed(2)} per lo sconto del ${next.percent}%` : 'Nessuno scaglione configurato');
+      return {
+        discountCents: reached ? Math.round((eligibleSubtotalCents * reached.percent) / 100) : 0,
+        checks,
+        notes
+      };
+    }
+
+    case 'bundle': {
+      const productIds = getPromotionScope(promotion).ids;
+      const units = getUnitsByProduct(eligible);
+      const sets = productIds.length
+        ? Math.min(...productIds.map(id => units.get(id)?.length || 0))
+        : 0;
+      check(sets > 0, sets > 0
+        ? `Bundle completo: ${sets} ${sets === 1 ? 'volta' : 'volte'}`
+        : 'Aggiungi tutti i prodotti del bundle');
+      if (!sets) return { discountCents: 0, checks, notes };
+
+      const regularCents = productIds.reduce(
+        (sum, id) => sum + units.get(id).slice(0, sets).reduce((s, cents) => s + cents, 0), 0);
+      const discountCents = Math.max(0, regularCents - sets * toCents(rules.price));
+      productIds.forEach(id => notes.push({ productId: id, message: formatPromotionLabel(promotion) }));
+      return { discountCents, checks, notes };
+    }
+
+    case 'weight_bonus': {
+      const buyGrams = Number(rules.buy_grams) || 0;
+      const freeGrams = Number(rules.free_grams) || 0;
+      const blockGrams = buyGrams + freeGrams;
+      let discountCents = 0;
+      if (buyGrams > 0 && freeGrams > 0) {
+        const byProduct = new Map();
+        eligible.filter(item => item.weight_grams).forEach(item => {
+          const entry = byProduct.get(item.productId) || { grams: 0, unitPriceCents: getItemUnitPriceCents(item) };
+          entry.grams += Number(item.weight_grams) * (Number(item.quantity) || 0);
+          byProduct.set(item.productId, entry);
+        });
+        byProduct.forEach(({ grams, unitPriceCents }, productId) => {
+          const free = Math.floor(grams / blockGrams) * freeGrams;
+          if (!free) return;
+          discountCents += Math.round((free * unitPriceCents) / 1000);
+          notes.push({ productId, message: `${formatGrams(free)} in omaggio` });
+        });
+      }
+      check(notes.length > 0, notes.length
+        ? `${formatGrams(freeGrams)} in omaggio ogni ${formatGrams(blockGrams)}`
+        : `Aggiungi ${formatGrams(blockGrams)} dello stesso prodotto: ${formatGrams(freeGrams)} sono in omaggio`);
+      return { discountCents, checks, notes };
+    }
+
+    default:
+      return { discountCents: 0, checks, notes };
+  }
+}
+
+/**
+ * Subtotal of cart lines in cents, rounded once on the sum
+ * @param {Array} items - { price (euro) or priceCents, quantity }
+ * @returns {number}
+ */
+export function getItemsSubtotalCents(items = []) {
+  return Math.round(items.reduce((sum, item) => sum + getItemPriceCents(item) * (Number(item.quantity) || 0), 0));
+}
+
+/**
+ * Evaluate one promotion against a cart, on its own (no stacking)
+ * @param {Object} promotion
+ * @param {Array} items - Cart lines { productId, categoryId?, price, quantity }
+ * @param {Object} [context]
+ * @param {Date} [context.now]
+ * @param {string|null} [context.userId] - Customer placing the order
+ * @param {boolean} [context.hasCompletedOrder] - For first-order codes; unknown skips the check
+ * @param {Object} [context.redemptionsByPromotion] - promotionId -> paid orders of the customer
+ *   (loadCustomerRedemptions); unknown skips per_customer_limit, Infinity (load error) fails it
+ * @param {Object} [context.categoryByProduct] - productId -> category_id
+ * @returns {{promotionId: string|null, code: string|null, name: string, applied: boolean,
+ *   discountCents: number, discount: number, eligibleSubtotalCents: number,
+ *   checks: Array<{rule: string, passed: boolean, message: string}>, message: string}}
+ */
+export function evaluatePromotion(promotion, items = [], context = {}) {
+  const {
+    now = new Date(),
+    userId = null,
+    hasCompletedOrder,
+    redemptionsByPromotion,
+    categoryByProduct = {}
+  } = context;
+  const checks = [];
+  const check = (rule, passed, message) => checks.push({ rule, passed, message });
+
+  check(PROMOTION_RULES.active, promotion.is_active !== false,
+    promotion.is_active !== false ? 'Promozione attiva' : 'Promozione non attiva');
+
+  if (promotion.starts_at) {
+    const started = new Date(promotion.starts_at) <= now;
+    check(PROMOTION_RULES.started, started,
+      started ? 'Promozione iniziata' : 'Promozione non ancora iniziata');
+  }
+  if (promotion.ends_at) {
+    const notExpired = new Date(promotion.ends_at) >= now;
+    check(PROMOTION_RULES.notExpired, notExpired,
+      notExpired ? 'Promozione in corso' : 'Codice promozionale scaduto');
+  }
+
+  if (promotion.usage_limit) {
+    const used = promotion.usage_count || 0;
+    check(PROMOTION_RULES.usageLimit, used < promotion.usage_limit,
+      used < promotion.usage_limit
+        ? `Utilizzi: ${used} su ${promotion.usage_limit}`
+        : 'Codice promozionale esaurito');
+  }
+
+  // Batch codes have their own uses (usually one)
+  if (promotion.promotion_code_id) {
+    const used = promotion.code_usage_count || 0;
+    const maxUses = promotion.code_max_uses || 1;
+    check(PROMOTION_RULES.codeUsage, used < maxUses,
+      used < maxUses
+        ? (maxUses === 1 ? 'Codice monouso' : `Utilizzi del codice: ${used} su ${maxUses}`)
+        : 'Codice già utilizzato');
+  }
+
+  if (promotion.per_customer_limit && redemptionsByPromotion && userId) {
+    const used = redemptionsByPromotion[promotion.id] || 0;
+    const limit = promotion.per_customer_limit;
+    check(PROMOTION_RULES.customerLimit, used < limit,
+      used < limit
+        ? `Utilizzata ${used} ${used === 1 ? 'volta' : 'volte'} su ${limit} per cliente`
+        : !Number.isFinite(used) ? 'Impossibile verificare gli utilizzi della promozione'
+        : limit === 1 ? 'Promozione già utilizzata' : `Promozione già utilizzata ${limit} volte`);
+  }
+
+  if (promotion.user_id) {
+    const isOwner = promotion.user_id === userId;
+    check(PROMOTION_RULES.owner, isOwner,
+      isOwner ? 'Codice associato al tuo account' : 'Questo codice non è associato al tuo account');
+  }
+
+  if (promotion.is_first_order_code && hasCompletedOrder !== undefined) {
+    check(PROMOTION_RULES.firstOrder, !hasCompletedOrder,
+      hasCompletedOrder ? 'Codice valido solo per il primo ordine' : 'Primo ordine');
+  }
+
+  const eligible = getEligibleItems(promotion, items, categoryByProduct);
+  const eligibleSubtotalCents = getItemsSubtotalCents(eligible);
+  check(PROMOTION_RULES.eligibleItems, eligibleSubtotalCents > 0,
+    eligibleSubtotalCents > 0
+      ? `Prodotti idonei: ${formatEuro(eligibleSubtotalCents)}`
+      : 'Nessun prodotto nel carrello rientra nella promozione');
+
+  const minPurchaseCents = toCents(promotion.min_purchase);
+  if (minPurchaseCents > 0) {
+    const reached = eligibleSubtotalCents >= minPurchaseCents;
+    check(PROMOTION_RULES.minPurchase, reached,
+      reached
+        ? `Acquisto minimo di ${formatEuro(minPurchaseCents)} raggiunto`
+        : `Acquisto minimo di ${formatEuro(minPurchaseCents)} richiesto`);
+  }
+
+  const isFreeShipping = promotion.discount_type === 'free_shipping';
+  const typeResult = isFreeShipping
+    ? { discountCents: 0, checks: [], notes: [] }
+    : calculateTypeDiscount(promotion, eligible, eligibleSubtotalCents);
+  checks.push(...typeResult.checks);
+  // Browser piece prices are euro floats (0.29 * 100): whole cents like the server
+  let discountCents = Math.max(0, Math.min(Math.round(typeResult.discountCents), eligibleSubtotalCents));
+
+  const maxDiscountCents = toCents(promotion.max_discount);
+  if (maxDiscountCents > 0 && !isFreeShipping) {
+    const capped = discountCents > maxDiscountCents;
+    discountCents = Math.min(discountCents, maxDiscountCents);
+    check(PROMOTION_RULES.maxDiscount, true,
+      capped
+        ? `Sconto limitato al massimo di ${formatEuro(maxDiscountCents)}`
+        : `Sconto entro il massimo di ${formatEuro(maxDiscountCents)}`);
+  }
+
+  if (!isFreeShipping && !checks.some(c => !c.passed) && discountCents === 0) {
+    check(PROMOTION_RULES.discount, false, 'Nessuno sconto per questo carrello');
+  }
+
+  const failed = checks.find(c => !c.passed);
+  const applied = !failed;
+
+  return {
+    promotionId: promotion.id || null,
+    code: promotion.code || null,
+    promotionCodeId: promotion.promotion_code_id || null,
+    name: promotion.name || promotion.code || 'Promozione',
+    type: promotion.discount_type,
+    label: formatPromotionLabel(promotion),
+    applied,
+    freeShipping: applied && isFreeShipping,
+    discountCents: applied ? discountCents : 0,
+    discount: applied ? discountCents / 100 : 0,
+    eligibleSubtotalCents,
+    checks,
+    notes: applied ? typeResult.notes : [],
+    message: failed
+      ? failed.message
+      : isFreeShipping ? 'Spedizione gratuita applicata' : `Sconto di ${formatEuro(discountCents)} applicato`
+  };
+}
+
+/**
+ * Evaluate several promotions (a code plus automatic ones) and keep the
+ * best allowed combination: stackable promotions add up, a non-stackable
+ * one is used alone. The total never exceeds the cart subtotal.
+ * Free shipping discounts the shipping, not the products, so it applies
+ * whenever its own rules pass.
+ * @param {Array} promotions
+ * @param {Array} items
+ * @param {Object} [context] - As evaluatePromotion
+ * @returns {{discountCents: number, discount: number, subtotalCents: number, freeShipping: boolean,
+ *   applied: Array, results: Array, notes: Array}} results keep the input order
+ */
+export function evaluatePromotions(promotions = [], items = [], context = {}) {
+  const subtotalCents = getItemsSubtotalCents(items);
+  const results = promotions.map(promotion => ({
+    ...evaluatePromotion(promotion, items, context),
+    stackable: Boolean(promotion.stackable)
+  }));
+
+  const valid = results.filter(r => r.applied && r.type !== 'free_shipping');
+  const options = [
+    ...valid.filter(r => !r.stackable).map(r => [r]),
+    ...(valid.some(r => r.stackable) ? [valid.filter(r => r.stackable)] : [])
+  ];
+  const optionTotal = (option) => Math.min(subtotalCents, option.reduce((sum, r) => sum + r.discountCents, 0));
+  const best = options.reduce((winner, option) => (optionTotal(option) > optionTotal(winner) ? option : winner), []);
+
+  // Promotions left out only because of stacking say which one they lost to
+  const winnerName = best[0]?.name;
+  const finalResults = results.map(result => {
+    if (!result.applied || result.type === 'free_shipping' || best.includes(result)) return result;
+    const message = `Non cumulabile con "${winnerName}"`;
+    return {
+      ...result,
+      applied: false,
+      discountCents: 0,
+      discount: 0,
+      notes: [],
+      checks: [...result.checks, { rule: PROMOTION_RULES.stacking, passed: false, message }],
+      message
+    };
+  });
+
+  const applied = finalResults.filter(r => r.applied);
+  const discountCents = optionTotal(best);
+  return {
+    discountCents,
+    discount: discountCents / 100,
+    subtotalCents,
+    freeShipping: applied.some(r => r.freeShipping),
+    applied,
+    results: finalResults,
+    notes: applied.flatMap(r => r.notes)
+  };
+}
+
+/**
+ * Load an active promotion by code (RLS only returns active, current ones).
+ * Codes that are not a promotion's shared code are looked up in the
+ * generated batches (migration 039).
+ * @param {Object} supabase - Supabase client (browser or service role)
+ * @param {string} code
+ * @returns {Promise<Object|null>}
+ */
+export async function loadPromotionByCode(supabase, code) {
+  const normalized = normalizePromotionCode(code);
+  if (!normalized) return null;
+
+  const { data, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('code', normalized)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Load promotion error:', error);
+    return null;
+  }
+  if (data) return data;
+
+  const { data: batchPromotion, error: batchError } = await supabase
+    .rpc('lookup_promotion_code', { p_code: normalized });
+
+  if (batchError) {
+    console.error('Load promotion code error:', batchError);
+    return null;
+  }
+  return batchPromotion || null;
+}
+
+/**
+ * Paid orders of the customer per promotion, for per_customer_limit.
+ * A load error counts as Infinity: the limit cannot be checked, so the
+ * promotion is not applied.
+ * @param {Object} supabase
+ * @param {Array} promotions
+ * @param {string|null} userId
+ * @returns {Promise<Object|undefined>} promotionId -> count, undefined when not needed
+ */
+export async function loadCustomerRedemptions(supabase, promotions, userId) {
+  const limited = promotions.filter(p => p.per_customer_limit).map(p => p.id);
+  if (!userId || !limited.length) return undefined;
+
+  const { data, error } = await supabase
+    .from('promotion_redemptions')
+    .select('promotion_id')
+    .eq('user_id', userId)
+    .in('promotion_id', limited);
+
+  if (error) {
+    console.error('Load promotion redemptions error:', error);
+    return Object.fromEntries(limited.map(id => [id, Infinity]));
+  }
+  return (data || []).reduce((counts, row) => {
+    counts[row.promotion_id] = (counts[row.promotion_id] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Load the promotions applied without a code. Dates are checked here, as
+ * in evaluatePromotion: a missing start or end date leaves it open-ended.
+ * @param {Object} supabase
+ * @param {Date} [now]
+ * @returns {Promise<Array>}
+ */
+export async function loadAutoPromotions(supabase, now = new Date()) {
+  const { data, error } = await supabase
+    .from('promotions')
+    .select('*')
+    .eq('is_active', true)
+    .eq('auto_apply', true);
+
+  if (error) {
+    console.error('Load automatic promotions error:', error);
+    return [];
+  }
+  return (data || []).filter(promotion =>
+    (!promotion.starts_at || new Date(promotion.starts_at) <= now) &&
+    (!promotion.ends_at || new Date(promotion.ends_at) >= now)
+  );
+}
+
+/**
+ * Category of each cart product, needed only by category-scoped promotions
+ * @param {Object} supabase
+ * @param {Array} promotions
+ * @param {Array} items
+ * @returns {Promise<Object>} productId -> category_id
+ */
+export async function loadPromotionCategories(supabase, promotions, items) {
+  const needsCategories = promotions.some(p => getPromotionScope(p).type === 'category');
+  const productIds = [...new Set(items.filter(i => !i.categoryId).map(i => i.productId))];
+  if (!needsCategories || !productIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('products')
+    .select('id, category_id')
+    .in('id', productIds);
+
+  if (error) {
+    console.error('Load promotion categories error:', error);
+    return {};
+  }
+  return Object.fromEntries((data || []).map(row => [row.id, row.category_id]));
+}
@@ -0,0 +1,187 @@
+/**
+ * Returns and Refunds Calculator
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Shared by the orders page / admin panel (browser) and the process-return
+ * and adjust-order Edge Functions (Deno), so the refund shown to the admin
+ * is the refund sent to Stripe.
+ *
+ * The policy lives in system_config under the 'return_policy' key:
+ * { "window_days": 7, "max_photos": 4 }
+ */
+
+export const RETURN_POLICY_CONFIG_KEY = 'return_policy';
+
+// Fresh produce: problems are reported within a few days of delivery
+export const DEFAULT_RETURN_POLICY = {
+  window_days: 7,
+  max_photos: 4
+};
+
+export const RETURN_REASONS = {
+  spoiled: 'Prodotto deteriorato',
+  missing_item: 'Prodotto mancante',
+  damaged: 'Prodotto danneggiato',
+  wrong_item: 'Prodotto errato',
+  other: 'Altro'
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Share of the list price actually paid for the goods: discounts and
+ * gift cards lower it, shipping is left out
+ */
+function getPaidShare(order) {
+  const subtotal = Number(order.subtotal || 0);
+  const paidForGoods = Math.max(0, Number(order.total || 0) - Number(order.shipping_cost || 0));
+  return subtotal > 0 ? Math.min(1, paidForGoods / subtotal) : 0;
+}
+
+/**
+ * What is left of the payment after previous refunds, on the card or as credit
+ */
+function getRemainingPayment(order) {
+  const givenBack = Number(order.refunded_amount || 0) + Number(order.credited_amount || 0);
+  return roundCents(Math.max(0, Number(order.total || 0) - givenBack));
+}
+
+/**
+ * Load the return policy from system_config, falling back to the defaults
+ * @param {Object} supabase - Supabase client (browser or service role)
+ * @returns {Promise<Object>} Return policy
+ */
+export async function loadReturnPolicy(supabase) {
+  try {
+    const { data, error } = await supabase
+      .from('system_config')
+      .select('value')
+      .eq('key', RETURN_POLICY_CONFIG_KEY)
+      .maybeSingle();
+
+    if (error || !data?.value) {
+      return DEFAULT_RETURN_POLICY;
+    }
+    return { ...DEFAULT_RETURN_POLICY, ...data.value };
+  } catch {
+    return DEFAULT_RETURN_POLICY;
+  }
+}
+
+/**
+ * Whether the customer can still open a return for the order
+ * @param {Object} order - Order row (status, delivered_at, updated_at)
+ * @param {Object} policy - Return policy
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isReturnEligible(order, policy = DEFAULT_RETURN_POLICY, now = new Date()) {
+  if (!order || order.status !== 'delivered') return false;
+
+  const deliveredAt = new Date(order.delivered_at || order.updated_at);
+  if (Number.isNaN(deliveredAt.getTime())) return false;
+
+  return now.getTime() - deliveredAt.getTime() <= policy.window_days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Quantity of each order line that can still be returned, net of
+ * pending and approved requests (rejected ones give the quantity back)
+ * @param {Array} orderItems - order_items rows (id, quantity)
+ * @param {Array} returns - return_requests with their return_request_items
+ * @returns {Object<string, number>} order_item_id -> quantity
+ */
+export function getReturnableQuantities(orderItems = [], returns = []) {
+  const returnable = {};
+  for (const item of orderItems) {
+    returnable[item.id] = item.quantity;
+  }
+
+  for (const request of returns) {
+    if (request.status === 'rejected') continue;
+    for (const line of request.return_request_items || []) {
+      if (line.order_item_id in returnable) {
+        returnable[line.order_item_id] = Math.max(0, returnable[line.order_item_id] - line.quantity);
+      }
+    }
+  }
+
+  return returnable;
+}
+
+/**
+ * Amount to refund for the returned lines.
+ * Lines are refunded at what was actually paid for them: discounts and gift
+ * cards reduce the refund in proportion. When the return empties the order,
+ * the rest of the payment (shipping included) is refunded too.
+ *
+ * @param {Object} order - Order row (subtotal, shipping_cost, total, refunded_amount, credited_amount)
+ * @param {Array} lines - Returned lines [{ product_price, quantity }]
+ * @param {Object} options - { returnsEverything: every unit of the order is now returned }
+ * @returns {{itemsTotal: number, amount: number, fullRefund: boolean}}
+ */
+export function calculateReturnRefund(order, lines = [], { returnsEverything = false } = {}) {
+  const itemsTotal = roundCents(lines.reduce(
+    (sum, line) => sum + Number(line.product_price || 0) * Number(line.quantity || 0),
+    0
+  ));
+
+  const remaining = getRemainingPayment(order);
+
+  if (returnsEverything) {
+    return { itemsTotal, amount: remaining, fullRefund: true };
+  }
+
+  const amount = Math.min(remaining, roundCents(itemsTotal * getPaidShare(order)));
+  return { itemsTotal, amount, fullRefund: amount > 0 && amount >= remaining };
+}
+
+/**
+ * Weight adjustment of weighed lines.
+ * product_price is the price of one unit of weight_grams, so a line is
+ * re-priced on the weight actually packed (all its units together).
+ * Lines over the ordered weight offset lines under it, but the customer
+ * is never charged more than they paid.
+ *
+ * @param {Object} order - Order row (subtotal, shipping_cost, total, refunded_amount, credited_amount)
+ * @param {Array} lines - [{ id, product_price, quantity, weight_grams, actual_weight_grams }]
+ * @returns {{lines: Array<{id, orderedTotal, adjustedTotal}>, difference: number, amount: number}}
+ */
+export function calculateWeightAdjustment(order, lines = []) {
+  const adjusted = lines
+    .filter(line => Number(line.weight_grams) > 0
+      && line.actual_weight_grams !== null && line.actual_weight_grams !== undefined && line.actual_weight_grams !== ''
+      && Number(line.actual_weight_grams) >= 0)
+    .map(line => {
+      const orderedTotal = roundCents(Number(line.product_price) * Number(line.quantity));
+      const adjustedTotal = roundCents(Number(line.product_price) * Number(line.actual_weight_grams) / Number(line.weight_grams));
+      return { id: line.id, orderedTotal, adjustedTotal };
+    });
+
+  const difference = roundCents(adjusted.reduce((sum, line) => sum + line.orderedTotal - line.adjustedTotal, 0));
+  const amount = Math.min(getRemainingPayment(order), roundCents(Math.max(0, difference) * getPaidShare(order)));
+
+  return { lines: adjusted, difference, amount };
+}
+
+/**
+ * The referrer's reward is revoked when what the customer kept no longer
+ * meets the referral minimum order (revoke_referral_reward then checks
+ * the refund window)
+ * @param {Object} params - { subtotal, returnedSubtotal, minimumOrder }
+ * @returns {boolean}
+ */
+export function shouldRevokeReferral({ subtotal = 0, returnedSubtotal = 0, minimumOrder = 35 }) {
+  return roundCents(Number(subtotal) - Number(returnedSubtotal)) < Number(minimumOrder);
+}
+
+/**
+ * Customer-facing label of a return status
+ */
+export function getReturnStatusLabel(status) {
+  return {
+    pending: 'In revisione',
+    approved: 'Rimborso approvato',
+    rejected: 'Non accettata'
+  }[status] || status;
+}
@@ -0,0 +1,238 @@
+/**
+ * Shipping Rules Calculator
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Shared by the checkout page (browser) and create-checkout-session (Deno),
+ * so the fee shown to the customer is the fee charged by Stripe.
+ * Plain JavaScript on purpose: the browser imports it without a build step.
+ *
+ * Rules live in system_config under the 'shipping_rules' key:
+ * {
+ *   "default_item_grams": 500,          // weight of items sold by the piece
+ *   "zones": [{
+ *     "id": "milano",
+ *     "name": "Milano e provincia",
+ *     "caps": ["20091"],                // exact CAPs (highest priority)
+ *     "cap_prefixes": ["201"],          // CAP prefixes
+ *     "provinces": ["MI", "MB"],        // province codes, "*" matches all
+ *     "free_threshold": 50,             // euro, null = never free
+ *     "bands": [                        // sorted by max_grams, null = no limit
+ *       { "max_grams": 10000, "cost": 5.90 },
+ *       { "max_grams": null, "cost": 8.90 }
+ *     ]
+ *   }]
+ * }
+ */
+
+export const SHIPPING_RULES_CONFIG_KEY = 'shipping_rules';
+
+// Same behaviour as before configurable rules: €5.90 anywhere, free from €50
+export const DEFAULT_SHIPPING_RULES = {
+  default_item_grams: 500,
+  zones: [
+    {
+      id: 'italia',
+      name: 'Italia',
+      caps: [],
+      cap_prefixes: [],
+      provinces: ['*'],
+      free_threshold: 50,
+      bands: [{ max_grams: null, cost: 5.90 }]
+    }
+  ]
+};
+
+// Provinces served by each two-digit CAP prefix (from autofill-cap/gi_comuni_cap.json)
+export const CAP_PREFIX_PROVINCES = {
+  '00': ['RM'], '01': ['VT'], '02': ['RI'], '03': ['FR'], '04': ['LT'], '05': ['TR'], '06': ['PG'],
+  '07': ['SS'], '08': ['NU'], '09': ['CA', 'OR', 'SU'], '10': ['TO'], '11': ['AO'],
+  '12': ['CN', 'SV'], '13': ['BI', 'VC'], '14': ['AT'], '15': ['AL'], '16': ['GE'], '17': ['SV'],
+  '18': ['CN', 'IM'], '19': ['SP'], '20': ['MB', 'MI'], '21': ['VA'], '22': ['CO'],
+  '23': ['LC', 'SO'], '24': ['BG'], '25': ['BS'], '26': ['CR', 'LO'], '27': ['PV'],
+  '28': ['NO', 'VB'], '29': ['PC'], '30': ['VE'], '31': ['TV'], '32': ['BL'], '33': ['PN', 'UD'],
+  '34': ['GO', 'TS'], '35': ['PD'], '36': ['VI'], '37': ['VR'], '38': ['TN'], '39': ['BZ'],
+  '40': ['BO'], '41': ['MO'], '42': ['RE'], '43': ['PR'], '44': ['FE'], '45': ['RO'], '46': ['MN'],
+  '47': ['FC', 'RN'], '48': ['RA'], '50': ['FI'], '51': ['PT'], '52': ['AR'], '53': ['SI'],
+  '54': ['MS'], '55': ['LU'], '56': ['PI'], '57': ['LI'], '58': ['GR'], '59': ['PO'], '60': ['AN'],
+  '61': ['PU'], '62': ['MC'], '63': ['AP', 'FM'], '64': ['TE'], '65': ['PE'], '66': ['CH'],
+  '67': ['AQ'], '70': ['BA'], '71': ['FG'], '72': ['BR'], '73': ['LE'], '74': ['TA'], '75': ['MT'],
+  '76': ['BT'], '80': ['NA'], '81': ['CE'], '82': ['BN'], '83': ['AV'], '84': ['SA'], '85': ['PZ'],
+  '86': ['CB', 'IS'], '87': ['CS'], '88': ['CZ', 'KR'], '89': ['RC', 'VV'], '90': ['PA'],
+  '91': ['TP'], '92': ['AG'], '93': ['CL'], '94': ['EN'], '95': ['CT'], '96': ['SR'], '97': ['RG'],
+  '98': ['ME']
+};
+
+/**
+ * Whether a CAP is well formed (five digits)
+ * @param {string} cap
+ */
+export function isValidPostalCode(cap) {
+  return /^\d{5}$/.test(String(cap || '').trim());
+}
+
+/**
+ * Province for the zone lookup, checked against the CAP: the client sends
+ * both, so a province from another part of Italy must not pick its zone.
+ * A province the CAP cannot belong to is replaced by the only province of
+ * the prefix, or dropped when the prefix spans several.
+ * Without a CAP (quote preview) the province is used as given.
+ * @param {{postalCode?: string, province?: string}} address
+ * @returns {string} Province code, '' when unknown
+ */
+export function getAddressProvince(address = {}) {
+  const cap = String(address.postalCode || '').trim();
+  const province = String(address.province || '').trim().toUpperCase();
+  if (!cap) return province;
+
+  const candidates = isValidPostalCode(cap) ? CAP_PREFIX_PROVINCES[cap.slice(0, 2)] || [] : [];
+  if (candidates.includes(province)) return province;
+  return candidates.length === 1 ? candidates[0] : '';
+}
+
+/**
+ * Load shipping rules from system_config, falling back to the defaults
+ * @param {Object} supabase - Supabase client (browser or service role)
+ * @returns {Promise<Object>} Shipping rules
+ */
+export async function loadShippingRules(supabase) {
+  try {
+    const { data, error } = await supabase
+      .from('system_config')
+      .select('value')
+      .eq('key', SHIPPING_RULES_CONFIG_KEY)
+      .maybeSingle();
+
+    if (error || !data?.value?.zones?.length) {
+      return DEFAULT_SHIPPING_RULES;
+    }
+    return data.value;
+  } catch (err) {
+    console.error('Load shipping rules error:', err);
+    return DEFAULT_SHIPPING_RULES;
+  }
+}
+
+/**
+ * Find the zone for an address. CAP matches win over province matches,
+ * and explicit provinces win over the "*" wildcard. The province only
+ * counts when it matches the CAP (getAddressProvince).
+ * @param {Object} rules - Shipping rules
+ * @param {{postalCode?: string, province?: string}} address
+ * @returns {Object|null} Matching zone, or null when outside every zone
+ */
+export function resolveShippingZone(rules, address = {}) {
+  const cap = String(address.postalCode || '').trim();
+  const province = getAddressProvince(address);
+  const zones = rules?.zones || [];
+
+  if (cap) {
+    const exact = zones.find(zone => (zone.caps || []).includes(cap));
+    if (exact) return exact;
+
+    // Longest prefix wins, so "20091" can override "200"
+    let best = null;
+    let bestLength = 0;
+    for (const zone of zones) {
+      for (const prefix of zone.cap_prefixes || []) {
+        if (cap.startsWith(prefix) && prefix.length > bestLength) {
+          best = zone;
+          bestLength = prefix.length;
+        }
+      }
+    }
+    if (best) return best;
+  }
+
+  if (province) {
+    const byProvince = zones.find(zone => (zone.provinces || []).map(p => p.toUpperCase()).includes(province));
+    if (byProvince) return byProvince;
+  }
+
+  return zones.find(zone => (zone.provinces || []).includes('*')) || null;
+}
+
+/**
+ * Total cart weight: weighted lines use weight_grams,
+ * items sold by the piece count as default_item_grams each
+ * @param {Array} items - Cart items ({ quantity, weight_grams })
+ * @param {number} defaultItemGrams
+ */
+export function getCartWeightGrams(items = [], defaultItemGrams = DEFAULT_SHIPPING_RULES.default_item_grams) {
+  return items.reduce((sum, item) => {
+    const grams = Number(item.weight_grams) || defaultItemGrams;
+    return sum + grams * (Number(item.quantity) || 1);
+  }, 0);
+}
+
+/**
+ * Calculate the shipping fee for a cart
+ * @param {Object} rules - Shipping rules
+ * @param {Object} params
+ * @param {number} params.subtotal - Products subtotal in euro (before discounts)
+ * @param {Array} params.items - Cart items with quantity and weight_grams
+ * @param {Object} params.address - { postalCode, province }
+ * @param {string} [params.fulfillment] - 'delivery' or 'pickup'
+ * @returns {{available: boolean, reason: string|null, cost: number, zone: Object|null,
+ *   weightGrams: number, freeThreshold: number|null, amountToFreeShipping: number}}
+ */
+export function calculateShipping(rules, { subtotal = 0, items = [], address = {}, fulfillment = 'delivery' } = {}) {
+  const weightGrams = getCartWeightGrams(items, rules?.default_item_grams ?? DEFAULT_SHIPPING_RULES.default_item_grams);
+  const result = {
+    available: true,
+    reason: null,
+    cost: 0,
+    zone: null,
+    weightGrams,
+    freeThreshold: null,
+    amountToFreeShipping: 0
+  };
+
+  if (fulfillment === 'pickup') {
+    return result;
+  }
+
+  if (address.postalCode && !isValidPostalCode(address.postalCode)) {
+    return { ...result, available: false, reason: 'invalid_postal_code' };
+  }
+
+  // Without an address only a "*" zone can match; otherwise ask for the CAP first
+  const zone = resolveShippingZone(rules, address);
+  if (!zone) {
+    const hasAddress = Boolean(address.postalCode || address.province);
+    return { ...result, available: false, reason: hasAddress ? 'out_of_area' : 'missing_address' };
+  }
+
+  const bands = [...(zone.bands || [])].sort((a, b) =>
+    (a.max_grams ?? Infinity) - (b.max_grams ?? Infinity));
+  const band = bands.find(b => b.max_grams == null || weightGrams <= b.max_grams);
+  if (!band) {
+    return { ...result, available: false, reason: 'overweight', zone };
+  }
+
+  const freeThreshold = zone.free_threshold ?? null;
+  const isFree = freeThreshold !== null && subtotal >= freeThreshold;
+
+  return {
+    ...result,
+    zone,
+    cost: isFree ? 0 : Math.round(Number(band.cost) * 100) / 100,
+    freeThreshold,
+    amountToFreeShipping: freeThreshold !== null && !isFree
+      ? Math.round((freeThreshold - subtotal) * 100) / 100
+      : 0
+  };
+}
+
+/**
+ * Customer-facing message for an unavailable shipping result
+ * @param {string} reason - Result reason from calculateShipping
+ */
+export function getShippingUnavailableMessage(reason) {
+  const messages = {
+    missing_address: 'Inserisci CAP e provincia per calcolare la spedizione',
+    invalid_postal_code: 'Il CAP deve essere di 5 cifre',
+    out_of_area: 'Non consegniamo ancora in questa zona: puoi scegliere il ritiro in negozio',
+    overweight: 'L\'ordine supera il peso massimo spedibile: riduci le quantità o scegli il ritiro in negozio'
+  };
+  return messages[reason] || 'Spedizione non disponibile per questo indirizzo';
+}
@@ -0,0 +1,159 @@
+/**
+ * Produce Box Subscriptions
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Shared by the profile drawer / admin panel (browser) and the
+ * manage-subscription and stripe-webhook Edge Functions (Deno), so the
+ * status shown to the customer is the one stored from Stripe.
+ *
+ * Every paid Stripe invoice of a subscription becomes a normal order:
+ * one billing date = one box to prepare.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SUBSCRIPTION_FREQUENCIES = {
+  weekly: { label: 'Ogni settimana', weeks: 1 },
+  biweekly: { label: 'Ogni due settimane', weeks: 2 }
+};
+
+/**
+ * Stripe recurring price settings of a frequency
+ * @param {string} frequency - weekly | biweekly
+ * @returns {{interval: string, interval_count: number}|null}
+ */
+export function getStripeRecurring(frequency) {
+  const config = SUBSCRIPTION_FREQUENCIES[frequency];
+  return config ? { interval: 'week', interval_count: config.weeks } : null;
+}
+
+const toIso = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null);
+
+/**
+ * Subscription columns from a Stripe subscription object.
+ * Pause and skip both use pause_collection: without resumes_at the box is
+ * paused until the customer resumes it, with resumes_at only the invoices
+ * before that date are voided (skipped deliveries).
+ * @param {Object} stripeSubscription
+ * @returns {{status: string, next_billing_at: string|null, skip_until: string|null, cancel_at_period_end: boolean, cancelled_at: string|null}}
+ */
+export function mapStripeSubscription(stripeSubscription) {
+  const pause = stripeSubscription.pause_collection;
+  let status = 'active';
+
+  if (['canceled', 'incomplete_expired'].includes(stripeSubscription.status)) {
+    status = 'cancelled';
+  } else if (['past_due', 'unpaid', 'incomplete'].includes(stripeSubscription.status)) {
+    status = 'past_due';
+  } else if (pause && !pause.resumes_at) {
+    status = 'paused';
+  }
+
+  return {
+    status,
+    next_billing_at: toIso(stripeSubscription.current_period_end),
+    skip_until: pause?.resumes_at ? toIso(pause.resumes_at) : null,
+    cancel_at_period_end: Boolean(stripeSubscription.cancel_at_period_end),
+    cancelled_at: toIso(stripeSubscription.canceled_at)
+  };
+}
+
+/**
+ * When collection resumes after skipping the next box: one day after the
+ * next billing date, so that invoice is voided and the following one
+ * (at least a week later) is charged
+ * @param {Object} subscription - subscriptions row (next_billing_at, skip_until)
+ * @returns {number|null} Unix seconds for pause_collection.resumes_at
+ */
+export function getSkipResumesAt(subscription) {
+  const nextBilling = new Date(subscription.next_billing_at);
+  if (Number.isNaN(nextBilling.getTime())) return null;
+
+  // Already skipping: skip the box after that one too
+  const skipUntil = subscription.skip_until ? new Date(subscription.skip_until) : null;
+  const weeks = SUBSCRIPTION_FREQUENCIES[subscription.frequency]?.weeks || 1;
+  let billing = nextBilling;
+  while (skipUntil && billing < skipUntil) {
+    billing = new Date(billing.getTime() + weeks * 7 * DAY_MS);
+  }
+
+  return Math.floor((billing.getTime() + DAY_MS) / 1000);
+}
+
+/**
+ * Billing dates (= boxes) of a subscription within [from, until)
+ * @param {Object} subscription - subscriptions row
+ * @param {{from: Date, until: Date}} range
+ * @returns {Date[]}
+ */
+export function getUpcomingBillingDates(subscription, { from, until }) {
+  if (subscription.status !== 'active' || subscription.cancel_at_period_end) return [];
+
+  const weeks = SUBSCRIPTION_FREQUENCIES[subscription.frequency]?.weeks;
+  let billing = new Date(subscription.next_billing_at);
+  if (!weeks || Number.isNaN(billing.getTime())) return [];
+
+  const skipUntil = subscription.skip_until ? new Date(subscription.skip_until) : null;
+  const dates = [];
+  for (; billing < until; billing = new Date(billing.getTime() + weeks * 7 * DAY_MS)) {
+    if (billing < from) continue;
+    if (skipUntil && billing < skipUntil) continue;
+    dates.push(billing);
+  }
+  return dates;
+}
+
+/**
+ * Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+ */
+function getWeekStart(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Boxes to buy for, week by week, from today
+ * @param {Array} subscriptions - subscriptions rows with products(name)
+ * @param {{from?: Date, weeks?: number}} options
+ * @returns {Array<{weekStart: string, total: number, boxes: Object<string, {name: string, count: number}>}>}
+ */
+export function getUpcomingBoxCounts(subscriptions = [], { from = new Date(), weeks = 4 } = {}) {
+  const firstWeek = new Date(`${getWeekStart(from)}T00:00:00Z`);
+  const until = new Date(firstWeek.getTime() + weeks * 7 * DAY_MS);
+
+  const forecast = [];
+  for (let i = 0; i < weeks; i++) {
+    forecast.push({
+      weekStart: getWeekStart(new Date(firstWeek.getTime() + i * 7 * DAY_MS)),
+      total: 0,
+      boxes: {}
+    });
+  }
+
+  for (const subscription of subscriptions) {
+    for (const date of getUpcomingBillingDates(subscription, { from, until })) {
+      const week = forecast.find(w => w.weekStart === getWeekStart(date));
+      if (!week) continue;
+
+      const box = week.boxes[subscription.product_id]
+        || (week.boxes[subscription.product_id] = { name: subscription.products?.name || 'Cassetta', count: 0 });
+      box.count++;
+      week.total++;
+    }
+  }
+
+  return forecast;
+}
+
+/**
+ * Customer-facing label of a subscription status
+ */
+export function getSubscriptionStatusLabel(status) {
+  return {
+    active: 'Attivo',
+    paused: 'In pausa',
+    past_due: 'Pagamento non riuscito',
+    cancelled: 'Annullato'
+  }[status] || status;
+}
@@ -0,0 +1,232 @@
+/**
+ * Adjust Order Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Admin-only. Records the weight actually packed for weighed lines,
+ * re-prices them and gives the difference back to the customer:
+ * - stripe: partial refund on the card
+ * - credit: added to the customer's balance (add_credits)
+ * The customer then gets the updated receipt through send-order-email.
+ *
+ * Amounts come from calculateWeightAdjustment in _shared/returns.js,
+ * the same calculation the admin panel previews.
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import Stripe from "https://esm.sh/stripe@14.14.0?target=deno";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse } from "../_shared/cors.ts";
+import { calculateWeightAdjustment } from "../_shared/returns.js";
+
+const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
+  apiVersion: "2023-10-16",
+});
+
+// Weighing happens while the order is being prepared or right after
+const ADJUSTABLE_STATUSES = ["confirmed", "processing", "ready_for_pickup", "shipped", "delivered"];
+
+interface WeighedLine {
+  orderItemId: string;
+  actualWeightGrams: number;
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return createResponse({ error: "Missing authorization header" }, req, 401);
+    }
+
+    // Only admins adjust orders
+    const supabaseUser = createClient(supabaseUrl, Deno.env.get("SUPABASE_ANON_KEY") ?? "", {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: { user } } = await supabaseUser.auth.getUser();
+    const { data: isAdmin } = await supabaseUser.rpc("is_admin");
+    if (!user || !isAdmin) {
+      return createResponse({ error: "Unauthorized" }, req, 403);
+    }
+
+    const supabaseAdmin = createClient(supabaseUrl, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "");
+
+    const { orderId, lines = [], method = "stripe", notes } = await req.json() as {
+      orderId: string;
+      lines: WeighedLine[];
+      method: "stripe" | "credit";
+      notes?: string;
+    };
+
+    if (!["stripe", "credit"].includes(method)) {
+      return createResponse({ error: `Metodo non valido: ${method}` }, req, 400);
+    }
+
+    const { data: order } = await supabaseAdmin
+      .from("orders")
+      .select("*, order_items(id, product_name, product_price, quantity, weight_grams)")
+      .eq("id", orderId)
+      .single();
+
+    if (!order) {
+      return createResponse({ error: "Ordine non trovato", code: "order/not-found" }, req, 404);
+    }
+    if (!ADJUSTABLE_STATUSES.includes(order.status)) {
+      return createResponse({ error: "Ordine non modificabile", code: "adjustment/not-adjustable" }, req, 409);
+    }
+
+    const itemsById = new Map((order.order_items || []).map((item: { id: string }) => [item.id, item]));
+    const weighed: Record<string, unknown>[] = [];
+    for (const line of lines) {
+      const item = itemsById.get(line.orderItemId) as Record<string, unknown> | undefined;
+      const weight = Number(line.actualWeightGrams);
+      if (!item || !item.weight_grams || !Number.isInteger(weight) || weight < 0) {
+        return createResponse({ error: "Peso non valido", code: "adjustment/invalid-weight" }, req, 400);
+      }
+      weighed.push({ ...item, actual_weight_grams: weight });
+    }
+    if (weighed.length === 0) {
+      return createResponse({ error: "Nessun peso inserito", code: "adjustment/invalid-weight" }, req, 400);
+    }
+
+    const adjustment = calculateWeightAdjustment(order, weighed);
+    const refundMethod = adjustment.amount > 0 ? method : "none";
+
+    if (refundMethod === "stripe" && (order.payment_provider !== "stripe" || !order.payment_id)) {
+      return createResponse({
+        error: "Pagamento non rimborsabile sulla carta: usa il credito",
+        code: "returns/not-refundable",
+      }, req, 409);
+    }
+
+    // Claim the order before any money moves: order_id is unique, so a
+    // second weighing sent at the same time stops here
+    const { data: claim, error: claimError } = await supabaseAdmin
+      .from("order_adjustments")
+      .insert({
+        order_id: order.id,
+        difference: adjustment.difference,
+        amount: adjustment.amount,
+        method: refundMethod,
+        lines: adjustment.lines.map((line) => ({
+          ...line,
+          actual_weight_grams: weighed.find((w) => w.id === line.id)?.actual_weight_grams,
+        })),
+        notes: notes?.trim() || null,
+        created_by: user.id,
+      })
+      .select("id")
+      .single();
+    if (claimError) {
+      if (claimError.code === "23505") {
+        return createResponse({ error: "Pesi già registrati per questo ordine", code: "adjustment/already-adjusted" }, req, 409);
+      }
+      console.error("Save order adjustment error:", claimError);
+      return createResponse({ error: "Errore interno del server" }, req, 500);
+    }
+
+    // Nothing was given back: free the order for another weighing
+    const releaseClaim = () => supabaseAdmin.from("order_adjustments").delete().eq("id", claim.id);
+
+    let stripeRefundId: string | null = null;
+    if (refundMethod === "stripe") {
+      try {
+        // Keyed on the claim: a weighing redone after a failed refund gets a new key
+        const stripeRefund = await stripe.refunds.create({
+          payment_intent: order.payment_id,
+          amount: Math.round(adjustment.amount * 100),
+          reason: "requested_by_customer",
+          metadata: { orderId: order.id, adjustment: "weight" },
+        }, { idempotencyKey: `weight-adjustment-${claim.id}` });
+        stripeRefundId = stripeRefund.id;
+      } catch (stripeError) {
+        console.error("Stripe refund error:", stripeError);
+        await releaseClaim();
+        return createResponse({
+          error: (stripeError as Error).message,
+          code: "returns/refund-failed",
+        }, req, 502);
+      }
+    }
+
+    if (refundMethod === "credit") {
+      const { data: credit, error: creditError } = await supabaseAdmin.rpc("add_credits", {
+        p_user_id: order.user_id,
+        p_amount: adjustment.amount,
+        p_order_id: order.id,
+        p_description: `Differenza di peso ordine #${order.order_number}`,
+      });
+      if (creditError || !credit?.success) {
+        console.error("Add credits error:", creditError || credit);
+        await releaseClaim();
+        return createResponse({ error: "Accredito non riuscito", code: "adjustment/credit-failed" }, req, 500);
+      }
+    }
+
+    if (stripeRefundId) {
+      const { error: refundIdError } = await supabaseAdmin
+        .from("order_adjustments")
+        .update({ stripe_refund_id: stripeRefundId })
+        .eq("id", claim.id);
+      if (refundIdError) {
+        // Refund already sent: log it loudly, the audit entry below keeps the trail
+        console.error("Save adjustment refund id error:", refundIdError);
+      }
+    }
+
+    for (const line of adjustment.lines) {
+      await supabaseAdmin
+        .from("order_items")
+        .update({
+          actual_weight_grams: weighed.find((w) => w.id === line.id)?.actual_weight_grams,
+          adjusted_price: line.adjustedTotal,
+        })
+        .eq("id", line.id);
+    }
+
+    // Later returns only refund what is left of the payment
+    if (refundMethod !== "none") {
+      const { error: totalsError } = await supabaseAdmin.rpc("add_order_refund", {
+        p_order_id: order.id,
+        p_refunded: refundMethod === "stripe" ? adjustment.amount : 0,
+        p_credited: refundMethod === "credit" ? adjustment.amount : 0,
+      });
+      if (totalsError) {
+        // Money already given back: log it loudly, the audit entry below keeps the trail
+        console.error("Save order refund totals error:", totalsError);
+      }
+    }
+
+    await supabaseAdmin.from("audit_log").insert({
+      user_id: user.id,
+      action: "order_adjusted",
+      details: {
+        orderId: order.id,
+        difference: adjustment.difference,
+        amount: adjustment.amount,
+        method: refundMethod,
+        stripeRefundId,
+      },
+    });
+
+    // Updated receipt for the customer
+    const { error: emailError } = await supabaseAdmin.functions.invoke("send-order-email", {
+      body: { orderId: order.id, status: "adjusted" },
+    });
+    if (emailError) console.error("Adjustment email error:", emailError);
+
+    return createResponse({
+      success: true,
+      difference: adjustment.difference,
+      amount: adjustment.amount,
+      method: refundMethod,
+      emailSent: !emailError,
+    }, req);
+  } catch (error) {
+    console.error("Adjust order error:", error);
+    return createResponse({ error: "Errore interno del server" }, req, 500);
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * Apply Price Schedules Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ * 
+ * Switches products.sale_price to the live price schedules and flash sales
+ * (migration 040), so listings, badges and countdowns follow the calendar.
+ * Schedule it every minute: flash sales start and
+ * end on the minute. Checkout does not depend on it, it reads
+ * effective_sale_price.
+ */
+
+/// <reference path="../types.d.ts" />
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse, createErrorResponse } from "../_shared/cors.ts";
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    // Only the scheduler runs it
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+      return createErrorResponse("Unauthorized", req, 401);
+    }
+
+    const supabaseAdmin = createClient(Deno.env.get("SUPABASE_URL") ?? "", serviceRoleKey);
+
+    const { data, error } = await supabaseAdmin.rpc("apply_price_schedules");
+
+    if (error) {
+      console.error("Apply price schedules error:", error);
+      return createErrorResponse("Errore nell'aggiornamento dei prezzi programmati", req, 500);
+    }
+
+    if (data?.started || data?.ended) {
+      console.log(`Price schedules: ${data.started} product(s) on scheduled sale, ${data.ended} back to their price`);
+    }
+    return createResponse({
+      success: true,
+      started: data?.started || 0,
+      ended: data?.ended || 0
+    }, req);
+  } catch (error) {
+    console.error("Apply price schedules error:", error);
+    return createErrorResponse("Errore interno del server", req, 500);
+  }
+});
@@ -0,0 +1,46 @@
+/**
+ * Apply Seasonal Visibility Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ * 
+ * Hides products whose season has ended and shows again the ones whose
+ * season has started, from their season months. Schedule it once a day,
+ * shortly after midnight.
+ */
+
+/// <reference path="../types.d.ts" />
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse, createErrorResponse } from "../_shared/cors.ts";
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    // Only the scheduler runs it
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+      return createErrorResponse("Unauthorized", req, 401);
+    }
+
+    const supabaseAdmin = createClient(Deno.env.get("SUPABASE_URL") ?? "", serviceRoleKey);
+
+    const { data, error } = await supabaseAdmin.rpc("apply_seasonal_visibility");
+
+    if (error) {
+      console.error("Apply seasonal visibility error:", error);
+      return createErrorResponse("Errore nell'aggiornamento della stagionalità", req, 500);
+    }
+
+    console.log(`Month ${data?.month}: ${data?.hidden || 0} product(s) hidden, ${data?.shown || 0} shown again`);
+    return createResponse({
+      success: true,
+      hidden: data?.hidden || 0,
+      shown: data?.shown || 0
+    }, req);
+  } catch (error) {
+    console.error("Apply seasonal visibility error:", error);
+    return createErrorResponse("Errore interno del server", req, 500);
+  }
+});
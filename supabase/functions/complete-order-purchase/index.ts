@@ -200,6 +200,12 @@ Deno.serve(async (req: Request) => {
       console.error("Failed to parse shipping address:", e);
     }
 
+    // Pickup orders carry only name and phone; the type tells admin views apart
+    const isPickup = session.metadata?.fulfillment === "pickup";
+    if (isPickup) {
+      shippingAddress = { ...shippingAddress, type: "pickup" };
+    }
+
     // Calculate amounts
     const subtotal = (session.amount_subtotal || 0) / 100;
     const total = (session.amount_total || 0) / 100;
@@ -228,6 +234,8 @@ Deno.serve(async (req: Request) => {
         gift_card_code: session.metadata?.giftCardCode || null,
         gift_card_amount: giftCardAmount,
         user_credit_amount: userCreditAmount,
+        delivery_slot_id: session.metadata?.deliverySlotId || null,
+        fulfillment_method: isPickup ? "pickup" : "delivery",
       })
       .select()
       .single();
@@ -294,8 +302,39 @@ Deno.serve(async (req: Request) => {
       );
     }
 
-    // Add promotion increment if needed
-    if (promotionCode) {
+    // Make the stock held during checkout permanent (idempotent with the webhook)
+    if (session.metadata?.reservationId) {
+      postOrderOps.push(
+        supabaseAdmin.rpc("commit_inventory_reservation", { p_reservation_id: session.metadata.reservationId }),
+        // The order now counts in booked_count
+        supabaseAdmin.rpc("release_delivery_slot_hold", { p_reservation_id: session.metadata.reservationId })
+      );
+    }
+
+    // Redeem each applied promotion (code and automatic) once per order,
+    // with the batch code and the per-customer limit (migration 039);
+    // sessions created before promotionIds only carry the code
+    const promotionIds = (session.metadata?.promotionIds || "").split(",").filter(Boolean);
+    if (promotionIds.length > 0) {
+      promotionIds.forEach((promotionId) => {
+        postOrderOps.push(
+          supabaseAdmin
+            .rpc("redeem_promotion", {
+              p_promotion_id: promotionId,
+              p_user_id: userId,
+              p_order_id: order.id,
+              p_code_id: session.metadata?.promotionCodeId || null,
+            })
+            .then(({ data, error }) => {
+              if (error) {
+                console.error("Promotion redemption error:", error);
+              } else if (data === false) {
+                console.error(`Promotion ${promotionId} redeemed past its limits by order ${order.id}`);
+              }
+            })
+        );
+      });
+    } else if (promotionCode) {
       postOrderOps.push(
         supabaseAdmin.rpc('increment_promotion_usage', { p_code: promotionCode.toUpperCase() })
       );
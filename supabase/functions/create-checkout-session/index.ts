@@ -8,11 +8,52 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import Stripe from "https://esm.sh/stripe@14.14.0?target=deno";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { applyCheckoutDiscounts, priceCart } from "../_shared/pricing.ts";
+import { calculateShipping, getShippingUnavailableMessage, isValidPostalCode, loadShippingRules } from "../_shared/shipping.js";
+import {
+  evaluatePromotions,
+  loadAutoPromotions,
+  loadPromotionByCode,
+  loadCustomerRedemptions,
+  loadPromotionCategories,
+} from "../_shared/promotions.js";
 
 const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
   apiVersion: "2023-10-16",
 });
 
+// Stripe requires sessions to live at least 30 minutes; stock is held a bit
+// longer so a payment completed at the last second still finds its reservation
+const CHECKOUT_SESSION_TTL_MINUTES = 30;
+const RESERVATION_GRACE_MINUTES = 5;
+
+/**
+ * Expire the customer's open Stripe sessions holding a promotion code, so a
+ * new checkout can take the use over. False when one cannot be expired (not
+ * linked yet, or already paid): the new checkout is then refused.
+ */
+async function expireOwnCheckouts(
+  supabaseAdmin: any,
+  holds: { reservation_id: string; checkout_session_id: string | null }[],
+): Promise<boolean> {
+  for (const hold of holds) {
+    if (!hold.checkout_session_id) return false;
+    try {
+      await stripe.checkout.sessions.expire(hold.checkout_session_id);
+    } catch (err) {
+      // Already expired, with the webhook still on its way, is fine too
+      const existing = await stripe.checkout.sessions.retrieve(hold.checkout_session_id).catch(() => null);
+      if (existing?.status !== "expired") {
+        console.log("Open checkout not expired:", hold.checkout_session_id, err instanceof Error ? err.message : err);
+        return false;
+      }
+    }
+    // The checkout.session.expired webhook puts its stock and slot back
+    await supabaseAdmin.rpc("release_promotion_code_hold", { p_reservation_id: hold.reservation_id });
+  }
+  return true;
+}
+
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
@@ -49,6 +90,8 @@ interface CheckoutRequest {
   giftCardCode?: string;
   promotionCode?: string;
   shippingAddress?: ShippingAddress;
+  fulfillmentMethod?: "delivery" | "pickup";
+  deliverySlotId?: string | null;
   userCredit?: number; // Credito utente da utilizzare (in euro)
 }
 
@@ -87,9 +130,14 @@ Deno.serve(async (req: Request) => {
       giftCardCode, 
       promotionCode,
       shippingAddress,
+      fulfillmentMethod,
+      deliverySlotId,
       userCredit 
     }: CheckoutRequest = body;
 
+    // In-store pickup: no shipping fee, no delivery slot
+    const isPickup = fulfillmentMethod === "pickup";
+
     if (!items || items.length === 0) {
       return new Response(JSON.stringify({ error: "Carrello vuoto" }), {
         status: 400,
@@ -97,19 +145,81 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    // Calculate subtotal in cents
-    const subtotal = items.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0);
+    // Recompute prices from the database: client-side prices are never trusted
+    const pricing = await priceCart(supabaseClient, items);
+    if (pricing.issues.length > 0) {
+      console.log("Cart rejected, stale or mismatched items:", pricing.issues);
+      return new Response(JSON.stringify({
+        error: "Il carrello non è aggiornato: verifica prezzi e disponibilità",
+        code: "cart/stale",
+        issues: pricing.issues,
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Deliveries are quoted from the CAP: the province alone only counts when it matches it
+    if (!isPickup && !isValidPostalCode(shippingAddress?.postalCode)) {
+      const reason = shippingAddress?.postalCode ? "invalid_postal_code" : "missing_address";
+      return new Response(JSON.stringify({
+        error: getShippingUnavailableMessage(reason),
+        code: "shipping/unavailable",
+        reason,
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Shipping from the configured zones and weight bands (same calculator as the checkout page)
+    const shippingRules = await loadShippingRules(supabaseClient);
+    const shippingQuote = calculateShipping(shippingRules, {
+      subtotal: pricing.subtotalCents / 100,
+      items: pricing.lines,
+      address: {
+        postalCode: shippingAddress?.postalCode,
+        province: shippingAddress?.province,
+      },
+      fulfillment: isPickup ? "pickup" : "delivery",
+    });
+    if (!shippingQuote.available) {
+      console.log("Shipping rejected:", shippingQuote.reason, shippingAddress?.postalCode, shippingAddress?.province);
+      return new Response(JSON.stringify({
+        error: getShippingUnavailableMessage(shippingQuote.reason),
+        code: "shipping/unavailable",
+        reason: shippingQuote.reason,
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // Same rule as the checkout page: a slot is required once the shop offers bookable windows
+    if (!isPickup && !deliverySlotId) {
+      const { data: openSlots, error: openSlotsError } = await supabaseClient.rpc("get_available_delivery_slots");
+      if (openSlotsError) {
+        throw new Error(`Verifica fasce di consegna fallita: ${openSlotsError.message}`);
+      }
+      if (openSlots?.length) {
+        return new Response(JSON.stringify({
+          error: "Scegli una fascia di consegna",
+          code: "delivery/slot-unavailable",
+          reason: "slot_required",
+        }), {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // Subtotal in cents, computed server-side
+    const subtotal = pricing.subtotalCents;
     
-    // Fetch promotion and gift card in parallel for better performance
-    const [promoResult, giftCardResult] = await Promise.all([
-      promotionCode 
-        ? supabaseClient
-            .from("promotions")
-            .select("discount_type, discount_value")
-            .eq("code", promotionCode.toUpperCase())
-            .eq("is_active", true)
-            .maybeSingle()
-        : Promise.resolve({ data: null }),
+    // Fetch promotions and gift card in parallel for better performance
+    const [codePromotion, autoPromotions, giftCardResult] = await Promise.all([
+      promotionCode ? loadPromotionByCode(supabaseClient, promotionCode) : Promise.resolve(null),
+      loadAutoPromotions(supabaseClient),
       giftCardCode
         ? supabaseClient
             .from("gift_cards")
@@ -120,67 +230,82 @@ Deno.serve(async (req: Request) => {
         : Promise.resolve({ data: null })
     ]);
 
-    // Calculate discount from promotion
-    let discountAmount = 0;
-    const promo = promoResult.data;
-    if (promo) {
-      if (promo.discount_type === "percentage") {
-        discountAmount = Math.round((subtotal * promo.discount_value) / 100);
-      } else {
-        discountAmount = Math.round(promo.discount_value * 100);
-      }
-    }
+    // Discount from the shared promotion rules (same engine as the cart and checkout pages)
+    const promotions = [
+      ...(codePromotion ? [codePromotion] : []),
+      ...autoPromotions.filter((p: { id: string }) => p.id !== codePromotion?.id),
+    ];
+    const promotionItems = pricing.lines.map((line) => ({
+      productId: line.productId,
+      price: line.priceCents / 100,
+      priceCents: line.priceCents,
+      unitPriceCents: line.unitPriceCents,
+      weight_grams: line.weight_grams,
+      quantity: line.quantity,
+    }));
+    const [categoryByProduct, redemptionsByPromotion, completedOrders] = await Promise.all([
+      loadPromotionCategories(supabaseClient, promotions, promotionItems),
+      loadCustomerRedemptions(supabaseClient, promotions, user.id),
+      codePromotion?.is_first_order_code
+        ? supabaseClient
+            .from("orders")
+            .select("id", { count: "exact", head: true })
+            .eq("user_id", user.id)
+            .eq("payment_status", "completed")
+        : Promise.resolve({ count: undefined }),
+    ]);
+    const promotionResult = evaluatePromotions(promotions, promotionItems, {
+      userId: user.id,
+      hasCompletedOrder: completedOrders.count === undefined ? undefined : (completedOrders.count || 0) > 0,
+      redemptionsByPromotion,
+      categoryByProduct,
+    });
 
-    // Calculate gift card discount
-    let giftCardAmount = 0;
-    const giftCard = giftCardResult.data;
-    if (giftCard && giftCard.balance > 0) {
-      giftCardAmount = Math.min(Math.round(giftCard.balance * 100), subtotal - discountAmount);
+    // The customer saw the code applied: charging without it would be a surprise
+    const codeResult = promotionCode ? (codePromotion ? promotionResult.results[0] : null) : undefined;
+    if (codeResult !== undefined && !codeResult?.applied) {
+      console.log("Promotion rejected:", promotionCode, codeResult?.checks);
+      return new Response(JSON.stringify({
+        error: codeResult?.message || "Codice promozionale non valido o scaduto",
+        code: "promotion/not-applicable",
+        checks: codeResult?.checks || [],
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
     }
 
-    // Calculate base shipping (free over €50)
-    const FREE_SHIPPING_THRESHOLD = 5000; // €50 in cents
-    const SHIPPING_COST = 590; // €5.90 in cents (same as frontend)
-    let shipping = subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_COST;
+    const discountAmount = promotionResult.discountCents;
 
-    // Verify and calculate user credit (after shipping is calculated)
-    let userCreditAmount = 0;
-    let creditForProducts = 0; // Amount to apply via coupon (max = subtotal)
-    let creditForShipping = 0; // Amount to reduce from shipping cost
-    
+    // Base shipping in cents, from the quote computed above (free shipping promotions zero it)
+    const baseShipping = promotionResult.freeShipping && !isPickup ? 0 : Math.round(shippingQuote.cost * 100);
+
+    // Verify user credit in the database before using it
+    let availableCredit = 0;
     if (userCredit && userCredit > 0) {
-      // Verify user has enough credit in database
       const { data: creditData } = await supabaseClient
         .from("user_credits")
         .select("balance")
         .eq("user_id", user.id)
         .maybeSingle();
-      
-      const availableCredit = creditData?.balance || 0;
-      const requestedCreditCents = Math.round(userCredit * 100);
-      const availableCreditCents = Math.round(availableCredit * 100);
-      
-      // Total order amount (subtotal + shipping - other discounts)
-      const totalOrderAmount = subtotal + shipping - discountAmount - giftCardAmount;
-      
-      // Total credit to use (min of requested, available, and order total)
-      userCreditAmount = Math.min(requestedCreditCents, availableCreditCents, Math.max(0, totalOrderAmount));
-      
-      // Calculate how much credit goes to products vs shipping
-      const remainingSubtotal = subtotal - discountAmount - giftCardAmount;
-      
-      if (userCreditAmount <= remainingSubtotal) {
-        // Credit fits within product subtotal - apply all via coupon
-        creditForProducts = userCreditAmount;
-        creditForShipping = 0;
-      } else {
-        // Credit exceeds product subtotal - split between products and shipping
-        creditForProducts = Math.max(0, remainingSubtotal);
-        creditForShipping = userCreditAmount - creditForProducts;
-        // Reduce shipping cost directly
-        shipping = Math.max(0, shipping - creditForShipping);
-      }
-      
+      availableCredit = creditData?.balance || 0;
+    }
+
+    // Gift card on products, credit on products then shipping
+    const discounts = applyCheckoutDiscounts({
+      subtotalCents: subtotal,
+      shippingCents: baseShipping,
+      promotionCents: discountAmount,
+      giftCardBalanceCents: Math.round((giftCardResult.data?.balance || 0) * 100),
+      requestedCreditCents: Math.round((userCredit || 0) * 100),
+      availableCreditCents: Math.round(availableCredit * 100),
+    });
+    const giftCardAmount = discounts.giftCardCents;
+    const userCreditAmount = discounts.creditCents;
+    const creditForProducts = discounts.creditForProductsCents;
+    const shipping = discounts.shippingCents;
+
+    if (userCreditAmount > 0) {
       console.log('Credit calculation:', {
         requestedCredit: userCredit,
         availableCredit,
@@ -190,37 +315,43 @@ Deno.serve(async (req: Request) => {
         giftCardAmount: giftCardAmount / 100,
         userCreditAmount: userCreditAmount / 100,
         creditForProducts: creditForProducts / 100,
-        creditForShipping: creditForShipping / 100
+        creditForShipping: discounts.creditForShippingCents / 100
       });
     }
 
-    // Build line items with price_data (dynamic products)
-    const lineItems: Stripe.Checkout.SessionCreateParams.LineItem[] = items.map((item) => {
+    // Build line items with price_data (dynamic products) from server prices
+    const lineItems: Stripe.Checkout.SessionCreateParams.LineItem[] = pricing.lines.map((line) => {
       // Build product name with weight info if applicable
-      let productName = item.name;
-      if (item.weight_grams) {
-        const weightDisplay = item.weight_grams >= 1000 
-          ? `${(item.weight_grams / 1000).toFixed(item.weight_grams % 1000 === 0 ? 0 : 2)} Kg`
-          : `${item.weight_grams} g`;
-        productName = `${item.name} (${weightDisplay})`;
+      let productName = line.name;
+      if (line.weight_grams) {
+        const weightDisplay = line.weight_grams >= 1000 
+          ? `${(line.weight_grams / 1000).toFixed(line.weight_grams % 1000 === 0 ? 0 : 2)} Kg`
+          : `${line.weight_grams} g`;
+        productName = `${line.name} (${weightDisplay})`;
       }
+
+      // Deal notes ("3x2: 1 in omaggio") so the customer sees them on the Stripe page
+      const promotionNotes = promotionResult.notes
+        .filter((note: { productId: string }) => note.productId === line.productId)
+        .map((note: { message: string }) => note.message);
       
       return {
         price_data: {
           currency: "eur",
           product_data: {
             name: productName,
-            images: item.image ? [item.image] : [],
+            ...(promotionNotes.length ? { description: promotionNotes.join(" · ") } : {}),
+            images: line.image ? [line.image] : [],
             metadata: {
-              productId: item.productId,
-              size: item.size || "",
-              color: item.color || "",
-              weight_grams: item.weight_grams?.toString() || "",
+              productId: line.productId,
+              size: line.size,
+              color: line.color,
+              weight_grams: line.weight_grams?.toString() || "",
             },
           },
-          unit_amount: Math.round(item.price * 100),
+          unit_amount: line.priceCents,
         },
-        quantity: item.quantity,
+        quantity: line.quantity,
       };
     });
 
@@ -249,11 +380,15 @@ Deno.serve(async (req: Request) => {
           shipping_rate_data: {
             type: "fixed_amount",
             fixed_amount: { amount: shipping, currency: "eur" },
-            display_name: shipping === 0 ? "Spedizione Gratuita" : "Spedizione Standard",
-            delivery_estimate: {
-              minimum: { unit: "business_day", value: 2 },
-              maximum: { unit: "business_day", value: 4 },
-            },
+            display_name: isPickup
+              ? "Ritiro in negozio"
+              : `${shipping === 0 ? "Spedizione Gratuita" : "Spedizione"} - ${shippingQuote.zone?.name}`,
+            ...(isPickup ? {} : {
+              delivery_estimate: {
+                minimum: { unit: "business_day", value: 2 },
+                maximum: { unit: "business_day", value: 4 },
+              },
+            }),
           },
         },
       ],
@@ -261,9 +396,15 @@ Deno.serve(async (req: Request) => {
         userId: user.id,
         giftCardCode: giftCardCode || "",
         giftCardAmount: giftCardAmount.toString(),
-        promotionCode: promotionCode || "",
+        promotionCode: codeResult?.applied ? codePromotion.code : "",
+        promotionIds: promotionResult.applied.map((r: { promotionId: string }) => r.promotionId).join(","),
+        // Batch code to count against its own uses (redeem_promotion)
+        promotionCodeId: codeResult?.applied ? codeResult.promotionCodeId || "" : "",
         discountAmount: discountAmount.toString(),
         userCreditAmount: userCreditAmount.toString(),
+        fulfillment: isPickup ? "pickup" : "delivery",
+        deliverySlotId: isPickup ? "" : deliverySlotId || "",
+        shippingZone: shippingQuote.zone?.id || "",
         // Compressed shipping: only essential fields, abbreviated keys
         shipTo: shippingAddress ? JSON.stringify({
           n: `${shippingAddress.firstName} ${shippingAddress.lastName}`,
@@ -274,14 +415,18 @@ Deno.serve(async (req: Request) => {
           ph: shippingAddress.phone
         }) : "",
         // Compressed items: only productId, quantity, price, weight - max 500 chars
-        itemsCompact: JSON.stringify(items.map(i => ({
-          p: i.productId.slice(0, 8), // Short product ID (first 8 chars)
-          q: i.quantity,
-          pr: i.price,
-          w: i.weight_grams || 0
+        itemsCompact: JSON.stringify(pricing.lines.map(l => ({
+          p: l.productId.slice(0, 8), // Short product ID (first 8 chars)
+          q: l.quantity,
+          pr: l.priceCents / 100,
+          w: l.weight_grams || 0
         }))),
         // Store full item count for reference
-        itemCount: items.length.toString(),
+        itemCount: pricing.lines.length.toString(),
+        // Server-computed totals in cents, for reconciliation with the webhook
+        serverSubtotal: subtotal.toString(),
+        serverShipping: shipping.toString(),
+        serverTotal: discounts.totalCents.toString(),
       },
     };
 
@@ -289,33 +434,180 @@ Deno.serve(async (req: Request) => {
     const metadataSizes = Object.entries(sessionConfig.metadata || {}).map(([k, v]) => `${k}: ${String(v).length}`);
     console.log("Metadata sizes:", metadataSizes);
 
-    // Apply discounts using Stripe coupons (created on-the-fly)
-    // Note: Coupon only applies to products, shipping reduction is handled above
-    const couponDiscount = discountAmount + giftCardAmount + creditForProducts;
-    if (couponDiscount > 0) {
-      // Build coupon name based on what's applied
-      const discountParts: string[] = [];
-      if (discountAmount > 0) discountParts.push("Sconto");
-      if (giftCardAmount > 0) discountParts.push("Gift Card");
-      if (creditForProducts > 0) discountParts.push("Credito");
-      
-      // Create a one-time coupon for the product discount
-      console.log("Creating coupon with amount:", couponDiscount);
-      const coupon = await stripe.coupons.create({
-        amount_off: couponDiscount,
-        currency: "eur",
-        duration: "once",
-        name: discountParts.join(" + "),
+    // Hold weight_inventory stock (and the delivery slot and code below) until the session completes or expires
+    const supabaseAdmin = createClient(
+      Deno.env.get("SUPABASE_URL") ?? "",
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? ""
+    );
+    const reservationId = crypto.randomUUID();
+    const { data: reservation, error: reservationError } = await supabaseAdmin.rpc("reserve_checkout_inventory", {
+      p_reservation_id: reservationId,
+      p_user_id: user.id,
+      p_items: pricing.lines.map((line) => ({
+        product_id: line.productId,
+        weight_grams: line.weight_grams,
+        quantity: line.quantity,
+      })),
+      p_ttl_minutes: CHECKOUT_SESSION_TTL_MINUTES + RESERVATION_GRACE_MINUTES,
+    });
+
+    if (reservationError) {
+      throw new Error(`Prenotazione inventario fallita: ${reservationError.message}`);
+    }
+
+    if (!reservation?.success) {
+      const failed = reservation?.item || {};
+      const line = pricing.lines.find((l) => l.productId === failed.product_id && l.weight_grams === failed.weight_grams);
+      return new Response(JSON.stringify({
+        error: "Il carrello non è aggiornato: verifica prezzi e disponibilità",
+        code: "cart/stale",
+        issues: [{
+          productId: failed.product_id,
+          name: line?.name || "Prodotto",
+          weight_grams: failed.weight_grams ?? null,
+          reason: "insufficient_stock",
+          available: failed.available ?? 0,
+        }],
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
-      
-      sessionConfig.discounts = [{ coupon: coupon.id }];
     }
 
-    // Create the checkout session
-    console.log("Creating Stripe session...");
-    const session = await stripe.checkout.sessions.create(sessionConfig);
+    // Hold a place in the delivery window for as long as the stock: it may
+    // have filled up or passed its cut-off since the page loaded
+    if (deliverySlotId && !isPickup) {
+      const { data: slotHold, error: slotError } = await supabaseAdmin.rpc("hold_delivery_slot", {
+        p_reservation_id: reservationId,
+        p_slot_id: deliverySlotId,
+        p_user_id: user.id,
+        p_ttl_minutes: CHECKOUT_SESSION_TTL_MINUTES + RESERVATION_GRACE_MINUTES,
+      });
+      if (slotError || !slotHold?.available) {
+        console.log("Delivery slot rejected:", deliverySlotId, slotHold?.reason || slotError?.message);
+        await supabaseAdmin.rpc("release_inventory_reservation", {
+          p_reservation_id: reservationId,
+          p_reason: "slot_unavailable",
+        });
+        return new Response(JSON.stringify({
+          error: slotHold?.reason === "slot_full"
+            ? "La fascia di consegna scelta è al completo: scegline un'altra"
+            : "La fascia di consegna scelta non è più disponibile: scegline un'altra",
+          code: "delivery/slot-unavailable",
+          reason: slotHold?.reason || "slot_not_found",
+        }), {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    // Hold a use of the batch code too: two checkouts opened together must
+    // not both pay with a single-use code. The customer's own open checkout
+    // with the code is closed first, so going back to the cart still works.
+    const promotionCodeId = codeResult?.applied ? codeResult.promotionCodeId : null;
+    if (promotionCodeId) {
+      const holdCode = () => supabaseAdmin.rpc("hold_promotion_code", {
+        p_reservation_id: reservationId,
+        p_code_id: promotionCodeId,
+        p_user_id: user.id,
+        p_ttl_minutes: CHECKOUT_SESSION_TTL_MINUTES + RESERVATION_GRACE_MINUTES,
+      });
+      let { data: codeHold, error: codeError } = await holdCode();
+      if (!codeError && !codeHold?.held && codeHold?.own_holds?.length > 0 &&
+          await expireOwnCheckouts(supabaseAdmin, codeHold.own_holds)) {
+        ({ data: codeHold, error: codeError } = await holdCode());
+      }
+      if (codeError || !codeHold?.held) {
+        console.log("Promotion code rejected:", promotionCode, codeHold?.reason || codeError?.message);
+        await supabaseAdmin.rpc("release_inventory_reservation", {
+          p_reservation_id: reservationId,
+          p_reason: "promotion_code_exhausted",
+        });
+        await supabaseAdmin.rpc("release_delivery_slot_hold", { p_reservation_id: reservationId });
+        return new Response(JSON.stringify({
+          error: codeHold?.reason === "customer_limit" ? "Promozione già utilizzata" : "Codice già utilizzato",
+          code: "promotion/not-applicable",
+          checks: [],
+        }), {
+          status: 409,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
+
+    sessionConfig.expires_at = Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_MINUTES * 60;
+    sessionConfig.metadata!.reservationId = reservationId;
+
+    // Coupon and session only once the stock is held: a rejected cart leaves nothing in Stripe
+    let couponId: string | null = null;
+    let session: Stripe.Checkout.Session;
+    try {
+      // Apply discounts using Stripe coupons (created on-the-fly)
+      // Note: Coupon only applies to products, shipping reduction is handled above
+      const couponDiscount = discounts.couponCents;
+      if (couponDiscount > 0) {
+        // Build coupon name based on what's applied
+        const discountParts: string[] = [];
+        if (discountAmount > 0) {
+          const labels = promotionResult.applied
+            .filter((r: { discountCents: number }) => r.discountCents > 0)
+            .map((r: { label: string }) => r.label);
+          discountParts.push(labels.length ? `Sconto ${labels.join(" · ")}` : "Sconto");
+        }
+        if (giftCardAmount > 0) discountParts.push("Gift Card");
+        if (creditForProducts > 0) discountParts.push("Credito");
+      
+        // Create a one-time coupon for the product discount
+        console.log("Creating coupon with amount:", couponDiscount);
+        const coupon = await stripe.coupons.create({
+          amount_off: couponDiscount,
+          currency: "eur",
+          duration: "once",
+          name: discountParts.join(" + ").slice(0, 40), // Stripe limit
+        });
+      
+        couponId = coupon.id;
+        sessionConfig.discounts = [{ coupon: coupon.id }];
+      }
+
+      // Create the checkout session
+      console.log("Creating Stripe session...");
+      session = await stripe.checkout.sessions.create(sessionConfig);
+    } catch (stripeError) {
+      await supabaseAdmin.rpc("release_inventory_reservation", {
+        p_reservation_id: reservationId,
+        p_reason: "session_creation_failed",
+      });
+      await supabaseAdmin.rpc("release_delivery_slot_hold", { p_reservation_id: reservationId });
+      await supabaseAdmin.rpc("release_promotion_code_hold", { p_reservation_id: reservationId });
+      if (couponId) {
+        await stripe.coupons.del(couponId).catch((err: unknown) => console.error("Coupon cleanup failed:", couponId, err));
+      }
+      throw stripeError;
+    }
     console.log("Session created:", session.id);
 
+    // Only for tracing: the webhooks find the reservation through the session metadata
+    const { error: sessionLinkError } = await supabaseAdmin
+      .from("inventory_reservations")
+      .update({ checkout_session_id: session.id })
+      .eq("reservation_id", reservationId);
+    if (sessionLinkError) {
+      console.error("Reservation session link failed:", reservationId, session.id, sessionLinkError);
+    }
+
+    // Lets a later checkout of the customer expire this session (hold_promotion_code)
+    if (promotionCodeId) {
+      const { error: holdLinkError } = await supabaseAdmin
+        .from("promotion_code_holds")
+        .update({ checkout_session_id: session.id })
+        .eq("reservation_id", reservationId);
+      if (holdLinkError) {
+        console.error("Promotion code hold session link failed:", reservationId, session.id, holdLinkError);
+      }
+    }
+
     return new Response(JSON.stringify({ 
       sessionId: session.id, 
       url: session.url 
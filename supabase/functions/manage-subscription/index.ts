@@ -0,0 +1,197 @@
+/**
+ * Manage Subscription Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Produce box subscriptions for the logged-in customer:
+ * - subscribe: Stripe Checkout session in subscription mode
+ * - pause / resume: stop and restart billing (pause_collection)
+ * - skip: void only the next invoice, i.e. the next box
+ * - cancel: stop at the end of the paid period
+ *
+ * The subscriptions row is synced here and again by stripe-webhook;
+ * orders are created by the webhook when an invoice is paid.
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import Stripe from "https://esm.sh/stripe@14.14.0?target=deno";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse } from "../_shared/cors.ts";
+import {
+  SUBSCRIPTION_FREQUENCIES,
+  getStripeRecurring,
+  getSkipResumesAt,
+  mapStripeSubscription,
+} from "../_shared/subscriptions.js";
+
+const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
+  apiVersion: "2023-10-16",
+});
+
+type Action = "subscribe" | "pause" | "resume" | "skip" | "cancel";
+
+interface SubscriptionRequest {
+  action: Action;
+  productId?: string;
+  frequency?: string;
+  subscriptionId?: string;
+  successUrl?: string;
+  cancelUrl?: string;
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return createResponse({ error: "Missing authorization header" }, req, 401);
+    }
+
+    const supabaseUser = createClient(supabaseUrl, Deno.env.get("SUPABASE_ANON_KEY") ?? "", {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: { user } } = await supabaseUser.auth.getUser();
+    if (!user) {
+      return createResponse({ error: "Devi effettuare il login", code: "auth/session-expired" }, req, 401);
+    }
+
+    const supabaseAdmin = createClient(supabaseUrl, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "");
+    const body = await req.json() as SubscriptionRequest;
+
+    if (body.action === "subscribe") {
+      const recurring = getStripeRecurring(body.frequency || "");
+      if (!recurring) {
+        return createResponse({ error: "Frequenza non valida", code: "subscription/invalid-frequency" }, req, 400);
+      }
+
+      const { data: product } = await supabaseAdmin
+        .from("products")
+        .select("id, name, description, price, sale_price, manual_sale_price, images, is_active, is_subscription_box")
+        .eq("id", body.productId)
+        .maybeSingle();
+
+      if (!product || !product.is_active || !product.is_subscription_box) {
+        return createResponse({ error: "Cassetta non disponibile", code: "subscription/not-a-box" }, req, 400);
+      }
+
+      // A recurring price must not lock in a flash sale (migration 040)
+      const price = Number(product.manual_sale_price || product.price);
+      const metadata = {
+        type: "subscription",
+        userId: user.id,
+        productId: product.id,
+        frequency: body.frequency!,
+      };
+
+      const session = await stripe.checkout.sessions.create({
+        mode: "subscription",
+        payment_method_types: ["card", "link"],
+        line_items: [
+          {
+            price_data: {
+              currency: "eur",
+              product_data: {
+                name: `${product.name} - ${SUBSCRIPTION_FREQUENCIES[body.frequency!].label}`,
+                description: "Consegna inclusa",
+                images: product.images?.length ? [product.images[0]] : undefined,
+                metadata: { productId: product.id },
+              },
+              unit_amount: Math.round(price * 100),
+              recurring,
+            },
+            quantity: 1,
+          },
+        ],
+        shipping_address_collection: { allowed_countries: ["IT"] },
+        phone_number_collection: { enabled: true },
+        success_url: body.successUrl!,
+        cancel_url: body.cancelUrl!,
+        customer_email: user.email,
+        locale: "it",
+        metadata,
+        // Invoices only carry the subscription: the webhook reads these to build orders
+        subscription_data: { metadata },
+      });
+
+      return createResponse({ url: session.url }, req);
+    }
+
+    const { data: subscription } = await supabaseAdmin
+      .from("subscriptions")
+      .select("*")
+      .eq("id", body.subscriptionId)
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (!subscription) {
+      return createResponse({ error: "Abbonamento non trovato", code: "subscription/not-found" }, req, 404);
+    }
+    if (subscription.status === "cancelled") {
+      return createResponse({ error: "Abbonamento già annullato", code: "subscription/cancelled" }, req, 409);
+    }
+
+    let update: Stripe.SubscriptionUpdateParams;
+    switch (body.action) {
+      case "pause":
+        update = { pause_collection: { behavior: "void" } };
+        break;
+      case "resume":
+        // Empty string clears pause_collection
+        update = { pause_collection: "" as unknown as null, cancel_at_period_end: false };
+        break;
+      case "skip": {
+        if (subscription.status !== "active") {
+          return createResponse({ error: "Abbonamento non attivo", code: "subscription/not-active" }, req, 409);
+        }
+        const resumesAt = getSkipResumesAt(subscription);
+        if (!resumesAt) {
+          return createResponse({ error: "Prossima consegna non disponibile", code: "subscription/not-active" }, req, 409);
+        }
+        update = { pause_collection: { behavior: "void", resumes_at: resumesAt } };
+        break;
+      }
+      case "cancel":
+        update = { cancel_at_period_end: true };
+        break;
+      default:
+        return createResponse({ error: `Azione non valida: ${body.action}` }, req, 400);
+    }
+
+    let stripeSubscription: Stripe.Subscription;
+    try {
+      stripeSubscription = await stripe.subscriptions.update(subscription.stripe_subscription_id, update);
+    } catch (stripeError) {
+      console.error("Stripe subscription update error:", stripeError);
+      return createResponse({
+        error: (stripeError as Error).message,
+        code: "subscription/update-failed",
+      }, req, 502);
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("subscriptions")
+      .update(mapStripeSubscription(stripeSubscription))
+      .eq("id", subscription.id)
+      .select("*, products(name, images)")
+      .single();
+
+    if (updateError) {
+      // Stripe is already updated: the webhook will sync the row
+      console.error("Subscription sync error:", updateError);
+    }
+
+    await supabaseAdmin.from("audit_log").insert({
+      user_id: user.id,
+      action: `subscription_${body.action}`,
+      details: { subscriptionId: subscription.id, stripeSubscriptionId: subscription.stripe_subscription_id },
+    });
+
+    return createResponse({ success: true, subscription: updated }, req);
+  } catch (error) {
+    console.error("Manage subscription error:", error);
+    return createResponse({ error: "Errore interno del server" }, req, 500);
+  }
+});
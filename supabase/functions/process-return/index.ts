@@ -0,0 +1,223 @@
+/**
+ * Process Return Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Admin-only. Reviews customer return requests:
+ * - approve: partial (or full) Stripe refund of the returned lines, order
+ *   marked refunded when nothing is left to refund, referral reward revoked
+ *   when the kept order no longer meets the referral minimum
+ * - reject: closes the request, the lines can be reported again
+ *
+ * Refund amounts come from _shared/returns.js, the same calculator the
+ * admin panel uses to preview them.
+ */
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import Stripe from "https://esm.sh/stripe@14.14.0?target=deno";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse } from "../_shared/cors.ts";
+import { calculateReturnRefund, getReturnableQuantities, shouldRevokeReferral } from "../_shared/returns.js";
+
+const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
+  apiVersion: "2023-10-16",
+});
+
+// Same default as process_referral_conversion (migration 014)
+const DEFAULT_REFERRAL_MINIMUM_ORDER = 35;
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return createResponse({ error: "Missing authorization header" }, req, 401);
+    }
+
+    // Only admins review returns
+    const supabaseUser = createClient(supabaseUrl, Deno.env.get("SUPABASE_ANON_KEY") ?? "", {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: { user } } = await supabaseUser.auth.getUser();
+    const { data: isAdmin } = await supabaseUser.rpc("is_admin");
+    if (!user || !isAdmin) {
+      return createResponse({ error: "Unauthorized" }, req, 403);
+    }
+
+    const supabaseAdmin = createClient(supabaseUrl, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "");
+
+    const { action, returnId, notes } = await req.json();
+
+    const { data: request, error: requestError } = await supabaseAdmin
+      .from("return_requests")
+      .select("*, return_request_items(order_item_id, quantity, amount)")
+      .eq("id", returnId)
+      .single();
+
+    if (requestError || !request) {
+      return createResponse({ error: "Richiesta non trovata", code: "returns/not-found" }, req, 404);
+    }
+    if (request.status !== "pending") {
+      return createResponse({ error: "Richiesta già gestita", code: "returns/already-reviewed" }, req, 409);
+    }
+
+    const review = {
+      admin_notes: notes?.trim() || null,
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString(),
+    };
+
+    if (action === "reject") {
+      await supabaseAdmin
+        .from("return_requests")
+        .update({ ...review, status: "rejected" })
+        .eq("id", request.id);
+
+      await supabaseAdmin.from("audit_log").insert({
+        user_id: user.id,
+        action: "return_rejected",
+        details: { returnId: request.id, orderId: request.order_id },
+      });
+
+      return createResponse({ success: true, status: "rejected" }, req);
+    }
+
+    if (action !== "approve") {
+      return createResponse({ error: `Azione non valida: ${action}` }, req, 400);
+    }
+
+    const { data: order } = await supabaseAdmin
+      .from("orders")
+      .select("*, order_items(id, quantity, product_price)")
+      .eq("id", request.order_id)
+      .single();
+
+    if (!order) {
+      return createResponse({ error: "Ordine non trovato", code: "order/not-found" }, req, 404);
+    }
+
+    // Every request still counting on the order, this one included
+    const { data: openReturns } = await supabaseAdmin
+      .from("return_requests")
+      .select("id, status, return_request_items(order_item_id, quantity, amount)")
+      .eq("order_id", order.id)
+      .neq("status", "rejected");
+
+    const returnable = getReturnableQuantities(order.order_items || [], openReturns || []);
+    const returnsEverything = Object.values(returnable).every((quantity) => quantity === 0);
+
+    const priceByItem = new Map((order.order_items || []).map((item: { id: string; product_price: number }) =>
+      [item.id, item.product_price]
+    ));
+    const lines = (request.return_request_items || []).map((line: { order_item_id: string; quantity: number }) => ({
+      product_price: priceByItem.get(line.order_item_id) || 0,
+      quantity: line.quantity,
+    }));
+
+    const refund = calculateReturnRefund(order, lines, { returnsEverything });
+
+    let stripeRefundId: string | null = null;
+    if (refund.amount > 0) {
+      if (order.payment_provider !== "stripe" || !order.payment_id) {
+        return createResponse({
+          error: "Pagamento non rimborsabile automaticamente",
+          code: "returns/not-refundable",
+        }, req, 409);
+      }
+
+      try {
+        // Keyed on the request: a retried approval never refunds twice
+        const stripeRefund = await stripe.refunds.create({
+          payment_intent: order.payment_id,
+          amount: Math.round(refund.amount * 100),
+          reason: "requested_by_customer",
+          metadata: { orderId: order.id, returnId: request.id },
+        }, { idempotencyKey: `return-${request.id}` });
+        stripeRefundId = stripeRefund.id;
+      } catch (stripeError) {
+        console.error("Stripe refund error:", stripeError);
+        return createResponse({
+          error: (stripeError as Error).message,
+          code: "returns/refund-failed",
+        }, req, 502);
+      }
+    }
+
+    // Incremented in place: a weight adjustment may update the order at the same time
+    if (refund.amount > 0) {
+      const { error: totalsError } = await supabaseAdmin.rpc("add_order_refund", {
+        p_order_id: order.id,
+        p_refunded: refund.amount,
+      });
+      if (totalsError) console.error("Save order refund totals error:", totalsError);
+    }
+    if (refund.fullRefund || returnsEverything) {
+      await supabaseAdmin
+        .from("orders")
+        .update({ status: "refunded", payment_status: "refunded" })
+        .eq("id", order.id);
+    }
+
+    // Referral reward: revoked if the customer kept less than the minimum order
+    const { data: minimumConfig } = await supabaseAdmin
+      .from("system_config")
+      .select("value")
+      .eq("key", "referral_minimum_order")
+      .maybeSingle();
+
+    const returnedSubtotal = (openReturns || [])
+      .flatMap((r: { return_request_items?: { amount: number }[] }) => r.return_request_items || [])
+      .reduce((sum: number, line: { amount: number }) => sum + Number(line.amount), 0);
+
+    let referralRevoked = false;
+    if (shouldRevokeReferral({
+      subtotal: order.subtotal,
+      returnedSubtotal,
+      minimumOrder: minimumConfig?.value?.amount ?? DEFAULT_REFERRAL_MINIMUM_ORDER,
+    })) {
+      const { data: revoke, error: revokeError } = await supabaseAdmin.rpc("revoke_referral_reward", {
+        p_order_id: order.id,
+        p_reason: "return_approved",
+      });
+      if (revokeError) console.error("Revoke referral reward error:", revokeError);
+      referralRevoked = revoke?.success === true;
+    }
+
+    await supabaseAdmin
+      .from("return_requests")
+      .update({
+        ...review,
+        status: "approved",
+        refund_amount: refund.amount,
+        stripe_refund_id: stripeRefundId,
+        referral_revoked: referralRevoked,
+      })
+      .eq("id", request.id);
+
+    await supabaseAdmin.from("audit_log").insert({
+      user_id: user.id,
+      action: "return_approved",
+      details: {
+        returnId: request.id,
+        orderId: order.id,
+        amount: refund.amount,
+        stripeRefundId,
+        referralRevoked,
+      },
+    });
+
+    return createResponse({
+      success: true,
+      status: "approved",
+      refundAmount: refund.amount,
+      fullRefund: refund.fullRefund || returnsEverything,
+      referralRevoked,
+    }, req);
+  } catch (error) {
+    console.error("Process return error:", error);
+    return createResponse({ error: "Errore interno del server" }, req, 500);
+  }
+});
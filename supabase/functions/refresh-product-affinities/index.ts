@@ -0,0 +1,44 @@
+/**
+ * Refresh Product Affinities Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ * 
+ * Rebuilds the "frequently bought together" scores from recent orders.
+ * Schedule it once a night.
+ */
+
+/// <reference path="../types.d.ts" />
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse, createErrorResponse } from "../_shared/cors.ts";
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    // Only the scheduler runs it
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+      return createErrorResponse("Unauthorized", req, 401);
+    }
+
+    const supabaseAdmin = createClient(Deno.env.get("SUPABASE_URL") ?? "", serviceRoleKey);
+
+    const { data, error } = await supabaseAdmin.rpc("refresh_product_affinities");
+
+    if (error) {
+      console.error("Refresh product affinities error:", error);
+      return createErrorResponse("Errore nel calcolo degli abbinamenti", req, 500);
+    }
+
+    console.log(`${data?.pairs || 0} product pairing(s) computed`);
+    return createResponse({
+      success: true,
+      pairs: data?.pairs || 0
+    }, req);
+  } catch (error) {
+    console.error("Refresh product affinities error:", error);
+    return createErrorResponse("Errore interno del server", req, 500);
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * Release Expired Reservations Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ * 
+ * Puts back the stock of checkout reservations whose TTL has passed.
+ * Safety net for missed checkout.session.expired webhooks: schedule it
+ * every few minutes. Also deletes abandoned
+ * guest carts (migration 041).
+ */
+
+/// <reference path="../types.d.ts" />
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse, createErrorResponse } from "../_shared/cors.ts";
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    // Only the scheduler runs it
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+      return createErrorResponse("Unauthorized", req, 401);
+    }
+
+    const supabaseAdmin = createClient(Deno.env.get("SUPABASE_URL") ?? "", serviceRoleKey);
+
+    const { data, error } = await supabaseAdmin.rpc("release_expired_reservations");
+
+    if (error) {
+      console.error("Release expired reservations error:", error);
+      return createErrorResponse("Errore nel rilascio delle prenotazioni", req, 500);
+    }
+
+    console.log(`Released ${data?.released_reservations || 0} expired reservation(s)`);
+
+    // Housekeeping only: a failure must not hide the released reservations
+    const { data: purged, error: purgeError } = await supabaseAdmin.rpc("purge_guest_carts");
+    if (purgeError) {
+      console.error("Purge guest carts error:", purgeError);
+    } else if (purged) {
+      console.log(`Deleted ${purged} abandoned guest cart(s)`);
+    }
+
+    return createResponse({ success: true, released: data?.released_reservations || 0 }, req);
+  } catch (error) {
+    console.error("Release expired reservations error:", error);
+    return createErrorResponse("Errore interno del server", req, 500);
+  }
+});
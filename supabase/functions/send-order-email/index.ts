@@ -2,7 +2,8 @@
  * Order Email Notification Edge Function
  * Avenue M. E-commerce Platform
  * 
- * Sends email notifications for order status changes
+ * Sends email notifications for order status changes, and product recall
+ * notices (admin only) for orders that received a recalled lot
  */
 
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
@@ -16,7 +17,13 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
-const emailTemplates: Record<string, { subject: string; body: (order: any) => string }> = {
+const escapeHtml = (text: string) => String(text ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const emailTemplates: Record<string, { subject: string; body: (order: any, extra?: any) => string }> = {
   processing: {
     subject: "Ordine Confermato - Avenue M.",
     body: (order) => `
@@ -28,6 +35,18 @@ const emailTemplates: Record<string, { subject: string; body: (order: any) => st
       <p>Grazie per aver scelto Avenue M.!</p>
     `,
   },
+  ready_for_pickup: {
+    subject: "Ordine Pronto per il Ritiro - Avenue M.",
+    body: (order) => `
+      <h1>Il tuo ordine ti aspetta in negozio!</h1>
+      <p>Ciao ${order.shipping_address?.firstName || ""},</p>
+      <p>Il tuo ordine #${order.order_number || order.id.slice(0, 8)} è pronto per il ritiro.</p>
+      <p>Mostra questo codice alla cassa:</p>
+      <p style="font-size:24px;font-weight:bold;letter-spacing:2px;">${order.pickup_code}</p>
+      <p><img src="https://api.qrserver.com/v1/create-qr-code/?size=180x180&data=${encodeURIComponent(order.pickup_code || "")}&format=png&margin=10" alt="QR ritiro" width="180" height="180"></p>
+      <p>Grazie per aver scelto Avenue M.!</p>
+    `,
+  },
   shipped: {
     subject: "Ordine Spedito - Avenue M.",
     body: (order) => `
@@ -41,6 +60,57 @@ const emailTemplates: Record<string, { subject: string; body: (order: any) => st
       <p>Grazie per aver scelto Avenue M.!</p>
     `,
   },
+  adjusted: {
+    subject: "Ricevuta Aggiornata - Avenue M.",
+    body: (order) => {
+      // One adjustment per order: embedded as an object, not a list
+      const adjustment = Array.isArray(order.order_adjustments) ? order.order_adjustments[0] : order.order_adjustments;
+      const formatWeight = (grams: number) => grams >= 1000 ? `${(grams / 1000).toFixed(2)} Kg` : `${grams} g`;
+      const rows = (order.order_items || []).map((item: any) => {
+        const weighed = item.actual_weight_grams !== null && item.actual_weight_grams !== undefined;
+        const ordered = Math.round(item.product_price * item.quantity * 100) / 100;
+        return `
+          <tr>
+            <td style="padding:4px 8px;">${item.quantity}× ${item.product_name}${weighed ? `<br><small>Ordinato ${formatWeight(item.weight_grams * item.quantity)}, pesato ${formatWeight(item.actual_weight_grams)}</small>` : ""}${item.lot_number ? `<br><small>Lotto ${item.lot_number}</small>` : ""}</td>
+            <td style="padding:4px 8px;text-align:right;">
+              ${weighed && Number(item.adjusted_price) !== ordered ? `<s>€${ordered.toFixed(2)}</s> ` : ""}€${Number(weighed ? item.adjusted_price : ordered).toFixed(2)}
+            </td>
+          </tr>
+        `;
+      }).join("");
+      return `
+      <h1>Abbiamo pesato il tuo ordine</h1>
+      <p>Ciao ${order.shipping_address?.firstName || ""},</p>
+      <p>La frutta e la verdura del tuo ordine #${order.order_number || order.id.slice(0, 8)} sono state pesate al momento della preparazione.</p>
+      <table style="border-collapse:collapse;width:100%;max-width:480px;">${rows}</table>
+      <p><strong>Totale pagato:</strong> €${Number(order.total).toFixed(2)}</p>
+      ${adjustment?.amount > 0 ? `
+        <p><strong>Differenza a tuo favore:</strong> €${Number(adjustment.amount).toFixed(2)}
+        ${adjustment.method === "credit" ? "accreditati sul tuo saldo" : "rimborsati sulla carta usata per il pagamento (visibili in pochi giorni)"}.</p>
+      ` : "<p>Il peso corrisponde a quanto ordinato: non ci sono differenze da rimborsare.</p>"}
+      ${adjustment?.notes ? `<p>${adjustment.notes}</p>` : ""}
+      <p>Grazie per aver scelto Avenue M.!</p>
+    `;
+    },
+  },
+  recall: {
+    subject: "Avviso di Richiamo Prodotto - Avenue M.",
+    body: (order, recall) => {
+      const quantity = (order.order_items || [])
+        .filter((item: any) => item.product_id === recall.productId && item.lot_number === recall.lotNumber)
+        .reduce((sum: number, item: any) => sum + item.quantity, 0);
+      return `
+      <h1>Avviso di richiamo prodotto</h1>
+      <p>Ciao ${order.shipping_address?.firstName || ""},</p>
+      <p>Per precauzione stiamo richiamando il lotto <strong>${escapeHtml(recall.lotNumber)}</strong> di
+      <strong>${escapeHtml(recall.productName)}</strong>, che hai ricevuto con l'ordine #${order.order_number || order.id.slice(0, 8)}${quantity ? ` (quantità: ${quantity})` : ""}.</p>
+      <p><strong>Motivo:</strong> ${escapeHtml(recall.reason)}</p>
+      <p>${recall.instructions ? escapeHtml(recall.instructions) : "Ti chiediamo di non consumare il prodotto. Rispondi a questa email per il rimborso o la sostituzione."}</p>
+      <p>Ci scusiamo per il disagio.</p>
+      <p>Grazie per aver scelto Avenue M.!</p>
+    `;
+    },
+  },
   delivered: {
     subject: "Ordine Consegnato - Avenue M.",
     body: (order) => `
@@ -64,12 +134,35 @@ Deno.serve(async (req: Request) => {
       Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? ""
     );
 
-    const { orderId, status } = await req.json();
+    const { orderId, status, recall } = await req.json();
+
+    // Recall notices carry admin-written text: only admins can send them
+    if (status === "recall") {
+      const authHeader = req.headers.get("Authorization") ?? "";
+      const supabaseUser = createClient(
+        Deno.env.get("SUPABASE_URL") ?? "",
+        Deno.env.get("SUPABASE_ANON_KEY") ?? "",
+        { global: { headers: { Authorization: authHeader } } }
+      );
+      const { data: isAdmin } = await supabaseUser.rpc("is_admin");
+      if (!isAdmin) {
+        return new Response(JSON.stringify({ error: "Unauthorized" }), {
+          status: 403,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      if (!recall?.lotNumber || !recall?.reason) {
+        return new Response(JSON.stringify({ error: "Missing recall details" }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+    }
 
     // Get order with user info
     const { data: order, error: orderError } = await supabaseAdmin
       .from("orders")
-      .select("*, profiles(email)")
+      .select("*, order_items(*), order_adjustments(*)")
       .eq("id", orderId)
       .single();
 
@@ -88,7 +181,12 @@ Deno.serve(async (req: Request) => {
       });
     }
 
-    const userEmail = order.profiles?.email;
+    // Orders have no profiles relation: the email comes from the address or the account
+    let userEmail = order.shipping_address?.email;
+    if (!userEmail && order.user_id) {
+      const { data: account } = await supabaseAdmin.auth.admin.getUserById(order.user_id);
+      userEmail = account?.user?.email;
+    }
     if (!userEmail) {
       return new Response(JSON.stringify({ error: "No user email" }), {
         status: 400,
@@ -107,7 +205,7 @@ Deno.serve(async (req: Request) => {
         from: FROM_EMAIL,
         to: userEmail,
         subject: template.subject,
-        html: template.body(order),
+        html: template.body(order, recall),
       }),
     });
 
@@ -124,7 +222,7 @@ Deno.serve(async (req: Request) => {
     await supabaseAdmin.from("audit_log").insert({
       user_id: order.user_id,
       action: "email_sent",
-      details: { orderId, status, email: userEmail },
+      details: { orderId, status, email: userEmail, ...(recall ? { lotNumber: recall.lotNumber } : {}) },
     });
 
     return new Response(JSON.stringify({ success: true }), {
@@ -2,7 +2,10 @@
  * Send Push Notification Edge Function
  * Mimmo Fratelli E-commerce Platform
  * 
- * Simplified version - logs notifications and tracks them in database
+ * Simplified version - logs notifications and tracks them in database.
+ * With user_ids only those customers are notified, regardless of their
+ * seasonal preference (used for product recalls). Targeted notices and
+ * custom text need an admin or the service role.
  */
 
 // @ts-nocheck
@@ -35,8 +38,30 @@ Deno.serve(async (req: Request) => {
       notification_type = 'seasonal_product',
       custom_title,
       custom_body,
+      user_ids,
     } = body;
 
+    const targetUserIds = Array.isArray(user_ids) && user_ids.length > 0 ? user_ids : null;
+
+    // Targeted notices carry admin-written text: only admins or the service role
+    if (targetUserIds || custom_title || custom_body) {
+      const authHeader = req.headers.get('Authorization') ?? '';
+      let allowed = authHeader === `Bearer ${supabaseServiceKey}`;
+      if (!allowed) {
+        const supabaseUser = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY') ?? '', {
+          global: { headers: { Authorization: authHeader } },
+        });
+        const { data: isAdmin } = await supabaseUser.rpc('is_admin');
+        allowed = Boolean(isAdmin);
+      }
+      if (!allowed) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+          status: 403,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     let notificationTitle = custom_title || 'Mimmo Fratelli';
     let notificationBody = custom_body || 'Hai una nuova notifica!';
     let productName = '';
@@ -58,23 +83,32 @@ Deno.serve(async (req: Request) => {
     }
 
     // Get active subscriptions
-    const { data: subscriptions, error: subError } = await supabase
+    let subscriptionsQuery = supabase
       .from('push_subscriptions')
       .select('*')
       .eq('is_active', true);
 
+    if (targetUserIds) {
+      subscriptionsQuery = subscriptionsQuery.in('user_id', targetUserIds);
+    }
+
+    const { data: subscriptions, error: subError } = await subscriptionsQuery;
+
     if (subError) {
       throw subError;
     }
 
-    // Get users with seasonal notifications enabled
-    const { data: profiles } = await supabase
-      .from('profiles')
-      .select('id')
-      .eq('seasonal_notifications', true);
+    // Get users with seasonal notifications enabled; targeted notices skip the preference
+    let enabledUserIds = new Set(targetUserIds || []);
+    if (!targetUserIds) {
+      const { data: profiles } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('seasonal_notifications', true);
 
-    const profileIds = profiles || [];
-    const enabledUserIds = new Set(profileIds.map((p: { id: string }) => p.id));
+      const profileIds = profiles || [];
+      enabledUserIds = new Set(profileIds.map((p: { id: string }) => p.id));
+    }
 
     // Count potential recipients
     const allSubscriptions = subscriptions || [];
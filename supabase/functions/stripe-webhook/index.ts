@@ -3,12 +3,16 @@
  * Mimmo Fratelli E-commerce Platform
  * 
  * Handles checkout.session.completed events to create orders
- * and send push notifications
+ * and send push notifications. Commits or releases the inventory
+ * reservation held by create-checkout-session.
+ * For produce box subscriptions, every paid invoice creates an order
+ * and subscription changes are mirrored into the subscriptions table.
  */
 
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import Stripe from "https://esm.sh/stripe@14.14.0?target=deno";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { SUBSCRIPTION_FREQUENCIES, mapStripeSubscription } from "../_shared/subscriptions.js";
 
 const stripe = new Stripe(Deno.env.get("STRIPE_SECRET_KEY") || "", {
   apiVersion: "2023-10-16",
@@ -189,6 +193,153 @@ ${metadata.message ? `💬 <i>"${metadata.message}"</i>` : ''}
   await sendTelegramNotification(gcTelegramMessage);
 }
 
+/**
+ * Stripe shipping details in the shipping_address format used by orders
+ */
+function toShippingAddress(
+  shipping: { name?: string | null; phone?: string | null; address?: Stripe.Address | null } | null | undefined,
+  phone?: string | null
+): Record<string, string> | null {
+  if (!shipping?.address) return null;
+
+  const nameParts = (shipping.name || "").split(" ");
+  return {
+    firstName: nameParts[0] || "",
+    lastName: nameParts.slice(1).join(" ") || "",
+    address: [shipping.address.line1, shipping.address.line2].filter(Boolean).join(", "),
+    city: shipping.address.city || "",
+    postalCode: shipping.address.postal_code || "",
+    province: shipping.address.state || "",
+    phone: shipping.phone || phone || "",
+    country: shipping.address.country || "IT",
+  };
+}
+
+/**
+ * Create or update the subscriptions row from the Stripe subscription
+ */
+async function syncSubscription(
+  supabaseAdmin: any,
+  stripeSubscription: Stripe.Subscription,
+  shippingAddress: Record<string, string> | null = null
+) {
+  const metadata = stripeSubscription.metadata || {};
+  const row: Record<string, unknown> = {
+    user_id: metadata.userId,
+    product_id: metadata.productId,
+    frequency: metadata.frequency,
+    price: (stripeSubscription.items.data[0]?.price?.unit_amount || 0) / 100,
+    stripe_subscription_id: stripeSubscription.id,
+    stripe_customer_id: stripeSubscription.customer as string,
+    ...mapStripeSubscription(stripeSubscription),
+  };
+  if (shippingAddress) {
+    row.shipping_address = shippingAddress;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from("subscriptions")
+    .upsert(row, { onConflict: "stripe_subscription_id" })
+    .select("*, products(name)")
+    .single();
+
+  if (error) {
+    console.error("Subscription sync error:", error);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * A paid subscription invoice is one box: create its order
+ */
+async function handleSubscriptionInvoice(supabaseAdmin: any, invoice: Stripe.Invoice) {
+  const stripeSubscription = await stripe.subscriptions.retrieve(invoice.subscription as string);
+  if (!stripeSubscription.metadata?.userId) {
+    console.log(`Subscription ${stripeSubscription.id} not created by manage-subscription, skipping`);
+    return;
+  }
+
+  const subscription = await syncSubscription(
+    supabaseAdmin,
+    stripeSubscription,
+    toShippingAddress(invoice.customer_shipping, invoice.customer_phone)
+  );
+
+  // Webhook retries: one order per invoice
+  const { data: existing } = await supabaseAdmin
+    .from("orders")
+    .select("id")
+    .eq("stripe_invoice_id", invoice.id)
+    .maybeSingle();
+  if (existing) return;
+
+  const frequencyLabel = SUBSCRIPTION_FREQUENCIES[subscription.frequency as keyof typeof SUBSCRIPTION_FREQUENCIES]?.label || "";
+  const productName = subscription.products?.name || "Cassetta";
+  const subtotal = (invoice.subtotal || 0) / 100;
+  const total = (invoice.amount_paid || 0) / 100;
+  const orderNumber = generateOrderNumber();
+
+  const { data: order, error: orderError } = await supabaseAdmin
+    .from("orders")
+    .insert({
+      user_id: subscription.user_id,
+      order_number: orderNumber,
+      status: "confirmed",
+      subtotal,
+      discount: Math.max(0, Math.round((subtotal - total) * 100) / 100),
+      shipping_cost: 0,
+      total,
+      shipping_address: subscription.shipping_address || {},
+      payment_provider: "stripe",
+      payment_id: invoice.payment_intent as string,
+      payment_status: "completed",
+      subscription_id: subscription.id,
+      stripe_invoice_id: invoice.id,
+      notes: `Abbonamento ${productName} (${frequencyLabel.toLowerCase()})`,
+    })
+    .select()
+    .single();
+
+  if (orderError) {
+    // Unique stripe_invoice_id: a concurrent delivery of the same event already created it
+    if (orderError.code === "23505") return;
+    throw orderError;
+  }
+
+  const { error: itemsError } = await supabaseAdmin.from("order_items").insert({
+    order_id: order.id,
+    product_id: subscription.product_id,
+    product_name: productName,
+    product_price: subscription.price,
+    quantity: 1,
+    size: "Standard",
+    color: "Standard",
+    weight_grams: null,
+    unit_measure: "pz",
+  });
+  if (itemsError) {
+    console.error("Subscription order item creation error:", itemsError);
+  }
+
+  const addr = subscription.shipping_address || {};
+  sendTelegramNotification(`📬 <b>CASSETTA IN ABBONAMENTO</b>
+
+📦 <b>Ordine:</b> #${orderNumber}
+🥬 <b>Cassetta:</b> ${productName} (${frequencyLabel.toLowerCase()})
+💰 <b>Totale:</b> €${total.toFixed(2)}
+
+📍 <b>Consegna:</b>
+${addr.firstName || ''} ${addr.lastName || ''}
+${addr.address || ''}
+${addr.postalCode || ''} ${addr.city || ''} (${addr.province || ''})
+📞 ${addr.phone || 'N/D'}
+
+✅ Rinnovo pagato via Stripe`).catch(err => console.error("Telegram error:", err));
+
+  console.log(`Subscription order ${orderNumber} created for subscription ${subscription.id}`);
+}
+
 Deno.serve(async (req: Request) => {
   const signature = req.headers.get("stripe-signature");
   if (!signature) {
@@ -213,6 +364,19 @@ Deno.serve(async (req: Request) => {
         return new Response("No userId", { status: 400 });
       }
 
+      // Box subscription: the order comes with invoice.paid, here only the address is stored
+      if (session.metadata?.type === "subscription") {
+        const stripeSubscription = await stripe.subscriptions.retrieve(session.subscription as string);
+        await syncSubscription(
+          supabaseAdmin,
+          stripeSubscription,
+          toShippingAddress(session.shipping_details, session.customer_details?.phone)
+        );
+        return new Response(JSON.stringify({ received: true }), {
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+
       // Check if this is a gift card purchase
       if (session.metadata?.type === "gift_card") {
         await handleGiftCardPurchase(supabaseAdmin, session, userId);
@@ -277,6 +441,12 @@ Deno.serve(async (req: Request) => {
         console.error("Failed to parse shipping address:", e);
       }
 
+      // Pickup orders carry only name and phone; the type tells admin views apart
+      const isPickup = session.metadata?.fulfillment === "pickup";
+      if (isPickup) {
+        shippingAddress = { ...shippingAddress, type: "pickup" };
+      }
+
       // Calculate amounts
       const subtotal = (session.amount_subtotal || 0) / 100;
       const total = (session.amount_total || 0) / 100;
@@ -305,6 +475,8 @@ Deno.serve(async (req: Request) => {
           gift_card_code: session.metadata?.giftCardCode || null,
           gift_card_amount: giftCardAmount,
           user_credit_amount: userCreditAmount,
+          delivery_slot_id: session.metadata?.deliverySlotId || null,
+          fulfillment_method: isPickup ? "pickup" : "delivery",
         })
         .select()
         .single();
@@ -366,8 +538,54 @@ Deno.serve(async (req: Request) => {
         );
       }
 
-      // Add promotion increment if needed
-      if (promotionCode) {
+      // Make the stock held during checkout permanent
+      const reservationId = session.metadata?.reservationId;
+      if (reservationId) {
+        postOrderOps.push(
+          supabaseAdmin
+            .rpc("commit_inventory_reservation", { p_reservation_id: reservationId })
+            .then(({ data, error }) => {
+              if (error) {
+                console.error("Reservation commit error:", error);
+              } else if (data?.oversold_lines > 0) {
+                console.error(`Reservation ${reservationId} committed after release: ${data.oversold_lines} line(s) oversold`);
+              }
+            })
+        );
+        // The order now counts in booked_count
+        postOrderOps.push(
+          supabaseAdmin
+            .rpc("release_delivery_slot_hold", { p_reservation_id: reservationId })
+            .then(({ error }) => {
+              if (error) console.error("Delivery slot hold release error:", error);
+            })
+        );
+      }
+
+      // Redeem each applied promotion (code and automatic) once per order,
+      // with the batch code and the per-customer limit (migration 039);
+      // sessions created before promotionIds only carry the code
+      const promotionIds = (session.metadata?.promotionIds || "").split(",").filter(Boolean);
+      if (promotionIds.length > 0) {
+        promotionIds.forEach((promotionId) => {
+          postOrderOps.push(
+            supabaseAdmin
+              .rpc("redeem_promotion", {
+                p_promotion_id: promotionId,
+                p_user_id: userId,
+                p_order_id: order.id,
+                p_code_id: session.metadata?.promotionCodeId || null,
+              })
+              .then(({ data, error }) => {
+                if (error) {
+                  console.error("Promotion redemption error:", error);
+                } else if (data === false) {
+                  console.error(`Promotion ${promotionId} redeemed past its limits by order ${order.id}`);
+                }
+              })
+          );
+        });
+      } else if (promotionCode) {
         postOrderOps.push(
           supabaseAdmin.rpc('increment_promotion_usage', { p_code: promotionCode.toUpperCase() })
         );
@@ -472,6 +690,57 @@ ${itemsList || 'Nessun dettaglio'}
       console.log(`Order ${orderNumber} created successfully for user ${userId}`);
     }
 
+    // Every paid subscription invoice (the first one included) is a box to deliver
+    if (event.type === "invoice.paid") {
+      const invoice = event.data.object as Stripe.Invoice;
+      if (invoice.subscription) {
+        await handleSubscriptionInvoice(supabaseAdmin, invoice);
+      }
+    }
+
+    // Pause, skip, cancel and failed payments, from the shop or the Stripe dashboard
+    if (event.type === "customer.subscription.updated" || event.type === "customer.subscription.deleted") {
+      const stripeSubscription = event.data.object as Stripe.Subscription;
+      if (stripeSubscription.metadata?.userId) {
+        await syncSubscription(supabaseAdmin, stripeSubscription);
+      }
+    }
+
+    // Abandoned or failed checkout: put the reserved stock, delivery slot and code use back
+    if (event.type === "checkout.session.expired" || event.type === "checkout.session.async_payment_failed") {
+      const session = event.data.object as Stripe.Checkout.Session;
+      const reservationId = session.metadata?.reservationId;
+
+      if (reservationId) {
+        const { data, error } = await supabaseAdmin.rpc("release_inventory_reservation", {
+          p_reservation_id: reservationId,
+          p_reason: event.type === "checkout.session.expired" ? "session_expired" : "payment_failed",
+        });
+
+        if (error) {
+          console.error("Reservation release error:", error);
+          return new Response("Reservation release failed: " + error.message, { status: 500 });
+        }
+        console.log(`Reservation ${reservationId} released: ${data?.released_lines || 0} line(s)`);
+
+        const { error: slotError } = await supabaseAdmin.rpc("release_delivery_slot_hold", {
+          p_reservation_id: reservationId,
+        });
+        if (slotError) {
+          console.error("Delivery slot hold release error:", slotError);
+          return new Response("Delivery slot release failed: " + slotError.message, { status: 500 });
+        }
+
+        const { error: codeError } = await supabaseAdmin.rpc("release_promotion_code_hold", {
+          p_reservation_id: reservationId,
+        });
+        if (codeError) {
+          console.error("Promotion code hold release error:", codeError);
+          return new Response("Promotion code release failed: " + codeError.message, { status: 500 });
+        }
+      }
+    }
+
     return new Response(JSON.stringify({ received: true }), {
       headers: { "Content-Type": "application/json" },
     });
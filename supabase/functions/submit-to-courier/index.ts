@@ -1,163 +1,303 @@
 /**
  * Courier Integration Edge Function
- * Avenue M. E-commerce Platform
- * 
- * Submits orders to courier APIs (BRT, DHL, GLS)
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Admin-only. Creates shipments, stores PDF labels, books pickups and
+ * cancels shipments through the courier adapters in _shared/couriers.
+ * The tracking number is saved with the shipment, so courier webhooks
+ * (track-shipments) find the order even if the admin panel then fails to
+ * mark it as shipped (orderService.updateOrderStatus).
+ *
+ * Actions: couriers | create | label | pickup | cancel
  */
 
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import {
+  CourierError,
+  getCourierAdapter,
+  listConfiguredCouriers,
+  ShipmentParty,
+} from "../_shared/couriers/index.ts";
+import { DEFAULT_SHIPPING_RULES, getCartWeightGrams } from "../_shared/shipping.js";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
-interface CourierConfig {
-  apiUrl: string;
-  apiKey: string;
-}
+const LABELS_BUCKET = "shipping-labels";
+const LABEL_URL_TTL_SECONDS = 600;
+
+// Parcels leave from the shop
+const SENDER: ShipmentParty = {
+  name: "Mimmo Fratelli",
+  address: "Via Marconi 38",
+  city: "Bresso",
+  postalCode: "20091",
+  province: "MI",
+  country: "IT",
+  phone: Deno.env.get("SHOP_PHONE") || "",
+  email: Deno.env.get("SHOP_EMAIL") || "",
+};
 
-const courierConfigs: Record<string, CourierConfig> = {
-  brt: {
-    apiUrl: Deno.env.get("BRT_API_URL") || "https://api.brt.it/v1",
-    apiKey: Deno.env.get("BRT_API_KEY") || "",
-  },
-  dhl: {
-    apiUrl: Deno.env.get("DHL_API_URL") || "https://api.dhl.com/v1",
-    apiKey: Deno.env.get("DHL_API_KEY") || "",
-  },
-  gls: {
-    apiUrl: Deno.env.get("GLS_API_URL") || "https://api.gls-italy.com/v1",
-    apiKey: Deno.env.get("GLS_API_KEY") || "",
-  },
+// Standard produce box
+const PARCEL_DIMENSIONS = { lengthCm: 40, widthCm: 30, heightCm: 20 };
+
+const courierErrorStatus: Record<string, number> = {
+  not_configured: 400,
+  unsupported: 422,
+  rejected: 422,
+  unavailable: 502,
 };
 
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+async function storeLabel(supabaseAdmin: SupabaseClient, orderId: string, shipmentId: string, pdf: Uint8Array) {
+  const path = `${orderId}/${shipmentId}.pdf`;
+  const { error } = await supabaseAdmin.storage
+    .from(LABELS_BUCKET)
+    .upload(path, pdf, { contentType: "application/pdf", upsert: true });
+  if (error) {
+    console.error("Label upload error:", error);
+    return null;
+  }
+  return path;
+}
+
+async function signLabel(supabaseAdmin: SupabaseClient, path: string | null) {
+  if (!path) return null;
+  const { data } = await supabaseAdmin.storage
+    .from(LABELS_BUCKET)
+    .createSignedUrl(path, LABEL_URL_TTL_SECONDS);
+  return data?.signedUrl || null;
+}
+
 Deno.serve(async (req: Request) => {
   if (req.method === "OPTIONS") {
     return new Response("ok", { headers: corsHeaders });
   }
 
   try {
-    const supabaseAdmin = createClient(
-      Deno.env.get("SUPABASE_URL") ?? "",
-      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? ""
-    );
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return jsonResponse({ error: "Missing authorization header" }, 401);
+    }
+
+    // Only admins can ship orders
+    const supabaseUser = createClient(supabaseUrl, Deno.env.get("SUPABASE_ANON_KEY") ?? "", {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: { user } } = await supabaseUser.auth.getUser();
+    const { data: isAdmin } = await supabaseUser.rpc("is_admin");
+    if (!user || !isAdmin) {
+      return jsonResponse({ error: "Unauthorized" }, 403);
+    }
+
+    const supabaseAdmin = createClient(supabaseUrl, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "");
 
-    const { orderId, courier = "brt" } = await req.json();
+    const { action = "create", orderId, courier, pickup } = await req.json();
+
+    if (action === "couriers") {
+      return jsonResponse({ couriers: listConfiguredCouriers() });
+    }
 
-    // Get order details
     const { data: order, error: orderError } = await supabaseAdmin
       .from("orders")
-      .select("*, order_items(*)")
+      .select("*, order_items(quantity, weight_grams)")
       .eq("id", orderId)
       .single();
 
     if (orderError || !order) {
-      return new Response(JSON.stringify({ error: "Order not found" }), {
-        status: 404,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
+      return jsonResponse({ error: "Ordine non trovato", code: "order/not-found" }, 404);
     }
 
-    const config = courierConfigs[courier.toLowerCase()];
-    if (!config || !config.apiKey) {
-      // Flag for manual review if courier not configured
-      await supabaseAdmin
-        .from("orders")
-        .update({ 
-          status: "manual_review",
-          notes: `Courier ${courier} not configured`
-        })
-        .eq("id", orderId);
-
-      return new Response(JSON.stringify({ 
-        success: false, 
-        message: "Courier not configured, flagged for manual review" 
-      }), {
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
+    const adapter = getCourierAdapter(action === "create" ? courier : order.courier);
+    if (!adapter || !adapter.isConfigured()) {
+      return jsonResponse({
+        error: `Corriere ${courier || order.courier || ""} non configurato`,
+        code: "courier/not-configured",
+      }, 400);
     }
 
-    // Prepare shipment data
-    const shipmentData = {
-      reference: orderId,
-      sender: {
-        name: "Avenue M.",
-        address: "Via Example 123",
-        city: "Gallarate",
-        postalCode: "21013",
-        country: "IT",
-      },
-      recipient: order.shipping_address,
-      parcels: [{
-        weight: 1.0, // Default weight
-        dimensions: { length: 30, width: 20, height: 10 },
-      }],
-      service: "standard",
-    };
-
-    // Submit to courier API
     try {
-      const response = await fetch(`${config.apiUrl}/shipments`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${config.apiKey}`,
-        },
-        body: JSON.stringify(shipmentData),
-      });
+      switch (action) {
+        case "create": {
+          if (order.fulfillment_method === "pickup") {
+            return jsonResponse({ error: "L'ordine è in ritiro in negozio", code: "courier/not-shippable" }, 409);
+          }
+          if (order.shipment_id) {
+            return jsonResponse({ error: "Spedizione già creata per questo ordine", code: "courier/already-created" }, 409);
+          }
+
+          const addr = order.shipping_address || {};
+          const weightGrams = getCartWeightGrams(order.order_items || [], DEFAULT_SHIPPING_RULES.default_item_grams);
 
-      if (response.ok) {
-        const result = await response.json();
-        
-        // Update order with tracking info
-        await supabaseAdmin
-          .from("orders")
-          .update({
-            status: "shipped",
-            tracking_number: result.trackingNumber,
-            courier: courier,
-          })
-          .eq("id", orderId);
-
-        // Log audit entry
-        await supabaseAdmin.from("audit_log").insert({
-          action: "order_shipped",
-          details: { orderId, courier, trackingNumber: result.trackingNumber },
-        });
-
-        return new Response(JSON.stringify({ 
-          success: true, 
-          trackingNumber: result.trackingNumber 
-        }), {
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
-      } else {
-        throw new Error(`Courier API error: ${response.status}`);
+          // Orders have no profiles relation: the email comes from the address or the account
+          let recipientEmail = addr.email || "";
+          if (!recipientEmail && order.user_id) {
+            const { data: account } = await supabaseAdmin.auth.admin.getUserById(order.user_id);
+            recipientEmail = account?.user?.email || "";
+          }
+
+          const shipment = await adapter.createShipment({
+            reference: order.id,
+            orderNumber: order.order_number,
+            sender: SENDER,
+            recipient: {
+              name: `${addr.firstName || ""} ${addr.lastName || ""}`.trim(),
+              address: addr.address || "",
+              city: addr.city || "",
+              postalCode: addr.postalCode || "",
+              province: addr.province || "",
+              country: addr.country || "IT",
+              phone: addr.phone || "",
+              email: recipientEmail,
+            },
+            parcels: [{ weightKg: Math.max(0.1, weightGrams / 1000), ...PARCEL_DIMENSIONS }],
+            notes: order.notes || "",
+          });
+
+          // Keep the label: some couriers only return it at creation time
+          let label = shipment.label || null;
+          if (!label) {
+            label = await adapter.getLabel(shipment.shipmentId).catch((err) => {
+              console.error("Label fetch error:", err);
+              return null;
+            });
+          }
+          const labelPath = label ? await storeLabel(supabaseAdmin, order.id, shipment.shipmentId, label) : null;
+
+          await supabaseAdmin
+            .from("orders")
+            .update({
+              shipment_id: shipment.shipmentId,
+              tracking_number: shipment.trackingNumber,
+              label_path: labelPath,
+              courier: adapter.id,
+            })
+            .eq("id", order.id);
+
+          // First step of the customer's shipment timeline
+          await supabaseAdmin.from("shipment_events").insert({
+            order_id: order.id,
+            courier: adapter.id,
+            tracking_number: shipment.trackingNumber,
+            status: "label_created",
+            description: "Spedizione creata",
+            occurred_at: new Date().toISOString(),
+            source: "system",
+          });
+
+          await supabaseAdmin.from("audit_log").insert({
+            user_id: user.id,
+            action: "shipment_created",
+            details: { orderId: order.id, courier: adapter.id, trackingNumber: shipment.trackingNumber },
+          });
+
+          return jsonResponse({
+            success: true,
+            courier: adapter.id,
+            shipmentId: shipment.shipmentId,
+            trackingNumber: shipment.trackingNumber,
+            labelUrl: await signLabel(supabaseAdmin, labelPath),
+          });
+        }
+
+        case "label": {
+          if (!order.shipment_id) {
+            return jsonResponse({ error: "Nessuna spedizione per questo ordine", code: "courier/no-shipment" }, 409);
+          }
+
+          let labelPath = order.label_path;
+          if (!labelPath) {
+            const label = await adapter.getLabel(order.shipment_id);
+            labelPath = await storeLabel(supabaseAdmin, order.id, order.shipment_id, label);
+            await supabaseAdmin.from("orders").update({ label_path: labelPath }).eq("id", order.id);
+          }
+
+          return jsonResponse({ success: true, labelUrl: await signLabel(supabaseAdmin, labelPath) });
+        }
+
+        case "pickup": {
+          if (!order.shipment_id) {
+            return jsonResponse({ error: "Nessuna spedizione per questo ordine", code: "courier/no-shipment" }, 409);
+          }
+
+          const booking = await adapter.bookPickup({
+            shipmentIds: [order.shipment_id],
+            date: pickup?.date,
+            readyFrom: pickup?.readyFrom || "09:00",
+            readyUntil: pickup?.readyUntil || "18:00",
+            address: SENDER,
+            parcelCount: 1,
+          });
+
+          await supabaseAdmin
+            .from("orders")
+            .update({ courier_pickup_id: booking.pickupId, courier_pickup_date: booking.date })
+            .eq("id", order.id);
+
+          return jsonResponse({ success: true, pickupId: booking.pickupId, date: booking.date });
+        }
+
+        case "cancel": {
+          if (!order.shipment_id) {
+            return jsonResponse({ error: "Nessuna spedizione per questo ordine", code: "courier/no-shipment" }, 409);
+          }
+
+          await adapter.cancelShipment(order.shipment_id);
+
+          if (order.label_path) {
+            await supabaseAdmin.storage.from(LABELS_BUCKET).remove([order.label_path]);
+          }
+          await supabaseAdmin
+            .from("orders")
+            .update({
+              shipment_id: null,
+              tracking_number: null,
+              label_path: null,
+              courier_pickup_id: null,
+              courier_pickup_date: null,
+            })
+            .eq("id", order.id);
+          await supabaseAdmin.from("shipment_events").delete().eq("order_id", order.id);
+
+          await supabaseAdmin.from("audit_log").insert({
+            user_id: user.id,
+            action: "shipment_cancelled",
+            details: { orderId: order.id, courier: adapter.id, shipmentId: order.shipment_id },
+          });
+
+          return jsonResponse({ success: true });
+        }
+
+        default:
+          return jsonResponse({ error: `Azione non valida: ${action}` }, 400);
       }
     } catch (courierError) {
-      // Flag for manual review on courier API failure
-      await supabaseAdmin
-        .from("orders")
-        .update({ 
-          status: "manual_review",
-          notes: `Courier API error: ${courierError.message}`
-        })
-        .eq("id", orderId);
-
-      return new Response(JSON.stringify({ 
-        success: false, 
-        message: "Courier submission failed, flagged for manual review" 
-      }), {
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      if (!(courierError instanceof CourierError)) throw courierError;
+
+      console.error(`Courier ${adapter.id} ${action} error:`, courierError.message);
+      await supabaseAdmin.from("audit_log").insert({
+        user_id: user.id,
+        action: "courier_error",
+        details: { orderId: order.id, courier: adapter.id, action, message: courierError.message },
       });
+
+      return jsonResponse({
+        error: courierError.message,
+        code: `courier/${courierError.code.replace("_", "-")}`,
+      }, courierErrorStatus[courierError.code] || 502);
     }
   } catch (error) {
     console.error("Submit to courier error:", error);
-    return new Response(JSON.stringify({ error: "Internal server error" }), {
-      status: 500,
-      headers: { ...corsHeaders, "Content-Type": "application/json" },
-    });
+    return jsonResponse({ error: "Internal server error" }, 500);
   }
 });
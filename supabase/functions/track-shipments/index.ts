@@ -0,0 +1,177 @@
+/**
+ * Track Shipments Edge Function
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Stores courier tracking events in shipment_events. Two entry points:
+ * - Webhook: POST ?courier=<id> with the COURIER_WEBHOOK_SECRET in the
+ *   x-webhook-secret header (never in the URL, which ends up in logs),
+ *   for couriers that push updates
+ * - Polling: POST with the service role key, scheduled every 30 minutes
+ *   (Supabase cron / pg_net); asks each courier about shipped orders
+ *
+ * A "delivered" event moves the order to delivered (trigger on shipment_events).
+ */
+
+/// <reference path="../types.d.ts" />
+
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { handleCorsPreflightRequest, createResponse, createErrorResponse } from "../_shared/cors.ts";
+import { CourierError, getCourierAdapter, TrackingEvent } from "../_shared/couriers/index.ts";
+
+// Orders not synced for this long are polled again
+const POLL_INTERVAL_MINUTES = 30;
+const POLL_BATCH_SIZE = 50;
+
+interface TrackedOrder {
+  id: string;
+  courier: string;
+  tracking_number: string;
+  shipment_id: string | null;
+  updated_at: string;
+}
+
+async function saveEvents(
+  supabaseAdmin: SupabaseClient,
+  order: Pick<TrackedOrder, "id" | "courier">,
+  events: TrackingEvent[],
+  source: "webhook" | "poll",
+): Promise<number> {
+  if (events.length === 0) return 0;
+
+  const { data, error } = await supabaseAdmin
+    .from("shipment_events")
+    .upsert(events.map((event) => ({
+      order_id: order.id,
+      courier: order.courier,
+      tracking_number: event.trackingNumber,
+      status: event.status,
+      description: event.description,
+      location: event.location || null,
+      occurred_at: event.occurredAt,
+      source,
+      raw: event.raw ?? null,
+    })), { onConflict: "order_id,status,occurred_at", ignoreDuplicates: true })
+    .select("id");
+
+  if (error) {
+    console.error(`Save shipment events error (order ${order.id}):`, error);
+    return 0;
+  }
+  return data?.length || 0;
+}
+
+async function handleWebhook(req: Request, supabaseAdmin: SupabaseClient, courier: string): Promise<Response> {
+  const expectedSecret = Deno.env.get("COURIER_WEBHOOK_SECRET");
+  const secret = req.headers.get("x-webhook-secret");
+  if (!expectedSecret || secret !== expectedSecret) {
+    return createErrorResponse("Unauthorized", req, 401);
+  }
+
+  const adapter = getCourierAdapter(courier);
+  if (!adapter?.parseWebhook) {
+    return createErrorResponse(`Webhook non supportato per ${courier}`, req, 400);
+  }
+
+  const events = adapter.parseWebhook(await req.json());
+  let saved = 0;
+
+  // A push may carry events for several parcels
+  for (const trackingNumber of new Set(events.map((e) => e.trackingNumber))) {
+    const { data: order } = await supabaseAdmin
+      .from("orders")
+      .select("id, courier")
+      .eq("courier", adapter.id)
+      .eq("tracking_number", trackingNumber)
+      .maybeSingle();
+
+    if (!order) {
+      console.log(`Tracking webhook: no order for ${adapter.id} ${trackingNumber}`);
+      continue;
+    }
+    saved += await saveEvents(supabaseAdmin, order, events.filter((e) => e.trackingNumber === trackingNumber), "webhook");
+  }
+
+  return createResponse({ received: events.length, saved }, req);
+}
+
+async function pollShipments(req: Request, supabaseAdmin: SupabaseClient): Promise<Response> {
+  const staleBefore = new Date(Date.now() - POLL_INTERVAL_MINUTES * 60_000).toISOString();
+
+  const { data: orders, error } = await supabaseAdmin
+    .from("orders")
+    .select("id, courier, tracking_number, shipment_id, updated_at")
+    .eq("status", "shipped")
+    .not("tracking_number", "is", null)
+    .not("courier", "is", null)
+    .or(`tracking_synced_at.is.null,tracking_synced_at.lt.${staleBefore}`)
+    .order("tracking_synced_at", { ascending: true, nullsFirst: true })
+    .limit(POLL_BATCH_SIZE);
+
+  if (error) {
+    console.error("Load shipped orders error:", error);
+    return createErrorResponse("Errore nel caricamento degli ordini", req, 500);
+  }
+
+  let saved = 0;
+  let failed = 0;
+
+  for (const order of (orders || []) as TrackedOrder[]) {
+    const adapter = getCourierAdapter(order.courier);
+    if (!adapter || !adapter.isConfigured()) continue;
+
+    // Start of the shipment: its label_created event, if we have it
+    const { data: firstEvent } = await supabaseAdmin
+      .from("shipment_events")
+      .select("occurred_at")
+      .eq("order_id", order.id)
+      .order("occurred_at", { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    try {
+      const events = await adapter.getTrackingEvents({
+        shipmentId: order.shipment_id || order.tracking_number,
+        trackingNumber: order.tracking_number,
+        shippedAt: firstEvent?.occurred_at || order.updated_at,
+      });
+      saved += await saveEvents(supabaseAdmin, order, events, "poll");
+    } catch (err) {
+      if (!(err instanceof CourierError)) throw err;
+      console.error(`Tracking poll ${order.courier} ${order.tracking_number}:`, err.message);
+      failed++;
+    }
+
+    await supabaseAdmin
+      .from("orders")
+      .update({ tracking_synced_at: new Date().toISOString() })
+      .eq("id", order.id);
+  }
+
+  console.log(`Tracked ${orders?.length || 0} shipment(s), ${saved} new event(s), ${failed} error(s)`);
+  return createResponse({ success: true, orders: orders?.length || 0, saved, failed }, req);
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreflightRequest(req);
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    const supabaseAdmin = createClient(Deno.env.get("SUPABASE_URL") ?? "", serviceRoleKey);
+
+    const courier = new URL(req.url).searchParams.get("courier");
+    if (courier) {
+      return await handleWebhook(req, supabaseAdmin, courier);
+    }
+
+    // Polling is only started by the scheduler
+    if (req.headers.get("Authorization") !== `Bearer ${serviceRoleKey}`) {
+      return createErrorResponse("Unauthorized", req, 401);
+    }
+    return await pollShipments(req, supabaseAdmin);
+  } catch (error) {
+    console.error("Track shipments error:", error);
+    return createErrorResponse("Errore interno del server", req, 500);
+  }
+});
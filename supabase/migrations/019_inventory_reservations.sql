@@ -0,0 +1,234 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 019: Inventory Reservations for Stripe Checkout
+-- Holds weight_inventory stock between checkout session creation and payment,
+-- so two customers cannot both pay for the last crate
+
+-- ============================================
+-- INVENTORY RESERVATIONS TABLE
+-- One row per reserved cart line, grouped by reservation_id (one per checkout)
+-- ============================================
+CREATE TABLE IF NOT EXISTS inventory_reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reservation_id UUID NOT NULL, -- Shared by all lines of the same checkout
+  checkout_session_id TEXT, -- Stripe session, set once the session is created
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  weight_grams INTEGER NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'committed', 'released')),
+  product_deactivated BOOLEAN DEFAULT FALSE, -- Reservation took the last unit and hid the product
+  expires_at TIMESTAMPTZ NOT NULL,
+  committed_at TIMESTAMPTZ,
+  released_at TIMESTAMPTZ,
+  release_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_reservations_reservation ON inventory_reservations(reservation_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_reservations_session ON inventory_reservations(checkout_session_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_reservations_expiry
+  ON inventory_reservations(expires_at) WHERE status = 'active';
+
+CREATE TRIGGER update_inventory_reservations_updated_at
+  BEFORE UPDATE ON inventory_reservations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- FUNCTION: Reserve stock for a whole checkout
+-- All-or-nothing: if one line cannot be reserved, nothing is held.
+-- Only exact weight variants tracked in weight_inventory are reserved.
+-- p_items: [{ "product_id": uuid, "weight_grams": int, "quantity": int }]
+-- ============================================
+CREATE OR REPLACE FUNCTION reserve_checkout_inventory(
+  p_reservation_id UUID,
+  p_user_id UUID,
+  p_items JSONB,
+  p_ttl_minutes INTEGER DEFAULT 35
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_item JSONB;
+  v_product_id UUID;
+  v_weight INTEGER;
+  v_quantity INTEGER;
+  v_available INTEGER;
+  v_was_active BOOLEAN;
+  v_is_active BOOLEAN;
+  v_reserved INTEGER := 0;
+  v_failed JSONB;
+BEGIN
+  BEGIN
+    FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+      v_product_id := (v_item->>'product_id')::UUID;
+      v_weight := (v_item->>'weight_grams')::INTEGER;
+      v_quantity := COALESCE((v_item->>'quantity')::INTEGER, 1);
+
+      CONTINUE WHEN v_weight IS NULL;
+
+      SELECT quantity INTO v_available
+      FROM weight_inventory
+      WHERE product_id = v_product_id AND weight_grams = v_weight
+      FOR UPDATE;
+
+      -- Custom weights are not tracked per variant
+      CONTINUE WHEN NOT FOUND;
+
+      IF v_available < v_quantity THEN
+        v_failed := jsonb_build_object(
+          'product_id', v_product_id,
+          'weight_grams', v_weight,
+          'available', v_available
+        );
+        RAISE EXCEPTION 'insufficient_stock';
+      END IF;
+
+      SELECT is_active INTO v_was_active FROM products WHERE id = v_product_id;
+
+      UPDATE weight_inventory
+      SET quantity = quantity - v_quantity
+      WHERE product_id = v_product_id AND weight_grams = v_weight;
+
+      SELECT is_active INTO v_is_active FROM products WHERE id = v_product_id;
+
+      INSERT INTO inventory_reservations (
+        reservation_id, user_id, product_id, weight_grams, quantity,
+        product_deactivated, expires_at
+      ) VALUES (
+        p_reservation_id, p_user_id, v_product_id, v_weight, v_quantity,
+        COALESCE(v_was_active, false) AND NOT COALESCE(v_is_active, false),
+        NOW() + (p_ttl_minutes || ' minutes')::INTERVAL
+      );
+
+      v_reserved := v_reserved + 1;
+    END LOOP;
+  EXCEPTION WHEN raise_exception THEN
+    -- Subtransaction rolled back: no stock is held
+    RETURN jsonb_build_object('success', false, 'reason', 'insufficient_stock', 'item', v_failed);
+  END;
+
+  RETURN jsonb_build_object('success', true, 'reservation_id', p_reservation_id, 'reserved_lines', v_reserved);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Release a reservation (session expired, cancelled, failed)
+-- Puts the stock back and re-shows products hidden by the reservation
+-- ============================================
+CREATE OR REPLACE FUNCTION release_inventory_reservation(
+  p_reservation_id UUID,
+  p_reason TEXT DEFAULT 'expired'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_row RECORD;
+  v_released INTEGER := 0;
+BEGIN
+  FOR v_row IN
+    SELECT * FROM inventory_reservations
+    WHERE reservation_id = p_reservation_id AND status = 'active'
+    FOR UPDATE
+  LOOP
+    PERFORM release_weight_inventory(v_row.product_id, v_row.weight_grams, v_row.quantity);
+
+    IF v_row.product_deactivated THEN
+      UPDATE products SET is_active = true WHERE id = v_row.product_id;
+    END IF;
+
+    UPDATE inventory_reservations SET
+      status = 'released',
+      released_at = NOW(),
+      release_reason = p_reason
+    WHERE id = v_row.id;
+
+    v_released := v_released + 1;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'released_lines', v_released);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Commit a reservation after payment
+-- Stock was already decremented when reserving, so this only marks it permanent.
+-- Lines released in the meantime (late payment) are decremented again if possible.
+-- ============================================
+CREATE OR REPLACE FUNCTION commit_inventory_reservation(p_reservation_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_row RECORD;
+  v_committed INTEGER := 0;
+  v_oversold INTEGER := 0;
+BEGIN
+  FOR v_row IN
+    SELECT * FROM inventory_reservations
+    WHERE reservation_id = p_reservation_id AND status IN ('active', 'released')
+    FOR UPDATE
+  LOOP
+    IF v_row.status = 'released' THEN
+      IF NOT reserve_weight_inventory(v_row.product_id, v_row.weight_grams, v_row.quantity) THEN
+        v_oversold := v_oversold + 1;
+      END IF;
+    END IF;
+
+    UPDATE inventory_reservations SET
+      status = 'committed',
+      committed_at = NOW()
+    WHERE id = v_row.id;
+
+    v_committed := v_committed + 1;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'committed_lines', v_committed, 'oversold_lines', v_oversold);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Release every expired reservation
+-- Safety net for missed checkout.session.expired webhooks
+-- ============================================
+CREATE OR REPLACE FUNCTION release_expired_reservations()
+RETURNS JSONB AS $$
+DECLARE
+  v_reservation_id UUID;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_reservation_id IN
+    SELECT DISTINCT reservation_id FROM inventory_reservations
+    WHERE status = 'active' AND expires_at < NOW()
+  LOOP
+    PERFORM release_inventory_reservation(v_reservation_id, 'ttl_expired');
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'released_reservations', v_count);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Reservations are only managed by edge functions (service role)
+REVOKE EXECUTE ON FUNCTION reserve_checkout_inventory(UUID, UUID, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_inventory_reservation(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION commit_inventory_reservation(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_expired_reservations() FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- RLS POLICIES
+-- ============================================
+ALTER TABLE inventory_reservations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reservations"
+  ON inventory_reservations FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage reservations"
+  ON inventory_reservations FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE inventory_reservations IS 'Stock held during Stripe checkout, committed on payment or released on expiry';
+COMMENT ON COLUMN inventory_reservations.reservation_id IS 'Groups the lines of one checkout; stored in Stripe session metadata';
+COMMENT ON COLUMN inventory_reservations.product_deactivated IS 'True if reserving the last unit set products.is_active = false';
@@ -0,0 +1,264 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 020: Delivery Slots
+-- Admin-defined delivery windows for our own van rounds, with capacity and cut-off.
+-- A place is held while the Stripe checkout is open, like the stock (migration 019).
+
+-- ============================================
+-- DELIVERY SLOTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS delivery_slots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slot_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  booked_count INTEGER NOT NULL DEFAULT 0 CHECK (booked_count >= 0),
+  cutoff_hours INTEGER NOT NULL DEFAULT 12 CHECK (cutoff_hours >= 0), -- Booking closes N hours before start
+  label TEXT, -- Optional round name (e.g. "Giro Gallarate")
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT valid_slot_time CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_slots_date ON delivery_slots(slot_date, start_time);
+CREATE INDEX IF NOT EXISTS idx_delivery_slots_active ON delivery_slots(is_active) WHERE is_active = true;
+
+CREATE TRIGGER update_delivery_slots_updated_at
+  BEFORE UPDATE ON delivery_slots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- LINK ORDERS TO SLOTS
+-- ============================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS delivery_slot_id UUID REFERENCES delivery_slots(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_slot ON orders(delivery_slot_id);
+
+-- ============================================
+-- DELIVERY SLOT HOLDS
+-- One place held per open checkout, under the reservation_id and TTL of
+-- its inventory reservation. Counted against capacity until released,
+-- turned into an order (booked_count) or expired.
+-- ============================================
+CREATE TABLE IF NOT EXISTS delivery_slot_holds (
+  reservation_id UUID PRIMARY KEY,
+  slot_id UUID NOT NULL REFERENCES delivery_slots(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_slot_holds_slot ON delivery_slot_holds(slot_id, expires_at);
+
+-- ============================================
+-- FUNCTION: Places held by open checkouts
+-- ============================================
+CREATE OR REPLACE FUNCTION delivery_slot_held_count(p_slot_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM delivery_slot_holds
+  WHERE slot_id = p_slot_id AND expires_at > NOW();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Slot start as timestamp (shop time zone)
+-- ============================================
+CREATE OR REPLACE FUNCTION delivery_slot_starts_at(p_slot delivery_slots)
+RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  RETURN (p_slot.slot_date + p_slot.start_time) AT TIME ZONE 'Europe/Rome';
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- ============================================
+-- FUNCTION: Bookable slots for the next days
+-- ============================================
+CREATE OR REPLACE FUNCTION get_available_delivery_slots(p_days INTEGER DEFAULT 7)
+RETURNS TABLE (
+  id UUID,
+  slot_date DATE,
+  start_time TIME,
+  end_time TIME,
+  label TEXT,
+  capacity INTEGER,
+  remaining INTEGER,
+  cutoff_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ds.id,
+    ds.slot_date,
+    ds.start_time,
+    ds.end_time,
+    ds.label,
+    ds.capacity,
+    GREATEST(0, ds.capacity - ds.booked_count - delivery_slot_held_count(ds.id)) AS remaining,
+    delivery_slot_starts_at(ds) - (ds.cutoff_hours || ' hours')::INTERVAL AS cutoff_at
+  FROM delivery_slots ds
+  WHERE ds.is_active = true
+    AND ds.slot_date <= CURRENT_DATE + p_days
+    AND delivery_slot_starts_at(ds) - (ds.cutoff_hours || ' hours')::INTERVAL > NOW()
+  ORDER BY ds.slot_date, ds.start_time;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Check a slot can still be booked
+-- Places held by open checkouts count as taken
+-- ============================================
+CREATE OR REPLACE FUNCTION check_delivery_slot(p_slot_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_slot delivery_slots%ROWTYPE;
+  v_taken INTEGER;
+BEGIN
+  SELECT * INTO v_slot FROM delivery_slots WHERE id = p_slot_id;
+
+  IF NOT FOUND OR NOT v_slot.is_active THEN
+    RETURN jsonb_build_object('available', false, 'reason', 'slot_not_found');
+  END IF;
+
+  IF delivery_slot_starts_at(v_slot) - (v_slot.cutoff_hours || ' hours')::INTERVAL <= NOW() THEN
+    RETURN jsonb_build_object('available', false, 'reason', 'cutoff_passed');
+  END IF;
+
+  v_taken := v_slot.booked_count + delivery_slot_held_count(p_slot_id);
+
+  IF v_taken >= v_slot.capacity THEN
+    RETURN jsonb_build_object('available', false, 'reason', 'slot_full');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'available', true,
+    'remaining', v_slot.capacity - v_taken,
+    'slot_date', v_slot.slot_date,
+    'start_time', v_slot.start_time,
+    'end_time', v_slot.end_time
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Hold a place for a checkout
+-- Called by create-checkout-session right after reserve_checkout_inventory,
+-- with the same reservation_id and TTL. The slot row lock serialises
+-- concurrent holds and bookings (the trigger below updates the same row).
+-- Returns the check_delivery_slot result; the place is held when available.
+-- ============================================
+CREATE OR REPLACE FUNCTION hold_delivery_slot(
+  p_reservation_id UUID,
+  p_slot_id UUID,
+  p_user_id UUID,
+  p_ttl_minutes INTEGER DEFAULT 35
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_check JSONB;
+BEGIN
+  PERFORM 1 FROM delivery_slots WHERE id = p_slot_id FOR UPDATE;
+
+  -- Expired holds no longer count: drop them while the slot is locked
+  DELETE FROM delivery_slot_holds WHERE slot_id = p_slot_id AND expires_at <= NOW();
+
+  v_check := check_delivery_slot(p_slot_id);
+
+  IF (v_check->>'available')::BOOLEAN THEN
+    INSERT INTO delivery_slot_holds (reservation_id, slot_id, user_id, expires_at)
+    VALUES (p_reservation_id, p_slot_id, p_user_id, NOW() + (p_ttl_minutes || ' minutes')::INTERVAL);
+  END IF;
+
+  RETURN v_check;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Release the place held by a checkout
+-- On expiry or failure, and once paid (the order now counts in booked_count)
+-- ============================================
+CREATE OR REPLACE FUNCTION release_delivery_slot_hold(p_reservation_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM delivery_slot_holds WHERE reservation_id = p_reservation_id;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Holds are only managed by edge functions (service role)
+REVOKE EXECUTE ON FUNCTION hold_delivery_slot(UUID, UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_delivery_slot_hold(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- TRIGGER: Keep booked_count in sync with orders
+-- Cancelled and refunded orders free their place
+-- ============================================
+CREATE OR REPLACE FUNCTION sync_delivery_slot_booking()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old_counts BOOLEAN := false;
+  v_new_counts BOOLEAN := false;
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    v_old_counts := OLD.delivery_slot_id IS NOT NULL AND OLD.status NOT IN ('cancelled', 'refunded');
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    v_new_counts := NEW.delivery_slot_id IS NOT NULL AND NEW.status NOT IN ('cancelled', 'refunded');
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND v_old_counts AND v_new_counts
+     AND OLD.delivery_slot_id = NEW.delivery_slot_id THEN
+    RETURN NEW;
+  END IF;
+
+  IF v_old_counts THEN
+    UPDATE delivery_slots SET booked_count = GREATEST(0, booked_count - 1)
+    WHERE id = OLD.delivery_slot_id;
+  END IF;
+
+  IF v_new_counts THEN
+    UPDATE delivery_slots SET booked_count = booked_count + 1
+    WHERE id = NEW.delivery_slot_id;
+  END IF;
+
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_sync_delivery_slot_booking
+  AFTER INSERT OR UPDATE OF delivery_slot_id, status OR DELETE ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_delivery_slot_booking();
+
+-- ============================================
+-- RLS POLICIES
+-- ============================================
+ALTER TABLE delivery_slots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active delivery slots"
+  ON delivery_slots FOR SELECT
+  USING (is_active = true);
+
+CREATE POLICY "Admins can manage delivery slots"
+  ON delivery_slots FOR ALL
+  USING (is_admin());
+
+-- Customers only reach holds through the functions above
+ALTER TABLE delivery_slot_holds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view delivery slot holds"
+  ON delivery_slot_holds FOR SELECT
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE delivery_slots IS 'Delivery windows for van rounds, with capacity and booking cut-off';
+COMMENT ON COLUMN delivery_slots.booked_count IS 'Active orders booked in the slot, maintained by trigger on orders';
+COMMENT ON COLUMN delivery_slots.cutoff_hours IS 'Hours before start_time after which the slot can no longer be booked';
+COMMENT ON COLUMN orders.delivery_slot_id IS 'Delivery window chosen at checkout';
+COMMENT ON TABLE delivery_slot_holds IS 'Places held by open Stripe checkouts, released on expiry or payment';
+COMMENT ON FUNCTION hold_delivery_slot(UUID, UUID, UUID, INTEGER) IS 'Hold a place in a slot for a checkout reservation if still available';
+COMMENT ON FUNCTION release_delivery_slot_hold(UUID) IS 'Free the place held by a checkout reservation';
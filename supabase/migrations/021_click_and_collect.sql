@@ -0,0 +1,70 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 021: Click and Collect
+-- In-store pickup as an alternative to home delivery, with a pickup code scanned at the counter
+
+-- ============================================
+-- FULFILMENT COLUMNS ON ORDERS
+-- ============================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS fulfillment_method TEXT NOT NULL DEFAULT 'delivery'
+  CHECK (fulfillment_method IN ('delivery', 'pickup'));
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS pickup_code TEXT UNIQUE;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS picked_up_at TIMESTAMPTZ;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS picked_up_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_fulfillment ON orders(fulfillment_method);
+
+-- ============================================
+-- NEW STATUS: READY FOR PICKUP
+-- ============================================
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'confirmed', 'processing', 'ready_for_pickup', 'shipped', 'delivered', 'cancelled', 'refunded'));
+
+-- ============================================
+-- FUNCTION: Generate pickup code
+-- Short code read aloud or typed at the counter; no 0/O/1/I to avoid mix-ups
+-- ============================================
+CREATE OR REPLACE FUNCTION generate_pickup_code()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_chars TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  v_code TEXT;
+  v_exists BOOLEAN;
+BEGIN
+  IF NEW.fulfillment_method <> 'pickup' OR NEW.pickup_code IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  LOOP
+    v_code := 'RIT-';
+    FOR i IN 1..6 LOOP
+      v_code := v_code || substr(v_chars, floor(random() * length(v_chars) + 1)::INTEGER, 1);
+    END LOOP;
+
+    SELECT EXISTS(SELECT 1 FROM orders WHERE pickup_code = v_code) INTO v_exists;
+    EXIT WHEN NOT v_exists;
+  END LOOP;
+
+  NEW.pickup_code := v_code;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_pickup_code
+  BEFORE INSERT OR UPDATE OF fulfillment_method ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION generate_pickup_code();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN orders.fulfillment_method IS 'delivery = home delivery, pickup = collected at the shop';
+COMMENT ON COLUMN orders.pickup_code IS 'Code shown to the customer (and as QR) for in-store pickup';
+COMMENT ON COLUMN orders.picked_up_at IS 'When staff confirmed the pickup at the counter';
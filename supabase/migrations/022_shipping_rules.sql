@@ -0,0 +1,68 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 022: Shipping Rules
+-- Configurable shipping zones (by CAP / province), weight bands and free-shipping thresholds.
+-- Read by supabase/functions/_shared/shipping.js in both checkout and create-checkout-session.
+
+-- ============================================
+-- DEFAULT RULES
+-- Seeded with the previous behaviour (€5.90 anywhere, free from €50);
+-- edit the zones directly in system_config.
+-- A cart is rejected as out of area when no zone matches,
+-- so removing the "*" province restricts delivery to the listed zones.
+-- ============================================
+INSERT INTO system_config (key, value, description) VALUES
+  ('shipping_rules', '{
+    "default_item_grams": 500,
+    "zones": [
+      {
+        "id": "italia",
+        "name": "Italia",
+        "caps": [],
+        "cap_prefixes": [],
+        "provinces": ["*"],
+        "free_threshold": 50,
+        "bands": [{"max_grams": null, "cost": 5.90}]
+      }
+    ]
+  }', 'Zone di consegna, fasce di peso e soglie di spedizione gratuita')
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- VALIDATION
+-- Reject rules the calculator cannot use, so a typo never breaks checkout
+-- ============================================
+CREATE OR REPLACE FUNCTION validate_shipping_rules()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_zone JSONB;
+BEGIN
+  IF NEW.key <> 'shipping_rules' THEN
+    RETURN NEW;
+  END IF;
+
+  IF jsonb_typeof(NEW.value->'zones') <> 'array' OR jsonb_array_length(NEW.value->'zones') = 0 THEN
+    RAISE EXCEPTION 'shipping_rules: at least one zone is required';
+  END IF;
+
+  FOR v_zone IN SELECT * FROM jsonb_array_elements(NEW.value->'zones') LOOP
+    IF COALESCE(v_zone->>'id', '') = '' OR COALESCE(v_zone->>'name', '') = '' THEN
+      RAISE EXCEPTION 'shipping_rules: every zone needs an id and a name';
+    END IF;
+    IF jsonb_typeof(v_zone->'bands') <> 'array' OR jsonb_array_length(v_zone->'bands') = 0 THEN
+      RAISE EXCEPTION 'shipping_rules: zone % has no weight bands', v_zone->>'id';
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER check_shipping_rules
+  BEFORE INSERT OR UPDATE ON system_config
+  FOR EACH ROW
+  EXECUTE FUNCTION validate_shipping_rules();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON FUNCTION validate_shipping_rules IS 'Validates the shape of the shipping_rules system_config entry';
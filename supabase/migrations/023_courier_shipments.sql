@@ -0,0 +1,54 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 023: Courier Shipments
+-- Shipment references, stored PDF labels and pickup bookings from the courier adapters
+
+-- ============================================
+-- SHIPMENT COLUMNS ON ORDERS
+-- tracking_number and courier already exist (migration 002)
+-- ============================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS shipment_id TEXT;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS label_path TEXT;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS courier_pickup_id TEXT;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS courier_pickup_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_shipment ON orders(courier, shipment_id);
+
+-- ============================================
+-- STORAGE BUCKET FOR SHIPPING LABELS
+-- Private: labels carry customer addresses, served through signed URLs
+-- ============================================
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'shipping-labels',
+  'shipping-labels',
+  false,
+  2097152, -- 2MB limit
+  ARRAY['application/pdf']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Labels are written by submit-to-courier (service role); admins can read them
+CREATE POLICY "Admins can read shipping labels"
+ON storage.objects FOR SELECT
+USING (
+  bucket_id = 'shipping-labels'
+  AND EXISTS (
+    SELECT 1 FROM user_roles
+    WHERE user_id = auth.uid() AND role = 'admin'
+  )
+);
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN orders.shipment_id IS 'Courier-side shipment reference, used for labels and cancellation';
+COMMENT ON COLUMN orders.label_path IS 'Path of the PDF label in the shipping-labels bucket';
+COMMENT ON COLUMN orders.courier_pickup_id IS 'Courier pickup booking confirmation number';
+COMMENT ON COLUMN orders.courier_pickup_date IS 'Date the courier collects the parcel from the shop';
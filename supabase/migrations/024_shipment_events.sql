@@ -0,0 +1,78 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 024: Shipment Events
+-- Courier tracking events (webhooks and polling) shown as a timeline on the orders page
+
+-- ============================================
+-- SHIPMENT EVENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS shipment_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  courier TEXT NOT NULL,
+  tracking_number TEXT NOT NULL,
+  status TEXT NOT NULL
+    CHECK (status IN ('label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned')),
+  description TEXT,
+  location TEXT,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  source TEXT NOT NULL DEFAULT 'poll' CHECK (source IN ('webhook', 'poll', 'system')),
+  raw JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Webhooks and polling report the same events: keep one
+  UNIQUE (order_id, status, occurred_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_events_order ON shipment_events(order_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_shipment_events_tracking ON shipment_events(courier, tracking_number);
+
+-- Last time the poller asked the courier about this order
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS tracking_synced_at TIMESTAMPTZ;
+
+-- ============================================
+-- FUNCTION: Mark order delivered on courier confirmation
+-- ============================================
+CREATE OR REPLACE FUNCTION apply_shipment_event()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'delivered' THEN
+    UPDATE orders
+    SET status = 'delivered'
+    WHERE id = NEW.order_id
+      AND status IN ('confirmed', 'processing', 'shipped');
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_apply_shipment_event
+  AFTER INSERT ON shipment_events
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_shipment_event();
+
+-- ============================================
+-- RLS POLICIES
+-- Events are written by the track-shipments function (service role)
+-- ============================================
+ALTER TABLE shipment_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view events of own orders"
+  ON shipment_events FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM orders
+    WHERE orders.id = shipment_events.order_id
+      AND orders.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Admins can manage shipment events"
+  ON shipment_events FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE shipment_events IS 'Normalized courier tracking events per order';
+COMMENT ON COLUMN shipment_events.status IS 'Courier status mapped to a common set of steps';
+COMMENT ON COLUMN shipment_events.raw IS 'Original courier payload, for debugging';
+COMMENT ON COLUMN orders.tracking_synced_at IS 'Last tracking poll for the order';
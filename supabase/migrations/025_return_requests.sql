@@ -0,0 +1,382 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 025: Return Requests
+-- Customer returns / complaints on delivered orders, with photos, reviewed by admins.
+-- Approval (process-return Edge Function) refunds the lines through Stripe.
+
+-- ============================================
+-- RETURN POLICY
+-- Mirrored by DEFAULT_RETURN_POLICY in supabase/functions/_shared/returns.js
+-- ============================================
+INSERT INTO system_config (key, value, description) VALUES
+  ('return_policy', '{"window_days": 7, "max_photos": 4}', 'Giorni dalla consegna per segnalare un problema e numero massimo di foto')
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- DELIVERY AND REFUND TRACKING ON ORDERS
+-- ============================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Orders delivered before this migration
+UPDATE orders SET delivered_at = updated_at
+WHERE status = 'delivered' AND delivered_at IS NULL;
+
+-- The return window starts when the order is delivered (or collected)
+CREATE OR REPLACE FUNCTION set_order_delivered_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'delivered' AND OLD.status IS DISTINCT FROM 'delivered' THEN
+    NEW.delivered_at := COALESCE(NEW.delivered_at, NOW());
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_set_order_delivered_at
+  BEFORE UPDATE OF status ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION set_order_delivered_at();
+
+-- ============================================
+-- RETURN REQUESTS TABLES
+-- ============================================
+CREATE TABLE IF NOT EXISTS return_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('spoiled', 'missing_item', 'damaged', 'wrong_item', 'other')),
+  description TEXT,
+  photo_paths TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  refund_amount DECIMAL(10,2),
+  stripe_refund_id TEXT,
+  referral_revoked BOOLEAN NOT NULL DEFAULT FALSE,
+  admin_notes TEXT,
+  reviewed_by UUID REFERENCES auth.users(id),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS return_request_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  return_request_id UUID NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  -- List value of the returned units; the refund may be lower (discounts, gift cards)
+  amount DECIMAL(10,2) NOT NULL,
+  UNIQUE (return_request_id, order_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order ON return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_return_request_items_request ON return_request_items(return_request_id);
+
+-- One open request per order: a second complaint waits for the first review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_return_requests_one_pending
+  ON return_requests(order_id) WHERE status = 'pending';
+
+CREATE TRIGGER update_return_requests_updated_at
+  BEFORE UPDATE ON return_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- FUNCTION: Open a return request
+-- Validates ownership, window and quantities, prices lines from order_items
+-- p_items: [{"order_item_id": "...", "quantity": 1}]
+-- ============================================
+CREATE OR REPLACE FUNCTION create_return_request(
+  p_order_id UUID,
+  p_reason TEXT,
+  p_description TEXT,
+  p_items JSONB,
+  p_photo_paths TEXT[] DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_order RECORD;
+  v_policy JSONB;
+  v_line JSONB;
+  v_item RECORD;
+  v_already_returned INTEGER;
+  v_quantity INTEGER;
+  v_request_id UUID;
+  v_path TEXT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'not_authenticated');
+  END IF;
+
+  SELECT * INTO v_order FROM orders
+  WHERE id = p_order_id AND user_id = v_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'order_not_found');
+  END IF;
+
+  IF v_order.status <> 'delivered' THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'not_delivered');
+  END IF;
+
+  SELECT value INTO v_policy FROM system_config WHERE key = 'return_policy';
+
+  IF COALESCE(v_order.delivered_at, v_order.updated_at)
+     + (COALESCE((v_policy->>'window_days')::INTEGER, 7) || ' days')::INTERVAL < NOW() THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'outside_return_window');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM return_requests WHERE order_id = p_order_id AND status = 'pending') THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'already_pending');
+  END IF;
+
+  IF jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'no_items');
+  END IF;
+
+  IF COALESCE(array_length(p_photo_paths, 1), 0) > COALESCE((v_policy->>'max_photos')::INTEGER, 4) THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'too_many_photos');
+  END IF;
+
+  -- Photos must have been uploaded by the customer into their own folder
+  FOREACH v_path IN ARRAY COALESCE(p_photo_paths, '{}') LOOP
+    IF split_part(v_path, '/', 1) <> v_user_id::TEXT THEN
+      RETURN jsonb_build_object('success', false, 'reason', 'invalid_photo');
+    END IF;
+  END LOOP;
+
+  INSERT INTO return_requests (order_id, user_id, reason, description, photo_paths)
+  VALUES (p_order_id, v_user_id, p_reason, NULLIF(TRIM(p_description), ''), COALESCE(p_photo_paths, '{}'))
+  RETURNING id INTO v_request_id;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    v_quantity := (v_line->>'quantity')::INTEGER;
+
+    SELECT * INTO v_item FROM order_items
+    WHERE id = (v_line->>'order_item_id')::UUID AND order_id = p_order_id;
+
+    IF NOT FOUND OR v_quantity IS NULL OR v_quantity <= 0 THEN
+      RAISE EXCEPTION 'invalid_item';
+    END IF;
+
+    -- Units already in pending or approved requests
+    SELECT COALESCE(SUM(ri.quantity), 0) INTO v_already_returned
+    FROM return_request_items ri
+    JOIN return_requests rr ON rr.id = ri.return_request_id
+    WHERE ri.order_item_id = v_item.id
+      AND rr.status <> 'rejected'
+      AND rr.id <> v_request_id;
+
+    IF v_already_returned + v_quantity > v_item.quantity THEN
+      RAISE EXCEPTION 'quantity_exceeded';
+    END IF;
+
+    INSERT INTO return_request_items (return_request_id, order_item_id, quantity, amount)
+    VALUES (v_request_id, v_item.id, v_quantity, ROUND(v_item.product_price * v_quantity, 2));
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'return_id', v_request_id);
+EXCEPTION
+  WHEN raise_exception THEN
+    RETURN jsonb_build_object('success', false, 'reason', SQLERRM);
+  WHEN check_violation THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'invalid_reason');
+  WHEN unique_violation THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'already_pending');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- FUNCTION: Revoke referral reward (fix)
+-- Migration 011 wrote credit_transactions with the old column names;
+-- same logic, current table structure (as migration 012 did for conversions)
+-- ============================================
+CREATE OR REPLACE FUNCTION revoke_referral_reward(
+  p_order_id UUID,
+  p_reason TEXT DEFAULT 'order_refunded'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_referral RECORD;
+  v_current_balance DECIMAL(10,2);
+  v_new_balance DECIMAL(10,2);
+BEGIN
+  -- Get referral for this order
+  SELECT r.*,
+    (SELECT (value->>'refund_window_days')::INTEGER FROM system_config WHERE key = 'referral_limits') as refund_window
+  INTO v_referral
+  FROM referrals r
+  WHERE converted_order_id = p_order_id
+  AND status = 'converted'
+  AND reward_credited = TRUE
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'no_eligible_referral');
+  END IF;
+
+  -- Check if within refund window
+  IF v_referral.converted_at + (COALESCE(v_referral.refund_window, 14) || ' days')::INTERVAL < NOW() THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'outside_refund_window');
+  END IF;
+
+  -- Update referral status
+  UPDATE referrals SET
+    status = 'revoked',
+    revoked_at = NOW(),
+    revoke_reason = p_reason
+  WHERE id = v_referral.id;
+
+  SELECT COALESCE(balance, 0) INTO v_current_balance
+  FROM user_credits WHERE user_id = v_referral.referrer_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    v_current_balance := 0;
+  END IF;
+
+  v_new_balance := GREATEST(0, v_current_balance - v_referral.reward_amount);
+
+  -- Deduct from referrer balance
+  UPDATE user_credits SET
+    balance = v_new_balance,
+    updated_at = NOW()
+  WHERE user_id = v_referral.referrer_id;
+
+  -- Record negative transaction
+  INSERT INTO credit_transactions (user_id, amount, transaction_type, description, reference_id, reference_type, balance_before, balance_after)
+  VALUES (
+    v_referral.referrer_id,
+    -v_referral.reward_amount,
+    'referral_revoked',
+    'Revoca reward per rimborso ordine',
+    v_referral.id,
+    'referral',
+    v_current_balance,
+    v_new_balance
+  );
+
+  -- Update referrer stats
+  UPDATE user_referral_codes SET
+    total_conversions = GREATEST(0, total_conversions - 1),
+    total_earned = GREATEST(0, total_earned - v_referral.reward_amount)
+  WHERE user_id = v_referral.referrer_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'referrer_id', v_referral.referrer_id,
+    'amount_revoked', v_referral.reward_amount
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only process-return (service role) revokes rewards
+REVOKE EXECUTE ON FUNCTION revoke_referral_reward(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Customer emails for admin views
+-- profiles has no email column: it lives in auth.users, which clients
+-- cannot read. Also used by the recall and promo code batch views.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_customer_emails(p_user_ids UUID[])
+RETURNS TABLE (user_id UUID, email TEXT) AS $$
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'not_admin';
+  END IF;
+
+  RETURN QUERY
+  SELECT u.id, u.email::TEXT
+  FROM auth.users u
+  WHERE u.id = ANY(p_user_ids);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION get_customer_emails(UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_customer_emails(UUID[]) TO authenticated;
+
+-- ============================================
+-- STORAGE BUCKET FOR RETURN PHOTOS
+-- Private: customers upload into a folder named after their user id
+-- ============================================
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'return-photos',
+  'return-photos',
+  false,
+  5242880, -- 5MB limit
+  ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/heic']
+)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can upload own return photos"
+ON storage.objects FOR INSERT
+WITH CHECK (
+  bucket_id = 'return-photos'
+  AND (storage.foldername(name))[1] = auth.uid()::TEXT
+);
+
+CREATE POLICY "Users can view own return photos"
+ON storage.objects FOR SELECT
+USING (
+  bucket_id = 'return-photos'
+  AND (storage.foldername(name))[1] = auth.uid()::TEXT
+);
+
+CREATE POLICY "Admins can read return photos"
+ON storage.objects FOR SELECT
+USING (
+  bucket_id = 'return-photos'
+  AND EXISTS (
+    SELECT 1 FROM user_roles
+    WHERE user_id = auth.uid() AND role = 'admin'
+  )
+);
+
+-- ============================================
+-- RLS POLICIES
+-- Customers create requests through create_return_request;
+-- reviews are written by process-return (service role)
+-- ============================================
+ALTER TABLE return_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE return_request_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own return requests"
+  ON return_requests FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage return requests"
+  ON return_requests FOR ALL
+  USING (is_admin());
+
+CREATE POLICY "Users can view own return request items"
+  ON return_request_items FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM return_requests
+    WHERE return_requests.id = return_request_items.return_request_id
+      AND return_requests.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Admins can manage return request items"
+  ON return_request_items FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE return_requests IS 'Customer returns / complaints on delivered orders';
+COMMENT ON COLUMN return_requests.photo_paths IS 'Paths in the return-photos bucket';
+COMMENT ON COLUMN return_requests.refund_amount IS 'Amount refunded on approval (Stripe)';
+COMMENT ON COLUMN return_requests.referral_revoked IS 'Approval revoked the referrer reward for this order';
+COMMENT ON TABLE return_request_items IS 'Order lines and quantities included in a return request';
+COMMENT ON COLUMN orders.delivered_at IS 'When the order was delivered or collected; starts the return window';
+COMMENT ON COLUMN orders.refunded_amount IS 'Total refunded through approved returns';
+COMMENT ON FUNCTION create_return_request IS 'Opens a return request for a delivered order of the current user';
+COMMENT ON FUNCTION get_customer_emails(UUID[]) IS 'Account emails of the given users, for admins';
+COMMENT ON FUNCTION revoke_referral_reward IS 'Revokes the referrer reward of a refunded order within the referral refund window';
@@ -0,0 +1,147 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 026: Order Adjustments
+-- Actual packed weight of weighed lines and the resulting refund (Stripe or credit).
+-- Written by the adjust-order Edge Function.
+
+-- ============================================
+-- WEIGHED LINES
+-- ============================================
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS actual_weight_grams INTEGER CHECK (actual_weight_grams >= 0);
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS adjusted_price DECIMAL(10,2);
+
+-- Given back as credit instead of on the card: later returns refund the rest only
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- ============================================
+-- ORDER ADJUSTMENTS TABLE
+-- One weighing per order: the lines keep the weights, this row the money
+-- ============================================
+CREATE TABLE IF NOT EXISTS order_adjustments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL DEFAULT 'weight' CHECK (reason IN ('weight')),
+  -- Ordered minus weighed line totals (negative when more was packed)
+  difference DECIMAL(10,2) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+  method TEXT NOT NULL CHECK (method IN ('stripe', 'credit', 'none')),
+  stripe_refund_id TEXT,
+  lines JSONB NOT NULL DEFAULT '[]',
+  notes TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- FUNCTION: Add credits
+-- Counterpart of use_credits: gives money back to the customer balance.
+-- Service role only (adjust-order), never callable from the browser.
+-- ============================================
+CREATE OR REPLACE FUNCTION add_credits(
+  p_user_id UUID,
+  p_amount DECIMAL(10,2),
+  p_order_id UUID,
+  p_description TEXT DEFAULT 'Rimborso su ordine'
+) RETURNS JSONB AS $$
+DECLARE
+  v_current_balance DECIMAL(10,2);
+  v_new_balance DECIMAL(10,2);
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Importo non valido');
+  END IF;
+
+  -- Get current balance with lock
+  SELECT balance INTO v_current_balance
+  FROM user_credits
+  WHERE user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    v_current_balance := 0;
+  END IF;
+
+  v_new_balance := v_current_balance + p_amount;
+
+  INSERT INTO user_credits (user_id, balance, total_earned, total_spent)
+  VALUES (p_user_id, p_amount, p_amount, 0)
+  ON CONFLICT (user_id) DO UPDATE SET
+    balance = v_new_balance,
+    total_earned = user_credits.total_earned + p_amount,
+    updated_at = NOW();
+
+  -- Record transaction
+  INSERT INTO credit_transactions (
+    user_id, amount, transaction_type,
+    reference_id, reference_type,
+    balance_before, balance_after, description
+  ) VALUES (
+    p_user_id, p_amount, 'refund',
+    p_order_id, 'order',
+    v_current_balance, v_new_balance,
+    p_description
+  );
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'amount_added', p_amount,
+    'new_balance', v_new_balance
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION add_credits(UUID, DECIMAL, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Record money given back on an order
+-- One increment in place: adjust-order and process-return may both run
+-- on the same order, and read-then-write would lose one of the amounts.
+-- ============================================
+CREATE OR REPLACE FUNCTION add_order_refund(
+  p_order_id UUID,
+  p_refunded DECIMAL(10,2) DEFAULT 0,
+  p_credited DECIMAL(10,2) DEFAULT 0
+) RETURNS JSONB AS $$
+  UPDATE orders
+  SET refunded_amount = refunded_amount + COALESCE(p_refunded, 0),
+      credited_amount = credited_amount + COALESCE(p_credited, 0)
+  WHERE id = p_order_id
+  RETURNING jsonb_build_object(
+    'refunded_amount', refunded_amount,
+    'credited_amount', credited_amount
+  );
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION add_order_refund(UUID, DECIMAL, DECIMAL) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- RLS POLICIES
+-- ============================================
+ALTER TABLE order_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view adjustments of own orders"
+  ON order_adjustments FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM orders
+    WHERE orders.id = order_adjustments.order_id
+      AND orders.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Admins can manage order adjustments"
+  ON order_adjustments FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN order_items.actual_weight_grams IS 'Weight actually packed for the whole line';
+COMMENT ON COLUMN order_items.adjusted_price IS 'Line total re-priced on the packed weight';
+COMMENT ON TABLE order_adjustments IS 'Refunds for weighed lines packed under the ordered weight';
+COMMENT ON COLUMN order_adjustments.method IS 'stripe = card refund, credit = user_credits, none = nothing owed';
+COMMENT ON COLUMN orders.refunded_amount IS 'Total refunded on the card through returns and weight adjustments';
+COMMENT ON COLUMN orders.credited_amount IS 'Total given back as user credit through weight adjustments';
+COMMENT ON FUNCTION add_order_refund(UUID, DECIMAL, DECIMAL) IS 'Add card refunds and credits to the order totals atomically';
+COMMENT ON FUNCTION add_credits IS 'Adds credits to user balance for refunds (counterpart of use_credits)';
@@ -0,0 +1,82 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 027: Produce Box Subscriptions
+-- Weekly / bi-weekly "cassetta" subscriptions billed through Stripe.
+-- Rows are written by the manage-subscription and stripe-webhook Edge Functions;
+-- every paid invoice becomes a normal order linked to its subscription.
+
+-- ============================================
+-- BOX PRODUCTS
+-- ============================================
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS is_subscription_box BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_products_subscription_box
+  ON products(is_subscription_box) WHERE is_subscription_box = true;
+
+-- ============================================
+-- SUBSCRIPTIONS TABLE
+-- Mirror of the Stripe subscription, kept in sync by the webhook
+-- ============================================
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'biweekly')),
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'past_due', 'cancelled')),
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  shipping_address JSONB,
+  stripe_subscription_id TEXT NOT NULL UNIQUE,
+  stripe_customer_id TEXT,
+  next_billing_at TIMESTAMPTZ,
+  -- Deliveries billed before this date are skipped (Stripe pause_collection.resumes_at)
+  skip_until TIMESTAMPTZ,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
+
+CREATE TRIGGER update_subscriptions_updated_at
+  BEFORE UPDATE ON subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- SUBSCRIPTION ORDERS
+-- The invoice id makes webhook retries create the order only once
+-- ============================================
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS stripe_invoice_id TEXT UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_subscription ON orders(subscription_id);
+
+-- ============================================
+-- RLS POLICIES
+-- Customers read their own; changes go through manage-subscription
+-- ============================================
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own subscriptions"
+  ON subscriptions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage subscriptions"
+  ON subscriptions FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN products.is_subscription_box IS 'Box product that can be bought as a recurring subscription';
+COMMENT ON TABLE subscriptions IS 'Recurring produce box subscriptions billed through Stripe';
+COMMENT ON COLUMN subscriptions.status IS 'active, paused (until resumed), past_due (payment failed), cancelled';
+COMMENT ON COLUMN subscriptions.next_billing_at IS 'Stripe current_period_end: next invoice, i.e. next box';
+COMMENT ON COLUMN orders.subscription_id IS 'Subscription that generated the order (one order per paid invoice)';
+COMMENT ON COLUMN orders.stripe_invoice_id IS 'Stripe invoice of a subscription order';
@@ -0,0 +1,238 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 028: Product Search
+-- Italian full-text search with stemming and accent folding ("pomodori" finds
+-- "Pomodoro"), trigram typo tolerance, admin-editable synonyms and ranking by
+-- relevance, stock and popularity. Replaces the previous search_products RPC.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ============================================
+-- NORMALIZATION
+-- unaccent() is only STABLE: indexes need an IMMUTABLE wrapper.
+-- Mirrored by normalizeSearchText in js/utils/search.js
+-- ============================================
+CREATE OR REPLACE FUNCTION search_normalize(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT btrim(regexp_replace(
+    lower(public.unaccent('public.unaccent'::regdictionary, COALESCE(p_text, ''))),
+    '[^a-z0-9]+', ' ', 'g'
+  ))
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Italian stemming on accent-folded words
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'italian_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION italian_unaccent (COPY = italian);
+    ALTER TEXT SEARCH CONFIGURATION italian_unaccent
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, italian_stem;
+  END IF;
+END $$;
+
+-- ============================================
+-- SEARCH COLUMNS ON PRODUCTS
+-- ============================================
+-- Keywords edited in the admin product form; no earlier migration creates them
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS search_keywords TEXT[] DEFAULT '{}';
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS search_name TEXT;
+
+CREATE OR REPLACE FUNCTION update_product_search_fields()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_category TEXT;
+BEGIN
+  SELECT name INTO v_category FROM categories WHERE id = NEW.category_id;
+
+  NEW.search_name := search_normalize(NEW.name);
+  NEW.search_vector :=
+    setweight(to_tsvector('italian_unaccent', COALESCE(NEW.name, '')), 'A') ||
+    setweight(to_tsvector('italian_unaccent', array_to_string(COALESCE(NEW.search_keywords, '{}'), ' ')), 'B') ||
+    setweight(to_tsvector('italian_unaccent', COALESCE(v_category, '') || ' ' || COALESCE(NEW.gender, '')), 'C') ||
+    setweight(to_tsvector('italian_unaccent', COALESCE(NEW.description, '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_product_search_fields ON products;
+CREATE TRIGGER set_product_search_fields
+  BEFORE INSERT OR UPDATE OF name, description, search_keywords, category_id, gender ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION update_product_search_fields();
+
+-- Backfill existing products
+UPDATE products SET name = name;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_search_name_trgm ON products USING GIN (search_name gin_trgm_ops);
+
+-- ============================================
+-- SEARCH SYNONYMS TABLE
+-- A term either expands into its synonyms or, with redirect_url,
+-- sends the shopper straight to a collection page
+-- ============================================
+CREATE TABLE IF NOT EXISTS search_synonyms (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  term TEXT NOT NULL,
+  synonyms TEXT[] NOT NULL DEFAULT '{}',
+  redirect_url TEXT,
+  redirect_title TEXT,
+  redirect_description TEXT,
+  redirect_emoji TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_synonyms_term ON search_synonyms (search_normalize(term));
+
+CREATE TRIGGER update_search_synonyms_updated_at
+  BEFORE UPDATE ON search_synonyms
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Category shortcuts previously hard-coded in the search overlay
+INSERT INTO search_synonyms (term, redirect_url, redirect_title, redirect_description, redirect_emoji) VALUES
+  ('frutta', 'collection.html?gender=frutta', 'Frutta', 'Frutta fresca di stagione', '🍎'),
+  ('frutta fresca', 'collection.html?gender=frutta&category=frutta-fresca', 'Frutta Fresca', 'Frutta fresca di stagione', '🍎'),
+  ('agrumi', 'collection.html?gender=frutta&category=agrumi', 'Agrumi', 'Arance, limoni e mandarini', '🍊'),
+  ('arance', 'collection.html?gender=frutta&category=agrumi', 'Agrumi', 'Arance, limoni e mandarini', '🍊'),
+  ('limoni', 'collection.html?gender=frutta&category=agrumi', 'Agrumi', 'Arance, limoni e mandarini', '🍋'),
+  ('verdura', 'collection.html?gender=verdura', 'Verdura', 'Verdura fresca selezionata', '🥬'),
+  ('verdura fresca', 'collection.html?gender=verdura&category=verdura-fresca', 'Verdura Fresca', 'Verdura fresca selezionata', '🥬'),
+  ('conserve', 'collection.html?gender=conserve', 'Conserve e Preparati', 'Sott''oli, marmellate e salse', '🫙'),
+  ('formaggi', 'collection.html?gender=conserve&category=formaggi', 'Formaggi', 'Esplora la categoria', '🧀'),
+  ('salumi', 'collection.html?gender=conserve&category=salumi', 'Salumi', 'Esplora la categoria', '🥓'),
+  ('olive', 'collection.html?gender=conserve&category=olive-sottoli', 'Olive e Sott''oli', 'Conserve sott''olio', '🫒'),
+  ('sottoli', 'collection.html?gender=conserve&category=olive-sottoli', 'Sott''oli', 'Conserve sott''olio', '🫙'),
+  ('secchi', 'collection.html?gender=secchi-estratti', 'Prodotti Secchi e Estratti', 'Oli, succhi e frutta secca', '🫒'),
+  ('estratti', 'collection.html?gender=secchi-estratti', 'Prodotti Secchi e Estratti', 'Oli, succhi e frutta secca', '🫒'),
+  ('insalate pronte', 'collection.html?gender=secchi-estratti&category=insalate-pronte', 'Insalate Pronte', 'Esplora la categoria', '🥗'),
+  ('piatti pronti', 'collection.html?gender=secchi-estratti&category=piatti-pronti', 'Piatti Pronti', 'Esplora la categoria', '🍲'),
+  ('contorni', 'collection.html?gender=secchi-estratti&category=contorni', 'Contorni', 'Esplora la categoria', '🥕')
+ON CONFLICT DO NOTHING;
+
+-- Regional and everyday names of the same produce
+INSERT INTO search_synonyms (term, synonyms) VALUES
+  ('anguria', ARRAY['cocomero']),
+  ('cocomero', ARRAY['anguria']),
+  ('rucola', ARRAY['rughetta']),
+  ('rughetta', ARRAY['rucola']),
+  ('nettarine', ARRAY['pesca noce']),
+  ('pesca noce', ARRAY['nettarine']),
+  ('pomodorini', ARRAY['ciliegino', 'datterino', 'pachino']),
+  ('bio', ARRAY['biologico']),
+  ('patate americane', ARRAY['patate dolci']),
+  ('patate dolci', ARRAY['patate americane'])
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- FUNCTION: Search products
+-- Matches: stemmed prefixes of every word (so "pomod" already finds
+-- "Pomodori"), the query with synonyms swapped in, and trigram similarity
+-- for typos. Ranked by text relevance, in stock first, then sales.
+-- ============================================
+DROP FUNCTION IF EXISTS search_products(TEXT);
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query TEXT,
+  p_gender TEXT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+) RETURNS TABLE (id UUID, relevance REAL) AS $$
+DECLARE
+  v_query TEXT := search_normalize(search_query);
+  v_alternatives TEXT[];
+  v_tsquery_text TEXT;
+  v_tsquery TSQUERY;
+BEGIN
+  IF length(v_query) < 2 THEN
+    RETURN;
+  END IF;
+
+  -- The query plus a copy with each matching term replaced by its synonyms
+  SELECT array_agg(DISTINCT alt) INTO v_alternatives
+  FROM (
+    SELECT v_query AS alt
+    UNION
+    SELECT btrim(replace(' ' || v_query || ' ', ' ' || search_normalize(s.term) || ' ', ' ' || search_normalize(syn) || ' '))
+    FROM search_synonyms s, unnest(s.synonyms) AS syn
+    WHERE s.is_active
+      AND position(' ' || search_normalize(s.term) || ' ' IN ' ' || v_query || ' ') > 0
+  ) a;
+
+  SELECT string_agg('(' || words || ')', ' | ') INTO v_tsquery_text
+  FROM (
+    SELECT string_agg(w || ':*', ' & ') AS words
+    FROM unnest(v_alternatives) WITH ORDINALITY AS a(alt, n),
+         unnest(string_to_array(a.alt, ' ')) AS w
+    WHERE w <> ''
+    GROUP BY n
+  ) q;
+
+  v_tsquery := to_tsquery('italian_unaccent', COALESCE(v_tsquery_text, ''));
+
+  RETURN QUERY
+  WITH sales AS (
+    SELECT oi.product_id, SUM(oi.quantity) AS sold
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.created_at > NOW() - INTERVAL '90 days'
+      AND o.status NOT IN ('cancelled', 'refunded')
+    GROUP BY oi.product_id
+  ),
+  matches AS (
+    SELECT
+      p.id AS product_id,
+      COALESCE(ts_rank(p.search_vector, v_tsquery), 0) AS text_rank,
+      GREATEST(similarity(p.search_name, v_query), word_similarity(v_query, p.search_name)) AS fuzzy,
+      COALESCE(p.inventory, 0) AS stock,
+      COALESCE(s.sold, 0) AS sold
+    FROM products p
+    LEFT JOIN sales s ON s.product_id = p.id
+    WHERE p.is_active = true
+      AND (p_gender IS NULL OR p.gender = p_gender)
+      AND (p.search_vector @@ v_tsquery OR v_query <% p.search_name)
+  )
+  SELECT
+    m.product_id,
+    ((m.text_rank * 2 + m.fuzzy)
+      * CASE WHEN m.stock > 0 THEN 1 ELSE 0.6 END
+      + LN(1 + m.sold) * 0.05)::REAL
+  FROM matches m
+  ORDER BY 2 DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+GRANT EXECUTE ON FUNCTION search_products(TEXT, TEXT, INTEGER) TO anon, authenticated;
+
+-- ============================================
+-- RLS POLICIES
+-- ============================================
+ALTER TABLE search_synonyms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active search synonyms"
+  ON search_synonyms FOR SELECT
+  USING (is_active = true);
+
+CREATE POLICY "Admins can manage search synonyms"
+  ON search_synonyms FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON FUNCTION search_normalize IS 'Lowercase, accent-free, punctuation-free text for search matching';
+COMMENT ON COLUMN products.search_keywords IS 'Extra search terms edited by admins (weighted B)';
+COMMENT ON COLUMN products.search_vector IS 'Italian stemmed text: name (A), keywords (B), category and type (C), description (D)';
+COMMENT ON COLUMN products.search_name IS 'Normalized name for trigram typo matching';
+COMMENT ON TABLE search_synonyms IS 'Admin-editable search synonyms and category shortcuts';
+COMMENT ON FUNCTION search_products IS 'Product ids ranked by relevance, stock and 90-day sales';
@@ -0,0 +1,190 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 029: Search Queries
+-- Logs the searches made from the overlay to power autocomplete suggestions,
+-- per-user recent searches, shop-wide trending queries and the admin report
+-- of searches that found nothing.
+
+-- ============================================
+-- SEARCH QUERIES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS search_queries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  query TEXT NOT NULL,
+  normalized_query TEXT NOT NULL,
+  result_count INTEGER NOT NULL DEFAULT 0 CHECK (result_count >= 0),
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  session_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_created ON search_queries(created_at);
+CREATE INDEX IF NOT EXISTS idx_search_queries_user ON search_queries(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_queries_normalized ON search_queries(normalized_query text_pattern_ops);
+
+-- ============================================
+-- FUNCTION: Log a search
+-- The user is taken from the session and the result count from
+-- search_products, never from the client: only queries that really find
+-- products can reach suggestions and trending. At most 20 searches a
+-- minute per shopper are logged.
+-- ============================================
+CREATE OR REPLACE FUNCTION log_search_query(
+  p_query TEXT,
+  p_session_id TEXT DEFAULT NULL
+) RETURNS VOID AS $$
+DECLARE
+  v_normalized TEXT := search_normalize(p_query);
+  v_user_id UUID := auth.uid();
+  v_session_id TEXT := left(p_session_id, 64);
+  v_result_count INTEGER;
+BEGIN
+  IF length(v_normalized) < 2 OR length(v_normalized) > 100 THEN
+    RETURN;
+  END IF;
+
+  IF v_user_id IS NULL AND v_session_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF (
+    SELECT COUNT(*) FROM search_queries
+    WHERE created_at > NOW() - INTERVAL '1 minute'
+      AND (user_id = v_user_id OR (v_user_id IS NULL AND session_id = v_session_id))
+  ) >= 20 THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*) INTO v_result_count FROM search_products(p_query, NULL, 100);
+
+  INSERT INTO search_queries (query, normalized_query, result_count, user_id, session_id)
+  VALUES (left(btrim(p_query), 100), v_normalized, v_result_count, v_user_id, v_session_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Autocomplete suggestions
+-- Popular searches that found something, then product names,
+-- both completing the typed prefix
+-- ============================================
+CREATE OR REPLACE FUNCTION get_search_suggestions(
+  p_prefix TEXT,
+  p_limit INTEGER DEFAULT 6
+) RETURNS TABLE (suggestion TEXT, source TEXT) AS $$
+DECLARE
+  v_prefix TEXT := search_normalize(p_prefix);
+BEGIN
+  IF length(v_prefix) < 2 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT s.suggestion, s.source
+  FROM (
+    SELECT DISTINCT ON (search_normalize(c.suggestion)) c.suggestion, c.source, c.score
+    FROM (
+      SELECT sq.normalized_query AS suggestion, 'query'::TEXT AS source,
+             COUNT(DISTINCT COALESCE(sq.user_id::TEXT, sq.session_id, sq.id::TEXT))::REAL + 1000 AS score
+      FROM search_queries sq
+      WHERE sq.result_count > 0
+        AND sq.created_at > NOW() - INTERVAL '90 days'
+        AND sq.normalized_query LIKE v_prefix || '%'
+        AND sq.normalized_query <> v_prefix
+      GROUP BY sq.normalized_query
+      HAVING COUNT(DISTINCT COALESCE(sq.user_id::TEXT, sq.session_id, sq.id::TEXT)) >= 2
+
+      UNION ALL
+
+      SELECT p.name, 'product'::TEXT,
+             CASE WHEN p.search_name LIKE v_prefix || '%' THEN 2 ELSE 1 END::REAL
+      FROM products p
+      WHERE p.is_active = true
+        AND (p.search_name LIKE v_prefix || '%' OR p.search_name LIKE '% ' || v_prefix || '%')
+    ) c
+    ORDER BY search_normalize(c.suggestion), c.score DESC
+  ) s
+  ORDER BY s.score DESC, s.suggestion
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Trending searches
+-- Counted once per shopper so one visitor cannot push a query up
+-- ============================================
+CREATE OR REPLACE FUNCTION get_trending_searches(
+  p_days INTEGER DEFAULT 7,
+  p_limit INTEGER DEFAULT 8
+) RETURNS TABLE (query TEXT, searches BIGINT) AS $$
+  SELECT sq.normalized_query,
+         COUNT(DISTINCT COALESCE(sq.user_id::TEXT, sq.session_id, sq.id::TEXT)) AS searches
+  FROM search_queries sq
+  WHERE sq.result_count > 0
+    AND sq.created_at > NOW() - make_interval(days => p_days)
+  GROUP BY sq.normalized_query
+  HAVING COUNT(DISTINCT COALESCE(sq.user_id::TEXT, sq.session_id, sq.id::TEXT)) >= 2
+  ORDER BY searches DESC, sq.normalized_query
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Zero-result searches (admin report)
+-- ============================================
+CREATE OR REPLACE FUNCTION get_zero_result_searches(
+  p_days INTEGER DEFAULT 30,
+  p_limit INTEGER DEFAULT 100
+) RETURNS TABLE (query TEXT, searches BIGINT, shoppers BIGINT, last_searched_at TIMESTAMPTZ) AS $$
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'not_admin';
+  END IF;
+
+  RETURN QUERY
+  SELECT sq.normalized_query,
+         COUNT(*) AS searches,
+         COUNT(DISTINCT COALESCE(sq.user_id::TEXT, sq.session_id, sq.id::TEXT)) AS shoppers,
+         MAX(sq.created_at) AS last_searched_at
+  FROM search_queries sq
+  WHERE sq.result_count = 0
+    AND sq.created_at > NOW() - make_interval(days => p_days)
+  GROUP BY sq.normalized_query
+  -- By position: the output names are also plpgsql variables
+  ORDER BY 3 DESC, 2 DESC, 4 DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION log_search_query(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_search_suggestions(TEXT, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_trending_searches(INTEGER, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_zero_result_searches(INTEGER, INTEGER) TO authenticated;
+
+-- ============================================
+-- RLS POLICIES
+-- Rows are written through log_search_query only
+-- ============================================
+ALTER TABLE search_queries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own searches"
+  ON search_queries FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can clear own searches"
+  ON search_queries FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all searches"
+  ON search_queries FOR SELECT
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE search_queries IS 'Searches made from the search overlay, with how many products they found (up to 100)';
+COMMENT ON FUNCTION log_search_query IS 'Record a search for the current user or guest session';
+COMMENT ON FUNCTION get_search_suggestions IS 'Autocomplete: popular searches and product names completing a prefix';
+COMMENT ON FUNCTION get_trending_searches IS 'Most searched queries with results in the last days, once per shopper';
+COMMENT ON FUNCTION get_zero_result_searches IS 'Admin report of searches that found no products';
@@ -0,0 +1,121 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 030: Product Facets
+-- Origin region and quality labels on products, and one RPC returning the
+-- counts for every collection page facet (region, labels, seasonality,
+-- weight formats, availability) in a single round trip.
+
+-- ============================================
+-- FACET COLUMNS ON PRODUCTS
+-- ============================================
+
+-- Italian region (or "Estero") the product comes from
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS origin_region TEXT DEFAULT NULL;
+
+-- Quality labels: bio, igp, dop
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS certifications TEXT[] NOT NULL DEFAULT '{}'
+CHECK (certifications <@ ARRAY['bio', 'igp', 'dop']);
+
+CREATE INDEX IF NOT EXISTS idx_products_origin_region ON products(origin_region);
+CREATE INDEX IF NOT EXISTS idx_products_certifications ON products USING GIN (certifications);
+
+-- ============================================
+-- FUNCTION: Facet counts
+-- p_filters uses the getProducts filter names. Each facet is counted with
+-- every other facet applied but not its own, so choosing "Sicilia" still
+-- shows how many products "Puglia" would add.
+-- Runs as the caller: RLS hides the same products the grid hides.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_product_facets(p_filters JSONB DEFAULT '{}')
+RETURNS JSONB AS $$
+  WITH f AS (
+    SELECT
+      NULLIF(p_filters->>'gender', '') AS gender,
+      NULLIF(p_filters->>'category_id', '')::UUID AS category_id,
+      (p_filters->>'price_min')::NUMERIC AS price_min,
+      (p_filters->>'price_max')::NUMERIC AS price_max,
+      COALESCE((p_filters->>'is_promotion')::BOOLEAN, false) AS is_promotion,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'regions', '[]'))) AS regions,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'certifications', '[]'))) AS certifications,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'weights', '[]'))::INTEGER) AS weights,
+      COALESCE((p_filters->>'seasonal')::BOOLEAN, false) AS seasonal,
+      COALESCE((p_filters->>'in_stock')::BOOLEAN, false) AS in_stock
+  ),
+  base AS (
+    SELECT
+      p.id,
+      p.origin_region,
+      p.certifications,
+      COALESCE(p.is_seasonal, false) AS is_seasonal,
+      (p.is_active AND COALESCE(p.inventory, 0) > 0) AS available,
+      ARRAY(
+        SELECT wi.weight_grams FROM weight_inventory wi
+        WHERE wi.product_id = p.id AND wi.quantity > 0
+      ) AS weights
+    FROM products p, f
+    WHERE (f.gender IS NULL OR p.gender = f.gender)
+      AND (f.category_id IS NULL OR p.category_id = f.category_id)
+      AND (f.price_min IS NULL OR p.price >= f.price_min)
+      AND (f.price_max IS NULL OR p.price <= f.price_max)
+      AND (NOT f.is_promotion OR p.sale_price IS NOT NULL)
+  ),
+  m AS (
+    SELECT
+      b.*,
+      (cardinality(f.regions) = 0 OR b.origin_region = ANY(f.regions)) AS m_region,
+      (cardinality(f.certifications) = 0 OR b.certifications && f.certifications) AS m_cert,
+      (NOT f.seasonal OR b.is_seasonal) AS m_season,
+      (cardinality(f.weights) = 0 OR b.weights && f.weights) AS m_weight,
+      (NOT f.in_stock OR b.available) AS m_stock
+    FROM base b, f
+  )
+  SELECT jsonb_build_object(
+    'total', (
+      SELECT COUNT(*) FROM m
+      WHERE m_region AND m_cert AND m_season AND m_weight AND m_stock
+    ),
+    'regions', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', origin_region, 'count', n) ORDER BY origin_region)
+      FROM (
+        SELECT origin_region, COUNT(*) AS n FROM m
+        WHERE origin_region IS NOT NULL AND m_cert AND m_season AND m_weight AND m_stock
+        GROUP BY origin_region
+      ) r
+    ), '[]'),
+    'certifications', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', cert, 'count', n) ORDER BY cert)
+      FROM (
+        SELECT cert, COUNT(*) AS n FROM m, unnest(m.certifications) AS cert
+        WHERE m_region AND m_season AND m_weight AND m_stock
+        GROUP BY cert
+      ) c
+    ), '[]'),
+    'weights', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', weight, 'count', n) ORDER BY weight)
+      FROM (
+        SELECT weight, COUNT(*) AS n FROM m, unnest(m.weights) AS weight
+        WHERE m_region AND m_cert AND m_season AND m_stock
+        GROUP BY weight
+      ) w
+    ), '[]'),
+    'seasonal', (
+      SELECT COUNT(*) FROM m
+      WHERE is_seasonal AND m_region AND m_cert AND m_weight AND m_stock
+    ),
+    'in_stock', (
+      SELECT COUNT(*) FROM m
+      WHERE available AND m_region AND m_cert AND m_season AND m_weight
+    )
+  )
+$$ LANGUAGE sql STABLE
+SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_product_facets(JSONB) TO anon, authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN products.origin_region IS 'Region of origin shown as a collection facet';
+COMMENT ON COLUMN products.certifications IS 'Quality labels: bio, igp, dop';
+COMMENT ON FUNCTION get_product_facets IS 'Collection page facet counts for the given getProducts filters';
@@ -0,0 +1,39 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 031: Catalog Keyset Pagination
+-- The collection page loads products page by page, continuing after the
+-- (sort key, id) of the last product shown. Sort columns must never be
+-- NULL for that comparison to hold, and each sort gets a matching index.
+
+-- ============================================
+-- SORT COLUMNS
+-- ============================================
+
+UPDATE products SET created_at = NOW() WHERE created_at IS NULL;
+UPDATE products SET is_featured = false WHERE is_featured IS NULL;
+
+ALTER TABLE products
+ALTER COLUMN created_at SET NOT NULL,
+ALTER COLUMN is_featured SET NOT NULL;
+
+-- ============================================
+-- INDEXES (one per getProducts sort option)
+-- ============================================
+
+-- newest
+CREATE INDEX IF NOT EXISTS idx_products_keyset_newest
+ON products(created_at DESC, id DESC);
+
+-- price_asc / price_desc (scanned backwards)
+CREATE INDEX IF NOT EXISTS idx_products_keyset_price
+ON products(price, id);
+
+-- popular
+CREATE INDEX IF NOT EXISTS idx_products_keyset_popular
+ON products(is_featured DESC, created_at DESC, id DESC);
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON INDEX idx_products_keyset_newest IS 'Keyset pagination for the newest sort';
+COMMENT ON INDEX idx_products_keyset_price IS 'Keyset pagination for the price sorts';
+COMMENT ON INDEX idx_products_keyset_popular IS 'Keyset pagination for the popular sort';
@@ -0,0 +1,187 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 032: Product Seasonality
+-- Months in which each product is available and at its peak. A daily job
+-- keeps is_seasonal, season_rank and storefront visibility in step with
+-- the calendar: products are hidden when their season ends and come back
+-- when it starts again.
+
+-- ============================================
+-- SEASON COLUMNS ON PRODUCTS
+-- ============================================
+
+-- Months the product is available (1 = January); empty = all year
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS season_months SMALLINT[] NOT NULL DEFAULT '{}'
+CHECK (season_months <@ ARRAY[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]::SMALLINT[]);
+
+-- Months the product is at its best, within season_months
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS peak_months SMALLINT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_peak_months_in_season;
+ALTER TABLE products
+ADD CONSTRAINT products_peak_months_in_season CHECK (peak_months <@ season_months);
+
+-- Hide the product from the shop while out of season
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS hide_out_of_season BOOLEAN NOT NULL DEFAULT true;
+
+-- Set when apply_seasonal_visibility hid the product, so only those are shown again
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS season_hidden BOOLEAN NOT NULL DEFAULT false;
+
+-- 2 = peak now, 1 = in season now, 0 = out of season ("in season now" sort)
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS season_rank SMALLINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_products_season_months ON products USING GIN (season_months);
+
+-- Keyset pagination for the in_season sort
+CREATE INDEX IF NOT EXISTS idx_products_keyset_in_season
+ON products(season_rank DESC, created_at DESC, id DESC);
+
+-- ============================================
+-- FUNCTIONS: Season rank
+-- ============================================
+
+-- Months follow the shop's calendar, not the database server's
+CREATE OR REPLACE FUNCTION current_season_month()
+RETURNS SMALLINT AS $$
+  SELECT EXTRACT(MONTH FROM NOW() AT TIME ZONE 'Europe/Rome')::SMALLINT;
+$$ LANGUAGE sql STABLE;
+
+-- Without months a product is only "in season" when flagged by hand
+CREATE OR REPLACE FUNCTION product_season_rank(
+  p_season_months SMALLINT[],
+  p_peak_months SMALLINT[],
+  p_is_seasonal BOOLEAN,
+  p_month SMALLINT
+)
+RETURNS SMALLINT AS $$
+  SELECT CASE
+    WHEN cardinality(p_season_months) = 0 THEN CASE WHEN p_is_seasonal THEN 1 ELSE 0 END
+    WHEN p_month = ANY(p_peak_months) THEN 2
+    WHEN p_month = ANY(p_season_months) THEN 1
+    ELSE 0
+  END::SMALLINT;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Admin edits take effect immediately, without waiting for the daily job
+CREATE OR REPLACE FUNCTION sync_product_season()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_month SMALLINT := current_season_month();
+BEGIN
+  IF cardinality(NEW.season_months) > 0 THEN
+    NEW.is_seasonal := v_month = ANY(NEW.season_months);
+  END IF;
+
+  NEW.season_rank := product_season_rank(
+    NEW.season_months, NEW.peak_months, COALESCE(NEW.is_seasonal, false), v_month
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_product_season ON products;
+CREATE TRIGGER trigger_sync_product_season
+  BEFORE INSERT OR UPDATE OF season_months, peak_months, is_seasonal ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_product_season();
+
+-- ============================================
+-- FUNCTION: Daily seasonal visibility
+-- Schedule once a day (apply-seasonal-visibility edge function).
+-- Products entering their season get is_seasonal = true, which also makes
+-- the in-app "Nuovo di Stagione" announcement pick them up.
+-- ============================================
+CREATE OR REPLACE FUNCTION apply_seasonal_visibility()
+RETURNS JSONB AS $$
+DECLARE
+  v_month SMALLINT := current_season_month();
+  v_updated INTEGER;
+  v_hidden INTEGER;
+  v_shown INTEGER;
+BEGIN
+  -- Rank and flag follow the calendar
+  UPDATE products
+  SET is_seasonal = v_month = ANY(season_months)
+  WHERE cardinality(season_months) > 0
+    AND is_seasonal IS DISTINCT FROM (v_month = ANY(season_months));
+
+  UPDATE products
+  SET season_rank = product_season_rank(season_months, peak_months, COALESCE(is_seasonal, false), v_month)
+  WHERE season_rank <> product_season_rank(season_months, peak_months, COALESCE(is_seasonal, false), v_month);
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  -- Season over: hide
+  UPDATE products
+  SET is_active = false, season_hidden = true
+  WHERE is_active
+    AND hide_out_of_season
+    AND cardinality(season_months) > 0
+    AND NOT (v_month = ANY(season_months));
+  GET DIAGNOSTICS v_hidden = ROW_COUNT;
+
+  -- Season back (or months removed / auto-hide turned off): show again if in stock
+  UPDATE products
+  SET is_active = COALESCE(inventory, 0) > 0, season_hidden = false
+  WHERE season_hidden
+    AND (cardinality(season_months) = 0 OR v_month = ANY(season_months) OR NOT hide_out_of_season);
+  GET DIAGNOSTICS v_shown = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'month', v_month,
+    'updated', v_updated,
+    'hidden', v_hidden,
+    'shown', v_shown
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduled edge function (service role) runs it
+REVOKE EXECUTE ON FUNCTION apply_seasonal_visibility() FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Seasonal calendar
+-- Includes products hidden for being out of season (RLS would hide them),
+-- but not the ones an admin switched off.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_seasonal_calendar()
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  slug TEXT,
+  gender TEXT,
+  images TEXT[],
+  season_months SMALLINT[],
+  peak_months SMALLINT[],
+  is_available BOOLEAN
+) AS $$
+  SELECT
+    p.id, p.name, p.slug, p.gender, p.images,
+    p.season_months, p.peak_months,
+    (p.is_active AND COALESCE(p.inventory, 0) > 0)
+  FROM products p
+  WHERE cardinality(p.season_months) > 0
+    AND (p.is_active OR p.season_hidden)
+  ORDER BY p.name;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_seasonal_calendar() TO anon, authenticated;
+
+-- Rank existing products for the current month
+UPDATE products
+SET season_rank = product_season_rank(season_months, peak_months, COALESCE(is_seasonal, false), current_season_month());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN products.season_months IS 'Months the product is available (1-12); empty = all year';
+COMMENT ON COLUMN products.peak_months IS 'Months the product is at its best, within season_months';
+COMMENT ON COLUMN products.hide_out_of_season IS 'Hide from the shop while out of season';
+COMMENT ON COLUMN products.season_hidden IS 'Hidden by apply_seasonal_visibility, shown again when the season starts';
+COMMENT ON COLUMN products.season_rank IS '2 = peak now, 1 = in season now, 0 = out of season';
+COMMENT ON FUNCTION apply_seasonal_visibility IS 'Daily job: season flags, rank and visibility for the current month';
+COMMENT ON FUNCTION get_seasonal_calendar IS 'Products with season months for the seasonal calendar page';
@@ -0,0 +1,101 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 033: Product Traceability
+-- Producer and farm on products, lot number and harvest date on each
+-- weight_inventory batch. Order lines keep a snapshot of the lot they were
+-- sold from, so a recall can find every order that received it.
+
+-- ============================================
+-- ORIGIN DETAILS ON PRODUCTS
+-- ============================================
+
+-- Region and certifications come from migration 030
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS producer TEXT;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS origin_farm TEXT;
+
+-- ============================================
+-- BATCH DETAILS ON WEIGHT INVENTORY
+-- ============================================
+
+ALTER TABLE weight_inventory
+ADD COLUMN IF NOT EXISTS lot_number TEXT;
+
+ALTER TABLE weight_inventory
+ADD COLUMN IF NOT EXISTS harvest_date DATE;
+
+-- ============================================
+-- LOT SNAPSHOT ON ORDER ITEMS
+-- ============================================
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS lot_number TEXT;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS harvest_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_lot_number
+ON order_items(lot_number)
+WHERE lot_number IS NOT NULL;
+
+-- ============================================
+-- FUNCTION: Copy the batch onto new order lines
+-- ============================================
+
+-- Runs on every insert, whichever checkout path wrote the line. Takes the
+-- batch of the ordered weight. Piece products and custom weights only get
+-- a lot when the product has a single one in stock: a guessed lot would
+-- hide the line from the wrong recall, so otherwise it stays NULL.
+CREATE OR REPLACE FUNCTION set_order_item_lot()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_batch RECORD;
+BEGIN
+  IF NEW.lot_number IS NOT NULL OR NEW.product_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT wi.lot_number, wi.harvest_date
+  INTO v_batch
+  FROM weight_inventory wi
+  WHERE wi.product_id = NEW.product_id
+    AND wi.lot_number IS NOT NULL
+    AND wi.weight_grams = NEW.weight_grams;
+
+  IF NOT FOUND AND (
+    SELECT COUNT(DISTINCT wi.lot_number)
+    FROM weight_inventory wi
+    WHERE wi.product_id = NEW.product_id AND wi.lot_number IS NOT NULL
+  ) = 1 THEN
+    SELECT wi.lot_number, MAX(wi.harvest_date) AS harvest_date
+    INTO v_batch
+    FROM weight_inventory wi
+    WHERE wi.product_id = NEW.product_id AND wi.lot_number IS NOT NULL
+    GROUP BY wi.lot_number;
+  END IF;
+
+  IF FOUND THEN
+    NEW.lot_number := v_batch.lot_number;
+    NEW.harvest_date := COALESCE(NEW.harvest_date, v_batch.harvest_date);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_order_item_lot ON order_items;
+CREATE TRIGGER set_order_item_lot
+  BEFORE INSERT ON order_items
+  FOR EACH ROW
+  EXECUTE FUNCTION set_order_item_lot();
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN products.producer IS 'Producer or cooperative the product comes from';
+COMMENT ON COLUMN products.origin_farm IS 'Farm or locality within origin_region';
+COMMENT ON COLUMN weight_inventory.lot_number IS 'Lot number of the batch currently in stock';
+COMMENT ON COLUMN weight_inventory.harvest_date IS 'Harvest or production date of the batch';
+COMMENT ON COLUMN order_items.lot_number IS 'Snapshot of the lot sold, used for recalls; NULL when it could not be told apart';
+COMMENT ON COLUMN order_items.harvest_date IS 'Snapshot of the harvest date of the lot sold';
@@ -0,0 +1,164 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 034: Food Information (EU 1169/2011)
+-- Ingredients, the 14 allergens of Annex II, nutrition per 100 g and
+-- shelf life for conserve, cheeses, cured meats and prepared dishes.
+-- Customers can hide products containing (or possibly containing) an
+-- allergen from the collection pages.
+
+-- ============================================
+-- FOOD INFORMATION ON PRODUCTS
+-- ============================================
+
+-- [{name, percent, allergen}] in descending order of weight
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS ingredients JSONB NOT NULL DEFAULT '[]';
+
+-- Annex II allergens the product contains
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
+
+-- "Può contenere tracce di"
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS may_contain TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_allergens_valid;
+ALTER TABLE products
+ADD CONSTRAINT products_allergens_valid CHECK (
+  allergens <@ ARRAY['glutine', 'crostacei', 'uova', 'pesce', 'arachidi', 'soia', 'latte',
+    'frutta_a_guscio', 'sedano', 'senape', 'sesamo', 'solfiti', 'lupini', 'molluschi']
+  AND may_contain <@ ARRAY['glutine', 'crostacei', 'uova', 'pesce', 'arachidi', 'soia', 'latte',
+    'frutta_a_guscio', 'sedano', 'senape', 'sesamo', 'solfiti', 'lupini', 'molluschi']
+);
+
+-- energy_kj, energy_kcal, fat, saturates, carbohydrate, sugars, fibre, protein, salt
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS nutrition JSONB;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS shelf_life_days INTEGER CHECK (shelf_life_days > 0);
+
+-- use_by = "Da consumarsi entro", best_before = "preferibilmente entro"
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS date_marking TEXT NOT NULL DEFAULT 'best_before'
+CHECK (date_marking IN ('use_by', 'best_before'));
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS storage_instructions TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_products_allergens ON products USING GIN (allergens);
+CREATE INDEX IF NOT EXISTS idx_products_may_contain ON products USING GIN (may_contain);
+
+-- ============================================
+-- FUNCTION: Facet counts
+-- Same as migration 030, plus exclude_allergens (a hard filter, like the
+-- price range) and how many products contain each allergen, so the
+-- "Senza ..." options can show what would remain.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_product_facets(p_filters JSONB DEFAULT '{}')
+RETURNS JSONB AS $$
+  WITH f AS (
+    SELECT
+      NULLIF(p_filters->>'gender', '') AS gender,
+      NULLIF(p_filters->>'category_id', '')::UUID AS category_id,
+      (p_filters->>'price_min')::NUMERIC AS price_min,
+      (p_filters->>'price_max')::NUMERIC AS price_max,
+      COALESCE((p_filters->>'is_promotion')::BOOLEAN, false) AS is_promotion,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'regions', '[]'))) AS regions,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'certifications', '[]'))) AS certifications,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'weights', '[]'))::INTEGER) AS weights,
+      COALESCE((p_filters->>'seasonal')::BOOLEAN, false) AS seasonal,
+      COALESCE((p_filters->>'in_stock')::BOOLEAN, false) AS in_stock,
+      ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'exclude_allergens', '[]'))) AS exclude_allergens
+  ),
+  base AS (
+    SELECT
+      p.id,
+      p.origin_region,
+      p.certifications,
+      p.allergens || p.may_contain AS allergens,
+      COALESCE(p.is_seasonal, false) AS is_seasonal,
+      (p.is_active AND COALESCE(p.inventory, 0) > 0) AS available,
+      ARRAY(
+        SELECT wi.weight_grams FROM weight_inventory wi
+        WHERE wi.product_id = p.id AND wi.quantity > 0
+      ) AS weights
+    FROM products p, f
+    WHERE (f.gender IS NULL OR p.gender = f.gender)
+      AND (f.category_id IS NULL OR p.category_id = f.category_id)
+      AND (f.price_min IS NULL OR p.price >= f.price_min)
+      AND (f.price_max IS NULL OR p.price <= f.price_max)
+      AND (NOT f.is_promotion OR p.sale_price IS NOT NULL)
+      AND NOT (p.allergens && f.exclude_allergens)
+      AND NOT (p.may_contain && f.exclude_allergens)
+  ),
+  m AS (
+    SELECT
+      b.*,
+      (cardinality(f.regions) = 0 OR b.origin_region = ANY(f.regions)) AS m_region,
+      (cardinality(f.certifications) = 0 OR b.certifications && f.certifications) AS m_cert,
+      (NOT f.seasonal OR b.is_seasonal) AS m_season,
+      (cardinality(f.weights) = 0 OR b.weights && f.weights) AS m_weight,
+      (NOT f.in_stock OR b.available) AS m_stock
+    FROM base b, f
+  )
+  SELECT jsonb_build_object(
+    'total', (
+      SELECT COUNT(*) FROM m
+      WHERE m_region AND m_cert AND m_season AND m_weight AND m_stock
+    ),
+    'regions', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', origin_region, 'count', n) ORDER BY origin_region)
+      FROM (
+        SELECT origin_region, COUNT(*) AS n FROM m
+        WHERE origin_region IS NOT NULL AND m_cert AND m_season AND m_weight AND m_stock
+        GROUP BY origin_region
+      ) r
+    ), '[]'),
+    'certifications', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', cert, 'count', n) ORDER BY cert)
+      FROM (
+        SELECT cert, COUNT(*) AS n FROM m, unnest(m.certifications) AS cert
+        WHERE m_region AND m_season AND m_weight AND m_stock
+        GROUP BY cert
+      ) c
+    ), '[]'),
+    'weights', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', weight, 'count', n) ORDER BY weight)
+      FROM (
+        SELECT weight, COUNT(*) AS n FROM m, unnest(m.weights) AS weight
+        WHERE m_region AND m_cert AND m_season AND m_stock
+        GROUP BY weight
+      ) w
+    ), '[]'),
+    'seasonal', (
+      SELECT COUNT(*) FROM m
+      WHERE is_seasonal AND m_region AND m_cert AND m_weight AND m_stock
+    ),
+    'allergens', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('value', allergen, 'count', n) ORDER BY allergen)
+      FROM (
+        SELECT allergen, COUNT(DISTINCT m.id) AS n FROM m, unnest(m.allergens) AS allergen
+        WHERE m_region AND m_cert AND m_season AND m_weight AND m_stock
+        GROUP BY allergen
+      ) a
+    ), '[]'),
+    'in_stock', (
+      SELECT COUNT(*) FROM m
+      WHERE available AND m_region AND m_cert AND m_season AND m_weight
+    )
+  )
+$$ LANGUAGE sql STABLE
+SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_product_facets(JSONB) TO anon, authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN products.ingredients IS 'Ingredients in descending order: [{name, percent, allergen}]';
+COMMENT ON COLUMN products.allergens IS 'EU 1169/2011 Annex II allergens contained';
+COMMENT ON COLUMN products.may_contain IS 'Allergens that may be present as traces';
+COMMENT ON COLUMN products.nutrition IS 'Nutrition declaration per 100 g';
+COMMENT ON COLUMN products.shelf_life_days IS 'Shelf life from packaging, in days';
+COMMENT ON COLUMN products.date_marking IS 'use_by or best_before';
+COMMENT ON COLUMN products.storage_instructions IS 'Storage and after-opening instructions';
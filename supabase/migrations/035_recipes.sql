@@ -0,0 +1,95 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 035: Recipes
+-- Admin-authored recipes with steps and photos. Ingredient lines can point
+-- to a product and the weight variant to buy, so a recipe page can add all
+-- of them to the cart and product pages can list the recipes using them.
+
+-- ============================================
+-- RECIPES TABLE
+-- steps: [{ "text": "...", "image": "https://..." }] in order
+-- ============================================
+CREATE TABLE IF NOT EXISTS recipes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  summary TEXT,
+  images TEXT[] NOT NULL DEFAULT '{}',
+  servings INTEGER CHECK (servings IS NULL OR servings > 0),
+  prep_minutes INTEGER CHECK (prep_minutes IS NULL OR prep_minutes >= 0),
+  cook_minutes INTEGER CHECK (cook_minutes IS NULL OR cook_minutes >= 0),
+  difficulty TEXT NOT NULL DEFAULT 'facile',
+  steps JSONB NOT NULL DEFAULT '[]',
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE recipes DROP CONSTRAINT IF EXISTS recipes_difficulty_valid;
+ALTER TABLE recipes ADD CONSTRAINT recipes_difficulty_valid
+  CHECK (difficulty IN ('facile', 'media', 'difficile'));
+
+CREATE INDEX IF NOT EXISTS idx_recipes_published ON recipes(is_published, created_at DESC);
+
+CREATE TRIGGER update_recipes_updated_at
+  BEFORE UPDATE ON recipes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- RECIPE INGREDIENTS
+-- Lines without a product ("Sale q.b.") are shown but not added to the cart.
+-- weight_grams picks the weight_inventory variant; NULL for piece products.
+-- ============================================
+CREATE TABLE IF NOT EXISTS recipe_ingredients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  recipe_id UUID NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  name TEXT NOT NULL,
+  amount TEXT,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  weight_grams INTEGER CHECK (weight_grams IS NULL OR weight_grams > 0),
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  is_optional BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_recipe ON recipe_ingredients(recipe_id, position);
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_product ON recipe_ingredients(product_id)
+  WHERE product_id IS NOT NULL;
+
+-- ============================================
+-- RLS POLICIES
+-- Everyone reads published recipes; admins write
+-- ============================================
+ALTER TABLE recipes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recipe_ingredients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view published recipes"
+  ON recipes FOR SELECT
+  USING (is_published = true);
+
+CREATE POLICY "Admins can manage recipes"
+  ON recipes FOR ALL
+  USING (is_admin());
+
+CREATE POLICY "Anyone can view ingredients of published recipes"
+  ON recipe_ingredients FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM recipes r
+    WHERE r.id = recipe_ingredients.recipe_id AND r.is_published = true
+  ));
+
+CREATE POLICY "Admins can manage recipe ingredients"
+  ON recipe_ingredients FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE recipes IS 'Recipes shown on recipe.html, linked to products through recipe_ingredients';
+COMMENT ON COLUMN recipes.steps IS 'Ordered steps: [{text, image}]';
+COMMENT ON COLUMN recipes.difficulty IS 'facile, media, difficile';
+COMMENT ON TABLE recipe_ingredients IS 'Ingredient lines of a recipe, optionally mapped to the product to buy';
+COMMENT ON COLUMN recipe_ingredients.amount IS 'Amount as written in the recipe, e.g. "400 g" or "q.b."';
+COMMENT ON COLUMN recipe_ingredients.weight_grams IS 'weight_inventory variant added to the cart; NULL for piece products';
+COMMENT ON COLUMN recipe_ingredients.quantity IS 'Packs or pieces added to the cart';
@@ -0,0 +1,191 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 036: Product Affinities
+-- "Frequently bought together": co-purchase scores computed nightly from
+-- order_items, admin pins and suppressions per product, and one RPC that
+-- ranks pinned, co-purchased and (for new products) same-category items.
+
+-- ============================================
+-- PRODUCT AFFINITIES TABLE
+-- score = share of the product's orders that also contained the related
+-- product (confidence); rebuilt by refresh_product_affinities
+-- ============================================
+CREATE TABLE IF NOT EXISTS product_affinities (
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  related_product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  co_orders INTEGER NOT NULL,
+  score NUMERIC(6,4) NOT NULL,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (product_id, related_product_id),
+  CHECK (product_id <> related_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_affinities_score ON product_affinities(product_id, score DESC);
+
+-- ============================================
+-- PRODUCT PAIRINGS TABLE
+-- Admin overrides: 'pin' always shows the pairing (by position),
+-- 'suppress' never shows it, whatever the scores say
+-- ============================================
+CREATE TABLE IF NOT EXISTS product_pairings (
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  related_product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (product_id, related_product_id),
+  CHECK (product_id <> related_product_id)
+);
+
+ALTER TABLE product_pairings DROP CONSTRAINT IF EXISTS product_pairings_action_valid;
+ALTER TABLE product_pairings ADD CONSTRAINT product_pairings_action_valid
+  CHECK (action IN ('pin', 'suppress'));
+
+-- ============================================
+-- RLS POLICIES
+-- Scores and overrides are read through get_frequently_bought_together
+-- ============================================
+ALTER TABLE product_affinities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_pairings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view product affinities"
+  ON product_affinities FOR SELECT
+  USING (is_admin());
+
+CREATE POLICY "Admins can manage product pairings"
+  ON product_pairings FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- FUNCTION: Refresh affinities
+-- Orders of the last p_days (cancelled excluded). A pairing needs at least
+-- p_min_orders orders in common; each product keeps its p_top best.
+-- ============================================
+CREATE OR REPLACE FUNCTION refresh_product_affinities(
+  p_days INTEGER DEFAULT 365,
+  p_min_orders INTEGER DEFAULT 2,
+  p_top INTEGER DEFAULT 20
+) RETURNS JSONB AS $$
+DECLARE
+  v_pairs INTEGER;
+BEGIN
+  DELETE FROM product_affinities;
+
+  WITH lines AS (
+    SELECT DISTINCT oi.order_id, oi.product_id
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.product_id IS NOT NULL
+      AND o.status <> 'cancelled'
+      AND o.created_at >= NOW() - make_interval(days => p_days)
+  ),
+  product_orders AS (
+    SELECT product_id, COUNT(*) AS orders
+    FROM lines
+    GROUP BY product_id
+  ),
+  pairs AS (
+    SELECT a.product_id, b.product_id AS related_product_id, COUNT(*) AS co_orders
+    FROM lines a
+    JOIN lines b ON b.order_id = a.order_id AND b.product_id <> a.product_id
+    GROUP BY a.product_id, b.product_id
+    HAVING COUNT(*) >= p_min_orders
+  ),
+  ranked AS (
+    SELECT
+      pr.product_id,
+      pr.related_product_id,
+      pr.co_orders,
+      ROUND(pr.co_orders::numeric / po.orders, 4) AS score,
+      ROW_NUMBER() OVER (
+        PARTITION BY pr.product_id
+        ORDER BY pr.co_orders::numeric / po.orders DESC, pr.co_orders DESC
+      ) AS rank
+    FROM pairs pr
+    JOIN product_orders po ON po.product_id = pr.product_id
+  )
+  INSERT INTO product_affinities (product_id, related_product_id, co_orders, score)
+  SELECT product_id, related_product_id, co_orders, score
+  FROM ranked
+  WHERE rank <= p_top;
+
+  GET DIAGNOSTICS v_pairs = ROW_COUNT;
+
+  RETURN jsonb_build_object('success', true, 'pairs', v_pairs);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduled edge function (service role) runs it
+REVOKE EXECUTE ON FUNCTION refresh_product_affinities(INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Frequently bought together
+-- For one product (product page) or several (cart). Pinned first, then
+-- co-purchase score, then newest products of the same category so new
+-- products still get suggestions. Suppressed pairings, the given products,
+-- inactive and sold-out products are left out. default_weight_grams is
+-- the smallest weight variant in stock (NULL without weight inventory).
+-- ============================================
+CREATE OR REPLACE FUNCTION get_frequently_bought_together(
+  p_product_ids UUID[],
+  p_limit INTEGER DEFAULT 4
+) RETURNS TABLE (id UUID, source TEXT, default_weight_grams INTEGER) AS $$
+  WITH candidates AS (
+    SELECT pp.related_product_id AS product_id, 'pinned' AS source, 0 AS source_rank, MIN(pp.position)::numeric AS sort_key
+    FROM product_pairings pp
+    WHERE pp.product_id = ANY(p_product_ids) AND pp.action = 'pin'
+    GROUP BY pp.related_product_id
+
+    UNION ALL
+
+    SELECT a.related_product_id, 'affinity', 1, -SUM(a.score)
+    FROM product_affinities a
+    WHERE a.product_id = ANY(p_product_ids)
+    GROUP BY a.related_product_id
+
+    UNION ALL
+
+    SELECT p.id, 'category', 2, -EXTRACT(EPOCH FROM p.created_at)::numeric
+    FROM products p
+    WHERE p.category_id IN (SELECT category_id FROM products WHERE id = ANY(p_product_ids))
+  ),
+  best AS (
+    SELECT DISTINCT ON (c.product_id) c.product_id, c.source, c.source_rank, c.sort_key
+    FROM candidates c
+    ORDER BY c.product_id, c.source_rank, c.sort_key
+  )
+  SELECT b.product_id, b.source, stock.default_weight_grams
+  FROM best b
+  JOIN products p ON p.id = b.product_id
+  CROSS JOIN LATERAL (
+    SELECT
+      MIN(w.weight_grams) FILTER (WHERE w.quantity > 0) AS default_weight_grams,
+      COUNT(*) AS variants,
+      COALESCE(SUM(w.quantity), 0) AS in_stock
+    FROM weight_inventory w
+    WHERE w.product_id = p.id
+  ) stock
+  WHERE NOT (p.id = ANY(p_product_ids))
+    AND p.is_active
+    AND (stock.variants = 0 OR stock.in_stock > 0)
+    AND NOT EXISTS (
+      SELECT 1 FROM product_pairings s
+      WHERE s.product_id = ANY(p_product_ids)
+        AND s.related_product_id = p.id
+        AND s.action = 'suppress'
+    )
+  ORDER BY b.source_rank, b.sort_key
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_frequently_bought_together(UUID[], INTEGER) TO anon, authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE product_affinities IS 'Co-purchase scores, rebuilt nightly by refresh-product-affinities';
+COMMENT ON COLUMN product_affinities.score IS 'Share of orders with product_id that also contained related_product_id';
+COMMENT ON TABLE product_pairings IS 'Admin pins and suppressions of frequently-bought-together pairings';
+COMMENT ON COLUMN product_pairings.action IS 'pin (always shown, by position) or suppress (never shown)';
+COMMENT ON FUNCTION refresh_product_affinities IS 'Nightly job: co-purchase scores from recent order_items';
+COMMENT ON FUNCTION get_frequently_bought_together IS 'Ranked suggestions: pinned, co-purchased, then same category';
@@ -0,0 +1,63 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 037: Promotion Rules
+-- Columns for the shared promotion rules engine (_shared/promotions.js):
+-- stacking and automatic promotions. Also fixes the usage counter, which
+-- updated a column that does not exist and was called with a parameter
+-- name neither overload accepted, so usage_limit was never enforced.
+
+-- ============================================
+-- EXTEND PROMOTIONS TABLE
+-- stackable: adds up with other stackable promotions; otherwise it is
+-- used alone when it gives the biggest discount
+-- auto_apply: applied to every eligible cart without a code
+-- ============================================
+ALTER TABLE promotions
+  ADD COLUMN IF NOT EXISTS stackable BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS auto_apply BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_promotions_auto_apply ON promotions(auto_apply) WHERE auto_apply = TRUE;
+
+-- ============================================
+-- FUNCTION: Increment promotion usage
+-- Called once per paid order for each applied promotion. The limit is
+-- checked again here so two orders racing for the last use cannot both
+-- count; returns false when the promotion was already exhausted.
+-- ============================================
+DROP FUNCTION IF EXISTS increment_promotion_usage(UUID);
+DROP FUNCTION IF EXISTS increment_promotion_usage(TEXT);
+
+CREATE OR REPLACE FUNCTION increment_promotion_usage(p_promotion_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE promotions
+  SET usage_count = COALESCE(usage_count, 0) + 1
+  WHERE id = p_promotion_id
+    AND (usage_limit IS NULL OR COALESCE(usage_count, 0) < usage_limit);
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Orders paid before promotion ids were stored in the session metadata
+CREATE OR REPLACE FUNCTION increment_promotion_usage(p_code TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE promotions
+  SET usage_count = COALESCE(usage_count, 0) + 1
+  WHERE code = UPPER(TRIM(p_code))
+    AND (usage_limit IS NULL OR COALESCE(usage_count, 0) < usage_limit);
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the order webhooks (service role) count usages
+REVOKE EXECUTE ON FUNCTION increment_promotion_usage(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION increment_promotion_usage(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN promotions.stackable IS 'Adds up with other stackable promotions; otherwise used alone';
+COMMENT ON COLUMN promotions.auto_apply IS 'Applied to eligible carts without entering a code';
+COMMENT ON FUNCTION increment_promotion_usage(UUID) IS 'Count one usage of a promotion, false if already exhausted';
@@ -0,0 +1,53 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 038: Promotion Types
+-- Grocery deals beyond percentage and fixed amounts: "3x2", spend
+-- thresholds, fixed-price bundles, free weight and free shipping. Their
+-- parameters live in promotions.rules and are evaluated by the shared
+-- rules engine (_shared/promotions.js).
+
+-- ============================================
+-- EXTEND PROMOTIONS TABLE
+-- rules by discount_type:
+--   buy_x_get_y   { "buy_quantity": 2, "free_quantity": 1 }
+--   tiered        { "tiers": [{ "min_amount": 40, "percent": 10 }, ...] }
+--   bundle        { "price": 9.90 }  (products in applies_to_ids)
+--   weight_bonus  { "buy_grams": 2000, "free_grams": 500 }
+-- discount_value is only used by percentage and fixed
+-- ============================================
+ALTER TABLE promotions
+  ADD COLUMN IF NOT EXISTS rules JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE promotions DROP CONSTRAINT IF EXISTS promotions_discount_type_check;
+ALTER TABLE promotions ADD CONSTRAINT promotions_discount_type_check
+  CHECK (discount_type IN (
+    'percentage', 'fixed', 'buy_x_get_y', 'tiered', 'bundle', 'weight_bonus', 'free_shipping'
+  ));
+
+ALTER TABLE promotions DROP CONSTRAINT IF EXISTS promotions_discount_value_check;
+ALTER TABLE promotions ADD CONSTRAINT promotions_discount_value_check
+  CHECK (
+    discount_value >= 0
+    AND (discount_type NOT IN ('percentage', 'fixed') OR discount_value > 0)
+  );
+
+ALTER TABLE promotions DROP CONSTRAINT IF EXISTS promotions_rules_valid;
+ALTER TABLE promotions ADD CONSTRAINT promotions_rules_valid
+  CHECK (
+    CASE discount_type
+      WHEN 'buy_x_get_y' THEN
+        (rules->>'buy_quantity')::int > 0 AND (rules->>'free_quantity')::int > 0
+      WHEN 'tiered' THEN
+        jsonb_typeof(rules->'tiers') = 'array' AND jsonb_array_length(rules->'tiers') > 0
+      WHEN 'bundle' THEN
+        (rules->>'price')::numeric > 0 AND applies_to = 'product' AND cardinality(applies_to_ids) > 1
+      WHEN 'weight_bonus' THEN
+        (rules->>'buy_grams')::int > 0 AND (rules->>'free_grams')::int > 0
+      ELSE TRUE
+    END
+  );
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN promotions.rules IS 'Parameters of buy_x_get_y, tiered, bundle and weight_bonus promotions';
+COMMENT ON COLUMN promotions.discount_type IS 'percentage, fixed, buy_x_get_y, tiered, bundle, weight_bonus or free_shipping';
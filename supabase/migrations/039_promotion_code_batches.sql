@@ -0,0 +1,332 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 039: Promotion Code Batches
+-- Batches of unique codes for a promotion (flyers, influencers, apology
+-- vouchers), each usable a limited number of times, plus a per-customer
+-- limit enforced when the order is paid. Every counted usage is stored in
+-- promotion_redemptions, which also feeds the batch redemption report.
+
+-- ============================================
+-- PER-CUSTOMER LIMIT
+-- Checked against promotion_redemptions for the shared code, the batch
+-- codes and automatic promotions alike
+-- ============================================
+ALTER TABLE promotions
+  ADD COLUMN IF NOT EXISTS per_customer_limit INTEGER
+    CHECK (per_customer_limit IS NULL OR per_customer_limit > 0);
+
+-- ============================================
+-- CODE BATCHES
+-- ============================================
+CREATE TABLE IF NOT EXISTS promotion_code_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT,
+  uses_per_code INTEGER NOT NULL DEFAULT 1 CHECK (uses_per_code > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_code_batches_promotion ON promotion_code_batches(promotion_id);
+
+-- ============================================
+-- CODES
+-- Codes are generated in the admin (js/utils/promo-codes.js) and stored
+-- normalised (upper case, no spaces)
+-- ============================================
+CREATE TABLE IF NOT EXISTS promotion_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  batch_id UUID NOT NULL REFERENCES promotion_code_batches(id) ON DELETE CASCADE,
+  promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  max_uses INTEGER NOT NULL DEFAULT 1 CHECK (max_uses > 0),
+  usage_count INTEGER NOT NULL DEFAULT 0 CHECK (usage_count >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_codes_batch ON promotion_codes(batch_id);
+
+-- ============================================
+-- CODE HOLDS
+-- One use held per open checkout, under the reservation_id and TTL of its
+-- inventory reservation (like delivery_slot_holds), so a single-use code
+-- cannot be paid twice by two checkouts opened together. Counted against
+-- max_uses and the per-customer limit until redeemed, released or expired.
+-- ============================================
+CREATE TABLE IF NOT EXISTS promotion_code_holds (
+  reservation_id UUID PRIMARY KEY,
+  code_id UUID NOT NULL REFERENCES promotion_codes(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  checkout_session_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_code_holds_code ON promotion_code_holds(code_id, expires_at);
+
+-- ============================================
+-- REDEMPTIONS
+-- One row per promotion per paid order
+-- ============================================
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  code_id UUID REFERENCES promotion_codes(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (promotion_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_user ON promotion_redemptions(promotion_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_code ON promotion_redemptions(code_id) WHERE code_id IS NOT NULL;
+
+-- ============================================
+-- RLS POLICIES
+-- Codes are never listed to customers: they are looked up one at a time
+-- through lookup_promotion_code
+-- ============================================
+ALTER TABLE promotion_code_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_code_holds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage promotion code batches"
+  ON promotion_code_batches FOR ALL
+  USING (is_admin());
+
+CREATE POLICY "Admins can manage promotion codes"
+  ON promotion_codes FOR ALL
+  USING (is_admin());
+
+CREATE POLICY "Users can view own promotion redemptions"
+  ON promotion_redemptions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view promotion redemptions"
+  ON promotion_redemptions FOR SELECT
+  USING (is_admin());
+
+CREATE POLICY "Admins can view promotion code holds"
+  ON promotion_code_holds FOR SELECT
+  USING (is_admin());
+
+-- ============================================
+-- FUNCTION: Uses held by open checkouts
+-- Holds of p_except_user_id are left out: the code lookup shows a code
+-- as still usable to a customer whose own open checkout holds it, since
+-- hold_promotion_code lets them close that checkout for the new one
+-- ============================================
+CREATE OR REPLACE FUNCTION promotion_code_held_count(p_code_id UUID, p_except_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM promotion_code_holds
+  WHERE code_id = p_code_id
+    AND expires_at > NOW()
+    AND user_id IS DISTINCT FROM p_except_user_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION promotion_code_held_count(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Look up a batch code
+-- Returns the promotion row with the code and its usage, or NULL. Uses
+-- held by other customers' open checkouts count as used.
+-- ============================================
+CREATE OR REPLACE FUNCTION lookup_promotion_code(p_code TEXT)
+RETURNS JSONB AS $$
+  SELECT to_jsonb(p) || jsonb_build_object(
+    'code', c.code,
+    'promotion_code_id', c.id,
+    'code_max_uses', c.max_uses,
+    'code_usage_count', c.usage_count + promotion_code_held_count(c.id, auth.uid())
+  )
+  FROM promotion_codes c
+  JOIN promotion_code_batches b ON b.id = c.batch_id
+  JOIN promotions p ON p.id = c.promotion_id
+  WHERE c.code = UPPER(TRIM(p_code))
+    AND b.is_active = true
+    AND p.is_active = true;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION lookup_promotion_code(TEXT) TO anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Hold a code use for a checkout
+-- Called by create-checkout-session after reserve_checkout_inventory, with
+-- the same reservation_id and TTL. The promotion and code row locks
+-- serialise concurrent holds and redemptions (redeem_promotion takes them
+-- in the same order). The customer's own open checkouts count too: when
+-- they block the hold, own_holds lists them so the caller can expire those
+-- Stripe sessions, release them and try again.
+-- Returns { held, reason: code_used | customer_limit | code_not_found, own_holds }
+-- ============================================
+CREATE OR REPLACE FUNCTION hold_promotion_code(
+  p_reservation_id UUID,
+  p_code_id UUID,
+  p_user_id UUID,
+  p_ttl_minutes INTEGER DEFAULT 35
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_code promotion_codes%ROWTYPE;
+  v_promotion promotions%ROWTYPE;
+  v_own_holds JSONB;
+  v_reason TEXT;
+BEGIN
+  SELECT * INTO v_promotion
+  FROM promotions
+  WHERE id = (SELECT promotion_id FROM promotion_codes WHERE id = p_code_id)
+  FOR UPDATE;
+
+  SELECT * INTO v_code FROM promotion_codes WHERE id = p_code_id FOR UPDATE;
+  IF NOT FOUND OR v_promotion.id IS NULL THEN
+    RETURN jsonb_build_object('held', false, 'reason', 'code_not_found', 'own_holds', '[]'::JSONB);
+  END IF;
+
+  -- Expired holds no longer count: drop them while the code is locked
+  DELETE FROM promotion_code_holds WHERE code_id = p_code_id AND expires_at <= NOW();
+
+  IF v_code.usage_count + promotion_code_held_count(p_code_id) >= v_code.max_uses THEN
+    v_reason := 'code_used';
+  ELSIF v_promotion.per_customer_limit IS NOT NULL AND p_user_id IS NOT NULL AND (
+    SELECT COUNT(*) FROM promotion_redemptions
+    WHERE promotion_id = v_promotion.id AND user_id = p_user_id
+  ) + (
+    SELECT COUNT(*) FROM promotion_code_holds h
+    JOIN promotion_codes c ON c.id = h.code_id
+    WHERE c.promotion_id = v_promotion.id AND h.user_id = p_user_id AND h.expires_at > NOW()
+  ) >= v_promotion.per_customer_limit THEN
+    v_reason := 'customer_limit';
+  END IF;
+
+  IF v_reason IS NOT NULL THEN
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+      'reservation_id', h.reservation_id,
+      'checkout_session_id', h.checkout_session_id
+    )), '[]'::JSONB) INTO v_own_holds
+    FROM promotion_code_holds h
+    JOIN promotion_codes c ON c.id = h.code_id
+    WHERE c.promotion_id = v_promotion.id AND h.user_id = p_user_id AND h.expires_at > NOW();
+
+    RETURN jsonb_build_object('held', false, 'reason', v_reason, 'own_holds', v_own_holds);
+  END IF;
+
+  INSERT INTO promotion_code_holds (reservation_id, code_id, user_id, expires_at)
+  VALUES (p_reservation_id, p_code_id, p_user_id, NOW() + (p_ttl_minutes || ' minutes')::INTERVAL);
+
+  RETURN jsonb_build_object('held', true, 'own_holds', '[]'::JSONB);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Release the code use held by a checkout
+-- On expiry or failure; a paid order releases it in redeem_promotion
+-- ============================================
+CREATE OR REPLACE FUNCTION release_promotion_code_hold(p_reservation_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM promotion_code_holds WHERE reservation_id = p_reservation_id;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Holds are only managed by edge functions (service role)
+REVOKE EXECUTE ON FUNCTION hold_promotion_code(UUID, UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_promotion_code_hold(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Redeem a promotion for a paid order
+-- Replaces increment_promotion_usage(UUID) in the order webhooks. Limits
+-- are checked again under a row lock so concurrent orders cannot exceed
+-- them; p_code_id is only counted for the promotion it belongs to, and
+-- the use the customer held at checkout becomes the counted one.
+-- Idempotent per order: the webhook and the success page both report it.
+-- Returns false when a limit was already reached.
+-- ============================================
+CREATE OR REPLACE FUNCTION redeem_promotion(
+  p_promotion_id UUID,
+  p_user_id UUID,
+  p_order_id UUID,
+  p_code_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_promotion promotions%ROWTYPE;
+  v_code_id UUID;
+BEGIN
+  SELECT * INTO v_promotion FROM promotions WHERE id = p_promotion_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM promotion_redemptions
+    WHERE promotion_id = p_promotion_id AND order_id = p_order_id
+  ) THEN
+    RETURN TRUE;
+  END IF;
+
+  IF v_promotion.usage_limit IS NOT NULL AND COALESCE(v_promotion.usage_count, 0) >= v_promotion.usage_limit THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_promotion.per_customer_limit IS NOT NULL AND p_user_id IS NOT NULL AND (
+    SELECT COUNT(*) FROM promotion_redemptions
+    WHERE promotion_id = p_promotion_id AND user_id = p_user_id
+  ) >= v_promotion.per_customer_limit THEN
+    RETURN FALSE;
+  END IF;
+
+  IF p_code_id IS NOT NULL THEN
+    UPDATE promotion_codes
+    SET usage_count = usage_count + 1
+    WHERE id = p_code_id
+      AND promotion_id = p_promotion_id
+      AND usage_count < max_uses
+    RETURNING id INTO v_code_id;
+
+    -- The use held at checkout is now counted in usage_count
+    DELETE FROM promotion_code_holds
+    WHERE reservation_id = (
+      SELECT reservation_id FROM promotion_code_holds
+      WHERE code_id = v_code_id AND user_id = p_user_id
+      ORDER BY created_at
+      LIMIT 1
+    );
+
+    IF v_code_id IS NULL AND EXISTS (
+      SELECT 1 FROM promotion_codes WHERE id = p_code_id AND promotion_id = p_promotion_id
+    ) THEN
+      RETURN FALSE;
+    END IF;
+  END IF;
+
+  UPDATE promotions
+  SET usage_count = COALESCE(usage_count, 0) + 1
+  WHERE id = p_promotion_id;
+
+  INSERT INTO promotion_redemptions (promotion_id, code_id, user_id, order_id)
+  VALUES (p_promotion_id, v_code_id, p_user_id, p_order_id);
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the order webhooks (service role) redeem promotions
+REVOKE EXECUTE ON FUNCTION redeem_promotion(UUID, UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON COLUMN promotions.per_customer_limit IS 'Maximum paid orders per customer using this promotion';
+COMMENT ON TABLE promotion_code_batches IS 'Batches of unique codes generated for a promotion';
+COMMENT ON COLUMN promotion_code_batches.uses_per_code IS 'max_uses given to each code of the batch';
+COMMENT ON TABLE promotion_codes IS 'Unique codes of a batch, each redeemable max_uses times';
+COMMENT ON TABLE promotion_code_holds IS 'Code uses held by open Stripe checkouts, released on expiry or payment';
+COMMENT ON COLUMN promotion_code_holds.checkout_session_id IS 'Stripe session of the hold, expired when the customer starts a new checkout with the code';
+COMMENT ON TABLE promotion_redemptions IS 'One row per promotion per paid order, for limits and reports';
+COMMENT ON FUNCTION lookup_promotion_code(TEXT) IS 'Promotion of an active batch code, with the code usage';
+COMMENT ON FUNCTION hold_promotion_code(UUID, UUID, UUID, INTEGER) IS 'Hold a use of a batch code for a checkout reservation within the code and per-customer limits';
+COMMENT ON FUNCTION release_promotion_code_hold(UUID) IS 'Free the code use held by a checkout reservation';
+COMMENT ON FUNCTION redeem_promotion(UUID, UUID, UUID, UUID) IS 'Count one usage of a promotion (and batch code) for a paid order, false if a limit was reached';
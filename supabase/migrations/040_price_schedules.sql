@@ -0,0 +1,252 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 040: Price Schedules
+-- Scheduled sale prices and recurring flash sales ("Friday 18:00-20:00
+-- -20% on verdura"). products.sale_price stays the price every page reads:
+-- apply_price_schedules() (apply-price-schedules edge function, every
+-- minute) switches it in a single statement, and checkout reads
+-- effective_sale_price so it never depends on the job having run.
+-- The sale price typed by the admin is kept in manual_sale_price.
+
+-- ============================================
+-- PRICE SCHEDULES TABLE
+-- applies_to / target_ids: product ids, category ids or genders
+-- ('frutta', 'verdura', ...); 'all' needs no ids.
+-- Either discount_percent (off the list price) or a fixed sale_price
+-- (single products only).
+-- recurrence_days (ISO: 1 = Monday ... 7 = Sunday) with daily_start and
+-- daily_end make it a flash sale repeated between starts_at and ends_at.
+-- Times are shop time (Europe/Rome).
+-- ============================================
+CREATE TABLE IF NOT EXISTS price_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  applies_to TEXT NOT NULL DEFAULT 'product',
+  target_ids TEXT[] NOT NULL DEFAULT '{}',
+  discount_percent NUMERIC(5,2) CHECK (discount_percent IS NULL OR (discount_percent > 0 AND discount_percent < 100)),
+  sale_price NUMERIC(10,2) CHECK (sale_price IS NULL OR sale_price > 0),
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ,
+  recurrence_days SMALLINT[] NOT NULL DEFAULT '{}',
+  daily_start TIME,
+  daily_end TIME,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT price_schedules_applies_to_valid
+    CHECK (applies_to IN ('all', 'product', 'category', 'gender')),
+  CONSTRAINT price_schedules_targets_valid
+    CHECK (applies_to = 'all' OR cardinality(target_ids) > 0),
+  CONSTRAINT price_schedules_price_valid
+    CHECK ((discount_percent IS NULL) <> (sale_price IS NULL)
+      AND (sale_price IS NULL OR applies_to = 'product')),
+  CONSTRAINT price_schedules_dates_valid
+    CHECK (ends_at IS NULL OR ends_at > starts_at),
+  CONSTRAINT price_schedules_recurrence_valid
+    CHECK (
+      (cardinality(recurrence_days) = 0 AND daily_start IS NULL AND daily_end IS NULL)
+      OR (recurrence_days <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[]
+        AND daily_start IS NOT NULL AND daily_end > daily_start)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_schedules_active ON price_schedules(starts_at, ends_at) WHERE is_active;
+
+CREATE TRIGGER update_price_schedules_updated_at
+  BEFORE UPDATE ON price_schedules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- PRODUCTS: MANUAL AND SCHEDULED SALE PRICE
+-- ============================================
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS manual_sale_price NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS sale_schedule_id UUID REFERENCES price_schedules(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sale_ends_at TIMESTAMPTZ;
+
+UPDATE products SET manual_sale_price = sale_price WHERE manual_sale_price IS NULL;
+
+-- ============================================
+-- FUNCTION: Best live schedule for a product
+-- Lowest scheduled price at p_at, with the end of the current window
+-- (for the countdown). No row when nothing is live.
+-- ============================================
+CREATE OR REPLACE FUNCTION best_price_schedule(p products, p_at TIMESTAMPTZ)
+RETURNS TABLE (schedule_id UUID, sale_price NUMERIC, ends_at TIMESTAMPTZ) AS $$
+  SELECT
+    s.id,
+    COALESCE(s.sale_price, ROUND(p.price * (100 - s.discount_percent) / 100, 2)),
+    CASE
+      WHEN cardinality(s.recurrence_days) > 0 THEN
+        LEAST(s.ends_at, ((p_at AT TIME ZONE 'Europe/Rome')::date + s.daily_end) AT TIME ZONE 'Europe/Rome')
+      ELSE s.ends_at
+    END
+  FROM price_schedules s
+  WHERE s.is_active
+    AND p_at >= s.starts_at
+    AND (s.ends_at IS NULL OR p_at < s.ends_at)
+    AND CASE s.applies_to
+      WHEN 'all' THEN TRUE
+      WHEN 'product' THEN p.id::text = ANY(s.target_ids)
+      WHEN 'category' THEN p.category_id::text = ANY(s.target_ids)
+      WHEN 'gender' THEN p.gender = ANY(s.target_ids)
+      ELSE FALSE
+    END
+    AND (
+      cardinality(s.recurrence_days) = 0
+      OR (
+        EXTRACT(ISODOW FROM p_at AT TIME ZONE 'Europe/Rome')::SMALLINT = ANY(s.recurrence_days)
+        AND (p_at AT TIME ZONE 'Europe/Rome')::time >= s.daily_start
+        AND (p_at AT TIME ZONE 'Europe/Rome')::time < s.daily_end
+      )
+    )
+  ORDER BY 2, 3 NULLS LAST
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Effective sale price (computed column)
+-- select=...,effective_sale_price in PostgREST. The manual sale price
+-- wins when it is lower than the scheduled one.
+-- ============================================
+CREATE OR REPLACE FUNCTION effective_sale_price(p products)
+RETURNS NUMERIC AS $$
+  SELECT CASE
+    WHEN b.sale_price IS NOT NULL AND (p.manual_sale_price IS NULL OR b.sale_price < p.manual_sale_price)
+      THEN b.sale_price
+    ELSE p.manual_sale_price
+  END
+  FROM (SELECT NULL) AS one
+  LEFT JOIN LATERAL best_price_schedule(p, NOW()) b ON TRUE;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ============================================
+-- TRIGGER: Keep the manual sale price
+-- The product modal and the discounts section keep writing sale_price:
+-- that becomes the manual price, and the scheduled one is reapplied on
+-- top. Also reprices when the list price, category or gender changes.
+-- ============================================
+CREATE OR REPLACE FUNCTION products_apply_price_schedule()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_best RECORD;
+BEGIN
+  IF current_setting('app.applying_price_schedules', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' OR NEW.sale_price IS DISTINCT FROM OLD.sale_price THEN
+    NEW.manual_sale_price := NEW.sale_price;
+  ELSIF NEW.price IS NOT DISTINCT FROM OLD.price
+    AND NEW.category_id IS NOT DISTINCT FROM OLD.category_id
+    AND NEW.gender IS NOT DISTINCT FROM OLD.gender THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_best FROM best_price_schedule(NEW, NOW());
+  IF v_best.sale_price IS NOT NULL
+    AND (NEW.manual_sale_price IS NULL OR v_best.sale_price < NEW.manual_sale_price) THEN
+    NEW.sale_price := v_best.sale_price;
+    NEW.sale_schedule_id := v_best.schedule_id;
+    NEW.sale_ends_at := v_best.ends_at;
+  ELSE
+    NEW.sale_price := NEW.manual_sale_price;
+    NEW.sale_schedule_id := NULL;
+    NEW.sale_ends_at := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS products_apply_price_schedule ON products;
+CREATE TRIGGER products_apply_price_schedule
+  BEFORE INSERT OR UPDATE OF sale_price, price, category_id, gender ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION products_apply_price_schedule();
+
+-- ============================================
+-- FUNCTION: Apply price schedules
+-- One UPDATE, so a flash sale starts (or ends) on every product at once.
+-- ============================================
+CREATE OR REPLACE FUNCTION apply_price_schedules()
+RETURNS JSONB AS $$
+DECLARE
+  v_now TIMESTAMPTZ := NOW();
+  v_started INTEGER;
+  v_ended INTEGER;
+BEGIN
+  -- The manual price is not touched by this update
+  PERFORM set_config('app.applying_price_schedules', 'on', true);
+
+  WITH target AS (
+    SELECT
+      p.id,
+      p.sale_schedule_id AS old_schedule_id,
+      CASE WHEN use_schedule THEN b.sale_price ELSE p.manual_sale_price END AS sale_price,
+      CASE WHEN use_schedule THEN b.schedule_id END AS schedule_id,
+      CASE WHEN use_schedule THEN b.ends_at END AS ends_at
+    FROM products p
+    LEFT JOIN LATERAL best_price_schedule(p, v_now) b ON TRUE
+    CROSS JOIN LATERAL (
+      SELECT b.sale_price IS NOT NULL
+        AND (p.manual_sale_price IS NULL OR b.sale_price < p.manual_sale_price) AS use_schedule
+    ) choice
+  ),
+  changed AS (
+    UPDATE products p
+    SET sale_price = t.sale_price,
+        sale_schedule_id = t.schedule_id,
+        sale_ends_at = t.ends_at
+    FROM target t
+    WHERE p.id = t.id
+      AND (p.sale_price IS DISTINCT FROM t.sale_price
+        OR p.sale_schedule_id IS DISTINCT FROM t.schedule_id
+        OR p.sale_ends_at IS DISTINCT FROM t.ends_at)
+    RETURNING t.old_schedule_id, t.schedule_id
+  )
+  SELECT
+    COUNT(*) FILTER (WHERE schedule_id IS NOT NULL),
+    COUNT(*) FILTER (WHERE schedule_id IS NULL AND old_schedule_id IS NOT NULL)
+  INTO v_started, v_ended
+  FROM changed;
+
+  PERFORM set_config('app.applying_price_schedules', 'off', true);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'started', v_started,
+    'ended', v_ended
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduled edge function (service role) runs it
+REVOKE EXECUTE ON FUNCTION apply_price_schedules() FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- RLS POLICIES
+-- Live and upcoming schedules are public (the storefront can announce
+-- them); admins manage them
+-- ============================================
+ALTER TABLE price_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active price schedules"
+  ON price_schedules FOR SELECT
+  USING (is_active = true AND (ends_at IS NULL OR ends_at > NOW()));
+
+CREATE POLICY "Admins can manage price schedules"
+  ON price_schedules FOR ALL
+  USING (is_admin());
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE price_schedules IS 'Scheduled sale prices and recurring flash sales, applied by apply_price_schedules()';
+COMMENT ON COLUMN price_schedules.target_ids IS 'Product ids, category ids or genders, by applies_to';
+COMMENT ON COLUMN price_schedules.recurrence_days IS 'ISO weekdays (1 = Monday) of a recurring flash sale; empty for a single period';
+COMMENT ON COLUMN products.manual_sale_price IS 'Sale price set by the admin; sale_price also includes price schedules';
+COMMENT ON COLUMN products.sale_schedule_id IS 'Price schedule behind the current sale_price, if any';
+COMMENT ON COLUMN products.sale_ends_at IS 'End of the scheduled sale price, for the countdown badge';
+COMMENT ON FUNCTION effective_sale_price(products) IS 'Sale price right now, including schedules the job has not applied yet';
+COMMENT ON FUNCTION apply_price_schedules() IS 'Switch products.sale_price to the live price schedules in one statement';
@@ -0,0 +1,223 @@
+-- Mimmo Fratelli E-commerce Platform
+-- Migration 041: Guest Carts
+-- Server copy of the guest cart, keyed by an anonymous token kept in the
+-- browser (cartService), so it can be restored on another device through
+-- a magic link and merged into the account cart in one call on login.
+-- Guest carts are only reachable through the functions below.
+
+-- ============================================
+-- GUEST CARTS TABLE
+-- items: [{ "product_id", "size", "color", "quantity", "weight_grams" }]
+-- restore_token: the magic link code, valid until restore_expires_at
+-- ============================================
+CREATE TABLE IF NOT EXISTS guest_carts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  token UUID NOT NULL UNIQUE,
+  items JSONB NOT NULL DEFAULT '[]',
+  restore_token UUID UNIQUE,
+  restore_expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_carts_updated ON guest_carts(updated_at);
+
+CREATE TRIGGER update_guest_carts_updated_at
+  BEFORE UPDATE ON guest_carts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies: the token is the only key, checked by the functions below
+ALTER TABLE guest_carts ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- FUNCTION: Normalise cart items
+-- Same rules as mergeCartItems (js/utils/cart-items.js): one line per
+-- product, size, color and weight (another weight is another line),
+-- quantities of the same line added up to 10, inactive or deleted
+-- products dropped.
+-- ============================================
+CREATE OR REPLACE FUNCTION normalize_cart_items(p_items JSONB)
+RETURNS TABLE (product_id UUID, size TEXT, color TEXT, quantity INTEGER, weight_grams INTEGER) AS $$
+  SELECT
+    p.id,
+    i.size,
+    i.color,
+    LEAST(10, SUM(GREATEST(1, i.quantity)))::INTEGER,
+    i.weight_grams
+  FROM jsonb_to_recordset(COALESCE(p_items, '[]')) AS i(
+    product_id UUID, size TEXT, color TEXT, quantity INTEGER, weight_grams INTEGER
+  )
+  JOIN products p ON p.id = i.product_id AND p.is_active = true
+  WHERE i.size IS NOT NULL AND i.color IS NOT NULL
+  GROUP BY p.id, i.size, i.color, i.weight_grams;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Save a guest cart
+-- Replaces the items of the cart of p_token, creating it on first save
+-- ============================================
+CREATE OR REPLACE FUNCTION save_guest_cart(p_token UUID, p_items JSONB)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO guest_carts (token, items)
+  VALUES (
+    p_token,
+    COALESCE((SELECT jsonb_agg(to_jsonb(n)) FROM normalize_cart_items(p_items) n), '[]')
+  )
+  ON CONFLICT (token) DO UPDATE SET items = EXCLUDED.items;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Create a restore link
+-- New code on every call, valid 7 days; NULL when the cart was never saved
+-- ============================================
+CREATE OR REPLACE FUNCTION create_guest_cart_link(p_token UUID)
+RETURNS JSONB AS $$
+  UPDATE guest_carts
+  SET restore_token = uuid_generate_v4(),
+      restore_expires_at = NOW() + INTERVAL '7 days'
+  WHERE token = p_token
+  RETURNING jsonb_build_object(
+    'restore_token', restore_token,
+    'expires_at', restore_expires_at
+  );
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Restore a cart from its link
+-- Items with the product data the cart shows (same shape as cart_items
+-- with products joined). The link stays valid until it expires, so it
+-- can be opened on more than one device. NULL when expired or unknown.
+-- ============================================
+CREATE OR REPLACE FUNCTION restore_guest_cart(p_restore_token UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_items JSONB;
+BEGIN
+  SELECT items INTO v_items
+  FROM guest_carts
+  WHERE restore_token = p_restore_token
+    AND restore_expires_at > NOW();
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN (
+    SELECT COALESCE(jsonb_agg(
+      to_jsonb(n) || jsonb_build_object('products', jsonb_build_object(
+        'id', p.id,
+        'name', p.name,
+        'price', p.price,
+        'sale_price', p.sale_price,
+        'images', p.images,
+        'unit_measure', p.unit_measure
+      ))
+    ), '[]')
+    FROM normalize_cart_items(v_items) n
+    JOIN products p ON p.id = n.product_id
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Merge a guest cart on login
+-- Adds p_items (the cart of this browser) to the account cart of the
+-- signed-in user in one statement, with the normalize_cart_items rules
+-- against the lines already there, then deletes the guest cart of
+-- p_token. Also used to restore a link while signed in (p_token NULL).
+-- ============================================
+CREATE OR REPLACE FUNCTION merge_guest_cart(p_items JSONB, p_token UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_merged INTEGER;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  WITH incoming AS (
+    SELECT * FROM normalize_cart_items(p_items)
+  ),
+  updated AS (
+    -- weight_grams may be NULL, which the unique constraint does not match
+    UPDATE cart_items c
+    SET quantity = LEAST(10, c.quantity + i.quantity)
+    FROM incoming i
+    WHERE c.user_id = v_user_id
+      AND c.product_id = i.product_id
+      AND c.size = i.size
+      AND c.color = i.color
+      AND c.weight_grams IS NOT DISTINCT FROM i.weight_grams
+    RETURNING c.product_id, c.size, c.color, c.weight_grams
+  ),
+  inserted AS (
+    INSERT INTO cart_items (user_id, product_id, size, color, quantity, weight_grams)
+    SELECT v_user_id, i.product_id, i.size, i.color, i.quantity, i.weight_grams
+    FROM incoming i
+    WHERE NOT EXISTS (
+      SELECT 1 FROM updated u
+      WHERE u.product_id = i.product_id
+        AND u.size = i.size
+        AND u.color = i.color
+        AND u.weight_grams IS NOT DISTINCT FROM i.weight_grams
+    )
+    ON CONFLICT ON CONSTRAINT cart_items_unique_item
+      DO UPDATE SET quantity = LEAST(10, cart_items.quantity + EXCLUDED.quantity)
+    RETURNING 1
+  )
+  SELECT (SELECT COUNT(*) FROM updated) + (SELECT COUNT(*) FROM inserted) INTO v_merged;
+
+  IF p_token IS NOT NULL THEN
+    DELETE FROM guest_carts WHERE token = p_token;
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'merged', v_merged);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- FUNCTION: Purge abandoned guest carts
+-- Called by the release-expired-reservations job
+-- ============================================
+CREATE OR REPLACE FUNCTION purge_guest_carts()
+RETURNS INTEGER AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM guest_carts
+  WHERE updated_at < NOW() - INTERVAL '60 days'
+    AND (restore_expires_at IS NULL OR restore_expires_at < NOW());
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- PERMISSIONS
+-- ============================================
+REVOKE EXECUTE ON FUNCTION save_guest_cart(UUID, JSONB) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION create_guest_cart_link(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION restore_guest_cart(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION merge_guest_cart(JSONB, UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION purge_guest_carts() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION save_guest_cart(UUID, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_guest_cart_link(UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION restore_guest_cart(UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_guest_cart(JSONB, UUID) TO authenticated;
+
+-- ============================================
+-- COMMENTS
+-- ============================================
+COMMENT ON TABLE guest_carts IS 'Server copy of guest carts, keyed by the anonymous token of the browser';
+COMMENT ON COLUMN guest_carts.restore_token IS 'Code of the magic link restoring the cart on another device';
+COMMENT ON FUNCTION normalize_cart_items(JSONB) IS 'Cart items deduplicated per product, size, color and weight, quantities capped at 10';
+COMMENT ON FUNCTION save_guest_cart(UUID, JSONB) IS 'Replace the items of a guest cart';
+COMMENT ON FUNCTION create_guest_cart_link(UUID) IS 'New 7-day restore code for a guest cart';
+COMMENT ON FUNCTION restore_guest_cart(UUID) IS 'Items of the guest cart of a valid restore code, with product data';
+COMMENT ON FUNCTION merge_guest_cart(JSONB, UUID) IS 'Add guest cart items to the account cart of the signed-in user in one call';
+COMMENT ON FUNCTION purge_guest_carts() IS 'Delete guest carts untouched for 60 days';
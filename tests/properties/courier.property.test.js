@@ -0,0 +1,96 @@
+/**
+ * Courier Service Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: a shipment created by any courier adapter ends up on the order
+ * as status "shipped" with the courier's tracking number, and a failed
+ * submission never touches the order. Free-text courier statuses map to
+ * the right timeline step
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+
+vi.mock('../../js/supabase.js', () => ({
+  supabase: {
+    from: vi.fn(() => ({
+      update: vi.fn(() => ({ eq: vi.fn(() => ({ error: null })) }))
+    })),
+    functions: {
+      invoke: vi.fn()
+    }
+  },
+  isSupabaseConfigured: () => true,
+  getCurrentUser: () => Promise.resolve({ id: 'admin-123' })
+}));
+
+import { supabase } from '../../js/supabase.js';
+import { courierService } from '../../js/services/courier.js';
+import { orderService } from '../../js/services/orders.js';
+import { statusFromDescription } from '../../supabase/functions/_shared/couriers/tracking.ts';
+
+const courierArb = fc.constantFrom('brt', 'dhl', 'gls', 'mock');
+const trackingNumberArb = fc.stringMatching(/^[A-Z0-9]{10,20}$/);
+
+describe('Courier Service Property Tests', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    supabase.functions.invoke.mockReset();
+  });
+
+  it('should write the tracking number back through orderService.updateOrderStatus', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.uuid(), courierArb, trackingNumberArb, async (orderId, courier, trackingNumber) => {
+        supabase.functions.invoke.mockResolvedValueOnce({
+          data: { success: true, courier, shipmentId: `S-${trackingNumber}`, trackingNumber, labelUrl: 'https://labels/x.pdf' },
+          error: null
+        });
+        const updateSpy = vi.spyOn(orderService, 'updateOrderStatus');
+
+        const result = await courierService.createShipment(orderId, courier);
+
+        expect(result.error).toBeNull();
+        expect(result.trackingNumber).toBe(trackingNumber);
+        expect(supabase.functions.invoke).toHaveBeenLastCalledWith('submit-to-courier', {
+          body: { action: 'create', orderId, courier }
+        });
+        expect(updateSpy).toHaveBeenCalledWith(orderId, 'shipped', { trackingNumber, courier });
+        updateSpy.mockRestore();
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should leave the order untouched when the courier rejects the shipment', async () => {
+    supabase.functions.invoke.mockResolvedValueOnce({
+      data: null,
+      error: { context: { json: () => Promise.resolve({ error: 'BRT: CAP non valido', code: 'courier/rejected' }) } }
+    });
+    const updateSpy = vi.spyOn(orderService, 'updateOrderStatus');
+
+    const result = await courierService.createShipment('order-1', 'brt');
+
+    expect(result.error).toBe('BRT: CAP non valido');
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  it('should clear tracking and reopen the order when a shipment is cancelled', async () => {
+    supabase.functions.invoke.mockResolvedValueOnce({ data: { success: true }, error: null });
+    const updateSpy = vi.spyOn(orderService, 'updateOrderStatus');
+
+    const result = await courierService.cancelShipment('order-1');
+
+    expect(result.success).toBe(true);
+    expect(updateSpy).toHaveBeenCalledWith('order-1', 'processing', { trackingNumber: null, courier: null });
+  });
+
+  it('should map free-text courier statuses to timeline steps', () => {
+    expect(statusFromDescription('RESO AL MITTENTE')).toBe('returned');
+    expect(statusFromDescription('Spedizione in reso')).toBe('returned');
+    expect(statusFromDescription('PRESO IN CARICO')).toBe('picked_up');
+    expect(statusFromDescription('Spedizione presa in carico dalla filiale')).toBe('picked_up');
+    expect(statusFromDescription('IN CONSEGNA')).toBe('out_for_delivery');
+    expect(statusFromDescription('CONSEGNATA')).toBe('delivered');
+    expect(statusFromDescription('IN TRANSITO PRESSO HUB')).toBe('in_transit');
+  });
+});
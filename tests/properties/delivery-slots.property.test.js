@@ -0,0 +1,55 @@
+/**
+ * Delivery Slots Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: the checkout picker shows every bookable slot exactly once,
+ * grouped by day in chronological order
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+
+vi.mock('../../js/supabase.js', () => ({
+  supabase: {
+    rpc: vi.fn(() => Promise.resolve({ data: [], error: null }))
+  },
+  isSupabaseConfigured: () => true
+}));
+
+import { deliverySlotService } from '../../js/services/delivery-slots.js';
+
+const slotArb = fc.record({
+  id: fc.uuid(),
+  slot_date: fc.integer({ min: 1, max: 28 }).map(d => `2026-05-${String(d).padStart(2, '0')}`),
+  start_time: fc.integer({ min: 7, max: 18 }).map(h => `${String(h).padStart(2, '0')}:00:00`),
+  remaining: fc.integer({ min: 0, max: 20 })
+}).map(slot => ({
+  ...slot,
+  end_time: `${String(parseInt(slot.start_time) + 2).padStart(2, '0')}:00:00`
+}));
+
+// Same ordering as get_available_delivery_slots
+const sortSlots = (slots) => [...slots].sort((a, b) =>
+  `${a.slot_date} ${a.start_time}`.localeCompare(`${b.slot_date} ${b.start_time}`));
+
+describe('Delivery Slots Property Tests', () => {
+  it('should group every slot under its own day, keeping order', () => {
+    fc.assert(
+      fc.property(fc.array(slotArb, { maxLength: 30 }), (rawSlots) => {
+        const slots = sortSlots(rawSlots);
+        const groups = deliverySlotService.groupByDate(slots);
+
+        expect(groups.flatMap(g => g.slots)).toEqual(slots);
+        expect(new Set(groups.map(g => g.date)).size).toBe(groups.length);
+        groups.forEach(group => {
+          group.slots.forEach(slot => expect(slot.slot_date).toBe(group.date));
+        });
+      })
+    );
+  });
+
+  it('should format time ranges without seconds', () => {
+    expect(deliverySlotService.formatTimeRange({ start_time: '09:00:00', end_time: '12:30:00' })).toBe('9:00 - 12:30');
+    expect(deliverySlotService.formatTimeRange({ start_time: '14:00:00', end_time: '18:00:00' })).toBe('14:00 - 18:00');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Facets Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: collection filters survive the trip to the URL and back, so a
+ * shared link opens the same filtered view. Unknown labels and bad weights
+ * in a hand-edited link are dropped instead of breaking the page
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  PRODUCT_CERTIFICATIONS,
+  ORIGIN_REGIONS,
+  getEmptyFacetFilters,
+  readFiltersFromParams,
+  writeFiltersToParams,
+  countActiveFacets,
+  toggleFacetValue,
+  formatWeightLabel
+} from '../../js/utils/facets.js';
+import { ALLERGENS } from '../../js/utils/nutrition.js';
+
+const filtersArbitrary = fc.record({
+  gender: fc.constantFrom(null, 'frutta', 'verdura', 'conserve'),
+  category: fc.constantFrom(null, 'agrumi', 'insalate-pronte'),
+  price_min: fc.option(fc.integer({ min: 0, max: 50 }), { nil: null }),
+  price_max: fc.option(fc.integer({ min: 0, max: 100 }), { nil: null }),
+  min_discount: fc.constantFrom(null, 10, 30, 50),
+  is_promotion: fc.constantFrom(null, true),
+  sort_by: fc.constantFrom('newest', 'price_asc', 'price_desc', 'discount_desc', 'popular', 'in_season'),
+  regions: fc.uniqueArray(fc.constantFrom(...ORIGIN_REGIONS), { maxLength: 4 }),
+  certifications: fc.uniqueArray(fc.constantFrom(...Object.keys(PRODUCT_CERTIFICATIONS)), { maxLength: 3 }),
+  weights: fc.uniqueArray(fc.constantFrom(250, 500, 1000, 1500, 3000), { maxLength: 4 }),
+  seasonal: fc.boolean(),
+  in_stock: fc.boolean(),
+  exclude_allergens: fc.uniqueArray(fc.constantFrom(...Object.keys(ALLERGENS)), { maxLength: 3 })
+});
+
+describe('Facets Property Tests', () => {
+  it('should read back the same filters that were written to the URL', () => {
+    fc.assert(
+      fc.property(filtersArbitrary, (filters) => {
+        const params = new URLSearchParams(writeFiltersToParams(filters).toString());
+        expect(readFiltersFromParams(params)).toEqual(filters);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should leave defaults out of the URL', () => {
+    const empty = { ...readFiltersFromParams(new URLSearchParams()), ...getEmptyFacetFilters() };
+    expect(writeFiltersToParams(empty).toString()).toBe('');
+  });
+
+  it('should drop unknown labels and invalid weights', () => {
+    const filters = readFiltersFromParams(new URLSearchParams('label=bio,fake,dop,bio&weight=500,abc,-1,1.5&sort=random&senza=latte,nichel'));
+
+    expect(filters.certifications).toEqual(['bio', 'dop']);
+    expect(filters.exclude_allergens).toEqual(['latte']);
+    expect(filters.weights).toEqual([500]);
+    expect(filters.sort_by).toBe('newest');
+  });
+
+  it('should still accept the old seasonal=true links', () => {
+    expect(readFiltersFromParams(new URLSearchParams('seasonal=true')).seasonal).toBe(true);
+    expect(readFiltersFromParams(new URLSearchParams('seasonal=no')).seasonal).toBe(false);
+  });
+
+  it('should toggle a value in and back out', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(fc.integer({ min: 1, max: 20 }), { maxLength: 10 }),
+        fc.integer({ min: 1, max: 20 }),
+        (values, value) => {
+          const toggled = toggleFacetValue(values, value);
+
+          expect(toggled.includes(value)).toBe(!values.includes(value));
+          expect(toggleFacetValue(toggled, value).sort()).toEqual([...values].sort());
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should count every selected facet value', () => {
+    fc.assert(
+      fc.property(filtersArbitrary, (filters) => {
+        expect(countActiveFacets(filters)).toBe(
+          filters.regions.length + filters.certifications.length + filters.weights.length +
+          (filters.seasonal ? 1 : 0) + (filters.in_stock ? 1 : 0) + filters.exclude_allergens.length
+        );
+      }),
+      { numRuns: 100 }
+    );
+    expect(countActiveFacets(getEmptyFacetFilters())).toBe(0);
+  });
+
+  it('should format weights in grams or kilograms', () => {
+    expect(formatWeightLabel(500)).toBe('500 g');
+    expect(formatWeightLabel(1000)).toBe('1 kg');
+    expect(formatWeightLabel(1500)).toBe('1,5 kg');
+  });
+});
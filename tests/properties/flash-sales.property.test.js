@@ -0,0 +1,146 @@
+/**
+ * Flash Sale Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: a scheduled price is live exactly inside its period and daily
+ * window (shop time), the countdown never shows a past or missing end, and
+ * checkout prices include schedules the job has not applied yet
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  isPriceScheduleLive,
+  formatPriceSchedule,
+  formatCountdown,
+  getSaleCountdown,
+  getShopTime
+} from '../../js/utils/flash-sales.js';
+import { getEffectiveUnitPrice } from '../../supabase/functions/_shared/pricing.ts';
+
+const MINUTE = 60 * 1000;
+const WEEK = 7 * 24 * 60 * MINUTE;
+
+// Every Friday 18:00-20:00 from October to the end of the year
+const fridayHappyHour = {
+  is_active: true,
+  discount_percent: 20,
+  sale_price: null,
+  starts_at: '2026-10-01T00:00:00+02:00',
+  ends_at: '2026-12-31T23:00:00+01:00',
+  recurrence_days: [5],
+  daily_start: '18:00:00',
+  daily_end: '20:00:00'
+};
+
+describe('Flash Sale Property Tests', () => {
+  it('should be live only on Friday between 18:00 and 20:00 shop time', () => {
+    // Monday 28 September 2026, 00:00 in Rome (summer time)
+    const weekStart = Date.parse('2026-09-28T00:00:00+02:00');
+
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: WEEK / MINUTE - 1 }), (minutes) => {
+        const at = new Date(weekStart + minutes * MINUTE);
+        const { isoDay, time } = getShopTime(at);
+        const expected = isoDay === 5 && time >= '18:00' && time < '20:00';
+
+        expect(isPriceScheduleLive(fridayHappyHour, at)).toBe(expected);
+      })
+    );
+
+    expect(isPriceScheduleLive(fridayHappyHour, new Date('2026-10-02T18:30:00+02:00'))).toBe(true);
+    // Winter time: 18:30 in Rome is 17:30 UTC
+    expect(isPriceScheduleLive(fridayHappyHour, new Date('2026-12-04T17:30:00Z'))).toBe(true);
+    expect(isPriceScheduleLive(fridayHappyHour, new Date('2026-12-04T19:30:00Z'))).toBe(false);
+  });
+
+  it('should never be live outside the period or when disabled', () => {
+    const single = { ...fridayHappyHour, recurrence_days: [], daily_start: null, daily_end: null };
+    const startsAt = Date.parse(single.starts_at);
+    const endsAt = Date.parse(single.ends_at);
+
+    fc.assert(
+      fc.property(fc.integer({ min: -WEEK, max: endsAt - startsAt + WEEK }), (offset) => {
+        const at = new Date(startsAt + offset);
+        expect(isPriceScheduleLive(single, at)).toBe(at.getTime() >= startsAt && at.getTime() < endsAt);
+        expect(isPriceScheduleLive({ ...single, is_active: false }, at)).toBe(false);
+      })
+    );
+  });
+
+  it('should describe the schedule for the admin', () => {
+    expect(formatPriceSchedule(fridayHappyHour)).toBe('-20% · Ven 18:00–20:00 · dal 01/10 al 31/12');
+    expect(formatPriceSchedule({
+      ...fridayHappyHour,
+      discount_percent: null,
+      sale_price: 2.5,
+      ends_at: null,
+      recurrence_days: [7, 1, 2, 3, 4, 5, 6]
+    })).toBe('€2.50 · Ogni giorno 18:00–20:00 · dal 01/10');
+  });
+
+  it('should format the countdown with two units and never go negative', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: -1e9, max: 30 * 24 * 3600 * 1000 }), (ms) => {
+        const label = formatCountdown(ms);
+        expect(label).toMatch(/^(\d+g \d{1,2}h|\d{1,2}h \d{2}m|\d{1,2}m \d{2}s)$/);
+        if (ms <= 0) expect(label).toBe('0m 00s');
+      })
+    );
+
+    expect(formatCountdown((2 * 24 * 3600 + 5 * 3600 + 59) * 1000)).toBe('2g 5h');
+    expect(formatCountdown((3600 + 5 * 60) * 1000)).toBe('1h 05m');
+    expect(formatCountdown((4 * 60 + 9) * 1000 + 999)).toBe('4m 09s');
+  });
+
+  it('should only count down products on a scheduled sale that has not ended', () => {
+    const now = new Date('2026-10-02T18:30:00+02:00');
+
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 100, max: 5000 }),
+        fc.integer({ min: 1, max: 99 }),
+        fc.integer({ min: -3600, max: 3600 }),
+        (priceCents, percent, secondsLeft) => {
+          const product = {
+            price: priceCents / 100,
+            sale_price: Math.round(priceCents * (100 - percent) / 100) / 100,
+            sale_ends_at: new Date(now.getTime() + secondsLeft * 1000).toISOString()
+          };
+
+          const countdown = getSaleCountdown(product, now);
+          if (secondsLeft > 0 && product.sale_price < product.price) {
+            expect(countdown.remainingMs).toBe(secondsLeft * 1000);
+            expect(countdown.label).toBe(formatCountdown(secondsLeft * 1000));
+          } else {
+            expect(countdown).toBeNull();
+          }
+
+          expect(getSaleCountdown({ ...product, sale_ends_at: null }, now)).toBeNull();
+          expect(getSaleCountdown({ ...product, sale_price: null }, now)).toBeNull();
+        }
+      )
+    );
+  });
+
+  it('should price checkout with the effective sale price when it is selected', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 100, max: 5000 }),
+        fc.option(fc.integer({ min: 10, max: 99 }), { nil: null }),
+        fc.option(fc.integer({ min: 10, max: 99 }), { nil: null }),
+        (priceCents, salePercent, effectivePercent) => {
+          const price = priceCents / 100;
+          const salePrice = salePercent && Math.round(priceCents * salePercent / 100) / 100;
+          const effective = effectivePercent && Math.round(priceCents * effectivePercent / 100) / 100;
+
+          // The job has not run yet: sale_price is stale, effective_sale_price is not
+          expect(getEffectiveUnitPrice({ price, sale_price: salePrice, effective_sale_price: effective }))
+            .toBe(effective || price);
+          // Rows without the computed column keep the stored sale price
+          expect(getEffectiveUnitPrice({ price, sale_price: salePrice })).toBe(salePrice || price);
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Guest Cart Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: merging a guest cart (login or restore link) keeps one line
+ * per product, size, color and weight, never exceeds the quantity limit
+ * and never sends prices to the server
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  MAX_CART_QUANTITY,
+  cartItemKey,
+  mergeCartItems,
+  toCartPayload,
+  cartItemFromRow
+} from '../../js/utils/cart-items.js';
+
+// Few products and weights, so that lines collide often
+const lineArb = fc.record({
+  productId: fc.constantFrom('p1', 'p2', 'p3'),
+  name: fc.constant('Arance'),
+  price: fc.integer({ min: 50, max: 2000 }).map(c => c / 100),
+  size: fc.constantFrom('1 Kg', '500 g'),
+  color: fc.constant('Fresco'),
+  quantity: fc.integer({ min: 1, max: MAX_CART_QUANTITY }),
+  weight_grams: fc.constantFrom(null, 500, 1000)
+});
+
+const cartArb = fc.array(lineArb, { maxLength: 8 })
+  .map(lines => mergeCartItems([], lines));
+
+describe('Guest Cart Property Tests', () => {
+  it('should keep one line per product, size, color and weight', () => {
+    fc.assert(
+      fc.property(cartArb, cartArb, (cart, incoming) => {
+        const merged = mergeCartItems(cart, incoming);
+        const keys = merged.map(cartItemKey);
+
+        expect(new Set(keys).size).toBe(keys.length);
+        expect(new Set(keys)).toEqual(new Set([...cart, ...incoming].map(cartItemKey)));
+      })
+    );
+  });
+
+  it('should add up quantities of the same line up to the limit', () => {
+    fc.assert(
+      fc.property(cartArb, cartArb, (cart, incoming) => {
+        const merged = mergeCartItems(cart, incoming);
+
+        merged.forEach(line => {
+          const key = cartItemKey(line);
+          const total = [...cart, ...incoming]
+            .filter(item => cartItemKey(item) === key)
+            .reduce((sum, item) => sum + item.quantity, 0);
+          expect(line.quantity).toBe(Math.min(MAX_CART_QUANTITY, total));
+        });
+      })
+    );
+  });
+
+  it('should keep another weight of the same product as another line', () => {
+    const kilo = { productId: 'p1', size: '1 Kg', color: 'Fresco', quantity: 2, weight_grams: 1000, price: 3 };
+    const half = { ...kilo, size: '500 g', weight_grams: 500, price: 1.5 };
+
+    expect(mergeCartItems([kilo], [half])).toEqual([kilo, half]);
+    expect(mergeCartItems([kilo], [{ ...kilo, quantity: 9 }])).toEqual([{ ...kilo, quantity: 10 }]);
+  });
+
+  it('should keep the data of the existing line and not modify the inputs', () => {
+    fc.assert(
+      fc.property(cartArb, cartArb, (cart, incoming) => {
+        const snapshot = JSON.stringify([cart, incoming]);
+        const merged = mergeCartItems(cart, incoming);
+
+        expect(JSON.stringify([cart, incoming])).toBe(snapshot);
+        cart.forEach(line => {
+          const found = merged.find(item => cartItemKey(item) === cartItemKey(line));
+          expect(found.price).toBe(line.price);
+        });
+      })
+    );
+  });
+
+  it('should send lines without prices and read them back from the products', () => {
+    fc.assert(
+      fc.property(cartArb, fc.integer({ min: 50, max: 2000 }), (cart, priceCents) => {
+        const payload = toCartPayload(cart);
+        payload.forEach(line => {
+          expect(Object.keys(line).sort()).toEqual(['color', 'product_id', 'quantity', 'size', 'weight_grams']);
+        });
+
+        const product = { name: 'Arance', price: priceCents / 100, sale_price: null, images: ['a.jpg'] };
+        const restored = payload.map(line => cartItemFromRow({ ...line, products: product }));
+        restored.forEach((item, i) => {
+          expect(cartItemKey(item)).toBe(cartItemKey(cart[i]));
+          expect(item.quantity).toBe(cart[i].quantity);
+          expect(item.price).toBeCloseTo(item.weight_grams ? product.price * item.weight_grams / 1000 : product.price, 10);
+        });
+      })
+    );
+  });
+});
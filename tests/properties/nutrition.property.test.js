@@ -0,0 +1,100 @@
+/**
+ * Nutrition Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: ingredient lists survive the admin textarea round trip, every
+ * allergen tagged on an ingredient is declared as contained, and the label
+ * emphasises allergens without letting product text inject markup
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  ALLERGENS,
+  parseIngredientLines,
+  formatIngredientLines,
+  getContainedAllergens,
+  normalizeAllergens,
+  normalizeNutrition,
+  renderFoodLabel
+} from '../../js/utils/nutrition.js';
+
+const allergenArb = fc.constantFrom(...Object.keys(ALLERGENS));
+
+const ingredientArb = fc.record({
+  name: fc.constantFrom('Pomodoro', 'Ricotta di pecora', 'Farina di grano duro', 'Olio extravergine', 'Sale marino', 'Alici'),
+  percent: fc.option(fc.integer({ min: 1, max: 1000 }).map(n => n / 10), { nil: null }),
+  allergen: fc.option(allergenArb, { nil: null })
+});
+
+describe('Nutrition Property Tests', () => {
+  it('should read back the ingredients written to the textarea', () => {
+    fc.assert(
+      fc.property(fc.array(ingredientArb, { maxLength: 8 }), (ingredients) => {
+        expect(parseIngredientLines(formatIngredientLines(ingredients))).toEqual(ingredients);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should declare every allergen tagged on an ingredient', () => {
+    fc.assert(
+      fc.property(
+        fc.array(ingredientArb, { maxLength: 8 }),
+        fc.array(allergenArb, { maxLength: 5 }),
+        (ingredients, declared) => {
+          const contained = getContainedAllergens(ingredients, declared);
+
+          ingredients.filter(i => i.allergen).forEach(i => expect(contained).toContain(i.allergen));
+          declared.forEach(code => expect(contained).toContain(code));
+          expect(new Set(contained).size).toBe(contained.length);
+          expect(normalizeAllergens(contained)).toEqual(contained);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should accept allergen names as well as codes and drop unknown tags', () => {
+    expect(parseIngredientLines('Latte intero 3,5% [Latte (incluso lattosio)]\nNichel [nichel]\n  \nFrutta a guscio [frutta a guscio]')).toEqual([
+      { name: 'Latte intero', percent: 3.5, allergen: 'latte' },
+      { name: 'Nichel', percent: null, allergen: null },
+      { name: 'Frutta a guscio', percent: null, allergen: 'frutta_a_guscio' }
+    ]);
+  });
+
+  it('should fill energy in kJ from kcal and back', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 900 }), (kcal) => {
+        const fromKcal = normalizeNutrition({ energy_kcal: String(kcal) });
+        expect(fromKcal.energy_kj).toBe(Math.round(kcal * 4.184));
+
+        const fromKj = normalizeNutrition({ energy_kj: fromKcal.energy_kj });
+        expect(Math.abs(fromKj.energy_kcal - kcal)).toBeLessThanOrEqual(1);
+      }),
+      { numRuns: 100 }
+    );
+    expect(normalizeNutrition({ fat: '', salt: '-1', protein: 'abc' })).toBeNull();
+    expect(normalizeNutrition({ salt: '1,25' })).toEqual({ salt: 1.3 });
+  });
+
+  it('should bold allergens and escape product text in the label', () => {
+    const html = renderFoodLabel({
+      ingredients: [{ name: 'Ricotta <script>', percent: 60, allergen: 'latte' }, { name: 'Sale', percent: null, allergen: null }],
+      allergens: ['latte'],
+      may_contain: ['latte', 'frutta_a_guscio'],
+      nutrition: { energy_kcal: 174, fat: 13 },
+      shelf_life_days: 20,
+      date_marking: 'use_by',
+      storage_instructions: 'In frigo <0-4 °C>'
+    });
+
+    expect(html).toContain('<strong>Ricotta &lt;script&gt;</strong> 60%');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Può contenere tracce di frutta a guscio.');
+    expect(html).not.toContain('tracce di latte');
+    expect(html).toContain('Da consumarsi entro:');
+    expect(html).toContain('In frigo &lt;0-4 °C&gt;');
+    expect(renderFoodLabel({ name: 'Pomodori', nutrition: null, ingredients: [] })).toBe('');
+  });
+});
@@ -142,7 +142,7 @@ describe('Order Property Tests', () => {
     it('should translate all status values to Italian labels', async () => {
       const { orderService } = await import('../../js/services/orders.js');
 
-      const statuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+      const statuses = ['pending', 'processing', 'ready_for_pickup', 'shipped', 'delivered', 'cancelled', 'refunded'];
       
       statuses.forEach(status => {
         const label = orderService.getStatusLabel(status);
@@ -178,4 +178,48 @@ describe('Order Property Tests', () => {
       );
     });
   });
+
+  /**
+   * Property: Shipment timeline
+   * Completed steps always form a prefix of the timeline, ending at the
+   * furthest step reported by the courier
+   */
+  describe('Shipment Timeline', () => {
+    const eventStatusArb = fc.constantFrom('label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception');
+    const eventArb = fc.record({
+      status: eventStatusArb,
+      description: fc.string({ maxLength: 20 }),
+      location: fc.option(fc.string({ maxLength: 10 }), { nil: null }),
+      occurred_at: fc.date({ min: new Date('2026-01-01'), max: new Date('2026-12-31') }).map(d => d.toISOString())
+    });
+
+    it('should mark a prefix of steps as done, up to the furthest event', async () => {
+      const { orderService } = await import('../../js/services/orders.js');
+
+      await fc.assert(
+        fc.asyncProperty(fc.array(eventArb, { maxLength: 12 }), async (events) => {
+          const { steps } = orderService.buildShipmentTimeline(events);
+          const doneCount = steps.filter(step => step.done).length;
+
+          expect(steps.map(step => step.status)).toEqual(['picked_up', 'in_transit', 'out_for_delivery', 'delivered']);
+          steps.forEach((step, i) => expect(step.done).toBe(i < doneCount));
+          expect(steps.filter(step => step.current).length).toBe(doneCount > 0 ? 1 : 0);
+
+          if (events.some(event => event.status === 'delivered')) {
+            expect(doneCount).toBe(4);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report a delivery problem only when it is the latest event', async () => {
+      const { orderService } = await import('../../js/services/orders.js');
+      const failed = { status: 'exception', description: 'Destinatario assente', location: 'Milano', occurred_at: '2026-05-12T10:00:00Z' };
+      const retried = { status: 'out_for_delivery', description: 'In consegna', location: 'Milano', occurred_at: '2026-05-13T09:00:00Z' };
+
+      expect(orderService.buildShipmentTimeline([failed]).issue).toEqual(failed);
+      expect(orderService.buildShipmentTimeline([failed, retried]).issue).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,141 @@
+/**
+ * Pagination Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: paging through the catalog with keyset cursors returns every
+ * product exactly once and in sort order, whatever the sort and page size,
+ * even when many products share the same sort value
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  getSortKeys,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+} from '../../js/utils/pagination.js';
+
+// Minimal PostgREST `or` evaluator for the filters built by buildKeysetFilter
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && inQuotes) {
+      current += ch + text[++i];
+      continue;
+    }
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && ch === '(') depth++;
+    if (!inQuotes && ch === ')') depth--;
+    if (!inQuotes && depth === 0 && ch === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function matchesCondition(row, condition) {
+  const [, column, op, quoted] = condition.match(/^(\w+)\.(eq|gt|lt)\.(".*")$/);
+  const raw = JSON.parse(quoted);
+  const actual = row[column];
+  const expected = typeof actual === 'number' ? Number(raw)
+    : typeof actual === 'boolean' ? raw === 'true'
+    : raw;
+  if (op === 'eq') return actual === expected;
+  return op === 'gt' ? actual > expected : actual < expected;
+}
+
+function matchesOrFilter(row, filter) {
+  return splitTopLevel(filter).some(branch => {
+    const conditions = branch.startsWith('and(') ? splitTopLevel(branch.slice(4, -1)) : [branch];
+    return conditions.every(c => matchesCondition(row, c));
+  });
+}
+
+function compareRows(a, b, sortKeys) {
+  for (const { column, ascending } of sortKeys) {
+    if (a[column] !== b[column]) {
+      return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+    }
+  }
+  return 0;
+}
+
+// Same contract as getProducts: order, keyset filter, limit, nextCursor
+function getPage(rows, sortBy, limit, cursor) {
+  const sortKeys = getSortKeys(sortBy);
+  let result = [...rows].sort((a, b) => compareRows(a, b, sortKeys));
+  if (cursor) {
+    const values = decodeCursor(cursor, sortKeys);
+    if (values) result = result.filter(row => matchesOrFilter(row, buildKeysetFilter(sortKeys, values)));
+  }
+  const page = result.slice(0, limit);
+  return {
+    products: page,
+    nextCursor: page.length === limit ? encodeCursor(page[page.length - 1], sortKeys) : null
+  };
+}
+
+const productArbitrary = fc.record({
+  id: fc.uuid(),
+  // Few distinct values so ties on the sort key are common
+  price: fc.constantFrom(1.5, 2.8, 3, 4.25),
+  is_featured: fc.boolean(),
+  season_rank: fc.constantFrom(0, 1, 2),
+  created_at: fc.constantFrom('2025-03-01T08:00:00+00:00', '2025-03-02T09:30:00.5+00:00', '2025-04-10T18:45:00+00:00')
+});
+
+describe('Pagination Property Tests', () => {
+  it('should return every product exactly once, in sort order', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(productArbitrary, { selector: p => p.id, maxLength: 40 }),
+        fc.constantFrom('newest', 'price_asc', 'price_desc', 'popular', 'in_season'),
+        fc.integer({ min: 1, max: 10 }),
+        (rows, sortBy, limit) => {
+          const seen = [];
+          let cursor = null;
+          do {
+            const { products, nextCursor } = getPage(rows, sortBy, limit, cursor);
+            seen.push(...products);
+            cursor = nextCursor;
+          } while (cursor);
+
+          const expected = [...rows].sort((a, b) => compareRows(a, b, getSortKeys(sortBy)));
+          expect(seen.map(p => p.id)).toEqual(expected.map(p => p.id));
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should always break ties on the product id', () => {
+    ['newest', 'price_asc', 'price_desc', 'popular', 'in_season', 'discount_desc', undefined].forEach(sortBy => {
+      const keys = getSortKeys(sortBy);
+      expect(keys[keys.length - 1].column).toBe('id');
+    });
+  });
+
+  it('should round-trip cursors and reject malformed ones', () => {
+    const sortKeys = getSortKeys('popular');
+    const product = { id: 'b6c1', is_featured: true, created_at: '2025-03-01T08:00:00+00:00' };
+
+    expect(decodeCursor(encodeCursor(product, sortKeys), sortKeys)).toEqual([true, '2025-03-01T08:00:00+00:00', 'b6c1']);
+    expect(decodeCursor('not a cursor', sortKeys)).toBeNull();
+    expect(decodeCursor(encodeCursor(product, getSortKeys('price_asc')), sortKeys)).toBeNull();
+  });
+
+  it('should build one branch per sort column', () => {
+    expect(buildKeysetFilter(getSortKeys('price_asc'), [3.5, 'abc'])).toBe(
+      'price.gt."3.5",and(price.eq."3.5",id.gt."abc")'
+    );
+  });
+});
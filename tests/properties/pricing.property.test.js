@@ -0,0 +1,181 @@
+/**
+ * Server Pricing Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: checkout totals are recomputed from database prices,
+ * never from prices sent by the browser
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { priceCart, computeItemPriceCents, applyCheckoutDiscounts } from '../../supabase/functions/_shared/pricing.ts';
+
+// Minimal Supabase query builder returning fixed rows per table
+function mockSupabase(tables) {
+  return {
+    from: (table) => ({
+      select: () => ({
+        in: () => Promise.resolve({ data: tables[table] || [], error: null })
+      })
+    })
+  };
+}
+
+const productArb = fc.record({
+  id: fc.uuid(),
+  name: fc.string({ minLength: 1, maxLength: 40 }),
+  price: fc.integer({ min: 50, max: 5000 }).map(c => c / 100),
+  sale_price: fc.option(fc.integer({ min: 10, max: 4000 }).map(c => c / 100), { nil: null }),
+  images: fc.constant([]),
+  is_active: fc.constant(true),
+  unit_measure: fc.constantFrom('kg', 'pz')
+});
+
+describe('Server Pricing Property Tests', () => {
+  it('should accept carts whose prices match the database', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        productArb,
+        fc.integer({ min: 1, max: 10 }),
+        fc.constantFrom(250, 500, 1000, 1500),
+        async (product, quantity, weight) => {
+          const weightGrams = product.unit_measure === 'pz' ? null : weight;
+          const unitPrice = product.sale_price || product.price;
+          const clientPrice = weightGrams ? (unitPrice * weightGrams) / 1000 : unitPrice;
+
+          const result = await priceCart(mockSupabase({ products: [product] }), [
+            { productId: product.id, price: clientPrice, quantity, weight_grams: weightGrams }
+          ]);
+
+          expect(result.issues).toHaveLength(0);
+          expect(result.subtotalCents).toBe(computeItemPriceCents(unitPrice, weightGrams) * quantity);
+        }
+      )
+    );
+  });
+
+  it('should reject tampered prices with a price_changed issue', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        productArb,
+        fc.integer({ min: 2, max: 1000 }),
+        async (product, cutCents) => {
+          const unitPrice = product.sale_price || product.price;
+          const tamperedPrice = Math.max(0, unitPrice - cutCents / 100);
+          fc.pre(Math.round(unitPrice * 100) - Math.round(tamperedPrice * 100) > 1);
+
+          const result = await priceCart(mockSupabase({ products: [{ ...product, unit_measure: 'pz' }] }), [
+            { productId: product.id, price: tamperedPrice, quantity: 1, weight_grams: null }
+          ]);
+
+          expect(result.lines).toHaveLength(0);
+          expect(result.issues[0].reason).toBe('price_changed');
+          expect(result.issues[0].serverPrice).toBeCloseTo(unitPrice, 2);
+        }
+      )
+    );
+  });
+
+  it('should reject tampered weights with an invalid_weight issue', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        productArb,
+        fc.oneof(
+          fc.integer({ min: -5000, max: 99 }).filter(w => w !== 0),
+          fc.integer({ min: 10901, max: 1e7 }),
+          fc.double({ min: 100, max: 10900, noNaN: true }).filter(w => !Number.isInteger(w))
+        ),
+        async (product, weightGrams) => {
+          const unitPrice = product.sale_price || product.price;
+          const clientPrice = computeItemPriceCents(unitPrice, weightGrams) / 100;
+
+          const result = await priceCart(mockSupabase({ products: [{ ...product, unit_measure: 'kg' }] }), [
+            { productId: product.id, price: clientPrice, quantity: 1, weight_grams: weightGrams }
+          ]);
+
+          expect(result.lines).toHaveLength(0);
+          expect(result.issues[0].reason).toBe('invalid_weight');
+        }
+      )
+    );
+
+    // Piece products have no weight, a listed variant is always accepted
+    const piece = { id: 'p1', name: 'Melone', price: 4, sale_price: null, images: [], is_active: true, unit_measure: 'pz' };
+    const herbs = { ...piece, id: 'p2', name: 'Basilico', price: 20, unit_measure: 'kg' };
+    const result = await priceCart(mockSupabase({
+      products: [piece, herbs],
+      weight_inventory: [{ product_id: 'p2', weight_grams: 50, quantity: 5 }]
+    }), [
+      { productId: 'p1', price: 0.01, quantity: 1, weight_grams: 1 },
+      { productId: 'p2', price: 1, quantity: 1, weight_grams: 50 },
+      { productId: 'p2', price: 0.4, quantity: 1, weight_grams: 20 }
+    ]);
+    expect(result.issues.map(i => [i.productId, i.reason])).toEqual([['p1', 'invalid_weight'], ['p2', 'invalid_weight']]);
+    expect(result.lines.map(l => l.weight_grams)).toEqual([50]);
+  });
+
+  it('should flag unknown products and exhausted weight variants', async () => {
+    const product = { id: 'p1', name: 'Limoni', price: 3, sale_price: null, images: [], is_active: true, unit_measure: 'kg' };
+    const supabase = mockSupabase({
+      products: [product],
+      weight_inventory: [{ product_id: 'p1', weight_grams: 1000, quantity: 1 }]
+    });
+
+    const result = await priceCart(supabase, [
+      { productId: 'missing', price: 1, quantity: 1 },
+      { productId: 'p1', price: 3, quantity: 2, weight_grams: 1000 }
+    ]);
+
+    expect(result.issues.map(i => i.reason)).toEqual(['product_unavailable', 'insufficient_stock']);
+    expect(result.issues[1].available).toBe(1);
+  });
+
+  it('should never discount more than the order nor use more credit than available', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 100, max: 50000 }),
+        fc.integer({ min: 0, max: 1500 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 60000 }),
+        fc.integer({ min: 0, max: 60000 }),
+        fc.integer({ min: 0, max: 60000 }),
+        (subtotalCents, shippingCents, promotionPercent, giftCardBalanceCents, requestedCreditCents, availableCreditCents) => {
+          const promotionCents = Math.round(subtotalCents * promotionPercent / 100);
+          const result = applyCheckoutDiscounts({
+            subtotalCents, shippingCents, promotionCents, giftCardBalanceCents, requestedCreditCents, availableCreditCents
+          });
+
+          expect(result.couponCents).toBeLessThanOrEqual(subtotalCents);
+          expect(result.giftCardCents).toBeLessThanOrEqual(giftCardBalanceCents);
+          expect(result.creditCents).toBeLessThanOrEqual(Math.min(requestedCreditCents, availableCreditCents));
+          expect(result.shippingCents).toBeGreaterThanOrEqual(0);
+          expect(result.shippingCents).toBeLessThanOrEqual(shippingCents);
+          expect(result.creditForProductsCents + result.creditForShippingCents).toBe(result.creditCents);
+          // Every cent of the order is either paid or covered by a discount
+          expect(result.totalCents + result.couponCents + result.creditForShippingCents).toBe(subtotalCents + shippingCents);
+        }
+      )
+    );
+  });
+
+  it('should spend credit on products before shipping', () => {
+    const result = applyCheckoutDiscounts({
+      subtotalCents: 2000,
+      shippingCents: 590,
+      promotionCents: 200,
+      giftCardBalanceCents: 1000,
+      requestedCreditCents: 1000,
+      availableCreditCents: 5000
+    });
+
+    expect(result).toEqual({
+      giftCardCents: 1000,
+      creditCents: 1000,
+      creditForProductsCents: 800,
+      creditForShippingCents: 200,
+      shippingCents: 390,
+      couponCents: 2000,
+      totalCents: 390
+    });
+  });
+});
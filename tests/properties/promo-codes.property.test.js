@@ -0,0 +1,124 @@
+/**
+ * Promotion Code Batch Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: a batch has exactly the requested number of unique codes, in
+ * the printable alphabet and already normalised; the redemption report
+ * and the CSV export agree with the codes and redemptions they are built from
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  PROMO_CODE_ALPHABET,
+  PROMO_CODE_LENGTH,
+  MAX_BATCH_SIZE,
+  generatePromotionCodes,
+  normalizeCodePrefix,
+  summarizeBatch,
+  buildBatchCsv
+} from '../../js/utils/promo-codes.js';
+import { normalizePromotionCode } from '../../supabase/functions/_shared/promotions.js';
+
+// Deterministic random (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+describe('Promotion Code Batch Property Tests', () => {
+  it('should generate the requested number of unique, normalised codes', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 300 }),
+        fc.constantFrom('', 'volantino', ' Estate 24 ', 'scuse!'),
+        fc.integer({ min: 1, max: 100000 }),
+        // Short codes force collisions (31^2 combinations)
+        fc.constantFrom(2, PROMO_CODE_LENGTH),
+        fc.array(fc.constantFrom('AB', 'ZZ', 'ESTATE24-AB', 'A'), { maxLength: 5 }),
+        (count, prefix, seed, length, existing) => {
+          const codes = generatePromotionCodes(count, { prefix, length, random: seededRandom(seed), existing });
+          const head = normalizeCodePrefix(prefix);
+          const body = new RegExp(`^[${PROMO_CODE_ALPHABET}]{${length}}$`);
+
+          expect(codes).toHaveLength(count);
+          expect(new Set(codes).size).toBe(count);
+          codes.forEach(code => {
+            expect(normalizePromotionCode(code)).toBe(code);
+            expect(existing).not.toContain(code);
+            const [start, rest] = head ? [code.slice(0, head.length + 1), code.slice(head.length + 1)] : ['', code];
+            expect(start).toBe(head ? `${head}-` : '');
+            expect(rest).toMatch(body);
+          });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should summarise and export exactly the batch codes and redemptions', () => {
+    const codeArb = fc.record({
+      max_uses: fc.integer({ min: 1, max: 3 }),
+      usage_count: fc.integer({ min: 0, max: 3 })
+    });
+
+    fc.assert(
+      fc.property(
+        fc.array(codeArb, { maxLength: 20 }),
+        fc.array(fc.record({
+          index: fc.nat(),
+          user_id: fc.constantFrom('u1', 'u2', 'u3', null),
+          created_at: fc.constantFrom('2026-09-01T10:00:00Z', '2026-09-15T10:00:00Z', '2026-10-01T10:00:00Z')
+        }), { maxLength: 20 }),
+        (rows, uses) => {
+          const codes = rows.map((row, i) => ({ ...row, id: `c${i}`, code: `CODE${i}` }));
+          const redemptions = codes.length
+            ? uses.map(use => ({ ...use, code_id: codes[use.index % codes.length].id }))
+            : [];
+          const report = summarizeBatch(codes, redemptions);
+
+          expect(report.total).toBe(codes.length);
+          expect(report.used).toBe(codes.filter(c => c.usage_count > 0).length);
+          expect(report.exhausted).toBeLessThanOrEqual(report.total);
+          expect(report.redemptions).toBe(redemptions.length);
+          expect(report.customers).toBe(new Set(redemptions.map(r => r.user_id).filter(Boolean)).size);
+          expect(report.percent).toBeGreaterThanOrEqual(0);
+          expect(report.percent).toBeLessThanOrEqual(100);
+          expect(report.lastRedeemedAt).toBe(redemptions.length
+            ? [...redemptions].sort((a, b) => b.created_at.localeCompare(a.created_at))[0].created_at
+            : null);
+
+          const lines = buildBatchCsv({ name: 'Volantino; Settembre' }, codes, redemptions).split('\r\n');
+          expect(lines).toHaveLength(codes.length + 1);
+          codes.forEach((code, i) => {
+            expect(lines[i + 1].startsWith(`${code.code};"Volantino; Settembre";`)).toBe(true);
+          });
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should cap batches and export redemption details', () => {
+    expect(generatePromotionCodes(MAX_BATCH_SIZE + 10)).toHaveLength(MAX_BATCH_SIZE);
+    expect(generatePromotionCodes(3, { random: () => 0 })).toEqual(['AAAAAAAA']);
+    expect(normalizeCodePrefix(' scuse-2024! ')).toBe('SCUSE2024');
+
+    const csv = buildBatchCsv(
+      { name: 'Scuse' },
+      [{ id: 'c1', code: 'SCUSE-AB23CD45', max_uses: 1, usage_count: 1 }, { id: 'c2', code: 'SCUSE-XY78ZW9K', max_uses: 1, usage_count: 0 }],
+      [{ code_id: 'c1', user_id: 'u1', created_at: '2026-10-02T09:00:00Z', orders: { order_number: 'AVM-1', shipping_address: { email: 'ordine@b.it' } } }],
+      new Map([['u1', 'a@b.it']])
+    );
+    expect(csv.split('\r\n')).toEqual([
+      'Codice;Batch;Utilizzi;Massimo;Stato;Riscattato il;Cliente;Ordini',
+      'SCUSE-AB23CD45;Scuse;1;1;Esaurito;2026-10-02;a@b.it;AVM-1',
+      'SCUSE-XY78ZW9K;Scuse;0;1;Disponibile;;;'
+    ]);
+  });
+});
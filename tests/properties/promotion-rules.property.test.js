@@ -0,0 +1,331 @@
+/**
+ * Promotion Rules Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: the shared rules engine never discounts more than the eligible
+ * lines, the caps or the cart; every refusal is explained by a failed
+ * check; stacking keeps the best allowed combination; browser cart items
+ * and server-priced lines get the same discount. Covers every promotion
+ * type, including 3x2, tiers, bundles, free weight and free shipping.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  PROMOTION_RULES,
+  evaluatePromotion,
+  evaluatePromotions,
+  formatPromotionLabel,
+  parsePromotionTiers,
+  formatPromotionTiers,
+  getEligibleItems,
+  getItemsSubtotalCents,
+  loadAutoPromotions,
+  loadCustomerRedemptions
+} from '../../supabase/functions/_shared/promotions.js';
+import { computeItemPriceCents } from '../../supabase/functions/_shared/pricing.ts';
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const PRODUCTS = ['p1', 'p2', 'p3'];
+const CATEGORIES = { p1: 'frutta', p2: 'frutta', p3: 'verdura' };
+
+// Cart items as the product page builds them
+const cartItemArb = fc.record({
+  productId: fc.constantFrom(...PRODUCTS),
+  unitPrice: fc.integer({ min: 50, max: 3000 }).map(n => n / 100),
+  weight_grams: fc.constantFrom(null, 250, 500, 1000, 1500),
+  quantity: fc.integer({ min: 1, max: 10 })
+}).map(item => ({
+  ...item,
+  price: item.weight_grams ? (item.unitPrice * item.weight_grams) / 1000 : item.unitPrice
+}));
+
+// Type-specific fields, as allowed by the migration 038 constraints
+const promotionTypeArb = fc.oneof(
+  fc.record({
+    discount_type: fc.constantFrom('percentage', 'fixed'),
+    discount_value: fc.integer({ min: 1, max: 60 }),
+    rules: fc.constant({})
+  }),
+  fc.record({
+    discount_type: fc.constant('buy_x_get_y'),
+    rules: fc.record({ buy_quantity: fc.integer({ min: 1, max: 3 }), free_quantity: fc.integer({ min: 1, max: 2 }) })
+  }),
+  fc.record({
+    discount_type: fc.constant('tiered'),
+    rules: fc.record({
+      tiers: fc.array(fc.record({
+        min_amount: fc.constantFrom(0, 10, 40, 80),
+        percent: fc.integer({ min: 1, max: 30 })
+      }), { minLength: 1, maxLength: 3 })
+    })
+  }),
+  fc.record({
+    discount_type: fc.constant('bundle'),
+    rules: fc.record({ price: fc.integer({ min: 100, max: 2000 }).map(n => n / 100) }),
+    applies_to: fc.constant('product'),
+    applies_to_ids: fc.constantFrom(['p1', 'p2'], ['p1', 'p3'], ['p1', 'p2', 'p3'])
+  }),
+  fc.record({
+    discount_type: fc.constant('weight_bonus'),
+    rules: fc.record({ buy_grams: fc.constantFrom(500, 1000, 2000), free_grams: fc.constantFrom(250, 500) })
+  }),
+  fc.record({ discount_type: fc.constant('free_shipping'), rules: fc.constant({}) })
+);
+
+const promotionArb = fc.tuple(fc.record({
+  id: fc.uuid(),
+  name: fc.constantFrom('Estate', 'Benvenuto', 'Frutta'),
+  code: fc.constantFrom('ESTATE10', 'BENVENUTO', null),
+  discount_value: fc.constant(0),
+  min_purchase: fc.constantFrom(0, 20, 80),
+  max_discount: fc.constantFrom(null, 5, 15),
+  usage_limit: fc.constantFrom(null, 1, 100),
+  usage_count: fc.integer({ min: 0, max: 100 }),
+  applies_to: fc.constantFrom('all', 'category', 'product'),
+  applies_to_ids: fc.constantFrom([], ['frutta'], ['p3'], ['p1', 'p3']),
+  starts_at: fc.constantFrom('2026-01-01T00:00:00Z', '2026-07-01T00:00:00Z'),
+  ends_at: fc.constantFrom('2026-12-31T00:00:00Z', '2026-06-01T00:00:00Z'),
+  is_active: fc.boolean(),
+  stackable: fc.boolean()
+}), promotionTypeArb).map(([base, type]) => ({ ...base, ...type }));
+
+const context = { now: NOW, categoryByProduct: CATEGORIES };
+
+describe('Promotion Rules Property Tests', () => {
+  it('should never discount more than the eligible lines or the cap', () => {
+    fc.assert(
+      fc.property(promotionArb, fc.array(cartItemArb, { maxLength: 6 }), (promotion, items) => {
+        const result = evaluatePromotion(promotion, items, context);
+        const eligibleCents = getItemsSubtotalCents(getEligibleItems(promotion, items, CATEGORIES));
+
+        expect(result.discountCents).toBeGreaterThanOrEqual(0);
+        expect(result.discountCents).toBeLessThanOrEqual(eligibleCents);
+        if (promotion.max_discount) {
+          expect(result.discountCents).toBeLessThanOrEqual(promotion.max_discount * 100);
+        }
+        if (promotion.discount_type === 'fixed') {
+          expect(result.discountCents).toBeLessThanOrEqual(promotion.discount_value * 100);
+        }
+        expect(result.discount).toBe(result.discountCents / 100);
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  it('should explain every refusal with a failed check', () => {
+    fc.assert(
+      fc.property(promotionArb, fc.array(cartItemArb, { maxLength: 6 }), (promotion, items) => {
+        const result = evaluatePromotion(promotion, items, context);
+        const failed = result.checks.filter(c => !c.passed);
+
+        if (result.applied) {
+          expect(failed).toEqual([]);
+          // Free shipping discounts the delivery, not the products
+          if (promotion.discount_type === 'free_shipping') {
+            expect(result.freeShipping).toBe(true);
+            expect(result.discountCents).toBe(0);
+          } else {
+            expect(result.discountCents).toBeGreaterThan(0);
+          }
+        } else {
+          expect(result.freeShipping).toBe(false);
+          expect(result.notes).toEqual([]);
+          expect(result.discountCents).toBe(0);
+          expect(failed.length).toBeGreaterThan(0);
+          expect(result.message).toBe(failed[0].message);
+        }
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  it('should keep the best allowed combination when stacking', () => {
+    fc.assert(
+      fc.property(
+        fc.array(promotionArb, { maxLength: 4 }),
+        fc.array(cartItemArb, { minLength: 1, maxLength: 6 }),
+        (promotions, items) => {
+          const combined = evaluatePromotions(promotions, items, context);
+          const alone = promotions.map(p => evaluatePromotion(p, items, context));
+          const stackableTotal = Math.min(
+            combined.subtotalCents,
+            alone.filter((r, i) => r.applied && promotions[i].stackable).reduce((sum, r) => sum + r.discountCents, 0)
+          );
+          const bestSingle = Math.max(0, ...alone.filter((r, i) => r.applied && !promotions[i].stackable)
+            .map(r => r.discountCents));
+
+          expect(combined.discountCents).toBe(Math.max(stackableTotal, bestSingle));
+          expect(combined.discountCents).toBeLessThanOrEqual(combined.subtotalCents);
+
+          // A non-stackable promotion is never combined with another one
+          const discounted = combined.applied.filter(r => r.type !== 'free_shipping');
+          if (discounted.some(r => !r.stackable)) {
+            expect(discounted).toHaveLength(1);
+          }
+          expect(combined.freeShipping).toBe(alone.some(r => r.freeShipping));
+          // Valid promotions left out say why
+          combined.results.forEach((result, i) => {
+            if (alone[i].applied && !result.applied) {
+              expect(result.checks.at(-1).rule).toBe(PROMOTION_RULES.stacking);
+            }
+          });
+        }
+      ),
+      { numRuns: 300 }
+    );
+  });
+
+  it('should give browser cart items and server-priced lines the same discount', () => {
+    fc.assert(
+      fc.property(promotionArb, fc.array(cartItemArb, { maxLength: 6 }), (promotion, items) => {
+        const serverLines = items.map(item => ({
+          productId: item.productId,
+          price: computeItemPriceCents(item.unitPrice, item.weight_grams) / 100,
+          priceCents: computeItemPriceCents(item.unitPrice, item.weight_grams),
+          unitPriceCents: Math.round(item.unitPrice * 100),
+          weight_grams: item.weight_grams,
+          quantity: item.quantity
+        }));
+
+        expect(evaluatePromotion(promotion, items, context))
+          .toEqual(evaluatePromotion(promotion, serverLines, context));
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  it('should read applies_to and explain limits, owner and first order', () => {
+    const items = [
+      { productId: 'p1', price: 30, quantity: 1 },
+      { productId: 'p3', price: 10, quantity: 1 }
+    ];
+    const base = {
+      id: 'promo', name: 'Frutta', discount_type: 'percentage', discount_value: 10,
+      applies_to: 'category', applies_to_ids: ['frutta']
+    };
+
+    expect(evaluatePromotion(base, items, context).discountCents).toBe(300);
+    expect(evaluatePromotion({ ...base, min_purchase: 40 }, items, context).message)
+      .toBe('Acquisto minimo di €40.00 richiesto');
+    expect(evaluatePromotion({ ...base, usage_limit: 5, usage_count: 5 }, items, context).message)
+      .toBe('Codice promozionale esaurito');
+    expect(evaluatePromotion({ ...base, user_id: 'u1' }, items, { ...context, userId: 'u2' }).applied).toBe(false);
+    expect(evaluatePromotion({ ...base, is_first_order_code: true }, items, { ...context, hasCompletedOrder: true }).message)
+      .toBe('Codice valido solo per il primo ordine');
+    expect(evaluatePromotion({ ...base, applies_to: 'product', applies_to_ids: ['p2'] }, items, context).message)
+      .toBe('Nessun prodotto nel carrello rientra nella promozione');
+
+    const capped = evaluatePromotion({ ...base, discount_value: 50, max_discount: 5 }, items, context);
+    expect(capped.discountCents).toBe(500);
+    expect(capped.checks.find(c => c.rule === PROMOTION_RULES.maxDiscount).message)
+      .toBe('Sconto limitato al massimo di €5.00');
+
+    const stacked = evaluatePromotions([
+      { ...base, id: 'a', name: 'Codice', applies_to: 'all' },
+      { ...base, id: 'b', name: 'Automatica', discount_type: 'fixed', discount_value: 8, applies_to: 'all' }
+    ], items, context);
+    expect(stacked.discountCents).toBe(800);
+    expect(stacked.results[0].message).toBe('Non cumulabile con "Automatica"');
+  });
+
+  it('should price 3x2, tiers, bundles, free weight and free shipping', () => {
+    const base = { id: 'promo', name: 'Offerta', discount_value: 0, applies_to: 'all', applies_to_ids: [] };
+    const oranges = (quantity, price = 2) => ({ productId: 'p1', price, quantity });
+
+    // 3x2: the cheapest unit of each set of three is free, per product
+    const threeForTwo = { ...base, discount_type: 'buy_x_get_y', rules: { buy_quantity: 2, free_quantity: 1 } };
+    const bogo = evaluatePromotion(threeForTwo, [oranges(2, 3), oranges(1, 2), { productId: 'p3', price: 1, quantity: 2 }], context);
+    expect(bogo.discountCents).toBe(200);
+    expect(bogo.notes).toEqual([{ productId: 'p1', message: '3x2: 1 in omaggio' }]);
+    // Whole cents from browser piece prices too (0.29 * 100 is not 29)
+    expect(evaluatePromotion(threeForTwo, [oranges(3, 0.29)], context).discountCents).toBe(29);
+    expect(evaluatePromotion(threeForTwo, [oranges(2)], context).message)
+      .toBe('Aggiungi 3 pezzi dello stesso prodotto per il 3x2');
+
+    // Tiers: the highest reached tier only
+    const tiered = { ...base, discount_type: 'tiered', rules: { tiers: [{ min_amount: 80, percent: 15 }, { min_amount: 40, percent: 10 }] } };
+    expect(evaluatePromotion(tiered, [oranges(25)], context).discountCents).toBe(500);
+    expect(evaluatePromotion(tiered, [oranges(45)], context).discountCents).toBe(1350);
+    expect(evaluatePromotion(tiered, [oranges(10)], context).message)
+      .toBe('Spendi almeno €40.00 per lo sconto del 10%');
+
+    // Bundle: complete sets only, at the bundle price
+    const bundle = { ...base, discount_type: 'bundle', rules: { price: 5 }, applies_to: 'product', applies_to_ids: ['p1', 'p3'] };
+    const bundleItems = [oranges(3, 4), { productId: 'p3', price: 3, quantity: 2 }];
+    expect(evaluatePromotion(bundle, bundleItems, context).discountCents).toBe(400);
+    expect(evaluatePromotion(bundle, [oranges(3)], context).message).toBe('Aggiungi tutti i prodotti del bundle');
+
+    // Weight bonus: 500 g free every 2.5 kg, at the price per kg
+    const weight = { ...base, discount_type: 'weight_bonus', rules: { buy_grams: 2000, free_grams: 500 } };
+    const potatoes = { productId: 'p3', unitPrice: 1.8, weight_grams: 1000, price: 1.8, quantity: 3 };
+    const bonus = evaluatePromotion(weight, [potatoes], context);
+    expect(bonus.discountCents).toBe(90);
+    expect(bonus.notes).toEqual([{ productId: 'p3', message: '500 g in omaggio' }]);
+
+    // Free shipping does not discount the products and does not compete
+    const shipping = evaluatePromotions([
+      { ...base, id: 'ship', discount_type: 'free_shipping', min_purchase: 30 },
+      { ...base, id: 'pct', discount_type: 'percentage', discount_value: 10 }
+    ], [oranges(20)], context);
+    expect(shipping.freeShipping).toBe(true);
+    expect(shipping.discountCents).toBe(400);
+    expect(shipping.applied).toHaveLength(2);
+
+    expect(formatPromotionLabel(threeForTwo)).toBe('3x2');
+    expect(formatPromotionLabel(tiered)).toBe('-10% da €40 · -15% da €80');
+    expect(formatPromotionLabel(bundle)).toBe('Bundle a €5.00');
+    expect(formatPromotionLabel(weight)).toBe('2 kg + 500 g in omaggio');
+    expect(parsePromotionTiers('80:15\n40,5:10\nscaglione')).toEqual([
+      { min_amount: 40.5, percent: 10 }, { min_amount: 80, percent: 15 }
+    ]);
+    expect(formatPromotionTiers(tiered.rules.tiers)).toBe('40:10\n80:15');
+  });
+
+  it('should enforce batch code uses and the per-customer limit', () => {
+    const items = [{ productId: 'p1', price: 30, quantity: 1 }];
+    const promo = { id: 'promo', name: 'Volantino', discount_type: 'fixed', discount_value: 5, per_customer_limit: 2 };
+    const batchCode = { ...promo, code: 'VOLANTINO-AB23CD45', promotion_code_id: 'c1', code_max_uses: 1 };
+    const customer = { ...context, userId: 'u1' };
+
+    expect(evaluatePromotion({ ...batchCode, code_usage_count: 0 }, items, context).promotionCodeId).toBe('c1');
+    expect(evaluatePromotion({ ...batchCode, code_usage_count: 1 }, items, context).message).toBe('Codice già utilizzato');
+    expect(evaluatePromotion(promo, items, { ...customer, redemptionsByPromotion: { promo: 1 } }).applied).toBe(true);
+    expect(evaluatePromotion(promo, items, { ...customer, redemptionsByPromotion: { promo: 2 } }).message)
+      .toBe('Promozione già utilizzata 2 volte');
+    expect(evaluatePromotion({ ...promo, per_customer_limit: 1 }, items, { ...customer, redemptionsByPromotion: { promo: 1 } }).message)
+      .toBe('Promozione già utilizzata');
+    // Unknown redemptions (guest cart) leave the check to the server
+    expect(evaluatePromotion(promo, items, customer).applied).toBe(true);
+  });
+
+  it('should load open-ended automatic promotions and refuse limits it cannot check', async () => {
+    const rows = [
+      { id: 'open', starts_at: null, ends_at: null },
+      { id: 'no-end', starts_at: '2026-06-01T00:00:00Z', ends_at: null },
+      { id: 'no-start', starts_at: null, ends_at: '2026-06-30T00:00:00Z' },
+      { id: 'future', starts_at: '2026-07-01T00:00:00Z', ends_at: null },
+      { id: 'ended', starts_at: null, ends_at: '2026-06-01T00:00:00Z' }
+    ];
+    const query = (result) => {
+      const builder = {
+        select: () => builder,
+        eq: () => builder,
+        in: () => builder,
+        then: (resolve) => resolve(result)
+      };
+      return { from: () => builder };
+    };
+
+    const loaded = await loadAutoPromotions(query({ data: rows, error: null }), NOW);
+    expect(loaded.map(p => p.id)).toEqual(['open', 'no-end', 'no-start']);
+
+    const promo = { id: 'promo', name: 'Benvenuto', discount_type: 'fixed', discount_value: 5, per_customer_limit: 1 };
+    const redemptions = await loadCustomerRedemptions(query({ data: null, error: { message: 'timeout' } }), [promo], 'u1');
+    const result = evaluatePromotion(promo, [{ productId: 'p1', price: 30, quantity: 1 }], {
+      ...context, userId: 'u1', redemptionsByPromotion: redemptions
+    });
+    expect(result.applied).toBe(false);
+    expect(result.message).toBe('Impossibile verificare gli utilizzi della promozione');
+  });
+});
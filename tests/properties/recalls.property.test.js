@@ -0,0 +1,123 @@
+/**
+ * Recalls Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: every order that received a recalled lot reaches exactly one
+ * customer entry and one row of the export, and recall progress read back
+ * from audit_log counts each order once, however many times it was retried
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  RECALL_ACTIONS,
+  groupAffectedCustomers,
+  buildRecallHistory,
+  getRecallProgress,
+  buildRecallCsv
+} from '../../js/utils/recalls.js';
+
+const orderArb = fc.record({
+  id: fc.uuid(),
+  order_number: fc.integer({ min: 1000, max: 9999 }).map(n => `MF${n}`),
+  created_at: fc.constantFrom('2025-09-01T10:00:00Z', '2025-09-15T08:30:00Z', '2025-10-02T17:45:00Z'),
+  user_id: fc.constantFrom(null, 'user-a', 'user-b', 'user-c'),
+  shipping_address: fc.record({ firstName: fc.constantFrom('Anna', 'Luca'), city: fc.constantFrom('Bari', 'Roma') })
+});
+
+// Account emails as returned by getCustomerEmails
+const emails = new Map([['user-a', 'anna@example.com'], ['user-b', 'luca@example.com']]);
+
+// Order lines of the lot: some orders have more than one line of it
+const linesArb = fc.uniqueArray(orderArb, { selector: o => o.id, minLength: 1, maxLength: 12 })
+  .chain(orders => fc.array(
+    fc.record({ order: fc.constantFrom(...orders), quantity: fc.integer({ min: 1, max: 5 }) }),
+    { minLength: 1, maxLength: 20 }
+  ))
+  .map(lines => lines.map(({ order, quantity }) => ({ quantity, orders: order })));
+
+describe('Recalls Property Tests', () => {
+  it('should put every affected order under exactly one customer', () => {
+    fc.assert(
+      fc.property(linesArb, (lines) => {
+        const customers = groupAffectedCustomers(lines, emails);
+        const orderIds = customers.flatMap(c => c.orders.map(o => o.order_id));
+
+        expect(new Set(orderIds).size).toBe(orderIds.length);
+        expect(new Set(orderIds)).toEqual(new Set(lines.map(l => l.orders.id)));
+
+        const totalQuantity = lines.reduce((sum, l) => sum + l.quantity, 0);
+        expect(customers.reduce((sum, c) => sum + c.total_quantity, 0)).toBe(totalQuantity);
+
+        // Registered customers once, guests per order
+        customers.filter(c => c.user_id).forEach(c => {
+          expect(customers.filter(other => other.user_id === c.user_id)).toHaveLength(1);
+        });
+        customers.filter(c => !c.user_id).forEach(c => expect(c.orders).toHaveLength(1));
+        customers.forEach(c => expect(c.email).toBe(emails.get(c.user_id) || ''));
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should export one row per affected order', () => {
+    fc.assert(
+      fc.property(linesArb, (lines) => {
+        const customers = groupAffectedCustomers(lines, emails);
+        const csv = buildRecallCsv({ product_name: 'Pomodoro; ciliegino', lot_number: 'L2025-041' }, customers);
+        const rows = csv.split('\r\n');
+
+        expect(rows).toHaveLength(1 + new Set(lines.map(l => l.orders.id)).size);
+        rows.slice(1).forEach(row => expect(row.startsWith('"Pomodoro; ciliegino";L2025-041;')).toBe(true));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should count each notified order once across retries', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(fc.uuid(), { minLength: 1, maxLength: 8 }),
+        fc.array(fc.record({ order: fc.nat(7), email: fc.boolean(), push: fc.boolean() }), { maxLength: 30 }),
+        (orderIds, attempts) => {
+          const entries = [
+            { action: RECALL_ACTIONS.started, created_at: '2025-10-01T08:00:00Z', details: { recall_id: 'r1', lot_number: 'L1', affected_orders: orderIds.length } },
+            ...attempts.map((a, i) => ({
+              action: RECALL_ACTIONS.notified,
+              created_at: `2025-10-01T09:${String(i).padStart(2, '0')}:00Z`,
+              details: { recall_id: 'r1', order_id: orderIds[a.order % orderIds.length], email: a.email, push: a.push }
+            }))
+          ];
+
+          const [recall] = buildRecallHistory([...entries].reverse());
+          const progress = getRecallProgress(recall);
+          const reached = new Set(
+            attempts.filter(a => a.email || a.push).map(a => orderIds[a.order % orderIds.length])
+          );
+
+          expect(progress.notified).toBe(reached.size);
+          expect(progress.notified + progress.failed).toBeLessThanOrEqual(orderIds.length);
+          expect(progress.percent).toBeLessThanOrEqual(100);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should track export and closing of each recall separately', () => {
+    const history = buildRecallHistory([
+      { action: RECALL_ACTIONS.started, created_at: '2025-10-01T08:00:00Z', details: { recall_id: 'r1', affected_orders: 0 } },
+      { action: RECALL_ACTIONS.started, created_at: '2025-10-03T08:00:00Z', details: { recall_id: 'r2', affected_orders: 2 } },
+      { action: RECALL_ACTIONS.exported, created_at: '2025-10-04T08:00:00Z', details: { recall_id: 'r1' } },
+      { action: RECALL_ACTIONS.closed, created_at: '2025-10-05T08:00:00Z', details: { recall_id: 'r1' } },
+      { action: RECALL_ACTIONS.notified, created_at: '2025-10-05T09:00:00Z', details: { recall_id: 'unknown', order_id: 'x', email: true } }
+    ]);
+
+    expect(history.map(r => r.id)).toEqual(['r2', 'r1']);
+    expect(history[1].exported_at).toBe('2025-10-04T08:00:00Z');
+    expect(history[1].closed_at).toBe('2025-10-05T08:00:00Z');
+    expect(history[0].closed_at).toBeNull();
+    expect(getRecallProgress(history[1]).percent).toBe(100);
+    expect(getRecallProgress(history[0]).percent).toBe(0);
+  });
+});
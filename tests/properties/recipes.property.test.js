@@ -0,0 +1,151 @@
+/**
+ * Recipes Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: "add all ingredients" only puts in the cart variants the
+ * product page would sell, one line per product and weight, and every
+ * ingredient is either in the cart or reported as skipped
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  parseRecipeSteps,
+  formatRecipeSteps,
+  formatRecipeTime,
+  isVariantAvailable,
+  planRecipeCart,
+  renderRecipeCards
+} from '../../js/utils/recipes.js';
+
+const WEIGHTS = [250, 500, 1000, 1500];
+
+const productArb = fc.record({
+  id: fc.constantFrom('p1', 'p2', 'p3', 'p4'),
+  name: fc.constantFrom('Pomodori', 'Basilico', 'Mozzarella'),
+  price: fc.integer({ min: 100, max: 2000 }).map(n => n / 100),
+  sale_price: fc.constantFrom(null, 1.5),
+  unit_measure: fc.constantFrom('kg', 'pz', 'l'),
+  is_active: fc.boolean(),
+  images: fc.constant([])
+});
+
+// One product definition per id, as the join would return it
+const ingredientsArb = fc.dictionary(fc.constantFrom('p1', 'p2', 'p3', 'p4'), productArb, { minKeys: 1 })
+  .chain(productsById => fc.array(
+    fc.record({
+      id: fc.uuid(),
+      name: fc.constantFrom('Pomodori', 'Sale q.b.', 'Basilico'),
+      product_id: fc.constantFrom(null, ...Object.keys(productsById)),
+      weight_grams: fc.constantFrom(null, ...WEIGHTS),
+      quantity: fc.integer({ min: 1, max: 6 }),
+      is_optional: fc.boolean()
+    }),
+    { maxLength: 10 }
+  ).map(lines => lines.map(line => ({
+    ...line,
+    products: line.product_id ? { ...productsById[line.product_id], id: line.product_id } : null
+  }))));
+
+const inventoryArb = fc.dictionary(
+  fc.constantFrom('p1', 'p2', 'p3', 'p4'),
+  fc.uniqueArray(
+    fc.record({ weight_grams: fc.constantFrom(...WEIGHTS), quantity: fc.integer({ min: 0, max: 5 }) }),
+    { selector: row => row.weight_grams, maxLength: 4 }
+  )
+);
+
+describe('Recipes Property Tests', () => {
+  it('should add one line per product and weight, within the cart limit', () => {
+    fc.assert(
+      fc.property(ingredientsArb, inventoryArb, (ingredients, inventory) => {
+        const { items } = planRecipeCart(ingredients, inventory);
+        const keys = items.map(item => `${item.productId}:${item.weight_grams}`);
+
+        expect(new Set(keys).size).toBe(keys.length);
+        items.forEach(item => {
+          expect(item.quantity).toBeGreaterThanOrEqual(1);
+          expect(item.quantity).toBeLessThanOrEqual(10);
+        });
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should only add variants the product page would sell', () => {
+    fc.assert(
+      fc.property(ingredientsArb, inventoryArb, (ingredients, inventory) => {
+        const { items } = planRecipeCart(ingredients, inventory);
+
+        items.forEach(item => {
+          const product = ingredients.find(i => i.product_id === item.productId).products;
+          expect(product.is_active).toBe(true);
+
+          if (item.weight_grams !== null) {
+            expect(isVariantAvailable(inventory[item.productId], item.weight_grams, item.quantity)).toBe(true);
+            expect(item.price).toBeCloseTo(((product.sale_price || product.price) * item.weight_grams) / 1000);
+          } else {
+            expect(product.unit_measure).toBe('pz');
+            expect(item.size).toBe(`${item.quantity} pz`);
+          }
+        });
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should either add or report every ingredient', () => {
+    fc.assert(
+      fc.property(ingredientsArb, inventoryArb, fc.boolean(), (ingredients, inventory, includeOptional) => {
+        const { items, skipped } = planRecipeCart(ingredients, inventory, { includeOptional });
+        const skippedIds = new Set(skipped.map(s => s.ingredient.id));
+
+        ingredients.filter(i => includeOptional || !i.is_optional).forEach(ingredient => {
+          const inCart = items.some(item => item.productId === ingredient.product_id);
+          expect(inCart || skippedIds.has(ingredient.id)).toBe(true);
+        });
+        if (!includeOptional) {
+          skipped.forEach(s => expect(s.ingredient.is_optional).toBe(false));
+        }
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should refuse a sold-out variant and allow a custom weight when others are in stock', () => {
+    const inventory = [{ weight_grams: 500, quantity: 0 }, { weight_grams: 1000, quantity: 3 }];
+
+    expect(isVariantAvailable(inventory, 500)).toBe(false);
+    expect(isVariantAvailable(inventory, 1000, 3)).toBe(true);
+    expect(isVariantAvailable(inventory, 1000, 4)).toBe(false);
+    expect(isVariantAvailable(inventory, 750)).toBe(true);
+    expect(isVariantAvailable([], 750)).toBe(true);
+  });
+
+  it('should read back the steps written to the textarea', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.record({
+          text: fc.constantFrom('Lavate i pomodori', 'Scolate la pasta al dente', 'Servite con basilico fresco'),
+          image: fc.constantFrom(null, 'https://example.com/passo.jpg')
+        }), { maxLength: 8 }),
+        (steps) => {
+          expect(parseRecipeSteps(formatRecipeSteps(steps))).toEqual(steps);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should format times and escape recipe cards', () => {
+    expect(formatRecipeTime({ prep_minutes: 15, cook_minutes: 60 })).toBe('1 h 15 min');
+    expect(formatRecipeTime({ prep_minutes: 40 })).toBe('40 min');
+    expect(formatRecipeTime({ cook_minutes: 120 })).toBe('2 h');
+    expect(formatRecipeTime({})).toBe('');
+
+    const html = renderRecipeCards([{ slug: 'pasta e fagioli', title: 'Pasta <e> fagioli', images: [], difficulty: 'facile' }]);
+    expect(html).toContain('recipe.html?slug=pasta%20e%20fagioli');
+    expect(html).toContain('Pasta &lt;e&gt; fagioli');
+    expect(html).toContain('Facile');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Recommendations Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: "frequently bought together" keeps the ranking of the RPC,
+ * and the bundle total is exactly what the cart will charge for the
+ * product plus the selected companions
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { orderByRanking, buildBundle } from '../../js/utils/recommendations.js';
+import { buildCartItem, formatVariantLabel } from '../../js/utils/cart-items.js';
+
+const IDS = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'];
+
+const productArb = (id) => fc.record({
+  id: fc.constant(id),
+  name: fc.constantFrom('Pomodori', 'Basilico', 'Mozzarella', 'Olio'),
+  price: fc.integer({ min: 100, max: 3000 }).map(n => n / 100),
+  sale_price: fc.constantFrom(null, 0.99, 2.5),
+  unit_measure: fc.constantFrom('kg', 'pz', 'l'),
+  images: fc.constant([])
+});
+
+const rankedArb = fc.uniqueArray(fc.constantFrom(...IDS), { maxLength: IDS.length }).chain(ids => fc.tuple(
+  ...ids.map(id => fc.record({
+    id: fc.constant(id),
+    source: fc.constantFrom('pinned', 'affinity', 'category'),
+    default_weight_grams: fc.constantFrom(null, 250, 500, 1000)
+  }))
+));
+
+const catalogArb = fc.subarray(IDS).chain(ids => fc.tuple(...ids.map(productArb)));
+
+describe('Recommendations Property Tests', () => {
+  it('should keep the ranking order and drop products that were not fetched', () => {
+    fc.assert(
+      fc.property(rankedArb, catalogArb, (ranked, catalog) => {
+        const shuffled = [...catalog].reverse();
+        const result = orderByRanking(ranked, shuffled);
+        const fetched = new Set(catalog.map(p => p.id));
+
+        expect(result.map(p => p.id)).toEqual(ranked.filter(r => fetched.has(r.id)).map(r => r.id));
+        result.forEach(product => {
+          const row = ranked.find(r => r.id === product.id);
+          expect(product.recommendation_source).toBe(row.source);
+          expect(product.default_weight_grams).toBe(row.default_weight_grams);
+        });
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should total the product and the selected companions only', () => {
+    fc.assert(
+      fc.property(
+        productArb('main'),
+        fc.constantFrom(null, 500, 1000, 1500),
+        rankedArb,
+        catalogArb,
+        fc.subarray(IDS),
+        (product, weightGrams, ranked, catalog, selectedIds) => {
+          const companions = orderByRanking(ranked, catalog);
+          const { items, total } = buildBundle(product, weightGrams, companions, selectedIds);
+
+          expect(items[0]).toEqual(buildCartItem(product, { weightGrams }));
+          expect(items.slice(1).map(item => item.productId))
+            .toEqual(companions.filter(c => selectedIds.includes(c.id)).map(c => c.id));
+
+          const expected = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+          expect(total).toBe(Math.round(expected * 100) / 100);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should build cart items like the product page', () => {
+    const tomatoes = { id: 'p1', name: 'Pomodori', price: 4, sale_price: 3, unit_measure: 'kg', images: ['a.jpg'] };
+
+    expect(buildCartItem(tomatoes, { weightGrams: 500 })).toMatchObject({
+      price: 1.5, unitPrice: 3, size: '500 g', weight_grams: 500, image: 'a.jpg', quantity: 1
+    });
+    expect(buildCartItem(tomatoes).size).toBe('1 Kg');
+    expect(buildCartItem({ ...tomatoes, unit_measure: 'pz' }, { weightGrams: 500, quantity: 3 })).toMatchObject({
+      price: 3, size: '3 pz', weight_grams: null
+    });
+    expect(buildCartItem(tomatoes, { quantity: 40 }).quantity).toBe(10);
+    expect(formatVariantLabel(1500, 'l')).toBe('1.50 L');
+    expect(formatVariantLabel(750, 'l')).toBe('750 ml');
+  });
+});
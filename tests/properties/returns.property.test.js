@@ -0,0 +1,170 @@
+/**
+ * Returns Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: a return never refunds more than what is left of the payment,
+ * returned quantities are bounded by the order, the return window only
+ * opens on delivered orders, and weighing never charges the customer more
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_RETURN_POLICY,
+  calculateReturnRefund,
+  calculateWeightAdjustment,
+  getReturnableQuantities,
+  isReturnEligible,
+  shouldRevokeReferral
+} from '../../supabase/functions/_shared/returns.js';
+
+const priceArb = fc.integer({ min: 50, max: 5000 }).map(cents => cents / 100);
+
+const orderArb = fc.record({
+  subtotal: fc.integer({ min: 100, max: 20000 }).map(cents => cents / 100),
+  shipping_cost: fc.constantFrom(0, 5.9),
+  discountShare: fc.double({ min: 0, max: 0.5, noNaN: true }),
+  refunded_amount: fc.integer({ min: 0, max: 2000 }).map(cents => cents / 100)
+}).map(({ discountShare, ...order }) => {
+  const total = Math.round((order.subtotal * (1 - discountShare) + order.shipping_cost) * 100) / 100;
+  return { ...order, total, refunded_amount: Math.min(order.refunded_amount, total) };
+});
+
+const linesArb = fc.array(
+  fc.record({ product_price: priceArb, quantity: fc.integer({ min: 1, max: 5 }) }),
+  { minLength: 1, maxLength: 5 }
+);
+
+describe('Returns Property Tests', () => {
+  it('should never refund more than the remaining payment', () => {
+    fc.assert(
+      fc.property(orderArb, linesArb, fc.boolean(), (order, lines, returnsEverything) => {
+        const refund = calculateReturnRefund(order, lines, { returnsEverything });
+        const remaining = Math.round((order.total - order.refunded_amount) * 100) / 100;
+
+        expect(refund.amount).toBeGreaterThanOrEqual(0);
+        expect(refund.amount).toBeLessThanOrEqual(remaining + 0.001);
+        if (returnsEverything) {
+          expect(refund.amount).toBeCloseTo(remaining, 2);
+          expect(refund.fullRefund).toBe(true);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should refund lines in proportion to what was paid for the goods', () => {
+    const order = { subtotal: 40, shipping_cost: 5.9, total: 41.9, refunded_amount: 0 };
+    // Paid 36 for 40 of goods (10% discount): a €10 line refunds €9
+    const refund = calculateReturnRefund(order, [{ product_price: 5, quantity: 2 }]);
+
+    expect(refund.itemsTotal).toBe(10);
+    expect(refund.amount).toBe(9);
+    expect(refund.fullRefund).toBe(false);
+
+    // Paid entirely with a gift card: nothing to send back to the card
+    expect(calculateReturnRefund({ ...order, total: 0 }, [{ product_price: 5, quantity: 2 }]).amount).toBe(0);
+  });
+
+  it('should keep returnable quantities between zero and the ordered quantity', () => {
+    const orderItems = [{ id: 'a', quantity: 3 }, { id: 'b', quantity: 1 }];
+    const requestArb = fc.record({
+      status: fc.constantFrom('pending', 'approved', 'rejected'),
+      return_request_items: fc.array(
+        fc.record({ order_item_id: fc.constantFrom('a', 'b', 'x'), quantity: fc.integer({ min: 1, max: 3 }) }),
+        { maxLength: 3 }
+      )
+    });
+
+    fc.assert(
+      fc.property(fc.array(requestArb, { maxLength: 4 }), (returns) => {
+        const returnable = getReturnableQuantities(orderItems, returns);
+
+        expect(Object.keys(returnable).sort()).toEqual(['a', 'b']);
+        for (const item of orderItems) {
+          expect(returnable[item.id]).toBeGreaterThanOrEqual(0);
+          expect(returnable[item.id]).toBeLessThanOrEqual(item.quantity);
+        }
+
+        // Rejected requests give the quantities back
+        const rejectedOnly = returns.map(r => ({ ...r, status: 'rejected' }));
+        expect(getReturnableQuantities(orderItems, rejectedOnly)).toEqual({ a: 3, b: 1 });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should only accept returns on delivered orders within the window', () => {
+    const now = new Date('2026-05-20T12:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    expect(isReturnEligible({ status: 'delivered', delivered_at: daysAgo(2) }, DEFAULT_RETURN_POLICY, now)).toBe(true);
+    expect(isReturnEligible({ status: 'delivered', delivered_at: daysAgo(8) }, DEFAULT_RETURN_POLICY, now)).toBe(false);
+    expect(isReturnEligible({ status: 'shipped', delivered_at: null, updated_at: daysAgo(1) }, DEFAULT_RETURN_POLICY, now)).toBe(false);
+    expect(isReturnEligible({ status: 'refunded', delivered_at: daysAgo(1) }, DEFAULT_RETURN_POLICY, now)).toBe(false);
+    // Orders delivered before delivered_at existed fall back to updated_at
+    expect(isReturnEligible({ status: 'delivered', updated_at: daysAgo(3) }, { window_days: 2 }, now)).toBe(false);
+  });
+
+  it('should re-price weighed lines and never owe more than the remaining payment', () => {
+    const weighedLineArb = fc.record({
+      id: fc.uuid(),
+      product_price: priceArb,
+      quantity: fc.integer({ min: 1, max: 4 }),
+      weight_grams: fc.constantFrom(250, 500, 1000),
+      packedRatio: fc.double({ min: 0.5, max: 1.5, noNaN: true })
+    }).map(({ packedRatio, ...line }) => ({
+      ...line,
+      actual_weight_grams: Math.round(line.weight_grams * line.quantity * packedRatio)
+    }));
+
+    fc.assert(
+      fc.property(orderArb, fc.array(weighedLineArb, { minLength: 1, maxLength: 4 }), (order, lines) => {
+        const adjustment = calculateWeightAdjustment(order, lines);
+
+        expect(adjustment.lines).toHaveLength(lines.length);
+        expect(adjustment.amount).toBeGreaterThanOrEqual(0);
+        expect(adjustment.amount).toBeLessThanOrEqual(Math.round((order.total - order.refunded_amount) * 100) / 100 + 0.001);
+        if (adjustment.difference <= 0) {
+          expect(adjustment.amount).toBe(0);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should refund the price of the missing grams', () => {
+    const order = { subtotal: 20, shipping_cost: 0, total: 20, refunded_amount: 0 };
+    // 2 × 500 g at €3.00 each (€6/kg), 900 g packed: €0.60 back
+    const adjustment = calculateWeightAdjustment(order, [
+      { id: 'a', product_price: 3, quantity: 2, weight_grams: 500, actual_weight_grams: 900 },
+      { id: 'b', product_price: 4, quantity: 1, weight_grams: 1000, actual_weight_grams: null },
+      { id: 'c', product_price: 2, quantity: 1, weight_grams: null, actual_weight_grams: 100 }
+    ]);
+
+    expect(adjustment.lines).toEqual([{ id: 'a', orderedTotal: 6, adjustedTotal: 5.4 }]);
+    expect(adjustment.difference).toBe(0.6);
+    expect(adjustment.amount).toBe(0.6);
+  });
+
+  it('should not refund again what a weight adjustment gave back as credit', () => {
+    const order = { subtotal: 20, shipping_cost: 5.9, total: 25.9, refunded_amount: 0, credited_amount: 0 };
+    const { amount } = calculateWeightAdjustment(order, [
+      { id: 'a', product_price: 3, quantity: 2, weight_grams: 500, actual_weight_grams: 900 }
+    ]);
+    expect(amount).toBe(0.6);
+
+    // The credit adjustment, then the whole order returned
+    const credited = { ...order, credited_amount: amount };
+    const refund = calculateReturnRefund(credited, [{ product_price: 20, quantity: 1 }], { returnsEverything: true });
+    expect(refund.amount).toBe(25.3);
+    expect(refund.amount + credited.credited_amount).toBeCloseTo(order.total, 2);
+  });
+
+  it('should revoke the referral reward only when the kept order drops below the minimum', () => {
+    expect(shouldRevokeReferral({ subtotal: 50, returnedSubtotal: 10, minimumOrder: 35 })).toBe(false);
+    expect(shouldRevokeReferral({ subtotal: 50, returnedSubtotal: 15, minimumOrder: 35 })).toBe(false);
+    expect(shouldRevokeReferral({ subtotal: 50, returnedSubtotal: 15.01, minimumOrder: 35 })).toBe(true);
+    expect(shouldRevokeReferral({ subtotal: 50, returnedSubtotal: 50, minimumOrder: 35 })).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Search Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: queries are normalized the way search_normalize does in the
+ * database (accents, case and punctuation never change a match), and the
+ * synonym shortcuts resolve on the normalized term. Recent searches keep
+ * the newest copy of each query, up to the limit
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  normalizeSearchText,
+  findSearchRedirect,
+  parseSynonymList,
+  uniqueRecentSearches,
+  addRecentSearch
+} from '../../js/utils/search.js';
+
+const synonyms = [
+  { term: 'frutta', synonyms: [], redirect_url: 'collection.html?gender=frutta', is_active: true },
+  { term: 'insalate pronte', synonyms: [], redirect_url: 'collection.html?gender=secchi-estratti&category=insalate-pronte', is_active: true },
+  { term: 'salumi', synonyms: [], redirect_url: 'collection.html?gender=conserve&category=salumi', is_active: false },
+  { term: 'anguria', synonyms: ['cocomero'], redirect_url: null, is_active: true }
+];
+
+describe('Search Property Tests', () => {
+  it('should be idempotent and only keep lowercase letters, digits and single spaces', () => {
+    fc.assert(
+      fc.property(fc.string(), (text) => {
+        const normalized = normalizeSearchText(text);
+
+        expect(normalizeSearchText(normalized)).toBe(normalized);
+        expect(normalized).toMatch(/^([a-z0-9]+( [a-z0-9]+)*)?$/);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should fold accents, case and punctuation', () => {
+    expect(normalizeSearchText('Pomodòri')).toBe('pomodori');
+    expect(normalizeSearchText('  CAFFÈ   d\'orzo! ')).toBe('caffe d orzo');
+    expect(normalizeSearchText('Perché più')).toBe('perche piu');
+    expect(normalizeSearchText(null)).toBe('');
+  });
+
+  it('should resolve shortcuts on the normalized term only', () => {
+    expect(findSearchRedirect('Frutta', synonyms)?.term).toBe('frutta');
+    expect(findSearchRedirect('  insalate   PRONTE ', synonyms)?.term).toBe('insalate pronte');
+    // Inactive rows and plain synonyms never redirect
+    expect(findSearchRedirect('salumi', synonyms)).toBeNull();
+    expect(findSearchRedirect('anguria', synonyms)).toBeNull();
+    expect(findSearchRedirect('frutta secca', synonyms)).toBeNull();
+    expect(findSearchRedirect('', synonyms)).toBeNull();
+  });
+
+  it('should parse the admin synonym list without blanks or duplicates', () => {
+    fc.assert(
+      fc.property(fc.array(fc.string(), { maxLength: 8 }), (items) => {
+        const parsed = parseSynonymList(items.join(','));
+        const keys = parsed.map(normalizeSearchText);
+
+        expect(keys.every(Boolean)).toBe(true);
+        expect(new Set(keys).size).toBe(keys.length);
+      }),
+      { numRuns: 200 }
+    );
+
+    expect(parseSynonymList('Cocomero, anguria ,, cocomèro')).toEqual(['cocomero', 'anguria']);
+  });
+
+  it('should keep recent searches distinct, newest first and within the limit', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.constantFrom('Pomodori', 'pomodori', 'Mele', 'mèle ', 'rucola', 'anguria', '  '), { maxLength: 20 }),
+        fc.constantFrom('Pesche', 'mele', 'RUCOLA'),
+        fc.integer({ min: 1, max: 8 }),
+        (history, query, limit) => {
+          const recent = addRecentSearch(uniqueRecentSearches(history, limit), query, limit);
+          const keys = recent.map(normalizeSearchText);
+
+          expect(recent[0]).toBe(query);
+          expect(recent.length).toBeLessThanOrEqual(limit);
+          expect(new Set(keys).size).toBe(keys.length);
+          expect(keys.every(Boolean)).toBe(true);
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    expect(uniqueRecentSearches(['Mele', 'pomodori', 'mèle', 'Pomodori'], 8)).toEqual(['Mele', 'pomodori']);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Seasonality Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: a product is ranked peak, in season or out of season exactly
+ * as product_season_rank does in the database, and the admin month
+ * pickers always save valid months with the peak inside the season
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  getCurrentMonth,
+  getSeasonRank,
+  normalizeSeasonMonths,
+  formatSeasonRange
+} from '../../js/utils/seasonality.js';
+
+const monthsArbitrary = fc.uniqueArray(fc.integer({ min: 1, max: 12 }), { maxLength: 12 });
+
+describe('Seasonality Property Tests', () => {
+  it('should rank peak over season over out of season', () => {
+    fc.assert(
+      fc.property(monthsArbitrary, monthsArbitrary, fc.boolean(), fc.integer({ min: 1, max: 12 }), (season, peak, isSeasonal, month) => {
+        const product = { ...normalizeSeasonMonths(season, peak), is_seasonal: isSeasonal };
+        const rank = getSeasonRank(product, month);
+
+        if (product.season_months.length === 0) {
+          // Without months only the manual flag counts
+          expect(rank).toBe(isSeasonal ? 1 : 0);
+        } else {
+          expect(rank > 0).toBe(product.season_months.includes(month));
+          expect(rank === 2).toBe(product.peak_months.includes(month));
+        }
+      }),
+      { numRuns: 300 }
+    );
+  });
+
+  it('should keep months valid, sorted and the peak within the season', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: -2, max: 14 }), { maxLength: 20 }),
+        fc.array(fc.integer({ min: -2, max: 14 }), { maxLength: 20 }),
+        (season, peak) => {
+          const result = normalizeSeasonMonths(season, peak);
+
+          [result.season_months, result.peak_months].forEach(months => {
+            expect(months.every(m => m >= 1 && m <= 12)).toBe(true);
+            expect(months).toEqual([...new Set(months)].sort((a, b) => a - b));
+          });
+          expect(result.peak_months.every(m => result.season_months.includes(m))).toBe(true);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should describe seasons as month ranges, across the new year too', () => {
+    expect(formatSeasonRange([6, 7, 8, 9])).toBe('Giu – Set');
+    expect(formatSeasonRange([11, 12, 1, 2, 5])).toBe('Nov – Feb, Mag');
+    expect(formatSeasonRange([3])).toBe('Mar');
+    expect(formatSeasonRange([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])).toBe('Tutto l\'anno');
+    expect(formatSeasonRange([])).toBe('');
+  });
+
+  it('should number months from 1', () => {
+    expect(getCurrentMonth(new Date(2025, 0, 15))).toBe(1);
+    expect(getCurrentMonth(new Date(2025, 11, 31))).toBe(12);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Shipping Rules Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: the shared calculator picks the most specific zone,
+ * applies its weight band and free threshold, and rejects addresses
+ * outside every zone; the province only counts when it matches the CAP
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_SHIPPING_RULES,
+  CAP_PREFIX_PROVINCES,
+  calculateShipping,
+  getAddressProvince,
+  getCartWeightGrams,
+  resolveShippingZone
+} from '../../supabase/functions/_shared/shipping.js';
+
+const rules = {
+  default_item_grams: 500,
+  zones: [
+    {
+      id: 'bresso',
+      name: 'Bresso',
+      caps: ['20091'],
+      provinces: [],
+      free_threshold: 30,
+      bands: [{ max_grams: null, cost: 2.5 }]
+    },
+    {
+      id: 'milano',
+      name: 'Milano e provincia',
+      cap_prefixes: ['201', '200'],
+      provinces: ['MI', 'MB'],
+      free_threshold: 50,
+      bands: [
+        { max_grams: null, cost: 8.9 },
+        { max_grams: 5000, cost: 4.9 }
+      ]
+    },
+    {
+      id: 'lombardia',
+      name: 'Lombardia',
+      provinces: ['VA', 'CO', 'BG'],
+      free_threshold: null,
+      bands: [{ max_grams: 20000, cost: 9.9 }]
+    }
+  ]
+};
+
+const itemArb = fc.record({
+  quantity: fc.integer({ min: 1, max: 10 }),
+  weight_grams: fc.option(fc.constantFrom(250, 500, 1000, 2000), { nil: null })
+});
+
+describe('Shipping Rules Property Tests', () => {
+  it('should prefer exact CAP over prefix, and CAP over province', () => {
+    expect(resolveShippingZone(rules, { postalCode: '20091', province: 'MI' }).id).toBe('bresso');
+    expect(resolveShippingZone(rules, { postalCode: '20121', province: 'VA' }).id).toBe('milano');
+    expect(resolveShippingZone(rules, { postalCode: '21100', province: 'va' }).id).toBe('lombardia');
+    expect(resolveShippingZone(rules, { postalCode: '00100', province: 'RM' })).toBeNull();
+  });
+
+  it('should never pick a zone from a province the CAP does not belong to', () => {
+    const provinces = [...new Set(Object.values(CAP_PREFIX_PROVINCES).flat())];
+
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...Object.keys(CAP_PREFIX_PROVINCES)),
+        fc.integer({ min: 0, max: 999 }),
+        fc.constantFrom(...provinces),
+        (prefix, rest, province) => {
+          const postalCode = prefix + String(rest).padStart(3, '0');
+          const resolved = getAddressProvince({ postalCode, province });
+          const candidates = CAP_PREFIX_PROVINCES[prefix];
+
+          if (candidates.includes(province)) {
+            expect(resolved).toBe(province);
+          } else {
+            expect(resolved).toBe(candidates.length === 1 ? candidates[0] : '');
+          }
+        }
+      )
+    );
+
+    // Rome CAP with a Lombardy province: not the Lombardy zone
+    expect(resolveShippingZone(rules, { postalCode: '00184', province: 'CO' })).toBeNull();
+    expect(resolveShippingZone(rules, { postalCode: '22100', province: 'RM' }).id).toBe('lombardia');
+    expect(getAddressProvince({ postalCode: '20121', province: 'VA' })).toBe('');
+    expect(getAddressProvince({ province: 'co' })).toBe('CO');
+  });
+
+  it('should reject malformed CAPs', () => {
+    ['2012', '201211', '20I21', 'abcde'].forEach(postalCode => {
+      const quote = calculateShipping(rules, { subtotal: 10, items: [], address: { postalCode, province: 'MI' } });
+      expect(quote.available).toBe(false);
+      expect(quote.reason).toBe('invalid_postal_code');
+    });
+  });
+
+  it('should reject addresses outside every zone', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('RM', 'NA', 'TO'), fc.array(itemArb, { minLength: 1, maxLength: 5 }), (province, items) => {
+        const quote = calculateShipping(rules, { subtotal: 100, items, address: { postalCode: '00100', province } });
+        expect(quote.available).toBe(false);
+        expect(quote.reason).toBe('out_of_area');
+      })
+    );
+
+    expect(calculateShipping(rules, { subtotal: 10, items: [] }).reason).toBe('missing_address');
+  });
+
+  it('should charge the lightest matching band below the free threshold', () => {
+    fc.assert(
+      fc.property(fc.array(itemArb, { minLength: 1, maxLength: 8 }), fc.float({ min: 0, max: 120, noNaN: true }), (items, subtotal) => {
+        const quote = calculateShipping(rules, { subtotal, items, address: { postalCode: '20121' } });
+        const weight = getCartWeightGrams(items, rules.default_item_grams);
+
+        expect(quote.available).toBe(true);
+        expect(quote.zone.id).toBe('milano');
+        expect(quote.weightGrams).toBe(weight);
+        if (subtotal >= 50) {
+          expect(quote.cost).toBe(0);
+          expect(quote.amountToFreeShipping).toBe(0);
+        } else {
+          expect(quote.cost).toBe(weight <= 5000 ? 4.9 : 8.9);
+          expect(quote.amountToFreeShipping).toBeGreaterThan(0);
+        }
+      })
+    );
+  });
+
+  it('should reject carts heavier than the last band', () => {
+    const heavy = [{ quantity: 10, weight_grams: 2500 }];
+    const quote = calculateShipping(rules, { subtotal: 10, items: heavy, address: { province: 'CO' } });
+    expect(quote.available).toBe(false);
+    expect(quote.reason).toBe('overweight');
+  });
+
+  it('should never charge pickup orders', () => {
+    fc.assert(
+      fc.property(fc.array(itemArb, { maxLength: 5 }), fc.float({ min: 0, max: 200, noNaN: true }), (items, subtotal) => {
+        const quote = calculateShipping(rules, { subtotal, items, address: { postalCode: '00100' }, fulfillment: 'pickup' });
+        expect(quote.available).toBe(true);
+        expect(quote.cost).toBe(0);
+      })
+    );
+  });
+
+  it('should keep the previous €5.90 / free from €50 behaviour by default', () => {
+    const items = [{ quantity: 2, weight_grams: null }];
+    expect(calculateShipping(DEFAULT_SHIPPING_RULES, { subtotal: 49.99, items, address: {} }).cost).toBe(5.9);
+    expect(calculateShipping(DEFAULT_SHIPPING_RULES, { subtotal: 50, items, address: { province: 'RM' } }).cost).toBe(0);
+  });
+});
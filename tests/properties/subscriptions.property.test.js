@@ -0,0 +1,102 @@
+/**
+ * Subscriptions Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: the purchasing forecast counts one box per billing date of
+ * active subscriptions only, skipping voids exactly the next box, and
+ * Stripe statuses map onto the shop's four statuses
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  SUBSCRIPTION_FREQUENCIES,
+  getStripeRecurring,
+  getSkipResumesAt,
+  getUpcomingBillingDates,
+  getUpcomingBoxCounts,
+  mapStripeSubscription
+} from '../../supabase/functions/_shared/subscriptions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A Monday
+const now = new Date('2026-06-01T08:00:00Z');
+
+const subscriptionArb = fc.record({
+  product_id: fc.constantFrom('box-small', 'box-large'),
+  frequency: fc.constantFrom('weekly', 'biweekly'),
+  status: fc.constantFrom('active', 'paused', 'past_due', 'cancelled'),
+  cancel_at_period_end: fc.boolean(),
+  nextInHours: fc.integer({ min: 1, max: 14 * 24 })
+}).map(({ nextInHours, ...sub }) => ({
+  ...sub,
+  next_billing_at: new Date(now.getTime() + nextInHours * 60 * 60 * 1000).toISOString(),
+  skip_until: null,
+  products: { name: sub.product_id }
+}));
+
+describe('Subscriptions Property Tests', () => {
+  it('should bill every one or two weeks', () => {
+    expect(getStripeRecurring('weekly')).toEqual({ interval: 'week', interval_count: 1 });
+    expect(getStripeRecurring('biweekly')).toEqual({ interval: 'week', interval_count: 2 });
+    expect(getStripeRecurring('monthly')).toBeNull();
+  });
+
+  it('should forecast one box per billing date of active subscriptions only', () => {
+    fc.assert(
+      fc.property(fc.array(subscriptionArb, { maxLength: 10 }), (subs) => {
+        const forecast = getUpcomingBoxCounts(subs, { from: now, weeks: 4 });
+
+        expect(forecast).toHaveLength(4);
+        const billing = subs.filter(s => s.status === 'active' && !s.cancel_at_period_end);
+        for (const week of forecast) {
+          // At most one billing date per subscription per week
+          expect(week.total).toBeLessThanOrEqual(billing.length);
+          expect(Object.values(week.boxes).reduce((sum, box) => sum + box.count, 0)).toBe(week.total);
+        }
+
+        const total = forecast.reduce((sum, week) => sum + week.total, 0);
+        const expected = billing.reduce((sum, sub) => sum + getUpcomingBillingDates(sub, {
+          from: now,
+          // Four whole weeks from the Monday of the current one
+          until: new Date('2026-06-29T00:00:00Z')
+        }).length, 0);
+        expect(total).toBe(expected);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should skip exactly the next box', () => {
+    fc.assert(
+      fc.property(subscriptionArb, (sub) => {
+        const active = { ...sub, status: 'active', cancel_at_period_end: false };
+        const range = { from: now, until: new Date(now.getTime() + 10 * 7 * DAY_MS) };
+        const before = getUpcomingBillingDates(active, range);
+
+        const skipped = { ...active, skip_until: new Date(getSkipResumesAt(active) * 1000).toISOString() };
+        const after = getUpcomingBillingDates(skipped, range);
+
+        expect(after).toEqual(before.slice(1));
+
+        // Skipping again drops the following box too
+        const skippedTwice = { ...active, skip_until: new Date(getSkipResumesAt(skipped) * 1000).toISOString() };
+        expect(getUpcomingBillingDates(skippedTwice, range)).toEqual(before.slice(2));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should map Stripe subscriptions onto the shop statuses', () => {
+    const base = { status: 'active', current_period_end: now.getTime() / 1000, cancel_at_period_end: false, canceled_at: null, pause_collection: null };
+
+    expect(mapStripeSubscription(base)).toMatchObject({ status: 'active', skip_until: null, next_billing_at: now.toISOString() });
+    expect(mapStripeSubscription({ ...base, pause_collection: { behavior: 'void' } }).status).toBe('paused');
+    expect(mapStripeSubscription({ ...base, pause_collection: { behavior: 'void', resumes_at: now.getTime() / 1000 + 86400 } }))
+      .toMatchObject({ status: 'active', skip_until: new Date(now.getTime() + DAY_MS).toISOString() });
+    expect(mapStripeSubscription({ ...base, status: 'past_due' }).status).toBe('past_due');
+    expect(mapStripeSubscription({ ...base, status: 'canceled', canceled_at: now.getTime() / 1000 }))
+      .toMatchObject({ status: 'cancelled', cancelled_at: now.toISOString() });
+    expect(Object.keys(SUBSCRIPTION_FREQUENCIES)).toEqual(['weekly', 'biweekly']);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Traceability Property Tests
+ * Mimmo Fratelli E-commerce Platform
+ *
+ * Property: the lot shown to a customer is the batch of the weight they
+ * chose, or the product's only lot when that weight has none (never a
+ * guess), matching the lot the order trigger snapshots on the order line
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  pickBatch,
+  formatHarvestDate,
+  getTraceabilityRows,
+  renderTraceability
+} from '../../js/utils/traceability.js';
+
+const batchArbitrary = fc.record({
+  weight_grams: fc.constantFrom(250, 500, 1000, 2000),
+  quantity: fc.integer({ min: 0, max: 50 }),
+  lot_number: fc.option(fc.stringMatching(/^L[0-9]{4}-[0-9]{3}$/), { nil: null }),
+  harvest_date: fc.option(
+    fc.date({ min: new Date('2024-01-01'), max: new Date('2026-12-31'), noInvalidDate: true })
+      .map(d => d.toISOString().slice(0, 10)),
+    { nil: null }
+  )
+});
+
+describe('Traceability Property Tests', () => {
+  it('should pick the batch of the chosen weight, else the only lot of the product', () => {
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(batchArbitrary, { selector: b => b.weight_grams, maxLength: 4 }),
+        fc.constantFrom(null, 250, 500, 1000, 2000, 1500),
+        (inventory, weightGrams) => {
+          const batch = pickBatch(inventory, weightGrams);
+          const withLot = inventory.filter(b => b.lot_number);
+          const exact = withLot.find(b => b.weight_grams === weightGrams);
+
+          if (exact) {
+            expect(batch).toBe(exact);
+          } else if (new Set(withLot.map(b => b.lot_number)).size === 1) {
+            expect(batch.lot_number).toBe(withLot[0].lot_number);
+          } else {
+            expect(batch).toBeNull();
+          }
+        }
+      ),
+      { numRuns: 200 }
+    );
+
+    // Custom weight of a product with two lots in stock: no guess
+    const twoLots = [
+      { weight_grams: 500, lot_number: 'L2025-040', harvest_date: '2025-10-01' },
+      { weight_grams: 1000, lot_number: 'L2025-041', harvest_date: '2025-10-12' }
+    ];
+    expect(pickBatch(twoLots, 1500)).toBeNull();
+    expect(pickBatch(twoLots, 1000).lot_number).toBe('L2025-041');
+  });
+
+  it('should only list the fields that are filled in', () => {
+    fc.assert(
+      fc.property(
+        fc.record({
+          producer: fc.option(fc.string({ minLength: 1 }), { nil: null }),
+          origin_farm: fc.option(fc.string({ minLength: 1 }), { nil: null }),
+          origin_region: fc.option(fc.constantFrom('Sicilia', 'Puglia'), { nil: null }),
+          certifications: fc.uniqueArray(fc.constantFrom('bio', 'igp', 'dop', 'unknown'))
+        }),
+        fc.option(batchArbitrary, { nil: null }),
+        (product, batch) => {
+          const rows = getTraceabilityRows(product, batch);
+
+          rows.forEach(row => expect(row.value).not.toBe(''));
+          expect(rows.some(r => r.label === 'Produttore')).toBe(Boolean(product.producer));
+          expect(rows.some(r => r.label === 'Lotto')).toBe(Boolean(batch?.lot_number));
+          expect(renderTraceability(product, batch) === '').toBe(rows.length === 0);
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  it('should join farm and region and name the certifications', () => {
+    const rows = getTraceabilityRows(
+      { origin_farm: 'Pachino', origin_region: 'Sicilia', certifications: ['igp', 'bio'] },
+      { lot_number: 'L2025-041', harvest_date: '2025-10-12' }
+    );
+
+    expect(rows).toEqual([
+      { label: 'Provenienza', value: 'Pachino, Sicilia' },
+      { label: 'Certificazioni', value: 'IGP · Biologico' },
+      { label: 'Raccolta', value: formatHarvestDate('2025-10-12') },
+      { label: 'Lotto', value: 'L2025-041' }
+    ]);
+    expect(formatHarvestDate('2025-10-12')).toContain('2025');
+    expect(formatHarvestDate(null)).toBe('');
+  });
+
+  it('should escape producer names in the markup', () => {
+    const html = renderTraceability({ producer: '<b>Rossi & Figli</b>' });
+
+    expect(html).toContain('&lt;b&gt;Rossi &amp; Figli&lt;/b&gt;');
+    expect(html).not.toContain('<b>');
+  });
+});